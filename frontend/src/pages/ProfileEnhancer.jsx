@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { scoringService } from '../services/api';
 import '../styles/ProfileEnhancer.css';
 
 const ProfileEnhancer = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const { analysisResults, companyInfo, uploadedFiles } = location.state || {};
+  const { isAuthenticated } = useAuth();
   
   const [enhancements, setEnhancements] = useState({
     certifications: [],
@@ -21,13 +24,32 @@ const ProfileEnhancer = () => {
     deliveryModel: ''
   });
 
+  // Keys are the scoring judges; 3 keeps the default weighting
   const [importanceWeights, setImportanceWeights] = useState({
     technical: 3,
     domain: 3,
-    financial: 3,
-    capacity: 3,
+    value: 3,
+    relationship: 3,
     innovation: 3
   });
+  const [weightsError, setWeightsError] = useState('');
+  // Ratings are saved with the signed-in user's company profile; without one they only travel with this session
+  const [hasSavedProfile, setHasSavedProfile] = useState(false);
+
+  // Start from the ratings saved for the signed-in user's profile
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    scoringService.getWeights()
+      .then(response => {
+        setHasSavedProfile(true);
+        setImportanceWeights(prev => ({ ...prev, ...response.data.scoringWeights.importance }));
+      })
+      .catch(err => {
+        if (err.response?.status === 404) return;
+        setWeightsError(err.response?.data?.error || 'Failed to load saved priority weights');
+        console.error(err);
+      });
+  }, [isAuthenticated]);
 
   const [currentSection, setCurrentSection] = useState('certifications');
 
@@ -107,8 +129,18 @@ const ProfileEnhancer = () => {
     return Math.min(100, baseCompleteness + enhancement);
   };
 
-  const handleSaveProfile = () => {
-    // In production, this would save to database
+  const handleSaveProfile = async () => {
+    // Priority weights are saved server-side and applied when opportunities are scored for the profile
+    if (isAuthenticated && hasSavedProfile) {
+      try {
+        await scoringService.updateWeights(importanceWeights);
+      } catch (err) {
+        setWeightsError(err.response?.data?.error || 'Failed to save priority weights');
+        console.error(err);
+        return;
+      }
+    }
+
     const enhancedProfile = {
       ...companyInfo,
       ...analysisResults,
@@ -432,6 +464,7 @@ const ProfileEnhancer = () => {
               <h2>Priority Weights</h2>
               <p className="section-hint">
                 Adjust these weights to reflect what matters most to your business when evaluating opportunities.
+                3 keeps the default weighting.
               </p>
               
               <div className="weights-list">
@@ -479,27 +512,27 @@ const ProfileEnhancer = () => {
                       type="range"
                       min="1"
                       max="5"
-                      value={importanceWeights.financial}
-                      onChange={(e) => setImportanceWeights(prev => ({ ...prev, financial: parseInt(e.target.value) }))}
+                      value={importanceWeights.value}
+                      onChange={(e) => setImportanceWeights(prev => ({ ...prev, value: parseInt(e.target.value) }))}
                     />
-                    <span className="weight-value">{importanceWeights.financial}</span>
+                    <span className="weight-value">{importanceWeights.value}</span>
                   </div>
                 </div>
                 
                 <div className="weight-item">
                   <label>
-                    <span>Delivery Capacity</span>
-                    <small>Team size and availability</small>
+                    <span>Location & Relationships</span>
+                    <small>Proximity to the work and small business preferences</small>
                   </label>
                   <div className="weight-slider">
                     <input
                       type="range"
                       min="1"
                       max="5"
-                      value={importanceWeights.capacity}
-                      onChange={(e) => setImportanceWeights(prev => ({ ...prev, capacity: parseInt(e.target.value) }))}
+                      value={importanceWeights.relationship}
+                      onChange={(e) => setImportanceWeights(prev => ({ ...prev, relationship: parseInt(e.target.value) }))}
                     />
-                    <span className="weight-value">{importanceWeights.capacity}</span>
+                    <span className="weight-value">{importanceWeights.relationship}</span>
                   </div>
                 </div>
                 
@@ -526,6 +559,7 @@ const ProfileEnhancer = () => {
       </div>
 
       <div className="enhancer-footer">
+        {weightsError && <div className="error">{weightsError}</div>}
         <button 
           className="btn-save"
           onClick={handleSaveProfile}
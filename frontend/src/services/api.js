@@ -47,6 +47,11 @@ export const opportunityService = {
     api.post('/opportunities/batch-score', { scoringRequests })
 }
 
+export const scoringService = {
+  getWeights: () => api.get('/scoring/weights'),
+  updateWeights: (weights) => api.put('/scoring/weights', { weights })
+}
+
 export const supplierService = {
   analyze: (companyId, analysisData) => 
     api.post('/suppliers/analyze', { companyId, analysisData }),
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsvRows, toRecord } = require('../src/utils/csv');
+const { nameKey } = require('../src/utils/gazetteer');
+
+const SEED_FILE = path.join(__dirname, '..', 'src', 'data', 'gazetteer.json');
+
+// Census place names carry their legal/statistical area type ("Huntsville city", "Reston CDP")
+const PLACE_SUFFIX = /\s+(city|town|village|borough|cdp|municipality|comunidad|zona urbana|urban county|city and borough|(consolidated|metropolitan|unified) government)(\s+\(balance\))?$/i;
+
+const INPUTS = {
+  counties: 'Census Gazetteer counties file (e.g. 2023_Gaz_counties_national.txt)',
+  zctas: 'Census Gazetteer ZCTA file (e.g. 2023_Gaz_zcta_national.txt)',
+  zctaCounties: 'ZCTA to county relationship file (e.g. tab20_zcta520_county20_natl.txt)',
+  places: 'Census Gazetteer places file (e.g. 2023_Gaz_place_national.txt)',
+  cbsa: 'OMB CBSA delineation file saved as CSV (e.g. list1_2023.csv)'
+};
+
+function parseArgs(argv) {
+  const options = { output: SEED_FILE };
+  const flags = {
+    '--counties': 'counties',
+    '--zctas': 'zctas',
+    '--zcta-counties': 'zctaCounties',
+    '--places': 'places',
+    '--cbsa': 'cbsa',
+    '--output': 'output'
+  };
+
+  for (const arg of argv) {
+    const [name, value] = arg.split(/=(.*)/s);
+    if (flags[name] && value) {
+      options[flags[name]] = value;
+    } else {
+      options.invalid = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Reads a delimited file into records keyed by header column. Gazetteer files are tab-delimited,
+ * relationship files pipe-delimited; the CBSA delineation has title rows above its header.
+ */
+function readTable(file, headerColumn) {
+  const content = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+  const firstLine = content.slice(0, content.indexOf('\n'));
+  const delimiter = firstLine.includes('\t') ? '\t' : firstLine.includes('|') ? '|' : ',';
+
+  const rows = parseCsvRows(content, { delimiter });
+  const headerIndex = rows.findIndex(cells => cells.some(cell => cell.trim() === headerColumn));
+  if (headerIndex === -1) {
+    throw new Error(`${file}: no "${headerColumn}" column`);
+  }
+
+  const columns = rows[headerIndex].map(column => column.trim());
+  return rows.slice(headerIndex + 1).map(cells => toRecord(columns, cells));
+}
+
+const round = value => Math.round(Number(value) * 10000) / 10000;
+
+function buildGazetteer(options) {
+  const seed = JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'));
+  const stateByFips = new Map(seed.states.map(state => [state.fips, state.code]));
+
+  // CBSA membership by county FIPS
+  const countyCbsa = new Map();
+  const cbsaTitles = new Map();
+  for (const row of readTable(options.cbsa, 'CBSA Code')) {
+    if (!row['CBSA Code'] || !row['FIPS State Code']) continue;
+    const fips = row['FIPS State Code'].padStart(2, '0') + row['FIPS County Code'].padStart(3, '0');
+    countyCbsa.set(fips, row['CBSA Code']);
+    cbsaTitles.set(row['CBSA Code'], row['CBSA Title']);
+  }
+
+  const counties = readTable(options.counties, 'GEOID').map(row => ({
+    fips: row.GEOID,
+    name: row.NAME,
+    state: row.USPS,
+    cbsa: countyCbsa.get(row.GEOID) || null,
+    latitude: round(row.INTPTLAT),
+    longitude: round(row.INTPTLONG)
+  }));
+
+  // CBSA reference point: mean of its counties' internal points
+  const cbsas = [...cbsaTitles.entries()].map(([code, title]) => {
+    const members = counties.filter(county => county.cbsa === code);
+    if (members.length === 0) return null;
+    return {
+      code,
+      title,
+      latitude: round(members.reduce((sum, county) => sum + county.latitude, 0) / members.length),
+      longitude: round(members.reduce((sum, county) => sum + county.longitude, 0) / members.length)
+    };
+  }).filter(Boolean);
+
+  // A ZCTA belongs to the county holding most of its land area
+  const zctaCounty = new Map();
+  for (const row of readTable(options.zctaCounties, 'GEOID_ZCTA5_20')) {
+    if (!row.GEOID_ZCTA5_20 || !row.GEOID_COUNTY_20) continue;
+    const area = Number(row.AREALAND_PART) || 0;
+    const current = zctaCounty.get(row.GEOID_ZCTA5_20);
+    if (!current || area > current.area) {
+      zctaCounty.set(row.GEOID_ZCTA5_20, { fips: row.GEOID_COUNTY_20, area });
+    }
+  }
+
+  const zips = readTable(options.zctas, 'GEOID')
+    .filter(row => zctaCounty.has(row.GEOID))
+    .map(row => {
+      const countyFips = zctaCounty.get(row.GEOID).fips;
+      return {
+        zip: row.GEOID,
+        state: stateByFips.get(countyFips.slice(0, 2)) || null,
+        countyFips,
+        latitude: round(row.INTPTLAT),
+        longitude: round(row.INTPTLONG)
+      };
+    });
+
+  // Places have no county in the Gazetteer; take the county of the nearest ZCTA in the same state
+  const zipsByState = new Map();
+  zips.forEach(zip => {
+    if (!zipsByState.has(zip.state)) zipsByState.set(zip.state, []);
+    zipsByState.get(zip.state).push(zip);
+  });
+
+  const placesByKey = new Map();
+  for (const row of readTable(options.places, 'GEOID')) {
+    const name = row.NAME.replace(PLACE_SUFFIX, '').trim();
+    const key = `${row.USPS}|${nameKey(name)}`;
+    const cdp = /\bCDP$/.test(row.NAME);
+    // Incorporated places win over census-designated places of the same name
+    const existing = placesByKey.get(key);
+    if (!name || (existing && !(existing.cdp && !cdp))) continue;
+
+    const point = { latitude: round(row.INTPTLAT), longitude: round(row.INTPTLONG) };
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const zip of zipsByState.get(row.USPS) || []) {
+      const distance = (zip.latitude - point.latitude) ** 2 + (zip.longitude - point.longitude) ** 2;
+      if (distance < nearestDistance) {
+        nearest = zip;
+        nearestDistance = distance;
+      }
+    }
+
+    placesByKey.set(key, { cdp, place: { name, state: row.USPS, countyFips: nearest ? nearest.countyFips : null, ...point } });
+  }
+  const places = [...placesByKey.values()].map(entry => entry.place);
+
+  return {
+    version: `census-${new Date().toISOString().slice(0, 10)}`,
+    description: `Census Gazetteer counties, ZCTAs and places with OMB CBSA delineations, built by scripts/build-gazetteer.js from ${Object.keys(INPUTS).map(input => path.basename(options[input])).join(', ')}`,
+    states: seed.states,
+    zip3: seed.zip3,
+    cbsas,
+    counties,
+    places,
+    zips
+  };
+}
+
+// Command line interface
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  const missing = Object.keys(INPUTS).filter(input => !options[input]);
+
+  if (options.invalid || missing.length > 0) {
+    console.log('Usage:');
+    console.log('  npm run gazetteer:build -- --counties=<file> --zctas=<file> --zcta-counties=<file> --places=<file> --cbsa=<file> [--output=src/data/gazetteer.json]');
+    console.log('');
+    Object.entries(INPUTS).forEach(([input, description]) => console.log(`  ${input}: ${description}`));
+    console.log('');
+    console.log('Files: https://www.census.gov/geographies/reference-files/time-series/geo/gazetteer-files.html');
+    console.log('       https://www.census.gov/geographies/reference-files/time-series/geo/relationship-files.html');
+    console.log('       https://www.census.gov/geographies/reference-files/time-series/demo/metro-micro/delineation-files.html');
+    process.exit(1);
+  }
+
+  try {
+    const gazetteer = buildGazetteer(options);
+    fs.writeFileSync(options.output, `${JSON.stringify(gazetteer)}\n`);
+    console.log(`🗺️ Wrote ${options.output}: ${gazetteer.counties.length} counties, ${gazetteer.zips.length} ZIP codes, ` +
+      `${gazetteer.places.length} places, ${gazetteer.cbsas.length} CBSAs`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Gazetteer build failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildGazetteer, parseArgs, readTable };
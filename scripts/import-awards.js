@@ -0,0 +1,63 @@
+const { Database } = require('../src/database/connection');
+const AwardHistoryService = require('../src/services/awardHistoryService');
+const { logger } = require('../src/utils/logger');
+
+function parseArgs(argv) {
+  const options = { files: [], format: 'auto', updateIncumbents: true };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg === '--no-incumbents') {
+      options.updateIncumbents = false;
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+async function importAwards({ files, format, updateIncumbents }) {
+  const db = Database.getInstance();
+  await db.connect();
+
+  try {
+    const service = new AwardHistoryService();
+    // Incumbents are derived once after the last file rather than after every file
+    for (const [index, file] of files.entries()) {
+      console.log(`📥 Importing ${file}...`);
+      const stats = await service.importFile(file, {
+        format,
+        updateIncumbents: updateIncumbents && index === files.length - 1
+      });
+      console.log(`✅ ${file}: ${stats.awardsUpserted} awards from ${stats.rowsRead} rows (${stats.format}), ${stats.rowsSkipped} skipped`);
+      if (stats.incumbentsUpdated !== null) {
+        console.log(`🏛️ Incumbents updated on ${stats.incumbentsUpdated} opportunities`);
+      }
+    }
+  } finally {
+    await db.disconnect();
+  }
+}
+
+// Command line interface
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.files.length === 0 || !['auto', 'usaspending', 'fpds'].includes(options.format)) {
+    console.log('Usage:');
+    console.log('  npm run awards:import -- <file.csv> [more.csv] [--format=usaspending|fpds] [--no-incumbents]');
+    process.exit(1);
+  }
+
+  importAwards(options)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Award import script failed:', error);
+      console.error('❌ Award import failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { importAwards };
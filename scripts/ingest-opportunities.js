@@ -0,0 +1,108 @@
+const fs = require('fs');
+const { Database } = require('../src/database/connection');
+const GovernmentOpportunityIngestionService = require('../src/services/governmentOpportunityIngestionService');
+const samService = require('../src/integrations/sam');
+const { logger } = require('../src/utils/logger');
+
+const MODES = ['incremental', 'full', 'targeted'];
+
+function parseArgs(argv) {
+  const options = {
+    mode: 'incremental',
+    searchCriteria: {},
+    sources: ['sam_gov'],
+    maxOpportunities: 100,
+    dryRun: false,
+    fixtures: null,
+    output: null
+  };
+
+  for (const arg of argv) {
+    const [name, value] = arg.split(/=(.*)/s);
+
+    if (name === '--dry-run') {
+      options.dryRun = true;
+    } else if (name === '--mode') {
+      options.mode = value;
+    } else if (name === '--max') {
+      options.maxOpportunities = parseInt(value, 10);
+    } else if (name === '--sources') {
+      options.sources = value.split(',').map(source => source.trim()).filter(Boolean);
+    } else if (name === '--record' || name === '--replay') {
+      options.fixtures = { mode: name.slice(2), dir: value };
+    } else if (name === '--output') {
+      options.output = value;
+    } else if (['--q', '--naics', '--state', '--postedFrom', '--postedTo'].includes(name)) {
+      options.searchCriteria[name.slice(2)] = value;
+    } else {
+      options.invalid = arg;
+    }
+  }
+
+  return options;
+}
+
+async function ingest({ mode, searchCriteria, sources, maxOpportunities, dryRun, fixtures, output }) {
+  if (fixtures) {
+    samService.useFixtures(fixtures);
+    console.log(`📼 ${fixtures.mode === 'record' ? 'Recording SAM.gov responses to' : 'Replaying SAM.gov responses from'} ${fixtures.dir}`);
+  }
+
+  const db = Database.getInstance();
+  await db.connect();
+
+  try {
+    const report = await new GovernmentOpportunityIngestionService().ingestOpportunities({
+      mode,
+      searchCriteria,
+      sources,
+      maxOpportunities,
+      dryRun
+    });
+
+    const { summary } = report;
+    if (dryRun) {
+      console.log(`🔎 Dry run: ${summary.totalStored} inserts, ${summary.totalUpdated} updates, ${summary.totalSkipped} unchanged (${summary.totalFetched} fetched)`);
+      for (const update of report.changes.updates) {
+        console.log(`   ✏️ ${update.externalId} ${update.title}: ${update.changes.map(change => change.changeType).join(', ') || 'untracked fields'}`);
+      }
+    } else {
+      console.log(`✅ ${summary.totalStored} stored, ${summary.totalUpdated} updated, ${summary.totalSkipped} skipped (${summary.totalFetched} fetched)`);
+    }
+    if (summary.totalErrors > 0) {
+      console.log(`⚠️ ${summary.totalErrors} errors`);
+    }
+
+    if (output) {
+      fs.writeFileSync(output, `${JSON.stringify(report, null, 2)}\n`);
+      console.log(`📄 Report written to ${output}`);
+    }
+
+    return report;
+  } finally {
+    await db.disconnect();
+  }
+}
+
+// Command line interface
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.invalid || !MODES.includes(options.mode) || !(options.maxOpportunities > 0)) {
+    console.log('Usage:');
+    console.log('  npm run ingest -- [--dry-run] [--mode=incremental|full|targeted] [--max=100] [--sources=sam_gov,...]');
+    console.log('                    [--q=...] [--naics=...] [--state=..] [--postedFrom=MM/DD/YYYY] [--postedTo=MM/DD/YYYY]');
+    console.log('                    [--record=<dir> | --replay=<dir>] [--output=report.json]');
+    process.exit(1);
+  }
+
+  ingest(options)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Ingestion script failed:', error);
+      console.error('❌ Ingestion failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { ingest, parseArgs };
@@ -0,0 +1,42 @@
+const { Database } = require('../src/database/connection');
+const { loadConfig } = require('../src/config');
+const CapabilityTaxonomyService = require('../src/services/capabilityTaxonomyService');
+const ScoringWorker = require('../src/services/scoringWorker');
+const { logger } = require('../src/utils/logger');
+
+// Runs the background scoring worker on its own; start as many as the scoring queue needs
+async function run() {
+  const db = Database.getInstance();
+  await db.connect();
+
+  // The judges compare profiles and opportunities through the capability taxonomy
+  await new CapabilityTaxonomyService().refreshSafely();
+
+  const { scoring } = loadConfig();
+  const worker = new ScoringWorker({
+    batchSize: scoring.batchSize,
+    pollIntervalMs: scoring.pollIntervalMs
+  });
+
+  const shutdown = async (signal) => {
+    logger.info(`${signal} received, stopping scoring worker`);
+    await worker.stop();
+    await db.disconnect();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  worker.start();
+  console.log(`🧮 Scoring worker ${worker.workerId} running (batches of ${worker.batchSize}); Ctrl+C to stop`);
+}
+
+if (require.main === module) {
+  run().catch((error) => {
+    logger.error('Scoring worker failed to start:', error);
+    console.error('❌ Scoring worker failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -18,9 +18,38 @@ const ConfigSchema = z.object({
   DB_PORT: z.string().transform(v => parseInt(v, 10)).catch(5432),
   DB_NAME: z.string().default('mybidfit'),
   DB_USER: z.string().default('postgres'),
-  DB_PASSWORD: z.string().default('password')
+  DB_PASSWORD: z.string().default('password'),
+  INGESTION_SCHEDULER_ENABLED: z.string().optional().transform(v => v === 'true'),
+  // Semicolon-separated cron expressions (UTC), e.g. "0 */6 * * *;30 12 * * *"
+  INGESTION_SCHEDULE: z.string().default('0 */6 * * *'),
+  INGESTION_FULL_SCHEDULE: z.string().optional(),
+  INGESTION_MAX_OPPORTUNITIES: z.string().transform(v => parseInt(v, 10)).pipe(z.number().int().positive()).catch(500),
+  // Comma-separated source names ingested by scheduled runs
+  INGESTION_SOURCES: z.string().optional(),
+  // JSON file with CSV/JSON feed source definitions
+  OPPORTUNITY_FEEDS_FILE: z.string().optional(),
+  // Download attachments and extract their text after scheduled runs
+  INGESTION_PROCESS_ATTACHMENTS: z.string().optional().transform(v => v === 'true'),
+  INGESTION_ATTACHMENT_LIMIT: z.string().transform(v => parseInt(v, 10)).pipe(z.number().int().positive()).catch(20),
+  // Run the background scoring worker inside the API process (or run `npm run scoring:worker`)
+  SCORING_WORKER_ENABLED: z.string().optional().transform(v => v === 'true'),
+  SCORING_BATCH_SIZE: z.string().transform(v => parseInt(v, 10)).pipe(z.number().int().positive()).catch(50),
+  SCORING_POLL_INTERVAL_MS: z.string().transform(v => parseInt(v, 10)).pipe(z.number().int().positive()).catch(5000)
 });
 
+const splitSchedules = (value) => (value || '')
+  .split(';')
+  .map(expression => expression.trim())
+  .filter(expression => expression.length > 0);
+
+const splitSources = (value) => {
+  const sources = (value || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name.length > 0);
+  return sources.length > 0 ? sources : ['sam_gov'];
+};
+
 function loadConfig() {
   const parsed = ConfigSchema.safeParse(process.env);
   if (!parsed.success) {
@@ -38,6 +67,23 @@ function loadConfig() {
       database: env.DB_NAME,
       user: env.DB_USER,
       password: env.DB_PASSWORD
+    },
+    ingestion: {
+      schedulerEnabled: env.INGESTION_SCHEDULER_ENABLED,
+      schedules: [
+        ...splitSchedules(env.INGESTION_SCHEDULE).map(cron => ({ cron, mode: 'incremental' })),
+        ...splitSchedules(env.INGESTION_FULL_SCHEDULE).map(cron => ({ cron, mode: 'full' }))
+      ],
+      maxOpportunities: env.INGESTION_MAX_OPPORTUNITIES,
+      sources: splitSources(env.INGESTION_SOURCES),
+      feedsFile: env.OPPORTUNITY_FEEDS_FILE || null,
+      processAttachments: env.INGESTION_PROCESS_ATTACHMENTS,
+      attachmentLimit: env.INGESTION_ATTACHMENT_LIMIT
+    },
+    scoring: {
+      workerEnabled: env.SCORING_WORKER_ENABLED,
+      batchSize: env.SCORING_BATCH_SIZE,
+      pollIntervalMs: env.SCORING_POLL_INTERVAL_MS
     }
   };
 }
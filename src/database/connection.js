@@ -79,6 +79,30 @@ class Database {
       client.release();
     }
   }
+
+  /**
+   * Runs a callback while holding a session-level Postgres advisory lock.
+   * Returns { acquired: false } immediately when another session holds the lock.
+   */
+  async withAdvisoryLock(lockKey, callback) {
+    const client = await this.pool.connect();
+
+    try {
+      const lockResult = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [lockKey]);
+      if (!lockResult.rows[0].acquired) {
+        return { acquired: false };
+      }
+
+      try {
+        const result = await callback();
+        return { acquired: true, result };
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [lockKey]);
+      }
+    } finally {
+      client.release();
+    }
+  }
 }
 
 module.exports = { Database };
\ No newline at end of file
@@ -0,0 +1,13 @@
+-- Migration 010: Government Opportunity Amendments
+-- Stores parsed SAM.gov amendments alongside each government opportunity
+-- so the opportunity detail API can return them without a live SAM.gov call
+
+ALTER TABLE gov_opportunities
+    ADD COLUMN IF NOT EXISTS amendments JSONB DEFAULT '[]';
+
+ALTER TABLE gov_opportunities
+    ADD CONSTRAINT valid_amendments_format CHECK (
+        jsonb_typeof(amendments) = 'array'
+    );
+
+COMMENT ON COLUMN gov_opportunities.amendments IS 'Array of amendment objects (number, description, posted date, type) parsed from SAM.gov';
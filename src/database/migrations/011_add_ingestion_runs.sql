@@ -0,0 +1,42 @@
+-- Migration 011: Ingestion Run History
+-- Persists every government opportunity ingestion run (scheduled or manual)
+-- so run outcomes survive process restarts and can be reviewed by admins
+
+CREATE TABLE IF NOT EXISTS ingestion_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- What started the run and how it was configured
+    trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('scheduled', 'manual')),
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    schedule VARCHAR(100), -- Cron expression for scheduled runs
+    mode VARCHAR(20) NOT NULL CHECK (mode IN ('incremental', 'full', 'targeted')),
+    search_criteria JSONB DEFAULT '{}', -- Criteria as requested
+    effective_criteria JSONB DEFAULT '{}', -- Criteria sent to SAM.gov (e.g. incremental postedFrom)
+
+    -- Outcome
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    fetched_count INTEGER DEFAULT 0,
+    processed_count INTEGER DEFAULT 0,
+    inserted_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    skipped_count INTEGER DEFAULT 0,
+    error_count INTEGER DEFAULT 0,
+    errors JSONB DEFAULT '[]',
+    error_message TEXT,
+
+    -- Timing
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMP,
+    duration_ms INTEGER,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    CONSTRAINT valid_ingestion_errors_format CHECK (jsonb_typeof(errors) = 'array')
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_runs_started ON ingestion_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ingestion_runs_status ON ingestion_runs(status, started_at DESC);
+
+COMMENT ON TABLE ingestion_runs IS 'History of government opportunity ingestion runs with per-run counts and errors';
+COMMENT ON COLUMN ingestion_runs.effective_criteria IS 'Search criteria after mode resolution, e.g. the postedFrom date used by incremental runs';
+COMMENT ON COLUMN ingestion_runs.duration_ms IS 'Wall-clock run duration in milliseconds';
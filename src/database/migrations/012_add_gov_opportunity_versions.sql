@@ -0,0 +1,31 @@
+-- Migration 012: Government Opportunity Version History
+-- Records a field-level diff each time ingestion updates a stored opportunity
+-- (deadline moves, value and set-aside changes, new attachments and amendments)
+-- so the change timeline of a solicitation is preserved
+
+CREATE TABLE IF NOT EXISTS gov_opportunity_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    opportunity_id UUID NOT NULL REFERENCES gov_opportunities(id) ON DELETE CASCADE,
+
+    -- Version 1 is the originally ingested record; each update adds the next version
+    version_number INTEGER NOT NULL CHECK (version_number >= 2),
+
+    -- Field-level changes: [{ field, changeType, previous, current, ... }]
+    changes JSONB NOT NULL DEFAULT '[]',
+    change_types JSONB NOT NULL DEFAULT '[]', -- Distinct change types for filtering
+
+    source_updated_at TIMESTAMP, -- SAM.gov lastModified of the new version
+    detected_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(opportunity_id, version_number),
+    CONSTRAINT valid_version_changes_format CHECK (jsonb_typeof(changes) = 'array'),
+    CONSTRAINT valid_version_change_types_format CHECK (jsonb_typeof(change_types) = 'array')
+);
+
+CREATE INDEX IF NOT EXISTS idx_gov_opp_versions_opportunity ON gov_opportunity_versions(opportunity_id, version_number);
+CREATE INDEX IF NOT EXISTS idx_gov_opp_versions_change_types ON gov_opportunity_versions USING GIN(change_types);
+CREATE INDEX IF NOT EXISTS idx_gov_opp_versions_detected ON gov_opportunity_versions(detected_at DESC);
+
+COMMENT ON TABLE gov_opportunity_versions IS 'Field-level change history of government opportunities detected during ingestion';
+COMMENT ON COLUMN gov_opportunity_versions.changes IS 'Array of { field, changeType, previous, current } diffs between consecutive versions';
+COMMENT ON COLUMN gov_opportunity_versions.change_types IS 'Distinct change types, e.g. deadline_extended, value_changed, set_aside_changed, attachments_added';
@@ -0,0 +1,10 @@
+-- Migration 013: Ingestion Run Sources
+-- Ingestion can pull from several opportunity sources (SAM.gov, CSV/JSON feeds);
+-- record which sources each run used and the per-source counts
+
+ALTER TABLE ingestion_runs
+    ADD COLUMN IF NOT EXISTS sources JSONB NOT NULL DEFAULT '["sam_gov"]',
+    ADD COLUMN IF NOT EXISTS source_stats JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN ingestion_runs.sources IS 'Names of the opportunity sources ingested by this run';
+COMMENT ON COLUMN ingestion_runs.source_stats IS 'Per-source counts: { source: { fetched, processed, stored, updated, skipped, errors } }';
@@ -0,0 +1,25 @@
+-- Migration 014: SAM.gov Response Cache and Daily Quota Usage
+-- Shared storage for the SAM.gov integration when SAM_CACHE_BACKEND=postgres:
+-- cached API responses survive restarts and are shared between instances, and the
+-- daily request counter is decremented atomically by every caller
+
+CREATE TABLE IF NOT EXISTS sam_response_cache (
+    cache_key TEXT PRIMARY KEY, -- generateCacheKey() of the request parameters
+    response JSONB NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sam_response_cache_expires ON sam_response_cache(expires_at);
+
+CREATE TABLE IF NOT EXISTS sam_api_usage (
+    usage_date DATE PRIMARY KEY, -- UTC day
+    request_count INTEGER NOT NULL DEFAULT 0,
+    interactive_count INTEGER NOT NULL DEFAULT 0,
+    background_count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE sam_response_cache IS 'Cached SAM.gov API responses keyed by request parameters';
+COMMENT ON TABLE sam_api_usage IS 'SAM.gov requests sent per UTC day, by priority class, for daily quota enforcement';
+COMMENT ON COLUMN sam_api_usage.background_count IS 'Requests from scheduled ingestion; capped below the daily quota to keep a reserve for interactive searches';
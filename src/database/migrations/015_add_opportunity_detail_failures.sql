@@ -0,0 +1,33 @@
+-- Migration 015: Opportunity Detail Failures
+-- Records opportunities whose detail fetch failed during ingestion (SAM.gov errors,
+-- open circuit breaker, exhausted quota) so later runs can retry them with backoff
+-- instead of silently dropping or half-enriching the records
+
+CREATE TABLE IF NOT EXISTS opportunity_detail_failures (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(50) NOT NULL, -- Source adapter name (key in gov_opportunities.source_ids)
+    external_id VARCHAR(255) NOT NULL, -- Source identifier, e.g. SAM.gov notice ID
+
+    -- Raw search record, handed back to the source adapter when the detail fetch is retried
+    record JSONB NOT NULL DEFAULT '{}',
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'abandoned')),
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    last_status INTEGER, -- HTTP status of the last failure, when there was one
+    last_error_code VARCHAR(50), -- e.g. TIMEOUT, CIRCUIT_OPEN, QUOTA_EXHAUSTED
+
+    first_failed_at TIMESTAMP DEFAULT NOW(),
+    last_failed_at TIMESTAMP DEFAULT NOW(),
+    next_retry_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    resolved_at TIMESTAMP,
+
+    UNIQUE(source, external_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_detail_failures_retry ON opportunity_detail_failures(source, next_retry_at)
+    WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_detail_failures_status ON opportunity_detail_failures(status, last_failed_at DESC);
+
+COMMENT ON TABLE opportunity_detail_failures IS 'Opportunities whose detail fetch failed during ingestion, queued for retry in later runs';
+COMMENT ON COLUMN opportunity_detail_failures.status IS 'pending: retried by later runs; resolved: details fetched; abandoned: gave up after the maximum attempts';
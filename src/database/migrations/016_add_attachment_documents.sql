@@ -0,0 +1,52 @@
+-- Migration 016: Attachment Documents
+-- Downloads solicitation attachments (SOW, PWS, Section L/M) and stores their extracted text.
+-- Documents are keyed by the SHA-256 of their content so the same file is only extracted once,
+-- however many opportunities or amendments link to it.
+
+CREATE TABLE IF NOT EXISTS attachment_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    content_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the downloaded bytes
+    format VARCHAR(20) NOT NULL, -- pdf, docx, html, text or unsupported
+    mime_type VARCHAR(255),
+    byte_size INTEGER NOT NULL,
+    page_count INTEGER, -- PDFs only
+
+    extraction_status VARCHAR(20) NOT NULL CHECK (extraction_status IN ('extracted', 'empty', 'unsupported', 'failed')),
+    extraction_error TEXT,
+    text TEXT,
+    text_length INTEGER NOT NULL DEFAULT 0,
+    truncated BOOLEAN NOT NULL DEFAULT false,
+
+    extracted_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS gov_opportunity_attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    opportunity_id UUID NOT NULL REFERENCES gov_opportunities(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    filename VARCHAR(500),
+    document_id UUID REFERENCES attachment_documents(id) ON DELETE SET NULL,
+
+    status VARCHAR(20) NOT NULL CHECK (status IN ('processed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    last_status INTEGER, -- HTTP status of the last failed download, when there was one
+
+    first_attempted_at TIMESTAMP DEFAULT NOW(),
+    processed_at TIMESTAMP,
+
+    UNIQUE(opportunity_id, url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gov_opp_attachments_document ON gov_opportunity_attachments(document_id);
+CREATE INDEX IF NOT EXISTS idx_gov_opp_attachments_failed ON gov_opportunity_attachments(status, attempts)
+    WHERE status = 'failed';
+
+-- Set once attachment text has been merged into requirements_summary, parsed_tags and evaluation_criteria,
+-- so ingestion knows to merge it again after a source update overwrites those fields
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS attachments_processed_at TIMESTAMP;
+
+COMMENT ON TABLE attachment_documents IS 'Text extracted from downloaded opportunity attachments, deduplicated by content hash';
+COMMENT ON TABLE gov_opportunity_attachments IS 'Download outcome of each attachment URL of an opportunity, linked to its extracted document';
+COMMENT ON COLUMN gov_opportunity_attachments.status IS 'processed: downloaded and linked to a document; failed: retried until the maximum attempts';
+COMMENT ON COLUMN gov_opportunities.attachments_processed_at IS 'When attachment text was last merged into the derived requirement fields';
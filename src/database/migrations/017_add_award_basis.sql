@@ -0,0 +1,12 @@
+-- Migration 017: Basis of Award
+-- Section M extraction stores weighted evaluation factors in gov_opportunities.evaluation_criteria;
+-- the basis of award they are applied under is kept alongside
+
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS award_basis VARCHAR(20)
+    CHECK (award_basis IN ('lpta', 'best_value'));
+
+CREATE INDEX IF NOT EXISTS idx_gov_opps_award_basis ON gov_opportunities(award_basis)
+    WHERE award_basis IS NOT NULL;
+
+COMMENT ON COLUMN gov_opportunities.award_basis IS 'lpta: lowest price technically acceptable; best_value: tradeoff between price and non-price factors';
+COMMENT ON COLUMN gov_opportunities.evaluation_criteria IS 'Evaluation factors from Section M: criterion, category, weight (percent), importance rank, evaluation (scored or pass_fail)';
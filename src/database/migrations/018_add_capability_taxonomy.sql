@@ -0,0 +1,25 @@
+-- Migration 018: Capability Taxonomy Extensions
+-- Admin additions to the built-in capability taxonomy (src/utils/capabilityTaxonomy.js) used to tag
+-- opportunities and supplier capabilities with canonical IDs. A row with a built-in ID extends that
+-- node (extra synonyms and NAICS/PSC prefixes); any other ID adds a new node.
+
+CREATE TABLE IF NOT EXISTS capability_taxonomy_nodes (
+    id VARCHAR(100) PRIMARY KEY CHECK (id ~ '^[a-z][a-z0-9_]{1,99}$'),
+    label VARCHAR(255), -- Required for new nodes; overrides the built-in label when set
+    parent_id VARCHAR(100), -- Built-in or extension node ID; no foreign key because built-ins live in code
+    synonyms JSONB NOT NULL DEFAULT '[]',
+    naics_prefixes JSONB NOT NULL DEFAULT '[]',
+    psc_prefixes JSONB NOT NULL DEFAULT '[]',
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    CONSTRAINT valid_taxonomy_synonyms CHECK (jsonb_typeof(synonyms) = 'array'),
+    CONSTRAINT valid_taxonomy_naics CHECK (jsonb_typeof(naics_prefixes) = 'array'),
+    CONSTRAINT valid_taxonomy_psc CHECK (jsonb_typeof(psc_prefixes) = 'array')
+);
+
+COMMENT ON TABLE capability_taxonomy_nodes IS 'Admin extensions to the built-in capability taxonomy, loaded at startup and before each ingestion run';
+COMMENT ON COLUMN capability_taxonomy_nodes.synonyms IS 'Lowercase terms matched as whole words in opportunity and company text';
+COMMENT ON COLUMN capability_taxonomy_nodes.naics_prefixes IS 'NAICS code prefixes crosswalked to this node (longest matching prefix wins)';
+COMMENT ON COLUMN capability_taxonomy_nodes.psc_prefixes IS 'PSC code prefixes crosswalked to this node (longest matching prefix wins)';
@@ -0,0 +1,57 @@
+-- Migration 019: Deduplication Audit Trail
+-- Persists deduplication runs and the merges they make, so every merged opportunity can be traced
+-- to its survivor and a merged group can be restored from the recorded action
+
+CREATE TABLE IF NOT EXISTS dedup_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    dry_run BOOLEAN NOT NULL DEFAULT true, -- Dry runs record proposed merges without applying them
+    match_threshold DECIMAL(4,3),
+    options JSONB NOT NULL DEFAULT '{}',
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    total_opportunities INTEGER NOT NULL DEFAULT 0,
+    duplicate_groups INTEGER NOT NULL DEFAULT 0,
+    merged_count INTEGER NOT NULL DEFAULT 0, -- Opportunities folded into a survivor
+    candidate_stats JSONB NOT NULL DEFAULT '{}', -- Candidate generation statistics (pairs, comparisons, timing)
+    error TEXT,
+
+    started_at TIMESTAMP DEFAULT NOW(),
+    completed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS dedup_actions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_id UUID NOT NULL REFERENCES dedup_runs(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL DEFAULT 'merge' CHECK (action IN ('merge')),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('proposed', 'applied', 'undone', 'failed')),
+
+    survivor_id UUID NOT NULL REFERENCES gov_opportunities(id) ON DELETE CASCADE,
+    merged_ids UUID[] NOT NULL,
+    similarity DECIMAL(5,4),
+
+    -- What the merge changed: source IDs, attachments and contacts folded into the survivor,
+    -- the losers' previous status, and the rows repointed from each loser per table
+    details JSONB NOT NULL DEFAULT '{}',
+    error TEXT,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    undone_at TIMESTAMP,
+    undone_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_dedup_runs_started_at ON dedup_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dedup_actions_run ON dedup_actions(run_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_dedup_actions_survivor ON dedup_actions(survivor_id);
+CREATE INDEX IF NOT EXISTS idx_dedup_actions_merged_ids ON dedup_actions USING GIN (merged_ids);
+
+-- Where a merged opportunity went
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS merged_into UUID REFERENCES gov_opportunities(id) ON DELETE SET NULL;
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS merged_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_gov_opps_merged_into ON gov_opportunities(merged_into) WHERE merged_into IS NOT NULL;
+
+COMMENT ON TABLE dedup_runs IS 'Deduplication runs over stored government opportunities, including dry runs';
+COMMENT ON TABLE dedup_actions IS 'Merges proposed or applied by deduplication runs, with the data needed to undo them';
+COMMENT ON COLUMN dedup_actions.details IS 'Folded source IDs, attachments and contacts, loser statuses and repointed row IDs per table';
+COMMENT ON COLUMN gov_opportunities.merged_into IS 'Survivor this opportunity was merged into by deduplication (processing_status = merged)';
@@ -0,0 +1,49 @@
+-- Migration 020: Deduplication Review Queue
+-- Borderline duplicate groups (between the weak and strong match thresholds) wait for a reviewer
+-- instead of being merged automatically; reviewer decisions are kept as labeled pairs for tuning
+-- the similarity field weights
+
+CREATE TABLE IF NOT EXISTS dedup_review_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_id UUID NOT NULL REFERENCES dedup_runs(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'split')),
+    reason VARCHAR(30) NOT NULL DEFAULT 'borderline' CHECK (reason IN ('borderline', 'conflicting_label')),
+
+    opportunity_ids UUID[] NOT NULL,
+    recommended_survivor_id UUID REFERENCES gov_opportunities(id) ON DELETE SET NULL,
+    similarity DECIMAL(5,4),
+    pair_scores JSONB NOT NULL DEFAULT '[]', -- [{ a, b, similarity, fields: { title, agency, ... } }] from calculateSimilarity
+
+    decision JSONB, -- Decision details: survivor, split groups, notes
+    decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dedup_review_items_status ON dedup_review_items(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_dedup_review_items_opportunities ON dedup_review_items USING GIN (opportunity_ids);
+
+-- One label per opportunity pair (opportunity_a < opportunity_b); later decisions replace earlier ones
+CREATE TABLE IF NOT EXISTS dedup_labeled_pairs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    opportunity_a UUID NOT NULL REFERENCES gov_opportunities(id) ON DELETE CASCADE,
+    opportunity_b UUID NOT NULL REFERENCES gov_opportunities(id) ON DELETE CASCADE,
+    label VARCHAR(20) NOT NULL CHECK (label IN ('duplicate', 'distinct')),
+    similarity DECIMAL(5,4),
+    field_scores JSONB NOT NULL DEFAULT '{}', -- Per-field similarity at review time
+    review_item_id UUID REFERENCES dedup_review_items(id) ON DELETE SET NULL,
+    labeled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    labeled_at TIMESTAMP DEFAULT NOW(),
+
+    CONSTRAINT dedup_labeled_pairs_order CHECK (opportunity_a < opportunity_b),
+    UNIQUE(opportunity_a, opportunity_b)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dedup_labeled_pairs_b ON dedup_labeled_pairs(opportunity_b);
+CREATE INDEX IF NOT EXISTS idx_dedup_labeled_pairs_label ON dedup_labeled_pairs(label);
+
+ALTER TABLE dedup_runs ADD COLUMN IF NOT EXISTS queued_for_review INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON TABLE dedup_review_items IS 'Duplicate groups waiting for, or resolved by, a reviewer (approve, reject or split)';
+COMMENT ON COLUMN dedup_review_items.reason IS 'borderline: similarity between the weak and strong thresholds; conflicting_label: a pair was labeled distinct before';
+COMMENT ON TABLE dedup_labeled_pairs IS 'Reviewer-labeled opportunity pairs with their per-field similarity, for tuning deduplication field weights';
@@ -0,0 +1,33 @@
+-- Migration 021: Text Embeddings
+-- Stored embedding vectors for opportunities and company profiles, used for semantic duplicate
+-- detection, "more like this" lookups and the technical judge. Vectors are keyed by the embedding
+-- model, so switching providers re-embeds instead of comparing vectors from different spaces.
+-- content_hash is the SHA-256 of the embedded text; rows are only re-embedded when it changes.
+
+CREATE TABLE IF NOT EXISTS gov_opportunity_embeddings (
+    opportunity_id UUID NOT NULL REFERENCES gov_opportunities(id) ON DELETE CASCADE,
+    model VARCHAR(100) NOT NULL,
+    dimensions INTEGER NOT NULL,
+    vector REAL[] NOT NULL, -- Unit length, so cosine similarity is the dot product
+    content_hash VARCHAR(64) NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    PRIMARY KEY (opportunity_id, model)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gov_opportunity_embeddings_model ON gov_opportunity_embeddings(model);
+
+CREATE TABLE IF NOT EXISTS company_profile_embeddings (
+    profile_id UUID NOT NULL REFERENCES company_profiles(id) ON DELETE CASCADE,
+    model VARCHAR(100) NOT NULL,
+    dimensions INTEGER NOT NULL,
+    vector REAL[] NOT NULL,
+    content_hash VARCHAR(64) NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    PRIMARY KEY (profile_id, model)
+);
+
+COMMENT ON TABLE gov_opportunity_embeddings IS 'Embedding of each opportunity''s title, description and requirements per embedding model';
+COMMENT ON TABLE company_profile_embeddings IS 'Embedding of each company profile''s summary, capabilities and past performance per embedding model';
+COMMENT ON COLUMN gov_opportunity_embeddings.model IS 'Embedding model identifier, e.g. hashing-v1:512 or http:nomic-embed-text';
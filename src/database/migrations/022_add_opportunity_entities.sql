@@ -0,0 +1,51 @@
+-- Migration 022: Cross-Source Opportunity Entities
+-- Links records of the same real-world opportunity across the three opportunity stores
+-- (gov_opportunities, opportunities, atlanta_opportunities) to one canonical entity. Every source
+-- record belongs to exactly one entity; records without a match form an entity of their own.
+
+CREATE TABLE IF NOT EXISTS opportunity_entities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- Canonical fields, each taken from the highest-priority source record that has a value
+    title VARCHAR(500) NOT NULL,
+    description TEXT,
+    buyer VARCHAR(255),              -- Agency, buyer organization or source organization
+    solicitation_number VARCHAR(100),
+    notice_id VARCHAR(100),          -- SAM.gov notice ID
+    opportunity_type VARCHAR(50),
+    due_date TIMESTAMP,
+    value_min DECIMAL(15,2),
+    value_max DECIMAL(15,2),
+    location VARCHAR(255),
+    source_url VARCHAR(500),
+    status VARCHAR(50),
+    field_sources JSONB NOT NULL DEFAULT '{}', -- Canonical field -> source table it came from
+    source_count INTEGER NOT NULL DEFAULT 0,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_opportunity_entities_due_date ON opportunity_entities(due_date);
+CREATE INDEX IF NOT EXISTS idx_opportunity_entities_solicitation ON opportunity_entities(solicitation_number);
+CREATE INDEX IF NOT EXISTS idx_opportunity_entities_search ON opportunity_entities
+    USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '') || ' ' || coalesce(buyer, '')));
+
+CREATE TABLE IF NOT EXISTS opportunity_entity_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_id UUID NOT NULL REFERENCES opportunity_entities(id) ON DELETE CASCADE,
+    source_table VARCHAR(50) NOT NULL CHECK (source_table IN ('gov_opportunities', 'opportunities', 'atlanta_opportunities')),
+    source_record_id VARCHAR(64) NOT NULL, -- UUID (gov_opportunities) or integer ID as text
+    match_method VARCHAR(30) NOT NULL CHECK (match_method IN ('origin', 'identifier', 'similarity', 'manual')),
+    confidence DECIMAL(5,4),
+    linked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    linked_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(source_table, source_record_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_opportunity_entity_links_entity ON opportunity_entity_links(entity_id);
+
+COMMENT ON TABLE opportunity_entities IS 'Canonical opportunity records resolved across gov_opportunities, opportunities and atlanta_opportunities';
+COMMENT ON TABLE opportunity_entity_links IS 'Source records behind each canonical opportunity; one link per source record';
+COMMENT ON COLUMN opportunity_entity_links.match_method IS 'origin: the record the entity started from; identifier: shared notice ID or solicitation number; similarity: scored match; manual: pinned by an admin and left alone by the resolver';
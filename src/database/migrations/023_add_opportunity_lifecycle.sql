@@ -0,0 +1,58 @@
+-- Migration 023: Opportunity Lifecycle
+-- processing_status becomes a managed lifecycle state: the lifecycle service moves opportunities
+-- between states from due dates, the source's own status (SAM.gov inactive flags, cancellations)
+-- and award notices, records every transition as an event and rejects transitions that are not allowed.
+
+-- Free-form values written before the lifecycle existed
+UPDATE gov_opportunities SET processing_status = LOWER(TRIM(processing_status))
+WHERE processing_status IS NOT NULL AND processing_status <> LOWER(TRIM(processing_status));
+
+UPDATE gov_opportunities SET processing_status = 'active'
+WHERE processing_status IS NULL
+   OR processing_status NOT IN ('active', 'closed', 'cancelled', 'awarded', 'archived', 'merged');
+
+ALTER TABLE gov_opportunities ALTER COLUMN processing_status SET NOT NULL;
+ALTER TABLE gov_opportunities DROP CONSTRAINT IF EXISTS gov_opportunities_processing_status_check;
+ALTER TABLE gov_opportunities ADD CONSTRAINT gov_opportunities_processing_status_check
+    CHECK (processing_status IN ('active', 'closed', 'cancelled', 'awarded', 'archived', 'merged'));
+
+-- Lifecycle signals reported by the source, and the award once one is known
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS source_status VARCHAR(20)
+    CHECK (source_status IN ('active', 'inactive', 'cancelled', 'awarded'));
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS archive_date TIMESTAMP;
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS awardee_name VARCHAR(255);
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS awardee_uei VARCHAR(20);
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS award_amount DECIMAL(15,2);
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS award_date TIMESTAMP;
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS award_number VARCHAR(100);
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_gov_opps_awardee_uei ON gov_opportunities(awardee_uei)
+    WHERE awardee_uei IS NOT NULL;
+
+-- Transition history; every row is also the event watchlists and scores reacted to
+CREATE TABLE IF NOT EXISTS opportunity_lifecycle_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    opportunity_id UUID NOT NULL REFERENCES gov_opportunities(id) ON DELETE CASCADE,
+    from_status VARCHAR(50) NOT NULL,
+    to_status VARCHAR(50) NOT NULL,
+    reason VARCHAR(50) NOT NULL,     -- due_date_passed, source_inactive, source_cancelled, award_notice, ...
+    details JSONB DEFAULT '{}',      -- Signals behind the transition (due date, award, ...)
+    triggered_by VARCHAR(50) NOT NULL DEFAULT 'sweep', -- 'sweep', 'ingestion', 'admin'
+    triggered_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lifecycle_events_opportunity ON opportunity_lifecycle_events(opportunity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_lifecycle_events_to_status ON opportunity_lifecycle_events(to_status, created_at DESC);
+
+-- Scores of opportunities that changed state no longer reflect what can be bid on
+ALTER TABLE gov_opportunity_scores ADD COLUMN IF NOT EXISTS stale_at TIMESTAMP;
+ALTER TABLE gov_opportunity_scores ADD COLUMN IF NOT EXISTS stale_reason VARCHAR(100);
+
+COMMENT ON COLUMN gov_opportunities.processing_status IS 'Lifecycle state managed by the lifecycle service: active, closed, cancelled, awarded, archived (merged is set by deduplication)';
+COMMENT ON COLUMN gov_opportunities.source_status IS 'State reported by the source: active, inactive (e.g. SAM.gov active = No), cancelled or awarded';
+COMMENT ON COLUMN gov_opportunities.archive_date IS 'Date the source archives the notice; closed, awarded and cancelled opportunities are archived after it';
+COMMENT ON COLUMN gov_opportunities.status_changed_at IS 'When processing_status last changed';
+COMMENT ON TABLE opportunity_lifecycle_events IS 'Lifecycle transitions of government opportunities and the signals behind them';
+COMMENT ON COLUMN gov_opportunity_scores.stale_at IS 'Set when the opportunity changed lifecycle state after it was scored';
@@ -0,0 +1,91 @@
+-- Migration 024: Historical Contract Awards
+-- Past contract awards imported from FPDS and USAspending bulk exports. They identify incumbents of
+-- recompeted opportunities and give the value judge historical award values per NAICS code and agency.
+
+CREATE TABLE IF NOT EXISTS award_vendors (
+    uei VARCHAR(12) PRIMARY KEY,          -- SAM.gov Unique Entity ID
+    name VARCHAR(255) NOT NULL,
+    parent_uei VARCHAR(12),
+    parent_name VARCHAR(255),
+    first_award_date DATE,
+    last_award_date DATE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS contract_awards (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('usaspending', 'fpds')),
+    award_key VARCHAR(255) NOT NULL,      -- One row per award; modifications fold into it
+    piid VARCHAR(100) NOT NULL,
+    parent_piid VARCHAR(100),             -- IDV the order was placed against
+    solicitation_number VARCHAR(100),
+
+    -- Awarding agency; *_key columns are normalized names comparable with gov_opportunities.agency
+    agency_code VARCHAR(20),
+    agency_name VARCHAR(255),
+    agency_key VARCHAR(255),
+    sub_agency_name VARCHAR(255),
+    sub_agency_key VARCHAR(255),
+    office_name VARCHAR(255),
+
+    vendor_uei VARCHAR(12) REFERENCES award_vendors(uei) ON DELETE SET NULL,
+    vendor_name VARCHAR(255),
+    naics_code VARCHAR(6),
+    naics_description VARCHAR(255),
+    psc_code VARCHAR(10),
+    set_aside VARCHAR(100),
+    award_type VARCHAR(100),
+
+    action_date DATE,                     -- Base award signed
+    last_action_date DATE,                -- Latest modification seen
+    period_start DATE,
+    period_end DATE,                      -- Current completion date
+    potential_end DATE,                   -- Completion date if all options are exercised
+    obligated_amount DECIMAL(15,2),
+    current_value DECIMAL(15,2),          -- Base and exercised options
+    potential_value DECIMAL(15,2),        -- Base and all options
+    place_state VARCHAR(2),
+    description TEXT,
+
+    import_id UUID,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE (source, award_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contract_awards_piid ON contract_awards(piid);
+CREATE INDEX IF NOT EXISTS idx_contract_awards_vendor ON contract_awards(vendor_uei);
+CREATE INDEX IF NOT EXISTS idx_contract_awards_naics_agency ON contract_awards(naics_code, agency_key, action_date);
+CREATE INDEX IF NOT EXISTS idx_contract_awards_naics_sub_agency ON contract_awards(naics_code, sub_agency_key, action_date);
+CREATE INDEX IF NOT EXISTS idx_contract_awards_period_end ON contract_awards(period_end);
+
+CREATE TABLE IF NOT EXISTS award_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(20) NOT NULL,
+    file_name VARCHAR(500) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    rows_read INTEGER NOT NULL DEFAULT 0,
+    awards_upserted INTEGER NOT NULL DEFAULT 0,
+    rows_skipped INTEGER NOT NULL DEFAULT 0,
+    incumbents_updated INTEGER,
+    error_message TEXT,
+    started_at TIMESTAMP DEFAULT NOW(),
+    completed_at TIMESTAMP
+);
+
+-- Incumbents found in award history; incumbent keeps the name for existing readers
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS incumbent_uei VARCHAR(12);
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS incumbent_award_id UUID REFERENCES contract_awards(id) ON DELETE SET NULL;
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS incumbent_match VARCHAR(30)
+    CHECK (incumbent_match IN ('piid_reference', 'expiring_award'));
+
+CREATE INDEX IF NOT EXISTS idx_gov_opps_incumbent_uei ON gov_opportunities(incumbent_uei)
+    WHERE incumbent_uei IS NOT NULL;
+
+COMMENT ON TABLE contract_awards IS 'Historical federal contract awards from FPDS and USAspending exports, one row per award';
+COMMENT ON COLUMN contract_awards.agency_key IS 'Normalized agency name (upper case, DEPARTMENT -> DEPT, no filler words)';
+COMMENT ON TABLE award_vendors IS 'Award recipients by UEI';
+COMMENT ON TABLE award_imports IS 'Award file imports and their row counts';
+COMMENT ON COLUMN gov_opportunities.incumbent_match IS 'piid_reference: the notice names the current contract; expiring_award: same office and NAICS contract ending around the new award';
@@ -0,0 +1,27 @@
+-- Migration 025: Data Quality Rules
+-- Opportunities are scored by one rules engine (src/utils/dataQualityRules.js). The per-rule breakdown is
+-- stored next to data_quality_score, and admins override rule weights, parameters and whether a rule is
+-- enabled. Built-in rules live in code, so overrides reference them by ID.
+
+CREATE TABLE IF NOT EXISTS data_quality_rules (
+    rule_id VARCHAR(100) PRIMARY KEY CHECK (rule_id ~ '^[a-z][a-z0-9_]{1,99}$'),
+    weight DECIMAL(6,2) CHECK (weight IS NULL OR weight >= 0), -- NULL keeps the built-in weight
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    params JSONB NOT NULL DEFAULT '{}',
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    CONSTRAINT valid_data_quality_params CHECK (jsonb_typeof(params) = 'object')
+);
+
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS data_quality_details JSONB;
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS data_quality_checked_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_gov_opps_data_quality_score ON gov_opportunities(data_quality_score)
+    WHERE merged_into IS NULL;
+
+COMMENT ON TABLE data_quality_rules IS 'Admin overrides of the built-in data quality rules, loaded at startup and before each ingestion run';
+COMMENT ON COLUMN data_quality_rules.params IS 'Rule parameters replacing the built-in values (e.g. {"maxAgeDays": 60})';
+COMMENT ON COLUMN gov_opportunities.data_quality_details IS 'Per-rule breakdown of data_quality_score: ruleset fingerprint, failed rules with messages, passed and not applicable rule IDs';
+COMMENT ON COLUMN gov_opportunities.data_quality_checked_at IS 'When the rules last scored the opportunity (freshness rules change over time)';
@@ -0,0 +1,23 @@
+-- Migration 026: Place of Performance Geocoding
+-- Places of performance are normalized to state/county/ZIP/CBSA against the offline gazetteer
+-- (src/utils/gazetteer.js) and geocoded to a point for radius search and distance-based scoring.
+-- The normalized fields stay in place_of_performance; the point is kept in columns so radius
+-- searches can narrow candidates with a bounding box before computing distances.
+
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS pop_latitude DOUBLE PRECISION
+    CHECK (pop_latitude IS NULL OR pop_latitude BETWEEN -90 AND 90);
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS pop_longitude DOUBLE PRECISION
+    CHECK (pop_longitude IS NULL OR pop_longitude BETWEEN -180 AND 180);
+ALTER TABLE gov_opportunities ADD COLUMN IF NOT EXISTS pop_geocode_precision VARCHAR(10)
+    CHECK (pop_geocode_precision IS NULL OR pop_geocode_precision IN ('zip', 'place', 'county', 'state'));
+
+CREATE INDEX IF NOT EXISTS idx_gov_opps_pop_point ON gov_opportunities(pop_latitude, pop_longitude)
+    WHERE pop_latitude IS NOT NULL AND merged_into IS NULL;
+CREATE INDEX IF NOT EXISTS idx_gov_opps_pop_cbsa ON gov_opportunities((place_of_performance->>'cbsa'))
+    WHERE merged_into IS NULL;
+CREATE INDEX IF NOT EXISTS idx_gov_opps_pop_county ON gov_opportunities((place_of_performance->>'countyFips'))
+    WHERE merged_into IS NULL;
+
+COMMENT ON COLUMN gov_opportunities.pop_latitude IS 'Geocoded latitude of the place of performance (NULL for remote, foreign or unresolved locations)';
+COMMENT ON COLUMN gov_opportunities.pop_longitude IS 'Geocoded longitude of the place of performance';
+COMMENT ON COLUMN gov_opportunities.pop_geocode_precision IS 'Most precise gazetteer match the point came from: zip, place (city + state), county or state centroid';
@@ -0,0 +1,52 @@
+-- Migration 027: Scoring Job Queue
+-- Background scoring of opportunity x company profile pairs. A job scores one profile's missing and
+-- outdated opportunity scores, a batch at a time; workers claim jobs with FOR UPDATE SKIP LOCKED, so
+-- any number of worker processes can share the queue. Ingestion and profile changes enqueue jobs.
+
+CREATE TABLE IF NOT EXISTS scoring_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES company_profiles(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    priority INTEGER NOT NULL DEFAULT 0,        -- Higher runs first
+    reason VARCHAR(50) NOT NULL,                -- profile_updated, ingestion, requested, admin
+    rerun BOOLEAN NOT NULL DEFAULT FALSE,       -- Enqueued again while running: make another pass before completing
+
+    -- Progress
+    batch_count INTEGER NOT NULL DEFAULT 0,
+    scored_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    remaining_count INTEGER,                    -- Outdated pairs left after the latest batch (NULL before the first)
+    failed_opportunities JSONB NOT NULL DEFAULT '[]', -- Opportunities that failed to score, skipped for the rest of the job
+
+    -- Retries: attempts counts consecutive failed batches; a batch that succeeds resets it
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    last_error TEXT,
+    run_after TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    -- Lease of the worker processing a batch; expired leases are reclaimed by other workers
+    locked_by VARCHAR(100),
+    lease_expires_at TIMESTAMP,
+
+    enqueued_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    CONSTRAINT valid_failed_opportunities_format CHECK (jsonb_typeof(failed_opportunities) = 'array')
+);
+
+-- One queued or running job per profile; enqueueing again merges into it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_jobs_active_company ON scoring_jobs(company_id)
+    WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_scoring_jobs_claim ON scoring_jobs(priority DESC, run_after)
+    WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_scoring_jobs_company ON scoring_jobs(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scoring_jobs_status ON scoring_jobs(status, created_at DESC);
+
+COMMENT ON TABLE scoring_jobs IS 'Background scoring jobs: each scores the missing and outdated opportunity scores of one company profile';
+COMMENT ON COLUMN scoring_jobs.priority IS 'Higher runs first: profile changes and requests from the scoring API outrank ingestion';
+COMMENT ON COLUMN scoring_jobs.rerun IS 'Set when the job is enqueued again while running, so changes made during the last pass are picked up';
+COMMENT ON COLUMN scoring_jobs.remaining_count IS 'Outdated opportunity scores left for the profile after the latest batch';
+COMMENT ON COLUMN scoring_jobs.attempts IS 'Consecutive failed batches; the job fails once it reaches max_attempts';
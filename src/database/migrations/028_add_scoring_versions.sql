@@ -0,0 +1,38 @@
+-- Migration 028: Scoring Versions
+-- Registry of named scoring versions (judge weights and thresholds, see src/utils/scoringVersions.js).
+-- One version is active and read by the scoring API; shadow versions are scored next to it by the scoring
+-- worker so they can be compared before one is promoted. Each score keeps the inputs it was computed from,
+-- so any version can be replayed against them.
+
+CREATE TABLE IF NOT EXISTS scoring_versions (
+    version VARCHAR(20) PRIMARY KEY CHECK (version ~ '^[A-Za-z0-9][A-Za-z0-9._-]{0,19}$'),
+    description TEXT,
+    scoring_type VARCHAR(50) NOT NULL DEFAULT 'panel_of_judges' CHECK (scoring_type IN ('panel_of_judges', 'ml_model', 'hybrid')),
+    weights JSONB,                              -- Judge -> share of the overall score; NULL for built-in versions
+    thresholds JSONB,                           -- Verdict and fit category thresholds; NULL for built-in versions
+    status VARCHAR(20) NOT NULL DEFAULT 'candidate' CHECK (status IN ('candidate', 'shadow', 'active', 'retired')),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    promoted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    promoted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    CONSTRAINT valid_scoring_version_weights CHECK (weights IS NULL OR jsonb_typeof(weights) = 'object'),
+    CONSTRAINT valid_scoring_version_thresholds CHECK (thresholds IS NULL OR jsonb_typeof(thresholds) = 'object')
+);
+
+-- Exactly one active version at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_versions_active ON scoring_versions(status) WHERE status = 'active';
+
+-- The built-in version that scored everything so far
+INSERT INTO scoring_versions (version, description, status, promoted_at)
+VALUES ('1.0', 'Panel of five judges weighted towards technical fit', 'active', NOW())
+ON CONFLICT (version) DO NOTHING;
+
+ALTER TABLE gov_opportunity_scores ADD COLUMN IF NOT EXISTS scoring_inputs JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_gov_opp_scores_version_company ON gov_opportunity_scores(scoring_version, company_id, overall_score DESC);
+
+COMMENT ON TABLE scoring_versions IS 'Scoring versions: built-in definitions live in code, admin-registered ones here; definitions never change once registered';
+COMMENT ON COLUMN scoring_versions.status IS 'active: read by the scoring API; shadow: scored alongside for comparison; candidate: registered only; retired: previously active';
+COMMENT ON COLUMN gov_opportunity_scores.scoring_inputs IS 'Profile and opportunity fields the judges read, plus their embedding similarity and award history lookups, for replaying other versions';
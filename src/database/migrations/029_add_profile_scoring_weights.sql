@@ -0,0 +1,15 @@
+-- Migration 029: Profile Scoring Weights
+-- Priority ratings (1-5 per judge, 3 = the scoring version's weight) set on the profile enhancer's sliders,
+-- applied when scoring opportunities for the profile (see src/utils/scoringWeights.js). Each score records
+-- the judge weights it was computed with.
+
+ALTER TABLE company_profiles ADD COLUMN IF NOT EXISTS scoring_weights JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS scoring_weights JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE gov_opportunity_scores ADD COLUMN IF NOT EXISTS judge_weights JSONB;
+
+ALTER TABLE company_profiles ADD CONSTRAINT valid_profile_scoring_weights CHECK (jsonb_typeof(scoring_weights) = 'object');
+ALTER TABLE companies ADD CONSTRAINT valid_company_scoring_weights CHECK (jsonb_typeof(scoring_weights) = 'object');
+
+COMMENT ON COLUMN company_profiles.scoring_weights IS 'Judge -> priority rating 1-5; 3 or missing keeps the scoring version''s weight';
+COMMENT ON COLUMN companies.scoring_weights IS 'Judge -> priority rating 1-5 used by the legacy opportunity scoring service';
+COMMENT ON COLUMN gov_opportunity_scores.judge_weights IS 'Judge -> share of the overall score the score was computed with';
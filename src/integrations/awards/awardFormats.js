@@ -0,0 +1,234 @@
+/**
+ * Contract Award File Formats
+ *
+ * Column maps for bulk contract award exports and normalization of their rows to the
+ * contract_awards row shape:
+ * - usaspending: USAspending.gov award data archive and custom award downloads (prime award
+ *   summaries or transactions; transactions of one award collapse into one row)
+ * - fpds: FPDS ezSearch / ad hoc report CSV exports
+ *
+ * Each field lists candidate columns, the first non-empty one wins. Headers are matched
+ * case-insensitively, ignoring spaces, underscores and punctuation.
+ */
+
+const { parseDate, truncateString } = require('../sources/normalization');
+
+const AWARD_FORMATS = {
+  usaspending: {
+    awardKey: ['contract_award_unique_key', 'award_unique_key'],
+    piid: ['award_id_piid', 'piid'],
+    modificationNumber: ['modification_number'],
+    parentPiid: ['parent_award_id_piid', 'parent_award_piid'],
+    solicitationNumber: ['solicitation_identifier'],
+    agencyCode: ['awarding_agency_code'],
+    agencyName: ['awarding_agency_name'],
+    subAgencyName: ['awarding_sub_agency_name'],
+    officeName: ['awarding_office_name'],
+    vendorUei: ['recipient_uei'],
+    vendorName: ['recipient_name', 'recipient_name_raw'],
+    vendorParentUei: ['recipient_parent_uei'],
+    vendorParentName: ['recipient_parent_name'],
+    naicsCode: ['naics_code'],
+    naicsDescription: ['naics_description'],
+    pscCode: ['product_or_service_code'],
+    setAside: ['type_of_set_aside'],
+    awardType: ['award_type', 'type_of_contract_pricing'],
+    actionDate: ['action_date', 'award_base_action_date'],
+    lastActionDate: ['last_modified_date', 'action_date'],
+    periodStart: ['period_of_performance_start_date'],
+    periodEnd: ['period_of_performance_current_end_date'],
+    potentialEnd: ['period_of_performance_potential_end_date'],
+    obligatedAmount: ['total_dollars_obligated', 'federal_action_obligation'],
+    currentValue: ['current_total_value_of_award', 'base_and_exercised_options_value'],
+    potentialValue: ['potential_total_value_of_award', 'base_and_all_options_value'],
+    placeState: ['primary_place_of_performance_state_code'],
+    description: ['prime_award_base_transaction_description', 'transaction_description', 'award_description']
+  },
+  fpds: {
+    awardKey: [],
+    piid: ['PIID', 'Award ID', 'Procurement Instrument Identifier'],
+    modificationNumber: ['Modification Number', 'Mod Number'],
+    parentPiid: ['Referenced IDV PIID', 'IDV PIID'],
+    solicitationNumber: ['Solicitation ID', 'Solicitation Identifier'],
+    agencyCode: ['Contracting Department ID', 'Contracting Agency ID', 'Agency ID'],
+    agencyName: ['Contracting Department Name', 'Department Name'],
+    subAgencyName: ['Contracting Agency Name', 'Agency Name'],
+    officeName: ['Contracting Office Name'],
+    vendorUei: ['Unique Entity ID', 'UEI', 'Vendor UEI'],
+    vendorName: ['Legal Business Name', 'Vendor Name'],
+    vendorParentUei: ['Ultimate Parent Unique Entity ID', 'Ultimate Parent UEI'],
+    vendorParentName: ['Ultimate Parent Legal Business Name'],
+    naicsCode: ['NAICS Code', 'Principal NAICS Code', 'NAICS'],
+    naicsDescription: ['NAICS Description'],
+    pscCode: ['PSC', 'Product or Service Code', 'Product/Service Code'],
+    setAside: ['Type of Set Aside', 'Set Aside'],
+    awardType: ['Award Type', 'Type of Contract'],
+    actionDate: ['Date Signed', 'Signed Date'],
+    lastActionDate: ['Last Modified Date', 'Date Signed'],
+    periodStart: ['Effective Date'],
+    periodEnd: ['Current Completion Date'],
+    potentialEnd: ['Ultimate Completion Date'],
+    obligatedAmount: ['Action Obligation ($)', 'Action Obligation', 'Dollars Obligated'],
+    currentValue: ['Base and Exercised Options Value', 'Base and Exercised Options Value ($)'],
+    potentialValue: ['Base and All Options Value (Total Contract Value)', 'Base and All Options Value', 'Base and All Options Value ($)'],
+    placeState: ['Principal Place of Performance State Code', 'Place of Performance State'],
+    description: ['Description of Requirement', 'Description']
+  }
+};
+
+function headerKey(column) {
+  return String(column).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Builds a field reader for a file's header row
+ * @param {Array<string>} columns - Header columns of the file
+ * @param {string} format - 'usaspending' or 'fpds'
+ * @returns {function(object, string): (string|null)} - (record, field) => value
+ */
+function createFieldReader(columns, format) {
+  const map = AWARD_FORMATS[format];
+  if (!map) {
+    throw new Error(`Unknown award file format: ${format}`);
+  }
+
+  const byKey = new Map(columns.map(column => [headerKey(column), column]));
+  const resolved = {};
+  Object.entries(map).forEach(([field, candidates]) => {
+    resolved[field] = candidates.map(candidate => byKey.get(headerKey(candidate))).filter(Boolean);
+  });
+
+  return (record, field) => {
+    for (const column of resolved[field] || []) {
+      const value = record[column];
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        return String(value).trim();
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Picks the format whose award ID and vendor columns appear in the header
+ * @returns {string|null}
+ */
+function detectAwardFormat(columns) {
+  const keys = new Set(columns.map(headerKey));
+  const matches = format => ['piid', 'vendorName']
+    .every(field => AWARD_FORMATS[format][field].some(candidate => keys.has(headerKey(candidate))));
+
+  return Object.keys(AWARD_FORMATS).find(matches) || null;
+}
+
+/**
+ * Normalizes agency names so 'DEPT OF DEFENSE' (SAM.gov) and 'Department of Defense'
+ * (USAspending) compare equal
+ */
+function normalizeAgencyName(name) {
+  if (!name) return null;
+
+  const key = String(name)
+    .toUpperCase()
+    .replace(/&/g, ' AND ')
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .replace(/\bDEPARTMENT\b/g, 'DEPT')
+    .replace(/\b(THE|OF|AND|FOR|U ?S)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return key || null;
+}
+
+/**
+ * PIIDs are compared without the dashes notices often write them with (W91QUZ-20-C-0001)
+ */
+function normalizePiid(piid) {
+  if (!piid) return null;
+  return String(piid).toUpperCase().replace(/[-\s]/g, '') || null;
+}
+
+function parseAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const negative = /^\(.*\)$/.test(String(value).trim()); // Accounting notation for de-obligations
+  const amount = parseFloat(String(value).replace(/[$,()\s]/g, ''));
+  if (!Number.isFinite(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+// Calendar dates are read as written; Date would shift MM/DD/YYYY by the local time zone
+function parseDay(value) {
+  if (!value) return null;
+  const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const us = String(value).match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+
+  const date = parseDate(value);
+  return date ? date.slice(0, 10) : null;
+}
+
+/**
+ * Normalizes one export row to the contract_awards shape
+ * @param {function} read - Field reader from createFieldReader
+ * @param {object} record - Row keyed by header column
+ * @param {string} format - 'usaspending' or 'fpds'
+ * @returns {object|null} - Award row, or null for rows without a PIID
+ */
+function normalizeAwardRecord(read, record, format) {
+  const piid = normalizePiid(read(record, 'piid'));
+  if (!piid) return null;
+
+  const agencyCode = read(record, 'agencyCode');
+  const agencyName = read(record, 'agencyName') || read(record, 'subAgencyName');
+  const naicsCode = (read(record, 'naicsCode') || '').match(/^\d{2,6}/)?.[0] || null;
+  const uei = (read(record, 'vendorUei') || '').toUpperCase() || null;
+  const parentUei = (read(record, 'vendorParentUei') || '').toUpperCase() || null;
+  const parentPiid = normalizePiid(read(record, 'parentPiid'));
+
+  // USAspending has its own award key; FPDS awards are identified by agency, IDV and PIID
+  const awardKey = read(record, 'awardKey')
+    || ['CONT_AWD', piid, agencyCode || headerKey(agencyName || ''), parentPiid || '-NONE-'].join('_').toUpperCase();
+
+  return {
+    source: format,
+    award_key: truncateString(awardKey, 255),
+    piid: truncateString(piid, 100),
+    parent_piid: truncateString(parentPiid, 100),
+    solicitation_number: truncateString(read(record, 'solicitationNumber'), 100),
+    agency_code: truncateString(agencyCode, 20),
+    agency_name: truncateString(agencyName, 255),
+    agency_key: truncateString(normalizeAgencyName(agencyName), 255),
+    sub_agency_name: truncateString(read(record, 'subAgencyName'), 255),
+    sub_agency_key: truncateString(normalizeAgencyName(read(record, 'subAgencyName')), 255),
+    office_name: truncateString(read(record, 'officeName'), 255),
+    vendor_uei: uei && /^[A-Z0-9]{12}$/.test(uei) ? uei : null,
+    vendor_name: truncateString(read(record, 'vendorName'), 255),
+    vendor_parent_uei: parentUei && /^[A-Z0-9]{12}$/.test(parentUei) ? parentUei : null,
+    vendor_parent_name: truncateString(read(record, 'vendorParentName'), 255),
+    naics_code: naicsCode,
+    naics_description: truncateString(read(record, 'naicsDescription'), 255),
+    psc_code: truncateString((read(record, 'pscCode') || '').split(/[\s:]/)[0].toUpperCase() || null, 10),
+    set_aside: truncateString(read(record, 'setAside'), 100),
+    award_type: truncateString(read(record, 'awardType'), 100),
+    action_date: parseDay(read(record, 'actionDate')),
+    last_action_date: parseDay(read(record, 'lastActionDate')),
+    period_start: parseDay(read(record, 'periodStart')),
+    period_end: parseDay(read(record, 'periodEnd')),
+    potential_end: parseDay(read(record, 'potentialEnd')),
+    obligated_amount: parseAmount(read(record, 'obligatedAmount')),
+    current_value: parseAmount(read(record, 'currentValue')),
+    potential_value: parseAmount(read(record, 'potentialValue')),
+    place_state: truncateString((read(record, 'placeState') || '').toUpperCase() || null, 2),
+    description: truncateString(read(record, 'description'), 2000)
+  };
+}
+
+module.exports = {
+  AWARD_FORMATS,
+  createFieldReader,
+  detectAwardFormat,
+  normalizeAgencyName,
+  normalizePiid,
+  normalizeAwardRecord
+};
@@ -0,0 +1,67 @@
+/**
+ * Embedding Provider
+ *
+ * Contract every embedding backend implements:
+ * - embed(texts) -> one L2-normalized vector (array of numbers) per text
+ *
+ * `model` identifies the vector space (backend, model and dimensions). Vectors are only comparable
+ * within one model, so stored embeddings are keyed by it and re-computed when it changes.
+ */
+
+class EmbeddingProvider {
+  constructor(options = {}) {
+    this.name = options.name;
+    this.dimensions = options.dimensions || null;
+  }
+
+  get model() {
+    return `${this.name}:${this.dimensions}`;
+  }
+
+  /**
+   * Embeds a batch of texts
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>} - Unit-length vectors, in input order
+   */
+  async embed() {
+    throw new Error(`${this.constructor.name} must implement embed()`);
+  }
+
+  async embedOne(text) {
+    const [vector] = await this.embed([text]);
+    return vector;
+  }
+}
+
+/**
+ * Scales a vector to unit length (zero vectors stay zero)
+ */
+function normalizeVector(vector) {
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm);
+  return Array.from(vector, value => (norm > 0 ? value / norm : 0));
+}
+
+/**
+ * Cosine similarity of two vectors; null when either is missing or their lengths differ
+ */
+function cosineSimilarity(vector1, vector2) {
+  if (!vector1 || !vector2 || vector1.length !== vector2.length || vector1.length === 0) return null;
+
+  let dot = 0;
+  let norm1 = 0;
+  let norm2 = 0;
+  for (let i = 0; i < vector1.length; i++) {
+    dot += vector1[i] * vector2[i];
+    norm1 += vector1[i] * vector1[i];
+    norm2 += vector2[i] * vector2[i];
+  }
+  return norm1 > 0 && norm2 > 0 ? dot / Math.sqrt(norm1 * norm2) : 0;
+}
+
+module.exports = {
+  EmbeddingProvider,
+  normalizeVector,
+  cosineSimilarity
+};
@@ -0,0 +1,70 @@
+/**
+ * Hashing Embedding Provider
+ *
+ * Deterministic, offline text vectors: word unigrams and bigrams are hashed into a fixed number of
+ * dimensions with a hashed sign (the "hashing trick"), weighted by sublinear term frequency and
+ * L2-normalized. Needs no model files or fitted vocabulary, so every process produces identical
+ * vectors for identical text. Words are lightly stemmed so "migrate" and "migrating" share a feature.
+ */
+
+const { EmbeddingProvider, normalizeVector } = require('./baseEmbeddingProvider');
+const { tokenize, hashString } = require('../../utils/minhash');
+
+const VERSION = 1;
+const DEFAULT_DIMENSIONS = 512;
+const BIGRAM_WEIGHT = 0.5;
+
+/**
+ * Strips common English inflections; crude, but consistent for both sides of a comparison
+ */
+function stem(token) {
+  if (token.length <= 4 || /^\d+$/.test(token)) return token;
+  return token
+    .replace(/ies$/, 'y')
+    .replace(/(?<=[^s])s$/, '')
+    .replace(/ation$/, 'at')
+    .replace(/(ing|ment|ed)$/, '')
+    .replace(/e$/, '');
+}
+
+class HashingEmbeddingProvider extends EmbeddingProvider {
+  constructor(options = {}) {
+    super({ name: options.name || 'hashing', dimensions: options.dimensions || DEFAULT_DIMENSIONS });
+  }
+
+  get model() {
+    return `${this.name}-v${VERSION}:${this.dimensions}`;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.vectorize(text));
+  }
+
+  /**
+   * @returns {Array<number>} - Unit-length vector (all zeros for text without words)
+   */
+  vectorize(text) {
+    const tokens = tokenize(text).map(stem).filter(token => token.length > 1);
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+    tokens.forEach((token, index) => {
+      add(token, 1);
+      if (index > 0) add(`${tokens[index - 1]} ${token}`, BIGRAM_WEIGHT);
+    });
+
+    const vector = new Float64Array(this.dimensions);
+    for (const [feature, count] of counts) {
+      const hash = hashString(feature);
+      const sign = hashString(`~${feature}`) & 1 ? 1 : -1;
+      const weight = count >= 1 ? 1 + Math.log(count) : count;
+      vector[hash % this.dimensions] += sign * weight;
+    }
+
+    return normalizeVector(vector);
+  }
+}
+
+HashingEmbeddingProvider.stem = stem;
+
+module.exports = HashingEmbeddingProvider;
@@ -0,0 +1,57 @@
+/**
+ * HTTP Embedding Provider
+ *
+ * Model backend for a locally hosted embedding server (e.g. a text-embeddings-inference or
+ * Ollama instance on the same network), so semantic matching stays offline. Requests use the
+ * OpenAI-compatible shape: POST { model, input: [texts] } -> { data: [{ embedding }] }; servers that
+ * answer { embeddings: [[...]] } are accepted too.
+ */
+
+const axios = require('axios');
+const { EmbeddingProvider, normalizeVector } = require('./baseEmbeddingProvider');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_BATCH_SIZE = 32;
+
+class HttpEmbeddingProvider extends EmbeddingProvider {
+  constructor(options = {}) {
+    super({ name: options.name || 'http', dimensions: options.dimensions || null });
+    this.url = options.url;
+    this.modelName = options.model || 'default';
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+
+    if (!this.url) {
+      throw new Error('HTTP embedding provider requires a url (EMBEDDING_SERVICE_URL)');
+    }
+  }
+
+  get model() {
+    return `${this.name}:${this.modelName}`;
+  }
+
+  async embed(texts) {
+    const vectors = [];
+
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      const batch = texts.slice(start, start + this.batchSize);
+      const response = await axios.post(this.url, { model: this.modelName, input: batch }, { timeout: this.timeoutMs });
+      const embeddings = Array.isArray(response.data?.data)
+        ? response.data.data.map(item => item.embedding)
+        : response.data?.embeddings;
+
+      if (!Array.isArray(embeddings) || embeddings.length !== batch.length) {
+        throw new Error(`Embedding server returned ${Array.isArray(embeddings) ? embeddings.length : 'no'} vectors for ${batch.length} texts`);
+      }
+
+      vectors.push(...embeddings.map(normalizeVector));
+    }
+
+    if (vectors.length > 0) {
+      this.dimensions = vectors[0].length;
+    }
+    return vectors;
+  }
+}
+
+module.exports = HttpEmbeddingProvider;
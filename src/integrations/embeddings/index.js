@@ -0,0 +1,81 @@
+/**
+ * Embedding Provider Registry
+ *
+ * The shared provider used for opportunity and profile embeddings is chosen by EMBEDDING_PROVIDER:
+ * `hashing` (default, deterministic and offline) or `http` (a locally hosted model server).
+ * Other backends can be registered as provider types, or installed directly with setEmbeddingProvider.
+ */
+
+const { EmbeddingProvider, normalizeVector, cosineSimilarity } = require('./baseEmbeddingProvider');
+const HashingEmbeddingProvider = require('./hashingEmbeddingProvider');
+const HttpEmbeddingProvider = require('./httpEmbeddingProvider');
+
+const PROVIDER_TYPES = {
+  hashing: HashingEmbeddingProvider,
+  http: HttpEmbeddingProvider
+};
+
+let sharedProvider = null;
+
+/**
+ * Makes a provider type available to createEmbeddingProvider / EMBEDDING_PROVIDER
+ */
+function registerEmbeddingProviderType(type, ProviderClass) {
+  if (!(ProviderClass.prototype instanceof EmbeddingProvider)) {
+    throw new Error('Embedding providers must extend EmbeddingProvider');
+  }
+  PROVIDER_TYPES[type] = ProviderClass;
+}
+
+/**
+ * Creates a provider from a definition: { type: 'hashing' | 'http' | registered type, ...options }
+ */
+function createEmbeddingProvider(definition = {}) {
+  const { type = 'hashing', ...options } = definition;
+  const ProviderClass = PROVIDER_TYPES[type];
+
+  if (!ProviderClass) {
+    throw new Error(`Unknown embedding provider type: ${type}`);
+  }
+
+  return new ProviderClass(options);
+}
+
+/**
+ * The shared provider, created from the environment on first use
+ */
+function getEmbeddingProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createEmbeddingProvider({
+      type: process.env.EMBEDDING_PROVIDER || 'hashing',
+      dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || undefined,
+      url: process.env.EMBEDDING_SERVICE_URL,
+      model: process.env.EMBEDDING_MODEL,
+      timeoutMs: parseInt(process.env.EMBEDDING_TIMEOUT_MS, 10) || undefined
+    });
+  }
+  return sharedProvider;
+}
+
+/**
+ * Replaces the shared provider (e.g. with an in-process model backend)
+ */
+function setEmbeddingProvider(provider) {
+  if (!(provider instanceof EmbeddingProvider)) {
+    throw new Error('Embedding providers must extend EmbeddingProvider');
+  }
+  sharedProvider = provider;
+  return provider;
+}
+
+module.exports = {
+  EmbeddingProvider,
+  HashingEmbeddingProvider,
+  HttpEmbeddingProvider,
+  normalizeVector,
+  cosineSimilarity,
+  registerEmbeddingProviderType,
+  createEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider
+};
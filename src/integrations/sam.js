@@ -1,5 +1,8 @@
 
-const axios = require('axios');
+const { createCacheBackend } = require('./samCache');
+const { SamQuotaManager, createQuotaStore } = require('./samQuota');
+const { SamHttpClient } = require('./samHttp');
+const { SamFixtureClient } = require('./samFixtures');
 
 const API_KEY = process.env.SAM_GOV_API_KEY;
 const API_BASE_URL = 'https://api.sam.gov';
@@ -29,8 +32,73 @@ const MAX_SAFE_LIMIT = 100; // Maximum records per request
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minute cache TTL
 const MAX_TOTAL_RESULTS = 1000; // Hard limit on total results to prevent memory issues
 
-// Simple in-memory cache for API responses
-const responseCache = new Map();
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Cache and quota storage: 'memory' (per process) or 'postgres' (shared across instances and restarts)
+const STORAGE_BACKEND = process.env.SAM_CACHE_BACKEND || 'memory';
+
+// Cache for API responses, keyed by generateCacheKey()
+let cacheBackend = createCacheBackend(STORAGE_BACKEND, {
+  ttlMs: parsePositiveInt(process.env.SAM_CACHE_TTL_MS, CACHE_TTL_MS)
+});
+
+// Daily request budget shared by every caller
+let quotaManager = new SamQuotaManager({
+  dailyQuota: parsePositiveInt(process.env.SAM_DAILY_QUOTA, undefined),
+  interactiveReserve: process.env.SAM_INTERACTIVE_RESERVE
+    ? parseInt(process.env.SAM_INTERACTIVE_RESERVE, 10) || 0
+    : undefined,
+  store: createQuotaStore(STORAGE_BACKEND)
+});
+
+// Shared request layer: retries with backoff and the circuit breaker
+let httpClient = new SamHttpClient({
+  maxRetries: process.env.SAM_MAX_RETRIES !== undefined
+    ? parseInt(process.env.SAM_MAX_RETRIES, 10) || 0
+    : undefined,
+  failureThreshold: parsePositiveInt(process.env.SAM_CIRCUIT_FAILURE_THRESHOLD, undefined),
+  cooldownMs: parsePositiveInt(process.env.SAM_CIRCUIT_COOLDOWN_MS, undefined)
+});
+
+// Recorded responses: SAM_FIXTURES_MODE=record writes every response to SAM_FIXTURES_DIR,
+// SAM_FIXTURES_MODE=replay answers from it without an API key or network access
+if (process.env.SAM_FIXTURES_MODE) {
+  httpClient = new SamFixtureClient({
+    mode: process.env.SAM_FIXTURES_MODE,
+    dir: process.env.SAM_FIXTURES_DIR || 'test/fixtures/sam',
+    client: httpClient
+  });
+}
+
+/**
+ * Sends a GET through the shared request layer; every attempt (retries included) takes quota
+ */
+function samGet(url, config, priority) {
+  return httpClient.get(url, config, {
+    beforeAttempt: () => quotaManager.acquire(priority)
+  });
+}
+
+// Errors raised before any response (quota, open circuit) are passed through unchanged
+const PASSTHROUGH_ERROR_CODES = new Set(['QUOTA_EXHAUSTED', 'CIRCUIT_OPEN', 'FIXTURE_MISSING']);
+
+/**
+ * Whether responses are being recorded or replayed; the response cache is bypassed meanwhile
+ * so every request reaches the fixtures
+ */
+function usingFixtures() {
+  return httpClient instanceof SamFixtureClient;
+}
+
+/**
+ * Whether responses are replayed from fixtures, which needs no API key
+ */
+function isReplaying() {
+  return usingFixtures() && httpClient.mode === 'replay';
+}
 
 /**
  * Generates a cache key from search parameters
@@ -70,20 +138,11 @@ function sanitizeParams(params) {
 /**
  * Checks cache for existing response
  * @param {string} cacheKey - Cache key to check
- * @returns {object|null} - Cached response or null
+ * @returns {Promise<object|null>} - Cached response or null
  */
-function getCachedResponse(cacheKey) {
-  const cached = responseCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
-    return cached.data;
-  }
-  
-  // Clean up expired cache entry
-  if (cached) {
-    responseCache.delete(cacheKey);
-  }
-  
-  return null;
+async function getCachedResponse(cacheKey) {
+  if (usingFixtures()) return null;
+  return cacheBackend.get(cacheKey);
 }
 
 /**
@@ -91,27 +150,21 @@ function getCachedResponse(cacheKey) {
  * @param {string} cacheKey - Cache key
  * @param {object} data - Response data
  */
-function setCachedResponse(cacheKey, data) {
-  // Prevent cache from growing too large
-  if (responseCache.size >= 50) {
-    const firstKey = responseCache.keys().next().value;
-    responseCache.delete(firstKey);
-  }
-  
-  responseCache.set(cacheKey, {
-    data,
-    timestamp: Date.now()
-  });
+async function setCachedResponse(cacheKey, data) {
+  if (usingFixtures()) return;
+  await cacheBackend.set(cacheKey, data);
 }
 
 /**
  * Fetches opportunities from the SAM.gov API with data management.
  *
  * @param {object} params - The search parameters.
+ * @param {object} options - Request options
+ * @param {string} options.priority - Quota priority class: 'interactive' (default) or 'background'
  * @returns {Promise<object>} - A promise that resolves to the search results.
  */
-async function fetchOpportunities(params = {}) {
-  if (!API_KEY) {
+async function fetchOpportunities(params = {}, options = {}) {
+  if (!API_KEY && !isReplaying()) {
     throw new Error('SAM.gov API key not configured.');
   }
 
@@ -122,7 +175,7 @@ async function fetchOpportunities(params = {}) {
   const cacheKey = generateCacheKey(sanitizedParams);
   
   // Check cache first
-  const cachedResponse = getCachedResponse(cacheKey);
+  const cachedResponse = await getCachedResponse(cacheKey);
   if (cachedResponse) {
     console.log('📋 Returning cached SAM.gov response');
     return cachedResponse;
@@ -139,14 +192,15 @@ async function fetchOpportunities(params = {}) {
     console.log(`🔍 Fetching ${searchParams.limit} opportunities from SAM.gov (offset: ${searchParams.offset})`);
     console.log(`📊 Cache key: ${cacheKey.substring(0, 50)}...`);
 
-    const response = await axios.get(API_ENDPOINT, {
+    // Each attempt takes one request from the daily quota (QUOTA_EXHAUSTED when the budget is spent)
+    const response = await samGet(API_ENDPOINT, {
       params: searchParams,
       timeout: 30000, // 30 second timeout
       headers: {
         'Accept': 'application/json',
         'User-Agent': 'MyBidFit/1.0'
       }
-    });
+    }, options.priority);
     
     // Validate response structure
     if (!response.data) {
@@ -159,10 +213,14 @@ async function fetchOpportunities(params = {}) {
     console.log(`✅ Retrieved ${opportunityCount} opportunities (${totalCount} total available)`);
     
     // Cache the response
-    setCachedResponse(cacheKey, response.data);
+    await setCachedResponse(cacheKey, response.data);
     
     return response.data;
   } catch (error) {
+    if (PASSTHROUGH_ERROR_CODES.has(error.code)) {
+      throw error;
+    }
+
     // Enhanced error handling
     if (error.code === 'ECONNABORTED') {
       const timeoutError = new Error('Request to SAM.gov API timed out');
@@ -212,10 +270,10 @@ async function fetchOpportunities(params = {}) {
 
 /**
  * Validates API key configuration
- * @returns {boolean} - True if API key is configured
+ * @returns {boolean} - True if API key is configured, or responses are replayed from fixtures
  */
 function isConfigured() {
-  return Boolean(API_KEY && API_KEY.trim().length > 0);
+  return isReplaying() || Boolean(API_KEY && API_KEY.trim().length > 0);
 }
 
 /**
@@ -227,10 +285,23 @@ function getStatus() {
     configured: isConfigured(),
     endpoint: API_ENDPOINT,
     hasKey: Boolean(API_KEY),
-    keyLength: API_KEY ? API_KEY.length : 0
+    keyLength: API_KEY ? API_KEY.length : 0,
+    cacheBackend: cacheBackend.name,
+    // Last known counters; use getQuotaStatus() for the shared value
+    quota: quotaManager.getSnapshot(),
+    circuitBreaker: httpClient.getStatus().circuitBreaker,
+    fixtures: httpClient.getStatus().fixtures || null
   };
 }
 
+/**
+ * Gets today's remaining request budget from the quota store (includes other instances' usage)
+ * @returns {Promise<object>} - Quota usage and remaining budget per priority class
+ */
+async function getQuotaStatus() {
+  return quotaManager.getStatus();
+}
+
 /**
  * Searches for opportunities with specific filters
  * @param {object} filters - Search filters
@@ -302,9 +373,10 @@ async function getActiveOpportunities(params = {}) {
  * @param {object} params - Search parameters
  * @param {number} maxPages - Maximum pages to fetch (default: 5)
  * @param {number} maxRecords - Maximum total records to return (default: 500) 
+ * @param {object} options - Request options passed to fetchOpportunities (e.g. priority)
  * @returns {Promise<object>} - Consolidated results
  */
-async function fetchOpportunitiesWithPagination(params = {}, maxPages = 5, maxRecords = 500) {
+async function fetchOpportunitiesWithPagination(params = {}, maxPages = 5, maxRecords = 500, options = {}) {
   const results = [];
   const pageSize = Math.min(params.limit || DEFAULT_PARAMS.limit, MAX_SAFE_LIMIT);
   let currentOffset = params.offset || 0;
@@ -323,7 +395,7 @@ async function fetchOpportunitiesWithPagination(params = {}, maxPages = 5, maxRe
     console.log(`📄 Fetching page ${page + 1}/${maxPages} (offset: ${currentOffset})`);
     
     try {
-      const response = await fetchOpportunities(pageParams);
+      const response = await fetchOpportunities(pageParams, options);
       
       if (!response._embedded?.opportunities) {
         break;
@@ -429,10 +501,11 @@ async function getFocusedOpportunities({ naics, state, keywords = [], maxResults
  * @param {boolean} options.includeAttachments - Include attachment details (default: true)
  * @param {boolean} options.includeContacts - Include contact information (default: true)
  * @param {boolean} options.includeAmendments - Include amendments if any (default: true)
+ * @param {string} options.priority - Quota priority class: 'interactive' (default) or 'background'
  * @returns {Promise<object>} - Detailed opportunity information
  */
 async function fetchOpportunityDetails(noticeId, options = {}) {
-  if (!API_KEY) {
+  if (!API_KEY && !isReplaying()) {
     throw new Error('SAM.gov API key not configured.');
   }
 
@@ -456,7 +529,7 @@ async function fetchOpportunityDetails(noticeId, options = {}) {
   });
 
   // Check cache first
-  const cachedResponse = getCachedResponse(detailCacheKey);
+  const cachedResponse = await getCachedResponse(detailCacheKey);
   if (cachedResponse) {
     console.log(`📋 Returning cached opportunity detail for ${noticeId}`);
     return cachedResponse;
@@ -476,14 +549,14 @@ async function fetchOpportunityDetails(noticeId, options = {}) {
       includeclosed: 'Yes' // Include if closed
     };
 
-    const response = await axios.get(detailEndpoint, {
+    const response = await samGet(detailEndpoint, {
       params: searchParams,
       timeout: 45000, // Longer timeout for detail fetch
       headers: {
         'Accept': 'application/json',
         'User-Agent': 'MyBidFit/1.0'
       }
-    });
+    }, options.priority);
 
     if (!response.data || !response.data._embedded || !response.data._embedded.opportunities) {
       throw new Error(`No opportunity found with notice ID: ${noticeId}`);
@@ -506,11 +579,15 @@ async function fetchOpportunityDetails(noticeId, options = {}) {
     console.log(`✅ Successfully fetched details for opportunity: ${opportunity.title || noticeId}`);
     
     // Cache the enhanced response
-    setCachedResponse(detailCacheKey, enhancedOpportunity);
+    await setCachedResponse(detailCacheKey, enhancedOpportunity);
     
     return enhancedOpportunity;
 
   } catch (error) {
+    if (PASSTHROUGH_ERROR_CODES.has(error.code)) {
+      throw error;
+    }
+
     // Enhanced error handling for detail fetch
     if (error.code === 'ECONNABORTED') {
       const timeoutError = new Error(`Timeout fetching details for opportunity ${noticeId}`);
@@ -569,7 +646,6 @@ async function enhanceOpportunityDetails(opportunity, options = {}) {
       // Enhanced metadata
       _enhanced: {
         processedAt: new Date().toISOString(),
-        dataQualityScore: calculateDataQualityScore(opportunity),
         completenessScore: calculateCompletenessScore(opportunity),
         enhancementVersion: '1.0'
       },
@@ -648,6 +724,7 @@ async function enhanceOpportunityDetails(opportunity, options = {}) {
  * @param {object} options - Batch processing options
  * @param {number} options.batchSize - Number of requests to process simultaneously (default: 3)
  * @param {number} options.delayBetweenBatches - Delay in ms between batches (default: 1000)
+ * @param {string} options.priority - Quota priority class for every detail request
  * @returns {Promise<Array<object>>} - Array of enhanced opportunity details
  */
 async function fetchOpportunityDetailsBatch(noticeIds, options = {}) {
@@ -656,7 +733,8 @@ async function fetchOpportunityDetailsBatch(noticeIds, options = {}) {
     delayBetweenBatches = 1000,
     includeAttachments = true,
     includeContacts = true,
-    includeAmendments = true
+    includeAmendments = true,
+    priority = 'interactive'
   } = options;
 
   if (!Array.isArray(noticeIds) || noticeIds.length === 0) {
@@ -679,12 +757,19 @@ async function fetchOpportunityDetailsBatch(noticeIds, options = {}) {
         const details = await fetchOpportunityDetails(noticeId, {
           includeAttachments,
           includeContacts,
-          includeAmendments
+          includeAmendments,
+          priority
         });
         return { noticeId, success: true, data: details };
       } catch (error) {
         console.error(`❌ Failed to fetch details for ${noticeId}:`, error.message);
-        return { noticeId, success: false, error: error.message };
+        return {
+          noticeId,
+          success: false,
+          error: error.message,
+          status: error.status || null,
+          code: error.code || null
+        };
       }
     });
     
@@ -725,27 +810,6 @@ async function fetchOpportunityDetailsBatch(noticeIds, options = {}) {
 
 // Helper functions for data enhancement and parsing
 
-function calculateDataQualityScore(opportunity) {
-  let score = 0;
-  let maxScore = 0;
-  
-  // Check for required fields
-  const requiredFields = ['title', 'description', 'postedDate', 'type'];
-  requiredFields.forEach(field => {
-    maxScore += 10;
-    if (opportunity[field]) score += 10;
-  });
-  
-  // Check for optional but valuable fields
-  const valuableFields = ['awardNumber', 'naicsCode', 'placeOfPerformance', 'contacts'];
-  valuableFields.forEach(field => {
-    maxScore += 5;
-    if (opportunity[field]) score += 5;
-  });
-  
-  return Math.round((score / maxScore) * 100);
-}
-
 function calculateCompletenessScore(opportunity) {
   let score = 0;
   const totalFields = Object.keys(opportunity).length;
@@ -843,10 +907,12 @@ function parseFinancialInfo(opportunity) {
 
 function parseLocationInfo(opportunity) {
   const location = opportunity.placeOfPerformance || {};
+  // The v2 API nests city, state and country as { code, name }
+  const text = (value, key) => (value && typeof value === 'object' ? value[key] || value.name : value) || null;
   return {
-    city: location.city || null,
-    state: location.state || null,
-    country: location.country || 'USA',
+    city: text(location.city, 'name'),
+    state: text(location.state, 'code'),
+    country: text(location.country, 'code') || 'USA',
     zipCode: location.zip || null,
     address: location.streetAddress || null
   };
@@ -881,18 +947,29 @@ function parseContactInfo(opportunity) {
 }
 
 function parseAttachments(opportunity) {
-  if (!opportunity.attachments || !Array.isArray(opportunity.attachments)) {
-    return [];
+  const attachments = Array.isArray(opportunity.attachments)
+    ? opportunity.attachments.map(attachment => ({
+      filename: attachment.filename || attachment.name,
+      description: attachment.description,
+      size: attachment.size,
+      type: attachment.mimeType || attachment.type,
+      url: attachment.url,
+      lastModified: attachment.lastModified
+    }))
+    : [];
+
+  // Search results list solicitation documents only as download links
+  const knownUrls = new Set(attachments.map(attachment => attachment.url));
+  if (Array.isArray(opportunity.resourceLinks)) {
+    opportunity.resourceLinks
+      .filter(url => typeof url === 'string' && !knownUrls.has(url))
+      .forEach(url => {
+        knownUrls.add(url);
+        attachments.push({ filename: null, url });
+      });
   }
-  
-  return opportunity.attachments.map(attachment => ({
-    filename: attachment.filename || attachment.name,
-    description: attachment.description,
-    size: attachment.size,
-    type: attachment.mimeType || attachment.type,
-    url: attachment.url,
-    lastModified: attachment.lastModified
-  }));
+
+  return attachments;
 }
 
 function parseSetAsideInfo(opportunity) {
@@ -1034,12 +1111,13 @@ function parseAmendments(amendments) {
 }
 
 /**
- * Clears the response cache to free memory
+ * Clears the response cache
+ * @returns {Promise<number>} - Number of cleared entries
  */
-function clearCache() {
-  const cacheSize = responseCache.size;
-  responseCache.clear();
+async function clearCache() {
+  const cacheSize = await cacheBackend.clear();
   console.log(`🧹 Cleared SAM.gov cache (${cacheSize} entries)`);
+  return cacheSize;
 }
 
 /**
@@ -1047,15 +1125,64 @@ function clearCache() {
  * @returns {object} - Cache statistics
  */
 function getCacheStats() {
-  return {
-    size: responseCache.size,
-    maxSize: 50,
-    ttlMs: CACHE_TTL_MS,
-    entries: Array.from(responseCache.keys()).map(key => ({
-      key: key.substring(0, 50) + '...',
-      age: Date.now() - responseCache.get(key).timestamp
-    }))
-  };
+  return cacheBackend.getStats();
+}
+
+/**
+ * Replaces the cache backend (any object implementing get, set, clear and getStats)
+ * @param {object} backend - Cache backend
+ */
+function setCacheBackend(backend) {
+  cacheBackend = backend;
+}
+
+/**
+ * Replaces the request layer, e.g. to change retry or circuit breaker settings
+ * @param {SamHttpClient} client - Request layer
+ */
+function setHttpClient(client) {
+  httpClient = client;
+}
+
+/**
+ * Records SAM.gov responses to a directory, or replays them from it instead of calling SAM.gov
+ * @param {object} options - { mode: 'record' | 'replay', dir }
+ */
+function useFixtures({ mode, dir }) {
+  httpClient = new SamFixtureClient({ mode, dir, client: getLiveHttpClient() });
+}
+
+/**
+ * Goes back to calling SAM.gov directly
+ */
+function stopFixtures() {
+  httpClient = getLiveHttpClient();
+}
+
+function getLiveHttpClient() {
+  return usingFixtures() ? httpClient.client : httpClient;
+}
+
+/**
+ * Downloads a SAM.gov resource link (e.g. an attachment file) through the live request layer, taking
+ * quota for every attempt; recorded fixtures hold API responses only, so downloads bypass them
+ * @param {string} url - Resource URL, including the API key
+ * @param {object} config - axios request config
+ * @param {object} options - { priority }
+ * @returns {Promise<object>} - axios response
+ */
+function downloadResource(url, config = {}, options = {}) {
+  return getLiveHttpClient().get(url, config, {
+    beforeAttempt: () => quotaManager.acquire(options.priority)
+  });
+}
+
+/**
+ * Replaces the quota manager, e.g. to change quota limits or storage at runtime
+ * @param {SamQuotaManager} manager - Quota manager
+ */
+function setQuotaManager(manager) {
+  quotaManager = manager;
 }
 
 module.exports = {
@@ -1069,6 +1196,7 @@ module.exports = {
   fetchOpportunityDetails,
   fetchOpportunityDetailsBatch,
   enhanceOpportunityDetails,
+  downloadResource,
   
   // Data management functions
   fetchOpportunitiesWithPagination,
@@ -1077,10 +1205,19 @@ module.exports = {
   // Configuration and status
   isConfigured,
   getStatus,
+  getQuotaStatus,
   
-  // Cache management
+  // Cache and quota management
   clearCache,
   getCacheStats,
+  setCacheBackend,
+  setQuotaManager,
+  setHttpClient,
+
+  // Recorded responses
+  useFixtures,
+  stopFixtures,
+  isReplaying,
   
   // Constants
   API_ENDPOINT,
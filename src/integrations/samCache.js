@@ -0,0 +1,175 @@
+/**
+ * SAM.gov Response Cache Backends
+ *
+ * Pluggable storage for cached SAM.gov responses, keyed by sam.js generateCacheKey():
+ * - MemoryCacheBackend: per-process Map with a size cap (default)
+ * - PostgresCacheBackend: sam_response_cache table shared by every instance and kept across restarts
+ *
+ * Backends implement get(key), set(key, data), clear() and getStats(). Cache failures are
+ * never fatal: a backend error is logged and treated as a cache miss.
+ */
+
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000; // 5 minute cache TTL
+const DEFAULT_MAX_ENTRIES = 50;
+
+// Expired Postgres rows are purged once every this many writes
+const PURGE_INTERVAL_WRITES = 100;
+
+class MemoryCacheBackend {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  async get(key) {
+    const cached = this.entries.get(key);
+    if (cached && Date.now() - cached.timestamp < this.ttlMs) {
+      this.hits++;
+      return cached.data;
+    }
+
+    // Clean up expired cache entry
+    if (cached) {
+      this.entries.delete(key);
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  async set(key, data) {
+    // Prevent cache from growing too large
+    if (!this.entries.has(key) && this.entries.size >= this.maxEntries) {
+      const firstKey = this.entries.keys().next().value;
+      this.entries.delete(firstKey);
+    }
+
+    this.entries.set(key, {
+      data,
+      timestamp: Date.now()
+    });
+  }
+
+  clear() {
+    const cleared = this.entries.size;
+    this.entries.clear();
+    return cleared;
+  }
+
+  getStats() {
+    return {
+      backend: this.name,
+      size: this.entries.size,
+      maxSize: this.maxEntries,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses,
+      entries: Array.from(this.entries.keys()).map(key => ({
+        key: key.substring(0, 50) + '...',
+        age: Date.now() - this.entries.get(key).timestamp
+      }))
+    };
+  }
+}
+
+class PostgresCacheBackend {
+  constructor(options = {}) {
+    this.name = 'postgres';
+    this.db = options.db || Database.getInstance();
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+    this.writes = 0;
+  }
+
+  async get(key) {
+    try {
+      const result = await this.db.query(`
+        SELECT response
+        FROM sam_response_cache
+        WHERE cache_key = $1 AND expires_at > NOW()
+      `, [key]);
+
+      if (result.rows.length > 0) {
+        this.hits++;
+        return result.rows[0].response;
+      }
+    } catch (error) {
+      this.errors++;
+      logger.warn('⚠️ SAM.gov cache read failed, treating as a miss', { error: error.message });
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  async set(key, data) {
+    try {
+      await this.db.query(`
+        INSERT INTO sam_response_cache (cache_key, response, expires_at)
+        VALUES ($1, $2, NOW() + ($3 || ' milliseconds')::interval)
+        ON CONFLICT (cache_key) DO UPDATE
+        SET response = EXCLUDED.response,
+            expires_at = EXCLUDED.expires_at,
+            created_at = NOW()
+      `, [key, JSON.stringify(data), String(this.ttlMs)]);
+
+      this.writes++;
+      if (this.writes % PURGE_INTERVAL_WRITES === 0) {
+        await this.purgeExpired();
+      }
+    } catch (error) {
+      this.errors++;
+      logger.warn('⚠️ SAM.gov cache write failed', { error: error.message });
+    }
+  }
+
+  async purgeExpired() {
+    const result = await this.db.query('DELETE FROM sam_response_cache WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+
+  async clear() {
+    const result = await this.db.query('DELETE FROM sam_response_cache');
+    return result.rowCount;
+  }
+
+  getStats() {
+    return {
+      backend: this.name,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses,
+      errors: this.errors
+    };
+  }
+}
+
+/**
+ * Creates a cache backend by name ('memory' or 'postgres')
+ */
+function createCacheBackend(name = 'memory', options = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryCacheBackend(options);
+    case 'postgres':
+      return new PostgresCacheBackend(options);
+    default:
+      throw new Error(`Unknown SAM.gov cache backend: ${name}. Must be 'memory' or 'postgres'`);
+  }
+}
+
+module.exports = {
+  MemoryCacheBackend,
+  PostgresCacheBackend,
+  createCacheBackend,
+  DEFAULT_TTL_MS
+};
@@ -0,0 +1,158 @@
+/**
+ * SAM.gov Response Fixtures
+ *
+ * Records raw SAM.gov responses to disk and replays them, so ingestion can run offline with
+ * deterministic results:
+ * - record: requests go through the real request layer and every response, error statuses
+ *   included, is written to the fixture directory
+ * - replay: responses are read from the fixture directory and nothing is sent to SAM.gov;
+ *   a request without a fixture fails with FIXTURE_MISSING
+ *
+ * Fixtures are matched by endpoint and query parameters. The API key and the posted date range
+ * are left out of the match, so fixtures recorded on one day replay on any other.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+// Never written to disk, and not part of the match
+const IGNORED_PARAMS = new Set(['api_key', 'postedFrom', 'postedTo']);
+
+/**
+ * Query parameters that identify a request, sorted by name
+ */
+function matchParams(params = {}) {
+  return Object.keys(params)
+    .filter(key => !IGNORED_PARAMS.has(key) && params[key] !== undefined && params[key] !== null)
+    .sort()
+    .reduce((result, key) => {
+      result[key] = String(params[key]);
+      return result;
+    }, {});
+}
+
+/**
+ * Fixture file name for a request: search-<hash>.json, or detail-<hash>.json for notice lookups
+ */
+function fixtureFileName(url, params = {}) {
+  const { pathname } = new URL(url);
+  const hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ path: pathname, params: matchParams(params) }))
+    .digest('hex')
+    .slice(0, 16);
+
+  return `${params.noticeid ? 'detail' : 'search'}-${hash}.json`;
+}
+
+class SamFixtureClient {
+  /**
+   * @param {object} options
+   * @param {string} options.mode - 'record' or 'replay'
+   * @param {string} options.dir - Fixture directory
+   * @param {SamHttpClient} options.client - Request layer used for recording
+   */
+  constructor({ mode, dir, client } = {}) {
+    if (!FIXTURE_MODES.includes(mode)) {
+      throw new Error(`Invalid SAM.gov fixture mode: ${mode}. Must be 'record' or 'replay'`);
+    }
+    if (!dir) {
+      throw new Error('A fixture directory is required to record or replay SAM.gov responses');
+    }
+
+    this.mode = mode;
+    this.dir = path.resolve(dir);
+    this.client = client;
+    this.recorded = 0;
+    this.replayed = 0;
+  }
+
+  /**
+   * Same contract as SamHttpClient.get(); replayed requests take no quota
+   */
+  async get(url, config = {}, options = {}) {
+    if (this.mode === 'replay') {
+      return this.replay(url, config.params);
+    }
+
+    try {
+      const response = await this.client.get(url, config, options);
+      await this.save(url, config.params, { status: response.status, data: response.data });
+      return response;
+    } catch (error) {
+      // Error statuses are replayed as errors; dropped connections are not recorded
+      if (error.response) {
+        await this.save(url, config.params, {
+          status: error.response.status,
+          statusText: error.response.statusText,
+          data: error.response.data
+        });
+      }
+      throw error;
+    }
+  }
+
+  async save(url, params, response) {
+    const fixture = {
+      request: { url, params: matchParams(params) },
+      recordedAt: new Date().toISOString(),
+      ...response
+    };
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.dir, fixtureFileName(url, params)),
+      `${JSON.stringify(fixture, null, 2)}\n`
+    );
+    this.recorded++;
+  }
+
+  async replay(url, params) {
+    const file = path.join(this.dir, fixtureFileName(url, params));
+
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      const missing = new Error(`No recorded SAM.gov response for ${JSON.stringify(matchParams(params))} (${path.basename(file)})`);
+      missing.code = 'FIXTURE_MISSING';
+      missing.file = file;
+      throw missing;
+    }
+
+    this.replayed++;
+
+    const response = { status: fixture.status, statusText: fixture.statusText, headers: {}, data: fixture.data };
+    if (fixture.status >= 400) {
+      const error = new Error(`Request failed with status code ${fixture.status}`);
+      error.response = response;
+      error.attempts = 1;
+      throw error;
+    }
+    return response;
+  }
+
+  getStatus() {
+    return {
+      ...this.client.getStatus(),
+      fixtures: {
+        mode: this.mode,
+        dir: this.dir,
+        recorded: this.recorded,
+        replayed: this.replayed
+      }
+    };
+  }
+}
+
+module.exports = {
+  SamFixtureClient,
+  FIXTURE_MODES,
+  fixtureFileName,
+  matchParams
+};
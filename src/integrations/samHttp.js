@@ -0,0 +1,238 @@
+/**
+ * SAM.gov HTTP Request Layer
+ *
+ * Every SAM.gov call goes through SamHttpClient:
+ * - Retries transient failures (429, 5xx, timeouts, dropped connections) with jittered
+ *   exponential backoff, waiting for Retry-After when SAM.gov sends it
+ * - A circuit breaker opens after repeated failed requests and rejects calls immediately
+ *   until a cooldown has passed; one trial request then decides whether it closes again
+ * - Client errors (401, 403, 404, ...) are not retried and do not count as failures
+ */
+
+const axios = require('axios');
+
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set(['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN']);
+
+const DEFAULTS = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 60000, // Longer Retry-After waits fail the request instead of blocking the caller
+  failureThreshold: 5,
+  cooldownMs: 60000
+};
+
+/**
+ * Whether a failed axios request is worth retrying
+ */
+function isRetryableError(error) {
+  if (error.response) {
+    return RETRYABLE_STATUS_CODES.has(error.response.status);
+  }
+  return RETRYABLE_ERROR_CODES.has(error.code) || Boolean(error.request);
+}
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ * @returns {number|null}
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Full-jitter exponential backoff: a random delay up to baseDelayMs * 2^attempt (capped)
+ */
+function computeBackoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.round(random() * ceiling);
+}
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || DEFAULTS.failureThreshold;
+    this.cooldownMs = options.cooldownMs || DEFAULTS.cooldownMs;
+    this.now = options.now || Date.now;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.timesOpened = 0;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Whether a request may be sent now. After the cooldown the breaker lets one trial request through.
+   */
+  allowRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  isOpen() {
+    return this.state === 'open';
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    this.lastFailure = {
+      message: error.message,
+      status: error.response?.status || null,
+      at: new Date(this.now()).toISOString()
+    };
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') this.timesOpened++;
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * Gives up a trial request that never reached SAM.gov (e.g. quota exhausted)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  getRetryAt() {
+    return this.openedAt ? new Date(this.openedAt + this.cooldownMs).toISOString() : null;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'closed' ? null : this.getRetryAt(),
+      timesOpened: this.timesOpened,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+class SamHttpClient {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? DEFAULTS.maxRetries;
+    this.baseDelayMs = options.baseDelayMs || DEFAULTS.baseDelayMs;
+    this.maxDelayMs = options.maxDelayMs || DEFAULTS.maxDelayMs;
+    this.maxRetryAfterMs = options.maxRetryAfterMs || DEFAULTS.maxRetryAfterMs;
+    this.breaker = options.breaker || new CircuitBreaker(options);
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * GET with retries and circuit breaking
+   * @param {string} url - Request URL
+   * @param {object} config - axios request config
+   * @param {object} options - { beforeAttempt: async (attempt) => void, e.g. to take quota }
+   * @returns {Promise<object>} - axios response; the final error carries `attempts`
+   */
+  async get(url, config = {}, options = {}) {
+    if (!this.breaker.allowRequest()) {
+      throw this.createCircuitOpenError();
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      if (options.beforeAttempt) {
+        try {
+          await options.beforeAttempt(attempt);
+        } catch (error) {
+          this.breaker.releaseTrial();
+          throw error;
+        }
+      }
+
+      try {
+        const response = await axios.get(url, config);
+        this.breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        error.attempts = attempt + 1;
+
+        if (!isRetryableError(error)) {
+          // SAM.gov answered; the request itself was wrong
+          if (error.response) this.breaker.recordSuccess();
+          else this.breaker.releaseTrial();
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (attempt >= this.maxRetries || delay === null || this.breaker.isOpen()) {
+          this.breaker.recordFailure(error);
+          throw error;
+        }
+
+        console.warn(`⏳ SAM.gov request failed (${error.response?.status || error.code}), retrying in ${delay}ms (attempt ${attempt + 2}/${this.maxRetries + 1})`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt: Retry-After when present, jittered backoff otherwise.
+   * Returns null when SAM.gov asks for a longer wait than maxRetryAfterMs.
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+
+    if (retryAfterMs !== null) {
+      return retryAfterMs <= this.maxRetryAfterMs ? retryAfterMs : null;
+    }
+
+    return computeBackoffDelay(attempt, this, this.random);
+  }
+
+  createCircuitOpenError() {
+    const error = new Error(`SAM.gov requests paused after repeated failures; retrying after ${this.breaker.getRetryAt()}`);
+    error.code = 'CIRCUIT_OPEN';
+    error.status = 503;
+    error.retryAt = this.breaker.getRetryAt();
+    return error;
+  }
+
+  getStatus() {
+    return {
+      maxRetries: this.maxRetries,
+      circuitBreaker: this.breaker.getState()
+    };
+  }
+}
+
+module.exports = {
+  SamHttpClient,
+  CircuitBreaker,
+  isRetryableError,
+  parseRetryAfter,
+  computeBackoffDelay
+};
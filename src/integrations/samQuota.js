@@ -0,0 +1,234 @@
+/**
+ * SAM.gov Daily Quota Manager
+ *
+ * SAM.gov API keys have a daily request quota. Every outgoing SAM.gov request (cache hits
+ * excluded) takes one unit from a shared daily counter before it is sent:
+ * - Priority classes: 'interactive' (user searches and detail lookups) may use the whole quota,
+ *   'background' (scheduled ingestion) stops short of a reserve kept for interactive requests
+ * - Counters live in memory (per process) or in the sam_api_usage table (shared by all instances)
+ * - Days are UTC calendar days
+ */
+
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+
+const PRIORITY_CLASSES = ['interactive', 'background'];
+
+const DEFAULT_DAILY_QUOTA = 1000;
+
+// Share of the daily quota held back from background requests when no reserve is configured
+const DEFAULT_INTERACTIVE_RESERVE_SHARE = 0.2;
+
+function getUsageDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function getNextResetTime(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+}
+
+function emptyUsage(date) {
+  return { date, used: 0, interactive: 0, background: 0 };
+}
+
+class MemoryQuotaStore {
+  constructor() {
+    this.name = 'memory';
+    this.usage = emptyUsage(getUsageDate());
+  }
+
+  currentUsage(date) {
+    if (this.usage.date !== date) {
+      this.usage = emptyUsage(date);
+    }
+    return this.usage;
+  }
+
+  /**
+   * Takes one unit when fewer than `ceiling` requests were made today
+   * @returns {Promise<object>} - { allowed, usage }
+   */
+  async consume(date, priority, ceiling) {
+    const usage = this.currentUsage(date);
+    if (usage.used >= ceiling) {
+      return { allowed: false, usage: { ...usage } };
+    }
+
+    usage.used++;
+    usage[priority]++;
+    return { allowed: true, usage: { ...usage } };
+  }
+
+  async getUsage(date) {
+    return { ...this.currentUsage(date) };
+  }
+}
+
+class PostgresQuotaStore {
+  constructor(options = {}) {
+    this.name = 'postgres';
+    this.db = options.db || Database.getInstance();
+  }
+
+  async consume(date, priority, ceiling) {
+    // The WHERE clause makes check-and-increment atomic across instances
+    const result = await this.db.query(`
+      INSERT INTO sam_api_usage (usage_date, request_count, interactive_count, background_count)
+      VALUES ($1, 1, $2, $3)
+      ON CONFLICT (usage_date) DO UPDATE
+      SET request_count = sam_api_usage.request_count + 1,
+          interactive_count = sam_api_usage.interactive_count + EXCLUDED.interactive_count,
+          background_count = sam_api_usage.background_count + EXCLUDED.background_count,
+          updated_at = NOW()
+      WHERE sam_api_usage.request_count < $4
+      RETURNING request_count, interactive_count, background_count
+    `, [
+      date,
+      priority === 'interactive' ? 1 : 0,
+      priority === 'background' ? 1 : 0,
+      ceiling
+    ]);
+
+    if (result.rows.length === 0) {
+      return { allowed: false, usage: await this.getUsage(date) };
+    }
+
+    return { allowed: true, usage: this.formatUsage(date, result.rows[0]) };
+  }
+
+  async getUsage(date) {
+    const result = await this.db.query(`
+      SELECT request_count, interactive_count, background_count
+      FROM sam_api_usage
+      WHERE usage_date = $1
+    `, [date]);
+
+    return result.rows[0] ? this.formatUsage(date, result.rows[0]) : emptyUsage(date);
+  }
+
+  formatUsage(date, row) {
+    return {
+      date,
+      used: row.request_count,
+      interactive: row.interactive_count,
+      background: row.background_count
+    };
+  }
+}
+
+class SamQuotaManager {
+  /**
+   * @param {object} options
+   * @param {number} options.dailyQuota - Requests allowed per UTC day
+   * @param {number} options.interactiveReserve - Requests background work may not use
+   * @param {object} options.store - MemoryQuotaStore or PostgresQuotaStore
+   */
+  constructor(options = {}) {
+    this.dailyQuota = options.dailyQuota || DEFAULT_DAILY_QUOTA;
+    this.interactiveReserve = Math.min(
+      Math.max(0, options.interactiveReserve ?? Math.floor(this.dailyQuota * DEFAULT_INTERACTIVE_RESERVE_SHARE)),
+      this.dailyQuota
+    );
+    this.store = options.store || new MemoryQuotaStore();
+    this.lastUsage = emptyUsage(getUsageDate());
+  }
+
+  /**
+   * Highest daily request count at which a request of this priority may still be sent
+   */
+  getCeiling(priority) {
+    return priority === 'background' ? this.dailyQuota - this.interactiveReserve : this.dailyQuota;
+  }
+
+  /**
+   * Takes one request from today's quota, or throws when the priority class has no budget left
+   * @param {string} priority - 'interactive' or 'background'
+   */
+  async acquire(priority = 'interactive') {
+    if (!PRIORITY_CLASSES.includes(priority)) {
+      throw new Error(`Unknown SAM.gov request priority: ${priority}. Must be one of ${PRIORITY_CLASSES.join(', ')}`);
+    }
+
+    const date = getUsageDate();
+    let outcome;
+
+    try {
+      outcome = await this.store.consume(date, priority, this.getCeiling(priority));
+    } catch (error) {
+      // Quota tracking problems must not block SAM.gov access; the request goes out uncounted
+      logger.warn('⚠️ SAM.gov quota counter unavailable, allowing request', { error: error.message, priority });
+      return this.getSnapshot();
+    }
+
+    this.lastUsage = outcome.usage;
+
+    if (!outcome.allowed) {
+      const quotaError = new Error(
+        `SAM.gov daily quota exhausted for ${priority} requests (${outcome.usage.used}/${this.dailyQuota} used)`
+      );
+      quotaError.code = 'QUOTA_EXHAUSTED';
+      quotaError.status = 429;
+      quotaError.priority = priority;
+      quotaError.resetAt = getNextResetTime();
+      throw quotaError;
+    }
+
+    return this.getSnapshot();
+  }
+
+  /**
+   * Remaining budget from the last known counter values (no storage round trip)
+   */
+  getSnapshot() {
+    const date = getUsageDate();
+    const usage = this.lastUsage.date === date ? this.lastUsage : emptyUsage(date);
+
+    return {
+      store: this.store.name,
+      date,
+      dailyQuota: this.dailyQuota,
+      interactiveReserve: this.interactiveReserve,
+      used: usage.used,
+      remaining: Math.max(0, this.dailyQuota - usage.used),
+      priorities: PRIORITY_CLASSES.reduce((result, priority) => {
+        result[priority] = {
+          used: usage[priority],
+          remaining: Math.max(0, this.getCeiling(priority) - usage.used)
+        };
+        return result;
+      }, {}),
+      resetsAt: getNextResetTime()
+    };
+  }
+
+  /**
+   * Remaining budget read from the quota store (includes other instances' requests)
+   */
+  async getStatus() {
+    this.lastUsage = await this.store.getUsage(getUsageDate());
+    return this.getSnapshot();
+  }
+}
+
+/**
+ * Creates a quota store by name ('memory' or 'postgres')
+ */
+function createQuotaStore(name = 'memory', options = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryQuotaStore();
+    case 'postgres':
+      return new PostgresQuotaStore(options);
+    default:
+      throw new Error(`Unknown SAM.gov quota store: ${name}. Must be 'memory' or 'postgres'`);
+  }
+}
+
+module.exports = {
+  SamQuotaManager,
+  MemoryQuotaStore,
+  PostgresQuotaStore,
+  createQuotaStore,
+  PRIORITY_CLASSES,
+  DEFAULT_DAILY_QUOTA
+};
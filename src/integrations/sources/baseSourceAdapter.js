@@ -0,0 +1,93 @@
+/**
+ * Opportunity Source Adapter
+ *
+ * Contract every opportunity source implements so ingestion can loop over sources:
+ * - fetchPage({ criteria, offset, limit }) -> { opportunities, total, hasMore }
+ * - fetchDetails(opportunities)            -> { successful, failed: [{ externalId, record, error, status, code }] }
+ * - normalize(opportunity)                 -> gov_opportunities row shape
+ *
+ * `name` is the key under which the source's IDs are stored in gov_opportunities.source_ids.
+ */
+
+class OpportunitySourceAdapter {
+  constructor(options = {}) {
+    this.name = options.name;
+    this.displayName = options.displayName || options.name;
+    this.pageSize = options.pageSize || 100;
+    this.pageDelayMs = options.pageDelayMs || 0;
+  }
+
+  /**
+   * Whether the source has everything it needs (API keys, feed location) to fetch data
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Throws a descriptive error when the source cannot be used
+   */
+  validateConfiguration() {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.displayName} source is not configured`);
+    }
+  }
+
+  /**
+   * Fetches one page of raw opportunities
+   * @param {object} request - { criteria, offset, limit }
+   * @returns {Promise<object>} - { opportunities, total, hasMore }
+   */
+  async fetchPage() {
+    throw new Error(`${this.constructor.name} must implement fetchPage()`);
+  }
+
+  /**
+   * Fetches detailed records for a batch of raw opportunities.
+   * Sources without a detail endpoint enrich the page records they already have.
+   * @param {Array<object>} opportunities - Raw opportunities from fetchPage
+   * @returns {Promise<object>} - { successful, failed }
+   */
+  async fetchDetails(opportunities) {
+    const successful = await Promise.all(opportunities.map(opportunity => this.enrich(opportunity)));
+    return { successful, failed: [] };
+  }
+
+  /**
+   * Adds derived data to a raw record without extra remote calls
+   */
+  async enrich(opportunity) {
+    return opportunity;
+  }
+
+  /**
+   * Normalizes a raw record to the gov_opportunities row shape
+   * (JSONB columns as JSON strings, dates as ISO strings)
+   */
+  normalize() {
+    throw new Error(`${this.constructor.name} must implement normalize()`);
+  }
+
+  /**
+   * Returns the source's own identifier for a raw record
+   */
+  getExternalId() {
+    throw new Error(`${this.constructor.name} must implement getExternalId()`);
+  }
+
+  /**
+   * Keys under which two raw records from this source are considered duplicates
+   */
+  getDedupeKeys(opportunity) {
+    const normalized = this.normalize(opportunity);
+    const keys = [this.getExternalId(opportunity), normalized.solicitation_number];
+
+    if (normalized.title) {
+      keys.push(`${normalized.title}_${normalized.agency}_${normalized.posted_date}`.toLowerCase().replace(/\s+/g, '_'));
+    }
+
+    return keys.filter(key => key);
+  }
+}
+
+module.exports = OpportunitySourceAdapter;
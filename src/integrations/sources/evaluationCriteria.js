@@ -0,0 +1,257 @@
+/**
+ * Section M evaluation-criteria extraction
+ *
+ * Reads solicitation text (notice descriptions, RFP attachments) for:
+ * - Evaluation factors ("Factor 1: Technical Approach", or factor names listed in the section)
+ * - Their relative importance: explicit percentages/points, "listed in descending order of importance",
+ *   "equally important", and how non-price factors compare with price
+ * - The basis of award: lowest price technically acceptable (lpta) or best value tradeoff
+ *
+ * Weights are percentages summing to 100. Under LPTA non-price factors are pass/fail, so price
+ * carries the whole weight.
+ */
+
+const EVALUATION_HEADING = /^.*(?:section\s+m\b|evaluation factors for award|basis (?:for|of) award|evaluation criteria).*$/im;
+const NEXT_SECTION_HEADING = /\n\s*section\s+[n-z]\b/i;
+const MAX_SECTION_LENGTH = 20000;
+
+const FACTOR_LINE = /^(?:evaluation\s+)?(sub-?)?factor\s+(?:\d+|[a-z]|[ivx]+)(?:\.\d+)?\s*[:.\-–—)]\s*(.{2,200})$/i;
+
+const LPTA_PATTERN = /lowest[- ]price(?:d)?,?\s+technically[- ]acceptable|\bLPTA\b/i;
+const BEST_VALUE_PATTERN = /best[- ]value|trade-?offs?\b/i;
+
+const ORDERED_PATTERN = /(?:descending|decreasing) order of (?:relative )?importance|(?:listed|presented|appear) in (?:the )?order of (?:relative )?importance|in order of (?:relative )?importance/i;
+const EQUAL_PATTERN = /equal(?:ly)? (?:in )?importan(?:t|ce)|of equal (?:weight|value|importance)|equally weighted|equal weight/i;
+
+// Share of the total weight price gets for common FAR 15.304(e) phrasings
+const PRICE_RELATIONS = [
+  { pattern: /(?:significantly|substantially|much|considerably) more important than (?:cost or |the )?(?:price|cost)/i, share: 15 },
+  { pattern: /(?:approximately|roughly|about)? ?equal (?:in importance )?to (?:cost or |the )?(?:price|cost)/i, share: 50 },
+  { pattern: /(?:somewhat|slightly) more important than (?:cost or |the )?(?:price|cost)/i, share: 40 },
+  { pattern: /more important than (?:cost or |the )?(?:price|cost)/i, share: 30 },
+  { pattern: /less important than (?:cost or |the )?(?:price|cost)/i, share: 60 }
+];
+
+// Checked in order: "Management Approach" is management, "Price Realism" is price
+const CATEGORIES = [
+  { category: 'small_business', pattern: /small business (?:participation|subcontracting|utilization)/i },
+  { category: 'price', pattern: /\b(?:price|cost|pricing)\b/i },
+  { category: 'past_performance', pattern: /past performance|corporate experience|\bexperience\b/i },
+  { category: 'management', pattern: /management|staffing|key personnel|personnel|transition/i },
+  { category: 'technical', pattern: /technical|approach|capabilit|solution|understanding|methodology/i }
+];
+
+// Factor names looked for when the section does not number its factors
+const KNOWN_FACTORS = [
+  { criterion: 'Technical Approach', pattern: /technical (?:approach|capability|merit|proposal)|\btechnical\b/i },
+  { criterion: 'Management Approach', pattern: /management (?:approach|plan)|key personnel|staffing (?:approach|plan)/i },
+  { criterion: 'Past Performance', pattern: /past performance/i },
+  { criterion: 'Small Business Participation', pattern: /small business (?:participation|subcontracting)/i },
+  { criterion: 'Price', pattern: /\b(?:price|cost)\b/i }
+];
+
+/**
+ * Classifies a factor name
+ * @returns {string} - technical, management, past_performance, price, small_business or other
+ */
+function categorizeFactor(name) {
+  const match = CATEGORIES.find(({ pattern }) => pattern.test(name));
+  return match ? match.category : 'other';
+}
+
+/**
+ * The evaluation section of a document, or the whole text when it has no recognizable heading
+ */
+function findEvaluationSection(text) {
+  const match = text.match(EVALUATION_HEADING);
+  if (!match) return text.substring(0, MAX_SECTION_LENGTH);
+
+  const rest = text.substring(match.index, match.index + MAX_SECTION_LENGTH);
+  const next = rest.substring(match[0].length).match(NEXT_SECTION_HEADING);
+  return next ? rest.substring(0, match[0].length + next.index) : rest;
+}
+
+/**
+ * Explicit weight written next to a factor name ("(40%)", "- 30 points")
+ * @returns {object} - { name, weight }
+ */
+function splitExplicitWeight(text) {
+  const weightMatch = text.match(/[(\-–—,:]?\s*(\d{1,3}(?:\.\d+)?)\s*(%|percent|points?|pts)\b\)?/i);
+  const name = (weightMatch ? text.replace(weightMatch[0], '') : text)
+    .replace(/\((?:most|least|second|third)[^)]*\)/i, '')
+    .replace(/[\s:.\-–—,;]+$/, '')
+    .trim();
+
+  return { name, weight: weightMatch ? parseFloat(weightMatch[1]) : null };
+}
+
+/**
+ * Factors in order of appearance: numbered factor lines first, known factor names as a fallback
+ * (only for text that is known to describe the evaluation, where a passing "cost" is not noise)
+ */
+function findFactors(section, allowKnownNames) {
+  const factors = [];
+
+  for (const line of section.split('\n').map(item => item.trim()).filter(Boolean)) {
+    const match = line.match(FACTOR_LINE);
+    if (match) {
+      const { name, weight } = splitExplicitWeight(match[2]);
+      if (match[1]) {
+        if (factors.length > 0) factors[factors.length - 1].subfactors.push(name);
+      } else {
+        factors.push({ criterion: name, explicitWeight: weight, description: '', subfactors: [] });
+      }
+    } else if (factors.length > 0) {
+      const current = factors[factors.length - 1];
+      current.description = `${current.description} ${line}`.trim();
+    }
+  }
+
+  if (factors.length > 0 || !allowKnownNames) return factors;
+
+  return KNOWN_FACTORS
+    .map(known => ({ ...known, index: section.search(known.pattern) }))
+    .filter(known => known.index !== -1)
+    .sort((a, b) => a.index - b.index)
+    .map(known => ({ criterion: known.criterion, explicitWeight: null, description: '', subfactors: [] }));
+}
+
+function detectBasisOfAward(section) {
+  if (LPTA_PATTERN.test(section)) return 'lpta';
+  if (BEST_VALUE_PATTERN.test(section)) return 'best_value';
+  return null;
+}
+
+/**
+ * Share of the weight that goes to price, from how non-price factors are compared with it
+ * @returns {number|null}
+ */
+function detectPriceShare(section) {
+  const relation = PRICE_RELATIONS.find(({ pattern }) => pattern.test(section));
+  return relation ? relation.share : null;
+}
+
+/**
+ * Assigns percentage weights to factors
+ * @returns {string} - How the weights were derived: explicit, lpta, stated_order, equal or default
+ */
+function assignWeights(factors, section, basisOfAward) {
+  const priceFactors = factors.filter(factor => factor.category === 'price');
+  const otherFactors = factors.filter(factor => factor.category !== 'price');
+
+  if (basisOfAward === 'lpta' && priceFactors.length > 0) {
+    otherFactors.forEach(factor => {
+      factor.weight = 0;
+      factor.evaluation = 'pass_fail';
+    });
+    priceFactors.forEach(factor => { factor.weight = 100 / priceFactors.length; });
+    return 'lpta';
+  }
+
+  if (factors.every(factor => factor.explicitWeight !== null)) {
+    const total = factors.reduce((sum, factor) => sum + factor.explicitWeight, 0);
+    if (total > 0) {
+      factors.forEach(factor => { factor.weight = (factor.explicitWeight / total) * 100; });
+      return 'explicit';
+    }
+  }
+
+  const ordered = ORDERED_PATTERN.test(section);
+  const method = ordered ? 'stated_order' : EQUAL_PATTERN.test(section) ? 'equal' : 'default';
+  const priceShare = priceFactors.length === 0 ? 0
+    : otherFactors.length === 0 ? 100
+      : detectPriceShare(section) ?? (100 / factors.length) * priceFactors.length;
+
+  // Stated order ranks non-price factors n, n-1, ..., 1; otherwise they share equally
+  const ranks = otherFactors.map((_, index) => (ordered ? otherFactors.length - index : 1));
+  const rankTotal = ranks.reduce((sum, rank) => sum + rank, 0);
+  otherFactors.forEach((factor, index) => {
+    factor.weight = ((100 - priceShare) * ranks[index]) / rankTotal;
+  });
+  priceFactors.forEach(factor => { factor.weight = priceShare / priceFactors.length; });
+
+  return method;
+}
+
+/**
+ * Extracts evaluation factors, their weights and the basis of award from solicitation text
+ * @param {string} text - Notice description or attachment text
+ * @returns {object} - { basisOfAward, weightMethod, factors: [{ criterion, category, weight, importance,
+ *   evaluation, description, subfactors }] }
+ */
+function extractEvaluationCriteria(text) {
+  if (!text || typeof text !== 'string') {
+    return { basisOfAward: null, weightMethod: null, factors: [] };
+  }
+
+  const section = findEvaluationSection(text);
+  const basisOfAward = detectBasisOfAward(section);
+  const found = findFactors(section, EVALUATION_HEADING.test(text) || basisOfAward !== null);
+
+  if (found.length === 0) {
+    return { basisOfAward, weightMethod: null, factors: [] };
+  }
+
+  const factors = found.slice(0, 20).map(factor => ({
+    ...factor,
+    category: categorizeFactor(factor.criterion),
+    evaluation: 'scored'
+  }));
+  const weightMethod = assignWeights(factors, section, basisOfAward);
+  factors.forEach(factor => { factor.weight = Math.round(factor.weight * 10) / 10; });
+
+  return {
+    basisOfAward,
+    weightMethod,
+    factors: factors.map(factor => {
+      const result = {
+        criterion: factor.criterion.substring(0, 200),
+        category: factor.category,
+        weight: factor.weight,
+        // Rank by weight; equally weighted factors share a rank
+        importance: factors.filter(other => other.weight > factor.weight).length + 1,
+        evaluation: factor.evaluation
+      };
+      if (factor.description) result.description = factor.description.substring(0, 1000);
+      if (factor.subfactors.length > 0) result.subfactors = factor.subfactors;
+      return result;
+    })
+  };
+}
+
+/**
+ * Reads factors stored in gov_opportunities.evaluation_criteria (JSONB array or JSON string)
+ * into weight totals per category
+ * @param {Array<object>|string} stored - Stored factors
+ * @returns {object|null} - { factors, weights: { category: percent }, priceWeight } or null without weighted factors
+ */
+function summarizeEvaluationCriteria(stored) {
+  let factors = stored;
+  if (typeof stored === 'string') {
+    try {
+      factors = JSON.parse(stored);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const weighted = (Array.isArray(factors) ? factors : [])
+    .filter(factor => factor && typeof factor.weight === 'number');
+  const total = weighted.reduce((sum, factor) => sum + factor.weight, 0);
+  if (total <= 0) return null;
+
+  const weights = {};
+  weighted.forEach(factor => {
+    const category = factor.category || categorizeFactor(factor.criterion || '');
+    weights[category] = (weights[category] || 0) + (factor.weight / total) * 100;
+  });
+
+  return { factors: weighted, weights, priceWeight: weights.price || 0 };
+}
+
+module.exports = {
+  extractEvaluationCriteria,
+  summarizeEvaluationCriteria,
+  categorizeFactor,
+  findEvaluationSection
+};
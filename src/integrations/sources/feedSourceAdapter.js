@@ -0,0 +1,342 @@
+/**
+ * Feed Source Adapter
+ *
+ * Loads opportunities from a CSV or JSON feed (local file or HTTP URL), e.g. exports
+ * from state and local procurement portals. Feeds are treated as snapshots: every run
+ * reads the whole feed and unchanged records are skipped at storage time.
+ *
+ * Feed columns are mapped to opportunity fields with `fieldMap`; each entry is a column
+ * name (or dotted path for JSON) or a list of candidates, the first non-empty one wins.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const OpportunitySourceAdapter = require('./baseSourceAdapter');
+const {
+  parseDate,
+  truncateString,
+  extractIncumbent,
+  extractRequirementsSummary,
+  extractTags,
+  extractEvaluationCriteria,
+  normalizePlaceOfPerformance,
+  normalizeSourceStatus
+} = require('./normalization');
+const { parseCsvRows, toRecord } = require('../../utils/csv');
+const { logger } = require('../../utils/logger');
+
+const DEFAULT_FIELD_MAP = {
+  externalId: ['id', 'noticeId', 'solicitationNumber', 'solicitation_number', 'bidNumber'],
+  title: ['title', 'name'],
+  description: ['description', 'summary'],
+  agency: ['agency', 'department', 'organization'],
+  office: ['office', 'division'],
+  solicitationNumber: ['solicitationNumber', 'solicitation_number', 'bidNumber'],
+  opportunityType: ['type', 'opportunityType', 'opportunity_type'],
+  naicsCodes: ['naics', 'naicsCodes', 'naics_codes'],
+  pscCodes: ['psc', 'pscCodes', 'psc_codes'],
+  setAside: ['setAside', 'set_aside'],
+  vehicle: ['vehicle', 'contractType', 'contract_type'],
+  postedDate: ['postedDate', 'posted_date', 'publishDate'],
+  dueDate: ['dueDate', 'due_date', 'responseDeadline', 'closingDate'],
+  popStart: ['popStart', 'pop_start'],
+  popEnd: ['popEnd', 'pop_end'],
+  valueLow: ['valueLow', 'value_low', 'minValue'],
+  valueHigh: ['valueHigh', 'value_high', 'maxValue'],
+  valueEstimated: ['estimatedValue', 'value_estimated', 'value'],
+  city: ['city', 'placeOfPerformance.city'],
+  state: ['state', 'placeOfPerformance.state'],
+  zip: ['zip', 'zipCode', 'placeOfPerformance.zip'],
+  country: ['country', 'placeOfPerformance.country'],
+  contactName: ['contactName', 'contact_name', 'contact.name'],
+  contactEmail: ['contactEmail', 'contact_email', 'contact.email'],
+  contactPhone: ['contactPhone', 'contact_phone', 'contact.phone'],
+  attachments: ['attachments', 'documents'],
+  status: ['status', 'noticeStatus', 'notice_status'],
+  archiveDate: ['archiveDate', 'archive_date'],
+  awardee: ['awardee', 'awardeeName', 'awardee_name', 'award.awardee.name'],
+  awardAmount: ['awardAmount', 'award_amount', 'award.amount'],
+  awardDate: ['awardDate', 'award_date', 'award.date'],
+  lastModified: ['lastModified', 'last_modified', 'updatedAt', 'updated_at']
+};
+
+class FeedSourceAdapter extends OpportunitySourceAdapter {
+  /**
+   * @param {object} options - Feed definition
+   * @param {string} options.name - Source key stored in source_ids (e.g. 'georgia_procurement')
+   * @param {string} options.path - Local file path (relative paths resolve from the working directory)
+   * @param {string} options.url - HTTP(S) URL (used when no path is given)
+   * @param {string} options.format - 'csv' or 'json' (inferred from the file extension by default)
+   * @param {string} options.recordsPath - Dotted path to the record array in JSON feeds
+   * @param {string} options.delimiter - CSV delimiter (default ',')
+   * @param {object} options.fieldMap - Overrides for DEFAULT_FIELD_MAP
+   */
+  constructor(options = {}) {
+    if (!options.name || !/^[a-z0-9_]+$/.test(options.name)) {
+      throw new Error('Feed sources require a lowercase name (letters, digits, underscores)');
+    }
+
+    super({ pageSize: 100, ...options });
+    this.path = options.path;
+    this.url = options.url;
+    this.format = (options.format || this.inferFormat()).toLowerCase();
+    this.recordsPath = options.recordsPath;
+    this.delimiter = options.delimiter || ',';
+    this.fieldMap = { ...DEFAULT_FIELD_MAP, ...(options.fieldMap || {}) };
+    this.records = null;
+
+    if (!['csv', 'json'].includes(this.format)) {
+      throw new Error(`Unsupported feed format "${this.format}" for source ${this.name}`);
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.path || this.url);
+  }
+
+  /**
+   * Pages through the feed; the feed is (re)loaded when paging starts at offset 0
+   */
+  async fetchPage({ criteria = {}, offset = 0, limit = this.pageSize } = {}) {
+    if (offset === 0 || !this.records) {
+      this.records = this.filterRecords(await this.loadRecords(), criteria);
+    }
+
+    const opportunities = this.records.slice(offset, offset + limit);
+
+    return {
+      opportunities,
+      total: this.records.length,
+      hasMore: offset + opportunities.length < this.records.length
+    };
+  }
+
+  /**
+   * Reads and parses the feed, dropping records without an external ID
+   */
+  async loadRecords() {
+    const content = await this.readFeed();
+    const records = this.format === 'csv' ? this.parseCsv(content) : this.parseJson(content);
+
+    const identified = records.filter(record => this.getExternalId(record));
+    if (identified.length < records.length) {
+      logger.warn(`⚠️ Skipping ${records.length - identified.length} ${this.name} records without an ID`);
+    }
+
+    logger.info(`📄 Loaded ${identified.length} records from ${this.name} feed`);
+    return identified;
+  }
+
+  async readFeed() {
+    if (this.path) {
+      return fs.readFile(path.resolve(process.cwd(), this.path), 'utf8');
+    }
+
+    const response = await axios.get(this.url, {
+      responseType: 'text',
+      timeout: 30000,
+      headers: { 'User-Agent': 'MyBidFit/1.0' }
+    });
+    return typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+  }
+
+  parseJson(content) {
+    let data = JSON.parse(content);
+
+    if (this.recordsPath) {
+      data = this.getPath(data, this.recordsPath);
+    }
+
+    if (!Array.isArray(data)) {
+      throw new Error(`Feed ${this.name} does not contain a record array${this.recordsPath ? ` at ${this.recordsPath}` : ''}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Parses CSV (RFC 4180: quoted fields, escaped quotes, embedded newlines) into row objects
+   */
+  parseCsv(content) {
+    const [header, ...dataRows] = parseCsvRows(content, { delimiter: this.delimiter });
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+    return dataRows.map(cells => toRecord(columns, cells));
+  }
+
+  /**
+   * Applies the keyword, NAICS and state criteria used for SAM.gov searches
+   */
+  filterRecords(records, criteria = {}) {
+    const keywords = (criteria.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const naicsPrefixes = criteria.naics ? String(criteria.naics).split(',').map(code => code.trim()) : [];
+    const state = criteria.state ? String(criteria.state).toUpperCase() : null;
+
+    return records.filter(record => {
+      if (keywords.length > 0) {
+        const text = `${this.getField(record, 'title') || ''} ${this.getField(record, 'description') || ''}`.toLowerCase();
+        if (!keywords.every(keyword => text.includes(keyword))) return false;
+      }
+
+      if (naicsPrefixes.length > 0) {
+        const codes = this.parseList(this.getField(record, 'naicsCodes'));
+        if (!codes.some(code => naicsPrefixes.some(prefix => code.startsWith(prefix)))) return false;
+      }
+
+      if (state && String(this.getField(record, 'state') || '').toUpperCase() !== state) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  getExternalId(record) {
+    const id = this.getField(record, 'externalId');
+    return id === null || id === undefined || id === '' ? null : String(id);
+  }
+
+  normalize(record) {
+    const title = this.getText(record, 'title');
+    const description = this.getText(record, 'description');
+    const textFields = { title, description };
+    const naicsCodes = this.parseList(this.getField(record, 'naicsCodes'));
+    const pscCodes = this.parseList(this.getField(record, 'pscCodes')).map(code => code.toUpperCase());
+    const evaluation = extractEvaluationCriteria(description);
+
+    const location = {};
+    ['city', 'state', 'zip', 'country'].forEach(field => {
+      const value = this.getText(record, field);
+      if (value) location[field] = field === 'state' ? value.toUpperCase() : value;
+    });
+
+    const contact = {
+      name: this.getText(record, 'contactName'),
+      email: this.getText(record, 'contactEmail'),
+      phone: this.getText(record, 'contactPhone')
+    };
+    const hasContact = Object.values(contact).some(Boolean);
+
+    const award = {
+      awardee_name: truncateString(this.getText(record, 'awardee'), 255),
+      award_amount: this.parseAmount(this.getField(record, 'awardAmount')),
+      award_date: parseDate(this.getField(record, 'awardDate'))
+    };
+    const hasAward = Object.values(award).some(value => value !== null && value !== undefined);
+
+    return {
+      source_ids: {
+        [this.name]: this.getExternalId(record)
+      },
+      title: truncateString(title, 500),
+      description,
+      agency: truncateString(this.getText(record, 'agency'), 255),
+      office: truncateString(this.getText(record, 'office'), 255),
+      naics_codes: JSON.stringify(naicsCodes),
+      psc_codes: JSON.stringify(pscCodes),
+      set_aside: truncateString(this.getText(record, 'setAside'), 100),
+      ...normalizePlaceOfPerformance(location),
+      vehicle: truncateString(this.getText(record, 'vehicle'), 255),
+      pop_start: parseDate(this.getField(record, 'popStart')),
+      pop_end: parseDate(this.getField(record, 'popEnd')),
+      due_date: parseDate(this.getField(record, 'dueDate')),
+      posted_date: parseDate(this.getField(record, 'postedDate')),
+      value_low: this.parseAmount(this.getField(record, 'valueLow')),
+      value_high: this.parseAmount(this.getField(record, 'valueHigh')),
+      value_estimated: this.parseAmount(this.getField(record, 'valueEstimated')),
+      incumbent: extractIncumbent(textFields),
+      solicitation_number: truncateString(this.getText(record, 'solicitationNumber'), 100),
+      opportunity_type: truncateString(this.getText(record, 'opportunityType'), 50),
+      requirements_summary: extractRequirementsSummary(textFields),
+      evaluation_criteria: JSON.stringify(evaluation.factors),
+      award_basis: evaluation.basisOfAward,
+      parsed_tags: JSON.stringify(extractTags({ ...textFields, naicsCodes, pscCodes })),
+      raw_text: truncateString(description, 10000),
+      attachments: JSON.stringify(this.parseAttachments(this.getField(record, 'attachments'))),
+      contacts: JSON.stringify(hasContact ? [{ type: 'primary', ...contact }] : []),
+      amendments: JSON.stringify([]),
+      // Left empty without a source timestamp, so storage compares the record's content instead
+      last_updated_source: parseDate(this.getField(record, 'lastModified')),
+      source_status: normalizeSourceStatus({
+        status: this.getText(record, 'status'),
+        opportunityType: this.getText(record, 'opportunityType'),
+        title,
+        awarded: hasAward
+      }),
+      archive_date: parseDate(this.getField(record, 'archiveDate')),
+      ...(hasAward ? award : {})
+    };
+  }
+
+  // Helper methods
+
+  inferFormat() {
+    const location = this.path || this.url || '';
+    return path.extname(location.split('?')[0]).replace('.', '') || 'json';
+  }
+
+  getField(record, field) {
+    const candidates = [].concat(this.fieldMap[field] || []);
+
+    for (const candidate of candidates) {
+      const value = candidate in record ? record[candidate] : this.getPath(record, candidate);
+      if (value !== undefined && value !== null && value !== '') {
+        return value;
+      }
+    }
+
+    return null;
+  }
+
+  getText(record, field) {
+    const value = this.getField(record, field);
+    if (value === null) return null;
+    const text = String(value).trim();
+    return text.length > 0 ? text : null;
+  }
+
+  getPath(data, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+  }
+
+  parseList(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(/[,;|]/);
+    return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+  }
+
+  parseAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const amount = parseFloat(String(value).replace(/[$,\s]/g, ''));
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  parseAttachments(value) {
+    if (!value) return [];
+
+    const items = Array.isArray(value) ? value : String(value).split(/[\s;|]+/).filter(Boolean);
+    return items.map(item => {
+      if (typeof item === 'object') {
+        return { filename: item.filename || item.name || null, url: item.url || null };
+      }
+      const segment = item.split('/').pop().split('?')[0];
+      return { filename: this.decodeSegment(segment) || null, url: item };
+    });
+  }
+
+  /**
+   * URL-decodes a path segment, keeping it as-is when it has a malformed escape (e.g. %E0%A4%A)
+   */
+  decodeSegment(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  }
+}
+
+module.exports = FeedSourceAdapter;
@@ -0,0 +1,98 @@
+/**
+ * Opportunity Source Registry
+ *
+ * Named source adapters available to ingestion. SAM.gov is always registered;
+ * CSV/JSON feeds are registered from feed definitions (see loadFeedDefinitions).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OpportunitySourceAdapter = require('./baseSourceAdapter');
+const SamSourceAdapter = require('./samSourceAdapter');
+const FeedSourceAdapter = require('./feedSourceAdapter');
+const { logger } = require('../../utils/logger');
+
+const ADAPTER_TYPES = {
+  sam_gov: SamSourceAdapter,
+  feed: FeedSourceAdapter
+};
+
+const registeredAdapters = new Map();
+
+/**
+ * Creates an adapter from a definition: { type: 'sam_gov' | 'feed', ...options }
+ */
+function createSourceAdapter(definition = {}) {
+  const { type = 'feed', ...options } = definition;
+  const AdapterClass = ADAPTER_TYPES[type];
+
+  if (!AdapterClass) {
+    throw new Error(`Unknown opportunity source type: ${type}`);
+  }
+
+  return new AdapterClass(options);
+}
+
+/**
+ * Registers an adapter instance under its name (replacing any adapter with that name)
+ */
+function registerSourceAdapter(adapter) {
+  if (!(adapter instanceof OpportunitySourceAdapter) || !adapter.name) {
+    throw new Error('Source adapters must extend OpportunitySourceAdapter and have a name');
+  }
+
+  registeredAdapters.set(adapter.name, adapter);
+  return adapter;
+}
+
+function hasSourceAdapter(name) {
+  return registeredAdapters.has(name);
+}
+
+function getSourceAdapter(name) {
+  const adapter = registeredAdapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown opportunity source: ${name}`);
+  }
+  return adapter;
+}
+
+function listSourceAdapters() {
+  return Array.from(registeredAdapters.values()).map(adapter => ({
+    name: adapter.name,
+    displayName: adapter.displayName,
+    type: adapter instanceof SamSourceAdapter ? 'sam_gov' : 'feed',
+    configured: adapter.isConfigured()
+  }));
+}
+
+/**
+ * Registers feed sources from a JSON file containing an array of feed definitions
+ * @param {string} filePath - Path to the definitions file
+ * @returns {Array<string>} - Names of the registered sources
+ */
+function loadFeedDefinitions(filePath) {
+  const definitions = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), filePath), 'utf8'));
+
+  if (!Array.isArray(definitions)) {
+    throw new Error(`Feed definitions file ${filePath} must contain an array`);
+  }
+
+  const names = definitions.map(definition => registerSourceAdapter(createSourceAdapter(definition)).name);
+  logger.info(`📄 Registered ${names.length} opportunity feed source(s): ${names.join(', ')}`);
+  return names;
+}
+
+registerSourceAdapter(new SamSourceAdapter());
+
+module.exports = {
+  OpportunitySourceAdapter,
+  SamSourceAdapter,
+  FeedSourceAdapter,
+  createSourceAdapter,
+  registerSourceAdapter,
+  hasSourceAdapter,
+  getSourceAdapter,
+  listSourceAdapters,
+  loadFeedDefinitions
+};
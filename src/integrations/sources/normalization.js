@@ -0,0 +1,112 @@
+/**
+ * Shared normalization helpers for opportunity source adapters
+ *
+ * Every adapter normalizes its raw records to the gov_opportunities row shape;
+ * these helpers keep text truncation, date parsing and text-derived fields
+ * (incumbent, requirements summary, tags, evaluation criteria) consistent across sources.
+ * Places of performance are normalized and geocoded against the shared gazetteer.
+ */
+
+const { extractEvaluationCriteria } = require('./evaluationCriteria');
+const { getCapabilityTaxonomy } = require('../../utils/capabilityTaxonomy');
+const { getGazetteer } = require('../../utils/gazetteer');
+
+function parseDate(dateString) {
+  if (!dateString) return null;
+  try {
+    const date = new Date(dateString);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  } catch (error) {
+    return null;
+  }
+}
+
+function truncateString(str, maxLength) {
+  if (!str || typeof str !== 'string') return null;
+  return str.length > maxLength ? str.substring(0, maxLength - 3) + '...' : str;
+}
+
+function extractIncumbent(opportunity) {
+  const description = (opportunity.description || '').toLowerCase();
+  const incumbentPatterns = [
+    /incumbent[:\s]*([^,.;]+)/i,
+    /current contractor[:\s]*([^,.;]+)/i,
+    /existing vendor[:\s]*([^,.;]+)/i
+  ];
+
+  for (const pattern of incumbentPatterns) {
+    const match = description.match(pattern);
+    if (match && match[1]) {
+      return truncateString(match[1].trim(), 255);
+    }
+  }
+
+  return null;
+}
+
+function extractRequirementsSummary(opportunity) {
+  const description = opportunity.description || '';
+
+  // Extract first few sentences as summary
+  const sentences = description.split(/[.!?]+/).filter(s => s.trim().length > 0);
+  const summary = sentences.slice(0, 3).join('. ');
+
+  return truncateString(summary, 1000);
+}
+
+/**
+ * Canonical capability taxonomy IDs for an opportunity
+ * @param {object} opportunity - { title, description, naicsCodes, pscCodes }
+ * @returns {Array<string>}
+ */
+function extractTags(opportunity) {
+  return getCapabilityTaxonomy().tagOpportunity(opportunity);
+}
+
+/**
+ * Place-of-performance columns: the normalized location (state/county/ZIP/CBSA) as JSON and
+ * its geocoded point with the precision of the match ('zip', 'place', 'county' or 'state')
+ */
+function normalizePlaceOfPerformance(location) {
+  const normalized = getGazetteer().normalizeLocation(location);
+  const { latitude = null, longitude = null, precision = null, ...place } = normalized || {};
+
+  return {
+    place_of_performance: JSON.stringify(place),
+    pop_latitude: latitude,
+    pop_longitude: longitude,
+    pop_geocode_precision: precision
+  };
+}
+
+/**
+ * Lifecycle state the source reports for a notice
+ * @param {object} signals
+ * @param {string} signals.status - Status value from the source (e.g. 'Open', 'Cancelled', 'Awarded')
+ * @param {boolean} signals.active - Whether the source still lists the notice as active
+ * @param {string} signals.opportunityType - Notice type (SAM.gov posts awards as 'Award Notice')
+ * @param {string} signals.title - Notice title (cancellations are posted as 'CANCELLED - ...')
+ * @param {boolean} signals.awarded - Whether the notice carries award details
+ * @returns {string} - 'active', 'inactive', 'cancelled' or 'awarded'
+ */
+function normalizeSourceStatus({ status, active, opportunityType, title, awarded = false } = {}) {
+  const statusText = String(status || '').toLowerCase();
+
+  if (awarded || /award/.test(statusText) || /award/i.test(opportunityType || '')) return 'awarded';
+  if (/cancel/.test(statusText) || /cancel/i.test(opportunityType || '') || /^\W*cancell?(ed|ation)\b/i.test(title || '')) {
+    return 'cancelled';
+  }
+  if (active === false || /inactive|closed|archived|expired/.test(statusText)) return 'inactive';
+  return 'active';
+}
+
+module.exports = {
+  parseDate,
+  truncateString,
+  extractIncumbent,
+  extractRequirementsSummary,
+  extractTags,
+  extractEvaluationCriteria,
+  normalizePlaceOfPerformance,
+  normalizeSourceStatus
+};
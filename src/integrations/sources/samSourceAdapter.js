@@ -0,0 +1,179 @@
+/**
+ * SAM.gov Source Adapter
+ *
+ * Wraps the SAM.gov integration (src/integrations/sam.js) in the source adapter contract:
+ * search pages, batched detail fetches, and normalization of enhanced SAM.gov notices.
+ */
+
+const samService = require('../sam');
+const OpportunitySourceAdapter = require('./baseSourceAdapter');
+const {
+  parseDate,
+  truncateString,
+  extractIncumbent,
+  extractRequirementsSummary,
+  extractTags,
+  extractEvaluationCriteria,
+  normalizePlaceOfPerformance,
+  normalizeSourceStatus
+} = require('./normalization');
+
+class SamSourceAdapter extends OpportunitySourceAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'sam_gov',
+      displayName: 'SAM.gov',
+      pageSize: 100, // SAM.gov maximum records per request
+      pageDelayMs: 100,
+      ...options
+    });
+    this.detailBatchSize = options.detailBatchSize || 3; // Conservative batch size for detail fetching
+    this.detailDelayMs = options.detailDelayMs ?? 1500; // Be respectful to the API
+    this.priority = options.priority || 'background'; // Ingestion must not starve interactive searches
+  }
+
+  isConfigured() {
+    return samService.isConfigured();
+  }
+
+  validateConfiguration() {
+    if (!this.isConfigured()) {
+      throw new Error('SAM.gov API key not configured. Please set SAM_GOV_API_KEY environment variable.');
+    }
+  }
+
+  async fetchPage({ criteria = {}, offset = 0, limit = this.pageSize } = {}) {
+    const response = await samService.fetchOpportunities({ ...criteria, limit, offset }, { priority: this.priority });
+
+    const opportunities = response.opportunitiesData || response._embedded?.opportunities || [];
+    const total = response.totalRecords ?? response.page?.totalElements ?? opportunities.length;
+
+    return {
+      opportunities,
+      total,
+      hasMore: opportunities.length >= limit && offset + opportunities.length < total
+    };
+  }
+
+  async fetchDetails(opportunities) {
+    const noticeIds = opportunities.map(opp => this.getExternalId(opp)).filter(id => id);
+
+    // No valid notice IDs, use basic data
+    if (noticeIds.length === 0) {
+      return super.fetchDetails(opportunities);
+    }
+
+    const detailResults = await samService.fetchOpportunityDetailsBatch(noticeIds, {
+      batchSize: this.detailBatchSize,
+      delayBetweenBatches: this.detailDelayMs,
+      priority: this.priority
+    });
+
+    // Keep the search record with each failure so the detail fetch can be retried later
+    const recordsById = new Map(opportunities.map(opp => [this.getExternalId(opp), opp]));
+
+    return {
+      successful: detailResults.successful,
+      failed: detailResults.failed.map(failure => ({
+        ...failure,
+        externalId: failure.noticeId,
+        record: recordsById.get(failure.noticeId) || { noticeId: failure.noticeId }
+      }))
+    };
+  }
+
+  async enrich(opportunity) {
+    return samService.enhanceOpportunityDetails(opportunity);
+  }
+
+  getExternalId(opportunity) {
+    return opportunity.noticeId || null;
+  }
+
+  getDedupeKeys(opp) {
+    return [
+      opp.noticeId,
+      opp.solicitationNumber,
+      `${opp.title}_${opp.department}_${opp.postedDate}`.toLowerCase().replace(/\s+/g, '_')
+    ].filter(key => key);
+  }
+
+  normalize(opportunity) {
+    const parsed = opportunity._parsed || {};
+    const evaluation = extractEvaluationCriteria(opportunity.description);
+    const award = this.normalizeAward(opportunity.award);
+
+    return {
+      source_ids: {
+        sam_gov: opportunity.noticeId || null
+      },
+      title: truncateString(opportunity.title || parsed.title, 500),
+      description: opportunity.description || parsed.description,
+      agency: truncateString(opportunity.department || parsed.agency?.name, 255),
+      office: truncateString(opportunity.office || parsed.agency?.office, 255),
+      naics_codes: JSON.stringify(parsed.naicsCodes || []),
+      psc_codes: JSON.stringify(parsed.pscCodes || []),
+      set_aside: truncateString(parsed.setAside, 100),
+      ...normalizePlaceOfPerformance(parsed.location),
+      vehicle: truncateString(opportunity.typeOfContract, 255),
+      pop_start: parseDate(parsed.dates?.popStart),
+      pop_end: parseDate(parsed.dates?.popEnd),
+      due_date: parseDate(parsed.dates?.due || opportunity.responseDeadLine),
+      posted_date: parseDate(parsed.dates?.posted || opportunity.postedDate),
+      value_low: parsed.financial?.minimumValue,
+      value_high: parsed.financial?.maximumValue,
+      value_estimated: parsed.financial?.estimatedValue,
+      incumbent: extractIncumbent(opportunity),
+      solicitation_number: truncateString(
+        opportunity.solicitationNumber || parsed.classification?.solicitationNumber, 100
+      ),
+      opportunity_type: truncateString(
+        opportunity.type || parsed.classification?.type, 50
+      ),
+      requirements_summary: extractRequirementsSummary(opportunity),
+      evaluation_criteria: JSON.stringify(evaluation.factors),
+      award_basis: evaluation.basisOfAward,
+      parsed_tags: JSON.stringify(extractTags({
+        title: opportunity.title || parsed.title,
+        description: opportunity.description || parsed.description,
+        naicsCodes: parsed.naicsCodes,
+        pscCodes: parsed.pscCodes
+      })),
+      raw_text: truncateString(opportunity.description, 10000),
+      attachments: JSON.stringify(parsed.attachments || []),
+      contacts: JSON.stringify(parsed.contacts || []),
+      amendments: JSON.stringify(parsed.amendments || []),
+      last_updated_source: parseDate(opportunity.lastModified || new Date()),
+      // processing_status is left to the lifecycle service, which reads these signals
+      source_status: normalizeSourceStatus({
+        active: opportunity.active === undefined || opportunity.active === null
+          ? undefined
+          : !['no', 'false'].includes(String(opportunity.active).toLowerCase()),
+        opportunityType: opportunity.type || parsed.classification?.type,
+        title: opportunity.title || parsed.title,
+        awarded: Boolean(award)
+      }),
+      archive_date: parseDate(opportunity.archiveDate),
+      ...award
+    };
+  }
+
+  /**
+   * Award columns from the award block of SAM.gov award notices
+   * Notices without an award return nothing, so updates keep an award recorded earlier.
+   */
+  normalizeAward(award) {
+    if (!award || (!award.awardee?.name && !award.amount && !award.date)) return null;
+
+    const amount = parseFloat(String(award.amount ?? '').replace(/[$,]/g, ''));
+    return {
+      awardee_name: truncateString(award.awardee?.name, 255),
+      awardee_uei: truncateString(award.awardee?.ueiSAM, 20),
+      award_amount: isNaN(amount) ? null : amount,
+      award_date: parseDate(award.date),
+      award_number: truncateString(award.number, 100)
+    };
+  }
+}
+
+module.exports = SamSourceAdapter;
@@ -0,0 +1,1551 @@
+const express = require('express');
+const { logger } = require('../utils/logger');
+const { validate, idParamSchema } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimit');
+const {
+  ingestionRunListSchema,
+  ingestionTriggerSchema,
+  detailFailureListSchema,
+  attachmentProcessSchema,
+  embeddingRefreshSchema
+} = require('../schemas/ingestion.schema');
+const { taxonomyNodeSchema, taxonomyNodeParamSchema } = require('../schemas/taxonomy.schema');
+const {
+  dedupRunListSchema,
+  dedupTriggerSchema,
+  dedupReviewListSchema,
+  dedupReviewDecisionSchema,
+  labeledPairListSchema
+} = require('../schemas/dedup.schema');
+const { entityResolveSchema, entityPinSchema } = require('../schemas/entity.schema');
+const { lifecycleSweepSchema, lifecycleTransitionSchema } = require('../schemas/lifecycle.schema');
+const { awardImportListSchema } = require('../schemas/award.schema');
+const {
+  qualityRuleParamSchema,
+  qualityRuleOverrideSchema,
+  qualityRescoreSchema,
+  qualityReportSchema
+} = require('../schemas/quality.schema');
+const { regeocodeSchema } = require('../schemas/geocoding.schema');
+const {
+  scoringJobListSchema,
+  scoringJobEnqueueSchema,
+  scoringVersionParamSchema,
+  scoringVersionSchema,
+  scoringVersionStatusSchema,
+  scoringVersionReplaySchema,
+  scoringVersionCompareSchema
+} = require('../schemas/scoring.schema');
+const IngestionScheduler = require('../services/ingestionScheduler');
+const GovernmentOpportunityIngestionService = require('../services/governmentOpportunityIngestionService');
+const OpportunityDetailFailureService = require('../services/opportunityDetailFailureService');
+const OpportunityAttachmentService = require('../services/opportunityAttachmentService');
+const CapabilityTaxonomyService = require('../services/capabilityTaxonomyService');
+const OpportunityDeduplicationService = require('../services/opportunityDeduplicationService');
+const EmbeddingService = require('../services/embeddingService');
+const OpportunityEntityService = require('../services/opportunityEntityService');
+const OpportunityLifecycleService = require('../services/opportunityLifecycleService');
+const AwardHistoryService = require('../services/awardHistoryService');
+const DataQualityService = require('../services/dataQualityService');
+const GeocodingService = require('../services/geocodingService');
+const ScoringJobService = require('../services/scoringJobService');
+const ScoringVersionService = require('../services/scoringVersionService');
+const { hasSourceAdapter, listSourceAdapters } = require('../integrations/sources');
+const samService = require('../integrations/sam');
+
+const router = express.Router();
+const ingestionScheduler = IngestionScheduler.getInstance();
+const detailFailureService = new OpportunityDetailFailureService();
+const attachmentService = new OpportunityAttachmentService();
+const taxonomyService = new CapabilityTaxonomyService();
+const deduplicationService = new OpportunityDeduplicationService();
+const embeddingService = new EmbeddingService();
+const entityService = new OpportunityEntityService();
+const lifecycleService = new OpportunityLifecycleService();
+const awardHistoryService = new AwardHistoryService();
+const dataQualityService = new DataQualityService();
+const geocodingService = new GeocodingService();
+const scoringJobService = new ScoringJobService();
+const scoringVersionService = new ScoringVersionService();
+
+// All admin routes require an authenticated admin
+router.use(authenticateToken);
+router.use(requireAdmin);
+router.use(apiLimiter);
+
+/**
+ * GET /admin/ingestion/runs - List ingestion runs, newest first, with scheduler status
+ */
+router.get('/ingestion/runs', validate(ingestionRunListSchema, 'query'), async (req, res) => {
+  try {
+    const { runs, total } = await ingestionScheduler.listRuns(req.query);
+
+    res.json({
+      success: true,
+      runs,
+      total,
+      scheduler: ingestionScheduler.getStatus(),
+      pagination: {
+        limit: req.query.limit,
+        offset: req.query.offset,
+        hasMore: req.query.offset + runs.length < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing ingestion runs:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list ingestion runs'
+    });
+  }
+});
+
+/**
+ * GET /admin/ingestion/runs/:id - Ingestion run details including errors
+ */
+router.get('/ingestion/runs/:id', validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const run = await ingestionScheduler.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ingestion run not found',
+        runId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      run
+    });
+
+  } catch (error) {
+    logger.error('Error fetching ingestion run:', {
+      error: error.message,
+      runId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ingestion run'
+    });
+  }
+});
+
+/**
+ * GET /admin/ingestion/detail-failures - Opportunities whose detail fetch failed, queued for retry
+ */
+router.get('/ingestion/detail-failures', validate(detailFailureListSchema, 'query'), async (req, res) => {
+  try {
+    const { failures, total } = await detailFailureService.listFailures(req.query);
+
+    res.json({
+      success: true,
+      failures,
+      total,
+      pagination: {
+        limit: req.query.limit,
+        offset: req.query.offset,
+        hasMore: req.query.offset + failures.length < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing detail failures:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list detail failures'
+    });
+  }
+});
+
+/**
+ * POST /admin/attachments/process - Download and extract attachments now
+ * Processes one opportunity when opportunityId is given, otherwise the next `limit` opportunities
+ * with pending attachments. Responds when processing has finished.
+ */
+router.post('/attachments/process', validate(attachmentProcessSchema, 'body'), async (req, res) => {
+  try {
+    const { opportunityId, limit } = req.body;
+
+    if (opportunityId) {
+      const result = await attachmentService.processOpportunity(opportunityId);
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Opportunity not found',
+          opportunityId
+        });
+      }
+      return res.json({ success: true, result });
+    }
+
+    res.json({
+      success: true,
+      result: await attachmentService.processPendingOpportunities({ limit })
+    });
+
+  } catch (error) {
+    logger.error('Error processing attachments:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process attachments'
+    });
+  }
+});
+
+/**
+ * POST /admin/embeddings/refresh - Embed new and changed opportunities now
+ * Ingestion does this after every run; use it after switching EMBEDDING_PROVIDER or to backfill.
+ * Responds when the batch has been embedded.
+ */
+router.post('/embeddings/refresh', validate(embeddingRefreshSchema, 'body'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      result: await embeddingService.refreshOpportunityEmbeddings({ limit: req.body.limit })
+    });
+
+  } catch (error) {
+    logger.error('Error refreshing embeddings:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh embeddings'
+    });
+  }
+});
+
+/**
+ * GET /admin/sam/status - SAM.gov configuration, cache statistics and remaining daily quota
+ */
+router.get('/sam/status', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      status: {
+        ...samService.getStatus(),
+        quota: await samService.getQuotaStatus(),
+        cache: samService.getCacheStats()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching SAM.gov status:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch SAM.gov status'
+    });
+  }
+});
+
+/**
+ * GET /admin/ingestion/sources - List registered opportunity sources
+ */
+router.get('/ingestion/sources', (req, res) => {
+  res.json({
+    success: true,
+    sources: listSourceAdapters()
+  });
+});
+
+/**
+ * POST /admin/ingestion/runs - Trigger an ingestion run manually
+ * Responds as soon as the run is recorded; poll the run for its outcome.
+ */
+router.post('/ingestion/runs', validate(ingestionTriggerSchema, 'body'), async (req, res) => {
+  try {
+    const { mode, searchCriteria, maxOpportunities, sources } = req.body;
+    const userId = req.user.id;
+
+    const unknownSources = (sources || []).filter(name => !hasSourceAdapter(name));
+    if (unknownSources.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown opportunity source(s): ${unknownSources.join(', ')}`
+      });
+    }
+
+    logger.info(`Admin ${userId} triggering ${mode} ingestion run`, { searchCriteria, maxOpportunities, sources });
+
+    const result = await ingestionScheduler.startRun({
+      trigger: 'manual',
+      triggeredBy: userId,
+      mode,
+      searchCriteria,
+      maxOpportunities,
+      sources
+    });
+
+    if (!result.started) {
+      return res.status(409).json({
+        success: false,
+        error: 'Ingestion run already in progress',
+        activeRunId: ingestionScheduler.getStatus().activeRunId
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      runId: result.runId,
+      status: 'running'
+    });
+
+  } catch (error) {
+    logger.error('Error triggering ingestion run:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to trigger ingestion run'
+    });
+  }
+});
+
+/**
+ * POST /admin/ingestion/dry-run - Preview an ingestion run: the inserts and updates it would make
+ * Nothing is stored and no run is recorded, so a dry run may overlap a real run.
+ */
+router.post('/ingestion/dry-run', validate(ingestionTriggerSchema, 'body'), async (req, res) => {
+  try {
+    const { mode, searchCriteria, maxOpportunities = 100, sources } = req.body;
+
+    const unknownSources = (sources || []).filter(name => !hasSourceAdapter(name));
+    if (unknownSources.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown opportunity source(s): ${unknownSources.join(', ')}`
+      });
+    }
+
+    logger.info(`Admin ${req.user.id} running ${mode} ingestion dry run`, { searchCriteria, maxOpportunities, sources });
+
+    // A separate service instance, so the preview never mixes with the statistics of a real run
+    const report = await new GovernmentOpportunityIngestionService().ingestOpportunities({
+      mode,
+      searchCriteria,
+      maxOpportunities,
+      ...(sources ? { sources } : {}),
+      dryRun: true
+    });
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    logger.error('Error running ingestion dry run:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run ingestion dry run',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/taxonomy - Capability taxonomy with built-in and extension nodes
+ */
+router.get('/taxonomy', async (req, res) => {
+  try {
+    const nodes = await taxonomyService.listNodes();
+
+    res.json({
+      success: true,
+      nodes,
+      total: nodes.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing capability taxonomy:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list capability taxonomy'
+    });
+  }
+});
+
+/**
+ * PUT /admin/taxonomy/nodes - Add a capability node, or extend an existing one with synonyms and NAICS/PSC prefixes
+ * New tags apply to opportunities ingested or updated afterwards.
+ */
+router.put('/taxonomy/nodes', validate(taxonomyNodeSchema, 'body'), async (req, res) => {
+  try {
+    await taxonomyService.refresh();
+    const validationError = taxonomyService.validateNode(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const node = await taxonomyService.upsertNode(req.body, req.user.id);
+
+    res.json({
+      success: true,
+      node
+    });
+
+  } catch (error) {
+    logger.error('Error saving capability taxonomy node:', {
+      error: error.message,
+      nodeId: req.body?.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save capability taxonomy node'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/taxonomy/nodes/:id - Remove an extension; built-in nodes revert to their built-in definition
+ */
+router.delete('/taxonomy/nodes/:id', validate(taxonomyNodeParamSchema, 'params'), async (req, res) => {
+  try {
+    const deleted = await taxonomyService.deleteNode(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Taxonomy extension not found',
+        nodeId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      nodeId: req.params.id
+    });
+
+  } catch (error) {
+    logger.error('Error deleting capability taxonomy node:', {
+      error: error.message,
+      nodeId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete capability taxonomy node'
+    });
+  }
+});
+
+/**
+ * GET /admin/dedup/runs - List deduplication runs, newest first
+ */
+router.get('/dedup/runs', validate(dedupRunListSchema, 'query'), async (req, res) => {
+  try {
+    const runs = await deduplicationService.listRuns(req.query);
+
+    res.json({
+      success: true,
+      runs,
+      pagination: {
+        limit: req.query.limit,
+        offset: req.query.offset
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing deduplication runs:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list deduplication runs'
+    });
+  }
+});
+
+/**
+ * GET /admin/dedup/runs/:id - Deduplication run with its proposed, applied and undone merges
+ */
+router.get('/dedup/runs/:id', validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const run = await deduplicationService.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deduplication run not found',
+        runId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      run
+    });
+
+  } catch (error) {
+    logger.error('Error fetching deduplication run:', {
+      error: error.message,
+      runId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deduplication run'
+    });
+  }
+});
+
+/**
+ * POST /admin/dedup/runs - Trigger a deduplication run (dry by default)
+ * Responds as soon as the run is recorded; poll the run for its outcome.
+ */
+router.post('/dedup/runs', validate(dedupTriggerSchema, 'body'), async (req, res) => {
+  try {
+    const { dryRun, matchThreshold, agency, maxOpportunities } = req.body;
+    const userId = req.user.id;
+
+    if (!dryRun) {
+      const activeRun = await deduplicationService.getActiveMergeRun();
+      if (activeRun) {
+        return res.status(409).json({
+          success: false,
+          error: 'Deduplication run already merging opportunities',
+          activeRunId: activeRun.id
+        });
+      }
+    }
+
+    const options = {
+      dryRun,
+      matchThreshold: matchThreshold ?? deduplicationService.deduplicationConfig.moderateMatchThreshold,
+      agencyFilter: agency || null,
+      maxOpportunities,
+      triggeredBy: userId
+    };
+
+    logger.info(`Admin ${userId} triggering ${dryRun ? 'dry' : 'merging'} deduplication run`, { matchThreshold, agency, maxOpportunities });
+
+    const runId = await deduplicationService.startRun({ ...options, options });
+
+    deduplicationService.deduplicateExistingOpportunities({ ...options, runId }).catch(error => {
+      logger.error('❌ Deduplication run failed', { runId, error: error.message });
+    });
+
+    res.status(202).json({
+      success: true,
+      runId,
+      dryRun,
+      status: 'running'
+    });
+
+  } catch (error) {
+    logger.error('Error triggering deduplication run:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to trigger deduplication run'
+    });
+  }
+});
+
+/**
+ * POST /admin/dedup/actions/:id/undo - Restore a merged group from its recorded merge
+ */
+router.post('/dedup/actions/:id/undo', validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const result = await deduplicationService.mergeService.undoMerge(req.params.id, req.user.id);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Deduplication action not found',
+        actionId: req.params.id
+      });
+    }
+
+    if (result.status !== 'undone') {
+      return res.status(409).json({
+        success: false,
+        error: result.error,
+        actionId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      action: result.action
+    });
+
+  } catch (error) {
+    logger.error('Error undoing deduplication merge:', {
+      error: error.message,
+      actionId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to undo deduplication merge'
+    });
+  }
+});
+
+/**
+ * GET /admin/dedup/review - Duplicate groups waiting for review (or decided ones, by status)
+ */
+router.get('/dedup/review', validate(dedupReviewListSchema, 'query'), async (req, res) => {
+  try {
+    const { items, total } = await deduplicationService.reviewService.listItems(req.query);
+
+    res.json({
+      success: true,
+      items,
+      total,
+      pagination: {
+        limit: req.query.limit,
+        offset: req.query.offset,
+        hasMore: req.query.offset + items.length < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing duplicate review queue:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list duplicate review queue'
+    });
+  }
+});
+
+/**
+ * GET /admin/dedup/review/:id - Queued group side by side with the per-field similarity of each pair
+ */
+router.get('/dedup/review/:id', validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const item = await deduplicationService.reviewService.getItem(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review item not found',
+        itemId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      item,
+      fieldWeights: deduplicationService.deduplicationConfig.fieldWeights
+    });
+
+  } catch (error) {
+    logger.error('Error fetching duplicate review item:', {
+      error: error.message,
+      itemId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch duplicate review item'
+    });
+  }
+});
+
+/**
+ * POST /admin/dedup/review/:id/decision - Approve (merge), reject or split a queued group
+ */
+router.post('/dedup/review/:id/decision', validate(idParamSchema, 'params'), validate(dedupReviewDecisionSchema, 'body'), async (req, res) => {
+  try {
+    const result = await deduplicationService.reviewService.decide(req.params.id, req.body, req.user.id);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Review item not found',
+        itemId: req.params.id
+      });
+    }
+
+    if (result.status === 'already_decided') {
+      return res.status(409).json({
+        success: false,
+        error: `Review item is already ${result.item.status}`,
+        itemId: req.params.id
+      });
+    }
+
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      item: result.item,
+      actions: result.actions
+    });
+
+  } catch (error) {
+    logger.error('Error recording duplicate review decision:', {
+      error: error.message,
+      itemId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record duplicate review decision'
+    });
+  }
+});
+
+/**
+ * GET /admin/dedup/labeled-pairs - Reviewer-labeled pairs with per-field similarity, for tuning field weights
+ */
+router.get('/dedup/labeled-pairs', validate(labeledPairListSchema, 'query'), async (req, res) => {
+  try {
+    const { pairs, total } = await deduplicationService.reviewService.listLabeledPairs(req.query);
+
+    res.json({
+      success: true,
+      pairs,
+      total,
+      fieldWeights: deduplicationService.deduplicationConfig.fieldWeights,
+      pagination: {
+        limit: req.query.limit,
+        offset: req.query.offset,
+        hasMore: req.query.offset + pairs.length < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing labeled duplicate pairs:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list labeled duplicate pairs'
+    });
+  }
+});
+
+/**
+ * POST /admin/entities/resolve - Link opportunity records across stores into canonical entities
+ * Ingestion does this after every run. Responds when resolution has finished; 409 while another
+ * resolution is running.
+ */
+router.post('/entities/resolve', validate(entityResolveSchema, 'body'), async (req, res) => {
+  try {
+    const result = await entityService.resolve(req.body);
+
+    if (result.status === 'locked') {
+      return res.status(409).json({
+        success: false,
+        error: 'An entity resolution is already running'
+      });
+    }
+
+    res.json({
+      success: true,
+      result
+    });
+
+  } catch (error) {
+    logger.error('Error resolving opportunity entities:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve opportunity entities'
+    });
+  }
+});
+
+/**
+ * PUT /admin/entities/links - Pin a source record to an entity ({ sourceTable, recordId, entityId })
+ * Without entityId the record is split off into an entity of its own. Later resolutions leave
+ * pinned records where they are.
+ */
+router.put('/entities/links', validate(entityPinSchema, 'body'), async (req, res) => {
+  try {
+    const result = await entityService.pinRecord(req.body, req.user.id);
+
+    if (result.status !== 'pinned') {
+      return res.status(404).json({
+        success: false,
+        error: result.status === 'entity_not_found' ? 'Entity not found' : 'Source record has not been resolved yet',
+        ...req.body
+      });
+    }
+
+    res.json({
+      success: true,
+      entity: await entityService.getEntity(result.entityId)
+    });
+
+  } catch (error) {
+    logger.error('Error pinning opportunity entity link:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pin opportunity record'
+    });
+  }
+});
+
+/**
+ * POST /admin/lifecycle/sweep - Move opportunities to the lifecycle state their signals call for
+ * Closes past-due and inactive opportunities, applies cancellations and awards, archives finished ones.
+ * Ingestion does this after every run.
+ */
+router.post('/lifecycle/sweep', validate(lifecycleSweepSchema, 'body'), async (req, res) => {
+  try {
+    const result = await lifecycleService.sweep({
+      limit: req.body.limit,
+      triggeredBy: 'admin',
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      result
+    });
+
+  } catch (error) {
+    logger.error('Error running opportunity lifecycle sweep:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run lifecycle sweep'
+    });
+  }
+});
+
+/**
+ * PUT /admin/opportunities/:id/status - Move an opportunity to another lifecycle state
+ * Body: { status, reason?, award? }. Transitions the lifecycle does not allow (e.g. awarded -> active)
+ * are rejected with 409 and the states that are allowed.
+ */
+router.put('/opportunities/:id/status', validate(idParamSchema, 'params'), validate(lifecycleTransitionSchema, 'body'), async (req, res) => {
+  try {
+    const { status, reason, award } = req.body;
+    const result = await lifecycleService.transition(req.params.id, status, {
+      reason,
+      award,
+      userId: req.user.id
+    });
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Opportunity not found',
+        opportunityId: req.params.id
+      });
+    }
+
+    if (result.status === 'invalid_transition') {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot move an opportunity from ${result.from} to ${result.to}`,
+        from: result.from,
+        to: result.to,
+        allowed: result.allowed
+      });
+    }
+
+    res.json({
+      success: true,
+      changed: result.status === 'transitioned',
+      event: result.event || null
+    });
+
+  } catch (error) {
+    logger.error('Error changing opportunity status:', {
+      error: error.message,
+      opportunityId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change opportunity status'
+    });
+  }
+});
+
+/**
+ * GET /admin/awards/imports - Award history file imports, newest first
+ * Files are imported with `npm run awards:import -- <file>`.
+ */
+router.get('/awards/imports', validate(awardImportListSchema, 'query'), async (req, res) => {
+  try {
+    const { imports, total } = await awardHistoryService.listImports(req.query);
+
+    res.json({
+      success: true,
+      imports,
+      pagination: {
+        total,
+        limit: req.query.limit,
+        offset: req.query.offset,
+        hasMore: req.query.offset + imports.length < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing award imports:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list award imports'
+    });
+  }
+});
+
+/**
+ * POST /admin/awards/incumbents - Re-derive opportunity incumbents from award history
+ * Imports and ingestion runs do this for the opportunities they touch; this checks all of them.
+ */
+router.post('/awards/incumbents', async (req, res) => {
+  try {
+    const updated = await awardHistoryService.updateIncumbents();
+
+    res.json({
+      success: true,
+      updated
+    });
+
+  } catch (error) {
+    logger.error('Error updating incumbents from award history:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update incumbents'
+    });
+  }
+});
+
+/**
+ * GET /admin/data-quality/rules - Data quality rules with their effective and built-in settings
+ */
+router.get('/data-quality/rules', async (req, res) => {
+  try {
+    const { ruleset, rules } = await dataQualityService.listRules();
+
+    res.json({
+      success: true,
+      ruleset,
+      rules
+    });
+
+  } catch (error) {
+    logger.error('Error listing data quality rules:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list data quality rules'
+    });
+  }
+});
+
+/**
+ * PUT /admin/data-quality/rules/:id - Override a rule's weight, parameters or enabled state
+ * Stored scores are recomputed under the new settings by POST /admin/data-quality/rescore.
+ */
+router.put('/data-quality/rules/:id', validate(qualityRuleParamSchema, 'params'), validate(qualityRuleOverrideSchema, 'body'), async (req, res) => {
+  try {
+    await dataQualityService.refresh();
+    if (!dataQualityService.hasRule(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Data quality rule not found',
+        ruleId: req.params.id
+      });
+    }
+
+    const validationError = dataQualityService.validateOverride(req.params.id, req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const rule = await dataQualityService.updateRule(req.params.id, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      rule
+    });
+
+  } catch (error) {
+    logger.error('Error saving data quality rule:', {
+      error: error.message,
+      ruleId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save data quality rule'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/data-quality/rules/:id - Remove an override; the rule reverts to its built-in settings
+ */
+router.delete('/data-quality/rules/:id', validate(qualityRuleParamSchema, 'params'), async (req, res) => {
+  try {
+    const deleted = await dataQualityService.resetRule(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Data quality rule override not found',
+        ruleId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      ruleId: req.params.id
+    });
+
+  } catch (error) {
+    logger.error('Error resetting data quality rule:', {
+      error: error.message,
+      ruleId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset data quality rule'
+    });
+  }
+});
+
+/**
+ * POST /admin/data-quality/rescore - Rescore opportunities scored under other rule settings or over a day ago
+ */
+router.post('/data-quality/rescore', validate(qualityRescoreSchema, 'body'), async (req, res) => {
+  try {
+    const result = await dataQualityService.rescore({ limit: req.body.limit });
+
+    res.json({
+      success: true,
+      result
+    });
+
+  } catch (error) {
+    logger.error('Error rescoring data quality:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rescore data quality'
+    });
+  }
+});
+
+/**
+ * GET /admin/data-quality/report - Data quality per source
+ * Average score, the lowest-scoring opportunities with their failed rules, and the most commonly failing rules.
+ */
+router.get('/data-quality/report', validate(qualityReportSchema, 'query'), async (req, res) => {
+  try {
+    const report = await dataQualityService.getReport(req.query);
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    logger.error('Error building data quality report:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build data quality report'
+    });
+  }
+});
+
+/**
+ * GET /admin/geocoding/coverage - Stored opportunities by place-of-performance geocode precision
+ */
+router.get('/geocoding/coverage', async (req, res) => {
+  try {
+    const coverage = await geocodingService.getCoverage();
+
+    res.json({
+      success: true,
+      coverage
+    });
+
+  } catch (error) {
+    logger.error('Error reporting geocoding coverage:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to report geocoding coverage'
+    });
+  }
+});
+
+/**
+ * POST /admin/geocoding/regeocode - Re-geocode stored places of performance in batches
+ * Run after replacing the gazetteer; repeat with the returned nextCursor until it is null.
+ */
+router.post('/geocoding/regeocode', validate(regeocodeSchema, 'body'), async (req, res) => {
+  try {
+    const result = await geocodingService.regeocode(req.body);
+
+    res.json({
+      success: true,
+      result
+    });
+
+  } catch (error) {
+    logger.error('Error re-geocoding opportunities:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-geocode opportunities'
+    });
+  }
+});
+
+/**
+ * GET /admin/scoring/jobs - Background scoring jobs, newest first, with queue statistics
+ */
+router.get('/scoring/jobs', validate(scoringJobListSchema, 'query'), async (req, res) => {
+  try {
+    const [{ jobs, total }, queue] = await Promise.all([
+      scoringJobService.listJobs(req.query),
+      scoringJobService.getQueueStats()
+    ]);
+
+    res.json({
+      success: true,
+      jobs: jobs.map(job => scoringJobService.formatJob(job)),
+      queue,
+      pagination: {
+        total,
+        limit: req.query.limit,
+        offset: req.query.offset,
+        hasMore: req.query.offset + jobs.length < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing scoring jobs:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list scoring jobs'
+    });
+  }
+});
+
+/**
+ * POST /admin/scoring/jobs - Queue background scoring for one company profile, or for all of them
+ * A profile with a queued or running job has the request merged into it.
+ */
+router.post('/scoring/jobs', validate(scoringJobEnqueueSchema, 'body'), async (req, res) => {
+  const { companyId, priority } = req.body;
+  const options = { reason: 'admin', enqueuedBy: req.user.id, ...(priority !== undefined && { priority }) };
+
+  try {
+    if (!companyId) {
+      const queued = await scoringJobService.enqueueAllProfiles(options);
+      return res.status(202).json({
+        success: true,
+        queued
+      });
+    }
+
+    const job = await scoringJobService.enqueue(companyId, options);
+    res.status(202).json({
+      success: true,
+      job: scoringJobService.formatJob(job)
+    });
+
+  } catch (error) {
+    if (error.code === '23503') { // Foreign key violation: no such company profile
+      return res.status(404).json({
+        success: false,
+        error: 'Company profile not found'
+      });
+    }
+
+    logger.error('Error queueing scoring jobs:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue scoring jobs'
+    });
+  }
+});
+
+/**
+ * GET /admin/scoring/judges - Registered profile judges with the versions that weight them
+ * A version seats a judge by giving it a weight when it is registered.
+ */
+router.get('/scoring/judges', async (req, res) => {
+  try {
+    const judges = await scoringVersionService.listJudges();
+
+    res.json({
+      success: true,
+      judges
+    });
+
+  } catch (error) {
+    logger.error('Error listing scoring judges:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list scoring judges'
+    });
+  }
+});
+
+/**
+ * GET /admin/scoring/versions - Scoring versions with their state and how many scores each has
+ */
+router.get('/scoring/versions', async (req, res) => {
+  try {
+    const versions = await scoringVersionService.listVersions();
+
+    res.json({
+      success: true,
+      versions
+    });
+
+  } catch (error) {
+    logger.error('Error listing scoring versions:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list scoring versions'
+    });
+  }
+});
+
+/**
+ * POST /admin/scoring/versions - Register a candidate scoring version
+ * Body: { version, description?, weights: { judge: weight }, thresholds? }. Definitions cannot change
+ * once registered; register a new version instead. Returns 409 when the version exists.
+ */
+router.post('/scoring/versions', validate(scoringVersionSchema, 'body'), async (req, res) => {
+  try {
+    const result = await scoringVersionService.createVersion(req.body, req.user.id);
+
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    if (result.status === 'exists') {
+      return res.status(409).json({
+        success: false,
+        error: `Scoring version ${req.body.version} already exists`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      version: result.version
+    });
+
+  } catch (error) {
+    logger.error('Error registering scoring version:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register scoring version'
+    });
+  }
+});
+
+/**
+ * GET /admin/scoring/versions/compare - Rank correlation and top-K overlap between two versions
+ * Query: candidate, baseline (default: the active version), k, companyId
+ */
+router.get('/scoring/versions/compare', validate(scoringVersionCompareSchema, 'query'), async (req, res) => {
+  try {
+    const { candidate, k, companyId } = req.query;
+    const baseline = req.query.baseline || scoringVersionService.versions.getActive().version;
+    const result = await scoringVersionService.compare(baseline, candidate, { k, companyId });
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: `Scoring version ${result.version} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      report: result.report
+    });
+
+  } catch (error) {
+    logger.error('Error comparing scoring versions:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare scoring versions'
+    });
+  }
+});
+
+/**
+ * PUT /admin/scoring/versions/:version/status - Shadow, un-shadow or retire a version
+ * Body: { status: candidate | shadow | retired }. Shadowing queues every profile for scoring in the
+ * version; the active version is replaced by promoting another one (409 otherwise).
+ */
+router.put('/scoring/versions/:version/status', validate(scoringVersionParamSchema, 'params'), validate(scoringVersionStatusSchema, 'body'), async (req, res) => {
+  try {
+    const result = await scoringVersionService.setStatus(req.params.version, req.body.status, req.user.id);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Scoring version not found'
+      });
+    }
+
+    if (result.status === 'invalid_transition') {
+      return res.status(409).json({
+        success: false,
+        error: 'The active version changes only by promoting another version',
+        from: result.from,
+        to: result.to
+      });
+    }
+
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      version: result.version,
+      queued: result.queued
+    });
+
+  } catch (error) {
+    logger.error('Error changing scoring version status:', {
+      error: error.message,
+      version: req.params.version,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change scoring version status'
+    });
+  }
+});
+
+/**
+ * POST /admin/scoring/versions/:version/promote - Make a version the one the scoring API reads
+ * The previously active version is retired and every profile is queued for re-scoring.
+ */
+router.post('/scoring/versions/:version/promote', validate(scoringVersionParamSchema, 'params'), async (req, res) => {
+  try {
+    const result = await scoringVersionService.promote(req.params.version, req.user.id);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Scoring version not found'
+      });
+    }
+
+    if (result.status === 'already_active') {
+      return res.status(409).json({
+        success: false,
+        error: `Scoring version ${req.params.version} is already active`
+      });
+    }
+
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      version: result.version,
+      previous: result.previous,
+      queued: result.queued
+    });
+
+  } catch (error) {
+    logger.error('Error promoting scoring version:', {
+      error: error.message,
+      version: req.params.version,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to promote scoring version'
+    });
+  }
+});
+
+/**
+ * POST /admin/scoring/versions/:version/replay - Score a version from another version's stored inputs
+ * Body: { baseline?, companyId?, afterId?, limit? }; repeat with the returned nextCursor until it is null.
+ */
+router.post('/scoring/versions/:version/replay', validate(scoringVersionParamSchema, 'params'), validate(scoringVersionReplaySchema, 'body'), async (req, res) => {
+  try {
+    const result = await scoringVersionService.replay(req.params.version, req.body);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: `Scoring version ${result.version} not found`
+      });
+    }
+
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      result: {
+        baseline: result.baseline,
+        version: result.version,
+        replayed: result.replayed,
+        failed: result.failed,
+        nextCursor: result.nextCursor
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error replaying scoring version:', {
+      error: error.message,
+      version: req.params.version,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay scoring version'
+    });
+  }
+});
+
+module.exports = router;
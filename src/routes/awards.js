@@ -0,0 +1,86 @@
+const express = require('express');
+const { logger } = require('../utils/logger');
+const { validate } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimit');
+const { awardValueRangeSchema, awardVendorParamSchema } = require('../schemas/award.schema');
+const AwardHistoryService = require('../services/awardHistoryService');
+
+const router = express.Router();
+const awardHistoryService = new AwardHistoryService();
+
+// All award history routes require authentication
+router.use(authenticateToken);
+
+// Apply rate limiting to award history routes
+router.use(apiLimiter);
+
+/**
+ * GET /awards/value-ranges - Historical award values for a NAICS code
+ * The range is for the agency when it has enough awards, otherwise for the NAICS code across
+ * agencies (scope says which); byAgency breaks the NAICS code down per awarding agency.
+ */
+router.get('/value-ranges', validate(awardValueRangeSchema, 'query'), async (req, res) => {
+  try {
+    const { naics, agency, years } = req.query;
+
+    const [range, byAgency] = await Promise.all([
+      awardHistoryService.getValueRange({ naics, agency, years }),
+      awardHistoryService.getValueRangesByAgency(naics, { years })
+    ]);
+
+    res.json({
+      success: true,
+      range,
+      byAgency
+    });
+
+  } catch (error) {
+    logger.error('Error fetching award value ranges:', {
+      error: error.message,
+      naics: req.query.naics,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch award value ranges'
+    });
+  }
+});
+
+/**
+ * GET /awards/vendors/:uei - Award recipient with totals and recent awards
+ */
+router.get('/vendors/:uei', validate(awardVendorParamSchema, 'params'), async (req, res) => {
+  try {
+    const vendor = await awardHistoryService.getVendor(req.params.uei);
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vendor not found in award history',
+        uei: req.params.uei
+      });
+    }
+
+    res.json({
+      success: true,
+      vendor
+    });
+
+  } catch (error) {
+    logger.error('Error fetching award vendor:', {
+      error: error.message,
+      uei: req.params.uei,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch vendor'
+    });
+  }
+});
+
+module.exports = router;
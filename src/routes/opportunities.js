@@ -1,13 +1,17 @@
 const express = require('express');
-const { fetchOpportunities } = require('../integrations/sam');
 const { logger } = require('../utils/logger');
 const { validate } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimit');
-const { opportunitySearchSchema, paginationSchema } = require('../schemas/opportunity.schema');
-const { idParamSchema } = require('../middleware/validation');
+const {
+  governmentOpportunitySearchSchema,
+  opportunityIdParamSchema,
+  similarOpportunitiesQuerySchema
+} = require('../schemas/opportunity.schema');
+const GovernmentOpportunityService = require('../services/governmentOpportunityService');
 
 const router = express.Router();
+const opportunityService = new GovernmentOpportunityService();
 
 // All opportunity routes require authentication
 router.use(authenticateToken);
@@ -16,34 +20,59 @@ router.use(authenticateToken);
 router.use(apiLimiter);
 
 /**
- * GET /opportunities - Search for government contracting opportunities
+ * GET /opportunities - Search government contracting opportunities
+ * Defaults to full-text search over stored opportunities with facet filters,
+ * relevance ranking, highlighted snippets and facet counts.
+ * Pass near (ZIP code, "City, ST", county or state) and radiusMiles to limit results to
+ * places of performance within that distance; results then carry distanceMiles.
+ * Pass source=live to proxy the search to SAM.gov instead; filters SAM.gov cannot apply
+ * (value range, near, sorting, status=awarded, offsets past 1000) are rejected with 400.
  */
-router.get('/', validate(opportunitySearchSchema, 'query'), async (req, res) => {
+router.get('/', validate(governmentOpportunitySearchSchema, 'query'), async (req, res) => {
   try {
     const searchParams = req.query;
     const userId = req.user.id;
 
-    logger.info(`User ${userId} searching opportunities with params:`, {
+    logger.info(`User ${userId} searching ${searchParams.source} opportunities with params:`, {
       ...searchParams,
       userId
     });
 
-    const response = await fetchOpportunities(searchParams);
-    const opportunities = response.opportunitiesData || [];
-    
-    logger.info(`Retrieved ${opportunities.length} opportunities for user ${userId} (${response.totalRecords} total available)`);
+    if (searchParams.source === 'live') {
+      const response = await opportunityService.searchLiveOpportunities(searchParams);
+      const opportunities = response.opportunitiesData || [];
+
+      logger.info(`Retrieved ${opportunities.length} live opportunities for user ${userId} (${response.totalRecords} total available)`);
+
+      return res.json({
+        success: true,
+        source: 'live',
+        count: opportunities.length,
+        totalRecords: response.totalRecords || 0,
+        opportunities: opportunities,
+        searchParams: searchParams,
+        pagination: {
+          limit: response.limit,
+          offset: response.offset,
+          links: response.links
+        }
+      });
+    }
+
+    const result = await opportunityService.searchOpportunities(searchParams);
+
+    logger.info(`Found ${result.opportunities.length} stored opportunities for user ${userId} (${result.total} total matches)`);
 
     res.json({
       success: true,
-      count: opportunities.length,
-      totalRecords: response.totalRecords || 0,
-      opportunities: opportunities,
+      source: 'local',
+      count: result.opportunities.length,
+      totalRecords: result.total,
+      opportunities: result.opportunities,
+      facets: result.facets,
+      origin: result.origin,
       searchParams: searchParams,
-      pagination: {
-        limit: response.limit,
-        offset: response.offset,
-        links: response.links
-      }
+      pagination: result.pagination
     });
 
   } catch (error) {
@@ -54,6 +83,32 @@ router.get('/', validate(opportunitySearchSchema, 'query'), async (req, res) =>
       searchParams: req.query
     });
 
+    if (error.code === 'UNKNOWN_LOCATION') {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown location',
+        message: `Could not place "${req.query.near}"; use a ZIP code, "City, ST", a county or a state`
+      });
+    }
+
+    if (error.code === 'UNSUPPORTED_LIVE_FILTERS') {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported filters for live search',
+        message: `${error.message}; search stored opportunities (source=local) to use them`,
+        filters: error.filters
+      });
+    }
+
+    if (error.code === 'QUOTA_EXHAUSTED') {
+      return res.status(429).json({
+        success: false,
+        error: 'SAM.gov daily quota exhausted',
+        message: 'Live SAM.gov searches are unavailable until the daily quota resets; stored opportunities can still be searched',
+        resetAt: error.resetAt
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to fetch opportunities',
@@ -64,20 +119,30 @@ router.get('/', validate(opportunitySearchSchema, 'query'), async (req, res) =>
 
 /**
  * GET /opportunities/:id - Get specific opportunity details
+ * Accepts a stored opportunity UUID, a SAM.gov notice ID or a solicitation number.
+ * Opportunities that have not been ingested yet are fetched live from SAM.gov and stored.
  */
-router.get('/:id', validate(idParamSchema, 'params'), async (req, res) => {
+router.get('/:id', validate(opportunityIdParamSchema, 'params'), async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
 
     logger.info(`User ${userId} requesting opportunity ${id}`);
 
-    // For now, return a placeholder response since we need to implement
-    // specific opportunity fetching from SAM.gov
+    const result = await opportunityService.getOpportunity(id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Opportunity not found',
+        opportunityId: id
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Opportunity detail endpoint - to be implemented',
-      opportunityId: id
+      source: result.source,
+      opportunity: result.opportunity
     });
 
   } catch (error) {
@@ -87,6 +152,23 @@ router.get('/:id', validate(idParamSchema, 'params'), async (req, res) => {
       userId: req.user?.id
     });
 
+    if (error.code === 'QUOTA_EXHAUSTED') {
+      return res.status(429).json({
+        success: false,
+        error: 'SAM.gov daily quota exhausted',
+        message: 'Opportunity is not stored yet and the SAM.gov daily quota has been used up',
+        resetAt: error.resetAt
+      });
+    }
+
+    if (error.status === 429) {
+      return res.status(503).json({
+        success: false,
+        error: 'SAM.gov rate limit reached',
+        message: 'Opportunity is not stored yet and SAM.gov is temporarily unavailable'
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to fetch opportunity details'
@@ -94,4 +176,156 @@ router.get('/:id', validate(idParamSchema, 'params'), async (req, res) => {
   }
 });
 
+/**
+ * GET /opportunities/:id/timeline - Change history of a stored opportunity
+ * Lists every version detected during ingestion with field-level changes
+ * (deadline extensions, value and set-aside changes, new attachments and amendments).
+ */
+router.get('/:id/timeline', validate(opportunityIdParamSchema, 'params'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const timeline = await opportunityService.getOpportunityTimeline(id);
+
+    if (!timeline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Opportunity not found',
+        opportunityId: id
+      });
+    }
+
+    res.json({
+      success: true,
+      ...timeline
+    });
+
+  } catch (error) {
+    logger.error('Error fetching opportunity timeline:', {
+      error: error.message,
+      opportunityId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch opportunity timeline'
+    });
+  }
+});
+
+/**
+ * GET /opportunities/:id/attachments - Attachments of a stored opportunity
+ * Shows each attachment's download status and the extracted document (format, pages, text length).
+ */
+router.get('/:id/attachments', validate(opportunityIdParamSchema, 'params'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await opportunityService.getOpportunityAttachments(id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Opportunity not found',
+        opportunityId: id
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Error fetching opportunity attachments:', {
+      error: error.message,
+      opportunityId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch opportunity attachments'
+    });
+  }
+});
+
+/**
+ * GET /opportunities/:id/lifecycle - Lifecycle state and transition history of a stored opportunity
+ * Shows when the opportunity closed, was cancelled, awarded (with awardee and amount) or archived,
+ * and the signal behind each transition (due date, source status, award notice, admin).
+ */
+router.get('/:id/lifecycle', validate(opportunityIdParamSchema, 'params'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lifecycle = await opportunityService.getOpportunityLifecycle(id);
+
+    if (!lifecycle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Opportunity not found',
+        opportunityId: id
+      });
+    }
+
+    res.json({
+      success: true,
+      ...lifecycle
+    });
+
+  } catch (error) {
+    logger.error('Error fetching opportunity lifecycle:', {
+      error: error.message,
+      opportunityId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch opportunity lifecycle'
+    });
+  }
+});
+
+/**
+ * GET /opportunities/:id/similar - "More like this" for a stored opportunity
+ * Ranks other stored opportunities by cosine similarity of their title, description and
+ * requirements embeddings. Query: limit (default 10), minSimilarity (0-1, default 0.3).
+ */
+router.get('/:id/similar', validate(opportunityIdParamSchema, 'params'), validate(similarOpportunitiesQuerySchema, 'query'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit, minSimilarity } = req.query;
+
+    const result = await opportunityService.getSimilarOpportunities(id, { limit, minSimilarity });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Opportunity not found',
+        opportunityId: id
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Error fetching similar opportunities:', {
+      error: error.message,
+      opportunityId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch similar opportunities'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
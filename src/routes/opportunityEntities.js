@@ -0,0 +1,127 @@
+const express = require('express');
+const { logger } = require('../utils/logger');
+const { validate, idParamSchema } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimit');
+const { entityListSchema, entitySourceParamSchema } = require('../schemas/entity.schema');
+const OpportunityEntityService = require('../services/opportunityEntityService');
+
+const router = express.Router();
+const entityService = new OpportunityEntityService();
+
+// All opportunity entity routes require authentication
+router.use(authenticateToken);
+
+// Apply rate limiting to opportunity entity routes
+router.use(apiLimiter);
+
+/**
+ * GET /opportunity-entities - Unified opportunity list
+ * One canonical record per real-world opportunity, resolved across gov_opportunities,
+ * opportunities and atlanta_opportunities, with the stores each was found in.
+ */
+router.get('/', validate(entityListSchema, 'query'), async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const { entities, total } = await entityService.listEntities(req.query);
+
+    res.json({
+      success: true,
+      entities,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + entities.length < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing opportunity entities:', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list opportunities'
+    });
+  }
+});
+
+/**
+ * GET /opportunity-entities/by-source/:sourceTable/:recordId - Entity a source record belongs to
+ */
+router.get('/by-source/:sourceTable/:recordId', validate(entitySourceParamSchema, 'params'), async (req, res) => {
+  try {
+    const { sourceTable, recordId } = req.params;
+
+    const entityId = await entityService.findEntityIdBySource(sourceTable, recordId);
+    const entity = entityId && await entityService.getEntity(entityId);
+
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Opportunity not found or not resolved yet',
+        sourceTable,
+        recordId
+      });
+    }
+
+    res.json({
+      success: true,
+      entity
+    });
+
+  } catch (error) {
+    logger.error('Error fetching opportunity entity by source record:', {
+      error: error.message,
+      sourceTable: req.params.sourceTable,
+      recordId: req.params.recordId,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch opportunity'
+    });
+  }
+});
+
+/**
+ * GET /opportunity-entities/:id - Canonical opportunity with provenance
+ * Lists every linked source record with its own field values, how it was matched and when,
+ * and which store each canonical field was taken from.
+ */
+router.get('/:id', validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const entity = await entityService.getEntity(req.params.id);
+
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Opportunity not found',
+        entityId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      entity
+    });
+
+  } catch (error) {
+    logger.error('Error fetching opportunity entity:', {
+      error: error.message,
+      entityId: req.params.id,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch opportunity'
+    });
+  }
+});
+
+module.exports = router;
@@ -9,8 +9,30 @@ const {
   profileSearchSchema 
 } = require('../schemas/profile.schema');
 const { idParamSchema, paginationSchema } = require('../middleware/validation');
+const EmbeddingService = require('../services/embeddingService');
+const ScoringJobService = require('../services/scoringJobService');
 
 const router = express.Router();
+const embeddingService = new EmbeddingService();
+const scoringJobService = new ScoringJobService();
+
+/**
+ * Re-embeds a saved profile in the background; scoring embeds it on demand if this fails
+ */
+function refreshProfileEmbedding(profile) {
+  embeddingService.embedProfile(profile).catch(error => {
+    logger.warn(`Failed to embed company profile ${profile.id}:`, error.message);
+  });
+}
+
+/**
+ * Queues background re-scoring of a saved profile; GET /scoring/opportunities queues it if this fails
+ */
+function enqueueProfileScoring(profile) {
+  scoringJobService.enqueue(profile.id, { reason: 'profile_updated' }).catch(error => {
+    logger.warn(`Failed to queue scoring for company profile ${profile.id}:`, error.message);
+  });
+}
 
 // All profile routes require authentication
 router.use(authenticateToken);
@@ -85,6 +107,9 @@ router.post('/', validate(companyProfileSchema), async (req, res) => {
       companyName: profile.name
     });
 
+    refreshProfileEmbedding(profile);
+    enqueueProfileScoring(profile);
+
     res.status(201).json({
       message: 'Company profile created successfully',
       profile: profile
@@ -369,6 +394,9 @@ router.put('/:id',
         updatedFields: Object.keys(updates)
       });
 
+      refreshProfileEmbedding(profile);
+      enqueueProfileScoring(profile);
+
       res.json({
         message: 'Company profile updated successfully',
         profile: profile
@@ -1,9 +1,14 @@
 const express = require('express');
 const { Database } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { scoringWeightsSchema } = require('../schemas/scoring.schema');
 const { getInstance: getFeatureFlagService } = require('../services/featureFlags');
+const { OpportunityScoringService } = require('../services/opportunityScoring');
+const { logger } = require('../utils/logger');
 
 const router = express.Router();
+const opportunityScoringService = new OpportunityScoringService();
 
 /**
  * GET /api/users/profile
@@ -231,6 +236,13 @@ router.put('/companies/:companyId', authenticateToken, async (req, res) => {
       });
     }
 
+    if ('scoring_weights' in cleanedFields) {
+      return res.status(400).json({
+        success: false,
+        error: 'Update scoring weights with PUT /api/users/companies/:companyId/scoring-weights'
+      });
+    }
+
     const db = Database.getInstance();
     
     // Build dynamic update query
@@ -270,6 +282,45 @@ router.put('/companies/:companyId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/users/companies/:companyId/scoring-weights
+ * Replace a company's priority ratings for the legacy analysis scoring
+ * Body: { weights: { technical, domain, value, innovation, relationship } } with ratings 1-5
+ * (3 keeps the scoring version's weight; {} restores the defaults)
+ */
+router.put('/companies/:companyId/scoring-weights', authenticateToken, validate(scoringWeightsSchema, 'body'), async (req, res) => {
+  try {
+    const result = await opportunityScoringService.updateScoringWeights(req.params.companyId, req.body.weights);
+
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Company not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.scoringWeights,
+      message: 'Scoring weights updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Company scoring weights update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update scoring weights',
+      details: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/users/companies/:companyId
  * Delete a company profile
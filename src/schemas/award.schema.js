@@ -0,0 +1,41 @@
+const { z } = require('zod');
+
+// Query string schema for GET /awards/value-ranges
+const awardValueRangeSchema = z.object({
+  naics: z.string().trim().regex(/^\d{2,6}$/, 'NAICS codes are 2 to 6 digits'),
+  agency: z.string().trim().min(1).max(255).optional(),
+  years: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 5))
+    .pipe(z.number().int().min(1).max(20))
+});
+
+// Route params for award vendors (SAM.gov Unique Entity ID)
+const awardVendorParamSchema = z.object({
+  uei: z
+    .string()
+    .trim()
+    .transform(val => val.toUpperCase())
+    .pipe(z.string().regex(/^[A-Z0-9]{12}$/, 'UEIs are 12 letters and digits'))
+});
+
+// Query string schema for GET /admin/awards/imports
+const awardImportListSchema = z.object({
+  limit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 20))
+    .pipe(z.number().int().min(1).max(100)),
+  offset: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 0))
+    .pipe(z.number().int().nonnegative().max(10000))
+});
+
+module.exports = {
+  awardValueRangeSchema,
+  awardVendorParamSchema,
+  awardImportListSchema
+};
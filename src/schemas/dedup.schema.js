@@ -0,0 +1,68 @@
+const { z } = require('zod');
+
+// Query string schema for listing deduplication runs
+const dedupRunListSchema = z.object({
+  limit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 20))
+    .pipe(z.number().int().min(1).max(100)),
+  offset: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 0))
+    .pipe(z.number().int().nonnegative())
+});
+
+// Deduplication trigger request body; runs are dry unless dryRun is explicitly false
+const dedupTriggerSchema = z.object({
+  dryRun: z.boolean().default(true),
+  matchThreshold: z.number().min(0.5).max(1).optional(),
+  agency: z.string().trim().min(1).max(255).optional(),
+  maxOpportunities: z.number().int().min(1).max(100000).optional()
+});
+
+// Query string schema for listing the duplicate review queue
+const dedupReviewListSchema = dedupRunListSchema.extend({
+  status: z.enum(['pending', 'approved', 'rejected', 'split']).default('pending')
+});
+
+// Reviewer decision on a queued duplicate group
+const dedupReviewDecisionSchema = z.object({
+  decision: z.enum(['approve', 'reject', 'split']),
+  survivorId: z.string().uuid('survivorId must be a UUID').optional(),
+  groups: z
+    .array(z.array(z.string().uuid('Split groups contain opportunity UUIDs')).min(1))
+    .min(1)
+    .optional(),
+  notes: z.string().trim().max(2000).optional()
+}).refine(
+  data => data.decision !== 'split' || (data.groups && data.groups.length > 0),
+  {
+    message: 'Split decisions require groups (the first opportunity of each group is its survivor)',
+    path: ['groups']
+  }
+);
+
+// Query string schema for exporting labeled pairs
+const labeledPairListSchema = z.object({
+  label: z.enum(['duplicate', 'distinct']).optional(),
+  limit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 100))
+    .pipe(z.number().int().min(1).max(1000)),
+  offset: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 0))
+    .pipe(z.number().int().nonnegative())
+});
+
+module.exports = {
+  dedupRunListSchema,
+  dedupTriggerSchema,
+  dedupReviewListSchema,
+  dedupReviewDecisionSchema,
+  labeledPairListSchema
+};
@@ -0,0 +1,53 @@
+const { z } = require('zod');
+
+const entitySourceTableEnum = z.enum(['gov_opportunities', 'opportunities', 'atlanta_opportunities']);
+
+// Source record IDs: UUIDs for gov_opportunities, integers for the other stores
+const sourceRecordIdSchema = z
+  .string()
+  .trim()
+  .regex(/^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|\d{1,12})$/i, 'Record IDs are UUIDs or integers');
+
+// Query string schema for GET /opportunity-entities
+const entityListSchema = z.object({
+  q: z.string().trim().max(500).optional(),
+  source: entitySourceTableEnum.optional(),
+  status: z.string().trim().max(50).optional(),
+  dueAfter: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+  limit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 20))
+    .pipe(z.number().int().min(1).max(100)),
+  offset: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 0))
+    .pipe(z.number().int().nonnegative().max(10000))
+});
+
+// Route params for looking an entity up by one of its source records
+const entitySourceParamSchema = z.object({
+  sourceTable: entitySourceTableEnum,
+  recordId: sourceRecordIdSchema
+});
+
+// Entity resolution trigger request body
+const entityResolveSchema = z.object({
+  matchThreshold: z.number().min(0.5).max(1).optional()
+});
+
+// Pins a source record to an entity, or to an entity of its own when entityId is omitted
+const entityPinSchema = z.object({
+  sourceTable: entitySourceTableEnum,
+  recordId: sourceRecordIdSchema,
+  entityId: z.string().uuid('entityId must be a UUID').optional()
+});
+
+module.exports = {
+  entitySourceTableEnum,
+  entityListSchema,
+  entitySourceParamSchema,
+  entityResolveSchema,
+  entityPinSchema
+};
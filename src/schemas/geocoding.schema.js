@@ -0,0 +1,11 @@
+const { z } = require('zod');
+
+// Re-geocoding request body; pass the previous response's nextCursor to continue
+const regeocodeSchema = z.object({
+  afterId: z.string().uuid().optional(),
+  limit: z.number().int().min(1).max(10000).optional()
+});
+
+module.exports = {
+  regeocodeSchema
+};
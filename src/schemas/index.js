@@ -5,6 +5,15 @@
 const authSchemas = require('./auth.schema');
 const profileSchemas = require('./profile.schema');
 const opportunitySchemas = require('./opportunity.schema');
+const ingestionSchemas = require('./ingestion.schema');
+const taxonomySchemas = require('./taxonomy.schema');
+const dedupSchemas = require('./dedup.schema');
+const entitySchemas = require('./entity.schema');
+const lifecycleSchemas = require('./lifecycle.schema');
+const awardSchemas = require('./award.schema');
+const qualitySchemas = require('./quality.schema');
+const geocodingSchemas = require('./geocoding.schema');
+const scoringSchemas = require('./scoring.schema');
 
 module.exports = {
   // Auth schemas
@@ -16,8 +25,44 @@ module.exports = {
   // Opportunity schemas
   ...opportunitySchemas,
   
+  // Ingestion schemas
+  ...ingestionSchemas,
+
+  // Capability taxonomy schemas
+  ...taxonomySchemas,
+
+  // Deduplication schemas
+  ...dedupSchemas,
+
+  // Opportunity entity schemas
+  ...entitySchemas,
+
+  // Opportunity lifecycle schemas
+  ...lifecycleSchemas,
+
+  // Contract award history schemas
+  ...awardSchemas,
+
+  // Data quality schemas
+  ...qualitySchemas,
+
+  // Place-of-performance geocoding schemas
+  ...geocodingSchemas,
+
+  // Opportunity scoring schemas
+  ...scoringSchemas,
+  
   // Grouped exports for convenience
   auth: authSchemas,
   profile: profileSchemas,
-  opportunity: opportunitySchemas
+  opportunity: opportunitySchemas,
+  ingestion: ingestionSchemas,
+  taxonomy: taxonomySchemas,
+  dedup: dedupSchemas,
+  entity: entitySchemas,
+  lifecycle: lifecycleSchemas,
+  award: awardSchemas,
+  quality: qualitySchemas,
+  geocoding: geocodingSchemas,
+  scoring: scoringSchemas
 };
\ No newline at end of file
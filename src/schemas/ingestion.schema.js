@@ -0,0 +1,81 @@
+const { z } = require('zod');
+
+// Ingestion mode enum
+const ingestionModeEnum = z.enum(['incremental', 'full', 'targeted']);
+
+// Query string schema for listing ingestion runs
+const ingestionRunListSchema = z.object({
+  status: z.enum(['running', 'completed', 'failed']).optional(),
+  trigger: z.enum(['scheduled', 'manual']).optional(),
+  limit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 20))
+    .pipe(z.number().int().min(1).max(100)),
+  offset: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 0))
+    .pipe(z.number().int().nonnegative())
+});
+
+// Query string schema for listing failed detail fetches
+const detailFailureListSchema = z.object({
+  source: z.string().regex(/^[a-z0-9_]+$/).optional(),
+  status: z.enum(['pending', 'resolved', 'abandoned']).optional(),
+  limit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 20))
+    .pipe(z.number().int().min(1).max(100)),
+  offset: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 0))
+    .pipe(z.number().int().nonnegative())
+});
+
+// Attachment processing request body: one opportunity, or the next batch of pending ones
+const attachmentProcessSchema = z.object({
+  opportunityId: z.string().uuid('opportunityId must be a UUID').optional(),
+  limit: z.number().int().min(1).max(100).default(20)
+});
+
+// Embedding refresh request body: how many new or changed opportunities to embed
+const embeddingRefreshSchema = z.object({
+  limit: z.number().int().min(1).max(5000).default(500)
+});
+
+// Manual ingestion trigger request body
+const ingestionTriggerSchema = z.object({
+  mode: ingestionModeEnum.default('incremental'),
+  searchCriteria: z.object({
+    q: z.string().trim().max(500).optional(),
+    naics: z.string().regex(/^\d{2,6}(,\d{2,6})*$/, 'NAICS must be comma-separated codes').optional(),
+    state: z.string().length(2).toUpperCase().optional(),
+    postedFrom: z.string().regex(/^\d{2}\/\d{2}\/\d{4}$/, 'postedFrom must be MM/DD/YYYY').optional(),
+    postedTo: z.string().regex(/^\d{2}\/\d{2}\/\d{4}$/, 'postedTo must be MM/DD/YYYY').optional()
+  }).default({}),
+  maxOpportunities: z.number().int().min(1).max(5000).optional(),
+  sources: z
+    .array(z.string().regex(/^[a-z0-9_]+$/, 'Source names are lowercase letters, digits and underscores'))
+    .min(1)
+    .max(20)
+    .transform(names => [...new Set(names)])
+    .optional()
+}).refine(
+  data => data.mode !== 'targeted' || Object.keys(data.searchCriteria).length > 0,
+  {
+    message: 'Targeted runs require search criteria',
+    path: ['searchCriteria']
+  }
+);
+
+module.exports = {
+  ingestionModeEnum,
+  ingestionRunListSchema,
+  ingestionTriggerSchema,
+  detailFailureListSchema,
+  attachmentProcessSchema,
+  embeddingRefreshSchema
+};
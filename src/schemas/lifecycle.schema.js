@@ -0,0 +1,34 @@
+const { z } = require('zod');
+
+// Lifecycle states an opportunity can be moved to ('merged' is set by deduplication only)
+const lifecycleStatusEnum = z.enum(['active', 'closed', 'cancelled', 'awarded', 'archived']);
+
+// Lifecycle sweep request body: how many opportunities to move at most
+const lifecycleSweepSchema = z.object({
+  limit: z.number().int().min(1).max(10000).default(1000)
+});
+
+// Manual lifecycle transition request body; award details are recorded with 'awarded'
+const lifecycleTransitionSchema = z.object({
+  status: lifecycleStatusEnum,
+  reason: z.string().trim().min(1).max(50).regex(/^[a-z0-9_]+$/, 'Reasons are lowercase letters, digits and underscores').optional(),
+  award: z.object({
+    awardeeName: z.string().trim().min(1).max(255),
+    awardeeUei: z.string().trim().regex(/^[A-Z0-9]{12}$/, 'UEI must be 12 letters or digits').optional(),
+    amount: z.number().nonnegative().max(1e13).optional(),
+    date: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+    number: z.string().trim().max(100).optional()
+  }).optional()
+}).refine(
+  data => !data.award || data.status === 'awarded',
+  {
+    message: 'Award details can only be recorded with status awarded',
+    path: ['award']
+  }
+);
+
+module.exports = {
+  lifecycleStatusEnum,
+  lifecycleSweepSchema,
+  lifecycleTransitionSchema
+};
@@ -242,6 +242,92 @@ const opportunitySearchSchema = z.object({
   offset: z.number().int().nonnegative().default(0)
 });
 
+// Comma-separated (or repeated) query string values as an array
+const queryListSchema = (itemSchema) => z
+  .union([z.string(), z.array(z.string())])
+  .optional()
+  .transform(val => {
+    if (!val) return undefined;
+    const items = (Array.isArray(val) ? val : val.split(','))
+      .map(item => item.trim())
+      .filter(item => item.length > 0);
+    return items.length > 0 ? items : undefined;
+  })
+  .pipe(z.array(itemSchema).max(20).optional());
+
+const queryNumberSchema = z
+  .string()
+  .optional()
+  .transform(val => (val ? Number(val) : undefined))
+  .pipe(z.number().nonnegative().optional());
+
+// Query string schema for GET /opportunities (stored government opportunities or live SAM.gov)
+const governmentOpportunitySearchSchema = z.object({
+  source: z.enum(['local', 'live']).default('local'),
+  q: z.string().trim().max(500).optional(),
+  naics: queryListSchema(z.string().regex(/^\d{6}$/, 'NAICS codes must be 6 digits')),
+  psc: queryListSchema(z.string().regex(/^[A-Z0-9]{1,4}$/, 'PSC codes must be 1-4 alphanumeric characters')),
+  setAside: queryListSchema(z.string().max(100)),
+  agency: z.string().trim().max(255).optional(),
+  state: z.string().length(2).toUpperCase().optional(),
+  status: z.enum(['active', 'closed', 'cancelled', 'awarded', 'archived', 'any']).default('active'),
+  minValue: queryNumberSchema,
+  maxValue: queryNumberSchema,
+  dueAfter: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+  dueBefore: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+  postedAfter: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+  // Radius search around a ZIP code, "City, ST", county or state (see src/utils/gazetteer.js)
+  near: z.string().trim().min(1).max(200).optional(),
+  radiusMiles: z
+    .string()
+    .optional()
+    .transform(val => (val ? Number(val) : 50))
+    .pipe(z.number().positive().max(1000)),
+  sortBy: z.enum(['relevance', 'dueDate', 'postedDate', 'value', 'distance']).default('relevance'),
+  sortOrder: z.enum(['asc', 'desc']).optional(),
+  includeFacets: z
+    .enum(['true', 'false'])
+    .default('true')
+    .transform(val => val === 'true'),
+  limit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 20))
+    .pipe(z.number().int().min(1).max(100)),
+  offset: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 0))
+    .pipe(z.number().int().nonnegative().max(10000))
+}).refine(
+  query => query.sortBy !== 'distance' || query.near,
+  { message: 'sortBy=distance requires near', path: ['sortBy'] }
+);
+
+// Opportunity identifier route param (UUID, SAM.gov notice ID or solicitation number)
+const opportunityIdParamSchema = z.object({
+  id: z
+    .string()
+    .trim()
+    .min(1, 'Opportunity identifier is required')
+    .max(100, 'Opportunity identifier must not exceed 100 characters')
+    .regex(/^[A-Za-z0-9._:-]+$/, 'Invalid opportunity identifier')
+});
+
+// Query string schema for GET /opportunities/:id/similar
+const similarOpportunitiesQuerySchema = z.object({
+  limit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 10))
+    .pipe(z.number().int().min(1).max(50)),
+  minSimilarity: z
+    .string()
+    .optional()
+    .transform(val => (val ? Number(val) : 0.3))
+    .pipe(z.number().min(0).max(1))
+});
+
 // Opportunity scoring request schema
 const scoringRequestSchema = z.object({
   opportunityId: z.string().uuid(),
@@ -267,6 +353,9 @@ module.exports = {
   createOpportunitySchema,
   updateOpportunitySchema,
   opportunitySearchSchema,
+  governmentOpportunitySearchSchema,
+  opportunityIdParamSchema,
+  similarOpportunitiesQuerySchema,
   scoringRequestSchema,
   batchScoringRequestSchema,
   // Export enums for reuse
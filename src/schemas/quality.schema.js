@@ -0,0 +1,43 @@
+const { z } = require('zod');
+
+// Route parameter for a single data quality rule
+const qualityRuleParamSchema = z.object({
+  id: z
+    .string()
+    .trim()
+    .regex(/^[a-z][a-z0-9_]{1,99}$/, 'Rule IDs are lowercase letters, digits and underscores, starting with a letter')
+});
+
+// Data quality rule override request body; omitted settings keep the built-in values
+const qualityRuleOverrideSchema = z.object({
+  weight: z.number().min(0).max(100).optional(),
+  enabled: z.boolean().optional(),
+  params: z.record(z.string(), z.number()).optional()
+});
+
+// Data quality rescoring request body
+const qualityRescoreSchema = z.object({
+  limit: z.number().int().min(1).max(10000).optional()
+});
+
+// Query string schema for GET /admin/data-quality/report
+const qualityReportSchema = z.object({
+  source: z.string().trim().regex(/^[a-z][a-z0-9_]{1,49}$/, 'Source names are lowercase letters, digits and underscores').optional(),
+  limit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 10))
+    .pipe(z.number().int().min(1).max(100)),
+  ruleLimit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 10))
+    .pipe(z.number().int().min(1).max(50))
+});
+
+module.exports = {
+  qualityRuleParamSchema,
+  qualityRuleOverrideSchema,
+  qualityRescoreSchema,
+  qualityReportSchema
+};
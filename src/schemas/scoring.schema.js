@@ -0,0 +1,103 @@
+const { z } = require('zod');
+
+// Query string schema for GET /scoring/opportunities
+const scoredOpportunityListSchema = z.object({
+  limit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 20))
+    .pipe(z.number().int().min(1).max(100)),
+  offset: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 0))
+    .pipe(z.number().int().nonnegative().max(10000)),
+  fitCategory: z.enum(['excellent', 'good', 'fair', 'poor']).optional()
+});
+
+// Query string schema for GET /scoring/jobs and GET /admin/scoring/jobs
+const scoringJobListSchema = z.object({
+  status: z.enum(['queued', 'running', 'completed', 'failed']).optional(),
+  limit: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 20))
+    .pipe(z.number().int().min(1).max(100)),
+  offset: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 0))
+    .pipe(z.number().int().nonnegative().max(10000))
+});
+
+// Body schema for POST /admin/scoring/jobs; without companyId every company profile is queued
+const scoringJobEnqueueSchema = z.object({
+  companyId: z.string().uuid('companyId must be a UUID').optional(),
+  priority: z.number().int().min(-100).max(100).optional()
+});
+
+const scoringVersionName = z
+  .string()
+  .trim()
+  .regex(/^[A-Za-z0-9][A-Za-z0-9._-]{0,19}$/, 'Versions are up to 20 letters, digits, dots, dashes and underscores');
+
+const threshold = z.number().min(0).max(100);
+
+// Route parameter for a single scoring version
+const scoringVersionParamSchema = z.object({
+  version: scoringVersionName
+});
+
+// Scoring version registration body; omitted thresholds keep the built-in values
+const scoringVersionSchema = z.object({
+  version: scoringVersionName,
+  description: z.string().trim().max(500).optional(),
+  scoringType: z.enum(['panel_of_judges']).optional(),
+  weights: z.record(z.string(), z.number().positive().max(100)),
+  thresholds: z.object({
+    verdicts: z.object({ recommended: threshold.optional(), possible: threshold.optional() }).optional(),
+    fitCategories: z.object({ excellent: threshold.optional(), good: threshold.optional(), fair: threshold.optional() }).optional()
+  }).optional()
+});
+
+// Scoring version state change body; versions become active only by promotion
+const scoringVersionStatusSchema = z.object({
+  status: z.enum(['candidate', 'shadow', 'retired'])
+});
+
+// Scoring version replay body
+const scoringVersionReplaySchema = z.object({
+  baseline: scoringVersionName.optional(),
+  companyId: z.string().uuid('companyId must be a UUID').optional(),
+  afterId: z.string().uuid('afterId must be a UUID').optional(),
+  limit: z.number().int().min(1).max(5000).optional()
+});
+
+// Query string schema for GET /admin/scoring/versions/compare
+const scoringVersionCompareSchema = z.object({
+  baseline: scoringVersionName.optional(),
+  candidate: scoringVersionName,
+  companyId: z.string().uuid('companyId must be a UUID').optional(),
+  k: z
+    .string()
+    .optional()
+    .transform(val => (val ? parseInt(val, 10) : 10))
+    .pipe(z.number().int().min(1).max(100))
+});
+
+// Priority ratings from the profile enhancer's sliders; judges left out keep the version's weight
+const scoringWeightsSchema = z.object({
+  weights: z.record(z.string(), z.number().int().min(1).max(5))
+});
+
+module.exports = {
+  scoredOpportunityListSchema,
+  scoringJobListSchema,
+  scoringJobEnqueueSchema,
+  scoringVersionParamSchema,
+  scoringVersionSchema,
+  scoringVersionStatusSchema,
+  scoringVersionReplaySchema,
+  scoringVersionCompareSchema,
+  scoringWeightsSchema
+};
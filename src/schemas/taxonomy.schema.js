@@ -0,0 +1,38 @@
+const { z } = require('zod');
+
+// Capability taxonomy node ID: lowercase letters, digits and underscores
+const taxonomyNodeIdSchema = z
+  .string()
+  .trim()
+  .regex(/^[a-z][a-z0-9_]{1,99}$/, 'Node IDs are lowercase letters, digits and underscores, starting with a letter');
+
+// Route parameter for a single taxonomy node
+const taxonomyNodeParamSchema = z.object({
+  id: taxonomyNodeIdSchema
+});
+
+// Capability taxonomy node request body: a new node, or extra synonyms and codes for an existing one
+const taxonomyNodeSchema = z.object({
+  id: taxonomyNodeIdSchema,
+  label: z.string().trim().min(2).max(255).optional(),
+  parent: taxonomyNodeIdSchema.optional(),
+  synonyms: z
+    .array(z.string().trim().toLowerCase().min(2).max(100))
+    .max(100)
+    .transform(terms => [...new Set(terms)])
+    .default([]),
+  naics: z
+    .array(z.string().regex(/^\d{2,6}$/, 'NAICS prefixes are 2-6 digits'))
+    .max(50)
+    .default([]),
+  psc: z
+    .array(z.string().trim().toUpperCase().regex(/^[0-9A-Z]{1,4}$/, 'PSC prefixes are 1-4 letters or digits'))
+    .max(50)
+    .default([])
+});
+
+module.exports = {
+  taxonomyNodeIdSchema,
+  taxonomyNodeParamSchema,
+  taxonomyNodeSchema
+};
@@ -5,6 +5,13 @@ const { logger } = require('./utils/logger');
 const { errorHandler, notFoundHandler, correlationIdMiddleware } = require('./middleware/errorHandler');
 const { requestLogger } = require('./middleware/requestLogger');
 const { Database } = require('./database/connection');
+const { loadConfig } = require('./config');
+const IngestionScheduler = require('./services/ingestionScheduler');
+const ScoringWorker = require('./services/scoringWorker');
+const CapabilityTaxonomyService = require('./services/capabilityTaxonomyService');
+const DataQualityService = require('./services/dataQualityService');
+const ScoringVersionService = require('./services/scoringVersionService');
+const { loadFeedDefinitions } = require('./integrations/sources');
 
 // Load and validate environment variables
 require('dotenv-safe').config({
@@ -17,6 +24,8 @@ const authRoutes = require('./routes/auth');
 const profileRoutes = require('./routes/profiles');
 const supplierRoutes = require('./routes/suppliers');
 const opportunityRoutes = require('./routes/opportunities');
+const opportunityEntityRoutes = require('./routes/opportunityEntities');
+const awardRoutes = require('./routes/awards');
 const analysisRoutes = require('./routes/analysis');
 const partnershipRoutes = require('./routes/partnerships');
 const partnerFitRoutes = require('./routes/partnerFit');
@@ -25,6 +34,7 @@ const userRoutes = require('./routes/users');
 const relationshipIntelligenceRoutes = require('./routes/relationshipIntelligence');
 const analyticsRoutes = require('./routes/analytics');
 const scoringRoutes = require('./routes/scoring');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -132,6 +142,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/profiles', profileRoutes);
 app.use('/api/suppliers', supplierRoutes);
 app.use('/api/opportunities', opportunityRoutes);
+app.use('/api/opportunity-entities', opportunityEntityRoutes);
+app.use('/api/awards', awardRoutes);
 app.use('/api/analysis', analysisRoutes);
 app.use('/api/partnerships', partnershipRoutes);
 app.use('/api/partner-fit', partnerFitRoutes);
@@ -140,6 +152,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/relationship-intelligence', relationshipIntelligenceRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/scoring', scoringRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Serve static files from React build
 if (process.env.NODE_ENV === 'production') {
@@ -166,6 +179,9 @@ if (process.env.NODE_ENV === 'production') {
 app.use(notFoundHandler);
 app.use(errorHandler);
 
+// Background scoring worker, when run inside the API process
+let scoringWorker = null;
+
 // Initialize database and start server
 async function startServer() {
   try {
@@ -174,6 +190,38 @@ async function startServer() {
     await db.connect();
     logger.info('Database connection established');
 
+    // Load admin extensions to the capability taxonomy used for tagging
+    await new CapabilityTaxonomyService().refreshSafely();
+
+    // Load admin overrides of the data quality rules used to score ingested opportunities
+    await new DataQualityService().refreshSafely();
+
+    // Load registered scoring versions and which one is active
+    await new ScoringVersionService().refreshSafely();
+
+    // Register CSV/JSON feed sources, then start scheduled government opportunity ingestion
+    const config = loadConfig();
+    if (config.ingestion.feedsFile) {
+      loadFeedDefinitions(config.ingestion.feedsFile);
+    }
+    if (config.ingestion.schedulerEnabled) {
+      IngestionScheduler.getInstance().start(config.ingestion.schedules, {
+        maxOpportunities: config.ingestion.maxOpportunities,
+        sources: config.ingestion.sources,
+        processAttachments: config.ingestion.processAttachments,
+        attachmentLimit: config.ingestion.attachmentLimit
+      });
+    }
+
+    // Score new and changed opportunity x profile pairs from the scoring job queue
+    if (config.scoring.workerEnabled) {
+      scoringWorker = new ScoringWorker({
+        batchSize: config.scoring.batchSize,
+        pollIntervalMs: config.scoring.pollIntervalMs
+      });
+      scoringWorker.start();
+    }
+
     // Start the server
     app.listen(PORT, () => {
       logger.info(`🚀 MyBidFit API Server running on port ${PORT}`);
@@ -190,6 +238,10 @@ async function startServer() {
 // Graceful shutdown handling
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  IngestionScheduler.getInstance().stop();
+  if (scoringWorker) {
+    await scoringWorker.stop();
+  }
   const db = Database.getInstance();
   await db.disconnect();
   process.exit(0);
@@ -197,6 +249,10 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  IngestionScheduler.getInstance().stop();
+  if (scoringWorker) {
+    await scoringWorker.stop();
+  }
   const db = Database.getInstance();
   await db.disconnect();
   process.exit(0);
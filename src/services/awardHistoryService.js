@@ -0,0 +1,515 @@
+/**
+ * Award History Service
+ *
+ * Historical federal contract awards for incumbent and price-to-win analysis:
+ * - Imports FPDS and USAspending bulk CSV exports as a stream, one contract_awards row per award
+ *   (modifications fold into their award) and one award_vendors row per UEI
+ * - Fills gov_opportunities.incumbent from award history: contracts the notice names by PIID,
+ *   otherwise the same office's contract for the same NAICS code ending around the new award
+ * - Historical award value ranges per NAICS code and agency (used by the value judge)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Database } = require('../database/connection');
+const { readCsvRecords } = require('../utils/csv');
+const {
+  createFieldReader,
+  detectAwardFormat,
+  normalizeAgencyName,
+  normalizeAwardRecord
+} = require('../integrations/awards/awardFormats');
+const { logger } = require('../utils/logger');
+
+// FAR 4.1603 PIIDs: 6-character activity address code, fiscal year, instrument type, serial number
+const PIID_PATTERN = '\\m([A-Z0-9]{6}-?[0-9]{2}-?[A-Z]-?[A-Z0-9]{4,8})\\M';
+
+// Value ranges need enough awards to mean anything; narrower scopes fall back to wider ones
+const MIN_AWARDS_FOR_RANGE = 5;
+const RANGE_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const AWARD_COLUMNS = [
+  'source', 'award_key', 'piid', 'parent_piid', 'solicitation_number', 'agency_code', 'agency_name',
+  'agency_key', 'sub_agency_name', 'sub_agency_key', 'office_name', 'vendor_uei', 'vendor_name',
+  'naics_code', 'naics_description', 'psc_code', 'set_aside', 'award_type', 'action_date',
+  'last_action_date', 'period_start', 'period_end', 'potential_end', 'obligated_amount',
+  'current_value', 'potential_value', 'place_state', 'description'
+];
+
+const AWARD_COLUMN_TYPES = {
+  action_date: 'DATE',
+  last_action_date: 'DATE',
+  period_start: 'DATE',
+  period_end: 'DATE',
+  potential_end: 'DATE',
+  obligated_amount: 'NUMERIC',
+  current_value: 'NUMERIC',
+  potential_value: 'NUMERIC'
+};
+
+class AwardHistoryService {
+  constructor() {
+    this.db = Database.getInstance();
+    this.rangeCache = new Map();
+  }
+
+  /**
+   * Imports a bulk award export
+   * @param {string} filePath - CSV file (FPDS or USAspending export)
+   * @param {object} options
+   * @param {string} options.format - 'usaspending', 'fpds' or 'auto' (detected from the header)
+   * @param {number} options.batchSize - Awards upserted per statement
+   * @param {boolean} options.updateIncumbents - Refresh opportunity incumbents afterwards
+   * @returns {Promise<object>} - { importId, format, rowsRead, awardsUpserted, rowsSkipped, incumbentsUpdated }
+   */
+  async importFile(filePath, { format = 'auto', batchSize = 500, updateIncumbents = true } = {}) {
+    const resolvedPath = path.resolve(process.cwd(), filePath);
+    await fs.promises.access(resolvedPath, fs.constants.R_OK);
+
+    return this.importRecords(readCsvRecords(fs.createReadStream(resolvedPath)), {
+      fileName: path.basename(resolvedPath),
+      format,
+      batchSize,
+      updateIncumbents
+    });
+  }
+
+  /**
+   * Imports award rows from any record iterator (rows keyed by header column)
+   */
+  async importRecords(records, { fileName, format = 'auto', batchSize = 500, updateIncumbents = true }) {
+    const stats = { importId: null, format: null, rowsRead: 0, awardsUpserted: 0, rowsSkipped: 0, incumbentsUpdated: null };
+    let read = null;
+    let batch = new Map();
+
+    const flush = async () => {
+      if (batch.size === 0) return;
+      stats.awardsUpserted += await this.upsertAwards([...batch.values()], stats.importId);
+      batch = new Map();
+    };
+
+    try {
+      for await (const record of records) {
+        if (!read) {
+          const columns = Object.keys(record);
+          stats.format = format === 'auto' ? detectAwardFormat(columns) : format;
+          if (!stats.format) {
+            throw new Error('Unrecognized award file: expected a USAspending or FPDS contract export');
+          }
+          read = createFieldReader(columns, stats.format);
+          stats.importId = await this.startImport(stats.format, fileName);
+          logger.info(`📥 Importing ${stats.format} awards from ${fileName}`);
+        }
+
+        stats.rowsRead++;
+        const award = normalizeAwardRecord(read, record, stats.format);
+        if (!award) {
+          stats.rowsSkipped++;
+          continue;
+        }
+
+        // Transactions of one award arrive as separate rows; fold them before upserting
+        batch.set(award.award_key, this.foldAward(batch.get(award.award_key), award));
+        if (batch.size >= batchSize) {
+          await flush();
+          if (stats.rowsRead % (batchSize * 20) === 0) {
+            logger.info(`📥 Award import progress: ${stats.rowsRead} rows read`);
+          }
+        }
+      }
+
+      await flush();
+
+      if (updateIncumbents && stats.awardsUpserted > 0) {
+        stats.incumbentsUpdated = await this.updateIncumbents();
+      }
+
+      if (stats.importId) await this.finishImport(stats.importId, 'completed', stats);
+      logger.info(`✅ Award import completed`, stats);
+      return stats;
+
+    } catch (error) {
+      if (stats.importId) {
+        await this.finishImport(stats.importId, 'failed', stats, error.message).catch(() => {});
+      }
+      logger.error(`❌ Award import failed: ${error.message}`, stats);
+      throw error;
+    }
+  }
+
+  /**
+   * Merges two rows of the same award: earliest base date, latest modification, largest cumulative values
+   */
+  foldAward(existing, award) {
+    if (!existing) return award;
+
+    const pick = (a, b, choose) => (a == null ? b : b == null ? a : choose(a, b));
+    const earliest = (a, b) => (a < b ? a : b);
+    const latest = (a, b) => (a > b ? a : b);
+
+    const merged = { ...existing };
+    Object.entries(award).forEach(([column, value]) => {
+      if (merged[column] == null) merged[column] = value;
+    });
+    merged.action_date = pick(existing.action_date, award.action_date, earliest);
+    merged.last_action_date = pick(existing.last_action_date, award.last_action_date, latest);
+    merged.period_end = pick(existing.period_end, award.period_end, latest);
+    merged.potential_end = pick(existing.potential_end, award.potential_end, latest);
+    ['obligated_amount', 'current_value', 'potential_value'].forEach(column => {
+      merged[column] = pick(existing[column], award[column], Math.max);
+    });
+    return merged;
+  }
+
+  /**
+   * Upserts vendors and awards; re-importing a file (or an overlapping one) is idempotent
+   * @returns {Promise<number>} - Awards written
+   */
+  async upsertAwards(awards, importId) {
+    const vendors = new Map();
+    awards.filter(award => award.vendor_uei).forEach(award => {
+      const known = vendors.get(award.vendor_uei);
+      const lastDate = award.last_action_date || award.action_date;
+      vendors.set(award.vendor_uei, {
+        uei: award.vendor_uei,
+        name: award.vendor_name || known?.name || award.vendor_uei,
+        parent_uei: award.vendor_parent_uei || known?.parent_uei || null,
+        parent_name: award.vendor_parent_name || known?.parent_name || null,
+        first_award_date: [known?.first_award_date, award.action_date].filter(Boolean).sort()[0] || null,
+        last_award_date: [known?.last_award_date, lastDate].filter(Boolean).sort().pop() || null
+      });
+    });
+
+    return this.db.transaction(async (client) => {
+      if (vendors.size > 0) {
+        await client.query(`
+          INSERT INTO award_vendors (uei, name, parent_uei, parent_name, first_award_date, last_award_date)
+          SELECT uei, name, parent_uei, parent_name, first_award_date, last_award_date
+          FROM jsonb_to_recordset($1::jsonb) AS v(
+            uei VARCHAR, name VARCHAR, parent_uei VARCHAR, parent_name VARCHAR, first_award_date DATE, last_award_date DATE
+          )
+          ON CONFLICT (uei) DO UPDATE SET
+            name = EXCLUDED.name,
+            parent_uei = COALESCE(EXCLUDED.parent_uei, award_vendors.parent_uei),
+            parent_name = COALESCE(EXCLUDED.parent_name, award_vendors.parent_name),
+            first_award_date = LEAST(award_vendors.first_award_date, EXCLUDED.first_award_date),
+            last_award_date = GREATEST(award_vendors.last_award_date, EXCLUDED.last_award_date),
+            updated_at = NOW()
+        `, [JSON.stringify([...vendors.values()])]);
+      }
+
+      const columns = AWARD_COLUMNS.map(column => `${column} ${AWARD_COLUMN_TYPES[column] || 'TEXT'}`).join(', ');
+      const result = await client.query(`
+        INSERT INTO contract_awards (${AWARD_COLUMNS.join(', ')}, import_id)
+        SELECT ${AWARD_COLUMNS.join(', ')}, $2::uuid
+        FROM jsonb_to_recordset($1::jsonb) AS a(${columns})
+        ON CONFLICT (source, award_key) DO UPDATE SET
+          vendor_uei = COALESCE(EXCLUDED.vendor_uei, contract_awards.vendor_uei),
+          vendor_name = COALESCE(EXCLUDED.vendor_name, contract_awards.vendor_name),
+          solicitation_number = COALESCE(contract_awards.solicitation_number, EXCLUDED.solicitation_number),
+          description = COALESCE(contract_awards.description, EXCLUDED.description),
+          action_date = LEAST(contract_awards.action_date, EXCLUDED.action_date),
+          last_action_date = GREATEST(contract_awards.last_action_date, EXCLUDED.last_action_date),
+          period_end = GREATEST(contract_awards.period_end, EXCLUDED.period_end),
+          potential_end = GREATEST(contract_awards.potential_end, EXCLUDED.potential_end),
+          obligated_amount = GREATEST(contract_awards.obligated_amount, EXCLUDED.obligated_amount),
+          current_value = GREATEST(contract_awards.current_value, EXCLUDED.current_value),
+          potential_value = GREATEST(contract_awards.potential_value, EXCLUDED.potential_value),
+          import_id = EXCLUDED.import_id,
+          updated_at = NOW()
+      `, [JSON.stringify(awards), importId]);
+
+      return result.rowCount || 0;
+    });
+  }
+
+  /**
+   * Sets incumbents of opportunities from award history
+   * A contract the notice names by PIID wins over anything else, including names found in the
+   * text; the expiring-award match only fills opportunities that have no incumbent yet.
+   * @param {object} options
+   * @param {Date} options.updatedSince - Only check opportunities updated since (e.g. by an ingestion run)
+   * @returns {Promise<number>} - Opportunities whose incumbent was set
+   */
+  async updateIncumbents({ updatedSince = null } = {}) {
+    const referenced = await this.db.query(`
+      WITH refs AS (
+        SELECT o.id, REPLACE(m[1], '-', '') AS piid
+        FROM gov_opportunities o
+        CROSS JOIN LATERAL regexp_matches(UPPER(COALESCE(o.description, '')), $1, 'g') AS m
+        WHERE o.merged_into IS NULL
+          AND o.incumbent_match IS DISTINCT FROM 'piid_reference'
+          AND ($2::timestamp IS NULL OR o.updated_at >= $2)
+      ), matched AS (
+        SELECT DISTINCT ON (r.id) r.id, a.id AS award_id, a.vendor_uei, a.vendor_name
+        FROM refs r
+        JOIN contract_awards a ON a.piid = r.piid
+        WHERE a.vendor_name IS NOT NULL
+        ORDER BY r.id, a.last_action_date DESC NULLS LAST
+      )
+      UPDATE gov_opportunities o
+      SET incumbent = matched.vendor_name,
+          incumbent_uei = matched.vendor_uei,
+          incumbent_award_id = matched.award_id,
+          incumbent_match = 'piid_reference',
+          updated_at = NOW()
+      FROM matched
+      WHERE o.id = matched.id
+    `, [PIID_PATTERN, updatedSince]);
+
+    // Agency names differ between SAM.gov and award exports; match them on normalized keys
+    const agencies = await this.db.query(`
+      SELECT DISTINCT agency
+      FROM gov_opportunities
+      WHERE incumbent IS NULL AND merged_into IS NULL AND agency IS NOT NULL
+        AND ($1::timestamp IS NULL OR updated_at >= $1)
+    `, [updatedSince]);
+    const agencyNames = agencies.rows.map(row => row.agency);
+    const agencyKeys = agencyNames.map(normalizeAgencyName);
+
+    let expiring = { rowCount: 0 };
+    if (agencyNames.length > 0) {
+      expiring = await this.db.query(`
+        WITH agency_keys AS (
+          SELECT * FROM unnest($1::text[], $2::text[]) AS k(agency, agency_key)
+        ), matched AS (
+          SELECT DISTINCT ON (o.id) o.id, a.id AS award_id, a.vendor_uei, a.vendor_name
+          FROM gov_opportunities o
+          JOIN agency_keys k ON k.agency = o.agency
+          JOIN contract_awards a
+            ON (a.agency_key = k.agency_key OR a.sub_agency_key = k.agency_key)
+           AND o.naics_codes ? a.naics_code
+           AND UPPER(TRIM(a.office_name)) = UPPER(TRIM(o.office))
+           AND COALESCE(a.period_end, a.potential_end)
+               BETWEEN COALESCE(o.due_date, o.posted_date) - INTERVAL '6 months'
+                   AND COALESCE(o.due_date, o.posted_date) + INTERVAL '18 months'
+          WHERE o.incumbent IS NULL
+            AND o.merged_into IS NULL
+            AND o.processing_status IN ('active', 'closed')
+            AND a.vendor_name IS NOT NULL
+            AND ($3::timestamp IS NULL OR o.updated_at >= $3)
+          ORDER BY o.id, a.potential_value DESC NULLS LAST, a.period_end DESC
+        )
+        UPDATE gov_opportunities o
+        SET incumbent = matched.vendor_name,
+            incumbent_uei = matched.vendor_uei,
+            incumbent_award_id = matched.award_id,
+            incumbent_match = 'expiring_award',
+            updated_at = NOW()
+        FROM matched
+        WHERE o.id = matched.id
+      `, [agencyNames, agencyKeys, updatedSince]);
+    }
+
+    const updated = (referenced.rowCount || 0) + (expiring.rowCount || 0);
+    logger.info(`🏛️ Incumbents updated from award history`, {
+      piidReferences: referenced.rowCount || 0,
+      expiringAwards: expiring.rowCount || 0
+    });
+    return updated;
+  }
+
+  /**
+   * Historical award value range for a NAICS code, narrowed to an agency when it has enough awards
+   * @param {object} criteria
+   * @param {string} criteria.naics - NAICS code
+   * @param {string} criteria.agency - Agency or sub-agency name (any spelling)
+   * @param {number} criteria.years - Look-back window (default 5)
+   * @returns {Promise<object|null>} - { scope, naics, agency, years, count, min, p25, median, p75, max } or null
+   */
+  async getValueRange({ naics, agency = null, years = 5 } = {}) {
+    if (!naics) return null;
+
+    const agencyKey = normalizeAgencyName(agency);
+    const cacheKey = `${naics}|${agencyKey || ''}|${years}`;
+    const cached = this.rangeCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.range;
+
+    let range = null;
+    if (agencyKey) {
+      range = await this.queryValueRange(naics, agencyKey, years);
+      if (range) range = { scope: 'naics_agency', naics, agency, years, ...range };
+    }
+    if (!range) {
+      range = await this.queryValueRange(naics, null, years);
+      if (range) range = { scope: 'naics', naics, agency: null, years, ...range };
+    }
+
+    this.rangeCache.set(cacheKey, { range, expiresAt: Date.now() + RANGE_CACHE_TTL_MS });
+    return range;
+  }
+
+  /**
+   * Value ranges of a NAICS code per awarding agency, most awards first
+   */
+  async getValueRangesByAgency(naics, { years = 5, limit = 20 } = {}) {
+    const result = await this.db.query(`
+      SELECT agency_name, COUNT(*)::int AS count,
+             MIN(value) AS min,
+             percentile_cont(0.25) WITHIN GROUP (ORDER BY value) AS p25,
+             percentile_cont(0.5) WITHIN GROUP (ORDER BY value) AS median,
+             percentile_cont(0.75) WITHIN GROUP (ORDER BY value) AS p75,
+             MAX(value) AS max
+      FROM (
+        SELECT agency_name, COALESCE(current_value, obligated_amount) AS value
+        FROM contract_awards
+        WHERE naics_code = $1 AND action_date >= CURRENT_DATE - make_interval(years => $2)
+      ) awards
+      WHERE value > 0
+      GROUP BY agency_name
+      HAVING COUNT(*) >= $3
+      ORDER BY count DESC
+      LIMIT $4
+    `, [naics, years, MIN_AWARDS_FOR_RANGE, limit]);
+
+    return result.rows.map(row => ({ agency: row.agency_name, ...this.formatRange(row) }));
+  }
+
+  async queryValueRange(naics, agencyKey, years) {
+    const result = await this.db.query(`
+      SELECT COUNT(*)::int AS count,
+             MIN(value) AS min,
+             percentile_cont(0.25) WITHIN GROUP (ORDER BY value) AS p25,
+             percentile_cont(0.5) WITHIN GROUP (ORDER BY value) AS median,
+             percentile_cont(0.75) WITHIN GROUP (ORDER BY value) AS p75,
+             MAX(value) AS max
+      FROM (
+        SELECT COALESCE(current_value, obligated_amount) AS value
+        FROM contract_awards
+        WHERE naics_code = $1
+          AND action_date >= CURRENT_DATE - make_interval(years => $3)
+          AND ($2::text IS NULL OR agency_key = $2 OR sub_agency_key = $2)
+      ) awards
+      WHERE value > 0
+    `, [naics, agencyKey, years]);
+
+    const row = result.rows[0];
+    if (!row || row.count < MIN_AWARDS_FOR_RANGE) return null;
+    return this.formatRange(row);
+  }
+
+  /**
+   * Vendor by UEI with award totals and most recent awards
+   * @returns {Promise<object|null>}
+   */
+  async getVendor(uei, { limit = 20 } = {}) {
+    const vendor = await this.db.query('SELECT * FROM award_vendors WHERE uei = $1', [uei]);
+    if (vendor.rows.length === 0) return null;
+
+    const [totals, awards] = await Promise.all([
+      this.db.query(`
+        SELECT COUNT(*)::int AS award_count,
+               SUM(COALESCE(current_value, obligated_amount)) AS total_value,
+               COALESCE(jsonb_agg(DISTINCT naics_code) FILTER (WHERE naics_code IS NOT NULL), '[]') AS naics_codes,
+               COALESCE(jsonb_agg(DISTINCT agency_name) FILTER (WHERE agency_name IS NOT NULL), '[]') AS agencies
+        FROM contract_awards
+        WHERE vendor_uei = $1
+      `, [uei]),
+      this.db.query(`
+        SELECT id, piid, parent_piid, agency_name, office_name, naics_code, psc_code, action_date,
+               period_end, current_value, potential_value, description
+        FROM contract_awards
+        WHERE vendor_uei = $1
+        ORDER BY action_date DESC NULLS LAST
+        LIMIT $2
+      `, [uei, limit])
+    ]);
+
+    const row = vendor.rows[0];
+    const summary = totals.rows[0] || {};
+    return {
+      uei: row.uei,
+      name: row.name,
+      parentUei: row.parent_uei,
+      parentName: row.parent_name,
+      firstAwardDate: row.first_award_date,
+      lastAwardDate: row.last_award_date,
+      awardCount: summary.award_count || 0,
+      totalValue: this.toNumber(summary.total_value),
+      naicsCodes: summary.naics_codes || [],
+      agencies: summary.agencies || [],
+      recentAwards: awards.rows.map(award => ({
+        id: award.id,
+        piid: award.piid,
+        parentPiid: award.parent_piid,
+        agency: award.agency_name,
+        office: award.office_name,
+        naicsCode: award.naics_code,
+        pscCode: award.psc_code,
+        actionDate: award.action_date,
+        periodEnd: award.period_end,
+        currentValue: this.toNumber(award.current_value),
+        potentialValue: this.toNumber(award.potential_value),
+        description: award.description
+      }))
+    };
+  }
+
+  /**
+   * Recent award imports, newest first
+   */
+  async listImports({ limit = 20, offset = 0 } = {}) {
+    const result = await this.db.query(`
+      SELECT *, COUNT(*) OVER() AS total_count
+      FROM award_imports
+      ORDER BY started_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    return {
+      imports: result.rows.map(row => ({
+        id: row.id,
+        source: row.source,
+        fileName: row.file_name,
+        status: row.status,
+        rowsRead: row.rows_read,
+        awardsUpserted: row.awards_upserted,
+        rowsSkipped: row.rows_skipped,
+        incumbentsUpdated: row.incumbents_updated,
+        errorMessage: row.error_message,
+        startedAt: row.started_at,
+        completedAt: row.completed_at
+      })),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0
+    };
+  }
+
+  // Import run bookkeeping
+
+  async startImport(source, fileName) {
+    const result = await this.db.query(`
+      INSERT INTO award_imports (source, file_name) VALUES ($1, $2) RETURNING id
+    `, [source, fileName]);
+    return result.rows[0].id;
+  }
+
+  async finishImport(importId, status, stats, errorMessage = null) {
+    await this.db.query(`
+      UPDATE award_imports
+      SET status = $2, rows_read = $3, awards_upserted = $4, rows_skipped = $5,
+          incumbents_updated = $6, error_message = $7, completed_at = NOW()
+      WHERE id = $1
+    `, [importId, status, stats.rowsRead, stats.awardsUpserted, stats.rowsSkipped, stats.incumbentsUpdated, errorMessage]);
+  }
+
+  formatRange(row) {
+    return {
+      count: row.count,
+      min: this.toNumber(row.min),
+      p25: this.toNumber(row.p25),
+      median: this.toNumber(row.median),
+      p75: this.toNumber(row.p75),
+      max: this.toNumber(row.max)
+    };
+  }
+
+  toNumber(value) {
+    if (value === null || value === undefined) return null;
+    const parsed = Number(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+}
+
+AwardHistoryService.PIID_PATTERN = PIID_PATTERN;
+
+module.exports = AwardHistoryService;
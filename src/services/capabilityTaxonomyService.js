@@ -0,0 +1,147 @@
+/**
+ * Capability Taxonomy Service
+ *
+ * Stores admin extensions to the built-in capability taxonomy and loads them into the
+ * process-wide taxonomy used by opportunity tagging and supplier capability extraction:
+ * - Extensions are loaded at startup, before each ingestion run and after every change
+ * - A built-in ID gets extra synonyms and NAICS/PSC prefixes; other IDs add new nodes
+ * - Tags of stored opportunities change when they are next ingested or updated
+ */
+
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { getCapabilityTaxonomy, ID_PATTERN } = require('../utils/capabilityTaxonomy');
+
+class CapabilityTaxonomyService {
+  constructor() {
+    this.db = Database.getInstance();
+    this.taxonomy = getCapabilityTaxonomy();
+  }
+
+  /**
+   * Loads extensions from the database into the shared taxonomy
+   * @returns {Promise<number>} - Number of extensions loaded
+   */
+  async refresh() {
+    const result = await this.db.query(`
+      SELECT id, label, parent_id, synonyms, naics_prefixes, psc_prefixes, updated_at
+      FROM capability_taxonomy_nodes
+      ORDER BY created_at ASC, id ASC
+    `);
+
+    const extensions = result.rows.map(row => this.formatExtension(row));
+    this.taxonomy.setExtensions(extensions);
+    return extensions.length;
+  }
+
+  /**
+   * Refreshes without failing the caller; the current taxonomy stays in use when the database is unavailable
+   */
+  async refreshSafely() {
+    try {
+      const count = await this.refresh();
+      logger.debug(`🏷️ Loaded ${count} capability taxonomy extensions`);
+    } catch (error) {
+      logger.warn('⚠️ Failed to load capability taxonomy extensions:', error.message);
+    }
+  }
+
+  /**
+   * Current taxonomy with built-in and extension nodes
+   * @returns {Promise<Array<object>>}
+   */
+  async listNodes() {
+    await this.refresh();
+    return this.taxonomy.listNodes();
+  }
+
+  /**
+   * Checks a node before it is stored
+   * @param {object} node - { id, label, parent, synonyms, naics, psc }
+   * @returns {string|null} - Error message, or null when the node is valid
+   */
+  validateNode(node) {
+    if (!ID_PATTERN.test(node.id)) {
+      return 'Node IDs are lowercase letters, digits and underscores, starting with a letter';
+    }
+
+    const existing = this.taxonomy.getNode(node.id);
+    if (!existing && !node.label) {
+      return 'New nodes require a label';
+    }
+
+    if (node.parent) {
+      if (!this.taxonomy.getNode(node.parent)) {
+        return `Unknown parent node: ${node.parent}`;
+      }
+      if (this.taxonomy.wouldCreateCycle(node.id, node.parent)) {
+        return `Parent ${node.parent} would make ${node.id} its own ancestor`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Adds a node or extends an existing one; an existing extension row is replaced
+   * @param {object} node - { id, label, parent, synonyms, naics, psc }
+   * @param {number} userId - Admin making the change
+   * @returns {Promise<object>} - The node as it is now in the taxonomy
+   */
+  async upsertNode(node, userId) {
+    await this.db.query(`
+      INSERT INTO capability_taxonomy_nodes (id, label, parent_id, synonyms, naics_prefixes, psc_prefixes, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (id) DO UPDATE
+      SET label = EXCLUDED.label,
+          parent_id = EXCLUDED.parent_id,
+          synonyms = EXCLUDED.synonyms,
+          naics_prefixes = EXCLUDED.naics_prefixes,
+          psc_prefixes = EXCLUDED.psc_prefixes,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = NOW()
+    `, [
+      node.id,
+      node.label || null,
+      node.parent || null,
+      JSON.stringify(node.synonyms || []),
+      JSON.stringify(node.naics || []),
+      JSON.stringify(node.psc || []),
+      userId || null
+    ]);
+
+    await this.refresh();
+    logger.info(`🏷️ Capability taxonomy node ${node.id} saved`, { userId });
+
+    return this.taxonomy.getNode(node.id);
+  }
+
+  /**
+   * Removes an extension; built-in nodes fall back to their built-in definition
+   * @param {string} id - Node ID
+   * @returns {Promise<boolean>} - Whether an extension was removed
+   */
+  async deleteNode(id) {
+    const result = await this.db.query('DELETE FROM capability_taxonomy_nodes WHERE id = $1', [id]);
+    await this.refresh();
+
+    if (result.rowCount > 0) {
+      logger.info(`🏷️ Capability taxonomy extension ${id} removed`);
+    }
+    return result.rowCount > 0;
+  }
+
+  formatExtension(row) {
+    const parseList = value => (typeof value === 'string' ? JSON.parse(value) : value) || [];
+    return {
+      id: row.id,
+      label: row.label || undefined,
+      parent: row.parent_id || undefined,
+      synonyms: parseList(row.synonyms),
+      naics: parseList(row.naics_prefixes),
+      psc: parseList(row.psc_prefixes)
+    };
+  }
+}
+
+module.exports = CapabilityTaxonomyService;
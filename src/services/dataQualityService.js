@@ -0,0 +1,259 @@
+/**
+ * Data Quality Service
+ *
+ * Scores government opportunities with the shared data quality rules and reports on the results:
+ * - Admin overrides of rule weights, parameters and enabled state are stored in data_quality_rules and
+ *   loaded at startup, before each ingestion run and after every change
+ * - Ingestion scores opportunities as they are stored; rescore() catches up rows scored under other
+ *   rule settings or long enough ago that freshness rules may have changed their outcome
+ * - The report lists the lowest-scoring opportunities and the most commonly failing rules per source
+ */
+
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { getDataQualityRules } = require('../utils/dataQualityRules');
+
+// Freshness rules depend on the current date, so scores older than this are recomputed
+const RESCORE_AFTER_HOURS = 24;
+
+class DataQualityService {
+  constructor() {
+    this.db = Database.getInstance();
+    this.rules = getDataQualityRules();
+  }
+
+  /**
+   * Loads rule overrides from the database into the shared rule set
+   * @returns {Promise<number>} - Number of overrides loaded
+   */
+  async refresh() {
+    const result = await this.db.query(`
+      SELECT rule_id, weight, enabled, params
+      FROM data_quality_rules
+      ORDER BY rule_id
+    `);
+
+    this.rules.setOverrides(result.rows.map(row => ({
+      id: row.rule_id,
+      weight: row.weight === null ? undefined : Number(row.weight),
+      enabled: row.enabled,
+      params: typeof row.params === 'string' ? JSON.parse(row.params) : row.params
+    })));
+    return result.rows.length;
+  }
+
+  /**
+   * Refreshes without failing the caller; the current rules stay in use when the database is unavailable
+   */
+  async refreshSafely() {
+    try {
+      const count = await this.refresh();
+      logger.debug(`📏 Loaded ${count} data quality rule overrides`);
+    } catch (error) {
+      logger.warn('⚠️ Failed to load data quality rule overrides:', error.message);
+    }
+  }
+
+  /**
+   * Current rules with their effective and default settings
+   */
+  async listRules() {
+    await this.refresh();
+    return { ruleset: this.rules.ruleset, rules: this.rules.listRules() };
+  }
+
+  hasRule(id) {
+    return this.rules.getRule(id) !== null;
+  }
+
+  /**
+   * Checks an override before it is stored
+   * @returns {string|null} - Error message, or null when the override is valid
+   */
+  validateOverride(id, override) {
+    return this.rules.validateOverride(id, override);
+  }
+
+  /**
+   * Stores an override for a built-in rule; an existing override is replaced
+   * @param {string} id - Rule ID
+   * @param {object} override - { weight, enabled, params }
+   * @param {number} userId - Admin making the change
+   * @returns {Promise<object>} - The rule as it is now
+   */
+  async updateRule(id, { weight, enabled, params }, userId) {
+    await this.db.query(`
+      INSERT INTO data_quality_rules (rule_id, weight, enabled, params, updated_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (rule_id) DO UPDATE
+      SET weight = EXCLUDED.weight,
+          enabled = EXCLUDED.enabled,
+          params = EXCLUDED.params,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = NOW()
+    `, [id, weight ?? null, enabled ?? true, JSON.stringify(params || {}), userId || null]);
+
+    await this.refresh();
+    logger.info(`📏 Data quality rule ${id} updated`, { userId, ruleset: this.rules.ruleset });
+
+    return this.rules.listRules().find(rule => rule.id === id);
+  }
+
+  /**
+   * Removes an override; the rule falls back to its built-in settings
+   * @returns {Promise<boolean>} - Whether an override was removed
+   */
+  async resetRule(id) {
+    const result = await this.db.query('DELETE FROM data_quality_rules WHERE rule_id = $1', [id]);
+    await this.refresh();
+
+    if (result.rowCount > 0) {
+      logger.info(`📏 Data quality rule ${id} reset to its built-in settings`);
+    }
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Quality columns for an opportunity in the gov_opportunities row shape
+   * @returns {object} - { data_quality_score, data_quality_details, data_quality_checked_at }
+   */
+  scoreOpportunity(row, now = new Date()) {
+    const { score, details } = this.rules.evaluate(row, now);
+    return {
+      data_quality_score: score,
+      data_quality_details: JSON.stringify(details),
+      data_quality_checked_at: now
+    };
+  }
+
+  /**
+   * Rescores stored opportunities that were never scored, were scored under other rule settings, or
+   * were scored more than a day ago; least recently checked first
+   * @param {object} options
+   * @param {number} options.limit - Maximum opportunities to rescore
+   * @returns {Promise<object>} - { checked, ruleset, averageScore }
+   */
+  async rescore({ limit = 1000 } = {}) {
+    await this.refreshSafely();
+    const ruleset = this.rules.ruleset;
+
+    const result = await this.db.query(`
+      SELECT *
+      FROM gov_opportunities
+      WHERE merged_into IS NULL
+        AND (data_quality_checked_at IS NULL
+          OR data_quality_details->>'ruleset' IS DISTINCT FROM $1
+          OR data_quality_checked_at < NOW() - make_interval(hours => $2))
+      ORDER BY data_quality_checked_at ASC NULLS FIRST
+      LIMIT $3
+    `, [ruleset, RESCORE_AFTER_HOURS, limit]);
+
+    if (result.rows.length === 0) {
+      return { checked: 0, ruleset, averageScore: null };
+    }
+
+    const now = new Date();
+    const scored = result.rows.map(row => {
+      const { score, details } = this.rules.evaluate(row, now);
+      return { id: row.id, score, details };
+    });
+
+    await this.db.query(`
+      UPDATE gov_opportunities o
+      SET data_quality_score = s.score,
+          data_quality_details = s.details,
+          data_quality_checked_at = $2
+      FROM jsonb_to_recordset($1::jsonb) AS s(id UUID, score DECIMAL, details JSONB)
+      WHERE o.id = s.id
+    `, [JSON.stringify(scored), now]);
+
+    const scores = scored.map(item => item.score).filter(score => score !== null);
+    const averageScore = scores.length > 0
+      ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100
+      : null;
+
+    logger.info(`📏 Rescored data quality of ${scored.length} opportunities`, { ruleset, averageScore });
+    return { checked: scored.length, ruleset, averageScore };
+  }
+
+  /**
+   * Data quality per source: average score, lowest-scoring opportunities and most commonly failing rules
+   * Opportunities merged from several sources count toward each of them.
+   * @param {object} options
+   * @param {string} options.source - Limit the report to one source (e.g. sam_gov)
+   * @param {number} options.limit - Lowest-scoring opportunities per source
+   * @param {number} options.ruleLimit - Failing rules per source
+   * @returns {Promise<object>} - { ruleset, sources: [...] }
+   */
+  async getReport({ source = null, limit = 10, ruleLimit = 10 } = {}) {
+    const [summary, worst, failing] = await Promise.all([
+      this.db.query(`
+        SELECT s.source,
+               COUNT(*)::int AS opportunities,
+               COUNT(o.data_quality_score)::int AS scored,
+               AVG(o.data_quality_score) AS average_score
+        FROM gov_opportunities o
+        CROSS JOIN LATERAL jsonb_object_keys(COALESCE(o.source_ids, '{}'::jsonb)) AS s(source)
+        WHERE o.merged_into IS NULL
+          AND ($1::text IS NULL OR s.source = $1)
+        GROUP BY s.source
+        ORDER BY s.source
+      `, [source]),
+      this.db.query(`
+        SELECT *
+        FROM (
+          SELECT s.source, o.id, o.title, o.agency, o.data_quality_score,
+                 o.data_quality_details->'failed' AS failed, o.data_quality_checked_at,
+                 ROW_NUMBER() OVER (PARTITION BY s.source ORDER BY o.data_quality_score ASC, o.updated_at DESC) AS rank
+          FROM gov_opportunities o
+          CROSS JOIN LATERAL jsonb_object_keys(COALESCE(o.source_ids, '{}'::jsonb)) AS s(source)
+          WHERE o.merged_into IS NULL
+            AND o.data_quality_score IS NOT NULL
+            AND ($1::text IS NULL OR s.source = $1)
+        ) ranked
+        WHERE rank <= $2
+        ORDER BY source, rank
+      `, [source, limit]),
+      this.db.query(`
+        SELECT s.source, f->>'rule' AS rule, f->>'category' AS category, COUNT(*)::int AS failures
+        FROM gov_opportunities o
+        CROSS JOIN LATERAL jsonb_object_keys(COALESCE(o.source_ids, '{}'::jsonb)) AS s(source)
+        CROSS JOIN LATERAL jsonb_array_elements(COALESCE(o.data_quality_details->'failed', '[]'::jsonb)) AS f
+        WHERE o.merged_into IS NULL
+          AND ($1::text IS NULL OR s.source = $1)
+        GROUP BY s.source, f->>'rule', f->>'category'
+        ORDER BY s.source, failures DESC, rule
+      `, [source])
+    ]);
+
+    const sources = summary.rows.map(row => ({
+      source: row.source,
+      opportunities: row.opportunities,
+      scored: row.scored,
+      averageScore: row.average_score === null ? null : Math.round(Number(row.average_score) * 100) / 100,
+      worst: worst.rows
+        .filter(item => item.source === row.source)
+        .map(item => ({
+          id: item.id,
+          title: item.title,
+          agency: item.agency,
+          score: Number(item.data_quality_score),
+          failed: item.failed || [],
+          checkedAt: item.data_quality_checked_at
+        })),
+      failingRules: failing.rows
+        .filter(item => item.source === row.source)
+        .slice(0, ruleLimit)
+        .map(item => ({
+          rule: item.rule,
+          category: item.category,
+          failures: item.failures,
+          share: row.scored > 0 ? Math.round((item.failures / row.scored) * 100) / 100 : null
+        }))
+    }));
+
+    return { ruleset: this.rules.ruleset, sources };
+  }
+}
+
+module.exports = DataQualityService;
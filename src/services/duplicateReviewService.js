@@ -0,0 +1,338 @@
+/**
+ * Duplicate Review Service
+ *
+ * Review queue for duplicate groups that are not merged automatically:
+ * - Borderline groups (similarity between the weak and strong match thresholds)
+ * - Groups containing a pair a reviewer labeled distinct before
+ *
+ * Reviewers see the opportunities side by side with the per-field similarity of every pair and
+ * approve (merge), reject (keep all) or split the group. Each decision labels every pair in the
+ * group as duplicate or distinct; the labeled pairs are the training data for fieldWeights.
+ */
+
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const OpportunityMergeService = require('./opportunityMergeService');
+
+// Opportunity columns shown side by side, in display order
+const COMPARISON_FIELDS = [
+  'title',
+  'agency',
+  'office',
+  'solicitation_number',
+  'source_ids',
+  'opportunity_type',
+  'naics_codes',
+  'psc_codes',
+  'set_aside',
+  'posted_date',
+  'due_date',
+  'value_estimated',
+  'place_of_performance',
+  'processing_status',
+  'description'
+];
+
+const REVIEW_DECISIONS = ['approve', 'reject', 'split'];
+
+class DuplicateReviewService {
+  constructor() {
+    this.db = Database.getInstance();
+    this.mergeService = new OpportunityMergeService();
+  }
+
+  /**
+   * Reviewer labels of the pairs among the given opportunities
+   * @param {Array<string>} opportunityIds
+   * @returns {Promise<Map<string, string>>} - pairKey() -> 'duplicate' | 'distinct'
+   */
+  async getPairLabels(opportunityIds) {
+    if (opportunityIds.length < 2) return new Map();
+
+    const result = await this.db.query(`
+      SELECT opportunity_a, opportunity_b, label
+      FROM dedup_labeled_pairs
+      WHERE opportunity_a = ANY($1::uuid[]) AND opportunity_b = ANY($1::uuid[])
+    `, [opportunityIds]);
+
+    return new Map(result.rows.map(row => [this.pairKey(row.opportunity_a, row.opportunity_b), row.label]));
+  }
+
+  /**
+   * Adds a duplicate group to the review queue, unless one of its opportunities is already pending review
+   * @param {object} item
+   * @param {string} item.runId - Run that found the group
+   * @param {object} item.group - Duplicate group from findDuplicateGroups
+   * @param {Array<object>} item.pairScores - [{ a, b, similarity, fields }] for every pair in the group
+   * @param {string} item.reason - 'borderline' or 'conflicting_label'
+   * @returns {Promise<string|null>} - Review item ID, or null when the group was already queued
+   */
+  async queueGroup({ runId, group, pairScores, reason = 'borderline' }) {
+    const opportunityIds = group.opportunities.map(opp => opp.id);
+
+    const pending = await this.db.query(`
+      SELECT id FROM dedup_review_items
+      WHERE status = 'pending' AND opportunity_ids && $1::uuid[]
+      LIMIT 1
+    `, [opportunityIds]);
+
+    if (pending.rows.length > 0) {
+      return null;
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO dedup_review_items (run_id, reason, opportunity_ids, recommended_survivor_id, similarity, pair_scores)
+      VALUES ($1, $2, $3::uuid[], $4, $5, $6)
+      RETURNING id
+    `, [
+      runId,
+      reason,
+      opportunityIds,
+      group.recommendation?.keepOpportunity || null,
+      group.similarity,
+      JSON.stringify(pairScores)
+    ]);
+
+    logger.info(`🧐 Queued duplicate group of ${opportunityIds.length} opportunities for review (${reason})`, { runId, itemId: result.rows[0].id });
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Review items with their opportunities' titles, oldest pending first
+   * @returns {Promise<object>} - { items, total }
+   */
+  async listItems({ status = 'pending', limit = 20, offset = 0 } = {}) {
+    const [items, count] = await Promise.all([
+      this.db.query(`
+        SELECT r.id, r.run_id, r.status, r.reason, r.opportunity_ids, r.recommended_survivor_id, r.similarity,
+               r.decided_by, r.decided_at, r.created_at,
+               (
+                 SELECT json_agg(json_build_object('id', o.id, 'title', o.title, 'agency', o.agency))
+                 FROM gov_opportunities o
+                 WHERE o.id = ANY(r.opportunity_ids)
+               ) AS opportunities
+        FROM dedup_review_items r
+        WHERE r.status = $1
+        ORDER BY r.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+        LIMIT $2 OFFSET $3
+      `, [status, limit, offset]),
+      this.db.query('SELECT COUNT(*)::int AS total FROM dedup_review_items WHERE status = $1', [status])
+    ]);
+
+    return { items: items.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * A review item with its opportunities side by side and the per-field similarity of each pair
+   * @returns {Promise<object|null>}
+   */
+  async getItem(itemId) {
+    const result = await this.db.query('SELECT * FROM dedup_review_items WHERE id = $1', [itemId]);
+    const item = result.rows[0];
+    if (!item) {
+      return null;
+    }
+
+    const opportunities = await this.db.query(`
+      SELECT id, merged_into, ${COMPARISON_FIELDS.join(', ')}
+      FROM gov_opportunities
+      WHERE id = ANY($1::uuid[])
+    `, [item.opportunity_ids]);
+
+    const byId = new Map(opportunities.rows.map(row => [row.id, row]));
+    const ordered = item.opportunity_ids.map(id => byId.get(id)).filter(Boolean);
+
+    return {
+      ...item,
+      opportunities: ordered,
+      comparison: this.buildComparison(ordered)
+    };
+  }
+
+  /**
+   * Side-by-side rows: one per field with each opportunity's value and whether they all agree
+   */
+  buildComparison(opportunities) {
+    return COMPARISON_FIELDS.map(field => {
+      const values = opportunities.map(opp => (opp[field] === undefined ? null : opp[field]));
+      const serialized = values.map(value => JSON.stringify(value instanceof Date ? value.toISOString() : value));
+      return {
+        field,
+        values,
+        identical: serialized.every(value => value === serialized[0])
+      };
+    });
+  }
+
+  /**
+   * Applies a reviewer decision and labels every pair in the group
+   * - approve: merge the group into survivorId (default: the recommended survivor)
+   * - reject: keep every opportunity; all pairs are labeled distinct
+   * - split: merge each of `groups` into its first opportunity; opportunities left out stay on their own
+   * @param {string} itemId - Review item ID
+   * @param {object} decision - { decision, survivorId?, groups?, notes? }
+   * @param {number} userId - Reviewer
+   * @returns {Promise<object>} - { status: 'decided' | 'not_found' | 'already_decided' | 'invalid', item?, actions?, error? }
+   */
+  async decide(itemId, { decision, survivorId = null, groups = [], notes = null }, userId) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return { status: 'invalid', error: `Unknown decision: ${decision}` };
+    }
+
+    return this.db.transaction(async (client) => {
+      const result = await client.query('SELECT * FROM dedup_review_items WHERE id = $1 FOR UPDATE', [itemId]);
+      const item = result.rows[0];
+      if (!item) {
+        return { status: 'not_found' };
+      }
+      if (item.status !== 'pending') {
+        return { status: 'already_decided', item };
+      }
+
+      const mergeSets = this.resolveMergeSets(item, { decision, survivorId, groups });
+      if (mergeSets.error) {
+        return { status: 'invalid', error: mergeSets.error };
+      }
+
+      const pairScores = new Map((item.pair_scores || []).map(pair => [this.pairKey(pair.a, pair.b), pair]));
+      const actions = [];
+
+      for (const members of mergeSets.sets) {
+        const memberScores = this.pairs(members).map(([a, b]) => pairScores.get(this.pairKey(a, b))?.similarity).filter(score => score !== undefined);
+        const action = await this.mergeService.mergeGroup({
+          runId: item.run_id,
+          survivorId: members[0],
+          loserIds: members.slice(1),
+          similarity: memberScores.length > 0 ? memberScores.reduce((sum, score) => sum + score, 0) / memberScores.length : item.similarity
+        }, client);
+        if (action) actions.push(action);
+      }
+
+      // Pairs inside a merged set are duplicates, every other pair in the group is distinct
+      const setOf = new Map();
+      mergeSets.sets.forEach((members, index) => members.forEach(id => setOf.set(id, index)));
+      const labels = this.pairs(item.opportunity_ids).map(([a, b]) => {
+        const [first, second] = this.orderPair(a, b);
+        const scores = pairScores.get(this.pairKey(a, b));
+        return {
+          a: first,
+          b: second,
+          label: setOf.has(a) && setOf.get(a) === setOf.get(b) ? 'duplicate' : 'distinct',
+          similarity: scores ? scores.similarity : null,
+          fields: scores ? scores.fields : {}
+        };
+      });
+
+      await client.query(`
+        INSERT INTO dedup_labeled_pairs (opportunity_a, opportunity_b, label, similarity, field_scores, review_item_id, labeled_by)
+        SELECT p.a, p.b, p.label, p.similarity, p.fields, $2, $3
+        FROM jsonb_to_recordset($1::jsonb) AS p(a uuid, b uuid, label text, similarity numeric, fields jsonb)
+        ON CONFLICT (opportunity_a, opportunity_b) DO UPDATE
+        SET label = EXCLUDED.label,
+            similarity = EXCLUDED.similarity,
+            field_scores = EXCLUDED.field_scores,
+            review_item_id = EXCLUDED.review_item_id,
+            labeled_by = EXCLUDED.labeled_by,
+            labeled_at = NOW()
+      `, [JSON.stringify(labels), itemId, userId || null]);
+
+      const status = { approve: 'approved', reject: 'rejected', split: 'split' }[decision];
+      const updated = await client.query(`
+        UPDATE dedup_review_items
+        SET status = $2, decision = $3, decided_by = $4, decided_at = NOW()
+        WHERE id = $1
+        RETURNING id, run_id, status, reason, opportunity_ids, similarity, decision, decided_by, decided_at
+      `, [
+        itemId,
+        status,
+        JSON.stringify({ groups: mergeSets.sets, notes, actionIds: actions.map(action => action.actionId) }),
+        userId || null
+      ]);
+
+      logger.info(`✅ Review item ${itemId} ${status}: ${actions.length} merges, ${labels.length} labeled pairs`, { userId });
+
+      return { status: 'decided', item: updated.rows[0], actions };
+    });
+  }
+
+  /**
+   * Opportunity sets to merge for a decision, survivor first
+   * @returns {object} - { sets } or { error }
+   */
+  resolveMergeSets(item, { decision, survivorId, groups }) {
+    const ids = item.opportunity_ids;
+
+    if (decision === 'reject') {
+      return { sets: [] };
+    }
+
+    if (decision === 'approve') {
+      const survivor = survivorId || item.recommended_survivor_id || ids[0];
+      if (!ids.includes(survivor)) {
+        return { error: `Survivor ${survivor} is not part of this group` };
+      }
+      return { sets: [[survivor, ...ids.filter(id => id !== survivor)]] };
+    }
+
+    const seen = new Set();
+    for (const id of groups.flat()) {
+      if (!ids.includes(id)) {
+        return { error: `Opportunity ${id} is not part of this group` };
+      }
+      if (seen.has(id)) {
+        return { error: `Opportunity ${id} appears in more than one split group` };
+      }
+      seen.add(id);
+    }
+
+    return { sets: groups.filter(members => members.length > 1) };
+  }
+
+  /**
+   * Labeled pairs with the per-field similarity they were reviewed at, newest first
+   * @returns {Promise<object>} - { pairs, total }
+   */
+  async listLabeledPairs({ label = null, limit = 100, offset = 0 } = {}) {
+    const filter = label ? 'WHERE label = $1' : '';
+    const filterParams = label ? [label] : [];
+
+    const [pairs, count] = await Promise.all([
+      this.db.query(`
+        SELECT opportunity_a, opportunity_b, label, similarity, field_scores, review_item_id, labeled_by, labeled_at
+        FROM dedup_labeled_pairs
+        ${filter}
+        ORDER BY labeled_at DESC
+        LIMIT $${filterParams.length + 1} OFFSET $${filterParams.length + 2}
+      `, [...filterParams, limit, offset]),
+      this.db.query(`SELECT COUNT(*)::int AS total FROM dedup_labeled_pairs ${filter}`, filterParams)
+    ]);
+
+    return { pairs: pairs.rows, total: count.rows[0].total };
+  }
+
+  pairs(ids) {
+    const pairs = [];
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        pairs.push([ids[i], ids[j]]);
+      }
+    }
+    return pairs;
+  }
+
+  // Pairs are stored with the lower UUID first (text order of lowercase UUIDs matches Postgres uuid order)
+  orderPair(a, b) {
+    const [first, second] = [String(a).toLowerCase(), String(b).toLowerCase()];
+    return first < second ? [first, second] : [second, first];
+  }
+
+  pairKey(a, b) {
+    return this.orderPair(a, b).join('|');
+  }
+}
+
+DuplicateReviewService.COMPARISON_FIELDS = COMPARISON_FIELDS;
+DuplicateReviewService.REVIEW_DECISIONS = REVIEW_DECISIONS;
+
+module.exports = DuplicateReviewService;
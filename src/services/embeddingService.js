@@ -0,0 +1,264 @@
+/**
+ * Embedding Service
+ *
+ * Computes and stores text embeddings for government opportunities and company profiles:
+ * - Opportunities embed title, description and requirements summary; profiles embed summary,
+ *   description, capabilities, keywords and past performance
+ * - Vectors are stored per embedding model and only recomputed when the embedded text changes
+ * - Similar ("more like this") opportunities are ranked by cosine similarity of stored vectors
+ *
+ * The provider comes from integrations/embeddings (deterministic hashing vectors by default).
+ */
+
+const crypto = require('crypto');
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { getEmbeddingProvider } = require('../integrations/embeddings');
+
+const DEFAULT_REFRESH_LIMIT = 500;
+const MAX_TEXT_LENGTH = 8000;
+
+class EmbeddingService {
+  constructor(provider = null) {
+    this.db = Database.getInstance();
+    this.provider = provider || getEmbeddingProvider();
+  }
+
+  get model() {
+    return this.provider.model;
+  }
+
+  /**
+   * Text embedded for an opportunity
+   */
+  opportunityText(opportunity) {
+    return this.joinText([
+      opportunity.title,
+      opportunity.description,
+      opportunity.requirements_summary || opportunity.requirementsSummary
+    ]);
+  }
+
+  /**
+   * Text embedded for a company profile (database row or API shape)
+   */
+  profileText(profile) {
+    const capabilities = this.parseJson(profile.capabilities, []).map(capability => (typeof capability === 'string'
+      ? capability
+      : [capability.category, capability.description, ...(capability.keywords || [])].join(' ')));
+    const pastPerformance = this.parseJson(profile.past_performance || profile.pastPerformance, [])
+      .map(project => [project.title, project.description].join(' '));
+
+    return this.joinText([
+      profile.summary,
+      profile.description,
+      ...capabilities,
+      this.parseJson(profile.keywords, []).join(' '),
+      ...pastPerformance
+    ]);
+  }
+
+  joinText(parts) {
+    return parts
+      .filter(part => typeof part === 'string' && part.trim())
+      .join('\n')
+      .slice(0, MAX_TEXT_LENGTH);
+  }
+
+  contentHash(text) {
+    return crypto.createHash('sha256').update(`${this.model}\n${text}`).digest('hex');
+  }
+
+  /**
+   * Embeds one text with the current provider
+   * @returns {Promise<Array<number>|null>} - Unit-length vector, or null for empty text
+   */
+  async embedText(text) {
+    if (!text) return null;
+    return this.provider.embedOne(text);
+  }
+
+  /**
+   * Embeds opportunities whose text changed since their stored embedding
+   * @param {Array<object>} opportunities - Rows with id, title, description, requirements_summary and
+   *   optionally content_hash (the stored embedding's hash)
+   * @returns {Promise<number>} - Number of embeddings written
+   */
+  async embedOpportunities(opportunities) {
+    const pending = opportunities
+      .map(opportunity => {
+        const text = this.opportunityText(opportunity);
+        return { id: opportunity.id, text, hash: this.contentHash(text), storedHash: opportunity.content_hash };
+      })
+      .filter(item => item.text && item.hash !== item.storedHash);
+
+    if (pending.length === 0) {
+      return 0;
+    }
+
+    const vectors = await this.provider.embed(pending.map(item => item.text));
+    const records = pending.map((item, index) => ({
+      opportunity_id: item.id,
+      vector: vectors[index],
+      content_hash: item.hash
+    }));
+
+    await this.db.query(`
+      INSERT INTO gov_opportunity_embeddings (opportunity_id, model, dimensions, vector, content_hash, updated_at)
+      SELECT r.opportunity_id, $2, jsonb_array_length(r.vector),
+             ARRAY(SELECT jsonb_array_elements_text(r.vector)::real), r.content_hash, NOW()
+      FROM jsonb_to_recordset($1::jsonb) AS r(opportunity_id uuid, vector jsonb, content_hash text)
+      ON CONFLICT (opportunity_id, model) DO UPDATE SET
+        dimensions = EXCLUDED.dimensions,
+        vector = EXCLUDED.vector,
+        content_hash = EXCLUDED.content_hash,
+        updated_at = NOW()
+    `, [JSON.stringify(records), this.model]);
+
+    return records.length;
+  }
+
+  /**
+   * Embeds active opportunities that have no embedding for the current model or were updated since
+   * @param {object} options
+   * @param {number} options.limit - Maximum opportunities to look at
+   * @returns {Promise<object>} - { model, checked, embedded }
+   */
+  async refreshOpportunityEmbeddings({ limit = DEFAULT_REFRESH_LIMIT } = {}) {
+    const result = await this.db.query(`
+      SELECT o.id, o.title, o.description, o.requirements_summary, e.content_hash
+      FROM gov_opportunities o
+      LEFT JOIN gov_opportunity_embeddings e ON e.opportunity_id = o.id AND e.model = $1
+      WHERE o.merged_into IS NULL
+        AND (e.opportunity_id IS NULL OR e.updated_at < o.updated_at)
+      ORDER BY o.updated_at DESC
+      LIMIT $2
+    `, [this.model, limit]);
+
+    const embedded = await this.embedOpportunities(result.rows);
+
+    // Rows updated without a text change keep their vector; mark them current so they are not re-checked
+    const unchangedIds = result.rows
+      .filter(row => row.content_hash && row.content_hash === this.contentHash(this.opportunityText(row)))
+      .map(row => row.id);
+    if (unchangedIds.length > 0) {
+      await this.db.query(`
+        UPDATE gov_opportunity_embeddings SET updated_at = NOW()
+        WHERE model = $1 AND opportunity_id = ANY($2::uuid[])
+      `, [this.model, unchangedIds]);
+    }
+
+    if (embedded > 0) {
+      logger.info(`🧭 Embedded ${embedded} opportunities with ${this.model}`);
+    }
+
+    return { model: this.model, checked: result.rows.length, embedded };
+  }
+
+  /**
+   * Embeds and stores a company profile (skipped when its text is unchanged)
+   * @param {object} profile - Profile row with id
+   * @returns {Promise<Array<number>|null>} - The profile vector
+   */
+  async embedProfile(profile) {
+    const text = this.profileText(profile);
+    if (!text) return null;
+
+    const hash = this.contentHash(text);
+    const stored = await this.db.query(`
+      SELECT vector, content_hash FROM company_profile_embeddings
+      WHERE profile_id = $1 AND model = $2
+    `, [profile.id, this.model]);
+
+    if (stored.rows[0] && stored.rows[0].content_hash === hash) {
+      return stored.rows[0].vector;
+    }
+
+    const vector = await this.embedText(text);
+    await this.db.query(`
+      INSERT INTO company_profile_embeddings (profile_id, model, dimensions, vector, content_hash, updated_at)
+      VALUES ($1, $2, $3, $4::real[], $5, NOW())
+      ON CONFLICT (profile_id, model) DO UPDATE SET
+        dimensions = EXCLUDED.dimensions,
+        vector = EXCLUDED.vector,
+        content_hash = EXCLUDED.content_hash,
+        updated_at = NOW()
+    `, [profile.id, this.model, vector.length, vector, hash]);
+
+    return vector;
+  }
+
+  /**
+   * Vector for a profile: the stored one when its text is unchanged, otherwise freshly embedded.
+   * Profiles that are not stored (no id) or a failing database fall back to embedding in memory.
+   * @returns {Promise<Array<number>|null>}
+   */
+  async getProfileVector(profile) {
+    if (profile.id) {
+      try {
+        return await this.embedProfile(profile);
+      } catch (error) {
+        logger.warn(`⚠️ Could not use stored embedding for profile ${profile.id}:`, error.message);
+      }
+    }
+    return this.embedText(this.profileText(profile));
+  }
+
+  /**
+   * Opportunities most similar to the given one by stored embeddings
+   * @param {string} opportunityId - gov_opportunities ID
+   * @param {object} options
+   * @param {number} options.limit - Maximum results
+   * @param {number} options.minSimilarity - Cosine similarity cut-off
+   * @returns {Promise<Array<object>|null>} - Similar opportunities with similarity, or null when the
+   *   opportunity does not exist
+   */
+  async findSimilarOpportunities(opportunityId, { limit = 10, minSimilarity = 0.3 } = {}) {
+    const target = await this.db.query(`
+      SELECT o.id, o.title, o.description, o.requirements_summary, e.content_hash
+      FROM gov_opportunities o
+      LEFT JOIN gov_opportunity_embeddings e ON e.opportunity_id = o.id AND e.model = $2
+      WHERE o.id = $1
+    `, [opportunityId, this.model]);
+
+    if (target.rows.length === 0) {
+      return null;
+    }
+
+    // Embeds the target on demand when ingestion has not got to it yet
+    await this.embedOpportunities(target.rows);
+
+    const result = await this.db.query(`
+      WITH target AS (
+        SELECT vector FROM gov_opportunity_embeddings WHERE opportunity_id = $1 AND model = $2
+      ),
+      ranked AS (
+        SELECT e.opportunity_id,
+               (SELECT SUM(a * b) FROM unnest(e.vector, t.vector) AS v(a, b)) AS similarity
+        FROM gov_opportunity_embeddings e, target t
+        WHERE e.model = $2 AND e.opportunity_id <> $1
+      )
+      SELECT o.id, o.title, o.agency, o.naics, o.set_aside, o.due_date, o.posted_date,
+             o.value_estimated, o.processing_status, ROUND(r.similarity::numeric, 4) AS similarity
+      FROM ranked r
+      JOIN gov_opportunities o ON o.id = r.opportunity_id
+      WHERE o.merged_into IS NULL AND r.similarity >= $3
+      ORDER BY r.similarity DESC
+      LIMIT $4
+    `, [opportunityId, this.model, minSimilarity, limit]);
+
+    return result.rows.map(row => ({ ...row, similarity: parseFloat(row.similarity) }));
+  }
+
+  parseJson(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+}
+
+module.exports = EmbeddingService;
@@ -7,6 +7,7 @@
 
 const { OpportunityScoringService } = require('./opportunityScoring');
 const GraphQueryService = require('./GraphQueryService');
+const { getJudgeRegistry } = require('./judges');
 const { logger } = require('../utils/logger');
 
 class EnhancedOpportunityScoringService extends OpportunityScoringService {
@@ -14,14 +15,9 @@ class EnhancedOpportunityScoringService extends OpportunityScoringService {
     super();
     this.graphService = new GraphQueryService();
     
-    // Enhanced judges that utilize graph relationship data
-    this.enhancedJudges = {
-      technical: new GraphEnhancedTechnicalJudge(this.graphService),
-      domain: new GraphEnhancedDomainJudge(this.graphService),
-      value: new GraphEnhancedValueJudge(this.graphService),
-      innovation: new GraphEnhancedInnovationJudge(this.graphService),
-      relationship: new GraphEnhancedRelationshipJudge(this.graphService)
-    };
+    // Graph panel of the judge registry: judges that utilize graph relationship data, and company
+    // judges graph data does not change
+    this.enhancedJudges = getJudgeRegistry().panel('graph');
   }
 
   /**
@@ -128,11 +124,11 @@ class EnhancedOpportunityScoringService extends OpportunityScoringService {
   async runEnhancedPanelOfJudges(company, opportunity, relationships, partners) {
     const evaluations = {};
 
+    const context = { graph: { service: this.graphService, relationships, partners } };
+
     // Each enhanced judge evaluates with graph context
     for (const [judgeName, judge] of Object.entries(this.enhancedJudges)) {
-      evaluations[judgeName] = await judge.evaluateWithGraph(
-        company, opportunity, relationships, partners
-      );
+      evaluations[judgeName] = await judge.evaluate(company, opportunity, context);
     }
 
     return evaluations;
@@ -321,192 +317,4 @@ class EnhancedOpportunityScoringService extends OpportunityScoringService {
   }
 }
 
-/**
- * Graph-Enhanced Technical Judge
- */
-class GraphEnhancedTechnicalJudge {
-  constructor(graphService) {
-    this.graphService = graphService;
-  }
-
-  async evaluateWithGraph(company, opportunity, relationships, partners) {
-    // Start with basic technical evaluation
-    const basicEval = await this.basicTechnicalEvaluation(company, opportunity);
-    
-    // Apply graph enhancements
-    const graphEnhancements = await this.applyGraphEnhancements(
-      company, opportunity, relationships, partners, basicEval.score
-    );
-
-    return {
-      ...basicEval,
-      score: Math.min(100, basicEval.score + graphEnhancements.bonus),
-      graphEnhancements,
-      graphRecommendations: graphEnhancements.recommendations
-    };
-  }
-
-  async basicTechnicalEvaluation(company, opportunity) {
-    // Implement basic technical evaluation logic (similar to original TechnicalJudge)
-    let score = 50;
-    const evidence = [];
-    const recommendations = [];
-
-    const requiredCaps = opportunity.required_capabilities || [];
-    const companyCaps = company.capabilities || [];
-    const matchedCaps = requiredCaps.filter(cap => companyCaps.includes(cap));
-    const capMatchRatio = requiredCaps.length > 0 ? matchedCaps.length / requiredCaps.length : 1;
-    
-    score += capMatchRatio * 30;
-    
-    if (capMatchRatio < 1) {
-      recommendations.push(`Develop capabilities in: ${requiredCaps.filter(c => !companyCaps.includes(c)).join(', ')}`);
-    }
-    
-    evidence.push(`Matches ${matchedCaps.length}/${requiredCaps.length} required technical capabilities`);
-
-    return {
-      score: Math.min(100, score),
-      verdict: score >= 70 ? 'O' : 'X',
-      confidence: 0.88,
-      reasoning: `Technical evaluation based on capabilities match (${Math.round(capMatchRatio * 100)}%)`,
-      evidence,
-      recommendations
-    };
-  }
-
-  async applyGraphEnhancements(company, opportunity, relationships, partners, baseScore) {
-    let bonus = 0;
-    const recommendations = [];
-    const enhancements = [];
-
-    // Check for partners with missing technical capabilities
-    const requiredCaps = opportunity.required_capabilities || [];
-    const companyCaps = company.capabilities || [];
-    const missingCaps = requiredCaps.filter(cap => !companyCaps.includes(cap));
-
-    if (missingCaps.length > 0) {
-      for (const partner of partners) {
-        const partnerCaps = partner.capabilities || [];
-        const partnerCoversGaps = missingCaps.filter(cap => partnerCaps.includes(cap));
-        
-        if (partnerCoversGaps.length > 0) {
-          const gapCoverage = partnerCoversGaps.length / missingCaps.length;
-          const partnerBonus = Math.min(15, gapCoverage * 20 * (partner.complementarity_score / 100));
-          bonus += partnerBonus;
-          
-          enhancements.push(`Partner ${partner.name} covers ${partnerCoversGaps.length} missing technical capabilities`);
-          recommendations.push({
-            type: 'technical_partnership',
-            description: `Partner with ${partner.name} to cover missing capabilities: ${partnerCoversGaps.join(', ')}`,
-            impact: `+${Math.round(partnerBonus)} points`
-          });
-          
-          break; // Only use best partner
-        }
-      }
-    }
-
-    // Check for relevant technical experience in network
-    const technicalExperience = relationships.filter(r => 
-      r.connected_entity_type === 'opportunity' && 
-      r.total_strength > 0.6
-    ).length;
-
-    if (technicalExperience > 2) {
-      bonus += Math.min(10, technicalExperience * 2);
-      enhancements.push(`Network shows ${technicalExperience} relevant technical projects`);
-    }
-
-    return {
-      bonus: Math.round(bonus),
-      enhancements,
-      recommendations
-    };
-  }
-}
-
-/**
- * Graph-Enhanced Relationship Judge - Most significantly enhanced
- */
-class GraphEnhancedRelationshipJudge {
-  constructor(graphService) {
-    this.graphService = graphService;
-  }
-
-  async evaluateWithGraph(company, opportunity, relationships, partners) {
-    // Relationship judge benefits most from graph data
-    let score = 30; // Lower base score, let graph data drive it
-    const evidence = [];
-    const recommendations = [];
-
-    // Network centrality bonus
-    const centrality = await this.graphService.calculateEntityCentrality(company.id, 'company');
-    if (centrality && centrality.centrality_score > 10) {
-      score += Math.min(25, centrality.centrality_score * 2);
-      evidence.push(`Strong network position with centrality score: ${centrality.centrality_score}`);
-    }
-
-    // Direct relationship to buyer/industry
-    const relevantConnections = relationships.filter(r => 
-      (r.connected_entity_type === 'company' && r.total_strength > 0.7) ||
-      (r.connected_entity_type === 'opportunity' && r.total_strength > 0.6)
-    );
-
-    score += Math.min(30, relevantConnections.length * 3);
-    evidence.push(`${relevantConnections.length} strong industry/buyer connections`);
-
-    // Partnership potential bonus
-    if (partners.length > 0) {
-      const bestPartner = partners[0];
-      if (bestPartner.overall_score > 70) {
-        score += 15;
-        evidence.push(`Strong partnership option with ${bestPartner.name} (${bestPartner.overall_score}% fit)`);
-        recommendations.push({
-          type: 'strategic_relationship',
-          description: `Leverage partnership with ${bestPartner.name} for stronger buyer relationships`,
-          impact: '+15 points'
-        });
-      }
-    }
-
-    const verdict = score >= 70 ? 'O' : 'X';
-
-    return {
-      score: Math.min(100, score),
-      verdict,
-      confidence: 0.92, // Higher confidence with graph data
-      reasoning: 'Graph-enhanced relationship assessment based on network analysis and partnership potential',
-      evidence,
-      recommendations,
-      graphRecommendations: recommendations
-    };
-  }
-}
-
-// Placeholder enhanced judges (implement similar patterns)
-class GraphEnhancedDomainJudge {
-  constructor(graphService) { this.graphService = graphService; }
-  async evaluateWithGraph(company, opportunity, relationships, partners) {
-    // TODO: Implement domain expertise enhancement using industry relationship data
-    return { score: 75, verdict: 'O', confidence: 0.8, reasoning: 'Graph-enhanced domain evaluation', evidence: [], recommendations: [] };
-  }
-}
-
-class GraphEnhancedValueJudge {
-  constructor(graphService) { this.graphService = graphService; }
-  async evaluateWithGraph(company, opportunity, relationships, partners) {
-    // TODO: Implement value enhancement using cost/partnership data
-    return { score: 70, verdict: 'O', confidence: 0.78, reasoning: 'Graph-enhanced value evaluation', evidence: [], recommendations: [] };
-  }
-}
-
-class GraphEnhancedInnovationJudge {
-  constructor(graphService) { this.graphService = graphService; }
-  async evaluateWithGraph(company, opportunity, relationships, partners) {
-    // TODO: Implement innovation enhancement using technology network data
-    return { score: 65, verdict: 'X', confidence: 0.75, reasoning: 'Graph-enhanced innovation evaluation', evidence: [], recommendations: [] };
-  }
-}
-
 module.exports = { EnhancedOpportunityScoringService };
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Geocoding Service
+ *
+ * Keeps stored places of performance normalized and geocoded against the shared gazetteer:
+ * - Ingestion geocodes opportunities as they are normalized (see normalizePlaceOfPerformance)
+ * - regeocode() walks stored rows in ID order and rewrites the ones whose location changes, for
+ *   rows stored before geocoding and after the gazetteer is replaced (e.g. seed → full Census build);
+ *   scores of rewritten rows are marked stale so they are rescored with the new location
+ * - Coverage reports how precisely stored opportunities are placed
+ */
+
+const { Database } = require('../database/connection');
+const { normalizePlaceOfPerformance } = require('../integrations/sources/normalization');
+const { getGazetteer } = require('../utils/gazetteer');
+const { logger } = require('../utils/logger');
+
+class GeocodingService {
+  constructor() {
+    this.db = Database.getInstance();
+  }
+
+  /**
+   * Re-geocodes one batch of stored opportunities, starting after a cursor
+   * @param {object} options
+   * @param {string} options.afterId - Cursor from the previous batch (null to start over)
+   * @param {number} options.limit - Maximum opportunities to check
+   * @returns {Promise<object>} - { checked, updated, nextCursor } where nextCursor is null once every row was checked
+   */
+  async regeocode({ afterId = null, limit = 1000 } = {}) {
+    const result = await this.db.query(`
+      SELECT id, place_of_performance, pop_latitude, pop_longitude, pop_geocode_precision
+      FROM gov_opportunities
+      WHERE ($1::uuid IS NULL OR id > $1::uuid)
+      ORDER BY id
+      LIMIT $2
+    `, [afterId, limit]);
+
+    const changed = result.rows
+      .map(row => ({ row, geocoded: normalizePlaceOfPerformance(this.parseJsonField(row.place_of_performance)) }))
+      .filter(({ row, geocoded }) => this.hasChanged(row, geocoded))
+      .map(({ row, geocoded }) => ({
+        id: row.id,
+        place: JSON.parse(geocoded.place_of_performance),
+        latitude: geocoded.pop_latitude,
+        longitude: geocoded.pop_longitude,
+        precision: geocoded.pop_geocode_precision
+      }));
+
+    if (changed.length > 0) {
+      await this.db.transaction(async (client) => {
+        await client.query(`
+          UPDATE gov_opportunities o
+          SET place_of_performance = g.place,
+              pop_latitude = g.latitude,
+              pop_longitude = g.longitude,
+              pop_geocode_precision = g.precision
+          FROM jsonb_to_recordset($1::jsonb) AS g(id UUID, place JSONB, latitude DOUBLE PRECISION,
+            longitude DOUBLE PRECISION, precision VARCHAR)
+          WHERE o.id = g.id
+        `, [JSON.stringify(changed)]);
+
+        // updated_at is left as is, so mark the scores of moved opportunities for rescoring
+        await client.query(`
+          UPDATE gov_opportunity_scores
+          SET stale_at = NOW(), stale_reason = 'enrichment:geocode', updated_at = NOW()
+          WHERE opportunity_id = ANY($1::uuid[])
+        `, [changed.map(entry => entry.id)]);
+      });
+    }
+
+    const nextCursor = result.rows.length === limit ? result.rows[result.rows.length - 1].id : null;
+
+    logger.info(`📍 Re-geocoded ${changed.length} of ${result.rows.length} opportunities`, {
+      gazetteer: getGazetteer().version,
+      nextCursor
+    });
+    return { checked: result.rows.length, updated: changed.length, nextCursor };
+  }
+
+  /**
+   * Stored opportunities by geocode precision, with remote and unplaced locations counted separately
+   * @returns {Promise<object>} - { gazetteer, total, precision: { zip, place, county, state, remote, nationwide, unresolved, missing } }
+   */
+  async getCoverage() {
+    const result = await this.db.query(`
+      SELECT CASE
+               WHEN pop_geocode_precision IS NOT NULL THEN pop_geocode_precision
+               WHEN place_of_performance ? 'scope' THEN place_of_performance->>'scope'
+               WHEN COALESCE(place_of_performance, '{}'::jsonb) = '{}'::jsonb THEN 'missing'
+               ELSE 'unresolved'
+             END AS precision,
+             COUNT(*)::int AS count
+      FROM gov_opportunities
+      WHERE merged_into IS NULL
+      GROUP BY 1
+    `);
+
+    const precision = { zip: 0, place: 0, county: 0, state: 0, remote: 0, nationwide: 0, unresolved: 0, missing: 0 };
+    result.rows.forEach(row => {
+      precision[row.precision] = Number(row.count);
+    });
+
+    return {
+      gazetteer: getGazetteer().version,
+      total: Object.values(precision).reduce((sum, count) => sum + count, 0),
+      precision
+    };
+  }
+
+  hasChanged(row, geocoded) {
+    const place = this.parseJsonField(row.place_of_performance);
+    const number = value => (value === null || value === undefined ? null : Number(value));
+
+    return JSON.stringify(sortKeys(place)) !== JSON.stringify(sortKeys(JSON.parse(geocoded.place_of_performance))) ||
+      number(row.pop_latitude) !== geocoded.pop_latitude ||
+      number(row.pop_longitude) !== geocoded.pop_longitude ||
+      (row.pop_geocode_precision || null) !== geocoded.pop_geocode_precision;
+  }
+
+  parseJsonField(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+function sortKeys(record) {
+  return Object.keys(record).sort().reduce((sorted, key) => {
+    sorted[key] = record[key];
+    return sorted;
+  }, {});
+}
+
+module.exports = GeocodingService;
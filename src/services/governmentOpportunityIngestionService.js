@@ -2,21 +2,47 @@
  * Government Opportunity Ingestion Service
  * 
  * Handles the complete lifecycle of government opportunity data:
- * - Fetching from SAM.gov API
+ * - Fetching from pluggable sources (SAM.gov, CSV/JSON feeds) via source adapters
  * - Data validation and normalization
+ * - Data quality scoring with the shared rules engine, stored per rule
  * - Deduplication and conflict resolution
- * - Database storage and updates
+ * - Database storage and updates with field-level version history
+ * - Dry runs that report the inserts and updates a run would make without writing anything
+ * - Lifecycle transitions (closed, cancelled, awarded, archived) from due dates and source signals
+ * - Incumbents from historical contract awards
+ * - Attachment download and text extraction (optional)
  * - Error handling and retry logic
  * - Progress tracking and reporting
  */
 
 const { Database } = require('../database/connection');
-const samService = require('../integrations/sam');
+const { getSourceAdapter } = require('../integrations/sources');
+const normalization = require('../integrations/sources/normalization');
+const OpportunityVersionService = require('./opportunityVersionService');
+const OpportunityDetailFailureService = require('./opportunityDetailFailureService');
+const OpportunityAttachmentService = require('./opportunityAttachmentService');
+const CapabilityTaxonomyService = require('./capabilityTaxonomyService');
+const DataQualityService = require('./dataQualityService');
+const EmbeddingService = require('./embeddingService');
+const OpportunityEntityService = require('./opportunityEntityService');
+const OpportunityLifecycleService = require('./opportunityLifecycleService');
+const AwardHistoryService = require('./awardHistoryService');
+const ScoringJobService = require('./scoringJobService');
 const { logger } = require('../utils/logger');
 
 class GovernmentOpportunityIngestionService {
   constructor() {
     this.db = Database.getInstance();
+    this.versionService = new OpportunityVersionService();
+    this.detailFailureService = new OpportunityDetailFailureService();
+    this.attachmentService = new OpportunityAttachmentService();
+    this.taxonomyService = new CapabilityTaxonomyService();
+    this.dataQualityService = new DataQualityService();
+    this.embeddingService = new EmbeddingService();
+    this.entityService = new OpportunityEntityService();
+    this.lifecycleService = new OpportunityLifecycleService();
+    this.awardHistoryService = new AwardHistoryService();
+    this.scoringJobService = new ScoringJobService();
     this.ingestionStats = {
       startTime: null,
       endTime: null,
@@ -26,6 +52,16 @@ class GovernmentOpportunityIngestionService {
       totalUpdated: 0,
       totalSkipped: 0,
       totalErrors: 0,
+      searchCriteria: null,
+      sources: {},
+      lifecycle: null,
+      incumbents: null,
+      attachments: null,
+      embeddings: null,
+      entities: null,
+      scoring: null,
+      dryRun: false,
+      changes: null,
       errors: []
     };
   }
@@ -34,10 +70,20 @@ class GovernmentOpportunityIngestionService {
    * Main ingestion process - coordinates the complete workflow
    * @param {object} options - Ingestion configuration options
    * @param {string} options.mode - Ingestion mode: 'incremental', 'full', 'targeted'
-   * @param {object} options.searchCriteria - SAM.gov search criteria
+   * @param {object} options.searchCriteria - Search criteria (SAM.gov parameter names)
+   * @param {Array<string|object>} options.sources - Source names or adapter instances (default: ['sam_gov'])
    * @param {boolean} options.enableDeduplication - Enable deduplication process
    * @param {boolean} options.fetchDetails - Fetch detailed information for each opportunity
    * @param {number} options.batchSize - Number of opportunities to process in each batch
+   * @param {boolean} options.applyLifecycle - Move stored opportunities to the lifecycle state their signals call for
+   * @param {boolean} options.updateIncumbents - Identify incumbents of stored and updated opportunities from award history
+   * @param {boolean} options.processAttachments - Download attachments and extract their text after storing
+   * @param {number} options.attachmentLimit - Maximum opportunities whose attachments are processed per run
+   * @param {boolean} options.embedOpportunities - Embed new and changed opportunities for semantic matching
+   * @param {boolean} options.resolveEntities - Link stored opportunities to cross-source opportunity entities
+   * @param {boolean} options.enqueueScoring - Queue background re-scoring of company profiles when opportunities changed
+   * @param {boolean} options.dryRun - Fetch, deduplicate, normalize and compare with stored data, but write nothing;
+   *   the report lists the would-be inserts and updates under `changes`
    * @returns {Promise<object>} - Ingestion results and statistics
    */
   async ingestOpportunities(options = {}) {
@@ -47,54 +93,101 @@ class GovernmentOpportunityIngestionService {
       enableDeduplication = true,
       fetchDetails = true,
       batchSize = 25,
-      maxOpportunities = 500
+      maxOpportunities = 500,
+      sources = ['sam_gov'],
+      applyLifecycle = true,
+      updateIncumbents = true,
+      processAttachments = false,
+      attachmentLimit = 20,
+      embedOpportunities = true,
+      resolveEntities = true,
+      enqueueScoring = true,
+      dryRun = false
     } = options;
 
     this.resetStats();
     this.ingestionStats.startTime = new Date();
+    if (dryRun) {
+      this.ingestionStats.dryRun = true;
+      this.ingestionStats.changes = { inserts: [], updates: [] };
+    }
 
     logger.info('🚀 Starting government opportunity ingestion', {
       mode,
+      sources: sources.map(source => (typeof source === 'string' ? source : source.name)),
       searchCriteria,
       enableDeduplication,
       fetchDetails,
       batchSize,
-      maxOpportunities
+      maxOpportunities,
+      processAttachments,
+      dryRun
     });
 
     try {
-      // Step 1: Validate prerequisites
-      await this.validatePrerequisites();
+      // Step 1: Resolve sources and validate prerequisites
+      const adapters = this.resolveSourceAdapters(sources);
+      await this.validatePrerequisites(adapters);
+
+      // Pick up taxonomy extensions and data quality rule changes other instances may have made since startup
+      await this.taxonomyService.refreshSafely();
+      await this.dataQualityService.refreshSafely();
 
       // Step 2: Determine search parameters based on mode
       const finalSearchCriteria = await this.determineSearchCriteria(mode, searchCriteria);
+      this.ingestionStats.searchCriteria = finalSearchCriteria;
+
+      // Steps 3-7 run once per source
+      for (const adapter of adapters) {
+        await this.ingestFromSource(adapter, {
+          searchCriteria: finalSearchCriteria,
+          maxOpportunities,
+          batchSize,
+          fetchDetails,
+          enableDeduplication
+        });
+      }
 
-      // Step 3: Fetch opportunities from SAM.gov
-      const opportunities = await this.fetchOpportunities(finalSearchCriteria, maxOpportunities);
-      this.ingestionStats.totalFetched = opportunities.length;
-
-      if (opportunities.length === 0) {
+      if (this.ingestionStats.totalFetched === 0) {
         logger.info('🔍 No opportunities found matching search criteria');
-        return this.generateIngestionReport();
       }
 
-      // Step 4: Process opportunities in batches
-      const processedOpportunities = await this.processOpportunitiesBatches(
-        opportunities, 
-        batchSize, 
-        fetchDetails
-      );
+      // The follow-up steps all write to stored opportunities
+      if (dryRun) {
+        this.ingestionStats.endTime = new Date();
+        const report = this.generateIngestionReport();
+        logger.info('✅ Government opportunity ingestion dry run completed', { summary: report.summary });
+        return report;
+      }
 
-      // Step 5: Deduplication (if enabled)
-      const finalOpportunities = enableDeduplication 
-        ? await this.deduplicateOpportunities(processedOpportunities)
-        : processedOpportunities;
+      // Past-due, cancelled and awarded opportunities are moved even when nothing new was fetched
+      if (applyLifecycle) {
+        await this.applyLifecycle();
+      }
 
-      // Step 6: Store in database
-      const storageResults = await this.storeOpportunities(finalOpportunities);
-      
-      // Step 7: Update statistics
-      this.updateStats(storageResults);
+      if (updateIncumbents && this.ingestionStats.totalStored + this.ingestionStats.totalUpdated > 0) {
+        await this.updateIncumbents(this.ingestionStats.startTime);
+      }
+
+      // Attachment failures never fail the run; pending attachments are picked up next time
+      if (processAttachments) {
+        await this.processAttachments(attachmentLimit);
+      }
+
+      // After attachments, whose text feeds requirements_summary; unembedded rows are picked up next time
+      if (embedOpportunities) {
+        await this.refreshEmbeddings();
+      }
+
+      if (resolveEntities) {
+        await this.resolveEntities();
+      }
+
+      // The scoring worker finds the changed opportunities of each profile itself
+      const transitioned = this.ingestionStats.lifecycle?.transitioned || 0;
+      if (enqueueScoring && this.ingestionStats.totalStored + this.ingestionStats.totalUpdated + transitioned > 0) {
+        await this.enqueueScoring();
+      }
 
       // Step 8: Generate and return report
       this.ingestionStats.endTime = new Date();
@@ -125,20 +218,169 @@ class GovernmentOpportunityIngestionService {
     }
   }
 
+  /**
+   * Fetches, processes, deduplicates and stores opportunities from a single source
+   * @param {OpportunitySourceAdapter} adapter - Source adapter
+   * @param {object} options - { searchCriteria, maxOpportunities, batchSize, fetchDetails, enableDeduplication }
+   */
+  async ingestFromSource(adapter, options) {
+    const { searchCriteria, maxOpportunities, batchSize, fetchDetails, enableDeduplication } = options;
+    const sourceStats = {
+      fetched: 0, retried: 0, processed: 0, stored: 0, updated: 0, skipped: 0, errors: 0
+    };
+    this.ingestionStats.sources[adapter.name] = sourceStats;
+    const errorsBefore = this.ingestionStats.errors.length;
+
+    // Step 3: Fetch opportunities from the source
+    const opportunities = await this.fetchOpportunities(searchCriteria, maxOpportunities, adapter);
+    sourceStats.fetched = opportunities.length;
+    this.ingestionStats.totalFetched += opportunities.length;
+
+    // Retry detail fetches that failed in earlier runs
+    if (fetchDetails) {
+      const retries = await this.getDetailRetries(adapter, opportunities);
+      opportunities.push(...retries);
+      sourceStats.retried = retries.length;
+    }
+
+    if (opportunities.length === 0) {
+      logger.info(`🔍 No ${adapter.displayName} opportunities found matching search criteria`);
+      return;
+    }
+
+    // Step 4: Process opportunities in batches
+    const processedOpportunities = await this.processOpportunitiesBatches(
+      opportunities,
+      batchSize,
+      fetchDetails,
+      adapter
+    );
+    sourceStats.processed = processedOpportunities.length;
+
+    // Step 5: Deduplication (if enabled)
+    const finalOpportunities = enableDeduplication
+      ? await this.deduplicateOpportunities(processedOpportunities, adapter)
+      : processedOpportunities;
+
+    // Step 6: Store in database, or only compare with it in a dry run
+    const storageResults = this.ingestionStats.dryRun
+      ? await this.previewOpportunities(finalOpportunities, adapter)
+      : await this.storeOpportunities(finalOpportunities, adapter);
+
+    // Step 7: Update statistics
+    this.updateStats(storageResults);
+    sourceStats.stored = storageResults.stored;
+    sourceStats.updated = storageResults.updated;
+    sourceStats.skipped = storageResults.skipped;
+    sourceStats.errors = this.ingestionStats.errors.length - errorsBefore;
+  }
+
+  /**
+   * Applies due lifecycle transitions to stored opportunities
+   */
+  async applyLifecycle() {
+    try {
+      this.ingestionStats.lifecycle = await this.lifecycleService.sweep({ triggeredBy: 'ingestion' });
+    } catch (error) {
+      logger.warn(`⚠️ Lifecycle sweep skipped: ${error.message}`);
+      this.ingestionStats.lifecycle = { error: error.message };
+    }
+  }
+
+  /**
+   * Sets incumbents of opportunities stored or updated by this run from award history
+   * @param {Date} since - Run start
+   */
+  async updateIncumbents(since) {
+    try {
+      this.ingestionStats.incumbents = { updated: await this.awardHistoryService.updateIncumbents({ updatedSince: since }) };
+    } catch (error) {
+      logger.warn(`⚠️ Incumbent update skipped: ${error.message}`);
+      this.ingestionStats.incumbents = { error: error.message };
+    }
+  }
+
+  /**
+   * Downloads and extracts pending attachments of stored opportunities
+   * @param {number} limit - Maximum opportunities to process
+   */
+  async processAttachments(limit) {
+    try {
+      this.ingestionStats.attachments = await this.attachmentService.processPendingOpportunities({ limit });
+    } catch (error) {
+      logger.warn(`⚠️ Attachment processing skipped: ${error.message}`);
+      this.ingestionStats.attachments = { error: error.message };
+    }
+  }
+
+  /**
+   * Embeds stored opportunities that are new or changed since their last embedding
+   */
+  async refreshEmbeddings() {
+    try {
+      this.ingestionStats.embeddings = await this.embeddingService.refreshOpportunityEmbeddings();
+    } catch (error) {
+      logger.warn(`⚠️ Embedding refresh skipped: ${error.message}`);
+      this.ingestionStats.embeddings = { error: error.message };
+    }
+  }
+
+  /**
+   * Links new and changed opportunities into the unified opportunity entities
+   */
+  async resolveEntities() {
+    try {
+      this.ingestionStats.entities = await this.entityService.resolve();
+    } catch (error) {
+      logger.warn(`⚠️ Entity resolution skipped: ${error.message}`);
+      this.ingestionStats.entities = { error: error.message };
+    }
+  }
+
+  /**
+   * Queues background scoring of every company profile against the new and changed opportunities
+   */
+  async enqueueScoring() {
+    try {
+      this.ingestionStats.scoring = { profilesQueued: await this.scoringJobService.enqueueAllProfiles({ reason: 'ingestion' }) };
+    } catch (error) {
+      logger.warn(`⚠️ Scoring enqueue skipped: ${error.message}`);
+      this.ingestionStats.scoring = { error: error.message };
+    }
+  }
+
+  /**
+   * Resolves source names (or adapter instances) to registered source adapters
+   */
+  resolveSourceAdapters(sources) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+      throw new Error('At least one opportunity source is required');
+    }
+
+    return sources.map(source => (typeof source === 'string' ? getSourceAdapter(source) : source));
+  }
+
+  /**
+   * Returns the adapter used when callers do not specify a source
+   */
+  getDefaultSourceAdapter() {
+    return getSourceAdapter('sam_gov');
+  }
+
   /**
    * Validates that all prerequisites are met before starting ingestion
    */
-  async validatePrerequisites() {
+  async validatePrerequisites(adapters = [this.getDefaultSourceAdapter()]) {
     logger.info('🔍 Validating ingestion prerequisites');
 
-    // Check SAM.gov API configuration
-    if (!samService.isConfigured()) {
-      throw new Error('SAM.gov API key not configured. Please set SAM_GOV_API_KEY environment variable.');
-    }
+    // Check source configuration (API keys, feed locations)
+    adapters.forEach(adapter => adapter.validateConfiguration());
 
-    // Check database connection
+    // Check database connection (reuse the pool when already connected)
     try {
-      await this.db.connect();
+      if (!this.db.pool) {
+        await this.db.connect();
+      }
       logger.info('✅ Database connection validated');
     } catch (error) {
       throw new Error(`Database connection failed: ${error.message}`);
@@ -195,30 +437,38 @@ class GovernmentOpportunityIngestionService {
   }
 
   /**
-   * Fetches opportunities from SAM.gov with pagination and rate limiting
+   * Fetches opportunities from a source page by page, pausing between pages
    */
-  async fetchOpportunities(searchCriteria, maxOpportunities) {
-    logger.info('🔍 Fetching opportunities from SAM.gov', { 
-      searchCriteria, 
-      maxOpportunities 
+  async fetchOpportunities(searchCriteria, maxOpportunities, adapter = this.getDefaultSourceAdapter()) {
+    logger.info(`🔍 Fetching opportunities from ${adapter.displayName}`, {
+      searchCriteria,
+      maxOpportunities
     });
 
     try {
-      // Use the enhanced SAM.gov integration with pagination
-      const result = await samService.fetchOpportunitiesWithPagination(
-        searchCriteria,
-        Math.ceil(maxOpportunities / 100), // Max pages
-        maxOpportunities
-      );
+      const opportunities = [];
+      let offset = 0;
+      let hasMore = true;
+
+      while (hasMore && opportunities.length < maxOpportunities) {
+        const limit = Math.min(adapter.pageSize, maxOpportunities - opportunities.length);
+        const page = await adapter.fetchPage({ criteria: searchCriteria, offset, limit });
+
+        opportunities.push(...page.opportunities.slice(0, limit));
+        offset += page.opportunities.length;
+        hasMore = page.hasMore && page.opportunities.length > 0;
+
+        if (hasMore && opportunities.length < maxOpportunities && adapter.pageDelayMs > 0) {
+          await this.delay(adapter.pageDelayMs);
+        }
+      }
+
+      logger.info(`✅ Successfully fetched ${opportunities.length} opportunities from ${adapter.displayName}`);
 
-      const opportunities = result._embedded?.opportunities || [];
-      
-      logger.info(`✅ Successfully fetched ${opportunities.length} opportunities from SAM.gov`);
-      
       return opportunities;
 
     } catch (error) {
-      logger.error('❌ Failed to fetch opportunities from SAM.gov', {
+      logger.error(`❌ Failed to fetch opportunities from ${adapter.displayName}`, {
         error: error.message,
         searchCriteria
       });
@@ -229,7 +479,7 @@ class GovernmentOpportunityIngestionService {
   /**
    * Processes opportunities in batches with detailed enhancement
    */
-  async processOpportunitiesBatches(opportunities, batchSize, fetchDetails) {
+  async processOpportunitiesBatches(opportunities, batchSize, fetchDetails, adapter = this.getDefaultSourceAdapter()) {
     logger.info(`🔄 Processing ${opportunities.length} opportunities in batches of ${batchSize}`);
     
     const processedOpportunities = [];
@@ -247,29 +497,18 @@ class GovernmentOpportunityIngestionService {
         
         if (fetchDetails) {
           // Fetch detailed information for each opportunity
-          const noticeIds = batch.map(opp => opp.noticeId).filter(id => id);
-          
-          if (noticeIds.length > 0) {
-            const detailResults = await samService.fetchOpportunityDetailsBatch(noticeIds, {
-              batchSize: 3, // Conservative batch size for detail fetching
-              delayBetweenBatches: 1500 // Be respectful to the API
-            });
-            
-            batchResults = detailResults.successful;
-            
-            // Track errors
-            if (detailResults.failed.length > 0) {
-              errors.push(...detailResults.failed);
-            }
-          } else {
-            // No valid notice IDs, use basic data
-            batchResults = batch.map(opp => samService.enhanceOpportunityDetails(opp));
+          const detailResults = await adapter.fetchDetails(batch);
+          batchResults = detailResults.successful;
+
+          // Track errors and queue failed records for retry in a later run
+          if (detailResults.failed.length > 0) {
+            errors.push(...detailResults.failed.map(({ record, ...failure }) => failure));
+            await this.recordDetailFailures(adapter, detailResults.failed);
           }
+          await this.resolveDetailFailures(adapter, batchResults);
         } else {
           // Process with basic enhancement only
-          batchResults = await Promise.all(
-            batch.map(opp => samService.enhanceOpportunityDetails(opp))
-          );
+          batchResults = await Promise.all(batch.map(opp => adapter.enrich(opp)));
         }
 
         processedOpportunities.push(...batchResults);
@@ -292,6 +531,16 @@ class GovernmentOpportunityIngestionService {
           affectedOpportunities: batch.length
         });
 
+        if (fetchDetails) {
+          await this.recordDetailFailures(adapter, batch.map(opp => ({
+            externalId: adapter.getExternalId(opp),
+            record: opp,
+            error: error.message,
+            status: error.status,
+            code: error.code
+          })));
+        }
+
         this.ingestionStats.totalErrors++;
       }
     }
@@ -307,10 +556,56 @@ class GovernmentOpportunityIngestionService {
     return processedOpportunities;
   }
 
+  /**
+   * Loads records whose detail fetch failed in earlier runs and is due for retry,
+   * skipping any that were fetched again in this run
+   */
+  async getDetailRetries(adapter, fetchedOpportunities) {
+    try {
+      const fetchedIds = new Set(fetchedOpportunities.map(opp => adapter.getExternalId(opp)));
+      const dueRetries = await this.detailFailureService.getDueRetries(adapter.name);
+      const retries = dueRetries
+        .filter(retry => !fetchedIds.has(retry.externalId))
+        .map(retry => retry.record);
+
+      if (retries.length > 0) {
+        logger.info(`🔁 Retrying ${retries.length} ${adapter.displayName} detail fetch(es) that failed in earlier runs`);
+      }
+
+      return retries;
+    } catch (error) {
+      logger.warn(`⚠️ Could not load failed ${adapter.displayName} detail fetches for retry`, { error: error.message });
+      return [];
+    }
+  }
+
+  async recordDetailFailures(adapter, failures) {
+    if (this.ingestionStats.dryRun) return;
+
+    try {
+      await this.detailFailureService.recordFailures(adapter.name, failures);
+    } catch (error) {
+      logger.warn(`⚠️ Could not record failed ${adapter.displayName} detail fetches`, { error: error.message });
+    }
+  }
+
+  async resolveDetailFailures(adapter, opportunities) {
+    if (this.ingestionStats.dryRun) return;
+
+    try {
+      await this.detailFailureService.resolveFailures(
+        adapter.name,
+        opportunities.map(opp => adapter.getExternalId(opp))
+      );
+    } catch (error) {
+      logger.warn(`⚠️ Could not resolve ${adapter.displayName} detail failures`, { error: error.message });
+    }
+  }
+
   /**
    * Deduplicates opportunities based on various criteria
    */
-  async deduplicateOpportunities(opportunities) {
+  async deduplicateOpportunities(opportunities, adapter = this.getDefaultSourceAdapter()) {
     logger.info(`🔍 Starting deduplication for ${opportunities.length} opportunities`);
 
     const deduplicationResults = {
@@ -325,11 +620,7 @@ class GovernmentOpportunityIngestionService {
     
     opportunities.forEach(opp => {
       // Create a composite key for deduplication
-      const dedupeKeys = [
-        opp.noticeId,
-        opp.solicitationNumber,
-        `${opp.title}_${opp.department}_${opp.postedDate}`.toLowerCase().replace(/\s+/g, '_')
-      ].filter(key => key);
+      const dedupeKeys = adapter.getDedupeKeys(opp);
 
       dedupeKeys.forEach(key => {
         if (!opportunityGroups.has(key)) {
@@ -347,7 +638,7 @@ class GovernmentOpportunityIngestionService {
       if (group.length === 1) {
         // Single opportunity - no duplicates
         const opp = group[0];
-        const oppId = opp.noticeId || `${opp.title}_${opp.department}`;
+        const oppId = adapter.getExternalId(opp) || `${opp.title}_${opp.department}`;
         
         if (!seenOpportunities.has(oppId)) {
           uniqueOpportunities.push(opp);
@@ -356,8 +647,8 @@ class GovernmentOpportunityIngestionService {
         }
       } else {
         // Multiple opportunities - potential duplicates
-        const bestOpportunity = this.selectBestDuplicate(group);
-        const oppId = bestOpportunity.noticeId || `${bestOpportunity.title}_${bestOpportunity.department}`;
+        const bestOpportunity = this.selectBestDuplicate(group, adapter);
+        const oppId = adapter.getExternalId(bestOpportunity) || `${bestOpportunity.title}_${bestOpportunity.department}`;
         
         if (!seenOpportunities.has(oppId)) {
           uniqueOpportunities.push(bestOpportunity);
@@ -374,55 +665,22 @@ class GovernmentOpportunityIngestionService {
   }
 
   /**
-   * Selects the best opportunity from a group of duplicates
+   * Selects the opportunity of a duplicate group that the data quality rules score highest
    */
-  selectBestDuplicate(duplicates) {
+  selectBestDuplicate(duplicates, adapter = this.getDefaultSourceAdapter()) {
     if (duplicates.length === 1) return duplicates[0];
 
-    // Scoring system for selecting the best duplicate
-    return duplicates.reduce((best, current) => {
-      const currentScore = this.calculateOpportunityQualityScore(current);
-      const bestScore = this.calculateOpportunityQualityScore(best);
-      
-      return currentScore > bestScore ? current : best;
-    });
-  }
-
-  /**
-   * Calculates a quality score for opportunity data completeness
-   */
-  calculateOpportunityQualityScore(opportunity) {
-    let score = 0;
-
-    // Enhanced metadata scores higher
-    if (opportunity._enhanced) score += 10;
-    if (opportunity._parsed) score += 10;
-    if (opportunity._analysis) score += 5;
-
-    // Required field completeness
-    const requiredFields = ['title', 'description', 'postedDate', 'department'];
-    requiredFields.forEach(field => {
-      if (opportunity[field]) score += 5;
-    });
-
-    // Valuable field completeness
-    const valuableFields = ['noticeId', 'solicitationNumber', 'responseDeadLine', 'awardAmount'];
-    valuableFields.forEach(field => {
-      if (opportunity[field]) score += 3;
-    });
-
-    // Data quality indicators
-    if (opportunity._enhanced?.dataQualityScore) {
-      score += Math.floor(opportunity._enhanced.dataQualityScore / 10);
-    }
-
-    return score;
+    const scored = duplicates.map(opportunity => ({
+      opportunity,
+      score: this.dataQualityService.scoreOpportunity(adapter.normalize(opportunity)).data_quality_score || 0
+    }));
+    return scored.reduce((best, current) => (current.score > best.score ? current : best)).opportunity;
   }
 
   /**
    * Stores opportunities in the database with conflict resolution
    */
-  async storeOpportunities(opportunities) {
+  async storeOpportunities(opportunities, adapter = this.getDefaultSourceAdapter()) {
     logger.info(`💾 Storing ${opportunities.length} opportunities in database`);
 
     const results = {
@@ -442,15 +700,17 @@ class GovernmentOpportunityIngestionService {
         await this.db.transaction(async (client) => {
           for (const opportunity of batch) {
             try {
-              const result = await this.storeOpportunity(client, opportunity);
+              const result = await this.storeOpportunity(client, opportunity, adapter);
               results[result.action]++;
             } catch (error) {
               results.errors.push({
-                opportunity: opportunity.noticeId || opportunity.title,
+                source: adapter.name,
+                opportunity: adapter.getExternalId(opportunity) || opportunity.title,
                 error: error.message
               });
               logger.error(`❌ Error storing opportunity`, {
-                opportunityId: opportunity.noticeId,
+                source: adapter.name,
+                opportunityId: adapter.getExternalId(opportunity),
                 error: error.message
               });
             }
@@ -478,81 +738,130 @@ class GovernmentOpportunityIngestionService {
   }
 
   /**
-   * Stores or updates a single opportunity in the database
+   * Compares opportunities with stored data and records the inserts and updates storing them would make
+   * Nothing is written; stored rows are read outside a transaction.
+   */
+  async previewOpportunities(opportunities, adapter = this.getDefaultSourceAdapter()) {
+    logger.info(`🔎 Dry run: comparing ${opportunities.length} opportunities with stored data`);
+
+    const results = {
+      stored: 0,
+      updated: 0,
+      skipped: 0,
+      errors: []
+    };
+
+    for (const opportunity of opportunities) {
+      try {
+        const plan = await this.planOpportunity(this.db, opportunity, adapter);
+        results[plan.action]++;
+
+        const externalId = adapter.getExternalId(opportunity);
+        if (plan.action === 'stored') {
+          this.ingestionStats.changes.inserts.push({
+            source: adapter.name,
+            externalId,
+            title: plan.opportunityData.title,
+            dataQualityScore: plan.opportunityData.data_quality_score,
+            record: plan.opportunityData
+          });
+        } else if (plan.action === 'updated') {
+          this.ingestionStats.changes.updates.push({
+            id: plan.existing.id,
+            source: adapter.name,
+            externalId,
+            title: plan.opportunityData.title,
+            changes: plan.changes
+          });
+        }
+      } catch (error) {
+        results.errors.push({
+          source: adapter.name,
+          opportunity: adapter.getExternalId(opportunity) || opportunity.title,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info(`✅ Dry run comparison completed`, {
+      inserts: results.stored,
+      updates: results.updated,
+      unchanged: results.skipped
+    });
+    return results;
+  }
+
+  /**
+   * Works out what storing an opportunity would do, without writing anything
+   * @returns {Promise<object>} - { action: 'stored' | 'updated' | 'skipped', opportunityData, existing, changes }
    */
-  async storeOpportunity(client, opportunity) {
-    // Extract and normalize data for database storage
-    const opportunityData = this.normalizeOpportunityForDatabase(opportunity);
+  async planOpportunity(client, opportunity, adapter = this.getDefaultSourceAdapter()) {
+    // Extract and normalize data for database storage, scored as it will be stored
+    const opportunityData = adapter.normalize(opportunity);
+    Object.assign(opportunityData, this.dataQualityService.scoreOpportunity(opportunityData));
     
-    // Check if opportunity already exists (by source_ids)
+    // Check if opportunity already exists (by source_ids), with the fields tracked for version history.
+    // A source ID that deduplication could not fold into the survivor stays on the merged row.
     const existingQuery = `
-      SELECT id, updated_at, source_ids 
+      SELECT id, updated_at, source_ids, attachments_processed_at, merged_into, ${OpportunityVersionService.TRACKED_COLUMNS.join(', ')}
       FROM gov_opportunities 
-      WHERE source_ids->>'sam_gov' = $1
+      WHERE source_ids @> $1::jsonb
+      ORDER BY merged_into IS NOT NULL
     `;
     
-    const existingResult = await client.query(existingQuery, [opportunityData.source_ids.sam_gov]);
-    
+    const existingResult = await client.query(existingQuery, [
+      JSON.stringify({ [adapter.name]: opportunityData.source_ids[adapter.name] })
+    ]);
+
     if (existingResult.rows.length === 0) {
-      // Insert new opportunity
-      await this.insertOpportunity(client, opportunityData);
-      return { action: 'stored' };
-    } else {
-      // Check if update is needed
-      const existing = existingResult.rows[0];
-      if (this.shouldUpdateOpportunity(existing, opportunityData)) {
-        await this.updateOpportunity(client, existing.id, opportunityData);
-        return { action: 'updated' };
-      } else {
-        return { action: 'skipped' };
-      }
+      return { action: 'stored', opportunityData, existing: null, changes: [] };
+    }
+
+    const existing = existingResult.rows[0];
+    // Merged duplicates stay frozen so undoing the merge restores them as they were
+    if (existing.merged_into || !this.shouldUpdateOpportunity(existing, opportunityData)) {
+      return { action: 'skipped', opportunityData, existing, changes: [] };
+    }
+
+    return {
+      action: 'updated',
+      opportunityData,
+      existing,
+      changes: this.versionService.diffOpportunity(existing, opportunityData)
+    };
+  }
+
+  /**
+   * Stores or updates a single opportunity in the database
+   */
+  async storeOpportunity(client, opportunity, adapter = this.getDefaultSourceAdapter()) {
+    const { action, opportunityData, existing, changes } = await this.planOpportunity(client, opportunity, adapter);
+
+    if (action === 'stored') {
+      const id = await this.insertOpportunity(client, opportunityData);
+      return { action: 'stored', id };
+    }
+
+    if (action === 'skipped') {
+      return { action: 'skipped', id: existing.merged_into || existing.id };
     }
+
+    await this.updateOpportunity(client, existing.id, opportunityData);
+    await this.versionService.recordVersion(client, existing.id, changes, {
+      sourceUpdatedAt: opportunityData.last_updated_source
+    });
+    // The update overwrote requirement fields derived from attachment text
+    if (existing.attachments_processed_at) {
+      await this.attachmentService.applyAttachmentText(client, existing.id);
+    }
+    return { action: 'updated', id: existing.id, changes };
   }
 
   /**
-   * Normalizes opportunity data for database storage
+   * Normalizes SAM.gov opportunity data for database storage
    */
   normalizeOpportunityForDatabase(opportunity) {
-    const parsed = opportunity._parsed || {};
-    const enhanced = opportunity._enhanced || {};
-    
-    return {
-      source_ids: {
-        sam_gov: opportunity.noticeId || null
-      },
-      title: this.truncateString(opportunity.title || parsed.title, 500),
-      description: opportunity.description || parsed.description,
-      agency: this.truncateString(opportunity.department || parsed.agency?.name, 255),
-      office: this.truncateString(opportunity.office || parsed.agency?.office, 255),
-      naics_codes: JSON.stringify(parsed.naicsCodes || []),
-      psc_codes: JSON.stringify(parsed.pscCodes || []),
-      set_aside: this.truncateString(parsed.setAside, 100),
-      place_of_performance: JSON.stringify(parsed.location || {}),
-      vehicle: this.truncateString(opportunity.typeOfContract, 255),
-      pop_start: this.parseDate(parsed.dates?.popStart),
-      pop_end: this.parseDate(parsed.dates?.popEnd),
-      due_date: this.parseDate(parsed.dates?.due || opportunity.responseDeadLine),
-      posted_date: this.parseDate(parsed.dates?.posted || opportunity.postedDate),
-      value_low: parsed.financial?.minimumValue,
-      value_high: parsed.financial?.maximumValue,
-      value_estimated: parsed.financial?.estimatedValue,
-      incumbent: this.extractIncumbent(opportunity),
-      solicitation_number: this.truncateString(
-        opportunity.solicitationNumber || parsed.classification?.solicitationNumber, 100
-      ),
-      opportunity_type: this.truncateString(
-        opportunity.type || parsed.classification?.type, 50
-      ),
-      requirements_summary: this.extractRequirementsSummary(opportunity),
-      evaluation_criteria: JSON.stringify([]),
-      parsed_tags: JSON.stringify(this.extractTags(opportunity)),
-      raw_text: this.truncateString(opportunity.description, 10000),
-      attachments: JSON.stringify(parsed.attachments || []),
-      contacts: JSON.stringify(parsed.contacts || []),
-      data_quality_score: enhanced.dataQualityScore ? enhanced.dataQualityScore / 100 : null,
-      last_updated_source: this.parseDate(opportunity.lastModified || new Date()),
-      processing_status: 'active'
-    };
+    return getSourceAdapter('sam_gov').normalize(opportunity);
   }
 
   /**
@@ -569,7 +878,8 @@ class GovernmentOpportunityIngestionService {
       RETURNING id
     `;
     
-    await client.query(query, values);
+    const result = await client.query(query, values);
+    return result.rows[0]?.id;
   }
 
   /**
@@ -578,7 +888,13 @@ class GovernmentOpportunityIngestionService {
   async updateOpportunity(client, opportunityId, opportunityData) {
     const fields = Object.keys(opportunityData);
     const values = Object.values(opportunityData);
-    const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    // source_ids is merged rather than replaced: deduplication folds other sources' IDs into survivors.
+    // Incumbents found in award history outrank names parsed from the notice text.
+    const setClause = fields.map((field, index) => {
+      if (field === 'source_ids') return `source_ids = COALESCE(source_ids, '{}'::jsonb) || $${index + 2}::jsonb`;
+      if (field === 'incumbent') return `incumbent = CASE WHEN incumbent_match IS NULL THEN $${index + 2} ELSE incumbent END`;
+      return `${field} = $${index + 2}`;
+    }).join(', ');
     
     const query = `
       UPDATE gov_opportunities 
@@ -599,10 +915,10 @@ class GovernmentOpportunityIngestionService {
       const existingDate = new Date(existing.updated_at);
       return newDate > existingDate;
     }
-    
-    // Update if it's been more than 24 hours since last update
-    const daysSinceUpdate = (Date.now() - new Date(existing.updated_at)) / (1000 * 60 * 60 * 24);
-    return daysSinceUpdate > 1;
+
+    // Without a source timestamp (e.g. feeds without a last-modified column), update only when a
+    // tracked field changed, so unchanged snapshot records are skipped
+    return this.versionService.diffOpportunity(existing, newData).length > 0;
   }
 
   // Helper methods
@@ -617,14 +933,24 @@ class GovernmentOpportunityIngestionService {
       totalUpdated: 0,
       totalSkipped: 0,
       totalErrors: 0,
+      searchCriteria: null,
+      sources: {},
+      lifecycle: null,
+      incumbents: null,
+      attachments: null,
+      embeddings: null,
+      entities: null,
+      scoring: null,
+      dryRun: false,
+      changes: null,
       errors: []
     };
   }
 
   updateStats(storageResults) {
-    this.ingestionStats.totalStored = storageResults.stored;
-    this.ingestionStats.totalUpdated = storageResults.updated;
-    this.ingestionStats.totalSkipped = storageResults.skipped;
+    this.ingestionStats.totalStored += storageResults.stored;
+    this.ingestionStats.totalUpdated += storageResults.updated;
+    this.ingestionStats.totalSkipped += storageResults.skipped;
     if (storageResults.errors.length > 0) {
       this.ingestionStats.errors.push(...storageResults.errors);
     }
@@ -634,6 +960,7 @@ class GovernmentOpportunityIngestionService {
     const duration = this.ingestionStats.endTime - this.ingestionStats.startTime;
     
     return {
+      dryRun: this.ingestionStats.dryRun,
       summary: {
         duration: Math.round(duration / 1000), // seconds
         totalFetched: this.ingestionStats.totalFetched,
@@ -651,6 +978,15 @@ class GovernmentOpportunityIngestionService {
         endTime: this.ingestionStats.endTime,
         duration: duration
       },
+      searchCriteria: this.ingestionStats.searchCriteria,
+      sources: this.ingestionStats.sources,
+      attachments: this.ingestionStats.attachments,
+      lifecycle: this.ingestionStats.lifecycle,
+      incumbents: this.ingestionStats.incumbents,
+      embeddings: this.ingestionStats.embeddings,
+      entities: this.ingestionStats.entities,
+      scoring: this.ingestionStats.scoring,
+      changes: this.ingestionStats.changes,
       errors: this.ingestionStats.errors
     };
   }
@@ -682,79 +1018,23 @@ class GovernmentOpportunityIngestionService {
   }
 
   parseDate(dateString) {
-    if (!dateString) return null;
-    try {
-      const date = new Date(dateString);
-      return isNaN(date.getTime()) ? null : date.toISOString();
-    } catch (error) {
-      return null;
-    }
+    return normalization.parseDate(dateString);
   }
 
   truncateString(str, maxLength) {
-    if (!str || typeof str !== 'string') return null;
-    return str.length > maxLength ? str.substring(0, maxLength - 3) + '...' : str;
+    return normalization.truncateString(str, maxLength);
   }
 
   extractIncumbent(opportunity) {
-    const description = (opportunity.description || '').toLowerCase();
-    const incumbentPatterns = [
-      /incumbent[:\s]*([^,.;]+)/i,
-      /current contractor[:\s]*([^,.;]+)/i,
-      /existing vendor[:\s]*([^,.;]+)/i
-    ];
-
-    for (const pattern of incumbentPatterns) {
-      const match = description.match(pattern);
-      if (match && match[1]) {
-        return this.truncateString(match[1].trim(), 255);
-      }
-    }
-
-    return null;
+    return normalization.extractIncumbent(opportunity);
   }
 
   extractRequirementsSummary(opportunity) {
-    const description = opportunity.description || '';
-    
-    // Extract first few sentences as summary
-    const sentences = description.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const summary = sentences.slice(0, 3).join('. ');
-    
-    return this.truncateString(summary, 1000);
+    return normalization.extractRequirementsSummary(opportunity);
   }
 
   extractTags(opportunity) {
-    const tags = [];
-    const description = (opportunity.description || '').toLowerCase();
-    const title = (opportunity.title || '').toLowerCase();
-    const text = `${title} ${description}`;
-
-    // Technology tags
-    const techTerms = [
-      'cloud', 'ai', 'machine learning', 'blockchain', 'cybersecurity', 
-      'data analytics', 'mobile', 'web', 'database', 'integration'
-    ];
-    
-    techTerms.forEach(term => {
-      if (text.includes(term)) {
-        tags.push(term.replace(' ', '_'));
-      }
-    });
-
-    // Service type tags
-    const serviceTerms = [
-      'consulting', 'development', 'maintenance', 'support', 'training',
-      'implementation', 'migration', 'modernization'
-    ];
-    
-    serviceTerms.forEach(term => {
-      if (text.includes(term)) {
-        tags.push(term);
-      }
-    });
-
-    return [...new Set(tags)]; // Remove duplicates
+    return normalization.extractTags(opportunity);
   }
 
   delay(ms) {
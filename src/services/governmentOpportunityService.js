@@ -0,0 +1,650 @@
+/**
+ * Government Opportunity Service
+ *
+ * Read access to government opportunities stored in gov_opportunities:
+ * - Full-text search with facet filters, relevance ranking and highlighted snippets
+ * - Live SAM.gov search with the filters SAM.gov supports
+ * - Radius search around a geocoded place ("within N miles of") with distances in results
+ * - Resolves identifiers (UUID, SAM.gov notice ID, solicitation number)
+ * - Falls back to a live SAM.gov detail fetch for opportunities not yet ingested
+ * - Persists live results so subsequent requests are served from the database
+ * - Change timeline (deadline, value, set-aside, attachment and amendment history)
+ * - Attachment download and text extraction status
+ * - Similar ("more like this") opportunities by stored text embeddings
+ * - Lifecycle history (closed, cancelled, awarded, archived transitions) and award details
+ * - Formats database rows into the API response shape
+ */
+
+const { Database } = require('../database/connection');
+const samService = require('../integrations/sam');
+const GovernmentOpportunityIngestionService = require('./governmentOpportunityIngestionService');
+const OpportunityVersionService = require('./opportunityVersionService');
+const OpportunityAttachmentService = require('./opportunityAttachmentService');
+const EmbeddingService = require('./embeddingService');
+const OpportunityLifecycleService = require('./opportunityLifecycleService');
+const { getGazetteer, EARTH_RADIUS_MILES } = require('../utils/gazetteer');
+const { logger } = require('../utils/logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Must match the expression of idx_gov_opps_search (migration 005) for the index to be used
+const SEARCH_DOCUMENT = `to_tsvector('english',
+    coalesce(title, '') || ' ' ||
+    coalesce(description, '') || ' ' ||
+    coalesce(agency, '') || ' ' ||
+    coalesce(requirements_summary, '') || ' ' ||
+    coalesce(raw_text, '')
+  )`;
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>';
+const MILES_PER_DEGREE_LATITUDE = 69.0;
+const MAX_FACET_VALUES = 15;
+
+// Search statuses as SAM.gov's status filter ('any' sends none); SAM.gov reports closed notices as inactive
+const LIVE_STATUSES = { active: 'active', closed: 'inactive', cancelled: 'cancelled', archived: 'archived' };
+
+class GovernmentOpportunityService {
+  constructor() {
+    this.db = Database.getInstance();
+    this.ingestionService = new GovernmentOpportunityIngestionService();
+    this.versionService = new OpportunityVersionService();
+    this.attachmentService = new OpportunityAttachmentService();
+    this.embeddingService = new EmbeddingService();
+    this.lifecycleService = new OpportunityLifecycleService();
+  }
+
+  /**
+   * Gets a single opportunity by any of its identifiers
+   * @param {string} identifier - UUID, SAM.gov notice ID or solicitation number
+   * @param {object} options - Lookup options
+   * @param {boolean} options.allowLiveFetch - Fetch from SAM.gov when not stored (default: true)
+   * @returns {Promise<object|null>} - { opportunity, source } or null when not found
+   */
+  async getOpportunity(identifier, options = {}) {
+    const { allowLiveFetch = true } = options;
+
+    const stored = await this.findStoredOpportunity(identifier);
+    if (stored) {
+      return {
+        opportunity: this.formatOpportunity(stored),
+        source: 'database'
+      };
+    }
+
+    // Internal UUIDs only exist in our database; everything else may be a SAM.gov notice ID
+    if (!allowLiveFetch || this.isUuid(identifier) || !samService.isConfigured()) {
+      return null;
+    }
+
+    return this.fetchAndStoreOpportunity(identifier);
+  }
+
+  /**
+   * Looks up a stored opportunity by UUID, SAM.gov notice ID or solicitation number
+   * @param {string} identifier - Opportunity identifier
+   * @returns {Promise<object|null>} - Database row or null
+   */
+  async findStoredOpportunity(identifier) {
+    if (this.isUuid(identifier)) {
+      const result = await this.db.query('SELECT * FROM gov_opportunities WHERE id = $1', [identifier]);
+      return result.rows[0] || null;
+    }
+
+    // Prefer an exact notice ID match over a solicitation number match (NULL when the row has no notice ID),
+    // then the freshest row. Merged duplicates share the survivor's solicitation number, so only their
+    // notice IDs find them.
+    const query = `
+      SELECT *
+      FROM gov_opportunities
+      WHERE source_ids->>'sam_gov' = $1
+         OR (solicitation_number = $1 AND merged_into IS NULL)
+      ORDER BY COALESCE(source_ids->>'sam_gov' = $1, false) DESC, updated_at DESC
+      LIMIT 1
+    `;
+    const result = await this.db.query(query, [identifier]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Fetches an opportunity from SAM.gov by notice ID and persists it
+   * @param {string} noticeId - SAM.gov notice ID
+   * @returns {Promise<object|null>} - { opportunity, source } or null when SAM.gov has no match
+   */
+  async fetchAndStoreOpportunity(noticeId) {
+    let details;
+    try {
+      details = await samService.fetchOpportunityDetails(noticeId);
+    } catch (error) {
+      if (error.status === 404 || /No opportunity found/.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      const storeResult = await this.db.transaction(client =>
+        this.ingestionService.storeOpportunity(client, details)
+      );
+      const stored = storeResult?.id ? await this.findStoredOpportunity(storeResult.id) : null;
+
+      if (stored) {
+        logger.info(`💾 Stored live SAM.gov opportunity ${noticeId} (${storeResult.action})`);
+        return {
+          opportunity: this.formatOpportunity(stored),
+          source: 'sam_gov'
+        };
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Failed to persist live SAM.gov opportunity ${noticeId}`, {
+        error: error.message
+      });
+    }
+
+    // Serve the live data even if it could not be persisted
+    const normalized = this.ingestionService.normalizeOpportunityForDatabase(details);
+    return {
+      opportunity: this.formatOpportunity({ id: null, ...normalized }),
+      source: 'sam_gov'
+    };
+  }
+
+  /**
+   * Gets the change timeline of a stored opportunity
+   * @param {string} identifier - UUID, SAM.gov notice ID or solicitation number
+   * @returns {Promise<object|null>} - { opportunity, currentVersion, changeCounts, events } or null
+   */
+  async getOpportunityTimeline(identifier) {
+    const stored = await this.findStoredOpportunity(identifier);
+    if (!stored) return null;
+
+    const timeline = await this.versionService.getTimeline(stored);
+
+    return {
+      opportunity: {
+        id: stored.id,
+        noticeId: stored.source_ids?.sam_gov || null,
+        title: stored.title,
+        solicitationNumber: stored.solicitation_number,
+        dueDate: stored.due_date
+      },
+      ...timeline
+    };
+  }
+
+  /**
+   * Gets the attachments of a stored opportunity with their download and extraction results
+   * @param {string} identifier - UUID, SAM.gov notice ID or solicitation number
+   * @returns {Promise<object|null>} - { opportunity, attachmentsProcessedAt, attachments } or null
+   */
+  async getOpportunityAttachments(identifier) {
+    const stored = await this.findStoredOpportunity(identifier);
+    if (!stored) return null;
+
+    return {
+      opportunity: {
+        id: stored.id,
+        noticeId: stored.source_ids?.sam_gov || null,
+        title: stored.title
+      },
+      attachmentsProcessedAt: stored.attachments_processed_at || null,
+      attachments: await this.attachmentService.listAttachments(stored.id)
+    };
+  }
+
+  /**
+   * Gets the lifecycle state of a stored opportunity with its transition history
+   * @param {string} identifier - UUID, SAM.gov notice ID or solicitation number
+   * @returns {Promise<object|null>} - { opportunity, transitions } or null
+   */
+  async getOpportunityLifecycle(identifier) {
+    const stored = await this.findStoredOpportunity(identifier);
+    if (!stored) return null;
+
+    return {
+      opportunity: {
+        id: stored.id,
+        noticeId: stored.source_ids?.sam_gov || null,
+        title: stored.title,
+        status: stored.processing_status,
+        statusChangedAt: stored.status_changed_at || null,
+        sourceStatus: stored.source_status || null,
+        dueDate: stored.due_date || null,
+        award: this.formatAward(stored)
+      },
+      transitions: await this.lifecycleService.getHistory(stored.id)
+    };
+  }
+
+  /**
+   * Gets the stored opportunities most similar to one, ranked by embedding cosine similarity
+   * @param {string} identifier - UUID, SAM.gov notice ID or solicitation number
+   * @param {object} options - { limit, minSimilarity }
+   * @returns {Promise<object|null>} - { opportunity, model, similar } or null
+   */
+  async getSimilarOpportunities(identifier, options = {}) {
+    const stored = await this.findStoredOpportunity(identifier);
+    if (!stored) return null;
+
+    // A merged duplicate answers for its survivor
+    const opportunityId = stored.merged_into || stored.id;
+    const similar = await this.embeddingService.findSimilarOpportunities(opportunityId, options);
+
+    return {
+      opportunity: {
+        id: opportunityId,
+        noticeId: stored.source_ids?.sam_gov || null,
+        title: stored.title
+      },
+      model: this.embeddingService.model,
+      similar: (similar || []).map(row => ({
+        id: row.id,
+        title: row.title,
+        agency: row.agency,
+        naics: row.naics,
+        setAside: row.set_aside,
+        dueDate: row.due_date,
+        postedDate: row.posted_date,
+        estimatedValue: row.value_estimated,
+        status: row.processing_status,
+        similarity: row.similarity
+      }))
+    };
+  }
+
+  /**
+   * Full-text search over stored government opportunities
+   * @param {object} criteria - Search criteria (see governmentOpportunitySearchSchema)
+   * @param {string} criteria.q - Free-text query (web search syntax: quotes, OR, -exclusions)
+   * @param {Array<string>} criteria.naics - NAICS codes (any match)
+   * @param {Array<string>} criteria.psc - PSC codes (any match)
+   * @param {Array<string>} criteria.setAside - Set-aside types (any match)
+   * @param {string} criteria.near - Place to search around: ZIP code, "City, ST", county or state
+   * @param {number} criteria.radiusMiles - Search radius around `near` (default 50)
+   * @param {string} criteria.sortBy - 'relevance', 'dueDate', 'postedDate', 'value' or 'distance'
+   * @param {boolean} criteria.includeFacets - Include facet counts for the matched set
+   * @returns {Promise<object>} - { opportunities, total, facets, pagination, origin }
+   * @throws {Error} UNKNOWN_LOCATION when `near` cannot be geocoded
+   */
+  async searchOpportunities(criteria = {}) {
+    const { limit = 20, offset = 0, includeFacets = true } = criteria;
+    const origin = criteria.near ? this.resolveSearchOrigin(criteria.near) : null;
+    const { conditions, params, queryParam, distance } = this.buildSearchFilters({ ...criteria, origin });
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    // Relevance and highlighting only apply when there is a text query
+    const rankSelect = queryParam
+      ? `ts_rank_cd(${SEARCH_DOCUMENT}, websearch_to_tsquery('english', ${queryParam})) AS relevance,
+         ts_headline('english', coalesce(title, ''), websearch_to_tsquery('english', ${queryParam}),
+           '${HEADLINE_OPTIONS}, HighlightAll=true') AS title_highlight,
+         ts_headline('english', coalesce(description, ''), websearch_to_tsquery('english', ${queryParam}),
+           '${HEADLINE_OPTIONS}, MaxFragments=2, MaxWords=30, MinWords=10') AS description_highlight`
+      : 'NULL::real AS relevance, NULL AS title_highlight, NULL AS description_highlight';
+    const distanceSelect = distance ? `${distance} AS distance_miles` : 'NULL::float AS distance_miles';
+
+    const limitParam = `$${params.length + 1}`;
+    const offsetParam = `$${params.length + 2}`;
+
+    const query = `
+      SELECT o.*, ${rankSelect}, ${distanceSelect}, COUNT(*) OVER() AS total_count
+      FROM gov_opportunities o
+      ${whereClause}
+      ORDER BY ${this.buildSearchOrder(criteria, Boolean(queryParam), distance)}
+      LIMIT ${limitParam} OFFSET ${offsetParam}
+    `;
+
+    const result = await this.db.query(query, [...params, limit, offset]);
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0;
+
+    const opportunities = result.rows.map(row => ({
+      ...this.formatOpportunity(row),
+      relevance: row.relevance !== null && row.relevance !== undefined ? Number(row.relevance) : null,
+      highlights: queryParam
+        ? { title: row.title_highlight, description: row.description_highlight }
+        : null,
+      ...(origin ? { distanceMiles: Math.round(Number(row.distance_miles) * 10) / 10 } : {})
+    }));
+
+    const facets = includeFacets ? await this.getSearchFacets(whereClause, params) : null;
+
+    return {
+      opportunities,
+      total,
+      facets,
+      pagination: {
+        limit,
+        offset,
+        hasMore: offset + opportunities.length < total
+      },
+      origin: origin ? { ...origin, radiusMiles: criteria.radiusMiles || 50 } : null
+    };
+  }
+
+  /**
+   * Proxies a search to SAM.gov, passing on the filters its search API supports
+   * @param {object} criteria - Same criteria as searchOpportunities(); value ranges, radius search,
+   *   sorting and the awarded status have no SAM.gov equivalent, and SAM.gov pages stop at
+   *   MAX_TOTAL_RESULTS
+   * @returns {Promise<object>} - SAM.gov search response
+   * @throws {Error} UNSUPPORTED_LIVE_FILTERS listing the filters SAM.gov cannot apply
+   */
+  async searchLiveOpportunities(criteria = {}) {
+    const unsupported = [
+      criteria.minValue !== undefined && 'minValue',
+      criteria.maxValue !== undefined && 'maxValue',
+      criteria.near && 'near',
+      criteria.status === 'awarded' && 'status=awarded',
+      criteria.sortBy && criteria.sortBy !== 'relevance' && 'sortBy',
+      criteria.sortOrder && 'sortOrder',
+      criteria.offset > samService.MAX_TOTAL_RESULTS && `offset>${samService.MAX_TOTAL_RESULTS}`
+    ].filter(Boolean);
+    if (unsupported.length > 0) {
+      const error = new Error(`Live SAM.gov search does not support: ${unsupported.join(', ')}`);
+      error.code = 'UNSUPPORTED_LIVE_FILTERS';
+      error.filters = unsupported;
+      throw error;
+    }
+
+    const filters = {
+      ccode: criteria.psc?.join(','),
+      typeOfSetAside: criteria.setAside?.join(','),
+      organizationName: criteria.agency,
+      status: LIVE_STATUSES[criteria.status],
+      rdlfrom: this.toSamDate(criteria.dueAfter),
+      rdlto: this.toSamDate(criteria.dueBefore),
+      postedFrom: this.toSamDate(criteria.postedAfter)
+    };
+
+    return samService.searchOpportunities({
+      keywords: criteria.q,
+      naics: criteria.naics?.join(','),
+      state: criteria.state,
+      limit: criteria.limit,
+      offset: criteria.offset,
+      ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined))
+    });
+  }
+
+  /**
+   * ISO date or date-time as the MM/DD/YYYY dates SAM.gov expects
+   */
+  toSamDate(value) {
+    if (!value) return undefined;
+    const [year, month, day] = value.slice(0, 10).split('-');
+    return `${month}/${day}/${year}`;
+  }
+
+  /**
+   * Geocodes the place a radius search is centered on
+   * @param {string} near - ZIP code, "City, ST", county or state
+   * @returns {object} - Normalized location with latitude, longitude and precision
+   * @throws {Error} UNKNOWN_LOCATION when the gazetteer cannot place it
+   */
+  resolveSearchOrigin(near) {
+    const location = getGazetteer().normalizeLocation(near);
+    if (!location || !location.precision) {
+      const error = new Error(`Unknown location: ${near}`);
+      error.code = 'UNKNOWN_LOCATION';
+      throw error;
+    }
+    return location;
+  }
+
+  /**
+   * Builds WHERE conditions and parameters for opportunity search
+   * @param {object} criteria - Search criteria
+   * @returns {object} - { conditions, params, queryParam, distance } where queryParam is the text query
+   *   placeholder and distance the miles-from-origin expression for radius searches
+   */
+  buildSearchFilters(criteria = {}) {
+    const conditions = [];
+    const params = [];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    let queryParam = null;
+    if (criteria.q) {
+      queryParam = addParam(criteria.q);
+      conditions.push(`${SEARCH_DOCUMENT} @@ websearch_to_tsquery('english', ${queryParam})`);
+    }
+
+    if (criteria.status && criteria.status !== 'any') {
+      conditions.push(`processing_status = ${addParam(criteria.status)}`);
+    }
+
+    if (criteria.naics?.length) {
+      conditions.push(`naics_codes ?| ${addParam(criteria.naics)}::text[]`);
+    }
+
+    if (criteria.psc?.length) {
+      conditions.push(`psc_codes ?| ${addParam(criteria.psc)}::text[]`);
+    }
+
+    if (criteria.setAside?.length) {
+      conditions.push(`set_aside = ANY(${addParam(criteria.setAside)}::text[])`);
+    }
+
+    if (criteria.agency) {
+      conditions.push(`agency ILIKE ${addParam(`%${criteria.agency}%`)}`);
+    }
+
+    if (criteria.state) {
+      conditions.push(`place_of_performance->>'state' = ${addParam(criteria.state)}`);
+    }
+
+    // Value filters compare against the widest known value so ranges overlap the requested band
+    if (criteria.minValue !== undefined) {
+      conditions.push(`COALESCE(value_high, value_estimated, value_low) >= ${addParam(criteria.minValue)}`);
+    }
+
+    if (criteria.maxValue !== undefined) {
+      conditions.push(`COALESCE(value_low, value_estimated, value_high) <= ${addParam(criteria.maxValue)}`);
+    }
+
+    if (criteria.dueAfter) {
+      conditions.push(`due_date >= ${addParam(criteria.dueAfter)}`);
+    }
+
+    if (criteria.dueBefore) {
+      conditions.push(`due_date <= ${addParam(criteria.dueBefore)}`);
+    }
+
+    if (criteria.postedAfter) {
+      conditions.push(`posted_date >= ${addParam(criteria.postedAfter)}`);
+    }
+
+    // Radius search: a bounding box narrows candidates on idx_gov_opps_pop_point, the haversine
+    // distance decides. Remote and ungeocoded opportunities have no point and never match.
+    let distance = null;
+    if (criteria.origin) {
+      const radius = criteria.radiusMiles || 50;
+      const { latitude, longitude } = criteria.origin;
+      const latDelta = radius / MILES_PER_DEGREE_LATITUDE;
+      const lonDelta = radius / (MILES_PER_DEGREE_LATITUDE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+      const lat = addParam(latitude);
+      const lon = addParam(longitude);
+
+      distance = `(${EARTH_RADIUS_MILES} * 2 * ASIN(LEAST(1, SQRT(
+        POWER(SIN(RADIANS(pop_latitude - ${lat}) / 2), 2) +
+        COS(RADIANS(${lat})) * COS(RADIANS(pop_latitude)) * POWER(SIN(RADIANS(pop_longitude - ${lon}) / 2), 2)
+      ))))`;
+
+      conditions.push(`pop_latitude BETWEEN ${addParam(latitude - latDelta)} AND ${addParam(latitude + latDelta)}`);
+      conditions.push(`pop_longitude BETWEEN ${addParam(longitude - lonDelta)} AND ${addParam(longitude + lonDelta)}`);
+      conditions.push(`${distance} <= ${addParam(radius)}`);
+    }
+
+    return { conditions, params, queryParam, distance };
+  }
+
+  /**
+   * Builds the ORDER BY clause for opportunity search
+   */
+  buildSearchOrder(criteria, hasTextQuery, distance = null) {
+    const { sortBy = 'relevance', sortOrder } = criteria;
+    const direction = (order, fallback) => ((order || fallback) === 'asc' ? 'ASC' : 'DESC');
+
+    switch (sortBy) {
+      case 'distance':
+        if (distance) return `${distance} ${direction(sortOrder, 'asc')}, due_date ASC NULLS LAST, id`;
+        return 'due_date ASC NULLS LAST, id';
+      case 'postedDate':
+        return `posted_date ${direction(sortOrder, 'desc')} NULLS LAST, id`;
+      case 'value':
+        return `COALESCE(value_estimated, value_high, value_low) ${direction(sortOrder, 'desc')} NULLS LAST, id`;
+      case 'dueDate':
+        return `due_date ${direction(sortOrder, 'asc')} NULLS LAST, id`;
+      case 'relevance':
+      default:
+        // Without a text query every row ranks equally, so soonest deadline first is the most useful order
+        return hasTextQuery
+          ? `relevance ${direction(sortOrder, 'desc')}, due_date ASC NULLS LAST, id`
+          : 'due_date ASC NULLS LAST, id';
+    }
+  }
+
+  /**
+   * Counts NAICS, PSC, set-aside and agency values across the full matched set
+   * @param {string} whereClause - WHERE clause from buildSearchFilters
+   * @param {Array} params - Parameters for the WHERE clause
+   * @returns {Promise<object>} - { naics, psc, setAside, agency } arrays of { value, count }
+   */
+  async getSearchFacets(whereClause, params) {
+    const query = `
+      WITH matched AS (
+        SELECT naics_codes, psc_codes, set_aside, agency
+        FROM gov_opportunities o
+        ${whereClause}
+      )
+      SELECT 'naics' AS facet, code AS value, COUNT(*)::int AS count
+        FROM matched, jsonb_array_elements_text(matched.naics_codes) AS code
+        GROUP BY code
+      UNION ALL
+      SELECT 'psc' AS facet, code AS value, COUNT(*)::int AS count
+        FROM matched, jsonb_array_elements_text(matched.psc_codes) AS code
+        GROUP BY code
+      UNION ALL
+      SELECT 'setAside' AS facet, set_aside AS value, COUNT(*)::int AS count
+        FROM matched WHERE set_aside IS NOT NULL
+        GROUP BY set_aside
+      UNION ALL
+      SELECT 'agency' AS facet, agency AS value, COUNT(*)::int AS count
+        FROM matched WHERE agency IS NOT NULL
+        GROUP BY agency
+    `;
+
+    const result = await this.db.query(query, params);
+
+    const facets = { naics: [], psc: [], setAside: [], agency: [] };
+    result.rows.forEach(row => {
+      facets[row.facet]?.push({ value: row.value, count: Number(row.count) });
+    });
+
+    Object.keys(facets).forEach(facet => {
+      facets[facet] = facets[facet]
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+        .slice(0, MAX_FACET_VALUES);
+    });
+
+    return facets;
+  }
+
+  /**
+   * Formats a gov_opportunities row for API responses
+   * @param {object} row - Database row (or normalized ingestion data)
+   * @returns {object} - Formatted opportunity
+   */
+  formatOpportunity(row) {
+    const sourceIds = this.parseJsonField(row.source_ids, {});
+
+    return {
+      id: row.id,
+      noticeId: sourceIds.sam_gov || null,
+      sourceIds,
+      title: row.title,
+      description: row.description,
+      agency: row.agency,
+      office: row.office,
+      naicsCodes: this.parseJsonField(row.naics_codes, []),
+      pscCodes: this.parseJsonField(row.psc_codes, []),
+      setAside: row.set_aside,
+      placeOfPerformance: this.parseJsonField(row.place_of_performance, {}),
+      placeOfPerformancePoint: row.pop_latitude != null && row.pop_longitude != null
+        ? {
+          latitude: Number(row.pop_latitude),
+          longitude: Number(row.pop_longitude),
+          precision: row.pop_geocode_precision || null
+        }
+        : null,
+      vehicle: row.vehicle,
+      periodOfPerformance: {
+        start: row.pop_start || null,
+        end: row.pop_end || null
+      },
+      postedDate: row.posted_date || null,
+      dueDate: row.due_date || null,
+      value: {
+        low: this.toNumber(row.value_low),
+        high: this.toNumber(row.value_high),
+        estimated: this.toNumber(row.value_estimated)
+      },
+      incumbent: row.incumbent,
+      incumbentUei: row.incumbent_uei || null,
+      incumbentMatch: row.incumbent_match || null,
+      solicitationNumber: row.solicitation_number,
+      opportunityType: row.opportunity_type,
+      requirementsSummary: row.requirements_summary,
+      evaluationCriteria: this.parseJsonField(row.evaluation_criteria, []),
+      awardBasis: row.award_basis || null,
+      tags: this.parseJsonField(row.parsed_tags, []),
+      attachments: this.parseJsonField(row.attachments, []),
+      contacts: this.parseJsonField(row.contacts, []),
+      amendments: this.parseJsonField(row.amendments, []),
+      dataQualityScore: this.toNumber(row.data_quality_score),
+      dataQualityIssues: this.parseJsonField(row.data_quality_details, {}).failed || [],
+      status: row.processing_status,
+      statusChangedAt: row.status_changed_at || null,
+      award: this.formatAward(row),
+      lastUpdatedSource: row.last_updated_source || null,
+      createdAt: row.created_at || null,
+      updatedAt: row.updated_at || null
+    };
+  }
+
+  formatAward(row) {
+    if (!row.awardee_name && row.award_amount == null && !row.award_date) return null;
+
+    return {
+      awardeeName: row.awardee_name || null,
+      awardeeUei: row.awardee_uei || null,
+      amount: this.toNumber(row.award_amount),
+      date: row.award_date || null,
+      number: row.award_number || null
+    };
+  }
+
+  // Helper methods
+
+  isUuid(value) {
+    return typeof value === 'string' && UUID_PATTERN.test(value);
+  }
+
+  parseJsonField(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  toNumber(value) {
+    if (value === null || value === undefined) return null;
+    const parsed = Number(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+}
+
+module.exports = GovernmentOpportunityService;
@@ -0,0 +1,404 @@
+/**
+ * Ingestion Scheduler
+ *
+ * Runs government opportunity ingestion on its own and keeps a history of every run:
+ * - Fires ingestion runs from configured cron expressions (incremental or full)
+ * - Supports manually triggered runs from the admin API
+ * - Prevents overlapping runs across processes with a Postgres advisory lock
+ * - Persists each run's mode, sources, criteria, counts, errors and duration in ingestion_runs
+ */
+
+const { Database } = require('../database/connection');
+const GovernmentOpportunityIngestionService = require('./governmentOpportunityIngestionService');
+const { parseCronExpression, getNextCronTime } = require('../utils/cronSchedule');
+const { logger } = require('../utils/logger');
+
+// Advisory lock key shared by every process that runs ingestion
+const INGESTION_LOCK_KEY = 740021;
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMER_DELAY = 2147483647;
+
+// Keep stored error lists bounded for runs with many failures
+const MAX_STORED_ERRORS = 100;
+
+class IngestionScheduler {
+  constructor() {
+    this.db = Database.getInstance();
+    this.ingestionService = new GovernmentOpportunityIngestionService();
+    this.schedules = [];
+    this.timers = new Map();
+    this.activeRunId = null;
+    this.ingestionOptions = {};
+  }
+
+  static getInstance() {
+    if (!IngestionScheduler.instance) {
+      IngestionScheduler.instance = new IngestionScheduler();
+    }
+    return IngestionScheduler.instance;
+  }
+
+  /**
+   * Starts scheduled ingestion
+   * @param {Array<object>} schedules - [{ cron, mode }] entries (mode defaults to 'incremental')
+   * @param {object} ingestionOptions - Options passed to every scheduled run (e.g. maxOpportunities)
+   */
+  start(schedules = [], ingestionOptions = {}) {
+    this.stop();
+
+    // Parse everything up front so a bad expression fails at startup rather than silently never running
+    this.schedules = schedules.map(({ cron, mode = 'incremental' }) => ({
+      cron,
+      mode,
+      parsed: parseCronExpression(cron),
+      nextRunAt: null
+    }));
+    this.ingestionOptions = ingestionOptions;
+
+    this.schedules.forEach(schedule => this.scheduleNext(schedule));
+
+    logger.info(`⏰ Ingestion scheduler started with ${this.schedules.length} schedule(s)`, {
+      schedules: this.schedules.map(s => ({ cron: s.cron, mode: s.mode, nextRunAt: s.nextRunAt }))
+    });
+  }
+
+  /**
+   * Stops all scheduled runs (a run already in progress finishes normally)
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.schedules.forEach(schedule => { schedule.nextRunAt = null; });
+  }
+
+  /**
+   * Arms a timer for the next occurrence of a schedule
+   */
+  scheduleNext(schedule) {
+    schedule.nextRunAt = getNextCronTime(schedule.parsed);
+    this.armTimer(schedule);
+  }
+
+  armTimer(schedule) {
+    const delay = schedule.nextRunAt.getTime() - Date.now();
+
+    const timer = setTimeout(async () => {
+      if (delay > MAX_TIMER_DELAY) {
+        this.armTimer(schedule);
+        return;
+      }
+
+      try {
+        await this.runIngestion({ trigger: 'scheduled', schedule: schedule.cron, mode: schedule.mode });
+      } catch (error) {
+        logger.error(`❌ Scheduled ingestion (${schedule.cron}) failed`, { error: error.message });
+      }
+
+      if (this.timers.has(schedule)) {
+        this.scheduleNext(schedule);
+      }
+    }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY));
+
+    // Scheduled runs should never keep the process alive on their own
+    timer.unref?.();
+    this.timers.set(schedule, timer);
+  }
+
+  /**
+   * Runs ingestion and waits for it to finish
+   * @param {object} options - Run options (see startRun)
+   * @returns {Promise<object|null>} - Finished run, or null when another run holds the lock
+   */
+  async runIngestion(options = {}) {
+    const start = await this.startRun(options);
+    if (!start.started) {
+      logger.info('⏭️ Skipping ingestion run: another run is in progress');
+      return null;
+    }
+    return start.completion;
+  }
+
+  /**
+   * Starts an ingestion run and returns as soon as it is recorded
+   * @param {object} options - Run options
+   * @param {string} options.trigger - 'scheduled' or 'manual'
+   * @param {number} options.triggeredBy - User ID for manual runs
+   * @param {string} options.schedule - Cron expression for scheduled runs
+   * @param {string} options.mode - 'incremental', 'full' or 'targeted'
+   * @param {object} options.searchCriteria - SAM.gov search criteria
+   * @param {number} options.maxOpportunities - Maximum opportunities to fetch
+   * @returns {Promise<object>} - { started: false } when locked, otherwise { started: true, runId, completion }
+   */
+  startRun(options = {}) {
+    return new Promise((resolve, reject) => {
+      const locked = this.db.withAdvisoryLock(INGESTION_LOCK_KEY, async () => {
+        await this.failInterruptedRuns();
+        const runId = await this.createRun(options);
+        const completion = this.executeRun(runId, options);
+        resolve({ started: true, runId, completion });
+        return completion;
+      });
+
+      locked.then(outcome => {
+        if (!outcome.acquired) {
+          resolve({ started: false });
+        }
+      }, reject);
+    });
+  }
+
+  /**
+   * Executes ingestion for a recorded run and stores the outcome.
+   * Never rejects: failures are recorded on the run itself.
+   */
+  async executeRun(runId, options) {
+    const {
+      mode = 'incremental',
+      searchCriteria = {},
+      maxOpportunities,
+      sources = this.getRunSources(options)
+    } = options;
+    const startedAt = Date.now();
+    this.activeRunId = runId;
+
+    try {
+      let report;
+      let errorMessage = null;
+
+      try {
+        report = await this.ingestionService.ingestOpportunities({
+          ...this.ingestionOptions,
+          mode,
+          searchCriteria,
+          sources,
+          ...(maxOpportunities ? { maxOpportunities } : {})
+        });
+      } catch (error) {
+        errorMessage = error.message;
+        report = this.ingestionService.generateIngestionReport();
+      }
+
+      const status = errorMessage ? 'failed' : 'completed';
+      const run = await this.completeRun(runId, {
+        status,
+        report,
+        errorMessage,
+        durationMs: Date.now() - startedAt
+      });
+
+      logger.info(`${errorMessage ? '❌' : '✅'} Ingestion run ${runId} ${status}`, {
+        mode,
+        sources,
+        durationMs: Date.now() - startedAt,
+        error: errorMessage
+      });
+
+      return run;
+    } catch (error) {
+      logger.error(`❌ Failed to record outcome of ingestion run ${runId}`, { error: error.message });
+      return null;
+    } finally {
+      this.activeRunId = null;
+    }
+  }
+
+  /**
+   * Marks runs left in 'running' state by a crashed process as failed.
+   * Only safe while holding the ingestion lock, when no other run can be active.
+   */
+  async failInterruptedRuns() {
+    const result = await this.db.query(`
+      UPDATE ingestion_runs
+      SET status = 'failed',
+          error_message = 'Run interrupted before completion',
+          completed_at = NOW()
+      WHERE status = 'running'
+    `);
+
+    if (result.rowCount > 0) {
+      logger.warn(`⚠️ Marked ${result.rowCount} interrupted ingestion run(s) as failed`);
+    }
+  }
+
+  /**
+   * Inserts a new run in 'running' state
+   */
+  async createRun(options) {
+    const {
+      trigger = 'manual',
+      triggeredBy = null,
+      schedule = null,
+      mode = 'incremental',
+      searchCriteria = {}
+    } = options;
+
+    const query = `
+      INSERT INTO ingestion_runs (trigger, triggered_by, schedule, mode, search_criteria, sources, status, started_at)
+      VALUES ($1, $2, $3, $4, $5, $6, 'running', NOW())
+      RETURNING id
+    `;
+    const result = await this.db.query(query, [
+      trigger,
+      triggeredBy,
+      schedule,
+      mode,
+      JSON.stringify(searchCriteria),
+      JSON.stringify(this.getRunSources(options))
+    ]);
+
+    logger.info(`🚀 Ingestion run ${result.rows[0].id} started (${trigger}, ${mode})`);
+    return result.rows[0].id;
+  }
+
+  /**
+   * Stores the final counts and status of a run
+   */
+  async completeRun(runId, { status, report, errorMessage, durationMs }) {
+    const summary = report?.summary || {};
+    const errors = report?.errors || [];
+
+    const query = `
+      UPDATE ingestion_runs
+      SET status = $2,
+          effective_criteria = $3,
+          fetched_count = $4,
+          processed_count = $5,
+          inserted_count = $6,
+          updated_count = $7,
+          skipped_count = $8,
+          error_count = $9,
+          errors = $10,
+          error_message = $11,
+          completed_at = NOW(),
+          duration_ms = $12,
+          source_stats = $13
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await this.db.query(query, [
+      runId,
+      status,
+      JSON.stringify(report?.searchCriteria || {}),
+      summary.totalFetched || 0,
+      summary.totalProcessed || 0,
+      summary.totalStored || 0,
+      summary.totalUpdated || 0,
+      summary.totalSkipped || 0,
+      // Storage errors are collected in the error list without bumping totalErrors
+      Math.max(summary.totalErrors || 0, errors.length),
+      JSON.stringify(errors.slice(0, MAX_STORED_ERRORS)),
+      errorMessage,
+      durationMs,
+      JSON.stringify(report?.sources || {})
+    ]);
+
+    return result.rows[0] ? this.formatRun(result.rows[0]) : null;
+  }
+
+  /**
+   * Lists runs, newest first
+   * @param {object} filters - { status, trigger, limit, offset }
+   * @returns {Promise<object>} - { runs, total }
+   */
+  async listRuns(filters = {}) {
+    const { status, trigger, limit = 20, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (trigger) {
+      params.push(trigger);
+      conditions.push(`trigger = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const query = `
+      SELECT *, COUNT(*) OVER() AS total_count
+      FROM ingestion_runs
+      ${whereClause}
+      ORDER BY started_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const result = await this.db.query(query, [...params, limit, offset]);
+
+    return {
+      // Error lists can be long; they are only returned by getRun
+      runs: result.rows.map(row => this.formatRun(row, { includeErrors: false })),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0
+    };
+  }
+
+  /**
+   * Gets a single run with its error list
+   * @param {string} runId - Run UUID
+   * @returns {Promise<object|null>}
+   */
+  async getRun(runId) {
+    const result = await this.db.query('SELECT * FROM ingestion_runs WHERE id = $1', [runId]);
+    return result.rows[0] ? this.formatRun(result.rows[0]) : null;
+  }
+
+  /**
+   * Current scheduler state for the admin API
+   */
+  getStatus() {
+    return {
+      enabled: this.timers.size > 0,
+      activeRunId: this.activeRunId,
+      schedules: this.schedules.map(schedule => ({
+        cron: schedule.cron,
+        mode: schedule.mode,
+        nextRunAt: schedule.nextRunAt
+      }))
+    };
+  }
+
+  /**
+   * Sources for a run: explicitly requested ones, else the scheduler's configured sources
+   */
+  getRunSources(options = {}) {
+    return options.sources || this.ingestionOptions.sources || ['sam_gov'];
+  }
+
+  formatRun(row, { includeErrors = true } = {}) {
+    const run = {
+      id: row.id,
+      trigger: row.trigger,
+      triggeredBy: row.triggered_by,
+      schedule: row.schedule,
+      mode: row.mode,
+      sources: row.sources || ['sam_gov'],
+      searchCriteria: row.search_criteria || {},
+      effectiveCriteria: row.effective_criteria || {},
+      status: row.status,
+      counts: {
+        fetched: row.fetched_count || 0,
+        processed: row.processed_count || 0,
+        inserted: row.inserted_count || 0,
+        updated: row.updated_count || 0,
+        skipped: row.skipped_count || 0,
+        errors: row.error_count || 0
+      },
+      sourceCounts: row.source_stats || {},
+      errorMessage: row.error_message,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      durationMs: row.duration_ms
+    };
+
+    if (includeErrors) {
+      run.errors = row.errors || [];
+    }
+
+    return run;
+  }
+}
+
+module.exports = IngestionScheduler;
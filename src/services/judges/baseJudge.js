@@ -0,0 +1,76 @@
+/**
+ * Judge
+ *
+ * Contract every judge of a Panel of Judges implements, so scoring services and scoring versions can
+ * loop over judges without knowing them:
+ * - name: key of the judge in judge scores and in scoring version weights
+ * - panels: panels the judge sits on: 'profile' (company_profiles, scored per scoring version),
+ *   'company' (legacy companies scoring) and 'graph' (companies scoring with relationship graph context)
+ * - factor: { category, name } the evaluation is recorded under in gov_opportunity_scoring_factors
+ * - inputs: { subject, opportunity, lookups } - profile or company fields and opportunity fields the judge
+ *   reads, and the outside data it looks up; all of them are stored with profile scores for replays
+ * - evaluate(subject, opportunity, context) -> { score, verdict, confidence, reasoning, evidence,
+ *   recommendations, factors }
+ *
+ * Scores are 0-100. factors break a score down as [{ name, score }], each scoring 0-100 how fully
+ * the judge found that aspect met.
+ */
+
+class Judge {
+  constructor(options = {}) {
+    this.name = options.name;
+    this.panels = options.panels || ['profile'];
+    this.factor = options.factor || { category: 'other', name: this.name.charAt(0).toUpperCase() + this.name.slice(1) };
+    this.inputs = { subject: [], opportunity: [], lookups: [], ...options.inputs };
+    this.passScore = options.passScore ?? 70;
+    this.defaultRecommendation = options.defaultRecommendation || 'Emphasize strengths in the proposal';
+  }
+
+  /**
+   * Evaluates the fit of a profile or company for an opportunity
+   * @param {object} subject - company_profiles or companies row
+   * @param {object} opportunity - Opportunity in the shape the panel reads
+   * @param {object} context - Panel context: { lookups, replay } for profiles, { graph } for graph scoring
+   * @returns {Promise<object>} - Evaluation (see buildEvaluation())
+   */
+  async evaluate() {
+    throw new Error(`${this.constructor.name} must implement evaluate()`);
+  }
+
+  /**
+   * Runs a lookup of outside data once per score and records the result in the scoring context;
+   * replays read the recorded result instead, and a lookup that was never recorded counts as unavailable
+   */
+  async lookup(context, key, lookup) {
+    if (context && context.lookups && Object.prototype.hasOwnProperty.call(context.lookups, key)) {
+      return context.lookups[key];
+    }
+    if (context && context.replay) return null;
+
+    const value = await lookup();
+    if (context && context.lookups) {
+      context.lookups[key] = value;
+    }
+    return value;
+  }
+
+  /**
+   * Evaluation in the shape every panel reads: the score is kept within 0-100, the verdict is O at or
+   * above the judge's pass score, and a judge without recommendations gives its default one.
+   * Other fields (e.g. graph enhancements) are passed through.
+   */
+  buildEvaluation({ score, confidence, reasoning, evidence = [], recommendations = [], factors = [], ...details }) {
+    return {
+      ...details,
+      score: Math.max(0, Math.min(100, score)),
+      verdict: score >= this.passScore ? 'O' : 'X',
+      confidence,
+      reasoning,
+      evidence,
+      recommendations: recommendations.length > 0 ? recommendations : [this.defaultRecommendation],
+      factors: factors.map(factor => ({ name: factor.name, score: Math.round(Math.max(0, Math.min(100, factor.score))) }))
+    };
+  }
+}
+
+module.exports = Judge;
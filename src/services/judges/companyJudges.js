@@ -0,0 +1,344 @@
+/**
+ * Company judges
+ *
+ * The Panel of Judges for the legacy companies/opportunities scoring (OpportunityScoringService).
+ * Domain, value and innovation also sit on the graph panel, where relationship data does not change
+ * their evaluation.
+ */
+
+const Judge = require('./baseJudge');
+
+/**
+ * Technical Judge - Focus on certifications, technical capabilities, compliance
+ */
+class TechnicalJudge extends Judge {
+  constructor(options = {}) {
+    super({
+      name: 'technical',
+      panels: ['company'],
+      factor: { category: 'technical', name: 'Technical capability' },
+      inputs: { subject: ['capabilities', 'certifications'], opportunity: ['required_capabilities', 'required_certifications'] },
+      passScore: 70,
+      defaultRecommendation: 'Maintain technical excellence',
+      ...options
+    });
+  }
+
+  async evaluate(company, opportunity) {
+    let score = 50; // Base score
+    const evidence = [];
+    const recommendations = [];
+
+    // Check technical capabilities alignment
+    const requiredCaps = opportunity.required_capabilities || [];
+    const companyCaps = company.capabilities || [];
+
+    const matchedCaps = requiredCaps.filter(cap => companyCaps.includes(cap));
+    const capMatchRatio = requiredCaps.length > 0 ? matchedCaps.length / requiredCaps.length : 1;
+
+    score += capMatchRatio * 30;
+
+    if (capMatchRatio < 1) {
+      recommendations.push(`Develop capabilities in: ${requiredCaps.filter(c => !companyCaps.includes(c)).join(', ')}`);
+    }
+
+    evidence.push(`Matches ${matchedCaps.length}/${requiredCaps.length} required technical capabilities`);
+
+    // Check certifications
+    const requiredCerts = opportunity.required_certifications || [];
+    const companyCerts = company.certifications || [];
+
+    const certMatchRatio = requiredCerts.length > 0 ?
+      requiredCerts.filter(cert => companyCerts.includes(cert)).length / requiredCerts.length : 1;
+
+    score += certMatchRatio * 20;
+
+    if (certMatchRatio < 1) {
+      recommendations.push(`Obtain certifications: ${requiredCerts.filter(c => !companyCerts.includes(c)).join(', ')}`);
+    }
+
+    evidence.push(`Has ${companyCerts.length} relevant certifications`);
+
+    return this.buildEvaluation({
+      score,
+      confidence: 0.88,
+      reasoning: `Technical evaluation based on capabilities match (${Math.round(capMatchRatio * 100)}%) and certifications (${Math.round(certMatchRatio * 100)}%)`,
+      evidence,
+      recommendations,
+      factors: [
+        { name: 'Capability match', score: capMatchRatio * 100 },
+        { name: 'Certifications', score: certMatchRatio * 100 }
+      ]
+    });
+  }
+}
+
+/**
+ * Domain Judge - Focus on industry experience and domain expertise
+ */
+class DomainJudge extends Judge {
+  constructor() {
+    super({
+      name: 'domain',
+      panels: ['company', 'graph'],
+      factor: { category: 'domain', name: 'Domain expertise' },
+      inputs: { subject: ['industries', 'years_experience', 'total_projects'], opportunity: ['industry', 'required_experience_years'] },
+      passScore: 70,
+      defaultRecommendation: 'Leverage domain expertise in proposal'
+    });
+  }
+
+  async evaluate(company, opportunity) {
+    let score = 40; // Base score
+    const evidence = [];
+    const recommendations = [];
+
+    // Check industry alignment
+    const oppIndustry = opportunity.industry;
+    const companyIndustries = company.industries || [];
+    const industryMatch = companyIndustries.includes(oppIndustry);
+
+    if (industryMatch) {
+      score += 40;
+      evidence.push(`Direct experience in ${oppIndustry} industry`);
+    } else {
+      score += 10;
+      recommendations.push(`Build case studies in ${oppIndustry} industry`);
+      evidence.push('No direct industry experience');
+    }
+
+    // Years of experience bonus
+    const experienced = company.years_experience >= opportunity.required_experience_years;
+    if (experienced) {
+      score += 20;
+      evidence.push(`${company.years_experience} years of experience exceeds requirement`);
+    }
+
+    // Project volume indicator
+    if (company.total_projects > 20) {
+      score += 10;
+      evidence.push(`Proven track record with ${company.total_projects} completed projects`);
+    }
+
+    return this.buildEvaluation({
+      score,
+      confidence: 0.82,
+      reasoning: `Domain expertise evaluation focused on ${oppIndustry} industry experience and track record`,
+      evidence,
+      recommendations,
+      factors: [
+        { name: 'Industry experience', score: industryMatch ? 100 : 25 },
+        { name: 'Years of experience', score: experienced ? 100 : 0 },
+        { name: 'Track record', score: company.total_projects > 20 ? 100 : 0 }
+      ]
+    });
+  }
+}
+
+/**
+ * Value Judge - Focus on cost efficiency, ROI, delivery track record
+ */
+class ValueJudge extends Judge {
+  constructor() {
+    super({
+      name: 'value',
+      panels: ['company', 'graph'],
+      factor: { category: 'financial', name: 'Value proposition' },
+      inputs: { subject: ['size_category', 'team_size', 'credibility_score'], opportunity: ['project_value_min', 'project_value_max'] },
+      passScore: 65,
+      defaultRecommendation: 'Emphasize value proposition and ROI'
+    });
+  }
+
+  async evaluate(company, opportunity) {
+    let score = 50; // Base score
+    const evidence = [];
+    const recommendations = [];
+
+    // Size category alignment (smaller companies often provide better value)
+    const lean = company.size_category === 'small' || company.size_category === 'medium';
+    if (lean) {
+      score += 20;
+      evidence.push('Competitive pricing advantage from lean operations');
+    }
+
+    // Team size efficiency
+    const rightSized = company.team_size >= 10 && company.team_size <= 50;
+    if (rightSized) {
+      score += 15;
+      evidence.push('Right-sized team for efficient delivery');
+    }
+
+    // Success rate (mock calculation)
+    const successRate = company.credibility_score || 75;
+    if (successRate > 80) {
+      score += 20;
+      evidence.push(`High success rate: ${successRate}% credibility score`);
+    } else {
+      score += 10;
+      recommendations.push('Highlight successful project outcomes and ROI metrics');
+    }
+
+    // Project value alignment
+    const projectValueRange = opportunity.project_value_max - opportunity.project_value_min;
+    if (projectValueRange > 0) {
+      score += 15;
+      evidence.push('Experience with similar project budgets');
+    }
+
+    return this.buildEvaluation({
+      score,
+      confidence: 0.78,
+      reasoning: 'Value assessment based on cost efficiency, team size, and delivery track record',
+      evidence,
+      recommendations,
+      factors: [
+        { name: 'Pricing position', score: lean ? 100 : 0 },
+        { name: 'Team size', score: rightSized ? 100 : 0 },
+        { name: 'Success rate', score: successRate },
+        { name: 'Budget alignment', score: projectValueRange > 0 ? 100 : 0 }
+      ]
+    });
+  }
+}
+
+/**
+ * Innovation Judge - Focus on unique approaches, thought leadership, differentiation
+ */
+class InnovationJudge extends Judge {
+  constructor() {
+    super({
+      name: 'innovation',
+      panels: ['company', 'graph'],
+      factor: { category: 'strategic', name: 'Innovation' },
+      inputs: { subject: ['technologies', 'capabilities', 'founded_year'] },
+      passScore: 60,
+      defaultRecommendation: 'Showcase innovative solutions and thought leadership'
+    });
+  }
+
+  async evaluate(company) {
+    let score = 45; // Base score
+    const evidence = [];
+    const recommendations = [];
+
+    // Technology stack and capability modernity - check both arrays
+    const modernTech = ['AI/ML', 'blockchain', 'IoT', 'cloud', 'microservices', 'machine learning', 'AI research', 'data science', 'artificial intelligence'];
+
+    // Check both technologies and capabilities for innovative terms
+    const companyTech = company.technologies || [];
+    const companyCaps = company.capabilities || [];
+    const allCompanyTech = [...companyTech, ...companyCaps];
+
+    const innovativeTech = allCompanyTech.filter(t =>
+      modernTech.some(m => t.toLowerCase().includes(m.toLowerCase()))
+    );
+
+    if (innovativeTech.length > 0) {
+      score += 35; // Increased from 25 to give stronger signal
+      evidence.push(`Uses innovative technologies/capabilities: ${innovativeTech.join(', ')}`);
+    } else {
+      recommendations.push('Highlight innovative approaches and unique methodologies');
+    }
+
+    // Unique capabilities
+    const uniqueCaps = company.capabilities || [];
+    if (uniqueCaps.length > 5) {
+      score += 20;
+      evidence.push('Diverse capability portfolio shows innovation potential');
+    }
+
+    // Recent founding (newer companies often more innovative)
+    const companyAge = new Date().getFullYear() - (company.founded_year || 2015);
+    if (companyAge <= 5) {
+      score += 15;
+      evidence.push('Modern company with fresh perspectives');
+    }
+
+    return this.buildEvaluation({
+      score,
+      confidence: 0.73,
+      reasoning: 'Innovation assessment based on technology adoption and unique approaches',
+      evidence,
+      recommendations,
+      factors: [
+        { name: 'Innovative technologies', score: innovativeTech.length > 0 ? 100 : 0 },
+        { name: 'Capability breadth', score: uniqueCaps.length > 5 ? 100 : 0 },
+        { name: 'Company age', score: companyAge <= 5 ? 100 : 0 }
+      ]
+    });
+  }
+}
+
+/**
+ * Relationship Judge - Focus on geography, cultural fit, partnership potential
+ */
+class RelationshipJudge extends Judge {
+  constructor() {
+    super({
+      name: 'relationship',
+      panels: ['company'],
+      factor: { category: 'competitive', name: 'Relationship potential' },
+      inputs: { subject: ['service_regions', 'certifications', 'size_category'], opportunity: ['location', 'buyer_type'] },
+      passScore: 65,
+      defaultRecommendation: 'Build relationships through pre-submission engagement'
+    });
+  }
+
+  async evaluate(company, opportunity) {
+    let score = 40; // Base score, decreased from 50
+    const evidence = [];
+    const recommendations = [];
+
+    // Geographic alignment
+    const oppLocation = opportunity.location || '';
+    const companyRegions = company.service_regions || [];
+    const covered = companyRegions.some(r => oppLocation.includes(r) || r === 'Remote');
+
+    if (covered) {
+      score += 30;
+      evidence.push('Geographic coverage aligns with opportunity location');
+    } else {
+      score += 10;
+      recommendations.push('Establish local presence or remote delivery capabilities');
+    }
+
+    // Buyer type alignment
+    let buyerPoints = 0;
+    if (opportunity.buyer_type === 'government' && company.certifications?.includes('FedRAMP')) {
+      buyerPoints = 20;
+      evidence.push('Government contracting experience');
+    } else if (opportunity.buyer_type === 'private') {
+      buyerPoints = 15;
+      evidence.push('Private sector engagement experience');
+    }
+    score += buyerPoints;
+
+    // Company size harmony
+    if (company.size_category === opportunity.buyer_type) {
+      score += 10;
+      evidence.push('Good cultural fit based on organization size');
+    }
+
+    return this.buildEvaluation({
+      score,
+      confidence: 0.76,
+      reasoning: 'Relationship potential based on geographic alignment and cultural fit',
+      evidence,
+      recommendations,
+      factors: [
+        { name: 'Geographic coverage', score: covered ? 100 : 33 },
+        { name: 'Buyer experience', score: buyerPoints * 5 },
+        { name: 'Cultural fit', score: company.size_category === opportunity.buyer_type ? 100 : 0 }
+      ]
+    });
+  }
+}
+
+module.exports = {
+  TechnicalJudge,
+  DomainJudge,
+  ValueJudge,
+  InnovationJudge,
+  RelationshipJudge
+};
@@ -0,0 +1,163 @@
+/**
+ * Graph-enhanced judges
+ *
+ * Judges of the graph panel (EnhancedOpportunityScoringService) that read relationship graph context,
+ * passed as context.graph: { service, relationships, partners }. The company domain, value and innovation
+ * judges complete the panel.
+ */
+
+const Judge = require('./baseJudge');
+const { TechnicalJudge } = require('./companyJudges');
+
+/**
+ * Graph-Enhanced Technical Judge - the technical evaluation plus credit for partners covering
+ * missing capabilities and relevant projects in the company's network
+ */
+class GraphEnhancedTechnicalJudge extends TechnicalJudge {
+  constructor() {
+    super({ panels: ['graph'] });
+  }
+
+  async evaluate(company, opportunity, context = {}) {
+    const { relationships = [], partners = [] } = context.graph || {};
+    const basicEval = await super.evaluate(company, opportunity, context);
+
+    // Apply graph enhancements
+    const graphEnhancements = this.applyGraphEnhancements(company, opportunity, relationships, partners);
+
+    return this.buildEvaluation({
+      ...basicEval,
+      score: basicEval.score + graphEnhancements.bonus,
+      factors: [...basicEval.factors, ...graphEnhancements.factors],
+      graphEnhancements,
+      graphRecommendations: graphEnhancements.recommendations
+    });
+  }
+
+  applyGraphEnhancements(company, opportunity, relationships, partners) {
+    let bonus = 0;
+    const recommendations = [];
+    const enhancements = [];
+    const factors = [];
+
+    // Check for partners with missing technical capabilities
+    const requiredCaps = opportunity.required_capabilities || [];
+    const companyCaps = company.capabilities || [];
+    const missingCaps = requiredCaps.filter(cap => !companyCaps.includes(cap));
+
+    if (missingCaps.length > 0) {
+      for (const partner of partners) {
+        const partnerCaps = partner.capabilities || [];
+        const partnerCoversGaps = missingCaps.filter(cap => partnerCaps.includes(cap));
+
+        if (partnerCoversGaps.length > 0) {
+          const gapCoverage = partnerCoversGaps.length / missingCaps.length;
+          const partnerBonus = Math.min(15, gapCoverage * 20 * (partner.complementarity_score / 100));
+          bonus += partnerBonus;
+
+          enhancements.push(`Partner ${partner.name} covers ${partnerCoversGaps.length} missing technical capabilities`);
+          recommendations.push({
+            type: 'technical_partnership',
+            description: `Partner with ${partner.name} to cover missing capabilities: ${partnerCoversGaps.join(', ')}`,
+            impact: `+${Math.round(partnerBonus)} points`
+          });
+          factors.push({ name: 'Partner capability coverage', score: gapCoverage * 100 });
+
+          break; // Only use best partner
+        }
+      }
+    }
+
+    // Check for relevant technical experience in network
+    const technicalExperience = relationships.filter(r =>
+      r.connected_entity_type === 'opportunity' &&
+      r.total_strength > 0.6
+    ).length;
+
+    if (technicalExperience > 2) {
+      bonus += Math.min(10, technicalExperience * 2);
+      enhancements.push(`Network shows ${technicalExperience} relevant technical projects`);
+    }
+    factors.push({ name: 'Network project experience', score: technicalExperience > 2 ? Math.min(100, technicalExperience * 20) : 0 });
+
+    return {
+      bonus: Math.round(bonus),
+      enhancements,
+      recommendations,
+      factors
+    };
+  }
+}
+
+/**
+ * Graph-Enhanced Relationship Judge - Most significantly enhanced
+ */
+class GraphEnhancedRelationshipJudge extends Judge {
+  constructor() {
+    super({
+      name: 'relationship',
+      panels: ['graph'],
+      factor: { category: 'competitive', name: 'Relationship potential' },
+      inputs: { subject: ['id'], lookups: ['centrality'] },
+      passScore: 70,
+      defaultRecommendation: 'Build relationships through pre-submission engagement'
+    });
+  }
+
+  async evaluate(company, opportunity, context = {}) {
+    const { service, relationships = [], partners = [] } = context.graph || {};
+
+    // Relationship judge benefits most from graph data
+    let score = 30; // Lower base score, let graph data drive it
+    const evidence = [];
+    const recommendations = [];
+
+    // Network centrality bonus
+    const centrality = service ? await service.calculateEntityCentrality(company.id, 'company') : null;
+    const centralityPoints = centrality && centrality.centrality_score > 10 ? Math.min(25, centrality.centrality_score * 2) : 0;
+    if (centralityPoints > 0) {
+      score += centralityPoints;
+      evidence.push(`Strong network position with centrality score: ${centrality.centrality_score}`);
+    }
+
+    // Direct relationship to buyer/industry
+    const relevantConnections = relationships.filter(r =>
+      (r.connected_entity_type === 'company' && r.total_strength > 0.7) ||
+      (r.connected_entity_type === 'opportunity' && r.total_strength > 0.6)
+    );
+
+    score += Math.min(30, relevantConnections.length * 3);
+    evidence.push(`${relevantConnections.length} strong industry/buyer connections`);
+
+    // Partnership potential bonus
+    const strongPartner = partners.length > 0 && partners[0].overall_score > 70 ? partners[0] : null;
+    if (strongPartner) {
+      score += 15;
+      evidence.push(`Strong partnership option with ${strongPartner.name} (${strongPartner.overall_score}% fit)`);
+      recommendations.push({
+        type: 'strategic_relationship',
+        description: `Leverage partnership with ${strongPartner.name} for stronger buyer relationships`,
+        impact: '+15 points'
+      });
+    }
+
+    return this.buildEvaluation({
+      score,
+      confidence: 0.92, // Higher confidence with graph data
+      reasoning: 'Graph-enhanced relationship assessment based on network analysis and partnership potential',
+      evidence,
+      recommendations,
+      factors: [
+        { name: 'Network centrality', score: centralityPoints * 4 },
+        { name: 'Buyer and industry connections', score: Math.min(100, relevantConnections.length * 10) },
+        { name: 'Partnership potential', score: strongPartner ? 100 : 0 }
+      ],
+      graphRecommendations: recommendations
+    });
+  }
+}
+
+module.exports = {
+  GraphEnhancedTechnicalJudge,
+  GraphEnhancedRelationshipJudge
+};
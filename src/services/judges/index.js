@@ -0,0 +1,122 @@
+/**
+ * Judge Registry
+ *
+ * Judges available to each Panel of Judges, by panel and name (see baseJudge.js for the contract).
+ * The built-in judges are registered on load. Scoring versions choose profile judges by weighting
+ * them, so a judge registered here (e.g. compliance, capacity or competition) is scored only by
+ * versions that give it a weight; the company and graph panels always seat all of their judges.
+ */
+
+const Judge = require('./baseJudge');
+const {
+  ProfileTechnicalJudge,
+  ProfileDomainJudge,
+  ProfileValueJudge,
+  ProfileInnovationJudge,
+  ProfileRelationshipJudge,
+  ProfilePastPerformanceJudge
+} = require('./profileJudges');
+const { TechnicalJudge, DomainJudge, ValueJudge, InnovationJudge, RelationshipJudge } = require('./companyJudges');
+const { GraphEnhancedTechnicalJudge, GraphEnhancedRelationshipJudge } = require('./graphJudges');
+
+const PANELS = ['profile', 'company', 'graph'];
+
+class JudgeRegistry {
+  constructor(judges = []) {
+    this.panels = new Map(PANELS.map(panel => [panel, new Map()]));
+    judges.forEach(judge => this.register(judge));
+  }
+
+  /**
+   * Registers a judge on each of its panels (replacing any judge with that name there)
+   */
+  register(judge) {
+    if (!(judge instanceof Judge) || !judge.name) {
+      throw new Error('Judges must extend Judge and have a name');
+    }
+    const unknown = judge.panels.filter(panel => !this.panels.has(panel));
+    if (judge.panels.length === 0 || unknown.length > 0) {
+      throw new Error(`Judge ${judge.name} must sit on one of the panels ${PANELS.join(', ')}`);
+    }
+
+    judge.panels.forEach(panel => this.panels.get(panel).set(judge.name, judge));
+    return judge;
+  }
+
+  has(name, panel = 'profile') {
+    return this.panels.get(panel).has(name);
+  }
+
+  get(name, panel = 'profile') {
+    const judge = this.panels.get(panel).get(name);
+    if (!judge) {
+      throw new Error(`Unknown ${panel} judge: ${name}`);
+    }
+    return judge;
+  }
+
+  names(panel = 'profile') {
+    return Array.from(this.panels.get(panel).keys());
+  }
+
+  list(panel = 'profile') {
+    return Array.from(this.panels.get(panel).values());
+  }
+
+  /**
+   * The panel as name -> judge, the shape the scoring services loop over
+   */
+  panel(panel = 'profile') {
+    return Object.fromEntries(this.panels.get(panel));
+  }
+
+  /**
+   * Judges of a panel for listing: name, factor and inputs
+   */
+  describe(panel = 'profile') {
+    return this.list(panel).map(judge => ({
+      name: judge.name,
+      category: judge.factor.category,
+      displayName: judge.factor.name,
+      inputs: judge.inputs
+    }));
+  }
+}
+
+const sharedRegistry = new JudgeRegistry([
+  new ProfileTechnicalJudge(),
+  new ProfileDomainJudge(),
+  new ProfileValueJudge(),
+  new ProfileInnovationJudge(),
+  new ProfileRelationshipJudge(),
+  new ProfilePastPerformanceJudge(),
+  new TechnicalJudge(),
+  new DomainJudge(),
+  new ValueJudge(),
+  new InnovationJudge(),
+  new RelationshipJudge(),
+  new GraphEnhancedTechnicalJudge(),
+  new GraphEnhancedRelationshipJudge()
+]);
+
+/**
+ * The process-wide judge registry
+ */
+function getJudgeRegistry() {
+  return sharedRegistry;
+}
+
+/**
+ * Registers a judge plugin with the process-wide registry
+ */
+function registerJudge(judge) {
+  return sharedRegistry.register(judge);
+}
+
+module.exports = {
+  Judge,
+  JudgeRegistry,
+  PANELS,
+  getJudgeRegistry,
+  registerJudge
+};
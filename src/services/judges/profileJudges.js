@@ -0,0 +1,683 @@
+/**
+ * Profile judges
+ *
+ * The Panel of Judges for company_profiles, scored per scoring version by ProfileBasedScoringService.
+ * Technical, domain, value, innovation and relationship sit on the built-in version; past performance
+ * is available to versions that give it a weight.
+ */
+
+const Judge = require('./baseJudge');
+const { logger } = require('../../utils/logger');
+const { summarizeEvaluationCriteria } = require('../../integrations/sources/evaluationCriteria');
+const { cosineSimilarity } = require('../../integrations/embeddings');
+const EmbeddingService = require('../embeddingService');
+const AwardHistoryService = require('../awardHistoryService');
+const { getGazetteer } = require('../../utils/gazetteer');
+const { getCapabilityTaxonomy } = require('../../utils/capabilityTaxonomy');
+
+// Technical score an offer needs to be rated acceptable under LPTA
+const TECHNICALLY_ACCEPTABLE_SCORE = 70;
+
+// Share of the technical score taken from embedding similarity of profile and opportunity text,
+// and the cosine similarity that counts as a full match (topical overlap rarely goes much higher)
+const SEMANTIC_WEIGHT = 0.15;
+const SEMANTIC_FULL_MATCH = 0.5;
+
+class ProfileTechnicalJudge extends Judge {
+  constructor(embeddingService = new EmbeddingService()) {
+    super({
+      name: 'technical',
+      factor: { category: 'technical', name: 'Technical capability' },
+      inputs: {
+        subject: ['capabilities', 'certifications', 'naics', 'summary', 'description', 'keywords', 'past_performance', 'employee_count', 'business_type'],
+        opportunity: ['title', 'description', 'requirements_summary', 'parsed_tags', 'evaluation_criteria', 'award_basis'],
+        lookups: ['semanticSimilarity']
+      },
+      passScore: 70,
+      defaultRecommendation: 'Maintain technical excellence'
+    });
+    this.embeddingService = embeddingService;
+    this.profileVectors = new WeakMap(); // Profile object -> vector promise, reused across a scoring pass
+  }
+
+  /**
+   * Cosine similarity of the profile and opportunity embeddings, or null when either has no text
+   * or embedding fails (the judge then scores on keyword matches alone)
+   */
+  async semanticSimilarity(profile, opportunity) {
+    try {
+      if (!this.profileVectors.has(profile)) {
+        this.profileVectors.set(profile, this.embeddingService.getProfileVector(profile));
+      }
+      const profileVector = await this.profileVectors.get(profile);
+      const opportunityVector = await this.embeddingService.embedText(this.embeddingService.opportunityText(opportunity));
+      return cosineSimilarity(profileVector, opportunityVector);
+    } catch (error) {
+      this.profileVectors.delete(profile);
+      logger.warn(`Semantic similarity unavailable for opportunity ${opportunity.id}:`, error.message);
+      return null;
+    }
+  }
+
+  async evaluate(profile, opportunity, context) {
+    let score = 50;
+    const evidence = [];
+    const recommendations = [];
+
+    // Check capability alignment
+    const requiredCaps = opportunity.required_capabilities || [];
+    const profileCaps = profile.capabilities || [];
+    const tagMatch = requiredCaps.length === 0 ? this.capabilityTagMatch(profile, opportunity) : null;
+    let capMatchRatio;
+
+    if (tagMatch) {
+      capMatchRatio = tagMatch.matched.length / tagMatch.tags.length;
+      evidence.push(`Covers ${tagMatch.matched.length}/${tagMatch.tags.length} capability areas tagged on the opportunity`);
+    } else {
+      const matchedCaps = requiredCaps.filter(cap =>
+        cap && profileCaps.some(pc => pc && typeof pc === 'string' && pc.toLowerCase().includes(cap.toLowerCase()))
+      );
+      capMatchRatio = requiredCaps.length > 0 ? matchedCaps.length / requiredCaps.length : 1;
+      evidence.push(`Matches ${matchedCaps.length}/${requiredCaps.length} required capabilities`);
+    }
+
+    score += capMatchRatio * 30;
+
+    // Check certifications
+    const requiredCerts = opportunity.required_certifications || [];
+    const profileCerts = profile.certifications || [];
+
+    const certMatchRatio = requiredCerts.length > 0 ?
+      requiredCerts.filter(cert => profileCerts.includes(cert)).length / requiredCerts.length : 1;
+
+    score += certMatchRatio * 20;
+    evidence.push(`Has ${profileCerts.length} certifications`);
+
+    const factors = [
+      { name: 'Capability match', score: capMatchRatio * 100 },
+      { name: 'Certifications', score: certMatchRatio * 100 }
+    ];
+
+    if (capMatchRatio < 1) {
+      recommendations.push('Develop missing capabilities to strengthen technical fit');
+    }
+    if (certMatchRatio < 1) {
+      recommendations.push('Consider obtaining additional relevant certifications');
+    }
+
+    // Keyword matching misses paraphrases; blend in how close the profile's own wording is to the opportunity's
+    const semantic = await this.lookup(context, 'semanticSimilarity', () => this.semanticSimilarity(profile, opportunity));
+    if (semantic !== null) {
+      const semanticScore = 100 * Math.min(1, Math.max(0, semantic) / SEMANTIC_FULL_MATCH);
+      score = Math.min(100, score) * (1 - SEMANTIC_WEIGHT) + semanticScore * SEMANTIC_WEIGHT;
+      evidence.push(`Profile and opportunity text are ${Math.round(Math.max(0, semantic) * 100)}% semantically similar`);
+      factors.push({ name: 'Semantic similarity', score: semanticScore });
+    }
+
+    // Weigh the profile against the solicitation's own non-price evaluation factors when known
+    const criteria = summarizeEvaluationCriteria(opportunity.evaluation_criteria);
+    if (criteria) {
+      score = this.applyEvaluationCriteria(Math.min(100, score), profile, opportunity.award_basis, criteria, evidence, recommendations);
+      factors.push({ name: 'Section M evaluation factors', score });
+    }
+
+    return this.buildEvaluation({
+      score,
+      confidence: criteria ? 0.9 : 0.88,
+      reasoning: `Technical evaluation: ${Math.round(capMatchRatio * 100)}% capability match, ${profileCerts.length} certifications` +
+        (criteria ? `, scored against ${criteria.factors.length} Section M factors` : ''),
+      evidence,
+      recommendations,
+      factors
+    });
+  }
+
+  /**
+   * Government notices rarely list required capabilities; compare the capability taxonomy tags
+   * extracted from the notice with the ones the profile maps to. Null when the notice has no tags.
+   * @returns {object|null} - { tags, matched }
+   */
+  capabilityTagMatch(profile, opportunity) {
+    const tags = Array.isArray(opportunity.parsed_tags) ? opportunity.parsed_tags : [];
+    if (tags.length === 0) return null;
+
+    const profileTags = new Set(getCapabilityTaxonomy().tagCapabilities({
+      capabilities: (profile.capabilities || []).filter(capability => typeof capability === 'string'),
+      description: [profile.summary, profile.description].filter(Boolean).join(' '),
+      naicsCodes: profile.naics || []
+    }));
+    return { tags, matched: tags.filter(tag => profileTags.has(tag)) };
+  }
+
+  /**
+   * Scores each non-price evaluation factor and combines them with the Section M weights.
+   * Under LPTA non-price factors are pass/fail, so any acceptable offer scores alike.
+   */
+  applyEvaluationCriteria(capabilityScore, profile, awardBasis, criteria, evidence, recommendations) {
+    if (awardBasis === 'lpta') {
+      const acceptable = capabilityScore >= TECHNICALLY_ACCEPTABLE_SCORE;
+      evidence.push(`LPTA award: technical factors are rated ${acceptable ? 'acceptable' : 'at risk of unacceptable'}`);
+      if (!acceptable) {
+        recommendations.push('Close capability gaps first: technically unacceptable offers are not considered under LPTA');
+      }
+      return acceptable ? Math.max(capabilityScore, 85) : capabilityScore;
+    }
+
+    const pastPerformanceCount = (profile.pastPerformance || []).length;
+    const factorScores = {
+      technical: capabilityScore,
+      other: capabilityScore,
+      past_performance: Math.min(100, 40 + pastPerformanceCount * 15),
+      management: profile.employee_count >= 10 ? 80 : 60,
+      small_business: profile.business_type === 'small_business' ? 90 : 50
+    };
+
+    const scored = criteria.factors.filter(factor => factor.category !== 'price' && factor.weight > 0);
+    const totalWeight = scored.reduce((sum, factor) => sum + factor.weight, 0);
+    if (totalWeight === 0) return capabilityScore;
+
+    const weightedScore = scored.reduce(
+      (sum, factor) => sum + (factorScores[factor.category] ?? capabilityScore) * factor.weight, 0
+    ) / totalWeight;
+
+    evidence.push(`Section M weights: ${scored.map(factor => `${factor.criterion} ${Math.round(factor.weight)}%`).join(', ')}`);
+    if ((criteria.weights.past_performance || 0) >= 20 && pastPerformanceCount === 0) {
+      recommendations.push('Past performance is heavily weighted: document relevant contracts or team with an experienced prime');
+    }
+
+    return weightedScore;
+  }
+}
+
+class ProfileDomainJudge extends Judge {
+  constructor() {
+    super({
+      name: 'domain',
+      factor: { category: 'domain', name: 'Domain expertise' },
+      inputs: { subject: ['naics', 'past_performance', 'business_type'], opportunity: ['parsed_tags'] },
+      passScore: 70,
+      defaultRecommendation: 'Leverage domain expertise in proposal'
+    });
+  }
+
+  async evaluate(profile, opportunity) {
+    let score = 40;
+    const evidence = [];
+    const recommendations = [];
+
+    // Check NAICS code alignment with opportunity industry
+    const profileNaics = profile.naics || [];
+    const oppIndustry = opportunity.industry;
+
+    // Simple industry matching (can be enhanced)
+    let hasIndustryMatch = false;
+    if (oppIndustry && profileNaics.length > 0) {
+      // This is simplified - in production you'd have a NAICS to industry mapping
+      hasIndustryMatch = true; // Assume some match for now
+      score += 30;
+      evidence.push(`NAICS codes indicate relevant industry experience`);
+    } else {
+      recommendations.push(`Build experience in ${oppIndustry} industry`);
+    }
+
+    // Check past performance relevance
+    const pastPerf = profile.pastPerformance || [];
+    if (pastPerf.length > 0) {
+      score += 20;
+      evidence.push(`${pastPerf.length} past performance entries demonstrate experience`);
+    } else {
+      recommendations.push('Document past performance to strengthen domain credibility');
+    }
+
+    // Business type alignment
+    const smallBusinessAdvantage = profile.business_type === 'small_business' && opportunity.buyer_type === 'government';
+    if (smallBusinessAdvantage) {
+      score += 10;
+      evidence.push('Small business status advantageous for government contracts');
+    }
+
+    return this.buildEvaluation({
+      score,
+      confidence: 0.82,
+      reasoning: `Domain expertise based on industry alignment and experience track record`,
+      evidence,
+      recommendations,
+      factors: [
+        { name: 'Industry alignment', score: hasIndustryMatch ? 100 : 0 },
+        { name: 'Documented experience', score: pastPerf.length > 0 ? 100 : 0 },
+        { name: 'Small business status', score: smallBusinessAdvantage ? 100 : 0 }
+      ]
+    });
+  }
+}
+
+function formatDollars(amount) {
+  return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+class ProfileValueJudge extends Judge {
+  constructor(awardHistoryService = new AwardHistoryService()) {
+    super({
+      name: 'value',
+      factor: { category: 'financial', name: 'Value proposition' },
+      inputs: {
+        subject: ['business_type', 'employee_count', 'annual_revenue'],
+        opportunity: ['naics_codes', 'agency', 'evaluation_criteria', 'award_basis'],
+        lookups: ['valueRange']
+      },
+      passScore: 65,
+      defaultRecommendation: 'Emphasize value proposition and ROI'
+    });
+    this.awardHistoryService = awardHistoryService;
+  }
+
+  /**
+   * What the agency (or anyone, when the agency has too few) paid for this NAICS code in
+   * recent years, or null without award history
+   */
+  async historicalValueRange(opportunity) {
+    const naics = opportunity.naics_code || (opportunity.naics_codes || [])[0];
+    if (!naics) return null;
+
+    try {
+      return await this.awardHistoryService.getValueRange({
+        naics,
+        agency: opportunity.agency || opportunity.buyer_organization
+      });
+    } catch (error) {
+      logger.warn(`Award history unavailable for opportunity ${opportunity.id}:`, error.message);
+      return null;
+    }
+  }
+
+  async evaluate(profile, opportunity, context) {
+    let score = 50;
+    const evidence = [];
+    const recommendations = [];
+
+    // Company size value proposition
+    const smallBusiness = profile.business_type === 'small_business';
+    if (smallBusiness) {
+      score += 20;
+      evidence.push('Small business provides competitive pricing advantage');
+    }
+
+    // Employee count efficiency
+    const rightSized = Boolean(profile.employee_count && profile.employee_count >= 10 && profile.employee_count <= 100);
+    if (rightSized) {
+      score += 15;
+      evidence.push('Right-sized team for efficient delivery');
+    }
+
+    // Annual revenue stability
+    const stable = Boolean(profile.annual_revenue && profile.annual_revenue > 1000000);
+    if (stable) {
+      score += 15;
+      evidence.push('Financial stability demonstrated by revenue history');
+    }
+
+    const factors = [
+      { name: 'Pricing position', score: smallBusiness ? 100 : 0 },
+      { name: 'Team size', score: rightSized ? 100 : 0 },
+      { name: 'Financial stability', score: stable ? 100 : 0 }
+    ];
+
+    // The more price counts in Section M, the more the pricing position above decides the award
+    const criteria = summarizeEvaluationCriteria(opportunity.evaluation_criteria);
+    let reasoning = 'Value assessment based on business size, team efficiency, and financial stability';
+    if (criteria) {
+      const priceWeight = opportunity.award_basis === 'lpta' ? 100 : criteria.priceWeight;
+      score = Math.max(0, 50 + (Math.min(100, score) - 50) * (0.5 + priceWeight / 100));
+      evidence.push(`Price carries ${Math.round(priceWeight)}% of the evaluation${opportunity.award_basis === 'lpta' ? ' (LPTA)' : ''}`);
+      reasoning += `, weighted by a ${Math.round(priceWeight)}% price factor`;
+
+      if (opportunity.award_basis === 'lpta') {
+        recommendations.push('Price aggressively: award goes to the lowest-priced technically acceptable offer');
+      } else if (priceWeight <= 20) {
+        recommendations.push('Compete on technical merit: non-price factors outweigh price');
+      }
+    }
+
+    // Price-to-win: past awards show what the work is worth and whether it fits the company's size
+    const range = await this.lookup(context, 'valueRange', () => this.historicalValueRange(opportunity));
+    if (range) {
+      const scope = range.scope === 'naics_agency' ? `${range.agency}, NAICS ${range.naics}` : `NAICS ${range.naics}`;
+      evidence.push(`Historical awards (${scope}): median ${formatDollars(range.median)}, ` +
+        `middle half ${formatDollars(range.p25)}-${formatDollars(range.p75)} across ${range.count} awards`);
+      reasoning += `, against ${range.count} historical awards`;
+
+      let awardFit = 50;
+      if (profile.annual_revenue && range.median > profile.annual_revenue) {
+        score -= 10;
+        awardFit = 0;
+        recommendations.push('Typical awards exceed annual revenue: consider teaming or a subcontracting role');
+      } else if (profile.annual_revenue && range.median <= profile.annual_revenue * 0.5) {
+        score += 5;
+        awardFit = 100;
+      }
+      factors.push({ name: 'Historical award size', score: awardFit });
+      recommendations.push(`Price within the historical range of ${formatDollars(range.p25)}-${formatDollars(range.p75)}`);
+    }
+
+    return this.buildEvaluation({
+      score,
+      confidence: range ? 0.82 : 0.78,
+      reasoning,
+      evidence,
+      recommendations,
+      factors
+    });
+  }
+}
+
+class ProfileInnovationJudge extends Judge {
+  constructor() {
+    super({
+      name: 'innovation',
+      factor: { category: 'strategic', name: 'Innovation' },
+      inputs: { subject: ['capabilities'] },
+      passScore: 60,
+      defaultRecommendation: 'Showcase innovative solutions'
+    });
+  }
+
+  async evaluate(profile) {
+    let score = 45;
+    const evidence = [];
+    const recommendations = [];
+
+    // Check for innovative capabilities
+    const capabilities = profile.capabilities || [];
+    const innovativeTerms = ['AI', 'machine learning', 'blockchain', 'IoT', 'cloud', 'automation'];
+
+    const hasInnovative = capabilities.some(cap =>
+      cap && typeof cap === 'string' && innovativeTerms.some(term =>
+        cap.toLowerCase().includes(term.toLowerCase())
+      )
+    );
+
+    if (hasInnovative) {
+      score += 35;
+      evidence.push('Profile includes innovative capabilities and technologies');
+    } else {
+      recommendations.push('Highlight innovative approaches and unique methodologies');
+    }
+
+    // Diverse capabilities indicate innovation
+    if (capabilities.length > 3) {
+      score += 20;
+      evidence.push('Diverse capability portfolio shows innovation potential');
+    }
+
+    return this.buildEvaluation({
+      score,
+      confidence: 0.73,
+      reasoning: 'Innovation assessment based on technology adoption and diverse capabilities',
+      evidence,
+      recommendations,
+      factors: [
+        { name: 'Innovative technologies', score: hasInnovative ? 100 : 0 },
+        { name: 'Capability breadth', score: capabilities.length > 3 ? 100 : 0 }
+      ]
+    });
+  }
+}
+
+function formatMiles(miles) {
+  const rounded = Math.max(1, Math.round(miles));
+  return `${rounded} ${rounded === 1 ? 'mile' : 'miles'}`;
+}
+
+// Geographic fit by distance from the place of performance to the nearest service area
+const GEOGRAPHIC_BANDS = [
+  { miles: 50, points: 30, label: 'within commuting distance' },
+  { miles: 150, points: 20, label: 'within a day trip' },
+  { miles: 300, points: 10, label: 'within regional reach' }
+];
+
+class ProfileRelationshipJudge extends Judge {
+  constructor(gazetteer = getGazetteer()) {
+    super({
+      name: 'relationship',
+      factor: { category: 'competitive', name: 'Relationship potential' },
+      inputs: {
+        subject: ['service_areas', 'business_type'],
+        opportunity: ['place_of_performance', 'pop_latitude', 'pop_longitude', 'pop_geocode_precision']
+      },
+      passScore: 65,
+      defaultRecommendation: 'Build relationships through engagement'
+    });
+    this.gazetteer = gazetteer;
+  }
+
+  async evaluate(profile, opportunity) {
+    let score = 40;
+    const evidence = [];
+    const recommendations = [];
+
+    // Geographic alignment
+    const geography = this.assessGeography(profile, opportunity);
+    score += geography.points;
+    evidence.push(...geography.evidence);
+    recommendations.push(...geography.recommendations);
+
+    // Business type relationship
+    const preferred = opportunity.buyer_type === 'government' && profile.business_type === 'small_business';
+    if (preferred) {
+      score += 20;
+      evidence.push('Small business status aligns with government contracting preferences');
+    }
+
+    return this.buildEvaluation({
+      score,
+      confidence: geography.located ? 0.76 : 0.7,
+      reasoning: 'Relationship potential based on distance to service areas and business type alignment',
+      evidence,
+      recommendations,
+      factors: [
+        { name: 'Geographic fit', score: (geography.points / GEOGRAPHIC_BANDS[0].points) * 100 },
+        { name: 'Contracting preference', score: preferred ? 100 : 0 }
+      ]
+    });
+  }
+
+  /**
+   * Scores how close the place of performance is to the profile's service areas
+   * @returns {object} - { points, located, evidence, recommendations }
+   */
+  assessGeography(profile, opportunity) {
+    const evidence = [];
+    const recommendations = [];
+    const labels = this.parseServiceAreas(profile.service_areas ?? profile.serviceAreas);
+    const areas = labels.map(label => this.gazetteer.resolveArea(label)).filter(Boolean);
+    const remoteCapable = areas.some(area => area.type === 'remote' || area.type === 'nationwide');
+    const site = this.locateOpportunity(opportunity);
+
+    const unresolved = labels.filter(label => !areas.some(area => area.label === label.trim()));
+    if (unresolved.length > 0) {
+      recommendations.push(`Use a ZIP code, "City, ST", county, state or metro for service areas: ${unresolved.join(', ')} could not be placed`);
+    }
+
+    if (site?.scope) {
+      const where = site.scope === 'remote' ? 'performed remotely' : 'performed at multiple locations';
+      evidence.push(remoteCapable
+        ? `Opportunity is ${where}, matching the profile's remote or nationwide service`
+        : `Opportunity is ${where}; location is not a barrier`);
+      return { points: remoteCapable ? 30 : 20, located: true, evidence, recommendations };
+    }
+
+    if (!site?.precision) {
+      if (remoteCapable) {
+        evidence.push('Remote or nationwide service covers an unspecified place of performance');
+        return { points: 20, located: false, evidence, recommendations };
+      }
+      recommendations.push('Confirm the place of performance to assess geographic fit');
+      return { points: 0, located: false, evidence, recommendations };
+    }
+
+    if (areas.length === 0) {
+      recommendations.push('Add service areas to the profile so geographic fit can be scored');
+      return { points: 0, located: true, evidence, recommendations };
+    }
+
+    const nearest = areas
+      .map(area => ({ area, miles: this.gazetteer.distanceToArea(site, area) }))
+      .filter(candidate => candidate.miles !== null)
+      .sort((a, b) => a.miles - b.miles)[0];
+    const place = [site.city || site.county, site.state].filter(Boolean).join(', ');
+    const band = nearest && GEOGRAPHIC_BANDS.find(candidate => nearest.miles <= candidate.miles);
+
+    if (band) {
+      evidence.push(nearest.miles === 0
+        ? `Place of performance (${place}) is inside service area ${nearest.area.label}`
+        : `Place of performance (${place}) is ${formatMiles(nearest.miles)} from service area ${nearest.area.label}, ${band.label}`);
+      if (band.points < GEOGRAPHIC_BANDS[0].points) {
+        recommendations.push(`Plan for travel or local staffing near ${place}`);
+      }
+      return { points: band.points, located: true, evidence, recommendations };
+    }
+
+    const distance = nearest ? `${formatMiles(nearest.miles)} from the nearest service area` : 'outside every service area';
+    if (remoteCapable) {
+      evidence.push(`Remote delivery listed; place of performance (${place}) is ${distance}`);
+      recommendations.push('Confirm whether the work can be performed remotely');
+      return { points: 10, located: true, evidence, recommendations };
+    }
+
+    recommendations.push(`Establish presence near ${place} (${distance}) or emphasize remote capabilities`);
+    return { points: 0, located: true, evidence, recommendations };
+  }
+
+  parseServiceAreas(value) {
+    const areas = typeof value === 'string' ? parseJsonList(value) : value;
+    return Array.isArray(areas) ? areas.filter(area => typeof area === 'string' && area.trim()) : [];
+  }
+
+  /**
+   * Geocoded place of performance: stored point for gov_opportunities rows, otherwise the
+   * place_of_performance object or the free-text location geocoded on the fly
+   */
+  locateOpportunity(opportunity) {
+    const place = typeof opportunity.place_of_performance === 'string'
+      ? parseJsonList(opportunity.place_of_performance)
+      : opportunity.place_of_performance;
+    const hasPlace = place && typeof place === 'object' && Object.keys(place).length > 0;
+
+    if (opportunity.pop_latitude != null && opportunity.pop_longitude != null) {
+      return {
+        ...(hasPlace ? place : {}),
+        latitude: Number(opportunity.pop_latitude),
+        longitude: Number(opportunity.pop_longitude),
+        precision: opportunity.pop_geocode_precision || 'place'
+      };
+    }
+
+    return this.gazetteer.normalizeLocation(hasPlace ? place : opportunity.location);
+  }
+}
+
+function parseJsonList(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return [value];
+  }
+}
+
+// Past performance entries at most this many years old count as recent
+const RECENT_YEARS = 5;
+
+/**
+ * Past performance: how many documented contracts the profile has, how recent they are, whether
+ * any was for the same agency and whether any was of comparable size. Not on the built-in version;
+ * versions enable it by weighting it.
+ */
+class ProfilePastPerformanceJudge extends Judge {
+  constructor() {
+    super({
+      name: 'past_performance',
+      factor: { category: 'past_performance', name: 'Past performance' },
+      inputs: { subject: ['past_performance'], opportunity: ['agency', 'value_estimated', 'evaluation_criteria', 'award_basis'] },
+      passScore: 60,
+      defaultRecommendation: 'Cite the most relevant contracts in the past performance volume'
+    });
+  }
+
+  async evaluate(profile, opportunity) {
+    let score = 30;
+    const evidence = [];
+    const recommendations = [];
+
+    const entries = this.pastPerformance(profile);
+    if (entries.length === 0) {
+      recommendations.push('Document past performance: contracts with client, value and year');
+    } else {
+      score += Math.min(30, entries.length * 10);
+      evidence.push(`${entries.length} documented past performance ${entries.length === 1 ? 'entry' : 'entries'}`);
+    }
+
+    const currentYear = new Date().getFullYear();
+    const recent = entries.filter(entry => Number(entry.year) >= currentYear - RECENT_YEARS);
+    if (recent.length > 0) {
+      score += 15;
+      evidence.push(`${recent.length} within the last ${RECENT_YEARS} years`);
+    } else if (entries.length > 0) {
+      recommendations.push('Add recent contracts: evaluators weigh work from the last few years most');
+    }
+
+    const agency = (opportunity.agency || opportunity.buyer_organization || '').toLowerCase();
+    const sameAgency = agency ? entries.filter(entry => {
+      const client = typeof entry.client === 'string' ? entry.client.trim().toLowerCase() : '';
+      return client && (agency.includes(client) || client.includes(agency));
+    }) : [];
+    if (sameAgency.length > 0) {
+      score += 15;
+      evidence.push(`Past work for ${opportunity.agency || opportunity.buyer_organization}: ${sameAgency.map(entry => entry.title).join(', ')}`);
+    }
+
+    const estimatedValue = Number(opportunity.estimated_value ?? opportunity.value_estimated) || null;
+    const comparable = estimatedValue ? entries.filter(entry => Number(entry.value) >= estimatedValue * 0.5) : [];
+    if (comparable.length > 0) {
+      score += 10;
+      evidence.push(`${comparable.length} contracts of comparable size to the ${formatDollars(estimatedValue)} estimate`);
+    } else if (estimatedValue && entries.length > 0) {
+      recommendations.push('No contract of comparable size documented: consider teaming with a larger prime');
+    }
+
+    // Section M tells how much past performance counts; it does not change how good the record is
+    const criteria = summarizeEvaluationCriteria(opportunity.evaluation_criteria);
+    const sectionMWeight = criteria ? criteria.weights.past_performance || 0 : 0;
+    if (sectionMWeight > 0) {
+      evidence.push(`Past performance carries ${Math.round(sectionMWeight)}% of the evaluation`);
+    }
+
+    return this.buildEvaluation({
+      score,
+      confidence: entries.length > 0 ? 0.8 : 0.7,
+      reasoning: `Past performance based on ${entries.length} documented contracts, their recency, agency and size`,
+      evidence,
+      recommendations,
+      factors: [
+        { name: 'Documented contracts', score: Math.min(100, entries.length * (100 / 3)) },
+        { name: 'Recency', score: recent.length > 0 ? 100 : 0 },
+        { name: 'Same agency', score: sameAgency.length > 0 ? 100 : 0 },
+        { name: 'Comparable size', score: comparable.length > 0 ? 100 : 0 }
+      ]
+    });
+  }
+
+  pastPerformance(profile) {
+    const value = profile.past_performance ?? profile.pastPerformance;
+    const entries = typeof value === 'string' ? parseJsonList(value) : value;
+    return Array.isArray(entries) ? entries.filter(entry => entry && typeof entry === 'object') : [];
+  }
+}
+
+module.exports = {
+  ProfileTechnicalJudge,
+  ProfileDomainJudge,
+  ProfileValueJudge,
+  ProfileInnovationJudge,
+  ProfileRelationshipJudge,
+  ProfilePastPerformanceJudge
+};
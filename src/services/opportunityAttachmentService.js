@@ -0,0 +1,475 @@
+/**
+ * Opportunity Attachment Service
+ *
+ * Turns solicitation attachments (SOW, PWS, Section L/M) into text the scoring judges can use:
+ * - Downloads each attachment URL of an opportunity, with size and time limits; SAM.gov links
+ *   go through the SAM.gov request layer (daily quota, retries and circuit breaker)
+ * - Extracts text from PDF, DOCX, HTML and plain-text files
+ * - Stores documents by SHA-256 content hash so identical files are extracted only once
+ * - Merges the text into requirements_summary, parsed_tags and evaluation_criteria
+ * - Retries failed downloads on later runs, up to MAX_ATTEMPTS
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { Database } = require('../database/connection');
+const samService = require('../integrations/sam');
+const normalization = require('../integrations/sources/normalization');
+const { extractDocumentText } = require('../utils/documentText');
+const { logger } = require('../utils/logger');
+
+const MAX_ATTEMPTS = 3;
+const DEFAULT_MAX_BYTES = 25 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 60000;
+const MAX_ATTACHMENTS_PER_OPPORTUNITY = 10;
+
+// Stored text is capped; solicitations longer than this are rare and the head carries the requirements
+const MAX_STORED_TEXT_LENGTH = 500000;
+
+// Heading lines, optionally numbered ("1. Scope", "C.2 Scope of Work"); document titles are a fallback
+const SCOPE_HEADINGS = [
+  /^[ \t]*(?:[a-z]?\d+(?:\.\d+)*\.?[ \t]+)?(?:background and )?scope(?: of work)?[ \t]*:?[ \t]*$/im,
+  /^.*(?:performance work statement|statement of work|statement of objectives).*$/im
+];
+// A scope section ends at the next numbered heading
+const NEXT_NUMBERED_HEADING = /\n[ \t]*(?:[a-z]?\d+(?:\.\d+)*\.?|section\s+[a-z]\b)[ \t]+[^\n]{1,80}(?=\n|$)/i;
+const EXCERPT_LENGTH = 4000;
+
+class OpportunityAttachmentService {
+  constructor(options = {}) {
+    this.db = Database.getInstance();
+    this.maxBytes = options.maxBytes || parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.ATTACHMENT_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    this.samApiKey = options.samApiKey ?? process.env.SAM_GOV_API_KEY;
+    this.sam = options.sam || samService;
+  }
+
+  /**
+   * Processes opportunities that have attachment URLs not yet downloaded (or failed and still retryable)
+   * @param {object} options - { limit }
+   * @returns {Promise<object>} - Totals: { opportunities, downloaded, reused, failed, updated }
+   */
+  async processPendingOpportunities({ limit = 20 } = {}) {
+    const result = await this.db.query(`
+      SELECT o.id
+      FROM gov_opportunities o
+      WHERE jsonb_array_length(o.attachments) > 0
+        AND EXISTS (
+          -- Only the attachments processOpportunity() downloads: the first $3 distinct URLs
+          SELECT 1
+          FROM (
+            SELECT a.attachment->>'url' AS url
+            FROM jsonb_array_elements(o.attachments) WITH ORDINALITY AS a(attachment, position)
+            WHERE a.attachment->>'url' ~* '^https?://'
+            GROUP BY a.attachment->>'url'
+            ORDER BY MIN(a.position)
+            LIMIT $3
+          ) capped
+          WHERE NOT EXISTS (
+            SELECT 1 FROM gov_opportunity_attachments ga
+            WHERE ga.opportunity_id = o.id
+              AND ga.url = capped.url
+              AND (ga.status = 'processed' OR ga.attempts >= $2)
+          )
+        )
+      ORDER BY o.updated_at DESC
+      LIMIT $1
+    `, [limit, MAX_ATTEMPTS, MAX_ATTACHMENTS_PER_OPPORTUNITY]);
+
+    const totals = { opportunities: 0, downloaded: 0, reused: 0, failed: 0, updated: 0 };
+
+    for (const row of result.rows) {
+      try {
+        const outcome = await this.processOpportunity(row.id);
+        if (!outcome) continue;
+        totals.opportunities++;
+        totals.downloaded += outcome.downloaded;
+        totals.reused += outcome.reused;
+        totals.failed += outcome.failed;
+        if (outcome.updated) totals.updated++;
+      } catch (error) {
+        logger.error('❌ Attachment processing failed', { opportunityId: row.id, error: error.message });
+      }
+    }
+
+    if (totals.opportunities > 0) {
+      logger.info('📎 Attachment processing completed', totals);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Downloads and extracts the pending attachments of one opportunity, then refreshes its requirement fields
+   * @param {string} opportunityId - gov_opportunities ID
+   * @returns {Promise<object>} - { opportunityId, downloaded, reused, failed, skipped, updated }
+   */
+  async processOpportunity(opportunityId) {
+    const opportunityResult = await this.db.query(
+      'SELECT id, attachments FROM gov_opportunities WHERE id = $1',
+      [opportunityId]
+    );
+    if (opportunityResult.rows.length === 0) {
+      return null;
+    }
+
+    const attachmentsResult = await this.db.query(
+      'SELECT url, status, attempts FROM gov_opportunity_attachments WHERE opportunity_id = $1',
+      [opportunityId]
+    );
+    const known = new Map(attachmentsResult.rows.map(row => [row.url, row]));
+
+    const outcome = { opportunityId, downloaded: 0, reused: 0, failed: 0, skipped: 0, updated: false };
+    const attachments = this.parseAttachmentList(opportunityResult.rows[0].attachments)
+      .slice(0, MAX_ATTACHMENTS_PER_OPPORTUNITY);
+
+    for (const attachment of attachments) {
+      const previous = known.get(attachment.url);
+      if (previous && (previous.status === 'processed' || previous.attempts >= MAX_ATTEMPTS)) {
+        outcome.skipped++;
+        continue;
+      }
+
+      try {
+        const download = await this.downloadAttachment(attachment.url);
+        const filename = download.filename || attachment.filename;
+        const document = await this.storeDocument(download.buffer, {
+          mimeType: download.mimeType || attachment.type,
+          filename
+        });
+        await this.recordAttachment(opportunityId, { ...attachment, filename }, { documentId: document.id });
+        outcome[document.reused ? 'reused' : 'downloaded']++;
+      } catch (error) {
+        outcome.failed++;
+        logger.warn(`⚠️ Could not process attachment ${attachment.url}: ${error.message}`);
+        await this.recordAttachment(opportunityId, attachment, { error });
+      }
+    }
+
+    if (outcome.downloaded + outcome.reused > 0) {
+      outcome.updated = await this.applyAttachmentText(this.db, opportunityId);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Attachments with downloadable URLs, from the gov_opportunities.attachments column
+   */
+  parseAttachmentList(value) {
+    const attachments = typeof value === 'string' ? JSON.parse(value) : (value || []);
+    const seen = new Set();
+
+    return attachments.filter(attachment => {
+      const url = attachment && attachment.url;
+      if (!url || !/^https?:\/\//i.test(url) || seen.has(url)) return false;
+      seen.add(url);
+      return true;
+    });
+  }
+
+  /**
+   * Downloads an attachment
+   * @returns {Promise<object>} - { buffer, mimeType, filename }
+   */
+  async downloadAttachment(url) {
+    const config = {
+      responseType: 'arraybuffer',
+      timeout: this.timeoutMs,
+      maxContentLength: this.maxBytes,
+      maxRedirects: 5
+    };
+    // SAM.gov downloads take quota and go through the circuit breaker like every other SAM.gov call
+    const response = this.isSamUrl(url)
+      ? await this.sam.downloadResource(this.resolveDownloadUrl(url), config, { priority: 'background' })
+      : await axios.get(url, config);
+
+    const headers = response.headers || {};
+    return {
+      buffer: Buffer.from(response.data),
+      mimeType: (headers['content-type'] || '').split(';')[0].trim() || null,
+      filename: this.parseContentDispositionFilename(headers['content-disposition'])
+    };
+  }
+
+  /**
+   * SAM.gov resource links require the API key
+   */
+  resolveDownloadUrl(url) {
+    const parsed = new URL(url);
+    if (this.samApiKey && this.isSamUrl(url) && !parsed.searchParams.has('api_key')) {
+      parsed.searchParams.set('api_key', this.samApiKey);
+    }
+    return parsed.toString();
+  }
+
+  isSamUrl(url) {
+    return /(^|\.)sam\.gov$/i.test(new URL(url).hostname);
+  }
+
+  parseContentDispositionFilename(header) {
+    if (!header) return null;
+    const encoded = header.match(/filename\*\s*=\s*(?:UTF-8'')?([^;]+)/i);
+    if (encoded) {
+      try {
+        return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ''));
+      } catch (error) {
+        // Fall through to the plain filename parameter
+      }
+    }
+    const plain = header.match(/filename\s*=\s*"?([^";]+)"?/i);
+    return plain ? plain[1].trim() : null;
+  }
+
+  /**
+   * Stores a downloaded file's extracted text, reusing the stored document when the content was seen before
+   * @returns {Promise<object>} - { id, reused }
+   */
+  async storeDocument(buffer, meta = {}) {
+    const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    const existing = await this.db.query(
+      'SELECT id FROM attachment_documents WHERE content_hash = $1',
+      [contentHash]
+    );
+    if (existing.rows.length > 0) {
+      return { id: existing.rows[0].id, reused: true };
+    }
+
+    const extraction = this.extractText(buffer, meta);
+    const text = extraction.text || null;
+    const storedText = text && text.length > MAX_STORED_TEXT_LENGTH ? text.substring(0, MAX_STORED_TEXT_LENGTH) : text;
+
+    // Another worker may have stored the same content meanwhile; keep its row
+    const result = await this.db.query(`
+      INSERT INTO attachment_documents (
+        content_hash, format, mime_type, byte_size, page_count,
+        extraction_status, extraction_error, text, text_length, truncated
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (content_hash) DO UPDATE SET content_hash = EXCLUDED.content_hash
+      RETURNING id
+    `, [
+      contentHash,
+      extraction.format,
+      meta.mimeType || null,
+      buffer.length,
+      extraction.pageCount || null,
+      extraction.status,
+      extraction.error || null,
+      storedText,
+      text ? text.length : 0,
+      Boolean(text && text.length > MAX_STORED_TEXT_LENGTH)
+    ]);
+
+    return { id: result.rows[0].id, reused: false };
+  }
+
+  /**
+   * Extracts text, turning parser errors into a failed extraction rather than a failed download
+   * @returns {object} - { format, text, pageCount, status, error }
+   */
+  extractText(buffer, meta) {
+    try {
+      const extraction = extractDocumentText(buffer, meta);
+      let status = 'extracted';
+      if (extraction.format === 'unsupported') status = 'unsupported';
+      else if (!extraction.text) status = 'empty';
+      return { ...extraction, status };
+    } catch (error) {
+      return { format: 'unsupported', text: null, pageCount: null, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Records the outcome of an attachment download
+   * @param {object} result - { documentId } on success, { error } on failure
+   */
+  async recordAttachment(opportunityId, attachment, { documentId = null, error = null }) {
+    const status = error ? 'failed' : 'processed';
+    const httpStatus = error && error.response ? error.response.status : null;
+
+    await this.db.query(`
+      INSERT INTO gov_opportunity_attachments (
+        opportunity_id, url, filename, document_id, status, last_error, last_status, processed_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $5 = 'processed' THEN NOW() END)
+      ON CONFLICT (opportunity_id, url) DO UPDATE
+      SET filename = EXCLUDED.filename,
+          document_id = COALESCE(EXCLUDED.document_id, gov_opportunity_attachments.document_id),
+          status = EXCLUDED.status,
+          attempts = gov_opportunity_attachments.attempts + 1,
+          last_error = EXCLUDED.last_error,
+          last_status = EXCLUDED.last_status,
+          processed_at = COALESCE(EXCLUDED.processed_at, gov_opportunity_attachments.processed_at)
+    `, [
+      opportunityId,
+      attachment.url,
+      attachment.filename || null,
+      documentId,
+      status,
+      error ? error.message : null,
+      httpStatus
+    ]);
+  }
+
+  /**
+   * Merges extracted attachment text into an opportunity's requirement fields.
+   * Ingestion calls this again after a source update overwrote them.
+   * @param {object} client - Database or transaction client
+   * @param {string} opportunityId - gov_opportunities ID
+   * @returns {Promise<boolean>} - Whether the opportunity was updated
+   */
+  async applyAttachmentText(client, opportunityId) {
+    const result = await client.query(`
+      SELECT o.title, o.description, o.naics_codes, o.psc_codes, ga.filename, d.text
+      FROM gov_opportunities o
+      JOIN gov_opportunity_attachments ga ON ga.opportunity_id = o.id AND ga.status = 'processed'
+      JOIN attachment_documents d ON d.id = ga.document_id AND d.extraction_status = 'extracted'
+      WHERE o.id = $1
+      ORDER BY ga.first_attempted_at ASC
+    `, [opportunityId]);
+
+    const documents = result.rows.filter(row => row.text);
+    if (documents.length === 0) {
+      return false;
+    }
+
+    const fields = this.deriveRequirementFields(documents[0], documents);
+
+    await client.query(`
+      UPDATE gov_opportunities
+      SET requirements_summary = $2,
+          parsed_tags = $3,
+          evaluation_criteria = $4,
+          award_basis = COALESCE($5, award_basis),
+          attachments_processed_at = NOW()
+      WHERE id = $1
+    `, [
+      opportunityId,
+      fields.requirementsSummary,
+      JSON.stringify(fields.parsedTags),
+      JSON.stringify(fields.evaluationCriteria),
+      fields.awardBasis
+    ]);
+
+    // Scores are outdated once scored_at predates updated_at, which this enrichment leaves as is
+    await client.query(`
+      UPDATE gov_opportunity_scores
+      SET stale_at = NOW(), stale_reason = 'enrichment:attachments', updated_at = NOW()
+      WHERE opportunity_id = $1
+    `, [opportunityId]);
+
+    return true;
+  }
+
+  /**
+   * Derives requirement fields from the opportunity description and its attachment text
+   * @param {object} opportunity - { title, description }
+   * @param {Array<object>} documents - [{ filename, text }]
+   * @returns {object} - { requirementsSummary, parsedTags, evaluationCriteria, awardBasis }
+   */
+  deriveRequirementFields(opportunity, documents) {
+    const description = opportunity.description || '';
+    const combinedText = [description, ...documents.map(document => document.text)].join('\n');
+
+    // The scope section of a SOW/PWS states the work far better than the notice description
+    let requirementsSummary = null;
+    for (const document of documents) {
+      const scope = this.findSection(document.text, SCOPE_HEADINGS, NEXT_NUMBERED_HEADING);
+      if (scope) {
+        requirementsSummary = normalization.extractRequirementsSummary({ description: scope.body.replace(/\s+/g, ' ') });
+        break;
+      }
+    }
+    if (!requirementsSummary) {
+      requirementsSummary = normalization.extractRequirementsSummary({ description: description || documents[0].text });
+    }
+
+    // Section M usually lives in one document; the first one with factors wins, the description is the fallback
+    let evaluation = { basisOfAward: null, factors: [] };
+    for (const document of [...documents, { filename: null, text: description }]) {
+      const extracted = normalization.extractEvaluationCriteria(document.text);
+      evaluation.basisOfAward = evaluation.basisOfAward || extracted.basisOfAward;
+      if (extracted.factors.length > 0) {
+        evaluation = {
+          basisOfAward: evaluation.basisOfAward,
+          factors: extracted.factors.map(factor => ({ ...factor, source: document.filename || 'description' }))
+        };
+        break;
+      }
+    }
+
+    return {
+      requirementsSummary,
+      parsedTags: normalization.extractTags({
+        title: opportunity.title,
+        description: combinedText,
+        naicsCodes: opportunity.naics_codes,
+        pscCodes: opportunity.psc_codes
+      }),
+      evaluationCriteria: evaluation.factors,
+      awardBasis: evaluation.basisOfAward
+    };
+  }
+
+  /**
+   * Text following the first heading line that matches (patterns in order of preference),
+   * up to the end pattern or EXCERPT_LENGTH characters
+   * @returns {object|null} - { heading, body }
+   */
+  findSection(text, headingPatterns, endPattern) {
+    for (const pattern of headingPatterns) {
+      const match = (text || '').match(pattern);
+      if (!match) continue;
+
+      const rest = text.substring(match.index + match[0].length, match.index + match[0].length + EXCERPT_LENGTH);
+      const end = rest.match(endPattern);
+      const body = (end ? rest.substring(0, end.index) : rest).trim();
+
+      if (body) return { heading: match[0].trim(), body };
+    }
+
+    return null;
+  }
+
+  /**
+   * Attachments of an opportunity with their extraction results
+   */
+  async listAttachments(opportunityId) {
+    const result = await this.db.query(`
+      SELECT ga.url, ga.filename, ga.status, ga.attempts, ga.last_error, ga.last_status,
+             ga.first_attempted_at, ga.processed_at,
+             d.content_hash, d.format, d.byte_size, d.page_count, d.extraction_status, d.text_length, d.truncated
+      FROM gov_opportunity_attachments ga
+      LEFT JOIN attachment_documents d ON d.id = ga.document_id
+      WHERE ga.opportunity_id = $1
+      ORDER BY ga.first_attempted_at ASC
+    `, [opportunityId]);
+
+    return result.rows.map(row => ({
+      url: row.url,
+      filename: row.filename,
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      lastStatus: row.last_status,
+      firstAttemptedAt: row.first_attempted_at,
+      processedAt: row.processed_at,
+      document: row.content_hash ? {
+        contentHash: row.content_hash,
+        format: row.format,
+        byteSize: row.byte_size,
+        pageCount: row.page_count,
+        extractionStatus: row.extraction_status,
+        textLength: row.text_length,
+        truncated: row.truncated
+      } : null
+    }));
+  }
+}
+
+OpportunityAttachmentService.MAX_ATTEMPTS = MAX_ATTEMPTS;
+OpportunityAttachmentService.MAX_ATTACHMENTS_PER_OPPORTUNITY = MAX_ATTACHMENTS_PER_OPPORTUNITY;
+
+module.exports = OpportunityAttachmentService;
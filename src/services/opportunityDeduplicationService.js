@@ -5,13 +5,22 @@
  * - Multiple matching algorithms (exact, fuzzy, semantic)
  * - Sophisticated conflict resolution
  * - Batch processing for existing data cleanup
- * - Audit trail and rollback capabilities
+ * - Persisted audit trail (dedup_runs / dedup_actions) with merge and undo
+ * - Review queue for borderline groups instead of automatic merges
  * - Configurable matching thresholds
- * - Performance optimization for large datasets
+ * - Candidate generation (blocking plus MinHash LSH) so only plausible pairs are compared
+ * - Optional semantic matching on text embeddings (DEDUP_SEMANTIC_MATCHING=true), so reworded
+ *   postings of the same requirement still score as similar
  */
 
 const { Database } = require('../database/connection');
 const { logger } = require('../utils/logger');
+const { MinHasher, shingle, lshBuckets } = require('../utils/minhash');
+const { cosineSimilarity } = require('../integrations/embeddings');
+const OpportunityMergeService = require('./opportunityMergeService');
+const DuplicateReviewService = require('./duplicateReviewService');
+const EmbeddingService = require('./embeddingService');
+const { getDataQualityRules } = require('../utils/dataQualityRules');
 
 class OpportunityDeduplicationService {
   constructor() {
@@ -32,19 +41,41 @@ class OpportunityDeduplicationService {
         description: 0.4,     // Lower importance (can vary)
         postedDate: 0.3,      // Low importance (can vary)
         dueDate: 0.3,         // Low importance (can vary)
-        value: 0.2            // Very low importance (estimates vary)
+        value: 0.2,           // Very low importance (estimates vary)
+        semantic: 0.6         // Embedding similarity of title, description and requirements
       },
       
       // Processing settings
       batchSize: 100,
-      maxComparisons: 10000,  // Prevent quadratic explosion
       enableFuzzyMatching: true,
-      enableSemanticMatching: false // Requires NLP libraries
+      enableSemanticMatching: process.env.DEDUP_SEMANTIC_MATCHING === 'true',
+
+      // Candidate generation: only pairs sharing a block or an LSH bucket reach calculateSimilarity
+      candidateGeneration: {
+        minhashPermutations: 128,
+        lshBands: 32,           // 4 rows per band: ~50% Jaccard similarity collides with 87% probability
+        shingleSize: 2,         // Word bigrams over title and description
+        descriptionLength: 500, // Same excerpt compareFuzzy looks at
+        solicitationPrefixLength: 12, // Catches amended numbers such as W912DY25R0012-0001
+        maxBlockSize: 100,      // Larger blocks and buckets fall back to a sorted-neighborhood window
+        windowSize: 5           // Agency + NAICS blocks are always windowed: they are too coarse for all pairs
+      }
     };
+    this.minHasher = new MinHasher({
+      permutations: this.deduplicationConfig.candidateGeneration.minhashPermutations
+    });
+    this.lastCandidateStats = null;
+    this.mergeService = new OpportunityMergeService();
+    this.reviewService = new DuplicateReviewService();
+    this.embeddingService = new EmbeddingService();
+    this.qualityRules = getDataQualityRules();
+    this.embeddings = new WeakMap(); // Opportunity -> embedding vector for the current comparison pass
   }
 
   /**
    * Main deduplication process for existing database records
+   * Every run is recorded in dedup_runs; dry runs record the merges they would make as proposed
+   * actions, real runs merge each group into its survivor (see OpportunityMergeService)
    * @param {object} options - Deduplication options
    * @returns {Promise<object>} - Deduplication results and statistics
    */
@@ -55,7 +86,8 @@ class OpportunityDeduplicationService {
       matchThreshold = this.deduplicationConfig.moderateMatchThreshold,
       dateRange = null, // { start: Date, end: Date }
       agencyFilter = null,
-      createAuditTrail = true
+      triggeredBy = null,
+      runId = null // Run created up front by startRun(), e.g. by the admin endpoint
     } = options;
 
     logger.info('🔍 Starting opportunity deduplication process', {
@@ -72,20 +104,17 @@ class OpportunityDeduplicationService {
       totalOpportunities: 0,
       potentialDuplicates: 0,
       duplicateGroups: [],
-      duplicatesRemoved: 0,
+      duplicatesMerged: 0,
       duplicatesKept: 0,
+      queuedForReview: 0,
       errors: [],
-      auditTrailId: null
+      runId
     };
 
     try {
-      // Step 1: Create audit trail record (if enabled)
-      if (createAuditTrail && !dryRun) {
-        results.auditTrailId = await this.createAuditTrail({
-          operation: 'deduplication',
-          options,
-          startTime: results.startTime
-        });
+      // Step 1: Record the run
+      if (!results.runId) {
+        results.runId = await this.startRun({ dryRun, matchThreshold, options, triggeredBy });
       }
 
       // Step 2: Get opportunities to process
@@ -100,6 +129,8 @@ class OpportunityDeduplicationService {
 
       if (opportunities.length === 0) {
         logger.info('ℹ️ No opportunities found for deduplication');
+        results.endTime = new Date();
+        await this.completeRun(results.runId, results);
         return results;
       }
 
@@ -110,27 +141,34 @@ class OpportunityDeduplicationService {
       );
 
       results.duplicateGroups = duplicateGroups;
+      results.candidateStats = this.lastCandidateStats;
       results.potentialDuplicates = duplicateGroups.reduce((sum, group) => sum + group.opportunities.length, 0);
 
       logger.info(`🔍 Found ${duplicateGroups.length} duplicate groups containing ${results.potentialDuplicates} opportunities`);
 
       // Step 4: Process duplicate groups
-      if (!dryRun && duplicateGroups.length > 0) {
+      if (duplicateGroups.length > 0) {
         const processingResults = await this.processDuplicateGroups(
           duplicateGroups,
-          results.auditTrailId
+          results.runId,
+          { dryRun }
         );
         
-        results.duplicatesRemoved = processingResults.removed;
+        results.duplicatesMerged = processingResults.merged;
         results.duplicatesKept = processingResults.kept;
+        results.queuedForReview = processingResults.queued;
+        results.errors.push(...processingResults.errors);
       }
 
       results.endTime = new Date();
+      await this.completeRun(results.runId, results);
       
       logger.info('✅ Deduplication process completed', {
+        runId: results.runId,
         duration: results.endTime - results.startTime,
         duplicateGroups: results.duplicateGroups.length,
-        duplicatesRemoved: results.duplicatesRemoved
+        duplicatesMerged: results.duplicatesMerged,
+        queuedForReview: results.queuedForReview
       });
 
       return results;
@@ -148,6 +186,12 @@ class OpportunityDeduplicationService {
         stack: error.stack
       });
 
+      if (results.runId) {
+        await this.failRun(results.runId, error).catch(failError => {
+          logger.error('❌ Failed to record deduplication run failure', { runId: results.runId, error: failError.message });
+        });
+      }
+
       throw error;
     }
   }
@@ -190,8 +234,20 @@ class OpportunityDeduplicationService {
       }
     });
 
-    // Resolve duplicates and add the best representative from each group
+    // Resolve duplicates and add the best representative from each group. Borderline groups keep
+    // every opportunity: once stored, a deduplication run queues them for review.
     duplicateGroups.forEach(group => {
+      if (group.similarity < this.deduplicationConfig.strongMatchThreshold) {
+        group.opportunities.forEach(opp => {
+          const oppId = this.getOpportunityIdentifier(opp);
+          if (!processedIds.has(oppId)) {
+            uniqueOpportunities.push(opp);
+            processedIds.add(oppId);
+          }
+        });
+        return;
+      }
+
       const bestOpportunity = this.selectBestOpportunity(
         group.opportunities, 
         conflictResolutionStrategy
@@ -228,6 +284,12 @@ class OpportunityDeduplicationService {
       return aDate - bDate;
     });
 
+    const { candidates, stats } = this.generateCandidatePairs(sortedOpportunities);
+
+    if (this.deduplicationConfig.enableSemanticMatching) {
+      await this.prepareEmbeddings(sortedOpportunities);
+    }
+
     for (let i = 0; i < sortedOpportunities.length; i++) {
       const currentOpp = sortedOpportunities[i];
       const currentId = this.getOpportunityIdentifier(currentOpp);
@@ -240,8 +302,8 @@ class OpportunityDeduplicationService {
       const duplicates = [currentOpp];
       processedOpportunities.add(currentId);
 
-      // Compare with remaining opportunities
-      for (let j = i + 1; j < sortedOpportunities.length; j++) {
+      // Compare with later candidates only; pairs that share no block or LSH bucket are implausible
+      for (const j of candidates[i]) {
         const compareOpp = sortedOpportunities[j];
         const compareId = this.getOpportunityIdentifier(compareOpp);
 
@@ -251,7 +313,8 @@ class OpportunityDeduplicationService {
         }
 
         const similarity = await this.calculateSimilarity(currentOpp, compareOpp);
-        
+        stats.comparisons++;
+
         if (similarity >= matchThreshold) {
           duplicates.push(compareOpp);
           processedOpportunities.add(compareId);
@@ -263,15 +326,144 @@ class OpportunityDeduplicationService {
         duplicateGroups.push({
           groupId: `group_${duplicateGroups.length + 1}`,
           opportunities: duplicates,
-          similarity: this.calculateGroupSimilarity(duplicates),
+          similarity: await this.calculateGroupSimilarity(duplicates),
           recommendation: this.generateGroupRecommendation(duplicates)
         });
       }
     }
 
+    this.lastCandidateStats = stats;
+    logger.info(`🧮 Compared ${stats.comparisons} of ${stats.exhaustivePairs} possible pairs`, stats);
+
     return duplicateGroups;
   }
 
+  /**
+   * Candidate pairs for similarity scoring: opportunities sharing a notice ID, solicitation number or
+   * solicitation prefix, neighbors in title order within an agency + NAICS block, and opportunities
+   * sharing an LSH bucket over title and description shingles. Blocks and buckets larger than
+   * maxBlockSize only pair neighbors in title order.
+   * @param {Array} opportunities - Opportunities in comparison order
+   * @returns {object} - { candidates: later candidate indexes per index (ascending), stats }
+   */
+  generateCandidatePairs(opportunities) {
+    const startTime = Date.now();
+    const settings = this.deduplicationConfig.candidateGeneration;
+    const count = opportunities.length;
+    const pairs = new Set();
+    const stats = {
+      opportunities: count,
+      exhaustivePairs: (count * (count - 1)) / 2,
+      blocks: 0,
+      lshBuckets: 0,
+      oversizedGroups: 0,
+      candidatePairs: 0,
+      comparisons: 0,
+      durationMs: 0
+    };
+
+    const titles = opportunities.map(opp => String(this.getFieldValue(opp, 'title') || '').toLowerCase().trim());
+
+    const addGroup = (members, windowed = false) => {
+      if (!windowed && members.length <= settings.maxBlockSize) {
+        for (let a = 0; a < members.length; a++) {
+          for (let b = a + 1; b < members.length; b++) {
+            this.addCandidatePair(pairs, members[a], members[b], count);
+          }
+        }
+        return;
+      }
+
+      if (!windowed) stats.oversizedGroups++;
+      const ordered = [...members].sort((a, b) => titles[a].localeCompare(titles[b]) || a - b);
+      for (let a = 0; a < ordered.length; a++) {
+        for (let b = a + 1; b < Math.min(ordered.length, a + settings.windowSize); b++) {
+          this.addCandidatePair(pairs, ordered[a], ordered[b], count);
+        }
+      }
+    };
+
+    // Blocking on identifiers and agency + NAICS
+    const blocks = new Map();
+    opportunities.forEach((opp, index) => {
+      for (const key of this.getBlockingKeys(opp)) {
+        const block = blocks.get(key);
+        if (block) {
+          block.push(index);
+        } else {
+          blocks.set(key, [index]);
+        }
+      }
+    });
+    for (const [key, members] of blocks) {
+      if (members.length < 2) continue;
+      stats.blocks++;
+      addGroup(members, key.startsWith('agency:'));
+    }
+
+    // MinHash LSH over title and description shingles
+    const signatures = opportunities.map(opp => {
+      const description = String(this.getFieldValue(opp, 'description') || '').substring(0, settings.descriptionLength);
+      const shingles = shingle(`${this.getFieldValue(opp, 'title') || ''} ${description}`, settings.shingleSize);
+      return shingles.size > 0 ? this.minHasher.signature(shingles) : null;
+    });
+    for (const bucket of lshBuckets(signatures, settings.lshBands)) {
+      stats.lshBuckets++;
+      addGroup(bucket);
+    }
+
+    const candidates = Array.from({ length: count }, () => []);
+    for (const key of pairs) {
+      candidates[Math.floor(key / count)].push(key % count);
+    }
+    candidates.forEach(list => list.sort((a, b) => a - b));
+
+    stats.candidatePairs = pairs.size;
+    stats.durationMs = Date.now() - startTime;
+    return { candidates, stats };
+  }
+
+  addCandidatePair(pairs, a, b, count) {
+    if (a === b) return;
+    pairs.add(a < b ? a * count + b : b * count + a);
+  }
+
+  /**
+   * Blocking keys of an opportunity; two opportunities sharing a key are always compared
+   */
+  getBlockingKeys(opportunity) {
+    const keys = [];
+    const normalize = value => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+    const noticeId = this.getFieldValue(opportunity, 'noticeId');
+    if (noticeId) keys.push(`notice:${normalize(noticeId)}`);
+
+    const solicitationNumber = this.getFieldValue(opportunity, 'solicitationNumber');
+    if (solicitationNumber) {
+      const normalized = normalize(solicitationNumber);
+      keys.push(`sol:${normalized}`);
+      const prefixLength = this.deduplicationConfig.candidateGeneration.solicitationPrefixLength;
+      if (normalized.length > prefixLength) keys.push(`solprefix:${normalized.substring(0, prefixLength)}`);
+    }
+
+    const agency = this.getFieldValue(opportunity, 'agency');
+    if (agency) {
+      let naicsCodes = this.getFieldValue(opportunity, 'naicsCodes') || [];
+      if (typeof naicsCodes === 'string') {
+        try {
+          naicsCodes = JSON.parse(naicsCodes);
+        } catch (error) {
+          naicsCodes = naicsCodes.split(',');
+        }
+      }
+      for (const naics of (Array.isArray(naicsCodes) ? naicsCodes : [naicsCodes])) {
+        if (naics) keys.push(`agency:${normalize(agency)}|naics:${normalize(naics)}`);
+      }
+    }
+
+    return keys;
+  }
+
   /**
    * Calculates similarity between two opportunities
    * @param {object} opp1 - First opportunity
@@ -279,6 +471,17 @@ class OpportunityDeduplicationService {
    * @returns {Promise<number>} - Similarity score (0-1)
    */
   async calculateSimilarity(opp1, opp2) {
+    const { similarity } = await this.calculateSimilarityBreakdown(opp1, opp2);
+    return similarity;
+  }
+
+  /**
+   * Similarity between two opportunities with the per-field scores behind it
+   * @param {object} opp1 - First opportunity
+   * @param {object} opp2 - Second opportunity
+   * @returns {Promise<object>} - { similarity, fields: score per fieldWeights field (null when a side is missing) }
+   */
+  async calculateSimilarityBreakdown(opp1, opp2) {
     let totalScore = 0;
     let totalWeight = 0;
 
@@ -296,11 +499,6 @@ class OpportunityDeduplicationService {
       )
     };
 
-    // If we have exact matches on key identifiers, return high score
-    if (exactMatches.noticeId || exactMatches.solicitationNumber) {
-      return 0.95; // High confidence match
-    }
-
     // Fuzzy matches for other fields
     const fuzzyMatches = {
       title: await this.compareFuzzy(
@@ -339,9 +537,20 @@ class OpportunityDeduplicationService {
       0.2 // 20% tolerance
     );
 
-    // Calculate weighted score
-    const allMatches = { ...exactMatches, ...fuzzyMatches, ...dateMatches, value: valueMatch };
+    const allMatches = {
+      ...exactMatches,
+      ...fuzzyMatches,
+      ...dateMatches,
+      value: valueMatch,
+      semantic: this.compareSemantic(opp1, opp2)
+    };
+
+    // If we have exact matches on key identifiers, return high score
+    if (exactMatches.noticeId || exactMatches.solicitationNumber) {
+      return { similarity: 0.95, fields: allMatches }; // High confidence match
+    }
 
+    // Calculate weighted score
     Object.entries(allMatches).forEach(([field, score]) => {
       if (weights[field] && score !== null) {
         totalScore += score * weights[field];
@@ -349,7 +558,7 @@ class OpportunityDeduplicationService {
       }
     });
 
-    return totalWeight > 0 ? totalScore / totalWeight : 0;
+    return { similarity: totalWeight > 0 ? totalScore / totalWeight : 0, fields: allMatches };
   }
 
   /**
@@ -409,31 +618,10 @@ class OpportunityDeduplicationService {
   }
 
   /**
-   * Calculates a quality score for an opportunity
+   * Data quality score (0-1) of a stored opportunity under the current data quality rules
    */
   calculateQualityScore(opportunity) {
-    let score = 0;
-
-    // Base completeness score
-    score += this.calculateCompleteness(opportunity) * 0.4;
-
-    // Data quality indicators
-    if (this.getFieldValue(opportunity, 'dataQualityScore')) {
-      score += this.getFieldValue(opportunity, 'dataQualityScore') * 0.3;
-    }
-
-    // Enhanced data indicators
-    if (opportunity._enhanced) score += 20;
-    if (opportunity._parsed) score += 15;
-    if (opportunity._analysis) score += 10;
-
-    // Key field presence
-    const keyFields = ['noticeId', 'solicitationNumber', 'title', 'description', 'agency'];
-    keyFields.forEach(field => {
-      if (this.getFieldValue(opportunity, field)) score += 3;
-    });
-
-    return score;
+    return this.qualityRules.evaluate(opportunity).score || 0;
   }
 
   /**
@@ -475,6 +663,15 @@ class OpportunityDeduplicationService {
     return union.size > 0 ? intersection.size / union.size : 0;
   }
 
+  /**
+   * Cosine similarity of the opportunities' embeddings (negative similarity counts as 0);
+   * null when semantic matching is off or either side has no embedding
+   */
+  compareSemantic(opp1, opp2) {
+    const similarity = cosineSimilarity(this.embeddings.get(opp1), this.embeddings.get(opp2));
+    return similarity === null ? null : Math.max(0, Math.min(1, similarity));
+  }
+
   compareDates(date1, date2, toleranceDays = 7) {
     if (!date1 || !date2) return null;
 
@@ -521,10 +718,10 @@ class OpportunityDeduplicationService {
       title: ['title', '_parsed.title'],
       description: ['description', '_parsed.description'],
       agency: ['agency', 'department', '_parsed.agency.name'],
+      naicsCodes: ['naics_codes', 'naicsCodes', '_parsed.naicsCodes', 'naicsCode'],
       postedDate: ['postedDate', 'posted_date', '_parsed.dates.posted'],
       dueDate: ['dueDate', 'due_date', 'responseDeadLine', '_parsed.dates.due'],
-      value: ['awardAmount', 'value_estimated', '_parsed.financial.estimatedValue'],
-      dataQualityScore: ['data_quality_score', '_enhanced.dataQualityScore']
+      value: ['awardAmount', 'value_estimated', '_parsed.financial.estimatedValue']
     };
 
     const paths = fieldMappings[fieldName] || [fieldName];
@@ -545,7 +742,7 @@ class OpportunityDeduplicationService {
     }, obj);
   }
 
-  calculateGroupSimilarity(opportunities) {
+  async calculateGroupSimilarity(opportunities) {
     if (opportunities.length <= 1) return 1.0;
 
     let totalSimilarity = 0;
@@ -553,7 +750,7 @@ class OpportunityDeduplicationService {
 
     for (let i = 0; i < opportunities.length; i++) {
       for (let j = i + 1; j < opportunities.length; j++) {
-        totalSimilarity += this.calculateSimilarity(opportunities[i], opportunities[j]);
+        totalSimilarity += await this.calculateSimilarity(opportunities[i], opportunities[j]);
         comparisons++;
       }
     }
@@ -575,10 +772,55 @@ class OpportunityDeduplicationService {
     };
   }
 
+  /**
+   * Embeds the opportunities for compareSemantic. Stored embeddings are reused while the text they
+   * were computed from is unchanged; the rest are embedded in one batch.
+   */
+  async prepareEmbeddings(opportunities) {
+    const pending = [];
+
+    for (const opportunity of opportunities) {
+      const text = this.embeddingService.opportunityText(opportunity);
+      const storedVector = opportunity.embedding_vector;
+      const storedHash = opportunity.embedding_hash;
+      delete opportunity.embedding_vector;
+      delete opportunity.embedding_hash;
+
+      if (!text) continue;
+      if (storedVector && storedHash === this.embeddingService.contentHash(text)) {
+        this.embeddings.set(opportunity, storedVector);
+      } else {
+        pending.push({ opportunity, text });
+      }
+    }
+
+    if (pending.length === 0) return;
+
+    try {
+      const vectors = await this.embeddingService.provider.embed(pending.map(item => item.text));
+      pending.forEach((item, index) => this.embeddings.set(item.opportunity, vectors[index]));
+    } catch (error) {
+      // Semantic scores stay null, so similarity falls back to the other fields
+      logger.warn('⚠️ Embedding failed, deduplicating without semantic matching:', error.message);
+    }
+  }
+
   async getOpportunitiesForDeduplication({ dateRange, agencyFilter, limit }) {
-    let query = 'SELECT * FROM gov_opportunities WHERE 1=1';
+    // Opportunities already merged into a survivor are out of the pool
     const params = [];
     let paramCount = 0;
+    let query = 'SELECT * FROM gov_opportunities WHERE merged_into IS NULL';
+
+    // Stored embeddings ride along for prepareEmbeddings, which removes them from the rows again
+    if (this.deduplicationConfig.enableSemanticMatching) {
+      paramCount++;
+      params.push(this.embeddingService.model);
+      query = `
+        SELECT o.*, e.vector AS embedding_vector, e.content_hash AS embedding_hash
+        FROM gov_opportunities o
+        LEFT JOIN gov_opportunity_embeddings e ON e.opportunity_id = o.id AND e.model = $1
+        WHERE o.merged_into IS NULL`;
+    }
 
     if (dateRange) {
       paramCount++;
@@ -608,61 +850,230 @@ class OpportunityDeduplicationService {
     return result.rows;
   }
 
-  async processDuplicateGroups(duplicateGroups, auditTrailId) {
-    let removed = 0;
+  /**
+   * Merges each group into its recommended survivor, or records the merge as proposed on dry runs.
+   * Groups that need a reviewer (see classifyGroup) are queued for review instead; dry runs only count them.
+   * @returns {Promise<object>} - { merged, kept, queued, errors }
+   */
+  async processDuplicateGroups(duplicateGroups, runId, { dryRun = false } = {}) {
+    let merged = 0;
     let kept = 0;
+    let queued = 0;
+    const errors = [];
 
     for (const group of duplicateGroups) {
+      const recommendation = group.recommendation;
+      const action = {
+        runId,
+        survivorId: recommendation.keepOpportunity,
+        loserIds: recommendation.removeOpportunities,
+        similarity: group.similarity
+      };
+
       try {
-        const recommendation = group.recommendation;
-        
-        // Remove duplicate opportunities
-        for (const oppId of recommendation.removeOpportunities) {
-          await this.removeOpportunity(oppId, auditTrailId);
-          removed++;
+        const labels = await this.reviewService.getPairLabels(group.opportunities.map(opp => opp.id));
+        const { route, reason } = this.classifyGroup(group, labels);
+
+        if (route === 'skip') {
+          continue;
+        }
+
+        if (route === 'review') {
+          if (dryRun) {
+            queued++;
+          } else if (await this.reviewService.queueGroup({ runId, group, pairScores: await this.getPairScores(group.opportunities), reason })) {
+            queued++;
+          }
+          continue;
+        }
+
+        if (dryRun) {
+          await this.recordAuditAction(action, 'proposed');
+          kept++;
+          continue;
+        }
+
+        const result = await this.mergeService.mergeGroup(action);
+        if (result) {
+          merged += result.mergedIds.length;
+          kept++;
         }
-        
-        kept++;
         
       } catch (error) {
         logger.error(`❌ Error processing duplicate group ${group.groupId}`, {
           error: error.message,
           groupId: group.groupId
         });
+        errors.push({ type: 'MERGE_ERROR', groupId: group.groupId, message: error.message, timestamp: new Date() });
+        await this.recordAuditAction(action, 'failed', error.message).catch(() => {});
       }
     }
 
-    return { removed, kept };
+    return { merged, kept, queued, errors };
   }
 
-  async removeOpportunity(opportunityId, auditTrailId) {
-    const query = `
-      UPDATE gov_opportunities 
-      SET processing_status = 'archived',
-          updated_at = NOW()
-      WHERE id = $1
-    `;
-    
-    await this.db.query(query, [opportunityId]);
+  /**
+   * Decides how a duplicate group is resolved, taking earlier reviewer labels into account:
+   * - skip: a reviewer labeled every pair distinct
+   * - merge: a reviewer labeled every pair duplicate, or the group reaches strongMatchThreshold
+   * - review: some pair was labeled distinct (conflicting_label), or the group is below strongMatchThreshold (borderline)
+   * @param {object} group - Duplicate group
+   * @param {Map<string, string>} labels - Pair labels from DuplicateReviewService.getPairLabels()
+   * @returns {object} - { route, reason? }
+   */
+  classifyGroup(group, labels = new Map()) {
+    const pairLabels = this.reviewService.pairs(group.opportunities.map(opp => opp.id))
+      .map(([a, b]) => labels.get(this.reviewService.pairKey(a, b)));
 
-    if (auditTrailId) {
-      await this.recordAuditAction(auditTrailId, 'remove_opportunity', {
-        opportunityId,
-        timestamp: new Date()
-      });
+    if (pairLabels.every(label => label === 'distinct')) {
+      return { route: 'skip' };
+    }
+    if (pairLabels.every(label => label === 'duplicate')) {
+      return { route: 'merge' };
+    }
+    if (pairLabels.includes('distinct')) {
+      return { route: 'review', reason: 'conflicting_label' };
     }
+    if (group.similarity < this.deduplicationConfig.strongMatchThreshold) {
+      return { route: 'review', reason: 'borderline' };
+    }
+    return { route: 'merge' };
   }
 
-  async createAuditTrail(options) {
-    // This would create an audit trail record
-    // For now, return a mock ID
-    return `audit_${Date.now()}`;
+  /**
+   * Per-field similarity of every pair in a group, as shown to reviewers and stored with labels
+   * @returns {Promise<Array<object>>} - [{ a, b, similarity, fields }]
+   */
+  async getPairScores(opportunities) {
+    const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+    const scores = [];
+
+    for (let i = 0; i < opportunities.length; i++) {
+      for (let j = i + 1; j < opportunities.length; j++) {
+        const { similarity, fields } = await this.calculateSimilarityBreakdown(opportunities[i], opportunities[j]);
+        scores.push({
+          a: opportunities[i].id,
+          b: opportunities[j].id,
+          similarity: round(similarity),
+          fields: Object.fromEntries(Object.entries(fields).map(([field, score]) => [field, round(score)]))
+        });
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Creates the dedup_runs record for a run
+   * @returns {Promise<string>} - Run ID
+   */
+  async startRun({ dryRun, matchThreshold, options = {}, triggeredBy = null }) {
+    const recordedOptions = { ...options };
+    delete recordedOptions.runId;
+    delete recordedOptions.triggeredBy;
+    const result = await this.db.query(`
+      INSERT INTO dedup_runs (status, dry_run, match_threshold, options, triggered_by)
+      VALUES ('running', $1, $2, $3, $4)
+      RETURNING id
+    `, [dryRun, matchThreshold, JSON.stringify(recordedOptions), triggeredBy]);
+
+    return result.rows[0].id;
+  }
+
+  async completeRun(runId, results) {
+    await this.db.query(`
+      UPDATE dedup_runs
+      SET status = 'completed',
+          total_opportunities = $2,
+          duplicate_groups = $3,
+          merged_count = $4,
+          queued_for_review = $5,
+          candidate_stats = $6,
+          error = $7,
+          completed_at = NOW()
+      WHERE id = $1
+    `, [
+      runId,
+      results.totalOpportunities,
+      results.duplicateGroups.length,
+      results.duplicatesMerged,
+      results.queuedForReview,
+      JSON.stringify(results.candidateStats || {}),
+      results.errors.length > 0 ? results.errors.map(error => error.message).join('; ') : null
+    ]);
   }
 
-  async recordAuditAction(auditTrailId, action, details) {
-    // This would record individual audit actions
-    logger.info(`📝 Audit: ${action}`, { auditTrailId, details });
+  async failRun(runId, error) {
+    await this.db.query(`
+      UPDATE dedup_runs
+      SET status = 'failed', error = $2, completed_at = NOW()
+      WHERE id = $1
+    `, [runId, error.message]);
+  }
+
+  /**
+   * Records a merge that was not applied: proposed by a dry run, or failed
+   */
+  async recordAuditAction({ runId, survivorId, loserIds, similarity }, status, error = null) {
+    await this.db.query(`
+      INSERT INTO dedup_actions (run_id, action, status, survivor_id, merged_ids, similarity, error)
+      VALUES ($1, 'merge', $2, $3, $4::uuid[], $5, $6)
+    `, [runId, status, survivorId, loserIds, similarity, error]);
+
+    logger.info(`📝 Audit: ${status} merge of ${loserIds.length} opportunities into ${survivorId}`, { runId });
+  }
+
+  /**
+   * A merging (non-dry) run still in progress; runs stuck longer than the lock window are ignored
+   * @returns {Promise<object|null>}
+   */
+  async getActiveMergeRun() {
+    const result = await this.db.query(`
+      SELECT id, started_at
+      FROM dedup_runs
+      WHERE status = 'running' AND dry_run = false AND started_at > NOW() - INTERVAL '6 hours'
+      ORDER BY started_at DESC
+      LIMIT 1
+    `);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Recent deduplication runs, newest first
+   */
+  async listRuns({ limit = 20, offset = 0 } = {}) {
+    const result = await this.db.query(`
+      SELECT r.*, COUNT(a.id)::int AS action_count
+      FROM dedup_runs r
+      LEFT JOIN dedup_actions a ON a.run_id = r.id
+      GROUP BY r.id
+      ORDER BY r.started_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    return result.rows;
+  }
+
+  /**
+   * A run with its actions
+   * @returns {Promise<object|null>}
+   */
+  async getRun(runId) {
+    const run = await this.db.query('SELECT * FROM dedup_runs WHERE id = $1', [runId]);
+    if (run.rows.length === 0) {
+      return null;
+    }
+
+    const actions = await this.db.query(`
+      SELECT id, action, status, survivor_id, merged_ids, similarity, details, error, created_at, undone_at, undone_by
+      FROM dedup_actions
+      WHERE run_id = $1
+      ORDER BY created_at
+    `, [runId]);
+
+    return { ...run.rows[0], actions: actions.rows };
   }
 }
 
-module.exports = OpportunityDeduplicationService;
\ No newline at end of file
+module.exports = OpportunityDeduplicationService;
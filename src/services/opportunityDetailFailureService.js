@@ -0,0 +1,187 @@
+/**
+ * Opportunity Detail Failure Service
+ *
+ * Keeps track of opportunities whose detail fetch failed during ingestion:
+ * - Records each failure per source and external ID, with the raw search record
+ * - Schedules retries with exponential backoff (30 minutes, doubling up to a day)
+ * - Hands due records back to ingestion and marks them resolved once details arrive
+ * - Abandons records after MAX_ATTEMPTS failures
+ */
+
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MINUTES = 30;
+const MAX_RETRY_DELAY_MINUTES = 24 * 60;
+
+class OpportunityDetailFailureService {
+  constructor() {
+    this.db = Database.getInstance();
+  }
+
+  /**
+   * Records failed detail fetches for a source
+   * @param {string} source - Source adapter name
+   * @param {Array<object>} failures - [{ externalId, record, error, status, code }]
+   * @returns {Promise<number>} - Number of recorded failures
+   */
+  async recordFailures(source, failures) {
+    const rows = failures
+      .filter(failure => failure.externalId)
+      .map(failure => ({
+        external_id: String(failure.externalId),
+        record: failure.record || {},
+        error: failure.error || null,
+        status: Number.isInteger(failure.status) ? failure.status : null,
+        code: failure.code || null
+      }));
+
+    if (rows.length === 0) return 0;
+
+    const query = `
+      INSERT INTO opportunity_detail_failures (
+        source, external_id, record, last_error, last_status, last_error_code, next_retry_at
+      )
+      SELECT $1, f.external_id, f.record, f.error, f.status, f.code, NOW() + make_interval(mins => $3)
+      FROM jsonb_to_recordset($2::jsonb) AS f(external_id TEXT, record JSONB, error TEXT, status INTEGER, code TEXT)
+      ON CONFLICT (source, external_id) DO UPDATE
+      SET record = EXCLUDED.record,
+          last_error = EXCLUDED.last_error,
+          last_status = EXCLUDED.last_status,
+          last_error_code = EXCLUDED.last_error_code,
+          last_failed_at = NOW(),
+          resolved_at = NULL,
+          attempts = CASE
+            WHEN opportunity_detail_failures.status = 'resolved' THEN 1
+            ELSE opportunity_detail_failures.attempts + 1
+          END,
+          status = CASE
+            WHEN opportunity_detail_failures.status <> 'resolved'
+              AND opportunity_detail_failures.attempts + 1 >= $4 THEN 'abandoned'
+            ELSE 'pending'
+          END,
+          next_retry_at = NOW() + make_interval(mins => LEAST(
+            $3 * POWER(2, CASE
+              WHEN opportunity_detail_failures.status = 'resolved' THEN 0
+              ELSE opportunity_detail_failures.attempts
+            END),
+            $5
+          )::int)
+    `;
+
+    const result = await this.db.query(query, [
+      source,
+      JSON.stringify(rows),
+      BASE_RETRY_DELAY_MINUTES,
+      MAX_ATTEMPTS,
+      MAX_RETRY_DELAY_MINUTES
+    ]);
+
+    logger.info(`📝 Recorded ${rows.length} failed ${source} detail fetch(es) for retry`);
+    return result.rowCount;
+  }
+
+  /**
+   * Pending failures whose retry time has come, oldest first
+   * @param {string} source - Source adapter name
+   * @param {number} limit - Maximum records to return
+   * @returns {Promise<Array<object>>} - [{ externalId, record, attempts }]
+   */
+  async getDueRetries(source, limit = 50) {
+    const result = await this.db.query(`
+      SELECT external_id, record, attempts
+      FROM opportunity_detail_failures
+      WHERE source = $1 AND status = 'pending' AND next_retry_at <= NOW()
+      ORDER BY next_retry_at ASC
+      LIMIT $2
+    `, [source, limit]);
+
+    return result.rows.map(row => ({
+      externalId: row.external_id,
+      record: row.record,
+      attempts: row.attempts
+    }));
+  }
+
+  /**
+   * Marks open failures as resolved once their details were fetched
+   * @param {string} source - Source adapter name
+   * @param {Array<string>} externalIds - IDs fetched successfully
+   * @returns {Promise<number>} - Number of resolved failures
+   */
+  async resolveFailures(source, externalIds) {
+    const ids = externalIds.filter(id => id).map(String);
+    if (ids.length === 0) return 0;
+
+    const result = await this.db.query(`
+      UPDATE opportunity_detail_failures
+      SET status = 'resolved', resolved_at = NOW()
+      WHERE source = $1 AND external_id = ANY($2::text[]) AND status <> 'resolved'
+    `, [source, ids]);
+
+    if (result.rowCount > 0) {
+      logger.info(`✅ Resolved ${result.rowCount} previously failed ${source} detail fetch(es)`);
+    }
+
+    return result.rowCount;
+  }
+
+  /**
+   * Lists failures, most recent first
+   * @param {object} filters - { source, status, limit, offset }
+   * @returns {Promise<object>} - { failures, total }
+   */
+  async listFailures(filters = {}) {
+    const { source, status, limit = 20, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (source) {
+      params.push(source);
+      conditions.push(`source = $${params.length}`);
+    }
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.db.query(`
+      SELECT id, source, external_id, status, attempts, last_error, last_status, last_error_code,
+             first_failed_at, last_failed_at, next_retry_at, resolved_at,
+             COUNT(*) OVER() AS total_count
+      FROM opportunity_detail_failures
+      ${whereClause}
+      ORDER BY last_failed_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return {
+      failures: result.rows.map(row => this.formatFailure(row)),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0
+    };
+  }
+
+  formatFailure(row) {
+    return {
+      id: row.id,
+      source: row.source,
+      externalId: row.external_id,
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      lastStatus: row.last_status,
+      lastErrorCode: row.last_error_code,
+      firstFailedAt: row.first_failed_at,
+      lastFailedAt: row.last_failed_at,
+      nextRetryAt: row.status === 'pending' ? row.next_retry_at : null,
+      resolvedAt: row.resolved_at
+    };
+  }
+}
+
+OpportunityDetailFailureService.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = OpportunityDetailFailureService;
@@ -0,0 +1,663 @@
+/**
+ * Opportunity Entity Service
+ *
+ * Resolves the three opportunity stores (gov_opportunities, opportunities, atlanta_opportunities)
+ * into canonical opportunity entities and serves the unified read API:
+ * - Source records are normalized to one shape and scored with the deduplication service's
+ *   candidate generation and similarity, so only plausible cross-source pairs are compared
+ * - Matches link records of different stores; an entity never holds two records of one store
+ *   (duplicates within a store are the deduplication service's job)
+ * - Canonical fields come from the highest-priority record that has a value, with the source
+ *   of each field recorded in field_sources
+ * - Entity IDs are kept stable across runs; admins can pin a record to an entity, and the
+ *   resolver leaves pinned (manual) links alone
+ */
+
+const crypto = require('crypto');
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const OpportunityDeduplicationService = require('./opportunityDeduplicationService');
+
+const ENTITY_RESOLUTION_LOCK_KEY = 740022;
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+
+// SAM.gov notice IDs inside opportunity URLs, e.g. https://sam.gov/opp/<32 hex>/view
+const SAM_NOTICE_URL_PATTERN = /sam\.gov\/(?:workspace\/contract\/)?opp\/([0-9a-f]{32})/i;
+
+// Source stores in canonical priority order: earlier stores win field conflicts
+const ENTITY_SOURCES = {
+  gov_opportunities: {
+    select: `
+      SELECT id, title, description, agency, solicitation_number, source_ids->>'sam_gov' AS notice_id,
+             opportunity_type, due_date, posted_date, value_low, value_high, value_estimated,
+             place_of_performance, naics_codes, processing_status
+      FROM gov_opportunities`,
+    activeFilter: 'merged_into IS NULL',
+    idType: 'uuid',
+    normalize: row => ({
+      buyer: row.agency,
+      noticeId: row.notice_id,
+      solicitationNumber: row.solicitation_number,
+      opportunityType: row.opportunity_type,
+      dueDate: row.due_date,
+      postedDate: row.posted_date,
+      valueMin: row.value_low ?? row.value_estimated,
+      valueMax: row.value_high ?? row.value_estimated,
+      location: formatPlace(row.place_of_performance),
+      sourceUrl: row.notice_id ? `https://sam.gov/opp/${row.notice_id}/view` : null,
+      status: row.processing_status,
+      naicsCodes: row.naics_codes
+    })
+  },
+  opportunities: {
+    select: `
+      SELECT id, title, description, buyer_organization, project_value_min, project_value_max,
+             location, submission_deadline, source_url, is_active, created_at
+      FROM opportunities`,
+    activeFilter: 'is_active = true',
+    idType: 'int',
+    normalize: row => ({
+      buyer: row.buyer_organization,
+      noticeId: (String(row.source_url || '').match(SAM_NOTICE_URL_PATTERN) || [])[1] || null,
+      dueDate: row.submission_deadline,
+      postedDate: row.created_at,
+      valueMin: row.project_value_min,
+      valueMax: row.project_value_max,
+      location: row.location,
+      sourceUrl: row.source_url,
+      status: row.is_active ? 'active' : 'inactive'
+    })
+  },
+  atlanta_opportunities: {
+    select: `
+      SELECT a.id, a.title, a.description, o.name AS organization_name, a.opportunity_type,
+             a.estimated_value_min, a.estimated_value_max, a.geographic_requirements,
+             a.submission_deadline, a.current_status, a.created_at
+      FROM atlanta_opportunities a
+      LEFT JOIN atlanta_organizations o ON o.id = a.source_organization_id`,
+    activeFilter: 'a.is_active = true',
+    idColumn: 'a.id',
+    idType: 'int',
+    normalize: row => ({
+      buyer: row.organization_name,
+      opportunityType: row.opportunity_type,
+      dueDate: row.submission_deadline,
+      postedDate: row.created_at,
+      valueMin: row.estimated_value_min,
+      valueMax: row.estimated_value_max,
+      location: (row.geographic_requirements || []).join(', ') || null,
+      status: row.current_status
+    })
+  }
+};
+
+const SOURCE_TABLES = Object.keys(ENTITY_SOURCES);
+
+// Canonical entity fields: record property -> opportunity_entities column
+const CANONICAL_FIELDS = {
+  title: 'title',
+  description: 'description',
+  buyer: 'buyer',
+  solicitationNumber: 'solicitation_number',
+  noticeId: 'notice_id',
+  opportunityType: 'opportunity_type',
+  dueDate: 'due_date',
+  valueMin: 'value_min',
+  valueMax: 'value_max',
+  location: 'location',
+  sourceUrl: 'source_url',
+  status: 'status'
+};
+
+function formatPlace(place) {
+  if (!place || typeof place !== 'object') return null;
+  return [place.city, place.state, place.country && place.country !== 'USA' ? place.country : null]
+    .filter(Boolean)
+    .join(', ') || null;
+}
+
+class OpportunityEntityService {
+  constructor() {
+    this.db = Database.getInstance();
+    this.dedupService = new OpportunityDeduplicationService();
+  }
+
+  /**
+   * Links source records into entities and refreshes canonical fields. Only one resolution runs at a time.
+   * @param {object} options
+   * @param {number} options.matchThreshold - Similarity at which records of different stores are linked
+   * @returns {Promise<object>} - { status: 'completed', ...stats } or { status: 'locked' }
+   */
+  async resolve({ matchThreshold = DEFAULT_MATCH_THRESHOLD } = {}) {
+    const outcome = await this.db.withAdvisoryLock(ENTITY_RESOLUTION_LOCK_KEY, () => this.runResolution(matchThreshold));
+
+    if (!outcome.acquired) {
+      return { status: 'locked' };
+    }
+    return { status: 'completed', ...outcome.result };
+  }
+
+  async runResolution(matchThreshold) {
+    const startTime = Date.now();
+    const records = await this.loadSourceRecords();
+    const links = await this.loadLinks();
+
+    const { components, candidateStats } = await this.clusterRecords(records, links, matchThreshold);
+    const entities = this.assignEntities(components, links);
+
+    await this.db.transaction(client => this.saveEntities(client, entities, records));
+
+    const stats = {
+      records: records.length,
+      entities: entities.length,
+      crossSourceEntities: entities.filter(entity => new Set(entity.members.map(member => member.record.sourceTable)).size > 1).length,
+      createdEntities: entities.filter(entity => entity.isNew).length,
+      relinkedRecords: entities.reduce((sum, entity) => sum + entity.members.filter(member => {
+        const link = links.get(this.recordKey(member.record));
+        return link && link.entityId !== entity.entityId;
+      }).length, 0),
+      candidateStats,
+      durationMs: Date.now() - startTime
+    };
+
+    logger.info(`🪢 Resolved ${stats.records} opportunity records into ${stats.entities} entities (${stats.crossSourceEntities} across sources)`, {
+      createdEntities: stats.createdEntities,
+      relinkedRecords: stats.relinkedRecords
+    });
+
+    return stats;
+  }
+
+  /**
+   * Active records of every source store, normalized for matching
+   * @param {object} filter - Optional { sourceTable: [record IDs] } to load specific records (active or not)
+   * @returns {Promise<Array<object>>}
+   */
+  async loadSourceRecords(filter = null) {
+    const records = [];
+
+    for (const [sourceTable, source] of Object.entries(ENTITY_SOURCES)) {
+      let result;
+      if (filter) {
+        const ids = filter[sourceTable] || [];
+        if (ids.length === 0) continue;
+        result = await this.db.query(
+          `${source.select} WHERE ${source.idColumn || 'id'} = ANY($1::${source.idType}[])`,
+          [ids]
+        );
+      } else {
+        result = await this.db.query(`${source.select} WHERE ${source.activeFilter}`);
+      }
+
+      records.push(...result.rows.map(row => this.normalizeRecord(sourceTable, row)));
+    }
+
+    return records;
+  }
+
+  /**
+   * Common record shape; also readable by OpportunityDeduplicationService.getFieldValue
+   */
+  normalizeRecord(sourceTable, row) {
+    const fields = ENTITY_SOURCES[sourceTable].normalize(row);
+    const buyer = fields.buyer ? String(fields.buyer).trim() : null;
+
+    return {
+      sourceTable,
+      sourceRecordId: String(row.id),
+      title: row.title,
+      description: row.description || null,
+      solicitationNumber: null,
+      noticeId: null,
+      opportunityType: null,
+      ...fields,
+      buyer,
+      // Comparison-only fields
+      agency: buyer ? buyer.toLowerCase() : null,
+      value_estimated: fields.valueMax ?? fields.valueMin ?? null
+    };
+  }
+
+  async loadLinks() {
+    const result = await this.db.query(`
+      SELECT entity_id, source_table, source_record_id, match_method
+      FROM opportunity_entity_links
+    `);
+
+    return new Map(result.rows.map(row => [
+      `${row.source_table}:${row.source_record_id}`,
+      { entityId: row.entity_id, matchMethod: row.match_method }
+    ]));
+  }
+
+  /**
+   * Groups records of different stores that describe the same opportunity. Pairs are linked
+   * strongest first; a link that would put two records of one store in a group is skipped.
+   * Pinned (manual) records are not matched automatically.
+   * @returns {Promise<object>} - { components: [[{ record, matchMethod, confidence }]], candidateStats }
+   */
+  async clusterRecords(records, links, matchThreshold) {
+    const pinned = records.map(record => links.get(this.recordKey(record))?.matchMethod === 'manual');
+    const { candidates, stats } = this.dedupService.generateCandidatePairs(records);
+
+    const edges = [];
+    for (let i = 0; i < records.length; i++) {
+      for (const j of candidates[i]) {
+        if (pinned[i] || pinned[j] || records[i].sourceTable === records[j].sourceTable) continue;
+
+        const { similarity, fields } = await this.dedupService.calculateSimilarityBreakdown(records[i], records[j]);
+        stats.comparisons++;
+        if (similarity >= matchThreshold) {
+          const method = fields.noticeId === 1 || fields.solicitationNumber === 1 ? 'identifier' : 'similarity';
+          edges.push({ i, j, similarity, method });
+        }
+      }
+    }
+    edges.sort((a, b) => b.similarity - a.similarity);
+
+    const parent = records.map((record, index) => index);
+    const sources = records.map(record => new Set([record.sourceTable]));
+    const bestEdge = new Array(records.length).fill(null);
+    const find = index => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    for (const edge of edges) {
+      const rootI = find(edge.i);
+      const rootJ = find(edge.j);
+      if (rootI === rootJ || [...sources[rootJ]].some(source => sources[rootI].has(source))) continue;
+
+      parent[rootJ] = rootI;
+      sources[rootJ].forEach(source => sources[rootI].add(source));
+      bestEdge[edge.i] = bestEdge[edge.i] || edge;
+      bestEdge[edge.j] = bestEdge[edge.j] || edge;
+    }
+
+    const groups = new Map();
+    records.forEach((record, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(index);
+    });
+
+    const components = [...groups.values()].map(indexes => {
+      const ordered = indexes.sort((a, b) => this.sourcePriority(records[a]) - this.sourcePriority(records[b]));
+      return ordered.map((index, position) => {
+        if (pinned[index]) return { record: records[index], matchMethod: 'manual', confidence: null };
+        if (position === 0) return { record: records[index], matchMethod: 'origin', confidence: null };
+        return {
+          record: records[index],
+          matchMethod: bestEdge[index].method,
+          confidence: Math.round(bestEdge[index].similarity * 10000) / 10000
+        };
+      });
+    });
+
+    return { components, candidateStats: stats };
+  }
+
+  /**
+   * Gives each component an entity ID: the existing entity most of its records are linked to, or a
+   * new one. Larger components choose first; pinned records join whichever component has their entity.
+   * @returns {Array<object>} - [{ entityId, isNew, members }]
+   */
+  assignEntities(components, links) {
+    const claimed = new Map();
+    const entities = [];
+    const pinnedByEntity = new Map();
+
+    const automatic = [];
+    for (const component of components) {
+      const members = component.filter(member => member.matchMethod !== 'manual');
+      component.filter(member => member.matchMethod === 'manual').forEach(member => {
+        const { entityId } = links.get(this.recordKey(member.record));
+        if (!pinnedByEntity.has(entityId)) pinnedByEntity.set(entityId, []);
+        pinnedByEntity.get(entityId).push(member);
+      });
+      if (members.length > 0) automatic.push(members);
+    }
+
+    automatic.sort((a, b) => b.length - a.length);
+    for (const members of automatic) {
+      const votes = new Map();
+      members.forEach(member => {
+        const entityId = links.get(this.recordKey(member.record))?.entityId;
+        if (entityId && !claimed.has(entityId)) votes.set(entityId, (votes.get(entityId) || 0) + 1);
+      });
+      const [existingId] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+
+      const entity = { entityId: existingId || crypto.randomUUID(), isNew: !existingId, members };
+      claimed.set(entity.entityId, entity);
+      entities.push(entity);
+    }
+
+    for (const [entityId, members] of pinnedByEntity) {
+      const entity = claimed.get(entityId);
+      if (entity) {
+        entity.members.push(...members);
+      } else {
+        entities.push({ entityId, isNew: false, members });
+      }
+    }
+
+    return entities;
+  }
+
+  /**
+   * Canonical entity fields from its records, highest source priority first
+   * @returns {object} - opportunity_entities columns plus field_sources and source_count
+   */
+  buildCanonical(members) {
+    const ordered = [...members].sort((a, b) => this.sourcePriority(a.record) - this.sourcePriority(b.record));
+    const canonical = { field_sources: {}, source_count: members.length };
+
+    for (const [field, column] of Object.entries(CANONICAL_FIELDS)) {
+      const source = ordered.find(({ record }) => record[field] !== null && record[field] !== undefined && record[field] !== '');
+      canonical[column] = source ? source.record[field] : null;
+      if (source) canonical.field_sources[column] = source.record.sourceTable;
+    }
+
+    return canonical;
+  }
+
+  /**
+   * Writes entities and links, then removes links of records that no longer exist (or are
+   * inactive or merged) and entities left without records
+   */
+  async saveEntities(client, entities, records) {
+    if (entities.length > 0) {
+      await this.upsertEntities(client, entities);
+
+      const linkRows = entities.flatMap(entity => entity.members.map(member => ({
+        entity_id: entity.entityId,
+        source_table: member.record.sourceTable,
+        source_record_id: member.record.sourceRecordId,
+        match_method: member.matchMethod,
+        confidence: member.confidence
+      })));
+
+      await client.query(`
+        INSERT INTO opportunity_entity_links (entity_id, source_table, source_record_id, match_method, confidence)
+        SELECT l.entity_id, l.source_table, l.source_record_id, l.match_method, l.confidence
+        FROM jsonb_to_recordset($1::jsonb) AS l(entity_id uuid, source_table text, source_record_id text, match_method text, confidence numeric)
+        ON CONFLICT (source_table, source_record_id) DO UPDATE SET
+          entity_id = EXCLUDED.entity_id,
+          match_method = EXCLUDED.match_method,
+          confidence = EXCLUDED.confidence,
+          linked_by = CASE WHEN EXCLUDED.match_method = 'manual' THEN opportunity_entity_links.linked_by ELSE NULL END,
+          linked_at = CASE WHEN opportunity_entity_links.entity_id = EXCLUDED.entity_id
+                           THEN opportunity_entity_links.linked_at ELSE NOW() END
+      `, [JSON.stringify(linkRows)]);
+    }
+
+    await client.query(`
+      DELETE FROM opportunity_entity_links
+      WHERE (source_table || ':' || source_record_id) <> ALL($1::text[])
+    `, [records.map(record => this.recordKey(record))]);
+
+    await client.query(`
+      DELETE FROM opportunity_entities e
+      WHERE NOT EXISTS (SELECT 1 FROM opportunity_entity_links l WHERE l.entity_id = e.id)
+    `);
+  }
+
+  /**
+   * Inserts or updates the canonical rows of entities ({ entityId, members })
+   */
+  async upsertEntities(client, entities) {
+    const rows = entities.map(entity => ({ id: entity.entityId, ...this.buildCanonical(entity.members) }));
+
+    await client.query(`
+      INSERT INTO opportunity_entities (
+        id, title, description, buyer, solicitation_number, notice_id, opportunity_type, due_date,
+        value_min, value_max, location, source_url, status, field_sources, source_count, updated_at
+      )
+      SELECT e.id, e.title, e.description, e.buyer, e.solicitation_number, e.notice_id, e.opportunity_type,
+             e.due_date, e.value_min, e.value_max, e.location, e.source_url, e.status, e.field_sources,
+             e.source_count, NOW()
+      FROM jsonb_to_recordset($1::jsonb) AS e(
+        id uuid, title text, description text, buyer text, solicitation_number text, notice_id text,
+        opportunity_type text, due_date timestamp, value_min numeric, value_max numeric, location text,
+        source_url text, status text, field_sources jsonb, source_count integer
+      )
+      ON CONFLICT (id) DO UPDATE SET
+        title = EXCLUDED.title,
+        description = EXCLUDED.description,
+        buyer = EXCLUDED.buyer,
+        solicitation_number = EXCLUDED.solicitation_number,
+        notice_id = EXCLUDED.notice_id,
+        opportunity_type = EXCLUDED.opportunity_type,
+        due_date = EXCLUDED.due_date,
+        value_min = EXCLUDED.value_min,
+        value_max = EXCLUDED.value_max,
+        location = EXCLUDED.location,
+        source_url = EXCLUDED.source_url,
+        status = EXCLUDED.status,
+        field_sources = EXCLUDED.field_sources,
+        source_count = EXCLUDED.source_count,
+        updated_at = NOW()
+    `, [JSON.stringify(rows)]);
+  }
+
+  /**
+   * Pins a source record to an entity, or to an entity of its own when entityId is null. Pinned
+   * records are not moved by later resolutions.
+   * @returns {Promise<object>} - { status: 'pinned' | 'record_not_found' | 'entity_not_found', entityId? }
+   */
+  async pinRecord({ sourceTable, recordId, entityId = null }, userId) {
+    return this.db.transaction(async (client) => {
+      const linkResult = await client.query(`
+        SELECT entity_id FROM opportunity_entity_links
+        WHERE source_table = $1 AND source_record_id = $2
+        FOR UPDATE
+      `, [sourceTable, String(recordId)]);
+
+      if (linkResult.rows.length === 0) {
+        return { status: 'record_not_found' };
+      }
+      const previousEntityId = linkResult.rows[0].entity_id;
+
+      let targetId = entityId;
+      if (targetId) {
+        const target = await client.query('SELECT id FROM opportunity_entities WHERE id = $1 FOR UPDATE', [targetId]);
+        if (target.rows.length === 0) {
+          return { status: 'entity_not_found' };
+        }
+      } else {
+        // Canonical fields are filled in by refreshCanonical below
+        targetId = crypto.randomUUID();
+        await client.query(`INSERT INTO opportunity_entities (id, title) VALUES ($1, '')`, [targetId]);
+      }
+
+      await client.query(`
+        UPDATE opportunity_entity_links
+        SET entity_id = $3, match_method = 'manual', confidence = NULL, linked_by = $4, linked_at = NOW()
+        WHERE source_table = $1 AND source_record_id = $2
+      `, [sourceTable, String(recordId), targetId, userId || null]);
+
+      await this.refreshCanonical(client, [previousEntityId, targetId]);
+
+      logger.info(`📌 Pinned ${sourceTable} record ${recordId} to entity ${targetId}`, { userId, previousEntityId });
+
+      return { status: 'pinned', entityId: targetId };
+    });
+  }
+
+  /**
+   * Recomputes the canonical fields of entities from their current links; entities without links are removed
+   */
+  async refreshCanonical(client, entityIds) {
+    const linkResult = await client.query(`
+      SELECT entity_id, source_table, source_record_id, match_method, confidence
+      FROM opportunity_entity_links
+      WHERE entity_id = ANY($1::uuid[])
+    `, [entityIds]);
+
+    const ids = {};
+    linkResult.rows.forEach(link => {
+      (ids[link.source_table] = ids[link.source_table] || []).push(link.source_record_id);
+    });
+    const records = new Map((await this.loadSourceRecords(ids)).map(record => [this.recordKey(record), record]));
+
+    const entities = entityIds.map(entityId => ({
+      entityId,
+      members: linkResult.rows
+        .filter(link => link.entity_id === entityId && records.has(`${link.source_table}:${link.source_record_id}`))
+        .map(link => ({ record: records.get(`${link.source_table}:${link.source_record_id}`), matchMethod: link.match_method }))
+    }));
+
+    const remaining = entities.filter(entity => entity.members.length > 0);
+    if (remaining.length > 0) {
+      await this.upsertEntities(client, remaining);
+    }
+
+    const empty = entities.filter(entity => entity.members.length === 0).map(entity => entity.entityId);
+    if (empty.length > 0) {
+      await client.query(`
+        DELETE FROM opportunity_entities e
+        WHERE e.id = ANY($1::uuid[])
+          AND NOT EXISTS (SELECT 1 FROM opportunity_entity_links l WHERE l.entity_id = e.id)
+      `, [empty]);
+    }
+  }
+
+  /**
+   * Lists canonical opportunities
+   * @param {object} criteria - { q, source, status, dueAfter, limit, offset }
+   * @returns {Promise<object>} - { entities, total }
+   */
+  async listEntities({ q, source, status, dueAfter, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (q) {
+      params.push(q);
+      conditions.push(`to_tsvector('english', coalesce(e.title, '') || ' ' || coalesce(e.description, '') || ' ' || coalesce(e.buyer, ''))
+        @@ websearch_to_tsquery('english', $${params.length})`);
+    }
+    if (source) {
+      params.push(source);
+      conditions.push(`EXISTS (SELECT 1 FROM opportunity_entity_links sl WHERE sl.entity_id = e.id AND sl.source_table = $${params.length})`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`e.status = $${params.length}`);
+    }
+    if (dueAfter) {
+      params.push(dueAfter);
+      conditions.push(`e.due_date >= $${params.length}`);
+    }
+
+    params.push(limit, offset);
+    const result = await this.db.query(`
+      SELECT e.*, COUNT(*) OVER() AS total_count,
+             (SELECT array_agg(DISTINCT l.source_table) FROM opportunity_entity_links l WHERE l.entity_id = e.id) AS sources
+      FROM opportunity_entities e
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY e.due_date IS NULL, e.due_date ASC, e.title ASC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return {
+      entities: result.rows.map(row => this.formatEntity(row)),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0
+    };
+  }
+
+  /**
+   * Canonical opportunity with its provenance: every linked source record and how it was matched
+   * @returns {Promise<object|null>}
+   */
+  async getEntity(entityId) {
+    const entityResult = await this.db.query('SELECT * FROM opportunity_entities WHERE id = $1', [entityId]);
+    if (entityResult.rows.length === 0) {
+      return null;
+    }
+
+    const linkResult = await this.db.query(`
+      SELECT source_table, source_record_id, match_method, confidence, linked_by, linked_at
+      FROM opportunity_entity_links
+      WHERE entity_id = $1
+      ORDER BY linked_at ASC
+    `, [entityId]);
+
+    const ids = {};
+    linkResult.rows.forEach(link => {
+      (ids[link.source_table] = ids[link.source_table] || []).push(link.source_record_id);
+    });
+    const records = new Map((await this.loadSourceRecords(ids)).map(record => [this.recordKey(record), record]));
+
+    const links = linkResult.rows.sort((a, b) => SOURCE_TABLES.indexOf(a.source_table) - SOURCE_TABLES.indexOf(b.source_table));
+
+    return {
+      ...this.formatEntity({ ...entityResult.rows[0], sources: [...new Set(links.map(link => link.source_table))] }),
+      provenance: links.map(link => ({
+        sourceTable: link.source_table,
+        sourceRecordId: link.source_record_id,
+        matchMethod: link.match_method,
+        confidence: link.confidence === null ? null : parseFloat(link.confidence),
+        linkedBy: link.linked_by,
+        linkedAt: link.linked_at,
+        record: this.formatSourceRecord(records.get(`${link.source_table}:${link.source_record_id}`))
+      }))
+    };
+  }
+
+  /**
+   * Entity ID a source record belongs to
+   * @returns {Promise<string|null>}
+   */
+  async findEntityIdBySource(sourceTable, recordId) {
+    const result = await this.db.query(`
+      SELECT entity_id FROM opportunity_entity_links
+      WHERE source_table = $1 AND source_record_id = $2
+    `, [sourceTable, String(recordId)]);
+
+    return result.rows[0]?.entity_id || null;
+  }
+
+  formatEntity(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      buyer: row.buyer,
+      solicitationNumber: row.solicitation_number,
+      noticeId: row.notice_id,
+      opportunityType: row.opportunity_type,
+      dueDate: row.due_date,
+      valueMin: row.value_min === null ? null : parseFloat(row.value_min),
+      valueMax: row.value_max === null ? null : parseFloat(row.value_max),
+      location: row.location,
+      sourceUrl: row.source_url,
+      status: row.status,
+      sources: row.sources || [],
+      sourceCount: row.source_count,
+      fieldSources: row.field_sources || {},
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatSourceRecord(record) {
+    if (!record) return null;
+    return Object.fromEntries(Object.keys(CANONICAL_FIELDS).map(field => [field, record[field] ?? null]));
+  }
+
+  recordKey(record) {
+    return `${record.sourceTable}:${record.sourceRecordId}`;
+  }
+
+  sourcePriority(record) {
+    return SOURCE_TABLES.indexOf(record.sourceTable);
+  }
+}
+
+OpportunityEntityService.SOURCE_TABLES = SOURCE_TABLES;
+OpportunityEntityService.DEFAULT_MATCH_THRESHOLD = DEFAULT_MATCH_THRESHOLD;
+
+module.exports = OpportunityEntityService;
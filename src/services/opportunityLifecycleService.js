@@ -0,0 +1,469 @@
+/**
+ * Opportunity Lifecycle Service
+ *
+ * Moves government opportunities through their lifecycle (processing_status):
+ * - Derives the state an opportunity should be in from its due date, archive date, the state its
+ *   source reports (SAM.gov inactive flags, cancellations) and award notices
+ * - Applies only transitions allowed by TRANSITIONS; manual transitions outside it are rejected
+ * - Copies awards from award notices to the solicitations they award
+ * - Records every transition in opportunity_lifecycle_events, alerts the watchlists holding the
+ *   opportunity and marks its scores stale, then emits a 'transition' event for in-process listeners
+ *
+ * 'merged' belongs to deduplication: merged opportunities are never moved by the lifecycle.
+ */
+
+const { EventEmitter } = require('events');
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+
+const STATUSES = ['active', 'closed', 'cancelled', 'awarded', 'archived', 'merged'];
+
+// Allowed transitions; closed and cancelled opportunities reopen when the source extends or reinstates them
+const TRANSITIONS = {
+  active: ['closed', 'cancelled', 'awarded'],
+  closed: ['active', 'cancelled', 'awarded', 'archived'],
+  cancelled: ['active', 'archived'],
+  awarded: ['archived'],
+  archived: [],
+  merged: []
+};
+
+const STATUS_LABELS = {
+  active: 'Reopened',
+  closed: 'Closed',
+  cancelled: 'Cancelled',
+  awarded: 'Awarded',
+  archived: 'Archived'
+};
+
+// Watchlist alert priority per new state; archiving is housekeeping and raises no alert
+const ALERT_PRIORITIES = {
+  active: 'high',
+  closed: 'medium',
+  cancelled: 'high',
+  awarded: 'high'
+};
+
+const LIFECYCLE_COLUMNS = [
+  'id', 'title', 'processing_status', 'merged_into', 'due_date', 'archive_date', 'source_status',
+  'awardee_name', 'awardee_uei', 'award_amount', 'award_date', 'award_number',
+  'last_updated_source', 'status_changed_at'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shared by every service instance so listeners see transitions from ingestion, sweeps and admins alike
+const lifecycleEvents = new EventEmitter();
+
+class OpportunityLifecycleService {
+  /**
+   * @param {object} options
+   * @param {number} options.archiveAfterDays - Days past the due date after which finished opportunities
+   *   without an archive date are archived (default: LIFECYCLE_ARCHIVE_AFTER_DAYS or 90)
+   */
+  constructor(options = {}) {
+    this.db = Database.getInstance();
+    this.events = lifecycleEvents;
+    this.archiveAfterDays = options.archiveAfterDays
+      || parseInt(process.env.LIFECYCLE_ARCHIVE_AFTER_DAYS, 10)
+      || 90;
+  }
+
+  /**
+   * Whether an opportunity may move from one state to another
+   */
+  canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * State an opportunity's signals call for, ignoring archiving
+   * @param {object} opportunity - gov_opportunities row (LIFECYCLE_COLUMNS)
+   * @param {Date} now
+   * @returns {object} - { status, reason }
+   */
+  determineStatus(opportunity, now = new Date()) {
+    const dueDate = opportunity.due_date ? new Date(opportunity.due_date) : null;
+
+    if (opportunity.source_status === 'awarded' || opportunity.awardee_name || opportunity.award_date) {
+      return { status: 'awarded', reason: 'award_notice' };
+    }
+    if (opportunity.source_status === 'cancelled') {
+      return { status: 'cancelled', reason: 'source_cancelled' };
+    }
+    if (opportunity.source_status === 'inactive') {
+      return { status: 'closed', reason: 'source_inactive' };
+    }
+    if (dueDate && dueDate <= now) {
+      return { status: 'closed', reason: 'due_date_passed' };
+    }
+    return { status: 'active', reason: opportunity.processing_status === 'cancelled' ? 'source_reinstated' : 'due_date_extended' };
+  }
+
+  /**
+   * Why a finished opportunity should be archived, or null while it should not
+   */
+  archiveReason(opportunity, now = new Date()) {
+    if (opportunity.archive_date && new Date(opportunity.archive_date) <= now) {
+      return 'archive_date_passed';
+    }
+    if (opportunity.due_date && new Date(opportunity.due_date).getTime() + this.archiveAfterDays * DAY_MS <= now.getTime()) {
+      return 'retention_expired';
+    }
+    return null;
+  }
+
+  /**
+   * Transitions that bring an opportunity in line with its signals, in the order they apply
+   * Steps that are not allowed from the state reached so far are left out: an awarded opportunity
+   * whose due date passed stays awarded, a cancelled one never becomes awarded.
+   * @returns {Array<object>} - [{ from, to, reason }]
+   */
+  planTransitions(opportunity, now = new Date()) {
+    if (opportunity.merged_into) return [];
+
+    const steps = [];
+    let current = opportunity.processing_status;
+    const target = this.determineStatus(opportunity, now);
+
+    // Reopening takes a source update after the close, so closes made by hand are not reverted
+    const reopenBlocked = target.status === 'active' && opportunity.status_changed_at
+      && !(opportunity.last_updated_source && new Date(opportunity.last_updated_source) > new Date(opportunity.status_changed_at));
+
+    if (target.status !== current && !reopenBlocked && this.canTransition(current, target.status)) {
+      steps.push({ from: current, to: target.status, reason: target.reason });
+      current = target.status;
+    }
+
+    const archiveReason = current !== 'active' && this.archiveReason(opportunity, now);
+    if (archiveReason && this.canTransition(current, 'archived')) {
+      steps.push({ from: current, to: 'archived', reason: archiveReason });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Applies due lifecycle transitions to every opportunity that needs one
+   * @param {object} options
+   * @param {number} options.limit - Maximum opportunities to move per sweep
+   * @param {string} options.triggeredBy - Recorded on the events ('sweep', 'ingestion', 'admin')
+   * @returns {Promise<object>} - { checked, transitioned, awardsCopied, transitions: { to_status: count } }
+   */
+  async sweep({ limit = 1000, triggeredBy = 'sweep', userId = null } = {}) {
+    const now = new Date();
+    const awardsCopied = await this.propagateAwards();
+
+    const archiveCutoff = new Date(now.getTime() - this.archiveAfterDays * DAY_MS);
+    const candidates = await this.db.query(`
+      SELECT id
+      FROM gov_opportunities
+      WHERE merged_into IS NULL
+        AND (
+          (processing_status = 'active' AND (
+            due_date <= $1 OR COALESCE(source_status, 'active') <> 'active'
+            OR awardee_name IS NOT NULL OR award_date IS NOT NULL))
+          OR (processing_status = 'closed' AND (source_status IN ('cancelled', 'awarded')
+            OR awardee_name IS NOT NULL OR award_date IS NOT NULL))
+          OR (processing_status IN ('closed', 'cancelled') AND source_status = 'active' AND due_date > $1
+            AND (status_changed_at IS NULL OR last_updated_source > status_changed_at))
+          OR (processing_status IN ('closed', 'cancelled', 'awarded') AND (archive_date <= $1 OR due_date <= $2))
+        )
+      ORDER BY due_date NULLS LAST
+      LIMIT $3
+    `, [now, archiveCutoff, limit]);
+
+    const summary = { checked: candidates.rows.length, transitioned: 0, awardsCopied, transitions: {} };
+
+    for (const { id } of candidates.rows) {
+      try {
+        const events = await this.db.transaction(async (client) => {
+          const opportunity = await this.lockOpportunity(client, id);
+          if (!opportunity) return [];
+
+          const applied = [];
+          for (const step of this.planTransitions(opportunity, now)) {
+            applied.push(await this.recordTransition(client, opportunity, step.to, {
+              reason: step.reason,
+              details: this.signalDetails(opportunity),
+              triggeredBy,
+              userId
+            }));
+            opportunity.processing_status = step.to;
+          }
+          return applied;
+        });
+
+        if (events.length > 0) summary.transitioned++;
+        events.forEach(event => {
+          summary.transitions[event.toStatus] = (summary.transitions[event.toStatus] || 0) + 1;
+          this.emitTransition(event);
+        });
+      } catch (error) {
+        logger.error(`❌ Lifecycle transition failed for opportunity ${id}`, { error: error.message });
+      }
+    }
+
+    logger.info('🔄 Opportunity lifecycle sweep completed', summary);
+    return summary;
+  }
+
+  /**
+   * Moves one opportunity to a new state on request (admin corrections, awards entered by hand)
+   * @param {string} opportunityId
+   * @param {string} toStatus
+   * @param {object} options
+   * @param {string} options.reason - Recorded reason (default 'manual')
+   * @param {object} options.award - { awardeeName, awardeeUei, amount, date, number } for 'awarded'
+   * @param {number} options.userId - User making the change
+   * @returns {Promise<object>} - { status: 'transitioned', event }, { status: 'not_found' }, { status: 'unchanged' }
+   *   or { status: 'invalid_transition', from, to, allowed }
+   */
+  async transition(opportunityId, toStatus, { reason = 'manual', award = null, userId = null } = {}) {
+    const result = await this.db.transaction(async (client) => {
+      const opportunity = await this.lockOpportunity(client, opportunityId);
+      if (!opportunity) return { status: 'not_found' };
+
+      const from = opportunity.merged_into ? 'merged' : opportunity.processing_status;
+      if (from === toStatus) return { status: 'unchanged' };
+      if (!this.canTransition(from, toStatus)) {
+        return { status: 'invalid_transition', from, to: toStatus, allowed: TRANSITIONS[from] || [] };
+      }
+
+      if (toStatus === 'awarded' && award) {
+        Object.assign(opportunity, await this.recordAward(client, opportunityId, award));
+      }
+
+      const event = await this.recordTransition(client, opportunity, toStatus, {
+        reason,
+        details: this.signalDetails(opportunity),
+        triggeredBy: 'admin',
+        userId
+      });
+      return { status: 'transitioned', event };
+    });
+
+    if (result.event) this.emitTransition(result.event);
+    return result;
+  }
+
+  /**
+   * Lifecycle events of an opportunity, newest first
+   */
+  async getHistory(opportunityId) {
+    const result = await this.db.query(`
+      SELECT id, opportunity_id, from_status, to_status, reason, details, triggered_by, triggered_by_user_id, created_at
+      FROM opportunity_lifecycle_events
+      WHERE opportunity_id = $1
+      ORDER BY created_at DESC
+    `, [opportunityId]);
+
+    return result.rows.map(row => this.formatEvent(row));
+  }
+
+  /**
+   * Copies the award of an award notice to the other notices with its solicitation number
+   * SAM.gov posts awards as separate notices, so the solicitation itself never carries one.
+   * @returns {Promise<number>} - Opportunities that received an award
+   */
+  async propagateAwards() {
+    const result = await this.db.query(`
+      UPDATE gov_opportunities o
+      SET awardee_name = a.awardee_name,
+          awardee_uei = a.awardee_uei,
+          award_amount = a.award_amount,
+          award_date = a.award_date,
+          award_number = a.award_number,
+          updated_at = NOW()
+      FROM (
+        SELECT DISTINCT ON (solicitation_number)
+               solicitation_number, agency, awardee_name, awardee_uei, award_amount, award_date, award_number
+        FROM gov_opportunities
+        WHERE source_status = 'awarded' AND awardee_name IS NOT NULL
+          AND solicitation_number IS NOT NULL AND merged_into IS NULL
+        ORDER BY solicitation_number, award_date DESC NULLS LAST
+      ) a
+      WHERE o.solicitation_number = a.solicitation_number
+        AND o.agency IS NOT DISTINCT FROM a.agency
+        AND o.awardee_name IS NULL
+        AND o.merged_into IS NULL
+        AND o.processing_status IN ('active', 'closed')
+    `);
+
+    return result.rowCount || 0;
+  }
+
+  // Transition internals
+
+  async lockOpportunity(client, opportunityId) {
+    const result = await client.query(`
+      SELECT ${LIFECYCLE_COLUMNS.join(', ')}
+      FROM gov_opportunities
+      WHERE id = $1
+      FOR UPDATE
+    `, [opportunityId]);
+
+    return result.rows[0] || null;
+  }
+
+  async recordAward(client, opportunityId, award) {
+    const result = await client.query(`
+      UPDATE gov_opportunities
+      SET awardee_name = COALESCE($2, awardee_name),
+          awardee_uei = COALESCE($3, awardee_uei),
+          award_amount = COALESCE($4, award_amount),
+          award_date = COALESCE($5, award_date),
+          award_number = COALESCE($6, award_number)
+      WHERE id = $1
+      RETURNING awardee_name, awardee_uei, award_amount, award_date, award_number
+    `, [
+      opportunityId,
+      award.awardeeName ?? null,
+      award.awardeeUei ?? null,
+      award.amount ?? null,
+      award.date ?? null,
+      award.number ?? null
+    ]);
+
+    return result.rows[0] || {};
+  }
+
+  /**
+   * Changes the state, records the event and lets watchlists and scores react, all in the caller's transaction
+   */
+  async recordTransition(client, opportunity, toStatus, { reason, details = {}, triggeredBy, userId = null }) {
+    await client.query(`
+      UPDATE gov_opportunities
+      SET processing_status = $2, status_changed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [opportunity.id, toStatus]);
+
+    const inserted = await client.query(`
+      INSERT INTO opportunity_lifecycle_events (opportunity_id, from_status, to_status, reason, details, triggered_by, triggered_by_user_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, opportunity_id, from_status, to_status, reason, details, triggered_by, triggered_by_user_id, created_at
+    `, [opportunity.id, opportunity.processing_status, toStatus, reason, JSON.stringify(details), triggeredBy, userId]);
+
+    const event = this.formatEvent({ ...inserted.rows[0], details });
+    await this.alertWatchlists(client, event, opportunity.title);
+    await this.markScoresStale(client, event);
+
+    logger.info(`🔄 Opportunity ${opportunity.id}: ${event.fromStatus} → ${event.toStatus} (${reason})`);
+    return event;
+  }
+
+  /**
+   * Raises a status_change alert on every active watchlist that follows the opportunity
+   */
+  async alertWatchlists(client, event, title) {
+    const priority = ALERT_PRIORITIES[event.toStatus];
+    if (!priority) return;
+
+    await client.query(`
+      INSERT INTO watchlist_alerts (
+        watchlist_id, watchlist_item_id, opportunity_id, company_id,
+        alert_type, alert_priority, alert_title, alert_message, alert_data
+      )
+      SELECT wi.watchlist_id, wi.id, wi.opportunity_id, wi.company_id,
+             'status_change', $2, $3, $4, $5
+      FROM watchlist_items wi
+      JOIN opportunity_watchlists w ON w.id = wi.watchlist_id
+      WHERE wi.opportunity_id = $1
+        AND wi.item_status NOT IN ('won', 'lost', 'withdrawn', 'archived')
+        AND w.is_active AND w.notifications_enabled AND w.alert_on_status_changes
+    `, [
+      event.opportunityId,
+      priority,
+      `${STATUS_LABELS[event.toStatus]}: ${title || 'Opportunity'}`.slice(0, 255),
+      this.alertMessage(event, title || 'This opportunity'),
+      JSON.stringify({
+        lifecycleEventId: event.id,
+        fromStatus: event.fromStatus,
+        toStatus: event.toStatus,
+        reason: event.reason,
+        award: event.details.award || null
+      })
+    ]);
+  }
+
+  /**
+   * Flags existing scores so they are recomputed (or discounted) now that the opportunity changed state
+   */
+  async markScoresStale(client, event) {
+    await client.query(`
+      UPDATE gov_opportunity_scores
+      SET stale_at = NOW(), stale_reason = $2, updated_at = NOW()
+      WHERE opportunity_id = $1
+    `, [event.opportunityId, `lifecycle:${event.toStatus}`]);
+  }
+
+  alertMessage(event, title) {
+    const award = event.details.award;
+
+    switch (event.toStatus) {
+      case 'awarded': {
+        if (!award?.awardeeName) return `"${title}" has been awarded.`;
+        const amount = award.amount != null ? ` for $${Number(award.amount).toLocaleString('en-US')}` : '';
+        return `"${title}" was awarded to ${award.awardeeName}${amount}.`;
+      }
+      case 'cancelled':
+        return `"${title}" was cancelled by the issuing agency.`;
+      case 'closed':
+        return event.reason === 'due_date_passed'
+          ? `The response period for "${title}" has ended.`
+          : `"${title}" is no longer active at its source.`;
+      case 'active':
+        return `"${title}" is open for responses again.`;
+      default:
+        return `"${title}" moved from ${event.fromStatus} to ${event.toStatus}.`;
+    }
+  }
+
+  emitTransition(event) {
+    try {
+      this.events.emit('transition', event);
+    } catch (error) {
+      // A failing listener must not undo a committed transition
+      logger.warn(`⚠️ Lifecycle listener failed: ${error.message}`);
+    }
+  }
+
+  signalDetails(opportunity) {
+    const details = {
+      dueDate: opportunity.due_date || null,
+      archiveDate: opportunity.archive_date || null,
+      sourceStatus: opportunity.source_status || null
+    };
+
+    if (opportunity.awardee_name || opportunity.award_amount != null || opportunity.award_date) {
+      details.award = {
+        awardeeName: opportunity.awardee_name || null,
+        awardeeUei: opportunity.awardee_uei || null,
+        amount: opportunity.award_amount != null ? Number(opportunity.award_amount) : null,
+        date: opportunity.award_date || null,
+        number: opportunity.award_number || null
+      };
+    }
+
+    return details;
+  }
+
+  formatEvent(row) {
+    return {
+      id: row.id,
+      opportunityId: row.opportunity_id,
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      reason: row.reason,
+      details: typeof row.details === 'string' ? JSON.parse(row.details) : (row.details || {}),
+      triggeredBy: row.triggered_by,
+      userId: row.triggered_by_user_id ?? null,
+      createdAt: row.created_at
+    };
+  }
+}
+
+OpportunityLifecycleService.STATUSES = STATUSES;
+OpportunityLifecycleService.TRANSITIONS = TRANSITIONS;
+
+module.exports = OpportunityLifecycleService;
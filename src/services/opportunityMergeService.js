@@ -0,0 +1,313 @@
+/**
+ * Opportunity Merge Service
+ *
+ * Merges duplicate government opportunities into a survivor and undoes merges:
+ * - Folds the losers' source_ids, attachments and contacts into the survivor
+ * - Repoints scores, scoring history, feedback, watchlist items/alerts, template matches and
+ *   attachment downloads from the losers to the survivor (rows that would collide stay put)
+ * - Marks losers processing_status = 'merged' with merged_into pointing at the survivor
+ * - Records everything it changed in dedup_actions, which is what undo restores from
+ */
+
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+
+// Tables referencing gov_opportunities whose rows follow a merge; uniqueWith lists the columns
+// that, together with opportunity_id, must stay unique
+const REPOINTED_TABLES = [
+  { table: 'gov_opportunity_scores', uniqueWith: ['company_id', 'scoring_version'] },
+  { table: 'gov_opportunity_scoring_history', uniqueWith: [] },
+  { table: 'gov_opportunity_feedback', uniqueWith: [] },
+  { table: 'watchlist_items', uniqueWith: ['watchlist_id'] },
+  { table: 'watchlist_alerts', uniqueWith: [] },
+  { table: 'template_matching_history', uniqueWith: ['template_id', 'score_id'] },
+  { table: 'gov_opportunity_attachments', uniqueWith: ['url'] }
+];
+
+class OpportunityMergeService {
+  constructor() {
+    this.db = Database.getInstance();
+  }
+
+  /**
+   * Merges losers into the survivor in one transaction and records the action
+   * @param {object} merge
+   * @param {string} merge.runId - dedup_runs ID the merge belongs to
+   * @param {string} merge.survivorId - Opportunity that is kept
+   * @param {Array<string>} merge.loserIds - Opportunities folded into the survivor
+   * @param {number} merge.similarity - Group similarity
+   * @param {object} client - Transaction client to merge in (default: a transaction of its own)
+   * @returns {Promise<object|null>} - { actionId, survivorId, mergedIds } or null when nothing could be merged
+   */
+  async mergeGroup({ runId, survivorId, loserIds, similarity = null }, client = null) {
+    if (!client) {
+      return this.db.transaction(transactionClient => this.mergeGroup({ runId, survivorId, loserIds, similarity }, transactionClient));
+    }
+
+    const result = await client.query(`
+      SELECT id, source_ids, attachments, contacts, processing_status, merged_into
+      FROM gov_opportunities
+      WHERE id = ANY($1::uuid[])
+      ORDER BY id
+      FOR UPDATE
+    `, [[survivorId, ...loserIds]]);
+
+    const rows = new Map(result.rows.map(row => [row.id, row]));
+    const survivor = rows.get(survivorId);
+    if (!survivor || survivor.merged_into) {
+      logger.warn(`⚠️ Merge skipped: survivor ${survivorId} is missing or already merged`);
+      return null;
+    }
+
+    const losers = loserIds.map(id => rows.get(id)).filter(row => row && !row.merged_into && row.id !== survivorId);
+    if (losers.length === 0) {
+      return null;
+    }
+
+    const folded = this.foldFields(survivor, losers);
+
+    await client.query(`
+      UPDATE gov_opportunities
+      SET source_ids = $2, attachments = $3, contacts = $4, updated_at = NOW()
+      WHERE id = $1
+    `, [
+      survivorId,
+      JSON.stringify(folded.sourceIds),
+      JSON.stringify(folded.attachments),
+      JSON.stringify(folded.contacts)
+    ]);
+
+    const loserDetails = [];
+    for (const loser of losers) {
+      await client.query(`
+        UPDATE gov_opportunities
+        SET source_ids = $2, processing_status = 'merged', merged_into = $3, merged_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [loser.id, JSON.stringify(folded.remainingSourceIds[loser.id]), survivorId]);
+
+      loserDetails.push({
+        id: loser.id,
+        previousStatus: loser.processing_status,
+        movedSourceIds: folded.movedSourceIds[loser.id],
+        repointed: await this.repointRows(client, loser.id, survivorId)
+      });
+    }
+
+    const details = {
+      addedAttachments: folded.addedAttachments,
+      addedContacts: folded.addedContacts,
+      losers: loserDetails
+    };
+
+    const action = await client.query(`
+      INSERT INTO dedup_actions (run_id, action, status, survivor_id, merged_ids, similarity, details)
+      VALUES ($1, 'merge', 'applied', $2, $3::uuid[], $4, $5)
+      RETURNING id
+    `, [runId, survivorId, losers.map(loser => loser.id), similarity, JSON.stringify(details)]);
+
+    logger.info(`🔗 Merged ${losers.length} opportunities into ${survivorId}`, { actionId: action.rows[0].id });
+
+    return {
+      actionId: action.rows[0].id,
+      survivorId,
+      mergedIds: losers.map(loser => loser.id)
+    };
+  }
+
+  /**
+   * Restores a merged group: losers get their status, source IDs and rows back, and the
+   * survivor loses what the merge added to it
+   * @param {string} actionId - dedup_actions ID
+   * @param {number} userId - Admin undoing the merge
+   * @returns {Promise<object>} - { status: 'undone' | 'not_found' | 'not_applied' | 'blocked', action?, error? }
+   */
+  async undoMerge(actionId, userId) {
+    return this.db.transaction(async (client) => {
+      const actionResult = await client.query(`
+        SELECT id, status, survivor_id, merged_ids, details
+        FROM dedup_actions
+        WHERE id = $1
+        FOR UPDATE
+      `, [actionId]);
+
+      const action = actionResult.rows[0];
+      if (!action) {
+        return { status: 'not_found' };
+      }
+      if (action.status !== 'applied') {
+        return { status: 'not_applied', error: `Merge is ${action.status}, only applied merges can be undone` };
+      }
+
+      const survivorResult = await client.query(`
+        SELECT id, source_ids, attachments, contacts, merged_into
+        FROM gov_opportunities
+        WHERE id = $1
+        FOR UPDATE
+      `, [action.survivor_id]);
+      const survivor = survivorResult.rows[0];
+      if (survivor.merged_into) {
+        return {
+          status: 'blocked',
+          error: `Survivor was merged into ${survivor.merged_into} later; undo that merge first`
+        };
+      }
+
+      const details = this.parseJson(action.details, {});
+      const losers = details.losers || [];
+
+      // Survivor first, so source IDs are free again before the losers take them back
+      const movedSourceIds = Object.assign({}, ...losers.map(loser => loser.movedSourceIds || {}));
+      const sourceIds = { ...this.parseJson(survivor.source_ids, {}) };
+      Object.entries(movedSourceIds).forEach(([source, id]) => {
+        if (sourceIds[source] === id) delete sourceIds[source];
+      });
+      const addedAttachmentKeys = new Set((details.addedAttachments || []).map(item => this.attachmentKey(item)));
+      const addedContactKeys = new Set((details.addedContacts || []).map(item => this.contactKey(item)));
+
+      await client.query(`
+        UPDATE gov_opportunities
+        SET source_ids = $2, attachments = $3, contacts = $4, updated_at = NOW()
+        WHERE id = $1
+      `, [
+        survivor.id,
+        JSON.stringify(sourceIds),
+        JSON.stringify(this.parseJson(survivor.attachments, []).filter(item => !addedAttachmentKeys.has(this.attachmentKey(item)))),
+        JSON.stringify(this.parseJson(survivor.contacts, []).filter(item => !addedContactKeys.has(this.contactKey(item))))
+      ]);
+
+      for (const loser of losers) {
+        await client.query(`
+          UPDATE gov_opportunities
+          SET source_ids = source_ids || $2::jsonb,
+              processing_status = $3,
+              merged_into = NULL,
+              merged_at = NULL,
+              updated_at = NOW()
+          WHERE id = $1 AND merged_into = $4
+        `, [loser.id, JSON.stringify(loser.movedSourceIds || {}), loser.previousStatus || 'active', survivor.id]);
+
+        for (const [table, ids] of Object.entries(loser.repointed || {})) {
+          if (!REPOINTED_TABLES.some(entry => entry.table === table) || ids.length === 0) continue;
+          await client.query(
+            `UPDATE ${table} SET opportunity_id = $1 WHERE id = ANY($2::uuid[]) AND opportunity_id = $3`,
+            [loser.id, ids, survivor.id]
+          );
+        }
+      }
+
+      const updated = await client.query(`
+        UPDATE dedup_actions
+        SET status = 'undone', undone_at = NOW(), undone_by = $2
+        WHERE id = $1
+        RETURNING id, run_id, status, survivor_id, merged_ids, undone_at
+      `, [actionId, userId || null]);
+
+      logger.info(`↩️ Undid merge ${actionId}: restored ${losers.length} opportunities from ${survivor.id}`, { userId });
+
+      return { status: 'undone', action: updated.rows[0] };
+    });
+  }
+
+  /**
+   * Survivor fields after folding in the losers; on conflicts the survivor's values win
+   * @returns {object} - { sourceIds, attachments, contacts, movedSourceIds, remainingSourceIds,
+   *   addedAttachments, addedContacts }
+   */
+  foldFields(survivor, losers) {
+    const sourceIds = { ...this.parseJson(survivor.source_ids, {}) };
+    const attachments = [...this.parseJson(survivor.attachments, [])];
+    const contacts = [...this.parseJson(survivor.contacts, [])];
+    const attachmentKeys = new Set(attachments.map(item => this.attachmentKey(item)));
+    const contactKeys = new Set(contacts.map(item => this.contactKey(item)));
+    const movedSourceIds = {};
+    const remainingSourceIds = {};
+    const addedAttachments = [];
+    const addedContacts = [];
+
+    for (const loser of losers) {
+      movedSourceIds[loser.id] = {};
+      remainingSourceIds[loser.id] = {};
+
+      // Source IDs move rather than copy, so unique source ID indexes hold and ingestion finds the survivor
+      Object.entries(this.parseJson(loser.source_ids, {})).forEach(([source, id]) => {
+        if (sourceIds[source] === undefined) {
+          sourceIds[source] = id;
+          movedSourceIds[loser.id][source] = id;
+        } else {
+          remainingSourceIds[loser.id][source] = id;
+        }
+      });
+
+      this.parseJson(loser.attachments, []).forEach(item => {
+        const key = this.attachmentKey(item);
+        if (attachmentKeys.has(key)) return;
+        attachmentKeys.add(key);
+        attachments.push(item);
+        addedAttachments.push(item);
+      });
+
+      this.parseJson(loser.contacts, []).forEach(item => {
+        const key = this.contactKey(item);
+        if (contactKeys.has(key)) return;
+        contactKeys.add(key);
+        contacts.push(item);
+        addedContacts.push(item);
+      });
+    }
+
+    return { sourceIds, attachments, contacts, movedSourceIds, remainingSourceIds, addedAttachments, addedContacts };
+  }
+
+  /**
+   * Moves a loser's rows to the survivor, leaving rows that would violate a unique constraint
+   * @returns {Promise<object>} - Moved row IDs per table
+   */
+  async repointRows(client, loserId, survivorId) {
+    const repointed = {};
+
+    for (const { table, uniqueWith } of REPOINTED_TABLES) {
+      const conflict = uniqueWith.length === 0 ? '' : `
+        AND NOT EXISTS (
+          SELECT 1 FROM ${table} s
+          WHERE s.opportunity_id = $1
+            ${uniqueWith.map(column => `AND s.${column} IS NOT DISTINCT FROM t.${column}`).join(' ')}
+        )`;
+
+      const result = await client.query(`
+        UPDATE ${table} t
+        SET opportunity_id = $1
+        WHERE t.opportunity_id = $2 ${conflict}
+        RETURNING t.id
+      `, [survivorId, loserId]);
+
+      if (result.rows.length > 0) {
+        repointed[table] = result.rows.map(row => row.id);
+      }
+    }
+
+    return repointed;
+  }
+
+  attachmentKey(attachment) {
+    return (attachment && (attachment.url || attachment.filename)) || JSON.stringify(attachment);
+  }
+
+  contactKey(contact) {
+    if (!contact) return 'null';
+    return (contact.email && contact.email.toLowerCase()) || contact.name || contact.phone || JSON.stringify(contact);
+  }
+
+  parseJson(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+}
+
+OpportunityMergeService.REPOINTED_TABLES = REPOINTED_TABLES;
+
+module.exports = OpportunityMergeService;
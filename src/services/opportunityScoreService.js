@@ -0,0 +1,462 @@
+/**
+ * Opportunity Score Service
+ *
+ * Persists Panel of Judges scores of government opportunities for company profiles, per scoring version:
+ * - findOutdated() lists active opportunities a profile has no current score for in a version: never
+ *   scored, flagged stale by the lifecycle service, or scored before the opportunity or profile last changed
+ * - saveScore() writes the overall and per-judge scores, fit category, recommendation, the judge weights
+ *   used (the version's, adjusted by the profile's priority ratings) and the inputs the judges read to
+ *   gov_opportunity_scores, one factor row per judge, and a history row when a re-score moves the score
+ * - listScores() and getOpportunity() read persisted scores of the active version back for the scoring API
+ */
+
+const { Database } = require('../database/connection');
+const { getCapabilityTaxonomy } = require('../utils/capabilityTaxonomy');
+const { getScoringVersions, JUDGE_NAMES } = require('../utils/scoringVersions');
+const { getJudgeRegistry } = require('./judges');
+
+// Recommendation for each fit category; the version's thresholds decide the fit category
+const RECOMMENDATIONS = {
+  excellent: 'pursue_actively',
+  good: 'pursue_with_caution',
+  fair: 'monitor',
+  poor: 'skip'
+};
+
+// Fields the built-in judges and hard constraints read, stored with each score so other versions can be
+// replayed against them; fields other registered judges declare as inputs are stored too
+const OPPORTUNITY_INPUT_FIELDS = [
+  'id', 'title', 'description', 'requirements_summary', 'agency', 'naics_codes', 'parsed_tags',
+  'place_of_performance', 'pop_latitude', 'pop_longitude', 'pop_geocode_precision', 'evaluation_criteria',
+  'award_basis', 'due_date', 'value_estimated', 'processing_status', 'data_quality_score'
+];
+const PROFILE_INPUT_FIELDS = [
+  'id', 'name', 'summary', 'description', 'business_type', 'naics', 'capabilities', 'certifications',
+  'past_performance', 'service_areas', 'keywords', 'employee_count', 'annual_revenue', 'scoring_weights'
+];
+
+// Score columns read alongside opportunity columns; id is aliased so it does not shadow the opportunity's
+const SCORE_COLUMNS = [
+  'id AS score_id', 'scoring_version', 'scored_at', 'overall_score', 'fit_category',
+  'technical_judge_score', 'domain_judge_score', 'value_judge_score', 'innovation_judge_score',
+  'relationship_judge_score', 'scoring_explanation', 'evidence_summary', 'risk_factors',
+  'opportunity_factors', 'recommendation', 'suggested_actions', 'confidence_score', 'judge_weights', 'stale_at'
+];
+
+function scoreColumns(alias) {
+  return SCORE_COLUMNS.map(column => (alias ? `${alias}.${column}` : column)).join(', ');
+}
+
+/**
+ * Why a score must be recomputed, or NULL while it is current. Expects the opportunity as o, its
+ * score for the profile as s (NULL when never scored) and the profile's updated_at as a parameter.
+ */
+function rescoreReason(profileUpdatedParam) {
+  return `CASE
+    WHEN s.id IS NULL THEN 'unscored'
+    WHEN s.stale_at IS NOT NULL THEN COALESCE(s.stale_reason, 'stale')
+    WHEN s.scored_at < o.updated_at THEN 'opportunity_updated'
+    WHEN s.scored_at < ${profileUpdatedParam}::timestamp THEN 'profile_updated'
+  END`;
+}
+
+// Active opportunities without a current score; parameters $1-$3 are company ID, scoring version and profile updated_at
+const OUTDATED_CONDITIONS = `
+  o.processing_status = 'active'
+  AND o.merged_into IS NULL
+  AND ${rescoreReason('$3')} IS NOT NULL
+`;
+
+class OpportunityScoreService {
+  constructor() {
+    this.db = Database.getInstance();
+    this.versions = getScoringVersions();
+    this.judges = getJudgeRegistry();
+  }
+
+  /**
+   * Active opportunities whose score for the profile is missing or out of date, soonest due first
+   * @param {object} profile - company_profiles row
+   * @param {object} options
+   * @param {number} options.limit - Maximum opportunities to return
+   * @param {Array<string>} options.excludeIds - Opportunities to leave out (e.g. ones that failed to score)
+   * @param {string} options.version - Scoring version (default: the active version)
+   * @returns {Promise<object>} - { opportunities, total } where each row carries its rescore_reason
+   *   and total counts every outdated opportunity not excluded
+   */
+  async findOutdated(profile, { limit = 100, excludeIds = [], version = this.versions.getActive().version } = {}) {
+    const result = await this.db.query(`
+      SELECT o.*, ${rescoreReason('$3')} AS rescore_reason, COUNT(*) OVER () AS outdated_count
+      FROM gov_opportunities o
+      LEFT JOIN gov_opportunity_scores s
+        ON s.opportunity_id = o.id AND s.company_id = $1 AND s.scoring_version = $2
+      WHERE ${OUTDATED_CONDITIONS}
+        AND NOT (o.id = ANY($5::uuid[]))
+      ORDER BY o.due_date ASC NULLS LAST, o.id
+      LIMIT $4
+    `, [profile.id, version, profile.updated_at, limit, excludeIds]);
+
+    return {
+      opportunities: result.rows,
+      total: result.rows.length > 0 ? Number(result.rows[0].outdated_count) : 0
+    };
+  }
+
+  /**
+   * Number of active opportunities whose score for the profile is missing or out of date
+   */
+  async countOutdated(profile, version = this.versions.getActive().version) {
+    const result = await this.db.query(`
+      SELECT COUNT(*)::int AS count
+      FROM gov_opportunities o
+      LEFT JOIN gov_opportunity_scores s
+        ON s.opportunity_id = o.id AND s.company_id = $1 AND s.scoring_version = $2
+      WHERE ${OUTDATED_CONDITIONS}
+    `, [profile.id, version, profile.updated_at]);
+
+    return Number(result.rows[0].count);
+  }
+
+  /**
+   * An opportunity (active or not, but not merged away) with the profile's persisted score in the
+   * active version, if any
+   * @returns {Promise<object|null>} - Opportunity row with score columns and rescore_reason
+   */
+  async getOpportunity(profile, opportunityId) {
+    const result = await this.db.query(`
+      SELECT o.*, ${scoreColumns('s')}, ${rescoreReason('$4')} AS rescore_reason
+      FROM gov_opportunities o
+      LEFT JOIN gov_opportunity_scores s
+        ON s.opportunity_id = o.id AND s.company_id = $2 AND s.scoring_version = $3
+      WHERE o.id = $1 AND o.merged_into IS NULL
+    `, [opportunityId, profile.id, this.versions.getActive().version, profile.updated_at]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Persisted scores of active opportunities for a profile in the active version, best fit first
+   * @param {string} companyId - company_profiles.id
+   * @param {object} options
+   * @param {number} options.limit
+   * @param {number} options.offset
+   * @param {string} options.fitCategory - Only scores in this fit category
+   * @returns {Promise<object>} - { rows, total }
+   */
+  async listScores(companyId, { limit = 20, offset = 0, fitCategory = null } = {}) {
+    const result = await this.db.query(`
+      SELECT o.*, ${scoreColumns('s')}, COUNT(*) OVER () AS total_count
+      FROM gov_opportunity_scores s
+      JOIN gov_opportunities o ON o.id = s.opportunity_id
+      WHERE s.company_id = $1
+        AND s.scoring_version = $2
+        AND o.processing_status = 'active'
+        AND o.merged_into IS NULL
+        AND ($3::varchar IS NULL OR s.fit_category = $3)
+      ORDER BY s.overall_score DESC, o.due_date ASC NULLS LAST, o.id
+      LIMIT $4 OFFSET $5
+    `, [companyId, this.versions.getActive().version, fitCategory, limit, offset]);
+
+    return {
+      rows: result.rows,
+      total: result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Writes a score, replacing the profile's previous score of the opportunity and its factors
+   * @param {string} companyId - company_profiles.id
+   * @param {object} opportunity - gov_opportunities row
+   * @param {object} scoring - Result of ProfileBasedScoringService.scoreOpportunity
+   * @param {string} reason - Why the opportunity was (re)scored, recorded in the score history
+   * @param {object} options
+   * @param {object} options.version - Scoring version definition (default: the active version)
+   * @param {object} options.inputs - What the judges read (see scoringInputs()), kept for replays
+   * @param {Date} options.scoredAt - When the inputs were current (replays keep the original's time)
+   * @param {boolean} options.recordHistory - Record a history row when the overall score moves
+   * @returns {Promise<object>} - The saved score columns (score ID as score_id)
+   */
+  async saveScore(companyId, opportunity, scoring, reason = 'unscored', {
+    version = this.versions.getActive(),
+    inputs = null,
+    scoredAt = null,
+    recordHistory = true
+  } = {}) {
+    const judges = scoring.judgeScores || {};
+    const band = this.classify(scoring, version);
+    const confidences = Object.values(judges).map(evaluation => evaluation.confidence).filter(value => typeof value === 'number');
+
+    return this.db.transaction(async (client) => {
+      const previous = await client.query(`
+        SELECT id, overall_score, technical_judge_score, domain_judge_score, value_judge_score,
+               innovation_judge_score, relationship_judge_score
+        FROM gov_opportunity_scores
+        WHERE opportunity_id = $1 AND company_id = $2 AND scoring_version = $3
+        FOR UPDATE
+      `, [opportunity.id, companyId, version.version]);
+
+      const saved = await client.query(`
+        INSERT INTO gov_opportunity_scores (
+          opportunity_id, company_id, scoring_version, scored_at, scoring_type,
+          overall_score, fit_category,
+          technical_judge_score, domain_judge_score, value_judge_score, innovation_judge_score, relationship_judge_score,
+          scoring_explanation, evidence_summary, risk_factors, opportunity_factors,
+          recommendation, suggested_actions, confidence_score, data_quality_score, stale_at, stale_reason,
+          scoring_inputs, judge_weights
+        ) VALUES ($1, $2, $3, COALESCE($19::timestamp, NOW()), $20, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+          NULL, NULL, $21, $22)
+        ON CONFLICT (opportunity_id, company_id, scoring_version) DO UPDATE SET
+          scored_at = EXCLUDED.scored_at,
+          scoring_type = EXCLUDED.scoring_type,
+          overall_score = EXCLUDED.overall_score,
+          fit_category = EXCLUDED.fit_category,
+          technical_judge_score = EXCLUDED.technical_judge_score,
+          domain_judge_score = EXCLUDED.domain_judge_score,
+          value_judge_score = EXCLUDED.value_judge_score,
+          innovation_judge_score = EXCLUDED.innovation_judge_score,
+          relationship_judge_score = EXCLUDED.relationship_judge_score,
+          scoring_explanation = EXCLUDED.scoring_explanation,
+          evidence_summary = EXCLUDED.evidence_summary,
+          risk_factors = EXCLUDED.risk_factors,
+          opportunity_factors = EXCLUDED.opportunity_factors,
+          recommendation = EXCLUDED.recommendation,
+          suggested_actions = EXCLUDED.suggested_actions,
+          confidence_score = EXCLUDED.confidence_score,
+          data_quality_score = EXCLUDED.data_quality_score,
+          stale_at = NULL,
+          stale_reason = NULL,
+          scoring_inputs = EXCLUDED.scoring_inputs,
+          judge_weights = EXCLUDED.judge_weights
+        RETURNING ${scoreColumns()}
+      `, [
+        opportunity.id,
+        companyId,
+        version.version,
+        this.round(scoring.overallScore),
+        band.fit,
+        this.judgeScore(judges.technical),
+        this.judgeScore(judges.domain),
+        this.judgeScore(judges.value),
+        this.judgeScore(judges.innovation),
+        this.judgeScore(judges.relationship),
+        JSON.stringify({
+          summary: scoring.explanation,
+          verdict: scoring.verdict,
+          nextSteps: scoring.nextSteps || [],
+          judges,
+          weighting: scoring.weighting || null
+        }),
+        JSON.stringify({ constraintFailures: scoring.constraintFailures || scoring.constraintCheck?.failures || [] }),
+        JSON.stringify(scoring.weaknesses || []),
+        JSON.stringify(scoring.strengths || []),
+        band.recommendation,
+        JSON.stringify(scoring.recommendations || []),
+        confidences.length > 0 ? this.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length) : null,
+        opportunity.data_quality_score ?? null,
+        scoredAt,
+        version.scoringType,
+        inputs ? JSON.stringify(inputs) : null,
+        scoring.weights ? JSON.stringify(scoring.weights) : null
+      ]);
+      const score = saved.rows[0];
+
+      await client.query('DELETE FROM gov_opportunity_scoring_factors WHERE score_id = $1', [score.score_id]);
+      const factors = this.buildFactors(judges, scoring.weights || version.weights);
+      if (factors.length > 0) {
+        await client.query(`
+          INSERT INTO gov_opportunity_scoring_factors (
+            score_id, factor_category, factor_name, factor_description, factor_score, factor_weight, evidence, judge_name
+          )
+          SELECT $1, f.category, f.name, f.description, f.score, f.weight, f.evidence, f.judge
+          FROM jsonb_to_recordset($2::jsonb) AS f(category VARCHAR, name VARCHAR, description TEXT, score NUMERIC,
+            weight NUMERIC, evidence JSONB, judge VARCHAR)
+        `, [score.score_id, JSON.stringify(factors)]);
+      }
+
+      const before = previous.rows[0];
+      if (recordHistory && before && Number(before.overall_score) !== Number(score.overall_score)) {
+        await client.query(`
+          INSERT INTO gov_opportunity_scoring_history (
+            opportunity_id, company_id, previous_score, new_score, change_reason, changed_factors, triggered_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, 'data_update')
+        `, [
+          opportunity.id,
+          companyId,
+          before.overall_score,
+          score.overall_score,
+          reason,
+          JSON.stringify(this.changedJudges(before, score))
+        ]);
+      }
+
+      return score;
+    });
+  }
+
+  /**
+   * Fit category and recommendation for a score under a version's thresholds; opportunities failing
+   * hard constraints are skipped
+   */
+  classify(scoring, version = this.versions.getActive()) {
+    if (scoring.verdict === 'REJECTED') {
+      return { fit: 'poor', recommendation: RECOMMENDATIONS.poor };
+    }
+    const thresholds = version.thresholds.fitCategories;
+    const fit = ['excellent', 'good', 'fair'].find(category => scoring.overallScore >= thresholds[category]) || 'poor';
+    return { fit, recommendation: RECOMMENDATIONS[fit] };
+  }
+
+  /**
+   * One factor row per judge, recorded under the judge's factor and weighted by its share of the
+   * overall score; the judge's own factor breakdown goes with its evidence
+   */
+  buildFactors(judges, weights = this.versions.getActive().weights) {
+    const names = Object.keys(judges);
+    const totalWeight = names.reduce((sum, name) => sum + (weights[name] || 0.2), 0);
+
+    return names.map(name => {
+      const evaluation = judges[name];
+      const factor = this.judges.has(name)
+        ? this.judges.get(name).factor
+        : { category: 'other', name: name.charAt(0).toUpperCase() + name.slice(1) };
+      return {
+        category: factor.category,
+        name: factor.name,
+        description: evaluation.reasoning || null,
+        score: this.judgeScore(evaluation),
+        weight: this.round((weights[name] || 0.2) / totalWeight),
+        evidence: {
+          verdict: evaluation.verdict,
+          confidence: evaluation.confidence,
+          evidence: evaluation.evidence || [],
+          recommendations: evaluation.recommendations || [],
+          factors: evaluation.factors || []
+        },
+        judge: `${name}_judge`
+      };
+    });
+  }
+
+  /**
+   * Judges whose score column moved; judges without a column of their own are not tracked
+   */
+  changedJudges(before, after) {
+    return JUDGE_NAMES
+      .map(name => ({
+        judge: name,
+        previous: this.toNumber(before[`${name}_judge_score`]),
+        score: this.toNumber(after[`${name}_judge_score`])
+      }))
+      .filter(change => change.previous !== change.score);
+  }
+
+  /**
+   * Opportunity fields the judges read, from a gov_opportunities row. Notices do not list required
+   * capabilities or certifications, so there are no hard constraints; the technical judge matches
+   * capability taxonomy tags instead.
+   */
+  scoringInput(row) {
+    const naicsCodes = this.parseJsonField(row.naics_codes, []);
+    const tags = this.parseJsonField(row.parsed_tags, []);
+    const place = this.parseJsonField(row.place_of_performance, {});
+
+    return {
+      ...row,
+      naics_codes: naicsCodes,
+      parsed_tags: tags,
+      naics_code: naicsCodes[0] || null,
+      place_of_performance: place,
+      evaluation_criteria: this.parseJsonField(row.evaluation_criteria, []),
+      industry: tags.length > 0 ? getCapabilityTaxonomy().label(tags[0]) : null,
+      location: [place.city || place.county, place.state].filter(Boolean).join(', ') || null,
+      buyer_organization: row.agency,
+      buyer_type: 'government',
+      submission_deadline: row.due_date,
+      estimated_value: this.toNumber(row.value_estimated),
+      required_capabilities: [],
+      required_certifications: []
+    };
+  }
+
+  /**
+   * What the judges read for a score: profile and opportunity fields, and the results of lookups
+   * (embedding similarity, award history) so replays do not depend on them
+   * @param {object} profile - company_profiles row
+   * @param {object} row - gov_opportunities row
+   * @param {object} lookups - Lookups recorded while scoring
+   */
+  scoringInputs(profile, row, lookups = {}) {
+    const pick = (source, fields) => Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+    const judges = this.judges.list();
+    const declared = (fields, key) => [...new Set([...fields, ...judges.flatMap(judge => judge.inputs[key])])];
+    return {
+      profile: pick(profile, declared(PROFILE_INPUT_FIELDS, 'subject')),
+      opportunity: pick(row, declared(OPPORTUNITY_INPUT_FIELDS, 'opportunity')),
+      lookups
+    };
+  }
+
+  /**
+   * A persisted score (joined with its opportunity) in the scoring API shape
+   */
+  formatScore(row) {
+    const opportunity = this.scoringInput(row);
+    const explanation = this.parseJsonField(row.scoring_explanation, {});
+    const evidence = this.parseJsonField(row.evidence_summary, {});
+
+    return {
+      opportunityId: row.id,
+      title: row.title,
+      description: row.description,
+      industry: opportunity.industry,
+      submissionDeadline: row.due_date || null,
+      location: opportunity.location,
+      buyerOrganization: row.agency,
+      overallScore: this.toNumber(row.overall_score),
+      verdict: explanation.verdict || null,
+      fitCategory: row.fit_category,
+      recommendation: row.recommendation,
+      ...(evidence.constraintFailures?.length > 0 ? { constraintFailures: evidence.constraintFailures } : {}),
+      judgeScores: explanation.judges || {},
+      explanation: explanation.summary || null,
+      recommendations: this.parseJsonField(row.suggested_actions, []),
+      nextSteps: explanation.nextSteps || [],
+      // Shares of the overall score each judge carried, and how the profile's ratings changed the score
+      weights: this.parseJsonField(row.judge_weights, null),
+      weighting: explanation.weighting || null,
+      strengths: this.parseJsonField(row.opportunity_factors, []),
+      weaknesses: this.parseJsonField(row.risk_factors, []),
+      confidence: this.toNumber(row.confidence_score),
+      scoringVersion: row.scoring_version,
+      scoredAt: row.scored_at
+    };
+  }
+
+  judgeScore(evaluation) {
+    return evaluation && typeof evaluation.score === 'number' ? this.round(evaluation.score) : null;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  parseJsonField(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  toNumber(value) {
+    if (value === null || value === undefined) return null;
+    const parsed = Number(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+}
+
+OpportunityScoreService.RECOMMENDATIONS = RECOMMENDATIONS;
+
+module.exports = OpportunityScoreService;
@@ -1,18 +1,15 @@
 const { Database } = require('../database/connection');
 const { logger } = require('../utils/logger');
+const { getScoringVersions } = require('../utils/scoringVersions');
+const { applyImportance, normalize, validateImportance, weighScore } = require('../utils/scoringWeights');
+const { getJudgeRegistry } = require('./judges');
 
 class OpportunityScoringService {
   constructor() {
     this.db = Database.getInstance();
     
-    // Define the Panel of Judges
-    this.judges = {
-      technical: new TechnicalJudge(),
-      domain: new DomainJudge(),
-      value: new ValueJudge(),
-      innovation: new InnovationJudge(),
-      relationship: new RelationshipJudge()
-    };
+    // Define the Panel of Judges (the company judges of the judge registry)
+    this.judges = getJudgeRegistry().panel('company');
   }
 
   /**
@@ -32,7 +29,7 @@ class OpportunityScoringService {
       const scoringResult = await this.scoreOpportunity(company, opportunity);
 
       // Store scoring results
-      await this.storeScoringResults(companyId, opportunityId, scoringResult.overallScore, scoringResult.judgeScores);
+      await this.storeScoringResults(companyId, opportunityId, scoringResult.overallScore, scoringResult.judgeScores, scoringResult.weights);
 
       logger.info(`Scoring complete: ${company.name} scored ${scoringResult.overallScore}% for ${opportunity.title}`);
 
@@ -53,6 +50,8 @@ class OpportunityScoringService {
   /**
    * Algorithm 3, Part B: Core scoring logic (Unit Testable)
    * Evaluates a supplier-opportunity fit based on provided data objects.
+   * Judges are weighted like the active scoring version, adjusted by the company's priority
+   * ratings (scoring_weights) when it has any.
    */
   async scoreOpportunity(company, opportunity) {
     // Stage 1: Check hard constraints
@@ -72,8 +71,13 @@ class OpportunityScoringService {
     // Stage 2: Panel of Judges evaluation
     const judgeEvaluations = await this.runPanelOfJudges(company, opportunity);
 
-    // Calculate overall score
-    const overallScore = this.calculateOverallScore(judgeEvaluations);
+    // Calculate overall score with the company's judge weights
+    const { overallScore, weights, weighting } = weighScore(
+      getScoringVersions().getActive().weights,
+      company.scoring_weights,
+      judgeWeights => this.calculateOverallScore(judgeEvaluations, judgeWeights)
+    );
+    const explanation = this.generateOverallExplanation(judgeEvaluations);
 
     // Generate improvement recommendations
     const recommendations = this.generateRecommendations(judgeEvaluations, company, opportunity);
@@ -83,9 +87,46 @@ class OpportunityScoringService {
       verdict: overallScore >= 70 ? 'RECOMMENDED' : overallScore >= 50 ? 'POSSIBLE' : 'NOT_RECOMMENDED',
       constraintCheck,
       judgeScores: judgeEvaluations,
-      explanation: this.generateOverallExplanation(judgeEvaluations),
+      explanation: weighting ? `${explanation} ${weighting.summary}` : explanation,
       recommendations,
-      nextSteps: this.generateNextSteps(overallScore, judgeEvaluations)
+      nextSteps: this.generateNextSteps(overallScore, judgeEvaluations),
+      weights,
+      weighting
+    };
+  }
+
+  /**
+   * Replaces a company's priority ratings, which scoreOpportunity() applies to the judge weights
+   * @param {string} companyId - companies ID
+   * @param {object} importance - Judge -> rating 1-5; judges left out keep the version's weight
+   * @returns {Promise<object>} - { status: 'updated', scoringWeights } | { status: 'not_found' } | { status: 'invalid', error }
+   */
+  async updateScoringWeights(companyId, importance) {
+    const error = validateImportance(importance, Object.keys(this.judges));
+    if (error) {
+      return { status: 'invalid', error };
+    }
+
+    const result = await this.db.query(`
+      UPDATE companies
+      SET scoring_weights = $2
+      WHERE id = $1
+      RETURNING id
+    `, [companyId, JSON.stringify(importance)]);
+    if (result.rows.length === 0) {
+      return { status: 'not_found' };
+    }
+
+    const version = getScoringVersions().getActive();
+    logger.info(`⚖️ Scoring weights updated for company ${companyId}`, { importance });
+    return {
+      status: 'updated',
+      scoringWeights: {
+        importance,
+        weights: applyImportance(version.weights, importance),
+        defaultWeights: normalize(version.weights),
+        scoringVersion: version.version
+      }
     };
   }
 
@@ -161,17 +202,9 @@ class OpportunityScoringService {
 
   /**
    * Calculate overall score from judge evaluations
+   * @param {object} weights - Judge -> share of the overall score (default: the active scoring version's)
    */
-  calculateOverallScore(judgeEvaluations) {
-    // Weight each judge's score
-    const weights = {
-      technical: 0.30,
-      domain: 0.25,
-      value: 0.20,
-      innovation: 0.15,
-      relationship: 0.10
-    };
-
+  calculateOverallScore(judgeEvaluations, weights = getScoringVersions().getActive().weights) {
     let weightedSum = 0;
     let totalWeight = 0;
 
@@ -261,7 +294,7 @@ class OpportunityScoringService {
   /**
    * Store scoring results in database
    */
-  async storeScoringResults(companyId, opportunityId, overallScore, judgeEvaluations) {
+  async storeScoringResults(companyId, opportunityId, overallScore, judgeEvaluations, weights = null) {
     try {
       // Store main scoring result
       const scoringResult = await this.db.query(`
@@ -281,7 +314,7 @@ class OpportunityScoringService {
         overallScore,
         0.85, // Mock confidence
         true,
-        JSON.stringify({ judgeEvaluations })
+        JSON.stringify({ judgeEvaluations, weights })
       ]);
 
       const scoringResultId = scoringResult.rows[0].id;
@@ -324,259 +357,4 @@ class OpportunityScoringService {
   }
 }
 
-/**
- * Technical Judge - Focus on certifications, technical capabilities, compliance
- */
-class TechnicalJudge {
-  async evaluate(company, opportunity) {
-    let score = 50; // Base score
-    const evidence = [];
-    const recommendations = [];
-
-    // Check technical capabilities alignment
-    const requiredCaps = opportunity.required_capabilities || [];
-    const companyCaps = company.capabilities || [];
-    
-    const matchedCaps = requiredCaps.filter(cap => companyCaps.includes(cap));
-    const capMatchRatio = requiredCaps.length > 0 ? matchedCaps.length / requiredCaps.length : 1;
-    
-    score += capMatchRatio * 30;
-    
-    if (capMatchRatio < 1) {
-      recommendations.push(`Develop capabilities in: ${requiredCaps.filter(c => !companyCaps.includes(c)).join(', ')}`);
-    }
-    
-    evidence.push(`Matches ${matchedCaps.length}/${requiredCaps.length} required technical capabilities`);
-
-    // Check certifications
-    const requiredCerts = opportunity.required_certifications || [];
-    const companyCerts = company.certifications || [];
-    
-    const certMatchRatio = requiredCerts.length > 0 ? 
-      requiredCerts.filter(cert => companyCerts.includes(cert)).length / requiredCerts.length : 1;
-    
-    score += certMatchRatio * 20;
-    
-    if (certMatchRatio < 1) {
-      recommendations.push(`Obtain certifications: ${requiredCerts.filter(c => !companyCerts.includes(c)).join(', ')}`);
-    }
-    
-    evidence.push(`Has ${companyCerts.length} relevant certifications`);
-
-    // Verdict
-    const verdict = score >= 70 ? 'O' : 'X';
-
-    return {
-      score: Math.min(100, score),
-      verdict,
-      confidence: 0.88,
-      reasoning: `Technical evaluation based on capabilities match (${Math.round(capMatchRatio * 100)}%) and certifications (${Math.round(certMatchRatio * 100)}%)`,
-      evidence,
-      recommendations: recommendations.length > 0 ? recommendations : ['Maintain technical excellence']
-    };
-  }
-}
-
-/**
- * Domain Judge - Focus on industry experience and domain expertise
- */
-class DomainJudge {
-  async evaluate(company, opportunity) {
-    let score = 40; // Base score
-    const evidence = [];
-    const recommendations = [];
-
-    // Check industry alignment
-    const oppIndustry = opportunity.industry;
-    const companyIndustries = company.industries || [];
-    
-    if (companyIndustries.includes(oppIndustry)) {
-      score += 40;
-      evidence.push(`Direct experience in ${oppIndustry} industry`);
-    } else {
-      score += 10;
-      recommendations.push(`Build case studies in ${oppIndustry} industry`);
-      evidence.push('No direct industry experience');
-    }
-
-    // Years of experience bonus
-    if (company.years_experience >= opportunity.required_experience_years) {
-      score += 20;
-      evidence.push(`${company.years_experience} years of experience exceeds requirement`);
-    }
-
-    // Project volume indicator
-    if (company.total_projects > 20) {
-      score += 10;
-      evidence.push(`Proven track record with ${company.total_projects} completed projects`);
-    }
-
-    const verdict = score >= 70 ? 'O' : 'X';
-
-    return {
-      score: Math.min(100, score),
-      verdict,
-      confidence: 0.82,
-      reasoning: `Domain expertise evaluation focused on ${oppIndustry} industry experience and track record`,
-      evidence,
-      recommendations: recommendations.length > 0 ? recommendations : ['Leverage domain expertise in proposal']
-    };
-  }
-}
-
-/**
- * Value Judge - Focus on cost efficiency, ROI, delivery track record
- */
-class ValueJudge {
-  async evaluate(company, opportunity) {
-    let score = 50; // Base score
-    const evidence = [];
-    const recommendations = [];
-
-    // Size category alignment (smaller companies often provide better value)
-    if (company.size_category === 'small' || company.size_category === 'medium') {
-      score += 20;
-      evidence.push('Competitive pricing advantage from lean operations');
-    }
-
-    // Team size efficiency
-    if (company.team_size >= 10 && company.team_size <= 50) {
-      score += 15;
-      evidence.push('Right-sized team for efficient delivery');
-    }
-
-    // Success rate (mock calculation)
-    const successRate = company.credibility_score || 75;
-    if (successRate > 80) {
-      score += 20;
-      evidence.push(`High success rate: ${successRate}% credibility score`);
-    } else {
-      score += 10;
-      recommendations.push('Highlight successful project outcomes and ROI metrics');
-    }
-
-    // Project value alignment
-    const projectValueRange = opportunity.project_value_max - opportunity.project_value_min;
-    if (projectValueRange > 0) {
-      score += 15;
-      evidence.push('Experience with similar project budgets');
-    }
-
-    const verdict = score >= 65 ? 'O' : 'X';
-
-    return {
-      score: Math.min(100, score),
-      verdict,
-      confidence: 0.78,
-      reasoning: 'Value assessment based on cost efficiency, team size, and delivery track record',
-      evidence,
-      recommendations: recommendations.length > 0 ? recommendations : ['Emphasize value proposition and ROI']
-    };
-  }
-}
-
-/**
- * Innovation Judge - Focus on unique approaches, thought leadership, differentiation
- */
-class InnovationJudge {
-  async evaluate(company, opportunity) {
-    let score = 45; // Base score
-    const evidence = [];
-    const recommendations = [];
-
-    // Technology stack and capability modernity - check both arrays
-    const modernTech = ['AI/ML', 'blockchain', 'IoT', 'cloud', 'microservices', 'machine learning', 'AI research', 'data science', 'artificial intelligence'];
-    
-    // Check both technologies and capabilities for innovative terms
-    const companyTech = company.technologies || [];
-    const companyCaps = company.capabilities || [];
-    const allCompanyTech = [...companyTech, ...companyCaps];
-    
-    const innovativeTech = allCompanyTech.filter(t => 
-      modernTech.some(m => t.toLowerCase().includes(m.toLowerCase()))
-    );
-    
-    if (innovativeTech.length > 0) {
-      score += 35; // Increased from 25 to give stronger signal
-      evidence.push(`Uses innovative technologies/capabilities: ${innovativeTech.join(', ')}`);
-    } else {
-      recommendations.push('Highlight innovative approaches and unique methodologies');
-    }
-
-    // Unique capabilities
-    const uniqueCaps = company.capabilities || [];
-    if (uniqueCaps.length > 5) {
-      score += 20;
-      evidence.push('Diverse capability portfolio shows innovation potential');
-    }
-
-    // Recent founding (newer companies often more innovative)
-    const companyAge = new Date().getFullYear() - (company.founded_year || 2015);
-    if (companyAge <= 5) {
-      score += 15;
-      evidence.push('Modern company with fresh perspectives');
-    }
-
-    const verdict = score >= 60 ? 'O' : 'X';
-
-    return {
-      score: Math.min(100, score),
-      verdict,
-      confidence: 0.73,
-      reasoning: 'Innovation assessment based on technology adoption and unique approaches',
-      evidence,
-      recommendations: recommendations.length > 0 ? recommendations : ['Showcase innovative solutions and thought leadership']
-    };
-  }
-}
-
-/**
- * Relationship Judge - Focus on geography, cultural fit, partnership potential
- */
-class RelationshipJudge {
-  async evaluate(company, opportunity) {
-    let score = 40; // Base score, decreased from 50
-    const evidence = [];
-    const recommendations = [];
-
-    // Geographic alignment
-    const oppLocation = opportunity.location || '';
-    const companyRegions = company.service_regions || [];
-    
-    if (companyRegions.some(r => oppLocation.includes(r) || r === 'Remote')) {
-      score += 30;
-      evidence.push('Geographic coverage aligns with opportunity location');
-    } else {
-      score += 10;
-      recommendations.push('Establish local presence or remote delivery capabilities');
-    }
-
-    // Buyer type alignment
-    if (opportunity.buyer_type === 'government' && company.certifications?.includes('FedRAMP')) {
-      score += 20;
-      evidence.push('Government contracting experience');
-    } else if (opportunity.buyer_type === 'private') {
-      score += 15;
-      evidence.push('Private sector engagement experience');
-    }
-
-    // Company size harmony
-    if (company.size_category === opportunity.buyer_type) {
-      score += 10;
-      evidence.push('Good cultural fit based on organization size');
-    }
-
-    const verdict = score >= 65 ? 'O' : 'X';
-
-    return {
-      score: Math.min(100, score),
-      verdict,
-      confidence: 0.76,
-      reasoning: 'Relationship potential based on geographic alignment and cultural fit',
-      evidence,
-      recommendations: recommendations.length > 0 ? recommendations : ['Build relationships through pre-submission engagement']
-    };
-  }
-}
-
 module.exports = { OpportunityScoringService };
\ No newline at end of file
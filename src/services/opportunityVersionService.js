@@ -0,0 +1,296 @@
+/**
+ * Opportunity Version Service
+ *
+ * Tracks how government opportunities change between SAM.gov versions:
+ * - Diffs a stored gov_opportunities row against newly ingested data
+ * - Classifies changes (deadline extended/shortened, value, set-aside, attachments, amendments, scope)
+ * - Persists each diff as a numbered version in gov_opportunity_versions
+ * - Builds the change timeline for an opportunity
+ */
+
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+
+// Columns read from the stored row to diff against incoming data
+const TRACKED_COLUMNS = [
+  'title', 'description', 'due_date', 'pop_start', 'pop_end',
+  'value_low', 'value_high', 'value_estimated', 'set_aside',
+  'naics_codes', 'psc_codes', 'opportunity_type', 'attachments', 'amendments'
+];
+
+const VALUE_FIELDS = ['value_low', 'value_high', 'value_estimated'];
+
+// Long text is stored as an excerpt to keep version rows small
+const MAX_TEXT_EXCERPT = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class OpportunityVersionService {
+  constructor() {
+    this.db = Database.getInstance();
+  }
+
+  /**
+   * Compares a stored opportunity row with normalized incoming data
+   * @param {object} existing - Stored gov_opportunities row (JSONB parsed, DECIMAL as strings)
+   * @param {object} incoming - Output of normalizeOpportunityForDatabase (JSONB as strings)
+   * @returns {Array<object>} - Field-level changes: { field, changeType, previous, current, ... }
+   */
+  diffOpportunity(existing, incoming) {
+    const changes = [];
+
+    const dueDateChange = this.diffDueDate(existing.due_date, incoming.due_date);
+    if (dueDateChange) changes.push(dueDateChange);
+
+    VALUE_FIELDS.forEach(field => {
+      const previous = this.toNumber(existing[field]);
+      const current = this.toNumber(incoming[field]);
+      if (previous !== current) {
+        changes.push({
+          field,
+          changeType: 'value_changed',
+          previous,
+          current,
+          delta: previous !== null && current !== null ? current - previous : null
+        });
+      }
+    });
+
+    if ((existing.set_aside || null) !== (incoming.set_aside || null)) {
+      changes.push({
+        field: 'set_aside',
+        changeType: 'set_aside_changed',
+        previous: existing.set_aside || null,
+        current: incoming.set_aside || null
+      });
+    }
+
+    changes.push(...this.diffCollection('attachments', existing.attachments, incoming.attachments,
+      attachment => attachment.url || attachment.filename));
+
+    changes.push(...this.diffCollection('amendments', existing.amendments, incoming.amendments,
+      amendment => amendment.amendmentNumber || `${amendment.postedDate}:${amendment.description}`));
+
+    ['pop_start', 'pop_end'].forEach(field => {
+      if (!this.sameTime(existing[field], incoming[field])) {
+        changes.push({
+          field,
+          changeType: 'period_of_performance_changed',
+          previous: this.toIsoString(existing[field]),
+          current: this.toIsoString(incoming[field])
+        });
+      }
+    });
+
+    ['naics_codes', 'psc_codes'].forEach(field => {
+      const previous = this.parseJsonField(existing[field], []);
+      const current = this.parseJsonField(incoming[field], []);
+      if ([...previous].sort().join(',') !== [...current].sort().join(',')) {
+        changes.push({ field, changeType: 'classification_changed', previous, current });
+      }
+    });
+
+    if ((existing.opportunity_type || null) !== (incoming.opportunity_type || null)) {
+      changes.push({
+        field: 'opportunity_type',
+        changeType: 'type_changed',
+        previous: existing.opportunity_type || null,
+        current: incoming.opportunity_type || null
+      });
+    }
+
+    if ((existing.title || null) !== (incoming.title || null)) {
+      changes.push({
+        field: 'title',
+        changeType: 'title_changed',
+        previous: existing.title || null,
+        current: incoming.title || null
+      });
+    }
+
+    // Description edits usually mean the scope of work was revised
+    if ((existing.description || '') !== (incoming.description || '')) {
+      changes.push({
+        field: 'description',
+        changeType: 'scope_changed',
+        previous: this.excerpt(existing.description),
+        current: this.excerpt(incoming.description),
+        previousLength: (existing.description || '').length,
+        currentLength: (incoming.description || '').length
+      });
+    }
+
+    return changes;
+  }
+
+  diffDueDate(previousValue, currentValue) {
+    if (this.sameTime(previousValue, currentValue)) return null;
+
+    const previous = this.toIsoString(previousValue);
+    const current = this.toIsoString(currentValue);
+
+    let changeType;
+    if (!previous) {
+      changeType = 'deadline_added';
+    } else if (!current) {
+      changeType = 'deadline_removed';
+    } else {
+      changeType = new Date(current) > new Date(previous) ? 'deadline_extended' : 'deadline_shortened';
+    }
+
+    return {
+      field: 'due_date',
+      changeType,
+      previous,
+      current,
+      deltaDays: previous && current
+        ? Math.round(((new Date(current) - new Date(previous)) / DAY_MS) * 10) / 10
+        : null
+    };
+  }
+
+  /**
+   * Diffs two JSONB arrays by item key, reporting added and removed items
+   */
+  diffCollection(field, previousValue, currentValue, keyOf) {
+    const previous = this.parseJsonField(previousValue, []);
+    const current = this.parseJsonField(currentValue, []);
+    const previousKeys = new Set(previous.map(keyOf));
+    const currentKeys = new Set(current.map(keyOf));
+
+    const added = current.filter(item => !previousKeys.has(keyOf(item)));
+    const removed = previous.filter(item => !currentKeys.has(keyOf(item)));
+    const changes = [];
+
+    if (added.length > 0) {
+      changes.push({ field, changeType: `${field}_added`, previous: null, current: added });
+    }
+
+    if (removed.length > 0) {
+      changes.push({ field, changeType: `${field}_removed`, previous: removed, current: null });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Stores a new version for an opportunity inside the caller's transaction
+   * @param {object} client - Transaction client
+   * @param {string} opportunityId - Opportunity UUID
+   * @param {Array<object>} changes - Output of diffOpportunity
+   * @param {object} options - { sourceUpdatedAt }
+   * @returns {Promise<object|null>} - Stored version row, or null when there were no changes
+   */
+  async recordVersion(client, opportunityId, changes, options = {}) {
+    if (!changes || changes.length === 0) return null;
+
+    const changeTypes = [...new Set(changes.map(change => change.changeType))];
+
+    const query = `
+      INSERT INTO gov_opportunity_versions (
+        opportunity_id, version_number, changes, change_types, source_updated_at
+      )
+      SELECT $1, COALESCE(MAX(version_number), 1) + 1, $2, $3, $4
+      FROM gov_opportunity_versions
+      WHERE opportunity_id = $1
+      RETURNING id, version_number
+    `;
+
+    const result = await client.query(query, [
+      opportunityId,
+      JSON.stringify(changes),
+      JSON.stringify(changeTypes),
+      options.sourceUpdatedAt || null
+    ]);
+
+    logger.info(`📝 Recorded version ${result.rows[0]?.version_number} of opportunity ${opportunityId}`, {
+      changeTypes
+    });
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Builds the change timeline for an opportunity, oldest first
+   * @param {object} opportunity - Stored gov_opportunities row
+   * @returns {Promise<object>} - { currentVersion, changeCounts, events }
+   */
+  async getTimeline(opportunity) {
+    const result = await this.db.query(`
+      SELECT id, version_number, changes, change_types, source_updated_at, detected_at
+      FROM gov_opportunity_versions
+      WHERE opportunity_id = $1
+      ORDER BY version_number ASC
+    `, [opportunity.id]);
+
+    const changeCounts = {};
+    const versions = result.rows.map(row => {
+      const changeTypes = this.parseJsonField(row.change_types, []);
+      changeTypes.forEach(type => { changeCounts[type] = (changeCounts[type] || 0) + 1; });
+
+      return {
+        version: row.version_number,
+        type: 'updated',
+        detectedAt: row.detected_at,
+        sourceUpdatedAt: row.source_updated_at,
+        changeTypes,
+        changes: this.parseJsonField(row.changes, [])
+      };
+    });
+
+    return {
+      currentVersion: versions.length > 0 ? versions[versions.length - 1].version : 1,
+      changeCounts,
+      events: [
+        {
+          version: 1,
+          type: 'created',
+          detectedAt: opportunity.created_at,
+          sourceUpdatedAt: opportunity.posted_date,
+          changeTypes: [],
+          changes: []
+        },
+        ...versions
+      ]
+    };
+  }
+
+  // Helper methods
+
+  sameTime(a, b) {
+    const first = this.toIsoString(a);
+    const second = this.toIsoString(b);
+    return first === second;
+  }
+
+  toIsoString(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  parseJsonField(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  excerpt(text) {
+    if (!text) return null;
+    return text.length > MAX_TEXT_EXCERPT ? `${text.substring(0, MAX_TEXT_EXCERPT - 3)}...` : text;
+  }
+}
+
+OpportunityVersionService.TRACKED_COLUMNS = TRACKED_COLUMNS;
+
+module.exports = OpportunityVersionService;
@@ -0,0 +1,441 @@
+/**
+ * Profile Scoring Service
+ *
+ * Scores government opportunities for company profiles with the Panel of Judges (the profile judges
+ * of the judge registry, see services/judges) and persists the results through OpportunityScoreService.
+ * A scoring version decides which judges sit on the panel, how their scores are weighted and the
+ * verdict thresholds. Used by the scoring API, the background scoring worker and version replays.
+ */
+
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const OpportunityScoreService = require('./opportunityScoreService');
+const ScoringJobService = require('./scoringJobService');
+const { getJudgeRegistry } = require('./judges');
+const { getScoringVersions } = require('../utils/scoringVersions');
+const { applyImportance, normalize, parseImportance, validateImportance, weighScore } = require('../utils/scoringWeights');
+
+// Opportunity fields of a formatted score, returned under `opportunity` in the detail response
+const OPPORTUNITY_FIELDS = ['opportunityId', 'title', 'description', 'industry', 'submissionDeadline', 'location', 'buyerOrganization'];
+
+/**
+ * ProfileBasedScoringService
+ * Adapts the existing OpportunityScoringService to work with company_profiles
+ * instead of the old companies table
+ */
+class ProfileBasedScoringService {
+  constructor() {
+    this.db = Database.getInstance();
+    this.scoreService = new OpportunityScoreService();
+    this.jobService = new ScoringJobService();
+    this.versions = getScoringVersions();
+    // Profile judges; each version seats the ones it weights
+    this.judges = getJudgeRegistry();
+  }
+
+  /**
+   * Persisted scores of active opportunities for a user's profile, best fit first. Missing and
+   * outdated scores (the opportunity or profile changed since, or the lifecycle flagged them stale)
+   * are left to the scoring worker: the profile is queued when it has some and no job yet.
+   */
+  async scoreOpportunitiesForProfile(userId, { limit = 20, offset = 0, fitCategory = null } = {}) {
+    try {
+      // Get user's profile
+      const profile = await this.getUserProfile(userId);
+      if (!profile) {
+        throw new Error('User profile not found');
+      }
+
+      const pending = await this.scoreService.countOutdated(profile);
+      let job = await this.jobService.getActiveJob(profile.id);
+      if (pending > 0 && !job) {
+        job = await this.jobService.enqueue(profile.id, { reason: 'requested' });
+      }
+
+      const { rows, total } = await this.scoreService.listScores(profile.id, { limit, offset, fitCategory });
+
+      return {
+        opportunities: rows.map(row => this.scoreService.formatScore(row)),
+        total,
+        pending,
+        scoringJob: job ? this.jobService.formatJob(job) : null
+      };
+
+    } catch (error) {
+      logger.error('Profile opportunity scoring failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scores and saves one batch of the profile's missing and outdated opportunity scores, in the
+   * active version first and then in shadow versions
+   * @param {object} profile - company_profiles row
+   * @param {object} options
+   * @param {number} options.limit - Opportunities to score in this batch
+   * @param {Array<string>} options.excludeIds - Opportunities to skip (failed earlier in the same job)
+   * @returns {Promise<object>} - { scored, failedIds, remaining }
+   */
+  async scoreOutdated(profile, { limit = 50, excludeIds = [] } = {}) {
+    let scored = 0;
+    let remaining = 0;
+    const failedIds = [];
+
+    for (const version of this.versions.getLive()) {
+      const left = limit - scored - failedIds.length;
+      if (left <= 0) {
+        remaining += await this.scoreService.countOutdated(profile, version.version);
+        continue;
+      }
+
+      const outdated = await this.scoreService.findOutdated(profile, {
+        limit: left,
+        excludeIds: [...excludeIds, ...failedIds],
+        version: version.version
+      });
+      for (const row of outdated.opportunities) {
+        try {
+          await this.scoreAndSave(profile, row, version);
+          scored++;
+        } catch (error) {
+          logger.warn(`Failed to score opportunity ${row.id} (version ${version.version}):`, error);
+          failedIds.push(row.id);
+          // Continue with other opportunities
+        }
+      }
+      remaining += outdated.total - outdated.opportunities.length;
+    }
+
+    return { scored, failedIds, remaining };
+  }
+
+  /**
+   * Get detailed scoring for a specific opportunity, re-scoring it when its persisted score is out of date
+   */
+  async getOpportunityScoring(userId, opportunityId) {
+    try {
+      const profile = await this.getUserProfile(userId);
+      if (!profile) {
+        throw new Error('User profile not found');
+      }
+
+      const row = await this.scoreService.getOpportunity(profile, opportunityId);
+      if (!row) {
+        throw new Error('Opportunity not found');
+      }
+
+      const scored = row.rescore_reason ? { ...row, ...await this.scoreAndSave(profile, row) } : row;
+      const opportunity = this.scoreService.scoringInput(scored);
+      const formatted = this.scoreService.formatScore(scored);
+      const scoring = Object.fromEntries(Object.entries(formatted).filter(([key]) => !OPPORTUNITY_FIELDS.includes(key)));
+
+      return {
+        profile: {
+          name: profile.name,
+          summary: profile.summary,
+          businessType: profile.business_type
+        },
+        opportunity: {
+          id: opportunity.id,
+          title: opportunity.title,
+          description: opportunity.description,
+          industry: opportunity.industry,
+          location: opportunity.location,
+          buyerOrganization: opportunity.buyer_organization,
+          submissionDeadline: opportunity.submission_deadline || null,
+          status: opportunity.processing_status,
+          awardBasis: opportunity.award_basis || null,
+          evaluationCriteria: opportunity.evaluation_criteria
+        },
+        ...scoring
+      };
+
+    } catch (error) {
+      logger.error('Opportunity detail scoring failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A profile's priority ratings and the judge weights they give in the active version
+   * @param {object} profile - company_profiles row
+   * @returns {object} - { importance, weights, defaultWeights, scoringVersion }
+   */
+  describeScoringWeights(profile) {
+    const version = this.versions.getActive();
+    return {
+      importance: parseImportance(profile.scoring_weights),
+      weights: applyImportance(version.weights, profile.scoring_weights),
+      defaultWeights: normalize(version.weights),
+      scoringVersion: version.version
+    };
+  }
+
+  /**
+   * Replaces a profile's priority ratings and queues its opportunities for re-scoring with them
+   * @param {object} profile - company_profiles row
+   * @param {object} importance - Judge -> rating 1-5; judges left out keep the version's weight
+   * @returns {Promise<object>} - { status: 'updated', scoringWeights, scoringJob } | { status: 'invalid', error }
+   */
+  async updateScoringWeights(profile, importance) {
+    const error = validateImportance(importance, this.judges.names());
+    if (error) {
+      return { status: 'invalid', error };
+    }
+
+    // Unchanged ratings leave the scores current
+    const current = parseImportance(profile.scoring_weights);
+    const judges = new Set([...Object.keys(current), ...Object.keys(importance)]);
+    if ([...judges].every(judge => current[judge] === importance[judge])) {
+      return { status: 'updated', scoringWeights: this.describeScoringWeights(profile), scoringJob: null };
+    }
+
+    // Moving updated_at marks every score of the profile outdated
+    const result = await this.db.query(`
+      UPDATE company_profiles
+      SET scoring_weights = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [profile.id, JSON.stringify(importance)]);
+    const updated = result.rows[0];
+    const job = await this.jobService.enqueue(profile.id, { reason: 'profile_updated' });
+
+    logger.info(`⚖️ Scoring weights updated for company profile ${profile.id}`, { importance });
+    return {
+      status: 'updated',
+      scoringWeights: this.describeScoringWeights(updated),
+      scoringJob: job ? this.jobService.formatJob(job) : null
+    };
+  }
+
+  /**
+   * Scores a gov_opportunities row for the profile in a version and persists the result with its inputs
+   * @returns {Promise<object>} - The saved score columns
+   */
+  async scoreAndSave(profile, row, version = this.versions.getActive()) {
+    const context = { lookups: {} };
+    const scoring = await this.scoreOpportunity(profile, this.scoreService.scoringInput(row), version, context);
+    return this.scoreService.saveScore(profile.id, row, scoring, row.rescore_reason || 'unscored', {
+      version,
+      inputs: this.scoreService.scoringInputs(profile, row, context.lookups)
+    });
+  }
+
+  /**
+   * Scores the inputs stored with a score in a version. Lookups come from the inputs alone; one the
+   * original score did not make counts as unavailable.
+   * @param {object} inputs - scoring_inputs of a stored score
+   * @param {object} version - Scoring version definition
+   */
+  async replay(inputs, version) {
+    return this.scoreOpportunity(inputs.profile, this.scoreService.scoringInput(inputs.opportunity), version, {
+      lookups: { ...inputs.lookups },
+      replay: true
+    });
+  }
+
+  /**
+   * Core scoring logic adapted for profiles
+   * @param {object} profile - company_profiles row; its scoring_weights ratings adjust the version's weights
+   * @param {object} opportunity - Opportunity in the shape the judges read
+   * @param {object} version - Scoring version definition (default: the active version)
+   * @param {object} context - { lookups, replay }: lookups judges made, or replay from when replay is set
+   */
+  async scoreOpportunity(profile, opportunity, version = this.versions.getActive(), context = { lookups: {} }) {
+    // Stage 1: Check hard constraints
+    const constraintCheck = this.checkHardConstraints(profile, opportunity);
+    
+    if (!constraintCheck.passed) {
+      return {
+        overallScore: 0,
+        verdict: 'REJECTED',
+        constraintFailures: constraintCheck.failures,
+        judgeScores: {},
+        explanation: 'Hard constraints not met.',
+        recommendations: ['Address constraint failures before applying'],
+        nextSteps: ['❌ This opportunity is not suitable', '🔍 Look for opportunities better aligned with your profile']
+      };
+    }
+
+    // Stage 2: Panel of Judges evaluation
+    const judgeEvaluations = await this.runPanelOfJudges(profile, opportunity, Object.keys(version.weights), context);
+
+    // Calculate overall score (0-100 scale as required by MBF-103) with the profile's judge weights
+    const { overallScore, weights, weighting } = weighScore(
+      version.weights,
+      profile.scoring_weights,
+      judgeWeights => this.calculateOverallScore(judgeEvaluations, judgeWeights)
+    );
+    const explanation = this.generateOverallExplanation(judgeEvaluations, overallScore);
+    const verdicts = version.thresholds.verdicts;
+
+    // Generate improvement recommendations
+    const recommendations = this.generateRecommendations(judgeEvaluations);
+    const nextSteps = this.generateNextSteps(overallScore, judgeEvaluations);
+
+    return {
+      overallScore,
+      verdict: overallScore >= verdicts.recommended ? 'RECOMMENDED' : overallScore >= verdicts.possible ? 'POSSIBLE' : 'NOT_RECOMMENDED',
+      constraintCheck,
+      judgeScores: judgeEvaluations,
+      explanation: weighting ? `${explanation} ${weighting.summary}` : explanation,
+      recommendations,
+      nextSteps,
+      strengths: this.extractStrengths(judgeEvaluations),
+      weaknesses: this.extractWeaknesses(judgeEvaluations),
+      weights,
+      weighting
+    };
+  }
+
+  /**
+   * Check hard constraints for profiles
+   */
+  checkHardConstraints(profile, opportunity) {
+    const failures = [];
+    let passed = true;
+
+    // Check required certifications
+    if (opportunity.required_certifications && opportunity.required_certifications.length > 0) {
+      const profileCerts = profile.certifications || [];
+      const missingCerts = opportunity.required_certifications.filter(
+        cert => cert && !profileCerts.some(pc => pc && typeof pc === 'string' && pc.toLowerCase().includes(cert.toLowerCase()))
+      );
+      
+      if (missingCerts.length > 0) {
+        failures.push({
+          type: 'certification',
+          message: `Missing required certifications: ${missingCerts.join(', ')}`
+        });
+        passed = false;
+      }
+    }
+
+    // Check required capabilities
+    if (opportunity.required_capabilities && opportunity.required_capabilities.length > 0) {
+      const profileCaps = profile.capabilities || [];
+      const missingCaps = opportunity.required_capabilities.filter(
+        cap => cap && !profileCaps.some(pc => pc && typeof pc === 'string' && pc.toLowerCase().includes(cap.toLowerCase()))
+      );
+      
+      if (missingCaps.length > 0) {
+        failures.push({
+          type: 'capabilities',
+          message: `Missing required capabilities: ${missingCaps.join(', ')}`
+        });
+        passed = false;
+      }
+    }
+
+    return { passed, failures };
+  }
+
+  /**
+   * Run Panel of Judges evaluation
+   * @param {Array<string>} judgeNames - The version's judges
+   */
+  async runPanelOfJudges(profile, opportunity, judgeNames = Object.keys(this.versions.getActive().weights), context = { lookups: {} }) {
+    const evaluations = {};
+
+    for (const judgeName of judgeNames) {
+      evaluations[judgeName] = await this.judges.get(judgeName).evaluate(profile, opportunity, context);
+    }
+
+    return evaluations;
+  }
+
+  /**
+   * Calculate overall score (0-100 scale)
+   * @param {object} weights - Judge -> share of the overall score
+   */
+  calculateOverallScore(judgeEvaluations, weights = this.versions.getActive().weights) {
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    for (const [judge, evaluation] of Object.entries(judgeEvaluations)) {
+      const weight = weights[judge] || 0.2;
+      weightedSum += evaluation.score * weight;
+      totalWeight += weight;
+    }
+
+    return Math.round(weightedSum / totalWeight);
+  }
+
+  generateOverallExplanation(judgeEvaluations, overallScore) {
+    if (overallScore >= 80) {
+      return 'Excellent fit! Your profile strongly aligns with this opportunity across multiple evaluation criteria.';
+    } else if (overallScore >= 60) {
+      return 'Good potential fit. Some areas may need strengthening, but overall alignment is positive.';
+    } else if (overallScore >= 40) {
+      return 'Moderate fit. Significant improvements needed in key areas to be competitive.';
+    } else {
+      return 'Limited fit. This opportunity may not align well with your current profile and capabilities.';
+    }
+  }
+
+  generateRecommendations(judgeEvaluations) {
+    const recommendations = [];
+
+    for (const [judgeName, evaluation] of Object.entries(judgeEvaluations)) {
+      if (evaluation.score < 70 && evaluation.recommendations) {
+        recommendations.push(...evaluation.recommendations);
+      }
+    }
+
+    return [...new Set(recommendations)]; // Remove duplicates
+  }
+
+  generateNextSteps(overallScore, judgeEvaluations) {
+    const steps = [];
+
+    if (overallScore >= 80) {
+      steps.push('✅ Proceed with proposal - excellent fit');
+      steps.push('📊 Emphasize your strongest areas in the executive summary');
+      steps.push('🤝 Consider reaching out to buyer for questions');
+    } else if (overallScore >= 60) {
+      steps.push('⚠️ Address weaknesses before submitting');
+      steps.push('🎯 Focus on improving lowest-scoring areas');
+      steps.push('🤝 Consider partnerships to strengthen weak areas');
+    } else {
+      steps.push('❌ This opportunity may not be suitable');
+      steps.push('🔍 Look for better-aligned opportunities');
+      steps.push('📈 Use feedback to strengthen your profile');
+    }
+
+    return steps;
+  }
+
+  extractStrengths(judgeEvaluations) {
+    return Object.entries(judgeEvaluations)
+      .filter(([_, evaluation]) => evaluation.score >= 75)
+      .map(([judge, evaluation]) => ({
+        area: judge.charAt(0).toUpperCase() + judge.slice(1),
+        score: evaluation.score,
+        reasoning: evaluation.reasoning
+      }));
+  }
+
+  extractWeaknesses(judgeEvaluations) {
+    return Object.entries(judgeEvaluations)
+      .filter(([_, evaluation]) => evaluation.score < 60)
+      .map(([judge, evaluation]) => ({
+        area: judge.charAt(0).toUpperCase() + judge.slice(1),
+        score: evaluation.score,
+        reasoning: evaluation.reasoning,
+        recommendations: evaluation.recommendations
+      }));
+  }
+
+  // Helper methods
+  async getUserProfile(userId) {
+    const result = await this.db.query('SELECT * FROM company_profiles WHERE user_id = $1', [userId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  async getProfile(companyId) {
+    const result = await this.db.query('SELECT * FROM company_profiles WHERE id = $1', [companyId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+}
+
+module.exports = ProfileBasedScoringService;
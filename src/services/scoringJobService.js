@@ -0,0 +1,315 @@
+/**
+ * Scoring Job Service
+ *
+ * Postgres-backed queue of background scoring jobs, one per company profile:
+ * - enqueue()/enqueueAllProfiles() add jobs; a profile with a queued or running job gets it merged
+ *   into that job (raising its priority) instead of a second one
+ * - claim() hands the highest-priority due job to a worker with FOR UPDATE SKIP LOCKED and a lease,
+ *   so workers never share a job and jobs of crashed workers are picked up once their lease expires
+ * - completeBatch() records a batch's progress and requeues the job while outdated scores remain;
+ *   a batch in which nothing could be scored counts as a failed attempt
+ * - failBatch() retries with exponential backoff (30 seconds, doubling up to an hour) and fails the
+ *   job after max_attempts consecutive failed batches
+ */
+
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+
+const STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Default priorities: interactive work outranks bulk re-scoring after ingestion
+const PRIORITIES = {
+  profile_updated: 20,
+  requested: 10,
+  admin: 10,
+  promotion: 10,
+  ingestion: 0,
+  shadow: 0
+};
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+// Keep the per-job list of opportunities that failed to score bounded
+const MAX_FAILED_OPPORTUNITIES = 1000;
+
+class ScoringJobService {
+  constructor() {
+    this.db = Database.getInstance();
+  }
+
+  /**
+   * Queues scoring for a profile, or merges into its queued or running job
+   * @param {string} companyId - company_profiles.id
+   * @param {object} options
+   * @param {string} options.reason - 'profile_updated', 'requested', 'admin', 'promotion', 'ingestion' or 'shadow'
+   * @param {number} options.priority - Higher runs first (default depends on the reason)
+   * @param {number} options.enqueuedBy - User ID for admin requests
+   * @returns {Promise<object>} - The job row
+   */
+  async enqueue(companyId, { reason = 'requested', priority = PRIORITIES[reason] ?? 0, enqueuedBy = null } = {}) {
+    const result = await this.db.query(`
+      INSERT INTO scoring_jobs (company_id, reason, priority, enqueued_by, max_attempts)
+      VALUES ($1, $2, $3, $4, $5)
+      ${this.mergeClause()}
+      RETURNING *
+    `, [companyId, reason, priority, enqueuedBy, MAX_ATTEMPTS]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Queues scoring for every company profile (e.g. after ingestion stored or changed opportunities)
+   * @returns {Promise<number>} - Number of jobs queued or merged
+   */
+  async enqueueAllProfiles({ reason = 'ingestion', priority = PRIORITIES[reason] ?? 0, enqueuedBy = null } = {}) {
+    const result = await this.db.query(`
+      INSERT INTO scoring_jobs (company_id, reason, priority, enqueued_by, max_attempts)
+      SELECT id, $1, $2, $3, $4 FROM company_profiles
+      ${this.mergeClause()}
+    `, [reason, priority, enqueuedBy, MAX_ATTEMPTS]);
+
+    logger.info(`📥 Queued scoring for ${result.rowCount} company profiles (${reason})`);
+    return result.rowCount;
+  }
+
+  /**
+   * A running job already looks at current data on its next batch; rerun makes it take one more
+   * pass for changes that land after its last batch found nothing left.
+   */
+  mergeClause() {
+    return `
+      ON CONFLICT (company_id) WHERE status IN ('queued', 'running') DO UPDATE
+      SET priority = GREATEST(scoring_jobs.priority, EXCLUDED.priority),
+          rerun = scoring_jobs.rerun OR scoring_jobs.status = 'running',
+          updated_at = NOW()
+    `;
+  }
+
+  /**
+   * Claims the next due job for a worker
+   * @param {string} workerId - Identifies the worker holding the lease
+   * @param {number} leaseMs - How long the worker may hold the job before others may reclaim it
+   * @returns {Promise<object|null>} - The claimed job, or null when none is due
+   */
+  async claim(workerId, leaseMs) {
+    const result = await this.db.query(`
+      -- An expired lease on the last allowed attempt fails the job instead of handing it out again
+      WITH exhausted AS (
+        UPDATE scoring_jobs
+        SET status = 'failed',
+            attempts = attempts + 1,
+            last_error = 'Worker lease expired on the last attempt',
+            completed_at = NOW(),
+            locked_by = NULL,
+            lease_expires_at = NULL,
+            updated_at = NOW()
+        WHERE status = 'running' AND lease_expires_at < NOW() AND attempts + 1 >= max_attempts
+      )
+      UPDATE scoring_jobs j
+      SET status = 'running',
+          -- A reclaimed job's previous worker died mid-batch, which counts as a failed attempt
+          attempts = j.attempts + CASE WHEN j.status = 'running' THEN 1 ELSE 0 END,
+          locked_by = $1,
+          lease_expires_at = NOW() + make_interval(secs => $2::double precision / 1000),
+          started_at = COALESCE(j.started_at, NOW()),
+          updated_at = NOW()
+      WHERE j.id = (
+        SELECT id FROM scoring_jobs
+        WHERE (status = 'queued' AND run_after <= NOW())
+           OR (status = 'running' AND lease_expires_at < NOW() AND attempts + 1 < max_attempts)
+        ORDER BY priority DESC, run_after, created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING j.*
+    `, [workerId, leaseMs]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Records a batch and releases the job: back to the queue while outdated scores remain (or a
+   * rerun was requested), completed otherwise. A batch in which every opportunity failed to score
+   * counts as a failed attempt (see failBatch()), and the job fails once more opportunities failed
+   * than its failed list can hold, since the ones left off it would be picked up again.
+   * @param {object} job - The claimed job
+   * @param {string} workerId - Worker holding the lease; a job reclaimed by another worker is left alone
+   * @param {object} batch - { scored, failedIds, remaining }
+   * @returns {Promise<object|null>} - The updated job, or null when the lease was lost
+   */
+  async completeBatch(job, workerId, { scored, failedIds = [], remaining }) {
+    const allFailed = scored === 0 && failedIds.length > 0;
+
+    const result = await this.db.query(`
+      UPDATE scoring_jobs j
+      SET batch_count = j.batch_count + 1,
+          scored_count = j.scored_count + $3,
+          failed_count = j.failed_count + $4,
+          failed_opportunities = (
+            SELECT COALESCE(jsonb_agg(value), '[]'::jsonb)
+            FROM (SELECT value FROM jsonb_array_elements(j.failed_opportunities || $5::jsonb) LIMIT $7) failed
+          ),
+          remaining_count = $6,
+          status = outcome.status,
+          completed_at = CASE WHEN outcome.status = 'queued' THEN NULL ELSE NOW() END,
+          rerun = CASE WHEN $6 > 0 AND outcome.status = 'queued' THEN j.rerun ELSE FALSE END,
+          attempts = CASE WHEN $8 THEN j.attempts + 1 ELSE 0 END,
+          last_error = outcome.error,
+          run_after = CASE WHEN $8 THEN NOW() + make_interval(secs => LEAST($10, $9 * POWER(2, j.attempts))) ELSE NOW() END,
+          locked_by = NULL,
+          lease_expires_at = NULL,
+          updated_at = NOW()
+      FROM (
+        SELECT id,
+               CASE
+                 WHEN jsonb_array_length(failed_opportunities || $5::jsonb) > $7 THEN 'failed'
+                 WHEN $8 AND attempts + 1 >= max_attempts THEN 'failed'
+                 WHEN $6 > 0 OR rerun THEN 'queued'
+                 ELSE 'completed'
+               END AS status,
+               CASE
+                 WHEN jsonb_array_length(failed_opportunities || $5::jsonb) > $7 THEN $11
+                 WHEN $8 THEN $12
+               END AS error
+        FROM scoring_jobs
+        WHERE id = $1
+      ) outcome
+      WHERE j.id = outcome.id AND j.locked_by = $2 AND j.status = 'running'
+      RETURNING j.*
+    `, [
+      job.id, workerId, scored, failedIds.length, JSON.stringify(failedIds), remaining, MAX_FAILED_OPPORTUNITIES,
+      allFailed, BASE_RETRY_DELAY_SECONDS, MAX_RETRY_DELAY_SECONDS,
+      `More than ${MAX_FAILED_OPPORTUNITIES} opportunities failed to score`,
+      `None of the ${failedIds.length} opportunities in the batch could be scored`
+    ]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Records a failed batch: retried after a backoff, or failed once max_attempts is reached
+   * @returns {Promise<object|null>} - The updated job, or null when the lease was lost
+   */
+  async failBatch(job, workerId, error) {
+    const result = await this.db.query(`
+      UPDATE scoring_jobs
+      SET attempts = attempts + 1,
+          last_error = $3,
+          status = CASE WHEN attempts + 1 >= max_attempts THEN 'failed' ELSE 'queued' END,
+          completed_at = CASE WHEN attempts + 1 >= max_attempts THEN NOW() ELSE NULL END,
+          run_after = NOW() + make_interval(secs => LEAST($5, $4 * POWER(2, attempts))),
+          locked_by = NULL,
+          lease_expires_at = NULL,
+          updated_at = NOW()
+      WHERE id = $1 AND locked_by = $2 AND status = 'running'
+      RETURNING *
+    `, [job.id, workerId, error.message, BASE_RETRY_DELAY_SECONDS, MAX_RETRY_DELAY_SECONDS]);
+
+    return result.rows[0] || null;
+  }
+
+  async getJob(jobId) {
+    const result = await this.db.query('SELECT * FROM scoring_jobs WHERE id = $1', [jobId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The profile's queued or running job, if any
+   */
+  async getActiveJob(companyId) {
+    const result = await this.db.query(`
+      SELECT * FROM scoring_jobs WHERE company_id = $1 AND status IN ('queued', 'running')
+    `, [companyId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Jobs, newest first
+   * @param {object} filters - { companyId, status, limit, offset }
+   * @returns {Promise<object>} - { jobs, total }
+   */
+  async listJobs({ companyId = null, status = null, limit = 20, offset = 0 } = {}) {
+    const result = await this.db.query(`
+      SELECT *, COUNT(*) OVER () AS total_count
+      FROM scoring_jobs
+      WHERE ($1::uuid IS NULL OR company_id = $1)
+        AND ($2::varchar IS NULL OR status = $2)
+      ORDER BY created_at DESC, id
+      LIMIT $3 OFFSET $4
+    `, [companyId, status, limit, offset]);
+
+    return {
+      jobs: result.rows,
+      total: result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Jobs by status, outdated scores still queued, and how long the oldest due job has waited
+   */
+  async getQueueStats() {
+    const result = await this.db.query(`
+      SELECT status,
+             COUNT(*)::int AS count,
+             COALESCE(SUM(remaining_count), 0)::int AS remaining,
+             EXTRACT(EPOCH FROM NOW() - MIN(run_after) FILTER (WHERE run_after <= NOW()))::int AS oldest_due_seconds
+      FROM scoring_jobs
+      WHERE status IN ('queued', 'running') OR completed_at > NOW() - INTERVAL '1 day'
+      GROUP BY status
+    `);
+
+    const stats = { queued: 0, running: 0, completed: 0, failed: 0, remaining: 0, oldestQueuedSeconds: null };
+    result.rows.forEach(row => {
+      stats[row.status] = Number(row.count);
+      if (row.status === 'queued') {
+        stats.remaining += Number(row.remaining);
+        stats.oldestQueuedSeconds = row.oldest_due_seconds === null ? null : Number(row.oldest_due_seconds);
+      } else if (row.status === 'running') {
+        stats.remaining += Number(row.remaining);
+      }
+    });
+    return stats;
+  }
+
+  /**
+   * A job in the API shape, with progress of the current pass
+   */
+  formatJob(row) {
+    const scored = Number(row.scored_count) || 0;
+    const failed = Number(row.failed_count) || 0;
+    const remaining = row.remaining_count === null || row.remaining_count === undefined ? null : Number(row.remaining_count);
+    const done = scored + failed;
+
+    return {
+      id: row.id,
+      companyId: row.company_id,
+      status: row.status,
+      priority: row.priority,
+      reason: row.reason,
+      progress: {
+        batches: Number(row.batch_count) || 0,
+        scored,
+        failed,
+        remaining,
+        percent: row.status === 'completed'
+          ? 100
+          : remaining === null || done + remaining === 0 ? null : Math.round((done / (done + remaining)) * 100)
+      },
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      lastError: row.last_error || null,
+      runAfter: row.run_after || null,
+      createdAt: row.created_at || null,
+      startedAt: row.started_at || null,
+      completedAt: row.completed_at || null
+    };
+  }
+}
+
+ScoringJobService.STATUSES = STATUSES;
+ScoringJobService.PRIORITIES = PRIORITIES;
+ScoringJobService.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = ScoringJobService;
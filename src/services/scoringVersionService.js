@@ -0,0 +1,416 @@
+/**
+ * Scoring Version Service
+ *
+ * Registers scoring versions and compares them before one is promoted:
+ * - Versions registered by admins are stored in scoring_versions and loaded at startup, by scoring
+ *   workers before each batch and after every change
+ * - Shadow versions are scored by the scoring worker next to the active version
+ * - replay() scores a version from the inputs stored with another version's scores, so old versions
+ *   and candidates can be compared on exactly the same data
+ * - compare() reports per-profile rank correlation (Spearman), top-K overlap, score changes and fit
+ *   category agreement between two versions
+ * - promote() makes a version the one the scoring API reads and queues every profile for re-scoring
+ * Versions seat the profile judges of the judge registry they weight; listJudges() shows which are available.
+ */
+
+const { Database } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { getScoringVersions, withDefaultThresholds } = require('../utils/scoringVersions');
+const OpportunityScoreService = require('./opportunityScoreService');
+const ProfileBasedScoringService = require('./profileScoringService');
+const ScoringJobService = require('./scoringJobService');
+const { getJudgeRegistry } = require('./judges');
+
+// Profiles listed in a comparison report, least correlated first
+const REPORT_PROFILE_LIMIT = 20;
+
+class ScoringVersionService {
+  constructor() {
+    this.db = Database.getInstance();
+    this.versions = getScoringVersions();
+    this.scoreService = new OpportunityScoreService();
+    this.scoringService = new ProfileBasedScoringService();
+    this.jobService = new ScoringJobService();
+    this.judges = getJudgeRegistry();
+  }
+
+  /**
+   * Loads registered versions and version states from the database into the shared registry
+   * @returns {Promise<number>} - Number of versions loaded
+   */
+  async refresh() {
+    const result = await this.db.query(`
+      SELECT version, description, scoring_type, weights, thresholds, status
+      FROM scoring_versions
+      ORDER BY created_at, version
+    `);
+
+    this.versions.setVersions(result.rows);
+    return result.rows.length;
+  }
+
+  /**
+   * Refreshes without failing the caller; the current versions stay in use when the database is unavailable
+   */
+  async refreshSafely() {
+    try {
+      const count = await this.refresh();
+      logger.debug(`🧮 Loaded ${count} scoring versions (active: ${this.versions.getActive().version})`);
+    } catch (error) {
+      logger.warn('⚠️ Failed to load scoring versions:', error.message);
+    }
+  }
+
+  /**
+   * Registered versions with how many scores each has
+   */
+  async listVersions() {
+    await this.refresh();
+    const result = await this.db.query(`
+      SELECT v.version, v.created_at, v.promoted_at,
+             COALESCE(s.scores, 0)::int AS scores,
+             COALESCE(s.profiles, 0)::int AS profiles,
+             s.last_scored_at
+      FROM scoring_versions v
+      LEFT JOIN (
+        SELECT scoring_version, COUNT(*) AS scores, COUNT(DISTINCT company_id) AS profiles, MAX(scored_at) AS last_scored_at
+        FROM gov_opportunity_scores
+        GROUP BY scoring_version
+      ) s ON s.scoring_version = v.version
+    `);
+    const stats = new Map(result.rows.map(row => [row.version, row]));
+
+    return this.versions.list().map(definition => {
+      const row = stats.get(definition.version) || {};
+      return {
+        ...definition,
+        scores: row.scores || 0,
+        profiles: row.profiles || 0,
+        lastScoredAt: row.last_scored_at || null,
+        createdAt: row.created_at || null,
+        promotedAt: row.promoted_at || null
+      };
+    });
+  }
+
+  /**
+   * Registered profile judges with the versions that weight them
+   */
+  async listJudges() {
+    await this.refresh();
+    const versions = this.versions.list();
+    return this.judges.describe().map(judge => ({
+      ...judge,
+      versions: versions
+        .filter(definition => definition.weights[judge.name] > 0)
+        .map(definition => ({ version: definition.version, status: definition.status, weight: definition.weights[judge.name] }))
+    }));
+  }
+
+  /**
+   * Why a version cannot be scored in this process: judges it weights that are not registered
+   * (e.g. a plugin that is no longer loaded), or null when it can
+   */
+  unavailableJudges(definition) {
+    const missing = Object.keys(definition.weights).filter(judge => !this.judges.has(judge));
+    return missing.length > 0 ? `Version ${definition.version} weights judges that are not registered: ${missing.join(', ')}` : null;
+  }
+
+  /**
+   * Registers a candidate version
+   * @param {object} definition - { version, description, scoringType, weights, thresholds }
+   * @param {number} userId - Admin registering the version
+   * @returns {Promise<object>} - { status: 'created', version } | { status: 'invalid', error } | { status: 'exists' }
+   */
+  async createVersion({ version, description = null, scoringType = 'panel_of_judges', weights, thresholds = {} }, userId) {
+    const error = this.versions.validate({ weights, thresholds, scoringType }, this.judges.names());
+    if (error) {
+      return { status: 'invalid', error };
+    }
+    if (this.versions.isBuiltIn(version)) {
+      return { status: 'exists' };
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO scoring_versions (version, description, scoring_type, weights, thresholds, status, created_by)
+      VALUES ($1, $2, $3, $4, $5, 'candidate', $6)
+      ON CONFLICT (version) DO NOTHING
+    `, [version, description, scoringType, JSON.stringify(weights), JSON.stringify(withDefaultThresholds(thresholds)), userId || null]);
+
+    if (result.rowCount === 0) {
+      return { status: 'exists' };
+    }
+
+    await this.refresh();
+    logger.info(`🧮 Scoring version ${version} registered`, { userId, weights });
+    return { status: 'created', version: this.versions.get(version) };
+  }
+
+  /**
+   * Moves a version between candidate, shadow and retired. Shadowing queues every profile so the
+   * version is scored alongside the active one; the active version only changes through promote().
+   * @returns {Promise<object>} - { status: 'updated', version, queued } | { status: 'not_found' } |
+   *   { status: 'invalid_transition', from, to } | { status: 'invalid', error }
+   */
+  async setStatus(version, status, userId) {
+    await this.refresh();
+    const current = this.versions.get(version);
+    if (!current) {
+      return { status: 'not_found' };
+    }
+    if (current.status === 'active') {
+      return { status: 'invalid_transition', from: current.status, to: status };
+    }
+    const unavailable = status === 'shadow' ? this.unavailableJudges(current) : null;
+    if (unavailable) {
+      return { status: 'invalid', error: unavailable };
+    }
+
+    await this.db.query(`
+      INSERT INTO scoring_versions (version, description, status)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (version) DO UPDATE SET status = EXCLUDED.status, updated_at = NOW()
+    `, [version, current.description, status]);
+    await this.refresh();
+
+    const queued = status === 'shadow' && current.status !== 'shadow'
+      ? await this.jobService.enqueueAllProfiles({ reason: 'shadow', enqueuedBy: userId })
+      : 0;
+
+    logger.info(`🧮 Scoring version ${version}: ${current.status} -> ${status}`, { userId, queued });
+    return { status: 'updated', version: this.versions.get(version), queued };
+  }
+
+  /**
+   * Makes a version the active one; the previously active version is retired. Every profile is queued
+   * so scores the version does not have yet are computed (shadowing it first avoids the gap).
+   * @returns {Promise<object>} - { status: 'promoted', version, previous, queued } | { status: 'not_found' } |
+   *   { status: 'already_active' } | { status: 'invalid', error }
+   */
+  async promote(version, userId) {
+    await this.refresh();
+    const target = this.versions.get(version);
+    if (!target) {
+      return { status: 'not_found' };
+    }
+    if (target.status === 'active') {
+      return { status: 'already_active' };
+    }
+    const unavailable = this.unavailableJudges(target);
+    if (unavailable) {
+      return { status: 'invalid', error: unavailable };
+    }
+
+    const previous = await this.db.transaction(async (client) => {
+      const retired = await client.query(`
+        UPDATE scoring_versions
+        SET status = 'retired', updated_at = NOW()
+        WHERE status = 'active'
+        RETURNING version
+      `);
+      await client.query(`
+        INSERT INTO scoring_versions (version, description, status, promoted_at, promoted_by)
+        VALUES ($1, $2, 'active', NOW(), $3)
+        ON CONFLICT (version) DO UPDATE
+        SET status = 'active', promoted_at = NOW(), promoted_by = EXCLUDED.promoted_by, updated_at = NOW()
+      `, [version, target.description, userId || null]);
+      return retired.rows[0]?.version || null;
+    });
+
+    await this.refresh();
+    const queued = await this.jobService.enqueueAllProfiles({ reason: 'promotion', enqueuedBy: userId });
+
+    logger.info(`🧮 Scoring version ${version} promoted`, { previous, userId, queued });
+    return { status: 'promoted', version: this.versions.get(version), previous, queued };
+  }
+
+  /**
+   * Scores a version from the inputs stored with the baseline version's scores and saves the results
+   * as the version's scores, dated like the baseline scores they were replayed from. Replays run in
+   * batches; repeat with the returned nextCursor until it is null.
+   * @param {string} version - Version to replay (not the active one, which is scored from current data)
+   * @param {object} options
+   * @param {string} options.baseline - Version whose stored inputs are replayed (default: the active version)
+   * @param {string} options.companyId - Only this profile's scores
+   * @param {string} options.afterId - Cursor from the previous batch
+   * @param {number} options.limit - Scores replayed per batch
+   * @returns {Promise<object>} - { status: 'replayed', replayed, failed, nextCursor } | { status: 'not_found', version } |
+   *   { status: 'invalid', error }
+   */
+  async replay(version, { baseline = null, companyId = null, afterId = null, limit = 500 } = {}) {
+    await this.refresh();
+    const target = this.versions.get(version);
+    const source = baseline ? this.versions.get(baseline) : this.versions.getActive();
+    if (!target) return { status: 'not_found', version };
+    if (!source) return { status: 'not_found', version: baseline };
+    if (target.status === 'active') {
+      return { status: 'invalid', error: 'The active version is scored from current data and cannot be replayed' };
+    }
+    if (target.version === source.version) {
+      return { status: 'invalid', error: 'Replay a version against the inputs of another version' };
+    }
+    const unavailable = this.unavailableJudges(target);
+    if (unavailable) {
+      return { status: 'invalid', error: unavailable };
+    }
+
+    const result = await this.db.query(`
+      SELECT s.id, s.company_id, s.scored_at, s.scoring_inputs
+      FROM gov_opportunity_scores s
+      JOIN gov_opportunities o ON o.id = s.opportunity_id
+      WHERE s.scoring_version = $1
+        AND s.scoring_inputs IS NOT NULL
+        AND o.processing_status = 'active'
+        AND o.merged_into IS NULL
+        AND ($2::uuid IS NULL OR s.company_id = $2)
+        AND ($3::uuid IS NULL OR s.id > $3)
+      ORDER BY s.id
+      LIMIT $4
+    `, [source.version, companyId, afterId, limit]);
+
+    let replayed = 0;
+    let failed = 0;
+    for (const row of result.rows) {
+      const inputs = this.scoreService.parseJsonField(row.scoring_inputs, {});
+      try {
+        const scoring = await this.scoringService.replay(inputs, target);
+        await this.scoreService.saveScore(row.company_id, inputs.opportunity, scoring, 'replay', {
+          version: target,
+          inputs,
+          scoredAt: row.scored_at,
+          recordHistory: false
+        });
+        replayed++;
+      } catch (error) {
+        logger.warn(`Failed to replay score ${row.id} with version ${target.version}:`, error.message);
+        failed++;
+      }
+    }
+
+    const nextCursor = result.rows.length === limit ? result.rows[result.rows.length - 1].id : null;
+    logger.info(`🧮 Replayed ${replayed} ${source.version} scores with version ${target.version}`, { failed, nextCursor });
+    return { status: 'replayed', baseline: source.version, version: target.version, replayed, failed, nextCursor };
+  }
+
+  /**
+   * Compares the scores two versions gave the same active opportunities, per profile
+   * @param {string} baseline - Version compared against (usually the active one)
+   * @param {string} candidate - Version being evaluated
+   * @param {object} options
+   * @param {number} options.k - Size of the top lists compared for overlap
+   * @param {string} options.companyId - Only this profile
+   * @returns {Promise<object>} - { status: 'compared', report } | { status: 'not_found', version }
+   */
+  async compare(baseline, candidate, { k = 10, companyId = null } = {}) {
+    await this.refresh();
+    for (const version of [baseline, candidate]) {
+      if (!this.versions.get(version)) return { status: 'not_found', version };
+    }
+
+    const [profiles, coverage] = await Promise.all([
+      this.db.query(`
+        WITH pairs AS (
+          SELECT a.company_id, a.opportunity_id,
+                 a.overall_score AS baseline_score, b.overall_score AS candidate_score,
+                 a.fit_category = b.fit_category AS same_fit
+          FROM gov_opportunity_scores a
+          JOIN gov_opportunity_scores b
+            ON b.opportunity_id = a.opportunity_id AND b.company_id = a.company_id AND b.scoring_version = $2
+          JOIN gov_opportunities o ON o.id = a.opportunity_id
+          WHERE a.scoring_version = $1
+            AND o.processing_status = 'active'
+            AND o.merged_into IS NULL
+            AND ($4::uuid IS NULL OR a.company_id = $4)
+        ),
+        ranked AS (
+          SELECT *,
+                 -- Tied scores share their average rank
+                 RANK() OVER (PARTITION BY company_id ORDER BY baseline_score)
+                   + (COUNT(*) OVER (PARTITION BY company_id, baseline_score) - 1) / 2.0 AS baseline_rank,
+                 RANK() OVER (PARTITION BY company_id ORDER BY candidate_score)
+                   + (COUNT(*) OVER (PARTITION BY company_id, candidate_score) - 1) / 2.0 AS candidate_rank,
+                 ROW_NUMBER() OVER (PARTITION BY company_id ORDER BY baseline_score DESC, opportunity_id) AS baseline_position,
+                 ROW_NUMBER() OVER (PARTITION BY company_id ORDER BY candidate_score DESC, opportunity_id) AS candidate_position
+          FROM pairs
+        )
+        SELECT r.company_id, p.name AS company_name,
+               COUNT(*)::int AS pairs,
+               CORR(r.baseline_rank::double precision, r.candidate_rank::double precision) AS spearman,
+               COUNT(*) FILTER (WHERE r.baseline_position <= $3 AND r.candidate_position <= $3)::int AS top_k_shared,
+               LEAST(COUNT(*), $3)::int AS top_k_size,
+               AVG(ABS(r.candidate_score - r.baseline_score)) AS mean_absolute_change,
+               AVG(CASE WHEN r.same_fit THEN 1 ELSE 0 END) AS fit_agreement
+        FROM ranked r
+        JOIN company_profiles p ON p.id = r.company_id
+        GROUP BY r.company_id, p.name
+        ORDER BY spearman ASC NULLS FIRST, r.company_id
+      `, [baseline, candidate, k, companyId]),
+      this.db.query(`
+        SELECT s.scoring_version, COUNT(*)::int AS scores
+        FROM gov_opportunity_scores s
+        JOIN gov_opportunities o ON o.id = s.opportunity_id
+        WHERE s.scoring_version IN ($1, $2)
+          AND o.processing_status = 'active'
+          AND o.merged_into IS NULL
+          AND ($3::uuid IS NULL OR s.company_id = $3)
+        GROUP BY s.scoring_version
+      `, [baseline, candidate, companyId])
+    ]);
+
+    const counts = new Map(coverage.rows.map(row => [row.scoring_version, Number(row.scores)]));
+    const rows = profiles.rows.map(row => this.formatProfileComparison(row));
+
+    return {
+      status: 'compared',
+      report: {
+        baseline,
+        candidate,
+        k,
+        coverage: {
+          baselineScores: counts.get(baseline) || 0,
+          candidateScores: counts.get(candidate) || 0,
+          pairs: rows.reduce((sum, row) => sum + row.pairs, 0)
+        },
+        summary: this.summarizeComparison(rows),
+        profiles: rows.slice(0, REPORT_PROFILE_LIMIT)
+      }
+    };
+  }
+
+  formatProfileComparison(row) {
+    const round = (value) => (value === null || value === undefined ? null : Math.round(Number(value) * 1000) / 1000);
+    return {
+      companyId: row.company_id,
+      companyName: row.company_name,
+      pairs: row.pairs,
+      // Undefined when either version gave every opportunity the same score
+      spearman: round(row.spearman),
+      topKOverlap: row.top_k_size > 0 ? round(row.top_k_shared / row.top_k_size) : null,
+      meanAbsoluteChange: round(row.mean_absolute_change),
+      fitAgreement: round(row.fit_agreement)
+    };
+  }
+
+  /**
+   * Averages over profiles, weighted by the opportunities each profile has scores for
+   */
+  summarizeComparison(rows) {
+    const weighted = (field) => {
+      const measured = rows.filter(row => row[field] !== null);
+      const weight = measured.reduce((sum, row) => sum + row.pairs, 0);
+      return weight > 0
+        ? Math.round((measured.reduce((sum, row) => sum + row[field] * row.pairs, 0) / weight) * 1000) / 1000
+        : null;
+    };
+
+    return {
+      profiles: rows.length,
+      spearman: weighted('spearman'),
+      topKOverlap: weighted('topKOverlap'),
+      meanAbsoluteChange: weighted('meanAbsoluteChange'),
+      fitAgreement: weighted('fitAgreement')
+    };
+  }
+}
+
+module.exports = ScoringVersionService;
@@ -0,0 +1,139 @@
+/**
+ * Scoring Worker
+ *
+ * Works through the scoring job queue: claims the highest-priority due job, scores one batch of
+ * the profile's missing and outdated opportunity scores, records progress and moves on. Jobs with
+ * more left go back to the queue, so profiles share workers batch by batch and interactive jobs
+ * are not stuck behind bulk re-scoring. Runs in its own process (npm run scoring:worker) or inside
+ * the API server (SCORING_WORKER_ENABLED=true); any number of workers can share one queue.
+ */
+
+const os = require('os');
+const ProfileBasedScoringService = require('./profileScoringService');
+const ScoringJobService = require('./scoringJobService');
+const ScoringVersionService = require('./scoringVersionService');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+
+class ScoringWorker {
+  /**
+   * @param {object} options
+   * @param {number} options.batchSize - Opportunities scored per claimed job before it is requeued
+   * @param {number} options.pollIntervalMs - Wait between polls while the queue is empty
+   * @param {number} options.leaseMs - How long a batch may run before other workers may reclaim the job
+   * @param {string} options.workerId - Name recorded on claimed jobs
+   */
+  constructor(options = {}) {
+    this.scoringService = options.scoringService || new ProfileBasedScoringService();
+    this.jobService = options.jobService || new ScoringJobService();
+    this.versionService = options.versionService || new ScoringVersionService();
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    this.leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.timer = null;
+    this.current = null;
+    this.stats = { batches: 0, scored: 0, failed: 0, errors: 0 };
+  }
+
+  /**
+   * Starts polling the queue
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    logger.info(`🧮 Scoring worker ${this.workerId} started`, { batchSize: this.batchSize, pollIntervalMs: this.pollIntervalMs });
+    this.schedule(0);
+  }
+
+  /**
+   * Stops polling and waits for the batch in progress, which is recorded normally
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.current) {
+      await this.current.catch(() => {});
+    }
+    logger.info(`🛑 Scoring worker ${this.workerId} stopped`, this.stats);
+  }
+
+  schedule(delayMs) {
+    if (!this.running) return;
+    this.timer = setTimeout(async () => {
+      this.current = this.processNext();
+      let processed = null;
+      try {
+        processed = await this.current;
+      } catch (error) {
+        this.stats.errors++;
+        logger.error(`❌ Scoring worker ${this.workerId} poll failed`, { error: error.message });
+      } finally {
+        this.current = null;
+      }
+      // Keep going while there is work; back off while the queue is empty or unreachable
+      this.schedule(processed ? 0 : this.pollIntervalMs);
+    }, delayMs);
+  }
+
+  /**
+   * Claims and processes one batch of the next due job
+   * @returns {Promise<object|null>} - The job after the batch, or null when no job was due
+   */
+  async processNext() {
+    const job = await this.jobService.claim(this.workerId, this.leaseMs);
+    if (!job) return null;
+
+    try {
+      // Pick up versions shadowed or promoted since the last batch
+      await this.versionService.refreshSafely();
+      const profile = await this.scoringService.getProfile(job.company_id);
+      if (!profile) {
+        throw new Error(`Company profile ${job.company_id} not found`);
+      }
+
+      const batch = await this.scoringService.scoreOutdated(profile, {
+        limit: this.batchSize,
+        excludeIds: Array.isArray(job.failed_opportunities) ? job.failed_opportunities : []
+      });
+      const updated = await this.jobService.completeBatch(job, this.workerId, batch);
+
+      this.stats.batches++;
+      this.stats.scored += batch.scored;
+      this.stats.failed += batch.failedIds.length;
+      logger.info(`🧮 Scoring job ${job.id}: scored ${batch.scored}, ${batch.remaining} remaining`, {
+        companyId: job.company_id,
+        failed: batch.failedIds.length,
+        status: updated ? updated.status : 'lease lost'
+      });
+      return updated || job;
+    } catch (error) {
+      this.stats.errors++;
+      const updated = await this.jobService.failBatch(job, this.workerId, error);
+      logger.warn(`⚠️ Scoring job ${job.id} batch failed: ${error.message}`, {
+        attempts: updated ? updated.attempts : null,
+        status: updated ? updated.status : 'lease lost'
+      });
+      return updated || job;
+    }
+  }
+
+  getStatus() {
+    return {
+      workerId: this.workerId,
+      running: this.running,
+      batchSize: this.batchSize,
+      pollIntervalMs: this.pollIntervalMs,
+      ...this.stats
+    };
+  }
+}
+
+ScoringWorker.DEFAULT_BATCH_SIZE = DEFAULT_BATCH_SIZE;
+
+module.exports = ScoringWorker;
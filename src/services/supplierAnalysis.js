@@ -86,6 +86,10 @@ class SupplierAnalysisService {
       technicalCapabilities: analysis?.technicalCapabilities || [],
       certifications: analysis?.certifications || [],
       extractedCapabilities: analysis?.capabilities || company.capabilities || [],
+      capabilityTags: this.capabilitiesExtractor.extractCapabilityTags({
+        ...company,
+        capabilities: analysis?.capabilities || company.capabilities || []
+      }),
       credibilitySignals: analysis?.credibilitySignals || {},
       insights: analysis?.insights || []
     };
@@ -1,4 +1,5 @@
 const { logger } = require('../../utils/logger');
+const { getCapabilityTaxonomy } = require('../../utils/capabilityTaxonomy');
 
 /**
  * CapabilitiesExtractor - Extracts and enhances supplier capabilities from various data sources
@@ -121,52 +122,28 @@ class CapabilitiesExtractor {
 
   /**
    * Extract capabilities from description text
+   * Uses the shared capability taxonomy so company capabilities line up with opportunity tags
    */
   extractCapabilitiesFromDescription(description) {
-    const capabilities = [];
-    const desc = description.toLowerCase();
-    
-    // Technology stack detection
-    const techPatterns = {
-      'react': 'React development',
-      'node.js': 'Node.js development',
-      'nodejs': 'Node.js development',
-      'cloud': 'cloud migration',
-      'full-stack': 'full-stack development', 
-      'mobile': 'mobile development',
-      'api': 'API development',
-      'database': 'database management',
-      'devops': 'DevOps',
-      'machine learning': 'machine learning',
-      'ai': 'artificial intelligence',
-      'blockchain': 'blockchain development',
-      'iot': 'IoT development',
-      'cybersecurity': 'cybersecurity',
-      'data analytics': 'data analytics',
-      'business intelligence': 'business intelligence'
-    };
-    
-    // Industry-specific capabilities
-    const industryPatterns = {
-      'healthcare': 'healthcare solutions',
-      'fintech': 'financial technology',
-      'e-commerce': 'e-commerce platforms',
-      'logistics': 'logistics solutions',
-      'manufacturing': 'manufacturing systems',
-      'education': 'educational technology',
-      'real estate': 'real estate solutions'
-    };
-    
-    // Check for patterns
-    [techPatterns, industryPatterns].forEach(patterns => {
-      Object.entries(patterns).forEach(([keyword, capability]) => {
-        if (desc.includes(keyword) && !capabilities.includes(capability)) {
-          capabilities.push(capability);
-        }
-      });
+    const taxonomy = getCapabilityTaxonomy();
+    return taxonomy.matchText(description || '').map(id => taxonomy.label(id));
+  }
+
+  /**
+   * Canonical capability taxonomy IDs for a company, comparable with opportunity parsed_tags
+   * @param {Object} company - Company database record
+   * @param {Object} analysisData - Analysis data from various sources
+   * @returns {Array} Taxonomy IDs including ancestors
+   */
+  extractCapabilityTags(company, analysisData = {}) {
+    return getCapabilityTaxonomy().tagCapabilities({
+      capabilities: [
+        ...(company.capabilities || []),
+        ...(Array.isArray(analysisData.services) ? analysisData.services : [])
+      ],
+      description: [company.description, analysisData.description].filter(Boolean).join(' '),
+      naicsCodes: company.naics || []
     });
-    
-    return capabilities;
   }
 
   /**
@@ -326,6 +303,7 @@ class CapabilitiesExtractor {
       added: enhancedCapabilities.filter(cap => !originalCapabilities.includes(cap)),
       domain: domain,
       specializations: specializations,
+      tags: this.extractCapabilityTags(company, analysisData),
       totalCount: enhancedCapabilities.length,
       enhancementRatio: originalCapabilities.length > 0 ? 
         (enhancedCapabilities.length / originalCapabilities.length) : 
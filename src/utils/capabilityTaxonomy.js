@@ -0,0 +1,479 @@
+/**
+ * Capability taxonomy shared by opportunity tagging and supplier capability extraction
+ *
+ * Each node has a canonical ID (lowercase, underscores), a label, an optional parent, synonyms
+ * matched as whole words in free text, and NAICS/PSC code prefixes that crosswalk classification
+ * codes to the node. Opportunities and companies are both reduced to canonical IDs, with the
+ * ancestors of every match included, so "cloud_migration" work lines up with "cloud" companies.
+ *
+ * Built-in nodes live here; admins extend them at runtime (see CapabilityTaxonomyService).
+ */
+
+const BUILT_IN_NODES = [
+  // Information technology
+  {
+    id: 'information_technology',
+    label: 'Information Technology',
+    synonyms: ['information technology', 'it services', 'it support services'],
+    naics: ['5415', '518210', '513210'],
+    psc: ['D3', 'DA', 'DB', 'DD', 'DF', 'DG', 'DH', 'DK', '70', '7A', '7B']
+  },
+  {
+    id: 'software_development',
+    label: 'Software Development',
+    parent: 'information_technology',
+    synonyms: ['software development', 'software engineering', 'application development', 'custom software',
+      'full-stack', 'full stack', 'agile development'],
+    naics: ['541511'],
+    psc: ['DA01', 'D302', 'D307']
+  },
+  {
+    id: 'web',
+    label: 'Web Development',
+    parent: 'software_development',
+    synonyms: ['web', 'website', 'web development', 'web application', 'web portal', 'frontend', 'front-end',
+      'e-commerce', 'ecommerce']
+  },
+  {
+    id: 'mobile',
+    label: 'Mobile Development',
+    parent: 'software_development',
+    synonyms: ['mobile', 'mobile app', 'mobile application', 'ios', 'android']
+  },
+  {
+    id: 'api_development',
+    label: 'API Development',
+    parent: 'software_development',
+    synonyms: ['api', 'apis', 'api development', 'rest api', 'restful', 'graphql', 'microservices']
+  },
+  {
+    id: 'devops',
+    label: 'DevOps',
+    parent: 'software_development',
+    synonyms: ['devops', 'devsecops', 'ci/cd', 'continuous integration', 'continuous delivery', 'kubernetes',
+      'docker', 'terraform', 'infrastructure as code']
+  },
+  {
+    id: 'cloud',
+    label: 'Cloud Computing',
+    parent: 'information_technology',
+    synonyms: ['cloud', 'cloud computing', 'cloud services', 'aws', 'azure', 'google cloud', 'gcp', 'saas',
+      'iaas', 'paas', 'fedramp'],
+    naics: ['518210'],
+    psc: ['DH01', 'DH10', 'DB02']
+  },
+  {
+    id: 'cloud_migration',
+    label: 'Cloud Migration',
+    parent: 'cloud',
+    synonyms: ['cloud migration', 'migrate to the cloud', 'migration to the cloud', 'lift and shift']
+  },
+  {
+    id: 'cybersecurity',
+    label: 'Cybersecurity',
+    parent: 'information_technology',
+    synonyms: ['cybersecurity', 'cyber security', 'cyber', 'information security', 'infosec',
+      'security operations', 'zero trust', 'penetration testing', 'ethical hacking', 'fisma', 'risk management framework'],
+    psc: ['DJ01', 'D310']
+  },
+  {
+    id: 'data_management',
+    label: 'Data Management',
+    parent: 'information_technology',
+    synonyms: ['data management', 'data warehouse', 'data lake', 'etl', 'master data', 'data governance'],
+    psc: ['DK01', 'D317']
+  },
+  {
+    id: 'database',
+    label: 'Database Management',
+    parent: 'data_management',
+    synonyms: ['database', 'databases', 'sql', 'postgresql', 'mysql', 'oracle database', 'mongodb']
+  },
+  {
+    id: 'data_analytics',
+    label: 'Data Analytics',
+    parent: 'data_management',
+    synonyms: ['data analytics', 'analytics', 'business intelligence', 'data science', 'dashboards',
+      'data visualization']
+  },
+  {
+    id: 'ai',
+    label: 'Artificial Intelligence',
+    parent: 'information_technology',
+    synonyms: ['artificial intelligence', 'ai', 'generative ai', 'genai', 'natural language processing', 'nlp',
+      'computer vision']
+  },
+  {
+    id: 'machine_learning',
+    label: 'Machine Learning',
+    parent: 'ai',
+    synonyms: ['machine learning', 'deep learning', 'ml models', 'predictive modeling']
+  },
+  {
+    id: 'blockchain',
+    label: 'Blockchain',
+    parent: 'information_technology',
+    synonyms: ['blockchain', 'distributed ledger']
+  },
+  {
+    id: 'iot',
+    label: 'Internet of Things',
+    parent: 'information_technology',
+    synonyms: ['iot', 'internet of things']
+  },
+  {
+    id: 'integration',
+    label: 'Systems Integration',
+    parent: 'information_technology',
+    synonyms: ['integration', 'system integration', 'systems integration', 'interoperability'],
+    naics: ['541512']
+  },
+  {
+    id: 'modernization',
+    label: 'IT Modernization',
+    parent: 'information_technology',
+    synonyms: ['modernization', 'modernize', 'modernizing', 'legacy system', 'legacy systems', 'digital transformation']
+  },
+  {
+    id: 'migration',
+    label: 'System Migration',
+    parent: 'modernization',
+    synonyms: ['migration', 'migrate', 'migrating', 'data migration', 'system migration']
+  },
+  {
+    id: 'it_support',
+    label: 'IT Support & Help Desk',
+    parent: 'information_technology',
+    synonyms: ['help desk', 'service desk', 'technical support', 'end user support', 'desktop support', 'tier 1',
+      'tier 2'],
+    psc: ['DE01', 'D308']
+  },
+  {
+    id: 'operations_maintenance',
+    label: 'Operations & Maintenance',
+    parent: 'information_technology',
+    synonyms: ['operations and maintenance', 'o&m', 'maintenance', 'sustainment', 'system administration'],
+    naics: ['541513'],
+    psc: ['DD01']
+  },
+  {
+    id: 'network_services',
+    label: 'Network Services',
+    parent: 'information_technology',
+    synonyms: ['network', 'networks', 'networking', 'telecommunications', 'lan', 'wan', 'sd-wan'],
+    naics: ['517'],
+    psc: ['DG01', 'D304']
+  },
+
+  // Professional services
+  {
+    id: 'professional_services',
+    label: 'Professional Services',
+    synonyms: ['professional services'],
+    naics: ['541'],
+    psc: ['R']
+  },
+  {
+    id: 'consulting',
+    label: 'Consulting',
+    parent: 'professional_services',
+    synonyms: ['consulting', 'consultant', 'advisory services', 'subject matter expert'],
+    naics: ['5416'],
+    psc: ['R4', 'R7']
+  },
+  {
+    id: 'program_management',
+    label: 'Program Management',
+    parent: 'professional_services',
+    synonyms: ['program management', 'project management', 'pmo', 'acquisition support'],
+    naics: ['541611'],
+    psc: ['R408', 'R707']
+  },
+  {
+    id: 'engineering_services',
+    label: 'Engineering Services',
+    parent: 'professional_services',
+    synonyms: ['engineering services', 'systems engineering', 'engineering support'],
+    naics: ['5413'],
+    psc: ['R425', 'C2']
+  },
+  {
+    id: 'financial_management',
+    label: 'Financial Management',
+    parent: 'professional_services',
+    synonyms: ['financial management', 'accounting', 'audit', 'auditing', 'fintech', 'financial technology'],
+    naics: ['5412'],
+    psc: ['R703', 'R710']
+  },
+  {
+    id: 'training',
+    label: 'Training & Education',
+    parent: 'professional_services',
+    synonyms: ['training', 'instructor-led', 'curriculum', 'education', 'e-learning', 'elearning'],
+    naics: ['6114', '6116'],
+    psc: ['U']
+  },
+  {
+    id: 'research_development',
+    label: 'Research & Development',
+    synonyms: ['research and development', 'r&d', 'prototype', 'prototyping'],
+    naics: ['5417'],
+    psc: ['A']
+  },
+
+  // Industry domains
+  {
+    id: 'healthcare',
+    label: 'Healthcare',
+    synonyms: ['healthcare', 'health care', 'medical', 'clinical', 'telehealth', 'telemedicine', 'hipaa'],
+    naics: ['62'],
+    psc: ['Q']
+  },
+  {
+    id: 'logistics',
+    label: 'Logistics',
+    synonyms: ['logistics', 'supply chain', 'warehousing', 'transportation services'],
+    naics: ['48', '49'],
+    psc: ['V']
+  },
+  {
+    id: 'construction',
+    label: 'Construction',
+    synonyms: ['construction', 'renovation', 'facility repair'],
+    naics: ['23'],
+    psc: ['Y', 'Z']
+  },
+  {
+    id: 'manufacturing',
+    label: 'Manufacturing',
+    synonyms: ['manufacturing', 'fabrication'],
+    naics: ['31', '32', '33']
+  }
+];
+
+const ID_PATTERN = /^[a-z][a-z0-9_]{1,99}$/;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeTerm(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function normalizeCode(value) {
+  return String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+class CapabilityTaxonomy {
+  constructor(nodes = BUILT_IN_NODES) {
+    this.builtInNodes = nodes;
+    this.setExtensions([]);
+  }
+
+  /**
+   * Rebuilds the taxonomy from the built-in nodes and admin extensions.
+   * An extension with a built-in ID adds synonyms and codes to that node and may relabel or re-parent it.
+   * @param {Array<object>} extensions - [{ id, label, parent, synonyms, naics, psc }]
+   */
+  setExtensions(extensions) {
+    const nodes = new Map();
+
+    for (const node of this.builtInNodes) {
+      nodes.set(node.id, this.buildNode(node, true));
+    }
+
+    for (const extension of extensions) {
+      const existing = nodes.get(extension.id);
+      if (existing) {
+        nodes.set(extension.id, {
+          ...existing,
+          label: extension.label || existing.label,
+          parent: extension.parent !== undefined ? extension.parent : existing.parent,
+          synonyms: [...new Set([...existing.synonyms, ...(extension.synonyms || []).map(normalizeTerm)])],
+          naics: [...new Set([...existing.naics, ...(extension.naics || []).map(normalizeCode)])],
+          psc: [...new Set([...existing.psc, ...(extension.psc || []).map(normalizeCode)])],
+          extended: true
+        });
+      } else {
+        nodes.set(extension.id, { ...this.buildNode(extension, false), extended: true });
+      }
+    }
+
+    // Parents that do not exist (e.g. a deleted extension) make the node a root
+    for (const node of nodes.values()) {
+      if (node.parent && !nodes.has(node.parent)) node.parent = null;
+    }
+
+    this.nodes = nodes;
+    this.extensions = extensions;
+    this.matchers = [...nodes.values()]
+      .filter(node => node.synonyms.length > 0)
+      .map(node => ({
+        id: node.id,
+        pattern: new RegExp(
+          `(?<![a-z0-9])(?:${node.synonyms.map(escapeRegExp).sort((a, b) => b.length - a.length).join('|')})(?![a-z0-9])`
+        )
+      }));
+  }
+
+  buildNode(node, builtIn) {
+    return {
+      id: node.id,
+      label: node.label,
+      parent: node.parent || null,
+      synonyms: [...new Set([normalizeTerm(node.label), ...(node.synonyms || []).map(normalizeTerm)])].filter(Boolean),
+      naics: (node.naics || []).map(normalizeCode).filter(Boolean),
+      psc: (node.psc || []).map(normalizeCode).filter(Boolean),
+      builtIn,
+      extended: false
+    };
+  }
+
+  getNode(id) {
+    return this.nodes.get(id) || null;
+  }
+
+  label(id) {
+    const node = this.nodes.get(id);
+    return node ? node.label : id;
+  }
+
+  /**
+   * All nodes in taxonomy order with their children IDs
+   */
+  listNodes() {
+    const nodes = [...this.nodes.values()];
+    return nodes.map(node => ({
+      ...node,
+      children: nodes.filter(other => other.parent === node.id).map(other => other.id)
+    }));
+  }
+
+  /**
+   * Parent chain of a node, nearest first
+   */
+  ancestors(id) {
+    const chain = [];
+    let node = this.nodes.get(id);
+    while (node && node.parent && !chain.includes(node.parent) && node.parent !== id) {
+      chain.push(node.parent);
+      node = this.nodes.get(node.parent);
+    }
+    return chain;
+  }
+
+  /**
+   * Whether making `parent` the parent of `id` would create a cycle
+   */
+  wouldCreateCycle(id, parent) {
+    return parent === id || this.ancestors(parent).includes(id);
+  }
+
+  /**
+   * Node IDs whose synonyms occur as whole words in the text
+   */
+  matchText(text) {
+    const normalized = normalizeTerm(text);
+    if (!normalized) return [];
+    return this.matchers.filter(({ pattern }) => pattern.test(normalized)).map(({ id }) => id);
+  }
+
+  /**
+   * Node IDs for classification codes; a code maps to the nodes with the longest matching prefix
+   * @param {Array<string>} codes - NAICS or PSC codes
+   * @param {string} system - naics or psc
+   */
+  matchCodes(codes, system) {
+    const ids = [];
+
+    for (const code of (Array.isArray(codes) ? codes : [codes]).map(normalizeCode).filter(Boolean)) {
+      let best = [];
+      let bestLength = 0;
+      for (const node of this.nodes.values()) {
+        for (const prefix of node[system]) {
+          if (!code.startsWith(prefix) || prefix.length < bestLength) continue;
+          if (prefix.length > bestLength) {
+            best = [];
+            bestLength = prefix.length;
+          }
+          if (!best.includes(node.id)) best.push(node.id);
+        }
+      }
+      ids.push(...best);
+    }
+
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Node ID for a single capability name (ID, label or synonym), or null
+   */
+  resolve(term) {
+    const normalized = normalizeTerm(term);
+    if (this.nodes.has(normalized)) return normalized;
+    for (const node of this.nodes.values()) {
+      if (node.synonyms.includes(normalized)) return node.id;
+    }
+    return null;
+  }
+
+  /**
+   * Adds ancestors and returns IDs in taxonomy order
+   */
+  expand(ids) {
+    const expanded = new Set();
+    for (const id of ids) {
+      if (!this.nodes.has(id)) continue;
+      expanded.add(id);
+      this.ancestors(id).forEach(ancestor => expanded.add(ancestor));
+    }
+    return [...this.nodes.keys()].filter(id => expanded.has(id));
+  }
+
+  /**
+   * Canonical tags for an opportunity from its text and NAICS/PSC codes
+   * @param {object} opportunity - { title, description, naicsCodes, pscCodes }
+   * @returns {Array<string>}
+   */
+  tagOpportunity(opportunity) {
+    return this.expand([
+      ...this.matchText(`${opportunity.title || ''} ${opportunity.description || ''}`),
+      ...this.matchCodes(opportunity.naicsCodes || [], 'naics'),
+      ...this.matchCodes(opportunity.pscCodes || [], 'psc')
+    ]);
+  }
+
+  /**
+   * Canonical tags for a company from its capability names, free text and NAICS codes
+   * @param {object} company - { capabilities, description, naicsCodes }
+   * @returns {Array<string>}
+   */
+  tagCapabilities(company) {
+    const capabilities = Array.isArray(company.capabilities) ? company.capabilities : [];
+    return this.expand([
+      ...capabilities.flatMap(capability => {
+        const id = this.resolve(capability);
+        return id ? [id] : this.matchText(capability);
+      }),
+      ...this.matchText(company.description || ''),
+      ...this.matchCodes(company.naicsCodes || [], 'naics')
+    ]);
+  }
+}
+
+const sharedTaxonomy = new CapabilityTaxonomy();
+
+/**
+ * The process-wide taxonomy, including admin extensions once they have been loaded
+ */
+function getCapabilityTaxonomy() {
+  return sharedTaxonomy;
+}
+
+module.exports = {
+  CapabilityTaxonomy,
+  BUILT_IN_NODES,
+  ID_PATTERN,
+  getCapabilityTaxonomy
+};
@@ -0,0 +1,141 @@
+/**
+ * Minimal cron expression support for in-process schedulers
+ *
+ * Standard 5-field expressions (minute hour day-of-month month day-of-week)
+ * with '*', lists (1,15), ranges (1-5) and steps (*\/15, 0-12/2).
+ * Day-of-week accepts 0-7 where both 0 and 7 are Sunday.
+ * Expressions are evaluated in UTC.
+ */
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Upper bound on search iterations; a valid expression always matches well within this
+const MAX_ITERATIONS = 100000;
+
+/**
+ * Parses a single cron field into the set of values it matches
+ */
+function parseField(field, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: "${field}"`);
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      const [from, to] = range.split('-').map(value => parseInt(value, 10));
+      start = from;
+      // "5/15" means "from 5 to the end in steps of 15"
+      end = to !== undefined ? to : (stepText ? max : from);
+    }
+
+    if (step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field: "${field}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a 5-field cron expression
+ * @param {string} expression - Cron expression, e.g. "0 *\/6 * * *"
+ * @returns {object} - Parsed schedule with a Set of matching values per field
+ */
+function parseCronExpression(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const schedule = { expression: fields.join(' ') };
+  fields.forEach((field, index) => {
+    schedule[FIELD_RANGES[index].name] = parseField(field, FIELD_RANGES[index]);
+  });
+
+  // Normalize Sunday to 0
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.delete(7);
+    schedule.dayOfWeek.add(0);
+  }
+
+  // Classic cron semantics: when both day fields are restricted, either may match
+  schedule.dayOfMonthRestricted = fields[2] !== '*';
+  schedule.dayOfWeekRestricted = fields[4] !== '*';
+
+  return schedule;
+}
+
+function matchesDay(schedule, date) {
+  const domMatch = schedule.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Calculates the next time a cron expression fires strictly after a given date
+ * @param {string|object} expression - Cron expression or result of parseCronExpression
+ * @param {Date} fromDate - Reference date (default: now)
+ * @returns {Date} - Next matching time (whole minute, UTC)
+ */
+function getNextCronTime(expression, fromDate = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+
+  const next = new Date(fromDate.getTime());
+  next.setUTCSeconds(0, 0);
+  next.setUTCMinutes(next.getUTCMinutes() + 1);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (!schedule.month.has(next.getUTCMonth() + 1)) {
+      next.setUTCMonth(next.getUTCMonth() + 1, 1);
+      next.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(schedule, next)) {
+      next.setUTCDate(next.getUTCDate() + 1);
+      next.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hour.has(next.getUTCHours())) {
+      next.setUTCHours(next.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.minute.has(next.getUTCMinutes())) {
+      next.setUTCMinutes(next.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return next;
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never matches`);
+}
+
+module.exports = {
+  parseCronExpression,
+  getNextCronTime
+};
@@ -0,0 +1,168 @@
+/**
+ * CSV parsing (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ *
+ * CsvParser is incremental so bulk exports too large to hold in memory can be read as a
+ * stream; parseCsvRows covers content that is already in memory.
+ */
+
+class CsvParser {
+  /**
+   * @param {object} options
+   * @param {string} options.delimiter - Field delimiter (default ',')
+   */
+  constructor({ delimiter = ',' } = {}) {
+    this.delimiter = delimiter;
+    this.row = [];
+    this.field = '';
+    this.inQuotes = false;
+    this.pendingQuote = false; // Chunk ended on a quote that may be the first of an escaped pair
+    this.pendingCarriageReturn = false;
+    this.started = false;
+  }
+
+  /**
+   * Parses the next chunk of text
+   * @returns {Array<Array<string>>} - Rows completed by this chunk
+   */
+  push(chunk) {
+    const rows = [];
+    let text = chunk;
+
+    if (!this.started) {
+      text = text.replace(/^\uFEFF/, ''); // Strip byte order mark
+      this.started = text.length > 0;
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.pendingCarriageReturn) {
+        this.pendingCarriageReturn = false;
+        if (char === '\n') continue;
+      }
+
+      if (this.pendingQuote) {
+        this.pendingQuote = false;
+        if (char === '"') {
+          this.field += '"';
+          continue;
+        }
+        this.inQuotes = false;
+      }
+
+      if (this.inQuotes) {
+        if (char === '"') {
+          if (i + 1 < text.length) {
+            if (text[i + 1] === '"') {
+              this.field += '"';
+              i++;
+            } else {
+              this.inQuotes = false;
+            }
+          } else {
+            this.pendingQuote = true;
+          }
+        } else {
+          this.field += char;
+        }
+      } else if (char === '"') {
+        this.inQuotes = true;
+      } else if (char === this.delimiter) {
+        this.row.push(this.field);
+        this.field = '';
+      } else if (char === '\n' || char === '\r') {
+        this.pendingCarriageReturn = char === '\r';
+        this.row.push(this.field);
+        rows.push(this.row);
+        this.row = [];
+        this.field = '';
+      } else {
+        this.field += char;
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Finishes parsing
+   * @returns {Array<Array<string>>} - The last row when the input did not end with a newline
+   */
+  end() {
+    if (this.pendingQuote) {
+      this.pendingQuote = false;
+      this.inQuotes = false;
+    }
+
+    if (this.field.length > 0 || this.row.length > 0) {
+      this.row.push(this.field);
+      const last = this.row;
+      this.row = [];
+      this.field = '';
+      return [last];
+    }
+
+    return [];
+  }
+}
+
+function isBlankRow(cells) {
+  return !cells.some(cell => cell.trim().length > 0);
+}
+
+/**
+ * Parses CSV content into rows of cells, dropping blank lines
+ */
+function parseCsvRows(content, options = {}) {
+  const parser = new CsvParser(options);
+  return [...parser.push(content), ...parser.end()].filter(cells => !isBlankRow(cells));
+}
+
+/**
+ * Maps data rows to objects keyed by the trimmed header columns
+ */
+function toRecord(columns, cells) {
+  const record = {};
+  columns.forEach((column, index) => {
+    record[column] = (cells[index] ?? '').trim();
+  });
+  return record;
+}
+
+/**
+ * Reads CSV records from a readable stream, one object per data row keyed by header column
+ * @param {Readable} stream - Text or byte stream (bytes are decoded as UTF-8)
+ * @param {object} options - { delimiter }
+ * @returns {AsyncGenerator<object>}
+ */
+async function* readCsvRecords(stream, options = {}) {
+  const parser = new CsvParser(options);
+  const decoder = new TextDecoder('utf-8');
+  let columns = null;
+
+  const emit = function* (rows) {
+    for (const cells of rows) {
+      if (isBlankRow(cells)) continue;
+      if (!columns) {
+        columns = cells.map(column => column.trim());
+        continue;
+      }
+      yield toRecord(columns, cells);
+    }
+  };
+
+  for await (const chunk of stream) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    yield* emit(parser.push(text));
+  }
+
+  yield* emit(parser.push(decoder.decode()));
+  yield* emit(parser.end());
+}
+
+module.exports = {
+  CsvParser,
+  parseCsvRows,
+  toRecord,
+  readCsvRecords
+};
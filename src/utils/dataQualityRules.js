@@ -0,0 +1,424 @@
+/**
+ * Data quality rules for government opportunities
+ *
+ * Each rule checks one aspect of an opportunity in the gov_opportunities row shape (stored rows
+ * and the output of source adapters' normalize() alike):
+ * - presence: a field is filled in
+ * - format: codes, e-mail addresses and dates are well-formed
+ * - freshness: the source still maintains the record
+ * - consistency: related fields agree (value_low <= value_high, posted before due, ...)
+ *
+ * The score is the weight of passed rules over the weight of applicable ones (0-1). A check
+ * returns null when the rule does not apply, true when it passes, and false or a message when
+ * it fails. Admins override weights, parameters and whether a rule is enabled at runtime
+ * (see DataQualityService).
+ */
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function present(value) {
+  return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function codes(value) {
+  const list = parseJson(value, []);
+  return Array.isArray(list) ? list.map(code => String(code).trim()).filter(Boolean) : [];
+}
+
+function contacts(row) {
+  const list = parseJson(row.contacts, []);
+  return Array.isArray(list) ? list.filter(contact => contact && typeof contact === 'object') : [];
+}
+
+function hasValues(object) {
+  return Object.values(object || {}).some(value =>
+    (value && typeof value === 'object' ? hasValues(value) : present(value)));
+}
+
+function isOpen(row) {
+  return !row.processing_status || row.processing_status === 'active';
+}
+
+const BUILT_IN_RULES = [
+  // Presence
+  {
+    id: 'title_present',
+    category: 'presence',
+    weight: 10,
+    description: 'Has a title',
+    check: row => present(row.title)
+  },
+  {
+    id: 'description_present',
+    category: 'presence',
+    weight: 10,
+    params: { minLength: 100 },
+    description: 'Has a description of at least minLength characters',
+    check: (row, { minLength }) => {
+      const length = String(row.description || '').trim().length;
+      if (length === 0) return false;
+      return length >= minLength || `Description has ${length} characters, expected at least ${minLength}`;
+    }
+  },
+  {
+    id: 'agency_present',
+    category: 'presence',
+    weight: 6,
+    description: 'Names the agency',
+    check: row => present(row.agency)
+  },
+  {
+    id: 'due_date_present',
+    category: 'presence',
+    weight: 8,
+    description: 'Has a response due date',
+    check: row => present(row.due_date)
+  },
+  {
+    id: 'posted_date_present',
+    category: 'presence',
+    weight: 4,
+    description: 'Has a posted date',
+    check: row => present(row.posted_date)
+  },
+  {
+    id: 'naics_present',
+    category: 'presence',
+    weight: 6,
+    description: 'Has at least one NAICS code',
+    check: row => codes(row.naics_codes).length > 0
+  },
+  {
+    id: 'solicitation_number_present',
+    category: 'presence',
+    weight: 4,
+    description: 'Has a solicitation number',
+    check: row => present(row.solicitation_number)
+  },
+  {
+    id: 'contact_present',
+    category: 'presence',
+    weight: 3,
+    description: 'Has a point of contact with an e-mail address or phone number',
+    check: row => contacts(row).some(contact => present(contact.email) || present(contact.phone))
+  },
+  {
+    id: 'place_of_performance_present',
+    category: 'presence',
+    weight: 3,
+    description: 'Has a place of performance',
+    check: row => hasValues(parseJson(row.place_of_performance, {}))
+  },
+  {
+    id: 'value_present',
+    category: 'presence',
+    weight: 3,
+    description: 'Has an estimated value or value range',
+    check: row => [row.value_low, row.value_high, row.value_estimated].some(value => toNumber(value) !== null)
+  },
+
+  // Format
+  {
+    id: 'naics_format',
+    category: 'format',
+    weight: 5,
+    description: 'NAICS codes are 6 digits',
+    check: (row) => {
+      const list = codes(row.naics_codes);
+      if (list.length === 0) return null;
+      const invalid = list.filter(code => !/^\d{6}$/.test(code));
+      return invalid.length === 0 || `Invalid NAICS codes: ${invalid.join(', ')}`;
+    }
+  },
+  {
+    id: 'psc_format',
+    category: 'format',
+    weight: 3,
+    description: 'Product service codes are 4 letters or digits',
+    check: (row) => {
+      const list = codes(row.psc_codes);
+      if (list.length === 0) return null;
+      const invalid = list.filter(code => !/^[A-Z0-9]{4}$/i.test(code));
+      return invalid.length === 0 || `Invalid PSC codes: ${invalid.join(', ')}`;
+    }
+  },
+  {
+    id: 'contact_email_format',
+    category: 'format',
+    weight: 3,
+    description: 'Contact e-mail addresses are well-formed',
+    check: (row) => {
+      const emails = contacts(row).map(contact => contact.email).filter(present);
+      if (emails.length === 0) return null;
+      const invalid = emails.filter(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim()));
+      return invalid.length === 0 || `Invalid e-mail addresses: ${invalid.join(', ')}`;
+    }
+  },
+  {
+    id: 'dates_plausible',
+    category: 'format',
+    weight: 4,
+    params: { minYear: 2000, maxYearsAhead: 10 },
+    description: 'Dates parse and fall between minYear and maxYearsAhead years from now',
+    check: (row, { minYear, maxYearsAhead }, now) => {
+      const fields = ['posted_date', 'due_date', 'pop_start', 'pop_end'].filter(field => present(row[field]));
+      if (fields.length === 0) return null;
+      const latest = now.getUTCFullYear() + maxYearsAhead;
+      const invalid = fields.filter(field => {
+        const date = toDate(row[field]);
+        return !date || date.getUTCFullYear() < minYear || date.getUTCFullYear() > latest;
+      });
+      return invalid.length === 0 || `Implausible dates: ${invalid.join(', ')}`;
+    }
+  },
+
+  // Freshness
+  {
+    id: 'source_recently_updated',
+    category: 'freshness',
+    weight: 5,
+    params: { maxAgeDays: 30 },
+    description: 'Open opportunities were updated by their source within maxAgeDays',
+    check: (row, { maxAgeDays }, now) => {
+      const updated = toDate(row.last_updated_source);
+      if (!isOpen(row) || !updated) return null;
+      const ageDays = Math.floor((now - updated) / DAY_MS);
+      return ageDays <= maxAgeDays || `Last updated by the source ${ageDays} days ago`;
+    }
+  },
+  {
+    id: 'open_not_past_due',
+    category: 'freshness',
+    weight: 4,
+    params: { graceDays: 7 },
+    description: 'Open opportunities are not more than graceDays past their due date',
+    check: (row, { graceDays }, now) => {
+      const due = toDate(row.due_date);
+      if (!isOpen(row) || !due) return null;
+      const overdueDays = Math.floor((now - due) / DAY_MS);
+      return overdueDays <= graceDays || `Still open ${overdueDays} days after the due date`;
+    }
+  },
+
+  // Consistency
+  {
+    id: 'value_range_ordered',
+    category: 'consistency',
+    weight: 6,
+    description: 'value_low is not above value_high',
+    check: (row) => {
+      const low = toNumber(row.value_low);
+      const high = toNumber(row.value_high);
+      if (low === null || high === null) return null;
+      return low <= high || `value_low ${low} is above value_high ${high}`;
+    }
+  },
+  {
+    id: 'value_estimate_in_range',
+    category: 'consistency',
+    weight: 3,
+    description: 'The estimated value lies within the value range',
+    check: (row) => {
+      const estimated = toNumber(row.value_estimated);
+      const low = toNumber(row.value_low);
+      const high = toNumber(row.value_high);
+      if (estimated === null || (low === null && high === null)) return null;
+      return ((low === null || estimated >= low) && (high === null || estimated <= high))
+        || `Estimated value ${estimated} is outside ${low ?? '-'}..${high ?? '-'}`;
+    }
+  },
+  {
+    id: 'due_after_posted',
+    category: 'consistency',
+    weight: 5,
+    description: 'The due date is after the posted date',
+    check: (row) => {
+      const posted = toDate(row.posted_date);
+      const due = toDate(row.due_date);
+      if (!posted || !due) return null;
+      return due >= posted || `Due date ${due.toISOString().slice(0, 10)} is before the posted date ${posted.toISOString().slice(0, 10)}`;
+    }
+  },
+  {
+    id: 'performance_period_ordered',
+    category: 'consistency',
+    weight: 3,
+    description: 'The period of performance starts before it ends',
+    check: (row) => {
+      const start = toDate(row.pop_start);
+      const end = toDate(row.pop_end);
+      if (!start || !end) return null;
+      return start <= end;
+    }
+  },
+  {
+    id: 'award_has_awardee',
+    category: 'consistency',
+    weight: 3,
+    description: 'Awarded opportunities name the awardee',
+    check: (row) => {
+      if (row.source_status !== 'awarded' && row.processing_status !== 'awarded') return null;
+      return present(row.awardee_name);
+    }
+  }
+];
+
+class DataQualityRules {
+  constructor(rules = BUILT_IN_RULES) {
+    this.builtIn = rules;
+    this.setOverrides([]);
+  }
+
+  /**
+   * Replaces the admin overrides
+   * @param {Array<object>} overrides - { id, weight, enabled, params }; unknown rule IDs are ignored
+   */
+  setOverrides(overrides) {
+    const byId = new Map(overrides.map(override => [override.id, override]));
+
+    this.rules = this.builtIn.map(rule => {
+      const override = byId.get(rule.id) || {};
+      const params = { ...(rule.params || {}) };
+      Object.entries(override.params || {}).forEach(([key, value]) => {
+        if (key in params && Number.isFinite(value)) params[key] = value;
+      });
+
+      return {
+        ...rule,
+        weight: Number.isFinite(override.weight) ? override.weight : rule.weight,
+        enabled: override.enabled === undefined || override.enabled === null ? true : Boolean(override.enabled),
+        params,
+        overridden: byId.has(rule.id)
+      };
+    });
+
+    this.ruleset = crypto
+      .createHash('sha1')
+      .update(JSON.stringify(this.rules.map(rule => [rule.id, rule.weight, rule.enabled, rule.params])))
+      .digest('hex')
+      .slice(0, 12);
+  }
+
+  getRule(id) {
+    return this.rules.find(rule => rule.id === id) || null;
+  }
+
+  /**
+   * Effective rules with defaults, in evaluation order
+   */
+  listRules() {
+    return this.rules.map(rule => {
+      const builtIn = this.builtIn.find(candidate => candidate.id === rule.id);
+      return {
+        id: rule.id,
+        category: rule.category,
+        description: rule.description,
+        weight: rule.weight,
+        enabled: rule.enabled,
+        params: rule.params,
+        overridden: rule.overridden,
+        defaults: { weight: builtIn.weight, params: builtIn.params || {} }
+      };
+    });
+  }
+
+  /**
+   * Checks an override before it is stored
+   * @returns {string|null} - Error message, or null when the override is valid
+   */
+  validateOverride(id, { weight, params } = {}) {
+    const rule = this.builtIn.find(candidate => candidate.id === id);
+    if (!rule) return `Unknown data quality rule: ${id}`;
+    if (weight !== undefined && (!Number.isFinite(weight) || weight < 0)) return 'Weights are non-negative numbers';
+
+    const unknown = Object.keys(params || {}).filter(key => !(key in (rule.params || {})));
+    if (unknown.length > 0) {
+      return `Rule ${id} has no parameter ${unknown.join(', ')}` +
+        (rule.params ? ` (parameters: ${Object.keys(rule.params).join(', ')})` : '');
+    }
+    return null;
+  }
+
+  /**
+   * Scores an opportunity
+   * @param {object} row - Opportunity in the gov_opportunities row shape
+   * @param {Date} now - Reference time for freshness rules
+   * @returns {{ score: number|null, details: object }} - details: { ruleset, failed, passed, notApplicable }
+   */
+  evaluate(row, now = new Date()) {
+    let applicableWeight = 0;
+    let passedWeight = 0;
+    const details = { ruleset: this.ruleset, failed: [], passed: [], notApplicable: [] };
+
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+
+      let outcome;
+      try {
+        outcome = rule.check(row, rule.params, now);
+      } catch (error) {
+        outcome = `Check failed: ${error.message}`;
+      }
+
+      if (outcome === null || outcome === undefined) {
+        details.notApplicable.push(rule.id);
+        continue;
+      }
+
+      applicableWeight += rule.weight;
+      if (outcome === true) {
+        passedWeight += rule.weight;
+        details.passed.push(rule.id);
+      } else {
+        details.failed.push({
+          rule: rule.id,
+          category: rule.category,
+          weight: rule.weight,
+          message: typeof outcome === 'string' ? outcome : rule.description
+        });
+      }
+    }
+
+    const score = applicableWeight > 0 ? Math.round((passedWeight / applicableWeight) * 100) / 100 : null;
+    return { score, details };
+  }
+}
+
+const sharedRules = new DataQualityRules();
+
+/**
+ * The process-wide rule set, including admin overrides once they have been loaded
+ */
+function getDataQualityRules() {
+  return sharedRules;
+}
+
+module.exports = {
+  DataQualityRules,
+  BUILT_IN_RULES,
+  getDataQualityRules
+};
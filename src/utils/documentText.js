@@ -0,0 +1,432 @@
+/**
+ * Plain-text extraction for solicitation attachments
+ *
+ * Supports the formats agencies post most often, using only Node built-ins:
+ * - PDF: text-showing operators (Tj, TJ, ', ") from uncompressed and FlateDecode
+ *   content streams. Fonts with custom encodings or CID maps without a Unicode
+ *   fallback come out garbled; scanned PDFs have no text to extract.
+ * - DOCX: word/document.xml read from the zip container
+ * - HTML and plain text
+ */
+
+const zlib = require('zlib');
+
+// Upper bound on inflated stream and zip entry sizes (guards against compression bombs)
+const MAX_INFLATED_BYTES = 50 * 1024 * 1024;
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+const TEXT_EXTENSIONS = new Set(['txt', 'text', 'csv', 'md']);
+const HTML_EXTENSIONS = new Set(['htm', 'html']);
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Detects the document format from its leading bytes, falling back to MIME type and file extension
+ * @returns {string} - 'pdf', 'docx', 'html', 'text' or 'unsupported'
+ */
+function detectFormat(buffer, { mimeType, filename } = {}) {
+  const mime = (mimeType || '').toLowerCase();
+  const extension = (filename || '').toLowerCase().split('.').pop();
+
+  if (buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) return 'pdf';
+
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_FILE_HEADER) {
+    try {
+      return readZipEntries(buffer).has('word/document.xml') ? 'docx' : 'unsupported';
+    } catch (error) {
+      return 'unsupported';
+    }
+  }
+
+  if (mime.includes('html') || HTML_EXTENSIONS.has(extension)) return 'html';
+  if (mime.startsWith('text/') || TEXT_EXTENSIONS.has(extension)) return 'text';
+
+  // Unlabelled files without NUL bytes are treated as text
+  return buffer.subarray(0, 1024).includes(0) ? 'unsupported' : 'text';
+}
+
+/**
+ * Extracts plain text from a downloaded attachment
+ * @param {Buffer} buffer - File content
+ * @param {object} meta - { mimeType, filename }
+ * @returns {object} - { format, text, pageCount }; text is null for unsupported formats
+ */
+function extractDocumentText(buffer, meta = {}) {
+  const format = detectFormat(buffer, meta);
+
+  switch (format) {
+    case 'pdf': {
+      const { text, pageCount } = extractPdfText(buffer);
+      return { format, text, pageCount };
+    }
+    case 'docx':
+      return { format, text: extractDocxText(buffer), pageCount: null };
+    case 'html':
+      return { format, text: htmlToText(buffer.toString('utf8')), pageCount: null };
+    case 'text':
+      return { format, text: normalizeWhitespace(buffer.toString('utf8').replace(/^\uFEFF/, '')), pageCount: null };
+    default:
+      return { format, text: null, pageCount: null };
+  }
+}
+
+// PDF
+
+/**
+ * Extracts the text shown by a PDF's content streams
+ * @returns {object} - { text, pageCount }
+ */
+function extractPdfText(buffer) {
+  const source = buffer.toString('latin1');
+  const pageCount = (source.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+  const blocks = [];
+  const streamPattern = /(?<!end)stream\r?\n/g;
+  let match;
+
+  while ((match = streamPattern.exec(source)) !== null) {
+    const dataStart = match.index + match[0].length;
+    const dataEnd = source.indexOf('endstream', dataStart);
+    if (dataEnd === -1) break;
+
+    const dictionary = source.slice(source.lastIndexOf('obj', match.index), match.index);
+    streamPattern.lastIndex = dataEnd;
+
+    const content = decodePdfStream(buffer.subarray(dataStart, dataEnd), dictionary);
+    if (content && /\bBT\b/.test(content)) {
+      const text = parsePdfContentStream(content);
+      if (text.trim()) blocks.push(text);
+    }
+  }
+
+  return { text: normalizeWhitespace(blocks.join('\n')), pageCount: pageCount || null };
+}
+
+/**
+ * Decodes a content stream, skipping images, fonts and other non-text streams
+ * @returns {string|null} - Stream content as latin1, or null when it cannot hold page text
+ */
+function decodePdfStream(data, dictionary) {
+  if (/\/(Subtype\s*\/Image|Type\s*\/(XRef|ObjStm|Metadata)|Length[123]\b)/.test(dictionary)) {
+    return null;
+  }
+
+  const filters = (dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/) || [])[1] || '';
+  const names = filters.match(/\/\w+/g) || [];
+
+  if (names.length === 0) return data.toString('latin1');
+  if (names.length > 1 || names[0] !== '/FlateDecode') return null;
+
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: MAX_INFLATED_BYTES }).toString('latin1');
+  } catch (error) {
+    // Some producers write the stream length one EOL short or long; retry without zlib's checksum
+    try {
+      return zlib.inflateRawSync(data.subarray(2), { maxOutputLength: MAX_INFLATED_BYTES }).toString('latin1');
+    } catch (rawError) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Walks a content stream's tokens and collects the strings drawn by text operators
+ */
+function parsePdfContentStream(content) {
+  let output = '';
+  let operands = [];
+  let array = null;
+  let lastLineY = null;
+  let i = 0;
+
+  const newline = () => {
+    if (output && !output.endsWith('\n')) output += '\n';
+  };
+  const push = value => (array ? array.push(value) : operands.push(value));
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '%') {
+      while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+    } else if (char === '(') {
+      const { value, end } = readLiteralString(content, i);
+      push(value);
+      i = end;
+    } else if (char === '<' && content[i + 1] === '<') {
+      // Inline dictionaries (marked content properties) carry no page text
+      const end = content.indexOf('>>', i);
+      i = end === -1 ? content.length : end + 2;
+    } else if (char === '<') {
+      const end = content.indexOf('>', i);
+      push(decodePdfString(Buffer.from(content.slice(i + 1, end === -1 ? content.length : end).replace(/\s/g, ''), 'hex')));
+      i = end === -1 ? content.length : end + 1;
+    } else if (char === '[') {
+      array = [];
+      i++;
+    } else if (char === ']') {
+      operands.push(array || []);
+      array = null;
+      i++;
+    } else {
+      let end = i + 1;
+      while (end < content.length && !/[\s()<>[\]/%]/.test(content[end])) end++;
+      if (char === '/' && end === i + 1) end++;
+      const token = content.slice(i, end);
+      i = end;
+
+      if (char === '/' || /^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+        push(char === '/' ? token : parseFloat(token));
+        continue;
+      }
+
+      switch (token) {
+        case 'Tj':
+          output += textOperand(operands[operands.length - 1]);
+          break;
+        case 'TJ':
+          for (const item of operands[operands.length - 1] || []) {
+            // Large negative kerning between strings is how most producers draw a space
+            if (typeof item === 'number') {
+              if (item < -200 && !output.endsWith(' ')) output += ' ';
+            } else {
+              output += item;
+            }
+          }
+          break;
+        case '\'':
+          newline();
+          output += textOperand(operands[operands.length - 1]);
+          break;
+        case '"':
+          newline();
+          output += textOperand(operands[2]);
+          break;
+        case 'T*':
+          newline();
+          break;
+        case 'Td':
+        case 'TD':
+          if (operands[1]) newline();
+          else if (operands[0] > 0 && !output.endsWith(' ')) output += ' ';
+          break;
+        case 'Tm':
+          if (lastLineY !== null && operands[5] !== lastLineY) newline();
+          lastLineY = operands[5];
+          break;
+        case 'BT':
+          lastLineY = null;
+          break;
+        case 'ET':
+          newline();
+          break;
+        default:
+          break;
+      }
+      operands = [];
+    }
+  }
+
+  return output;
+}
+
+function textOperand(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Reads a (literal string) starting at index, handling escapes and balanced parentheses
+ */
+function readLiteralString(content, index) {
+  const bytes = [];
+  let depth = 1;
+  let i = index + 1;
+
+  while (i < content.length && depth > 0) {
+    const char = content[i];
+
+    if (char === '\\') {
+      const next = content[i + 1];
+      const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+      if (next in escapes) {
+        bytes.push(escapes[next]);
+        i += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        bytes.push(parseInt(octal, 8) & 0xff);
+        i += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+      } else {
+        i++;
+      }
+      continue;
+    }
+
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth > 0) bytes.push(char.charCodeAt(0));
+    i++;
+  }
+
+  return { value: decodePdfString(Buffer.from(bytes)), end: i };
+}
+
+/**
+ * Decodes PDF string bytes: UTF-16BE when marked by a BOM or when every high byte is zero
+ * (two-byte CID fonts mapped to Unicode), Latin-1 otherwise
+ */
+function decodePdfString(bytes) {
+  if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return utf16be(bytes.subarray(2));
+  }
+
+  if (bytes.length >= 2 && bytes.length % 2 === 0) {
+    let allHighBytesZero = true;
+    for (let i = 0; i < bytes.length; i += 2) {
+      if (bytes[i] !== 0) {
+        allHighBytesZero = false;
+        break;
+      }
+    }
+    if (allHighBytesZero) return utf16be(bytes);
+  }
+
+  return bytes.toString('latin1');
+}
+
+function utf16be(bytes) {
+  const swapped = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+  return swapped.swap16().toString('utf16le');
+}
+
+// DOCX
+
+/**
+ * Reads the central directory of a zip archive
+ * @returns {Map<string, object>} - Entry name => { method, compressedSize, localOffset }
+ */
+function readZipEntries(buffer) {
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a zip archive: end of central directory not found');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt zip archive: bad central directory entry');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Reads and inflates a single zip entry
+ */
+function readZipEntry(buffer, entry) {
+  const offset = entry.localOffset;
+  if (buffer.readUInt32LE(offset) !== ZIP_LOCAL_FILE_HEADER) {
+    throw new Error('Corrupt zip archive: bad local file header');
+  }
+
+  const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_INFLATED_BYTES });
+  throw new Error(`Unsupported zip compression method ${entry.method}`);
+}
+
+/**
+ * Extracts paragraph text from a Word document
+ */
+function extractDocxText(buffer) {
+  const entries = readZipEntries(buffer);
+  const documentEntry = entries.get('word/document.xml');
+  if (!documentEntry) {
+    throw new Error('DOCX archive has no word/document.xml');
+  }
+
+  const xml = readZipEntry(buffer, documentEntry).toString('utf8');
+  const text = xml
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:(br|cr)\/>/g, '\n')
+    .replace(/<\/w:tc>/g, '\t')
+    .replace(/<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return normalizeWhitespace(decodeEntities(text));
+}
+
+// HTML and text
+
+function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6]|section|article|table)>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return normalizeWhitespace(decodeEntities(text));
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return XML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Collapses runs of spaces and blank lines, keeping paragraph breaks
+ */
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  detectFormat,
+  extractDocumentText,
+  extractPdfText,
+  extractDocxText,
+  htmlToText,
+  readZipEntries,
+  MAX_INFLATED_BYTES
+};
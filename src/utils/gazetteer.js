@@ -0,0 +1,398 @@
+/**
+ * Offline gazetteer for place-of-performance normalization and geocoding
+ *
+ * Locations arrive as loose objects (SAM.gov's nested { city: { code, name } } shape, feed
+ * columns) or free text ("Rock Island, IL 61299", "Virginia", "Remote"). They are normalized to
+ * state/county/ZIP/CBSA and geocoded to a point, most precise match first:
+ *   zip → place (city + state) → county → state centroid
+ * The precision of the match is reported with the point so callers can weigh it.
+ *
+ * The bundled data (src/data/gazetteer.json) is a seed covering every state and territory plus
+ * the principal cities of major metro areas and federal installation hubs. Build the complete
+ * gazetteer from Census files with scripts/build-gazetteer.js and point GAZETTEER_FILE at it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLED_FILE = path.join(__dirname, '..', 'data', 'gazetteer.json');
+const EARTH_RADIUS_MILES = 3958.8;
+
+const PRECISIONS = ['zip', 'place', 'county', 'state'];
+
+const US_COUNTRIES = new Set(['us', 'usa', 'united states', 'united states of america']);
+const REMOTE_PATTERN = /\b(remote|virtual|telework|telecommute|off-?site)\b/i;
+const NATIONWIDE_PATTERN = /\b(nationwide|nation-wide|various|multiple locations|conus|oconus|worldwide|all states|anywhere)\b/i;
+const METRO_PATTERN = /\b(metro(politan)?( area)?|msa|region)\b/gi;
+const COUNTY_PATTERN = /\s+(county|parish|borough|municipality|municipio|city and borough)$/i;
+
+/**
+ * Lowercase, punctuation-free key for name lookups ("St. Mary's County" → "st marys county")
+ */
+function nameKey(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * SAM.gov nests names and codes ({ code: 'VA', name: 'Virginia' }); feeds use plain strings
+ */
+function fieldText(value, preferCode = false) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') {
+    const text = preferCode ? value.code || value.name : value.name || value.code;
+    return text ? String(text).trim() || null : null;
+  }
+  return String(value).trim() || null;
+}
+
+/**
+ * Great-circle distance in miles between two { latitude, longitude } points
+ */
+function distanceMiles(a, b) {
+  if (!hasPoint(a) || !hasPoint(b)) return null;
+
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function hasPoint(point) {
+  return Boolean(point) && Number.isFinite(point.latitude) && Number.isFinite(point.longitude);
+}
+
+class Gazetteer {
+  /**
+   * @param {object} data - { states, zip3, cbsas, counties, places, zips } as in src/data/gazetteer.json
+   */
+  constructor(data = {}) {
+    this.version = data.version || null;
+
+    this.states = new Map();
+    this.stateKeys = new Map();
+    for (const state of data.states || []) {
+      this.states.set(state.code, state);
+      this.stateKeys.set(nameKey(state.code), state);
+      this.stateKeys.set(nameKey(state.name), state);
+      this.stateKeys.set(state.fips, state);
+    }
+
+    this.zip3 = (data.zip3 || []).map(([from, to, state]) => ({ from, to, state }));
+    this.cbsas = new Map((data.cbsas || []).map(cbsa => [cbsa.code, cbsa]));
+
+    this.counties = new Map();
+    this.countyNames = new Map();
+    this.stateCounties = new Map();
+    this.cbsaCounties = new Map();
+    for (const county of data.counties || []) {
+      this.counties.set(county.fips, county);
+      addToGroup(this.stateCounties, county.state, county);
+      if (county.cbsa) addToGroup(this.cbsaCounties, county.cbsa, county);
+      this.countyNames.set(`${county.state}|${nameKey(county.name)}`, county);
+      this.countyNames.set(`${county.state}|${nameKey(county.name.replace(COUNTY_PATTERN, ''))}`, county);
+    }
+
+    this.places = new Map();
+    for (const place of data.places || []) {
+      const key = `${place.state}|${nameKey(place.name)}`;
+      if (!this.places.has(key)) this.places.set(key, place);
+    }
+
+    this.zips = new Map((data.zips || []).map(zip => [zip.zip, zip]));
+  }
+
+  /**
+   * State by USPS code, name or FIPS code
+   */
+  getState(value) {
+    const text = fieldText(value, true);
+    if (!text) return null;
+    return this.stateKeys.get(/^\d{1,2}$/.test(text) ? text.padStart(2, '0') : nameKey(text)) || null;
+  }
+
+  getCounty(fips) {
+    return fips ? this.counties.get(String(fips)) || null : null;
+  }
+
+  getCbsa(code) {
+    return code ? this.cbsas.get(String(code)) || null : null;
+  }
+
+  findPlace(name, state) {
+    if (!name || !state) return null;
+    return this.places.get(`${state}|${nameKey(name)}`) || null;
+  }
+
+  findCounty(name, state) {
+    if (!name || !state) return null;
+    return this.countyNames.get(`${state}|${nameKey(name)}`) ||
+      this.countyNames.get(`${state}|${nameKey(String(name).replace(COUNTY_PATTERN, ''))}`) ||
+      null;
+  }
+
+  /**
+   * ZIP code lookup; ZIPs outside the gazetteer still resolve to a state through their prefix
+   * @returns {object|null} - { zip, state, countyFips, latitude, longitude } or { zip, state } for prefix matches
+   */
+  lookupZip(value) {
+    const zip = String(value || '').match(/^\s*(\d{5})/)?.[1];
+    if (!zip) return null;
+    if (this.zips.has(zip)) return this.zips.get(zip);
+
+    const prefix = zip.slice(0, 3);
+    const range = this.zip3.find(entry => prefix >= entry.from && prefix <= entry.to);
+    return range ? { zip, state: range.state } : null;
+  }
+
+  /**
+   * CBSA by code ("CBSA 47900") or by title ("Huntsville, AL", "Washington-Arlington-Alexandria")
+   */
+  findCbsa(text) {
+    const code = String(text || '').match(/^\s*cbsa\s*(\d{5})\s*$/i)?.[1];
+    if (code) return this.getCbsa(code);
+
+    const key = nameKey(text);
+    if (!key) return null;
+    for (const cbsa of this.cbsas.values()) {
+      const title = nameKey(cbsa.title);
+      if (title === key || title.startsWith(`${key} `)) return cbsa;
+    }
+    return null;
+  }
+
+  /**
+   * Splits free text into location fields: "City, ST 12345", "City ST", "X County, ST",
+   * "ST", "State Name", "12345"; remote and nationwide wording is flagged as a scope
+   */
+  parseText(text) {
+    const value = String(text || '').trim();
+    if (!value) return null;
+    if (REMOTE_PATTERN.test(value)) return { scope: 'remote' };
+    if (NATIONWIDE_PATTERN.test(value)) return { scope: 'nationwide' };
+
+    const zip = value.match(/\b(\d{5})(?:-\d{4})?\b/)?.[1] || null;
+    const parts = value
+      .replace(/\b\d{5}(?:-\d{4})?\b/, '')
+      .replace(METRO_PATTERN, '')
+      .split(',')
+      .map(part => part.trim())
+      .filter(Boolean);
+
+    if (parts.length === 0) return { zip };
+
+    const fields = { zip };
+    const last = parts[parts.length - 1];
+    const lastState = this.getState(last);
+
+    if (parts.length > 1 && lastState) {
+      fields.state = lastState.code;
+      parts.pop();
+    } else if (parts.length === 1) {
+      if (lastState) return { ...fields, state: lastState.code };
+
+      // "Washington DC", "Newport News Virginia": trailing state without a comma
+      const words = last.split(/\s+/);
+      for (let count = Math.min(3, words.length - 1); count >= 1; count--) {
+        const word = words[words.length - 1];
+        const state = this.getState(words.slice(-count).join(' '));
+        // Two-letter words only count as state codes when capitalized ("in", "or", "me")
+        if (state && (count > 1 || word.length > 2 || /^[A-Z]{2}$/.test(word))) {
+          fields.state = state.code;
+          parts[0] = words.slice(0, -count).join(' ');
+          break;
+        }
+      }
+    }
+
+    const name = parts[0];
+    if (COUNTY_PATTERN.test(name)) {
+      fields.county = name;
+    } else {
+      fields.city = name;
+    }
+    return fields;
+  }
+
+  /**
+   * Normalizes a location object or free-text string and geocodes it
+   * @param {object|string} input - { city, county, state, zip|zipCode, country, address } or text
+   * @returns {object|null} - { address, city, county, countyFips, state, zip, cbsa, cbsaTitle, country,
+   *   scope, latitude, longitude, precision }, empty fields omitted; null for empty input
+   */
+  normalizeLocation(input) {
+    if (!input) return null;
+
+    const fields = typeof input === 'string'
+      ? this.parseText(input)
+      : {
+        address: fieldText(input.address ?? input.streetAddress),
+        city: fieldText(input.city),
+        county: fieldText(input.county),
+        state: fieldText(input.state, true),
+        zip: fieldText(input.zip ?? input.zipCode ?? input.postalCode),
+        country: fieldText(input.country, true)
+      };
+    if (!fields) return null;
+
+    if (!fields.scope) {
+      const text = fields.city || fields.address;
+      if (text && REMOTE_PATTERN.test(text)) fields.scope = 'remote';
+      else if (text && NATIONWIDE_PATTERN.test(text)) fields.scope = 'nationwide';
+    }
+
+    if (fields.country && !US_COUNTRIES.has(nameKey(fields.country)) && !this.getState(fields.country)) {
+      return compact({ ...fields, latitude: null, longitude: null, precision: null });
+    }
+
+    const location = {
+      address: fields.address,
+      city: fields.city,
+      county: fields.county,
+      state: this.getState(fields.state)?.code || (fields.state ? String(fields.state).toUpperCase() : null),
+      zip: String(fields.zip || '').match(/^\d{5}/)?.[0] || null,
+      country: 'USA',
+      scope: fields.scope
+    };
+
+    if (Object.keys(compact(location)).every(key => key === 'country')) return null;
+
+    Object.assign(location, this.geocode(location));
+    return compact(location);
+  }
+
+  /**
+   * Point and administrative areas for normalized fields, most precise match first
+   */
+  geocode({ city, county, state, zip }) {
+    const zipMatch = this.lookupZip(zip);
+    const stateCode = state || zipMatch?.state || null;
+
+    let match = null;
+    let precision = null;
+    if (zipMatch?.latitude !== undefined && (!state || zipMatch.state === state)) {
+      match = zipMatch;
+      precision = 'zip';
+    } else if (this.findPlace(city, stateCode)) {
+      match = this.findPlace(city, stateCode);
+      precision = 'place';
+    } else if (this.findCounty(county, stateCode)) {
+      const found = this.findCounty(county, stateCode);
+      match = { ...found, countyFips: found.fips };
+      precision = 'county';
+    }
+
+    const countyRecord = this.getCounty(match?.countyFips);
+    const cbsa = this.getCbsa(countyRecord?.cbsa);
+    const stateRecord = this.states.get(stateCode);
+    const point = match || stateRecord;
+
+    return {
+      state: stateCode,
+      county: countyRecord?.name || county || null,
+      countyFips: countyRecord?.fips || null,
+      cbsa: cbsa?.code || null,
+      cbsaTitle: cbsa?.title || null,
+      latitude: point ? point.latitude : null,
+      longitude: point ? point.longitude : null,
+      precision: match ? precision : (stateRecord ? 'state' : null)
+    };
+  }
+
+  /**
+   * Resolves a service area ("Remote", "Virginia", "Huntsville, AL metro", "CBSA 47900",
+   * "Dayton, OH", "20001") to the area it covers and a reference point
+   * @returns {object|null} - { label, type: remote|nationwide|state|cbsa|county|place|zip, state, cbsa,
+   *   countyFips, latitude, longitude }
+   */
+  resolveArea(text) {
+    const label = String(text || '').trim();
+    if (!label) return null;
+
+    const metro = /\bmetro(politan)?\b|\bmsa\b|\bregion\b|^cbsa\b/i.test(label);
+    const cbsa = metro ? this.findCbsa(label) || this.findCbsa(label.replace(METRO_PATTERN, '').trim()) : null;
+    if (cbsa) {
+      return { label, type: 'cbsa', state: null, cbsa: cbsa.code, countyFips: null, latitude: cbsa.latitude, longitude: cbsa.longitude };
+    }
+
+    const location = this.normalizeLocation(label);
+    if (!location) return null;
+    if (location.scope) {
+      return { label, type: location.scope, state: null, cbsa: null, countyFips: null, latitude: null, longitude: null };
+    }
+    if (!location.precision) return null;
+
+    const type = metro && location.cbsa ? 'cbsa' : location.precision;
+    const point = type === 'cbsa' ? this.getCbsa(location.cbsa) : location;
+    return {
+      label,
+      type,
+      state: location.state,
+      cbsa: location.cbsa || null,
+      countyFips: location.countyFips || null,
+      latitude: point.latitude,
+      longitude: point.longitude
+    };
+  }
+
+  /**
+   * Miles from a geocoded site to a resolved area; zero inside state, CBSA and county areas.
+   * States and CBSAs are measured to their nearest county, so a site just across a border is
+   * not charged the distance to the far-away centroid.
+   */
+  distanceToArea(site, area) {
+    if (!site || !area) return null;
+    if (area.type === 'nationwide') return 0;
+    if (area.type === 'remote') return null;
+    if (area.type === 'state' && site.state === area.state) return 0;
+    if (area.type === 'cbsa' && site.cbsa && site.cbsa === area.cbsa) return 0;
+    if (area.type === 'county' && site.countyFips && site.countyFips === area.countyFips) return 0;
+
+    const counties = area.type === 'state' ? this.stateCounties.get(area.state)
+      : area.type === 'cbsa' ? this.cbsaCounties.get(area.cbsa)
+        : null;
+    const distances = [area, ...(counties || [])]
+      .map(point => distanceMiles(site, point))
+      .filter(miles => miles !== null);
+    return distances.length > 0 ? Math.min(...distances) : null;
+  }
+}
+
+function addToGroup(groups, key, value) {
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(value);
+}
+
+function compact(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+}
+
+let sharedGazetteer = null;
+
+/**
+ * Gazetteer shared by ingestion, search and scoring; GAZETTEER_FILE replaces the bundled seed
+ */
+function getGazetteer() {
+  if (!sharedGazetteer) {
+    const file = process.env.GAZETTEER_FILE || BUNDLED_FILE;
+    sharedGazetteer = new Gazetteer(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return sharedGazetteer;
+}
+
+module.exports = {
+  Gazetteer,
+  getGazetteer,
+  distanceMiles,
+  nameKey,
+  PRECISIONS,
+  EARTH_RADIUS_MILES
+};
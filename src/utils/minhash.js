@@ -0,0 +1,160 @@
+/**
+ * MinHash signatures and LSH banding for near-duplicate candidate generation
+ *
+ * Text is reduced to a set of word shingles; a MinHash signature of `permutations` values
+ * estimates the Jaccard similarity of two sets. Splitting signatures into `bands` of
+ * `permutations / bands` rows and bucketing identical bands makes pairs with Jaccard
+ * similarity s share a bucket with probability 1 - (1 - s^rows)^bands.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or',
+  'shall', 'that', 'the', 'this', 'to', 'will', 'with'
+]);
+
+/**
+ * Lowercase word tokens without punctuation and stop words
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Word n-gram shingles of the text; texts shorter than `size` words yield their words
+ * @returns {Set<string>}
+ */
+function shingle(text, size = 2) {
+  const tokens = tokenize(text);
+  if (tokens.length < size) return new Set(tokens);
+
+  const shingles = new Set();
+  for (let i = 0; i <= tokens.length - size; i++) {
+    shingles.add(tokens.slice(i, i + size).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic seeds so signatures are comparable across runs and processes
+ */
+function createSeeds(count, seed) {
+  const seeds = new Uint32Array(count);
+  let state = seed >>> 0;
+  for (let i = 0; i < count; i++) {
+    // mulberry32 step
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    seeds[i] = (value ^ (value >>> 14)) >>> 0;
+  }
+  return seeds;
+}
+
+class MinHasher {
+  /**
+   * @param {object} options
+   * @param {number} options.permutations - Signature length (default: 128)
+   * @param {number} options.seed - Seed for the hash family (default: 1)
+   */
+  constructor({ permutations = 128, seed = 1 } = {}) {
+    this.permutations = permutations;
+    this.seeds = createSeeds(permutations, seed);
+  }
+
+  /**
+   * MinHash signature of a shingle set (all empty sets share one signature, so callers skip them)
+   * @param {Set<string>|Array<string>} shingles
+   * @returns {Uint32Array}
+   */
+  signature(shingles) {
+    const signature = new Uint32Array(this.permutations).fill(0xffffffff);
+    for (const item of shingles) {
+      const base = hashString(item);
+      for (let i = 0; i < this.permutations; i++) {
+        // murmur3 finalizer over the seeded base hash
+        let hash = base ^ this.seeds[i];
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+        hash = (hash ^ (hash >>> 16)) >>> 0;
+        if (hash < signature[i]) signature[i] = hash;
+      }
+    }
+    return signature;
+  }
+}
+
+/**
+ * Share of equal positions in two signatures (estimated Jaccard similarity)
+ */
+function estimateSimilarity(signature1, signature2) {
+  let equal = 0;
+  for (let i = 0; i < signature1.length; i++) {
+    if (signature1[i] === signature2[i]) equal++;
+  }
+  return signature1.length > 0 ? equal / signature1.length : 0;
+}
+
+/**
+ * Buckets items whose signatures agree on at least one band
+ * Bands are hashed to 32-bit keys and grouped by sorting, one band at a time, to keep memory linear.
+ * @param {Array<Uint32Array|null>} signatures - One per item; null items are left out
+ * @param {number} bands - Number of bands; must divide the signature length
+ * @returns {Array<Array<number>>} - Item indexes per bucket with two or more items
+ */
+function lshBuckets(signatures, bands) {
+  const indexes = [];
+  signatures.forEach((signature, index) => {
+    if (signature) indexes.push(index);
+  });
+  if (indexes.length < 2) return [];
+
+  const rows = signatures[indexes[0]].length / bands;
+  const keys = new Uint32Array(signatures.length);
+  const buckets = [];
+
+  for (let band = 0; band < bands; band++) {
+    for (const index of indexes) {
+      let hash = 0x811c9dc5 ^ band;
+      const signature = signatures[index];
+      for (let row = band * rows; row < (band + 1) * rows; row++) {
+        hash = Math.imul(hash ^ signature[row], 0x01000193);
+      }
+      keys[index] = hash >>> 0;
+    }
+
+    const ordered = [...indexes].sort((a, b) => keys[a] - keys[b]);
+    let start = 0;
+    for (let i = 1; i <= ordered.length; i++) {
+      if (i === ordered.length || keys[ordered[i]] !== keys[ordered[start]]) {
+        if (i - start > 1) buckets.push(ordered.slice(start, i));
+        start = i;
+      }
+    }
+  }
+
+  return buckets;
+}
+
+module.exports = {
+  MinHasher,
+  tokenize,
+  shingle,
+  hashString,
+  estimateSimilarity,
+  lshBuckets
+};
@@ -0,0 +1,179 @@
+/**
+ * Scoring versions for profile opportunity scoring
+ *
+ * A version names the judges of the Panel of Judges with the share of the overall score each one
+ * carries, and the thresholds for verdicts and fit categories. Any registered profile judge (see
+ * services/judges) can be weighted; JUDGE_NAMES are the built-in ones, which have their own score columns. Scores are stored per version
+ * (gov_opportunity_scores.scoring_version):
+ * - active: the version the scoring API reads; exactly one at a time
+ * - shadow: scored by the scoring worker next to the active version, for comparison before promotion
+ * - candidate: registered but not scored (scores can still be replayed from stored inputs)
+ * - retired: a previously active version
+ *
+ * Version 1.0 is built in. Admins register other versions and move them between states at runtime
+ * (see ScoringVersionService); definitions never change once registered, so a version's scores
+ * always mean the same thing.
+ */
+
+const JUDGE_NAMES = ['technical', 'domain', 'value', 'innovation', 'relationship'];
+
+const STATUSES = ['candidate', 'shadow', 'active', 'retired'];
+
+const SCORING_TYPES = ['panel_of_judges'];
+
+const DEFAULT_THRESHOLDS = {
+  // Lowest overall score for each verdict; anything lower is NOT_RECOMMENDED
+  verdicts: { recommended: 70, possible: 50 },
+  // Lowest overall score for each fit category; anything lower is poor
+  fitCategories: { excellent: 80, good: 60, fair: 40 }
+};
+
+const BUILT_IN_VERSIONS = [
+  {
+    version: '1.0',
+    description: 'Panel of five judges weighted towards technical fit',
+    scoringType: 'panel_of_judges',
+    weights: { technical: 0.30, domain: 0.25, value: 0.20, innovation: 0.15, relationship: 0.10 },
+    thresholds: DEFAULT_THRESHOLDS
+  }
+];
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function withDefaultThresholds(thresholds = {}) {
+  return {
+    verdicts: { ...DEFAULT_THRESHOLDS.verdicts, ...thresholds.verdicts },
+    fitCategories: { ...DEFAULT_THRESHOLDS.fitCategories, ...thresholds.fitCategories }
+  };
+}
+
+function descending(values) {
+  return values.every((value, index) => index === 0 || values[index - 1] > value);
+}
+
+class ScoringVersions {
+  constructor(builtIn = BUILT_IN_VERSIONS) {
+    this.builtIn = builtIn.map(definition => ({
+      ...definition,
+      thresholds: withDefaultThresholds(definition.thresholds),
+      builtIn: true
+    }));
+    // Until versions are loaded from the database, the first built-in version is the active one
+    this.versions = this.builtIn.map((definition, index) => ({ ...definition, status: index === 0 ? 'active' : 'candidate' }));
+  }
+
+  /**
+   * Replaces the registered versions with rows of scoring_versions. Built-in versions keep their
+   * definition from code and take only their status from the database.
+   * @param {Array<object>} rows - { version, description, scoring_type, weights, thresholds, status }
+   */
+  setVersions(rows) {
+    const stored = new Map(rows.map(row => [row.version, row]));
+    const versions = this.builtIn.map(definition => ({
+      ...definition,
+      status: stored.get(definition.version)?.status || 'candidate'
+    }));
+
+    for (const row of rows) {
+      if (versions.some(definition => definition.version === row.version)) continue;
+      versions.push({
+        version: row.version,
+        description: row.description || null,
+        scoringType: row.scoring_type || 'panel_of_judges',
+        weights: parseJson(row.weights, {}),
+        thresholds: withDefaultThresholds(parseJson(row.thresholds, {})),
+        status: row.status,
+        builtIn: false
+      });
+    }
+
+    // Without an active version in the database (e.g. before the migration), keep scoring with the built-in one
+    if (!versions.some(definition => definition.status === 'active')) {
+      versions[0] = { ...versions[0], status: 'active' };
+    }
+    this.versions = versions;
+  }
+
+  get(version) {
+    return this.versions.find(definition => definition.version === version) || null;
+  }
+
+  list() {
+    return this.versions.map(definition => ({ ...definition }));
+  }
+
+  getActive() {
+    return this.versions.find(definition => definition.status === 'active');
+  }
+
+  /**
+   * The versions the scoring worker keeps current: the active version first, then shadow versions
+   */
+  getLive() {
+    return [this.getActive(), ...this.versions.filter(definition => definition.status === 'shadow')];
+  }
+
+  isBuiltIn(version) {
+    return this.builtIn.some(definition => definition.version === version);
+  }
+
+  /**
+   * Checks a version definition before it is registered
+   * @param {object} definition - { weights, thresholds, scoringType }
+   * @param {Array<string>} judgeNames - Judges a version can weight (the registered profile judges)
+   * @returns {string|null} - Error message, or null when the definition is valid
+   */
+  validate({ weights = {}, thresholds = {}, scoringType = 'panel_of_judges' } = {}, judgeNames = JUDGE_NAMES) {
+    if (!SCORING_TYPES.includes(scoringType)) {
+      return `Scoring type ${scoringType} is not supported; versions use ${SCORING_TYPES.join(', ')}`;
+    }
+
+    const judges = Object.keys(weights);
+    if (judges.length === 0) {
+      return 'A version needs at least one judge';
+    }
+    const unknown = judges.filter(judge => !judgeNames.includes(judge));
+    if (unknown.length > 0) {
+      return `Unknown judges: ${unknown.join(', ')} (available: ${judgeNames.join(', ')})`;
+    }
+    if (judges.some(judge => !(typeof weights[judge] === 'number' && weights[judge] > 0))) {
+      return 'Judge weights must be positive numbers';
+    }
+
+    const { verdicts, fitCategories } = withDefaultThresholds(thresholds);
+    if (!descending([verdicts.recommended, verdicts.possible])) {
+      return 'The recommended verdict threshold must be above the possible one';
+    }
+    if (!descending([fitCategories.excellent, fitCategories.good, fitCategories.fair])) {
+      return 'Fit category thresholds must descend from excellent to good to fair';
+    }
+    return null;
+  }
+}
+
+const sharedVersions = new ScoringVersions();
+
+/**
+ * The process-wide scoring versions, including admin-registered versions and states once loaded
+ */
+function getScoringVersions() {
+  return sharedVersions;
+}
+
+module.exports = {
+  ScoringVersions,
+  BUILT_IN_VERSIONS,
+  DEFAULT_THRESHOLDS,
+  JUDGE_NAMES,
+  STATUSES,
+  getScoringVersions,
+  withDefaultThresholds
+};
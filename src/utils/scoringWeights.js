@@ -0,0 +1,163 @@
+/**
+ * Per-profile judge weights
+ *
+ * Profiles rate how much each judge matters to them on the 1-5 priority sliders of the profile
+ * enhancer. A rating scales the scoring version's weight for the judge by rating / 3, and the weights
+ * are renormalized into shares of the overall score, so 3 keeps the version's weighting and a profile
+ * that never moved a slider is scored exactly like the defaults. Judges the version does not use are
+ * ignored. Ratings are stored in company_profiles.scoring_weights (companies.scoring_weights for the
+ * legacy scoring service).
+ */
+
+const { JUDGE_NAMES } = require('./scoringVersions');
+
+const IMPORTANCE_MIN = 1;
+const IMPORTANCE_MAX = 5;
+const IMPORTANCE_NEUTRAL = 3;
+
+// Share changes below this (half a percentage point) are left out of the explanation
+const REPORTED_SHARE_CHANGE = 0.005;
+
+function parseImportance(value) {
+  if (value === null || value === undefined) return {};
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Checks ratings before they are stored
+ * @param {object} importance - Judge -> rating
+ * @returns {string|null} - Error message, or null when the ratings are valid
+ */
+function validateImportance(importance, judgeNames = JUDGE_NAMES) {
+  const unknown = Object.keys(importance).filter(judge => !judgeNames.includes(judge));
+  if (unknown.length > 0) {
+    return `Unknown judges: ${unknown.join(', ')} (available: ${judgeNames.join(', ')})`;
+  }
+  const invalid = Object.entries(importance)
+    .filter(([, rating]) => !Number.isInteger(rating) || rating < IMPORTANCE_MIN || rating > IMPORTANCE_MAX);
+  if (invalid.length > 0) {
+    return `Ratings must be whole numbers from ${IMPORTANCE_MIN} to ${IMPORTANCE_MAX}: ${invalid.map(([judge]) => judge).join(', ')}`;
+  }
+  return null;
+}
+
+function normalize(weights) {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return Object.fromEntries(Object.entries(weights).map(([judge, weight]) => [
+    judge,
+    total > 0 ? Math.round((weight / total) * 10000) / 10000 : 0
+  ]));
+}
+
+/**
+ * The judges' shares of the overall score for a profile's ratings
+ * @param {object} weights - The scoring version's weights
+ * @param {object|string} importance - The profile's ratings (stored JSON is accepted)
+ * @returns {object} - Judge -> share, summing to 1
+ */
+function applyImportance(weights, importance) {
+  const ratings = parseImportance(importance);
+  return normalize(Object.fromEntries(Object.entries(weights).map(([judge, weight]) => {
+    const rating = Number.isFinite(ratings[judge]) ? ratings[judge] : IMPORTANCE_NEUTRAL;
+    return [judge, weight * (rating / IMPORTANCE_NEUTRAL)];
+  })));
+}
+
+/**
+ * Judges of the version the ratings move away from neutral
+ */
+function ratedJudges(weights, importance) {
+  const ratings = parseImportance(importance);
+  return Object.keys(weights).filter(judge => Number.isFinite(ratings[judge]) && ratings[judge] !== IMPORTANCE_NEUTRAL);
+}
+
+/**
+ * Whether the ratings change the weighting of any judge the version uses
+ */
+function isCustomized(weights, importance) {
+  return ratedJudges(weights, importance).length > 0;
+}
+
+function percent(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+/**
+ * How a profile's weights changed a score compared with the version's defaults
+ * @param {object} defaultWeights - Shares under the version's weights
+ * @param {object} weights - Shares under the profile's ratings
+ * @param {number} overallScore - Score under the profile's weights
+ * @param {number} defaultScore - Score the same judge evaluations get under the defaults
+ * @param {Array<string>} rated - Judges the profile rated, named in the summary (the others only
+ *   shift because shares are renormalized)
+ * @returns {object} - { defaultScore, scoreChange, judges: [{ judge, defaultWeight, weight }], summary }
+ */
+function describeWeighting(defaultWeights, weights, overallScore, defaultScore, rated = Object.keys(weights)) {
+  const judges = Object.keys(weights)
+    .map(judge => ({ judge, defaultWeight: defaultWeights[judge] || 0, weight: weights[judge] }))
+    .filter(change => Math.abs(change.weight - change.defaultWeight) >= REPORTED_SHARE_CHANGE)
+    .sort((a, b) => Math.abs(b.weight - b.defaultWeight) - Math.abs(a.weight - a.defaultWeight));
+
+  const scoreChange = Math.round((overallScore - defaultScore) * 100) / 100;
+  const effect = scoreChange > 0
+    ? `raised the score from ${defaultScore} to ${overallScore}`
+    : scoreChange < 0
+      ? `lowered the score from ${defaultScore} to ${overallScore}`
+      : `did not change the score (${overallScore})`;
+  const shares = judges
+    .filter(change => rated.includes(change.judge))
+    .map(change => `${change.judge} ${percent(change.weight)} instead of ${percent(change.defaultWeight)}`)
+    .join(', ');
+
+  return {
+    defaultScore,
+    scoreChange,
+    judges,
+    summary: `Your priority weights ${effect}${shares ? `: ${shares}` : ''}.`
+  };
+}
+
+/**
+ * Scores judge evaluations with a profile's weights and, when its ratings differ from the defaults,
+ * explains how they changed the score
+ * @param {object} versionWeights - The scoring version's weights
+ * @param {object|string} importance - The profile's ratings
+ * @param {Function} score - (weights) => overall score of the judge evaluations under those weights
+ * @returns {object} - { overallScore, weights, weighting } (weighting is null without custom ratings)
+ */
+function weighScore(versionWeights, importance, score) {
+  const defaultWeights = normalize(versionWeights);
+  const weights = applyImportance(versionWeights, importance);
+  const overallScore = score(weights);
+  if (!isCustomized(versionWeights, importance)) {
+    return { overallScore, weights, weighting: null };
+  }
+
+  return {
+    overallScore,
+    weights,
+    weighting: {
+      importance: parseImportance(importance),
+      defaultWeights,
+      ...describeWeighting(defaultWeights, weights, overallScore, score(defaultWeights), ratedJudges(versionWeights, importance))
+    }
+  };
+}
+
+module.exports = {
+  IMPORTANCE_MIN,
+  IMPORTANCE_MAX,
+  IMPORTANCE_NEUTRAL,
+  applyImportance,
+  describeWeighting,
+  isCustomized,
+  normalize,
+  parseImportance,
+  validateImportance,
+  weighScore
+};
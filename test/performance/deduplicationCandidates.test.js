@@ -0,0 +1,189 @@
+/**
+ * Deduplication Candidate Generation Benchmark
+ * Recall and runtime of blocking + MinHash LSH on a synthetic opportunity set with injected duplicates
+ *
+ * DEDUP_BENCHMARK_SIZE overrides the number of records (default: 50000)
+ */
+
+const { test, describe, before, mock } = require('node:test');
+const assert = require('node:assert');
+const OpportunityDeduplicationService = require('../../src/services/opportunityDeduplicationService');
+const { logger } = require('../../src/utils/logger');
+
+const RECORD_COUNT = parseInt(process.env.DEDUP_BENCHMARK_SIZE || '50000', 10);
+const DUPLICATE_RATE = 0.08;
+const MATCH_THRESHOLD = 0.75;
+
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Synthetic opportunities; about DUPLICATE_RATE of them get one or two re-posted variants
+ * (new notice ID, reworded title and description, shifted dates, amended or missing solicitation number)
+ * @returns {object} - { opportunities, duplicatePairs: Set of 'id|id' keys }
+ */
+function generateOpportunities(count, seed = 42) {
+  const random = createRandom(seed);
+  const pick = list => list[Math.floor(random() * list.length)];
+  const syllables = ['ac', 'bel', 'cor', 'dun', 'ev', 'fal', 'gor', 'hes', 'im', 'jor', 'kel', 'lum', 'mar', 'nov',
+    'op', 'pra', 'quin', 'ros', 'sil', 'tor', 'ul', 'ven', 'wes', 'xan', 'yor', 'zel'];
+  const vocabulary = Array.from({ length: 4000 }, () =>
+    Array.from({ length: 2 + Math.floor(random() * 2) }, () => pick(syllables)).join(''));
+  const domainWords = ['support', 'services', 'system', 'maintenance', 'software', 'training', 'network', 'cloud',
+    'security', 'engineering', 'facility', 'logistics', 'analysis', 'modernization', 'operations', 'data'];
+  const agencies = Array.from({ length: 25 }, (_, index) => `Department of ${pick(vocabulary)} ${index}`);
+  const naicsCodes = Array.from({ length: 40 }, (_, index) => String(541000 + index * 17));
+  const offices = Array.from({ length: 300 }, (_, index) => `W9${String(index).padStart(3, '0')}X`);
+  const words = length => Array.from({ length }, () => (random() < 0.2 ? pick(domainWords) : pick(vocabulary)));
+
+  const opportunities = [];
+  const duplicatePairs = new Set();
+  let nextId = 1;
+
+  const base = () => {
+    const posted = Date.UTC(2025, 0, 1) + Math.floor(random() * 300) * 86400000;
+    return {
+      id: `opp-${nextId++}`,
+      noticeId: `N${Math.floor(random() * 1e12).toString(16)}`,
+      solicitation_number: `${pick(offices)}${25 + Math.floor(random() * 2)}R${String(Math.floor(random() * 10000)).padStart(4, '0')}`,
+      title: words(4 + Math.floor(random() * 5)).join(' '),
+      description: words(40 + Math.floor(random() * 50)).join(' '),
+      agency: pick(agencies),
+      naics_codes: [pick(naicsCodes)],
+      posted_date: new Date(posted).toISOString(),
+      due_date: new Date(posted + 30 * 86400000).toISOString(),
+      value_estimated: Math.round(100000 + random() * 5000000)
+    };
+  };
+
+  const variant = (original) => {
+    const titleWords = original.title.split(' ');
+    titleWords[Math.floor(random() * titleWords.length)] = pick(vocabulary);
+    const descriptionWords = original.description.split(' ')
+      .map(word => (random() < 0.1 ? pick(vocabulary) : word))
+      .slice(0, original.description.split(' ').length - Math.floor(random() * 5));
+    const solicitation = random();
+    const shift = Math.floor(random() * 4) * 86400000;
+
+    return {
+      ...original,
+      id: `opp-${nextId++}`,
+      noticeId: `N${Math.floor(random() * 1e12).toString(16)}`,
+      solicitation_number: solicitation < 0.5 ? original.solicitation_number
+        : solicitation < 0.75 ? `${original.solicitation_number}-0001` : null,
+      title: random() < 0.3 ? titleWords.join(' ').toUpperCase() : titleWords.join(' '),
+      description: random() < 0.3 ? `${descriptionWords.join(' ')} amendment issued to extend the due date` : descriptionWords.join(' '),
+      posted_date: new Date(new Date(original.posted_date).getTime() + shift).toISOString(),
+      due_date: new Date(new Date(original.due_date).getTime() + shift).toISOString(),
+      value_estimated: random() < 0.3 ? null : Math.round(original.value_estimated * (0.95 + random() * 0.1))
+    };
+  };
+
+  while (opportunities.length < count) {
+    const original = base();
+    opportunities.push(original);
+
+    if (random() < DUPLICATE_RATE) {
+      const group = [original];
+      const variants = 1 + Math.floor(random() * 2);
+      for (let i = 0; i < variants && opportunities.length < count; i++) {
+        const copy = variant(original);
+        opportunities.push(copy);
+        group.push(copy);
+      }
+      for (let a = 0; a < group.length; a++) {
+        for (let b = a + 1; b < group.length; b++) {
+          duplicatePairs.add([group[a].id, group[b].id].sort().join('|'));
+        }
+      }
+    }
+  }
+
+  return { opportunities, duplicatePairs };
+}
+
+function candidatePairKeys(opportunities, candidates) {
+  const keys = new Set();
+  candidates.forEach((list, i) => {
+    list.forEach(j => keys.add([opportunities[i].id, opportunities[j].id].sort().join('|')));
+  });
+  return keys;
+}
+
+describe('Deduplication Candidate Generation Benchmark', () => {
+  let service;
+
+  before(() => {
+    service = new OpportunityDeduplicationService();
+    mock.method(logger, 'info', () => {});
+  });
+
+  test(`candidate recall and runtime on ${RECORD_COUNT} synthetic records`, async () => {
+    const { opportunities, duplicatePairs } = generateOpportunities(RECORD_COUNT);
+
+    const { candidates, stats } = service.generateCandidatePairs(opportunities);
+    const candidateKeys = candidatePairKeys(opportunities, candidates);
+    const found = [...duplicatePairs].filter(key => candidateKeys.has(key)).length;
+    const candidateRecall = found / duplicatePairs.size;
+
+    const groupStart = Date.now();
+    const groups = await service.findDuplicateGroups([...opportunities], MATCH_THRESHOLD);
+    const groupDurationMs = Date.now() - groupStart;
+    const groupedKeys = new Set();
+    groups.forEach(group => {
+      for (let a = 0; a < group.opportunities.length; a++) {
+        for (let b = a + 1; b < group.opportunities.length; b++) {
+          groupedKeys.add([group.opportunities[a].id, group.opportunities[b].id].sort().join('|'));
+        }
+      }
+    });
+    // Grouping also depends on calculateSimilarity scoring the variants above the threshold
+    const groupRecall = [...duplicatePairs].filter(key => groupedKeys.has(key)).length / duplicatePairs.size;
+
+    console.log(
+      `Deduplication candidates: records=${RECORD_COUNT}, duplicatePairs=${duplicatePairs.size}, ` +
+      `candidatePairs=${stats.candidatePairs} (${((stats.candidatePairs / stats.exhaustivePairs) * 100).toFixed(3)}% of ${stats.exhaustivePairs}), ` +
+      `candidateRecall=${(candidateRecall * 100).toFixed(2)}%, candidateGeneration=${stats.durationMs}ms, ` +
+      `findDuplicateGroups=${groupDurationMs}ms (${service.lastCandidateStats.comparisons} comparisons), ` +
+      `groupRecall=${(groupRecall * 100).toFixed(2)}%`
+    );
+
+    assert.ok(candidateRecall >= 0.98, `candidate recall ${candidateRecall} below 98%`);
+    assert.ok(stats.candidatePairs < stats.exhaustivePairs * 0.01, 'candidate pairs should be under 1% of all pairs');
+    assert.strictEqual(service.lastCandidateStats.candidatePairs, stats.candidatePairs);
+  });
+
+  test('candidates cover pairs found by exhaustive comparison', async () => {
+    const { opportunities } = generateOpportunities(500, 7);
+
+    const { candidates } = service.generateCandidatePairs(opportunities);
+    const candidateKeys = candidatePairKeys(opportunities, candidates);
+
+    const exhaustiveStart = Date.now();
+    const matches = [];
+    for (let i = 0; i < opportunities.length; i++) {
+      for (let j = i + 1; j < opportunities.length; j++) {
+        if (await service.calculateSimilarity(opportunities[i], opportunities[j]) >= MATCH_THRESHOLD) {
+          matches.push([opportunities[i].id, opportunities[j].id].sort().join('|'));
+        }
+      }
+    }
+    const exhaustiveDurationMs = Date.now() - exhaustiveStart;
+    const recall = matches.filter(key => candidateKeys.has(key)).length / matches.length;
+
+    console.log(
+      `Exhaustive comparison: records=500, matchingPairs=${matches.length}, exhaustive=${exhaustiveDurationMs}ms, ` +
+      `candidateRecall=${(recall * 100).toFixed(2)}%`
+    );
+
+    assert.ok(matches.length > 0);
+    assert.ok(recall >= 0.98, `recall against exhaustive comparison ${recall} below 98%`);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Award History Service Tests
+ * Importing award exports (folding transactions, vendor upserts, import bookkeeping),
+ * deriving incumbents and the historical value range fallback
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const AwardHistoryService = require('../../src/services/awardHistoryService');
+const { logger } = require('../../src/utils/logger');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'awards');
+
+function mockDb(handlers = {}) {
+  const client = {
+    query: mock.fn(async (query, params) => {
+      if (query.includes('INSERT INTO contract_awards')) {
+        return { rowCount: JSON.parse(params[0]).length, rows: [] };
+      }
+      return { rowCount: 0, rows: [] };
+    })
+  };
+
+  return {
+    client,
+    query: mock.fn(async (query, params) => {
+      const handler = Object.entries(handlers).find(([fragment]) => query.includes(fragment));
+      if (handler) return handler[1](params);
+      if (query.includes('INSERT INTO award_imports')) return { rows: [{ id: 'import-1' }] };
+      return { rowCount: 0, rows: [] };
+    }),
+    transaction: async (callback) => callback(client)
+  };
+}
+
+describe('Award History Service', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new AwardHistoryService();
+    mock.method(logger, 'info', () => {});
+    mock.method(logger, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('importFile()', () => {
+    it('should fold transactions into one award, upsert its vendor and record the import', async () => {
+      const db = mockDb();
+      service.db = db;
+      const updateIncumbents = mock.method(service, 'updateIncumbents', async () => 2);
+
+      const stats = await service.importFile(path.join(FIXTURES, 'usaspending-contracts.csv'));
+
+      assert.deepStrictEqual(stats, {
+        importId: 'import-1',
+        format: 'usaspending',
+        rowsRead: 3,
+        awardsUpserted: 1,
+        rowsSkipped: 1,
+        incumbentsUpdated: 2
+      });
+      assert.strictEqual(updateIncumbents.mock.callCount(), 1);
+
+      const [vendorCall, awardCall] = db.client.query.mock.calls.map(call => call.arguments);
+      assert.deepStrictEqual(JSON.parse(vendorCall[1][0]), [{
+        uei: 'ABCDEF123456',
+        name: 'ACME FEDERAL, LLC',
+        parent_uei: 'ABCDEF123456',
+        parent_name: 'ACME FEDERAL, LLC',
+        first_award_date: '2020-03-15',
+        last_award_date: '2022-04-01'
+      }]);
+
+      // Earliest base date, latest modification and end date, largest values
+      const [award] = JSON.parse(awardCall[1][0]);
+      assert.strictEqual(award.action_date, '2020-03-15');
+      assert.strictEqual(award.last_action_date, '2022-04-01');
+      assert.strictEqual(award.period_end, '2026-03-31');
+      assert.strictEqual(award.current_value, 3400000);
+      assert.strictEqual(award.obligated_amount, 1200000);
+      assert.strictEqual(awardCall[1][1], 'import-1');
+
+      const finish = db.query.mock.calls.find(call => call.arguments[0].includes('UPDATE award_imports'));
+      assert.deepStrictEqual(finish.arguments[1], ['import-1', 'completed', 3, 1, 1, 2, null]);
+    });
+
+    it('should mark the import failed when storing awards fails', async () => {
+      const db = mockDb();
+      db.transaction = async () => { throw new Error('connection reset'); };
+      service.db = db;
+
+      await assert.rejects(
+        () => service.importFile(path.join(FIXTURES, 'fpds-export.csv'), { updateIncumbents: false }),
+        /connection reset/
+      );
+
+      const finish = db.query.mock.calls.find(call => call.arguments[0].includes('UPDATE award_imports'));
+      assert.deepStrictEqual(finish.arguments[1], ['import-1', 'failed', 1, 0, 0, null, 'connection reset']);
+    });
+
+    it('should reject files that are not award exports before recording an import', async () => {
+      const db = mockDb();
+      service.db = db;
+
+      await assert.rejects(
+        () => service.importRecords([{ 'Notice ID': 'abc', Title: 'Cloud' }], { fileName: 'notices.csv' }),
+        /Unrecognized award file/
+      );
+      assert.strictEqual(db.query.mock.callCount(), 0);
+    });
+  });
+
+  describe('updateIncumbents()', () => {
+    it('should match named contracts first, then expiring awards on normalized agency names', async () => {
+      const db = mockDb({
+        'regexp_matches': () => ({ rowCount: 1, rows: [] }),
+        'SELECT DISTINCT agency': () => ({ rows: [{ agency: 'DEPT OF DEFENSE' }, { agency: 'GENERAL SERVICES ADMINISTRATION' }] }),
+        'unnest': () => ({ rowCount: 2, rows: [] })
+      });
+      service.db = db;
+      const since = new Date('2026-10-01T00:00:00Z');
+
+      assert.strictEqual(await service.updateIncumbents({ updatedSince: since }), 3);
+
+      const [piidCall, , expiringCall] = db.query.mock.calls.map(call => call.arguments);
+      assert.deepStrictEqual(piidCall[1], [AwardHistoryService.PIID_PATTERN, since]);
+      assert.deepStrictEqual(expiringCall[1], [
+        ['DEPT OF DEFENSE', 'GENERAL SERVICES ADMINISTRATION'],
+        ['DEPT DEFENSE', 'GENERAL SERVICES ADMINISTRATION'],
+        since
+      ]);
+    });
+  });
+
+  describe('getValueRange()', () => {
+    it('should fall back to the NAICS code across agencies and cache the result', async () => {
+      const db = mockDb({
+        'percentile_cont': (params) => (params[1]
+          ? { rows: [{ count: 3, min: '1', p25: '1', median: '1', p75: '1', max: '1' }] }
+          : { rows: [{ count: 40, min: '50000.00', p25: 250000, median: 800000, p75: 2100000, max: '9000000.00' }] })
+      });
+      service.db = db;
+
+      const range = await service.getValueRange({ naics: '541512', agency: 'Department of Defense' });
+
+      assert.deepStrictEqual(range, {
+        scope: 'naics',
+        naics: '541512',
+        agency: null,
+        years: 5,
+        count: 40,
+        min: 50000,
+        p25: 250000,
+        median: 800000,
+        p75: 2100000,
+        max: 9000000
+      });
+      assert.deepStrictEqual(db.query.mock.calls[0].arguments[1], ['541512', 'DEPT DEFENSE', 5]);
+
+      await service.getValueRange({ naics: '541512', agency: 'DEPT OF DEFENSE' });
+      assert.strictEqual(db.query.mock.callCount(), 2);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Data Quality Service Tests
+ * Loading rule overrides, rescoring stored opportunities and shaping the per-source report
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const DataQualityService = require('../../src/services/dataQualityService');
+const { logger } = require('../../src/utils/logger');
+
+function mockDb(handlers = {}) {
+  return {
+    query: mock.fn(async (query, params) => {
+      const handler = Object.entries(handlers).find(([fragment]) => query.includes(fragment));
+      if (handler) return handler[1](params);
+      return { rowCount: 0, rows: [] };
+    })
+  };
+}
+
+describe('Data Quality Service', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new DataQualityService();
+    mock.method(logger, 'info', () => {});
+    mock.method(logger, 'debug', () => {});
+    mock.method(logger, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    service.rules.setOverrides([]);
+    mock.restoreAll();
+  });
+
+  describe('refresh()', () => {
+    it('should load stored overrides into the shared rules', async () => {
+      const defaults = service.rules.ruleset;
+      service.db = mockDb({
+        'FROM data_quality_rules': () => ({
+          rows: [
+            { rule_id: 'naics_present', weight: '12.00', enabled: true, params: {} },
+            { rule_id: 'source_recently_updated', weight: null, enabled: true, params: '{"maxAgeDays":60}' },
+            { rule_id: 'psc_format', weight: null, enabled: false, params: {} }
+          ]
+        })
+      });
+
+      assert.strictEqual(await service.refresh(), 3);
+      assert.notStrictEqual(service.rules.ruleset, defaults);
+      assert.strictEqual(service.rules.getRule('naics_present').weight, 12);
+      assert.deepStrictEqual(service.rules.getRule('source_recently_updated').params, { maxAgeDays: 60 });
+      assert.strictEqual(service.rules.getRule('psc_format').enabled, false);
+      assert.ok(service.hasRule('naics_present'));
+    });
+
+    it('should keep the current rules when the database is unavailable', async () => {
+      const ruleset = service.rules.ruleset;
+      service.db = { query: async () => { throw new Error('connection refused'); } };
+
+      await service.refreshSafely();
+
+      assert.strictEqual(service.rules.ruleset, ruleset);
+      assert.strictEqual(logger.warn.mock.callCount(), 1);
+    });
+  });
+
+  describe('rescore()', () => {
+    it('should score outdated rows and write the breakdown in one update', async () => {
+      const db = mockDb({
+        'SELECT *': () => ({
+          rows: [
+            { id: 'opp-1', title: 'Cloud Services', agency: 'GSA', naics_codes: ['541512'] },
+            { id: 'opp-2', title: '', agency: null, naics_codes: '["12"]' }
+          ]
+        })
+      });
+      service.db = db;
+
+      const result = await service.rescore({ limit: 50 });
+
+      const select = db.query.mock.calls.find(call => call.arguments[0].includes('SELECT *'));
+      assert.deepStrictEqual(select.arguments[1], [service.rules.ruleset, 24, 50]);
+
+      const update = db.query.mock.calls.find(call => call.arguments[0].includes('UPDATE gov_opportunities'));
+      const rows = JSON.parse(update.arguments[1][0]);
+      assert.deepStrictEqual(rows.map(row => row.id), ['opp-1', 'opp-2']);
+      assert.ok(rows[0].score > rows[1].score);
+      assert.ok(rows[1].details.failed.some(failure => failure.rule === 'naics_format'));
+      assert.strictEqual(rows[0].details.ruleset, service.rules.ruleset);
+
+      assert.strictEqual(result.checked, 2);
+      assert.strictEqual(result.ruleset, service.rules.ruleset);
+      assert.strictEqual(result.averageScore, Math.round(((rows[0].score + rows[1].score) / 2) * 100) / 100);
+    });
+
+    it('should not update anything when all scores are current', async () => {
+      const db = mockDb();
+      service.db = db;
+
+      const result = await service.rescore();
+
+      assert.deepStrictEqual(result, { checked: 0, ruleset: service.rules.ruleset, averageScore: null });
+      assert.ok(!db.query.mock.calls.some(call => call.arguments[0].includes('UPDATE gov_opportunities')));
+    });
+  });
+
+  describe('getReport()', () => {
+    it('should group the lowest-scoring opportunities and failing rules by source', async () => {
+      service.db = mockDb({
+        'AVG(o.data_quality_score)': () => ({
+          rows: [
+            { source: 'grants_gov', opportunities: 10, scored: 8, average_score: '0.8125' },
+            { source: 'sam_gov', opportunities: 40, scored: 40, average_score: '0.9' }
+          ]
+        }),
+        'ROW_NUMBER()': () => ({
+          rows: [
+            {
+              source: 'grants_gov',
+              id: 'opp-3',
+              title: 'Research Grant',
+              agency: 'NSF',
+              data_quality_score: '0.42',
+              failed: [{ rule: 'due_date_present', category: 'presence', weight: 8, message: 'Missing due date' }],
+              data_quality_checked_at: '2026-06-01T00:00:00.000Z'
+            },
+            { source: 'sam_gov', id: 'opp-4', title: 'Cloud', agency: 'GSA', data_quality_score: '0.7', failed: null }
+          ]
+        }),
+        'jsonb_array_elements': () => ({
+          rows: [
+            { source: 'grants_gov', rule: 'due_date_present', category: 'presence', failures: 4 },
+            { source: 'grants_gov', rule: 'naics_present', category: 'presence', failures: 2 },
+            { source: 'sam_gov', rule: 'contact_present', category: 'presence', failures: 10 }
+          ]
+        })
+      });
+
+      const report = await service.getReport({ ruleLimit: 1 });
+
+      assert.strictEqual(report.ruleset, service.rules.ruleset);
+      assert.deepStrictEqual(report.sources[0], {
+        source: 'grants_gov',
+        opportunities: 10,
+        scored: 8,
+        averageScore: 0.81,
+        worst: [{
+          id: 'opp-3',
+          title: 'Research Grant',
+          agency: 'NSF',
+          score: 0.42,
+          failed: [{ rule: 'due_date_present', category: 'presence', weight: 8, message: 'Missing due date' }],
+          checkedAt: '2026-06-01T00:00:00.000Z'
+        }],
+        failingRules: [{ rule: 'due_date_present', category: 'presence', failures: 4, share: 0.5 }]
+      });
+      assert.deepStrictEqual(report.sources[1].worst[0].failed, []);
+      assert.deepStrictEqual(report.sources[1].failingRules, [
+        { rule: 'contact_present', category: 'presence', failures: 10, share: 0.25 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Duplicate Review Service Tests
+ * Routing borderline groups to review, reviewer decisions and the labeled pairs they produce
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const DuplicateReviewService = require('../../src/services/duplicateReviewService');
+const OpportunityDeduplicationService = require('../../src/services/opportunityDeduplicationService');
+const { logger } = require('../../src/utils/logger');
+
+const A = '00000000-0000-4000-8000-00000000000a';
+const B = '00000000-0000-4000-8000-00000000000b';
+const C = '00000000-0000-4000-8000-00000000000c';
+
+function group(similarity, ids = [A, B]) {
+  return {
+    groupId: 'group_1',
+    similarity,
+    opportunities: ids.map(id => ({ id, title: 'Network Operations Support', agency: 'Navy' })),
+    recommendation: { keepOpportunity: ids[0], removeOpportunities: ids.slice(1) }
+  };
+}
+
+describe('Duplicate Review Service', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('OpportunityDeduplicationService routing', () => {
+    let service;
+    let mockDb;
+
+    beforeEach(() => {
+      service = new OpportunityDeduplicationService();
+      mockDb = { query: mock.fn(async () => ({ rows: [] })) };
+      service.db = mockDb;
+      service.reviewService.db = mockDb;
+      mock.method(logger, 'info', () => {});
+    });
+
+    it('should merge strong groups and review borderline ones or ones with a distinct label', () => {
+      const distinct = new Map([[service.reviewService.pairKey(B, A), 'distinct']]);
+      const duplicate = new Map([[service.reviewService.pairKey(A, B), 'duplicate']]);
+
+      assert.deepStrictEqual(service.classifyGroup(group(0.93)), { route: 'merge' });
+      assert.deepStrictEqual(service.classifyGroup(group(0.8)), { route: 'review', reason: 'borderline' });
+      assert.deepStrictEqual(service.classifyGroup(group(0.8), duplicate), { route: 'merge' });
+      assert.deepStrictEqual(service.classifyGroup(group(0.97), distinct), { route: 'skip' });
+      assert.deepStrictEqual(service.classifyGroup(group(0.97, [A, B, C]), distinct), { route: 'review', reason: 'conflicting_label' });
+    });
+
+    it('should queue borderline groups with per-field pair scores instead of merging them', async () => {
+      const mergeGroup = mock.method(service.mergeService, 'mergeGroup', async () => null);
+      const queueGroup = mock.method(service.reviewService, 'queueGroup', async () => 'item-1');
+
+      const results = await service.processDuplicateGroups([group(0.8)], 'run-1');
+
+      assert.deepStrictEqual(results, { merged: 0, kept: 0, queued: 1, errors: [] });
+      assert.strictEqual(mergeGroup.mock.callCount(), 0);
+      const [{ runId, reason, pairScores }] = queueGroup.mock.calls[0].arguments;
+      assert.strictEqual(runId, 'run-1');
+      assert.strictEqual(reason, 'borderline');
+      assert.strictEqual(pairScores.length, 1);
+      assert.deepStrictEqual([pairScores[0].a, pairScores[0].b], [A, B]);
+      assert.strictEqual(pairScores[0].fields.title, 1);
+      assert.strictEqual(pairScores[0].fields.agency, 1);
+      assert.strictEqual(pairScores[0].fields.value, null);
+    });
+  });
+
+  describe('decide()', () => {
+    let service;
+    let client;
+    const item = {
+      id: 'item-1',
+      run_id: 'run-1',
+      status: 'pending',
+      opportunity_ids: [A, B, C],
+      recommended_survivor_id: A,
+      similarity: 0.8,
+      pair_scores: [
+        { a: A, b: B, similarity: 0.86, fields: { title: 1 } },
+        { a: A, b: C, similarity: 0.77, fields: { title: 0.5 } },
+        { a: B, b: C, similarity: 0.78, fields: { title: 0.5 } }
+      ]
+    };
+
+    beforeEach(() => {
+      service = new DuplicateReviewService();
+      client = {
+        query: mock.fn(async (query) => {
+          if (query.includes('FROM dedup_review_items')) return { rows: [item] };
+          if (query.includes('UPDATE dedup_review_items')) return { rows: [{ id: 'item-1', status: 'split' }] };
+          return { rows: [] };
+        })
+      };
+      service.db = { transaction: async (callback) => callback(client) };
+      mock.method(logger, 'info', () => {});
+    });
+
+    it('should merge each split group and label pairs inside groups duplicate, the rest distinct', async () => {
+      const mergeGroup = mock.method(service.mergeService, 'mergeGroup', async ({ survivorId, loserIds }) => ({
+        actionId: 'action-1', survivorId, mergedIds: loserIds
+      }));
+
+      const result = await service.decide('item-1', { decision: 'split', groups: [[B, A], [C]], notes: 'C is the follow-on' }, 7);
+
+      assert.strictEqual(result.status, 'decided');
+      assert.strictEqual(mergeGroup.mock.callCount(), 1);
+      const [merge, mergeClient] = mergeGroup.mock.calls[0].arguments;
+      assert.deepStrictEqual(merge, { runId: 'run-1', survivorId: B, loserIds: [A], similarity: 0.86 });
+      assert.strictEqual(mergeClient, client);
+
+      const [, labelParams] = client.query.mock.calls.find(call => call.arguments[0].includes('INSERT INTO dedup_labeled_pairs')).arguments;
+      assert.deepStrictEqual(JSON.parse(labelParams[0]).map(pair => [pair.a, pair.b, pair.label, pair.similarity]), [
+        [A, B, 'duplicate', 0.86],
+        [A, C, 'distinct', 0.77],
+        [B, C, 'distinct', 0.78]
+      ]);
+      assert.deepStrictEqual(labelParams.slice(1), ['item-1', 7]);
+
+      const [, updateParams] = client.query.mock.calls.find(call => call.arguments[0].includes('UPDATE dedup_review_items')).arguments;
+      assert.strictEqual(updateParams[1], 'split');
+      assert.deepStrictEqual(JSON.parse(updateParams[2]), { groups: [[B, A]], notes: 'C is the follow-on', actionIds: ['action-1'] });
+    });
+
+    it('should reject invalid survivors and split groups without changing anything', async () => {
+      assert.deepStrictEqual(
+        await service.decide('item-1', { decision: 'approve', survivorId: '00000000-0000-4000-8000-0000000000ff' }, 7),
+        { status: 'invalid', error: 'Survivor 00000000-0000-4000-8000-0000000000ff is not part of this group' }
+      );
+      assert.deepStrictEqual(
+        await service.decide('item-1', { decision: 'split', groups: [[A, B], [B, C]] }, 7),
+        { status: 'invalid', error: `Opportunity ${B} appears in more than one split group` }
+      );
+      assert.ok(!client.query.mock.calls.some(call => /^\s*(UPDATE|INSERT)/.test(call.arguments[0])));
+    });
+  });
+
+  describe('buildComparison()', () => {
+    it('should line up field values and flag fields that differ', () => {
+      const service = new DuplicateReviewService();
+      const comparison = service.buildComparison([
+        { title: 'Help Desk', agency: 'GSA', posted_date: new Date('2025-03-01T00:00:00Z') },
+        { title: 'Help Desk Support', agency: 'GSA', posted_date: new Date('2025-03-01T00:00:00Z') }
+      ]);
+
+      const byField = Object.fromEntries(comparison.map(row => [row.field, row]));
+      assert.strictEqual(comparison.length, DuplicateReviewService.COMPARISON_FIELDS.length);
+      assert.deepStrictEqual(byField.title, { field: 'title', values: ['Help Desk', 'Help Desk Support'], identical: false });
+      assert.strictEqual(byField.agency.identical, true);
+      assert.strictEqual(byField.posted_date.identical, true);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Embedding Service Tests
+ * Opportunity and profile text, change detection by content hash, stored embeddings and similar opportunities
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const EmbeddingService = require('../../src/services/embeddingService');
+const { HashingEmbeddingProvider } = require('../../src/integrations/embeddings');
+const { logger } = require('../../src/utils/logger');
+
+const OPPORTUNITY = '00000000-0000-4000-8000-000000000001';
+const PROFILE = '00000000-0000-4000-8000-0000000000aa';
+
+describe('Embedding Service', () => {
+  let service;
+  let mockDb;
+
+  beforeEach(() => {
+    service = new EmbeddingService(new HashingEmbeddingProvider({ dimensions: 32 }));
+    mockDb = { query: mock.fn(async () => ({ rows: [] })) };
+    service.db = mockDb;
+    mock.method(logger, 'info', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('text', () => {
+    it('should embed profile capabilities, keywords and past performance from rows and API shapes', () => {
+      const text = service.profileText({
+        summary: 'Cloud engineering firm',
+        capabilities: [{ category: 'Cloud', description: 'AWS migrations', keywords: ['terraform'] }, 'DevSecOps'],
+        keywords: '["fedramp"]',
+        pastPerformance: [{ title: 'VA modernization', client: 'VA', description: 'Moved claims processing to AWS' }]
+      });
+
+      assert.strictEqual(text, [
+        'Cloud engineering firm',
+        'Cloud AWS migrations terraform',
+        'DevSecOps',
+        'fedramp',
+        'VA modernization Moved claims processing to AWS'
+      ].join('\n'));
+      assert.strictEqual(service.opportunityText({ title: 'Help Desk', description: null, requirements_summary: 'Tier 1 support' }), 'Help Desk\nTier 1 support');
+    });
+  });
+
+  describe('embedOpportunities()', () => {
+    it('should embed only opportunities whose text changed and upsert them under the model', async () => {
+      const unchanged = { id: 'u', title: 'Help Desk Support' };
+      unchanged.content_hash = service.contentHash(service.opportunityText(unchanged));
+
+      const count = await service.embedOpportunities([
+        unchanged,
+        { id: OPPORTUNITY, title: 'Network Operations', content_hash: 'outdated' },
+        { id: 'empty', title: '' }
+      ]);
+
+      assert.strictEqual(count, 1);
+      const [query, [records, model]] = mockDb.query.mock.calls[0].arguments;
+      assert.ok(query.includes('ON CONFLICT (opportunity_id, model)'));
+      assert.strictEqual(model, 'hashing-v1:32');
+      const [record] = JSON.parse(records);
+      assert.strictEqual(record.opportunity_id, OPPORTUNITY);
+      assert.strictEqual(record.vector.length, 32);
+    });
+
+    it('should mark stale rows with unchanged text as current during a refresh', async () => {
+      const unchanged = { id: OPPORTUNITY, title: 'Help Desk Support' };
+      unchanged.content_hash = service.contentHash(service.opportunityText(unchanged));
+      mockDb.query.mock.mockImplementation(async (query) => (query.includes('FROM gov_opportunities o') ? { rows: [unchanged] } : { rows: [] }));
+
+      const result = await service.refreshOpportunityEmbeddings({ limit: 10 });
+
+      assert.deepStrictEqual(result, { model: 'hashing-v1:32', checked: 1, embedded: 0 });
+      const [touchQuery, touchParams] = mockDb.query.mock.calls[1].arguments;
+      assert.ok(touchQuery.includes('UPDATE gov_opportunity_embeddings SET updated_at = NOW()'));
+      assert.deepStrictEqual(touchParams, ['hashing-v1:32', [OPPORTUNITY]]);
+    });
+  });
+
+  describe('profiles', () => {
+    const profile = { id: PROFILE, summary: 'Cloud engineering firm specializing in AWS migrations' };
+
+    it('should reuse the stored profile vector while the profile text is unchanged', async () => {
+      mockDb.query.mock.mockImplementation(async () => ({
+        rows: [{ vector: [1, 0], content_hash: service.contentHash(service.profileText(profile)) }]
+      }));
+
+      assert.deepStrictEqual(await service.getProfileVector(profile), [1, 0]);
+      assert.strictEqual(mockDb.query.mock.callCount(), 1);
+    });
+
+    it('should store a new vector when the text changed and embed in memory when the database fails', async () => {
+      const vector = await service.embedProfile(profile);
+
+      const [insert, params] = mockDb.query.mock.calls[1].arguments;
+      assert.ok(insert.includes('INSERT INTO company_profile_embeddings'));
+      assert.deepStrictEqual(params.slice(0, 4), [PROFILE, 'hashing-v1:32', 32, vector]);
+
+      mock.method(logger, 'warn', () => {});
+      mockDb.query.mock.mockImplementation(async () => {
+        throw new Error('relation "company_profile_embeddings" does not exist');
+      });
+      assert.deepStrictEqual(await service.getProfileVector(profile), vector);
+    });
+  });
+
+  describe('findSimilarOpportunities()', () => {
+    it('should embed the target on demand and rank stored vectors in SQL', async () => {
+      mockDb.query.mock.mockImplementation(async (query) => {
+        if (query.includes('WHERE o.id = $1')) return { rows: [{ id: OPPORTUNITY, title: 'Cloud Migration', content_hash: null }] };
+        if (query.includes('WITH target')) return { rows: [{ id: 'other', title: 'Cloud Hosting', similarity: '0.8123' }] };
+        return { rows: [] };
+      });
+
+      const similar = await service.findSimilarOpportunities(OPPORTUNITY, { limit: 5, minSimilarity: 0.4 });
+
+      assert.deepStrictEqual(similar, [{ id: 'other', title: 'Cloud Hosting', similarity: 0.8123 }]);
+      const queries = mockDb.query.mock.calls.map(call => call.arguments);
+      assert.ok(queries[1][0].includes('INSERT INTO gov_opportunity_embeddings'));
+      assert.deepStrictEqual(queries[2][1], [OPPORTUNITY, 'hashing-v1:32', 0.4, 5]);
+      assert.ok(queries[2][0].includes('o.merged_into IS NULL'));
+    });
+
+    it('should return null for unknown opportunities', async () => {
+      assert.strictEqual(await service.findSimilarOpportunities(OPPORTUNITY), null);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Geocoding Service Tests
+ * Re-geocoding stored places of performance and marking the scores of moved opportunities stale
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const GeocodingService = require('../../src/services/geocodingService');
+const { logger } = require('../../src/utils/logger');
+
+const MOVED = '00000000-0000-4000-8000-000000000001';
+const UNCHANGED = '00000000-0000-4000-8000-000000000002';
+
+describe('Geocoding Service', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    mock.method(logger, 'info', () => {});
+    service = new GeocodingService();
+    client = { query: mock.fn(async () => ({ rows: [], rowCount: 1 })) };
+    service.db = {
+      query: mock.fn(async () => ({
+        rows: [
+          { id: MOVED, place_of_performance: { state: 'VA', city: 'Arlington' }, pop_latitude: null, pop_longitude: null, pop_geocode_precision: null },
+          { id: UNCHANGED, place_of_performance: null, pop_latitude: null, pop_longitude: null, pop_geocode_precision: null }
+        ]
+      })),
+      transaction: async (callback) => callback(client)
+    };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('regeocode()', () => {
+    it('should rewrite moved opportunities and mark their scores stale', async () => {
+      const result = await service.regeocode({ limit: 10 });
+
+      assert.deepStrictEqual(result, { checked: 2, updated: 1, nextCursor: null });
+      const [update, stale] = client.query.mock.calls.map(call => call.arguments);
+      assert.match(update[0], /UPDATE gov_opportunities o/);
+      assert.deepStrictEqual(JSON.parse(update[1][0]).map(entry => entry.id), [MOVED]);
+      assert.match(stale[0], /UPDATE gov_opportunity_scores/);
+      assert.match(stale[0], /stale_reason = 'enrichment:geocode'/);
+      assert.deepStrictEqual(stale[1], [[MOVED]]);
+    });
+
+    it('should leave scores alone when no location changed', async () => {
+      service.db.query.mock.mockImplementation(async () => ({ rows: [] }));
+
+      const result = await service.regeocode();
+
+      assert.deepStrictEqual(result, { checked: 0, updated: 0, nextCursor: null });
+      assert.strictEqual(client.query.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,417 @@
+/**
+ * Government Opportunity Service Tests
+ * Identifier resolution, live SAM.gov fallback, full-text search and response formatting
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const samService = require('../../src/integrations/sam');
+const GovernmentOpportunityService = require('../../src/services/governmentOpportunityService');
+
+const OPPORTUNITY_UUID = '6f1c2f6e-1d2a-4a8e-9a59-3c0f3b1d2e4f';
+
+function createStoredRow(overrides = {}) {
+  return {
+    id: OPPORTUNITY_UUID,
+    source_ids: { sam_gov: 'abc123notice' },
+    title: 'Cloud Migration Support Services',
+    description: 'Migration of legacy workloads to FedRAMP cloud environments.',
+    agency: 'Department of Energy',
+    office: 'Office of the CIO',
+    naics_codes: ['541512'],
+    psc_codes: ['D302'],
+    set_aside: 'SDVOSB',
+    place_of_performance: { city: 'Germantown', state: 'MD', country: 'USA' },
+    vehicle: null,
+    pop_start: null,
+    pop_end: null,
+    due_date: new Date('2030-01-15T17:00:00Z'),
+    posted_date: new Date('2029-12-01T12:00:00Z'),
+    value_low: '250000.00',
+    value_high: '900000.00',
+    value_estimated: null,
+    incumbent: null,
+    solicitation_number: 'DOE-CIO-2030-01',
+    opportunity_type: 'RFP',
+    requirements_summary: 'Migration of legacy workloads',
+    evaluation_criteria: [],
+    parsed_tags: ['cloud', 'migration'],
+    attachments: [{ filename: 'SOW.pdf', url: 'https://sam.gov/sow.pdf' }],
+    contacts: [{ type: 'primary', name: 'Jane Doe', email: 'jane.doe@energy.gov' }],
+    amendments: [{ amendmentNumber: '0001', description: 'Due date extended' }],
+    data_quality_score: '0.85',
+    processing_status: 'active',
+    ...overrides
+  };
+}
+
+describe('Government Opportunity Service', () => {
+  let service;
+  let mockDb;
+
+  beforeEach(() => {
+    service = new GovernmentOpportunityService();
+    mockDb = {
+      query: mock.fn(async () => ({ rows: [] })),
+      transaction: mock.fn(async (callback) => callback({ query: mock.fn() }))
+    };
+    service.db = mockDb;
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('findStoredOpportunity()', () => {
+    it('should look up UUIDs by primary key', async () => {
+      mockDb.query.mock.mockImplementation(async () => ({ rows: [createStoredRow()] }));
+
+      const row = await service.findStoredOpportunity(OPPORTUNITY_UUID);
+
+      assert.strictEqual(row.id, OPPORTUNITY_UUID);
+      const [query, params] = mockDb.query.mock.calls[0].arguments;
+      assert.ok(query.includes('WHERE id = $1'));
+      assert.deepStrictEqual(params, [OPPORTUNITY_UUID]);
+    });
+
+    it('should look up other identifiers by notice ID or solicitation number', async () => {
+      await service.findStoredOpportunity('DOE-CIO-2030-01');
+
+      const [query, params] = mockDb.query.mock.calls[0].arguments;
+      assert.ok(query.includes("source_ids->>'sam_gov' = $1"));
+      assert.ok(query.includes('solicitation_number = $1 AND merged_into IS NULL'));
+      // Rows without a notice ID compare as NULL, which must not sort ahead of a notice ID match
+      assert.ok(query.includes("ORDER BY COALESCE(source_ids->>'sam_gov' = $1, false) DESC"));
+      assert.deepStrictEqual(params, ['DOE-CIO-2030-01']);
+    });
+  });
+
+  describe('getOpportunity()', () => {
+    it('should return stored opportunities without calling SAM.gov', async () => {
+      const fetchDetails = mock.method(samService, 'fetchOpportunityDetails', async () => {
+        throw new Error('should not be called');
+      });
+      mockDb.query.mock.mockImplementation(async () => ({ rows: [createStoredRow()] }));
+
+      const result = await service.getOpportunity('abc123notice');
+
+      assert.strictEqual(result.source, 'database');
+      assert.strictEqual(result.opportunity.noticeId, 'abc123notice');
+      assert.strictEqual(fetchDetails.mock.callCount(), 0);
+    });
+
+    it('should not fall back to SAM.gov for unknown UUIDs', async () => {
+      mock.method(samService, 'isConfigured', () => true);
+      const fetchDetails = mock.method(samService, 'fetchOpportunityDetails');
+
+      const result = await service.getOpportunity(OPPORTUNITY_UUID);
+
+      assert.strictEqual(result, null);
+      assert.strictEqual(fetchDetails.mock.callCount(), 0);
+    });
+
+    it('should fetch, persist and return opportunities that are not stored yet', async () => {
+      mock.method(samService, 'isConfigured', () => true);
+      mock.method(samService, 'fetchOpportunityDetails', async (noticeId) => ({
+        noticeId,
+        title: 'Cloud Migration Support Services',
+        _parsed: { amendments: [] }
+      }));
+      mock.method(service.ingestionService, 'storeOpportunity', async () => ({
+        action: 'stored',
+        id: OPPORTUNITY_UUID
+      }));
+
+      let lookups = 0;
+      mockDb.query.mock.mockImplementation(async () => {
+        lookups++;
+        return { rows: lookups === 1 ? [] : [createStoredRow()] };
+      });
+
+      const result = await service.getOpportunity('abc123notice');
+
+      assert.strictEqual(result.source, 'sam_gov');
+      assert.strictEqual(result.opportunity.id, OPPORTUNITY_UUID);
+      assert.strictEqual(mockDb.transaction.mock.callCount(), 1);
+    });
+
+    it('should return null when SAM.gov has no matching notice', async () => {
+      mock.method(samService, 'isConfigured', () => true);
+      mock.method(samService, 'fetchOpportunityDetails', async (noticeId) => {
+        throw new Error(`No opportunity found with notice ID: ${noticeId}`);
+      });
+
+      const result = await service.getOpportunity('missing-notice');
+
+      assert.strictEqual(result, null);
+    });
+
+    it('should serve live data when persisting fails', async () => {
+      mock.method(samService, 'isConfigured', () => true);
+      mock.method(samService, 'fetchOpportunityDetails', async (noticeId) => ({
+        noticeId,
+        title: 'Cloud Migration Support Services',
+        description: 'Migration of legacy workloads.',
+        _parsed: { contacts: [{ name: 'Jane Doe' }] }
+      }));
+      mockDb.transaction.mock.mockImplementation(async () => {
+        throw new Error('connection reset');
+      });
+
+      const result = await service.getOpportunity('abc123notice');
+
+      assert.strictEqual(result.source, 'sam_gov');
+      assert.strictEqual(result.opportunity.id, null);
+      assert.strictEqual(result.opportunity.noticeId, 'abc123notice');
+      assert.deepStrictEqual(result.opportunity.contacts, [{ name: 'Jane Doe' }]);
+    });
+  });
+
+  describe('getOpportunityTimeline()', () => {
+    it('should return null for opportunities that are not stored', async () => {
+      const result = await service.getOpportunityTimeline('missing-notice');
+
+      assert.strictEqual(result, null);
+    });
+
+    it('should combine the opportunity summary with its version timeline', async () => {
+      mockDb.query.mock.mockImplementation(async () => ({ rows: [createStoredRow()] }));
+      mock.method(service.versionService, 'getTimeline', async () => ({
+        currentVersion: 2,
+        changeCounts: { deadline_extended: 1 },
+        events: [{ version: 1, type: 'created' }, { version: 2, type: 'updated' }]
+      }));
+
+      const result = await service.getOpportunityTimeline('abc123notice');
+
+      assert.strictEqual(result.opportunity.id, OPPORTUNITY_UUID);
+      assert.strictEqual(result.opportunity.noticeId, 'abc123notice');
+      assert.strictEqual(result.currentVersion, 2);
+      assert.strictEqual(result.events.length, 2);
+    });
+  });
+
+  describe('buildSearchFilters()', () => {
+    it('should build parameterized conditions for each facet filter', () => {
+      const { conditions, params, queryParam } = service.buildSearchFilters({
+        q: 'cloud migration',
+        status: 'active',
+        naics: ['541512', '541519'],
+        setAside: ['SDVOSB'],
+        agency: 'Energy',
+        minValue: 100000,
+        dueAfter: '2030-01-01'
+      });
+
+      assert.strictEqual(queryParam, '$1');
+      assert.ok(conditions[0].includes("@@ websearch_to_tsquery('english', $1)"));
+      assert.ok(conditions.includes('processing_status = $2'));
+      assert.ok(conditions.includes('naics_codes ?| $3::text[]'));
+      assert.ok(conditions.includes('set_aside = ANY($4::text[])'));
+      assert.ok(conditions.includes('agency ILIKE $5'));
+      assert.deepStrictEqual(params, [
+        'cloud migration', 'active', ['541512', '541519'], ['SDVOSB'], '%Energy%', 100000, '2030-01-01'
+      ]);
+    });
+
+    it('should use the same document expression as the full-text index', () => {
+      const { conditions } = service.buildSearchFilters({ q: 'cloud' });
+      const normalized = conditions[0].replace(/\s+/g, ' ');
+
+      assert.ok(normalized.includes(
+        "to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '') || ' ' || " +
+        "coalesce(agency, '') || ' ' || coalesce(requirements_summary, '') || ' ' || coalesce(raw_text, '') )"
+      ));
+    });
+
+    it('should skip the status filter for status=any', () => {
+      const { conditions, params } = service.buildSearchFilters({ status: 'any' });
+
+      assert.deepStrictEqual(conditions, []);
+      assert.deepStrictEqual(params, []);
+    });
+  });
+
+  describe('searchOpportunities()', () => {
+    it('should return ranked, highlighted results with totals and facets', async () => {
+      mockDb.query.mock.mockImplementation(async (query) => {
+        if (query.includes('WITH matched AS')) {
+          return {
+            rows: [
+              { facet: 'naics', value: '541512', count: 3 },
+              { facet: 'naics', value: '541519', count: 5 },
+              { facet: 'setAside', value: 'SDVOSB', count: 2 }
+            ]
+          };
+        }
+        return {
+          rows: [createStoredRow({
+            relevance: 0.42,
+            title_highlight: '<mark>Cloud</mark> Migration Support Services',
+            description_highlight: 'Migration of legacy workloads to FedRAMP <mark>cloud</mark>',
+            total_count: '25'
+          })]
+        };
+      });
+
+      const result = await service.searchOpportunities({ q: 'cloud', status: 'active', limit: 1, offset: 0 });
+
+      assert.strictEqual(result.total, 25);
+      assert.strictEqual(result.opportunities[0].relevance, 0.42);
+      assert.ok(result.opportunities[0].highlights.title.includes('<mark>Cloud</mark>'));
+      assert.deepStrictEqual(result.facets.naics, [
+        { value: '541519', count: 5 },
+        { value: '541512', count: 3 }
+      ]);
+      assert.deepStrictEqual(result.facets.psc, []);
+      assert.deepStrictEqual(result.pagination, { limit: 1, offset: 0, hasMore: true });
+
+      const [query, params] = mockDb.query.mock.calls[0].arguments;
+      assert.ok(query.includes('ORDER BY relevance DESC'));
+      assert.deepStrictEqual(params, ['cloud', 'active', 1, 0]);
+
+      // Facets are counted over the same filters without pagination
+      assert.deepStrictEqual(mockDb.query.mock.calls[1].arguments[1], ['cloud', 'active']);
+    });
+
+    it('should order by due date without a text query and skip facets when not requested', async () => {
+      const result = await service.searchOpportunities({ sortBy: 'relevance', includeFacets: false });
+
+      assert.strictEqual(result.total, 0);
+      assert.strictEqual(result.facets, null);
+      assert.strictEqual(mockDb.query.mock.callCount(), 1);
+
+      const [query] = mockDb.query.mock.calls[0].arguments;
+      assert.ok(query.includes('ORDER BY due_date ASC NULLS LAST'));
+      assert.ok(!query.includes('ts_rank_cd'));
+    });
+
+    it('should limit radius searches to geocoded places within the radius, nearest first', async () => {
+      mockDb.query.mock.mockImplementation(async () => ({
+        rows: [createStoredRow({
+          pop_latitude: 39.1732,
+          pop_longitude: -77.2717,
+          pop_geocode_precision: 'place',
+          distance_miles: 27.43,
+          total_count: '1'
+        })]
+      }));
+
+      const result = await service.searchOpportunities({
+        near: 'Washington, DC',
+        radiusMiles: 30,
+        sortBy: 'distance',
+        includeFacets: false
+      });
+
+      assert.strictEqual(result.origin.precision, 'place');
+      assert.strictEqual(result.origin.cbsa, '47900');
+      assert.strictEqual(result.origin.radiusMiles, 30);
+      assert.strictEqual(result.opportunities[0].distanceMiles, 27.4);
+      assert.deepStrictEqual(result.opportunities[0].placeOfPerformancePoint, {
+        latitude: 39.1732,
+        longitude: -77.2717,
+        precision: 'place'
+      });
+
+      const [query, params] = mockDb.query.mock.calls[0].arguments;
+      assert.ok(query.includes('pop_latitude BETWEEN $3 AND $4'));
+      assert.ok(query.includes('pop_longitude BETWEEN $5 AND $6'));
+      assert.match(query, /ASIN[\s\S]+<= \$7/);
+      assert.match(query, /ORDER BY \(3958\.8[\s\S]+ ASC, due_date/);
+      assert.deepStrictEqual(params.slice(0, 2), [38.9072, -77.0369]);
+      // The bounding box spans the radius in each direction
+      assert.ok(Math.abs((params[3] - params[2]) / 2 - 30 / 69) < 1e-9);
+      assert.ok(params[5] - params[4] > params[3] - params[2]);
+      assert.strictEqual(params[6], 30);
+    });
+
+    it('should reject radius searches around places the gazetteer cannot resolve', async () => {
+      await assert.rejects(
+        service.searchOpportunities({ near: 'Gotham City' }),
+        error => error.code === 'UNKNOWN_LOCATION'
+      );
+      assert.strictEqual(mockDb.query.mock.callCount(), 0);
+    });
+  });
+
+  describe('searchLiveOpportunities()', () => {
+    it('should pass the filters SAM.gov supports under its parameter names', async () => {
+      const search = mock.method(samService, 'searchOpportunities', async () => ({ totalRecords: 0, opportunitiesData: [] }));
+
+      await service.searchLiveOpportunities({
+        q: 'cloud',
+        naics: ['541512'],
+        psc: ['D302', 'R408'],
+        setAside: ['SBA'],
+        agency: 'Department of Energy',
+        state: 'VA',
+        status: 'closed',
+        dueAfter: '2026-07-01',
+        dueBefore: '2026-08-15T17:00:00Z',
+        postedAfter: '2026-05-01',
+        sortBy: 'relevance',
+        limit: 20,
+        offset: 40
+      });
+
+      assert.deepStrictEqual(search.mock.calls[0].arguments[0], {
+        keywords: 'cloud',
+        naics: '541512',
+        state: 'VA',
+        limit: 20,
+        offset: 40,
+        ccode: 'D302,R408',
+        typeOfSetAside: 'SBA',
+        organizationName: 'Department of Energy',
+        status: 'inactive',
+        rdlfrom: '07/01/2026',
+        rdlto: '08/15/2026',
+        postedFrom: '05/01/2026'
+      });
+
+      await service.searchLiveOpportunities({ status: 'any', limit: 20, offset: 0 });
+      assert.deepStrictEqual(search.mock.calls[1].arguments[0], { keywords: undefined, naics: undefined, state: undefined, limit: 20, offset: 0 });
+    });
+
+    it('should reject filters SAM.gov cannot apply without calling it', async () => {
+      const search = mock.method(samService, 'searchOpportunities', async () => ({}));
+
+      await assert.rejects(
+        service.searchLiveOpportunities({ minValue: 100000, near: '22201', status: 'awarded', sortBy: 'dueDate' }),
+        error => error.code === 'UNSUPPORTED_LIVE_FILTERS' &&
+          error.filters.join(',') === 'minValue,near,status=awarded,sortBy'
+      );
+      assert.strictEqual(search.mock.callCount(), 0);
+    });
+
+    it('should reject offsets past the results SAM.gov pages through', async () => {
+      const search = mock.method(samService, 'searchOpportunities', async () => ({}));
+
+      await assert.rejects(
+        service.searchLiveOpportunities({ limit: 20, offset: 1500 }),
+        error => error.code === 'UNSUPPORTED_LIVE_FILTERS' && error.filters.join(',') === 'offset>1000'
+      );
+      assert.strictEqual(search.mock.callCount(), 0);
+    });
+  });
+
+  describe('formatOpportunity()', () => {
+    it('should convert numeric strings and expose attachments, contacts and amendments', () => {
+      const formatted = service.formatOpportunity(createStoredRow());
+
+      assert.deepStrictEqual(formatted.value, { low: 250000, high: 900000, estimated: null });
+      assert.strictEqual(formatted.dataQualityScore, 0.85);
+      assert.strictEqual(formatted.attachments.length, 1);
+      assert.strictEqual(formatted.contacts[0].name, 'Jane Doe');
+      assert.strictEqual(formatted.amendments[0].amendmentNumber, '0001');
+      assert.strictEqual(formatted.status, 'active');
+    });
+
+    it('should default amendments for rows stored before amendments were tracked', () => {
+      const formatted = service.formatOpportunity(createStoredRow({ amendments: undefined }));
+
+      assert.deepStrictEqual(formatted.amendments, []);
+    });
+  });
+});
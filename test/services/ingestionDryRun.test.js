@@ -0,0 +1,149 @@
+/**
+ * Ingestion Dry Run Tests
+ * Replays recorded SAM.gov responses (test/fixtures/sam) through a dry run: fetch, details,
+ * deduplication, normalization and the diff against stored rows, with nothing written
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const GovernmentOpportunityIngestionService = require('../../src/services/governmentOpportunityIngestionService');
+const SamSourceAdapter = require('../../src/integrations/sources/samSourceAdapter');
+const samService = require('../../src/integrations/sam');
+const { logger } = require('../../src/utils/logger');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'sam');
+const STORED_ID = '3d5e7f90-1a2b-4c3d-8e9f-0a1b2c3d4e5f';
+
+// The cybersecurity notice as stored before amendment 0002 extended its response date
+const STORED_ROW = {
+  id: STORED_ID,
+  updated_at: new Date('2026-09-20T00:00:00Z'),
+  source_ids: { sam_gov: 'f0e1d2c3b4a5968778695a4b3c2d1e0f' },
+  attachments_processed_at: null,
+  merged_into: null,
+  title: 'Cybersecurity Assessment and Authorization Services',
+  description: 'CISA requires assessment and authorization support for agency information systems, including security control assessments, continuous monitoring and POA&M management under NIST SP 800-37. Amendment 0002 extends the response date.',
+  due_date: new Date('2026-11-06T19:00:00Z'),
+  pop_start: null,
+  pop_end: null,
+  value_low: null,
+  value_high: null,
+  value_estimated: null,
+  set_aside: 'SDVOSB',
+  naics_codes: ['541519'],
+  psc_codes: ['DJ01'],
+  opportunity_type: 'Solicitation',
+  attachments: [],
+  amendments: []
+};
+
+function mockDb() {
+  return {
+    pool: {},
+    transaction: mock.fn(async () => { throw new Error('dry runs must not open transactions'); }),
+    query: mock.fn(async (query, params) => {
+      if (query.includes('information_schema.tables')) return { rows: [{ exists: true }] };
+      if (query.includes('WHERE source_ids @>')) {
+        return { rows: JSON.parse(params[0]).sam_gov === STORED_ROW.source_ids.sam_gov ? [STORED_ROW] : [] };
+      }
+      return { rows: [] };
+    })
+  };
+}
+
+function createService(db) {
+  const service = new GovernmentOpportunityIngestionService();
+  service.db = db;
+  service.detailFailureService = {
+    getDueRetries: mock.fn(async () => []),
+    recordFailures: mock.fn(async () => 0),
+    resolveFailures: mock.fn(async () => 0)
+  };
+  mock.method(service.taxonomyService, 'refreshSafely', async () => {});
+  mock.method(service.dataQualityService, 'refreshSafely', async () => {});
+  mock.method(service.lifecycleService, 'sweep', async () => { throw new Error('dry runs must not apply lifecycle transitions'); });
+  mock.method(service, 'delay', async () => {});
+  return service;
+}
+
+function runDryRun(service) {
+  return service.ingestOpportunities({
+    mode: 'targeted',
+    searchCriteria: { q: 'cloud cybersecurity', naics: '541512,541519' },
+    maxOpportunities: 10,
+    sources: [new SamSourceAdapter({ detailDelayMs: 0 })],
+    dryRun: true
+  });
+}
+
+describe('Ingestion Dry Run', () => {
+  beforeEach(() => {
+    samService.useFixtures({ mode: 'replay', dir: FIXTURES });
+    for (const level of ['info', 'warn', 'error', 'debug']) {
+      mock.method(logger, level, () => {});
+    }
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    samService.stopFixtures();
+    mock.restoreAll();
+  });
+
+  it('should report would-be inserts and updates from replayed responses without writing', async () => {
+    const db = mockDb();
+    const service = createService(db);
+
+    const report = await runDryRun(service);
+
+    assert.strictEqual(report.dryRun, true);
+    assert.strictEqual(report.summary.totalFetched, 3);
+    assert.strictEqual(report.summary.totalStored, 1);
+    assert.strictEqual(report.summary.totalUpdated, 1);
+
+    const [insert] = report.changes.inserts;
+    assert.strictEqual(insert.externalId, 'a1b2c3d4e5f60718293a4b5c6d7e8f90');
+    assert.strictEqual(insert.record.solicitation_number, 'W52P1J-26-R-0042');
+    assert.strictEqual(insert.record.value_high, 9500000);
+    assert.strictEqual(insert.dataQualityScore, insert.record.data_quality_score);
+    assert.ok(insert.dataQualityScore > 0.8);
+
+    const [update] = report.changes.updates;
+    assert.strictEqual(update.id, STORED_ID);
+    assert.deepStrictEqual(update.changes.map(change => change.changeType), ['deadline_extended']);
+
+    // The removed notice's detail fetch failed (recorded 404) but is not queued for retry
+    assert.ok(report.errors.some(error => error.noticeId === '0badc0de0badc0de0badc0de0badc0de' && error.status === 404));
+    assert.strictEqual(service.detailFailureService.recordFailures.mock.callCount(), 0);
+    assert.strictEqual(service.detailFailureService.resolveFailures.mock.callCount(), 0);
+
+    const queries = db.query.mock.calls.map(call => call.arguments[0]);
+    assert.ok(queries.every(query => /^\s*SELECT/.test(query)));
+    assert.strictEqual(db.transaction.mock.callCount(), 0);
+    assert.strictEqual(service.lifecycleService.sweep.mock.callCount(), 0);
+  });
+
+  it('should give the same result on every replay', async () => {
+    const first = await runDryRun(createService(mockDb()));
+    const second = await runDryRun(createService(mockDb()));
+
+    const comparable = report => ({
+      summary: { ...report.summary, duration: null },
+      inserts: report.changes.inserts.map(({ record: { data_quality_checked_at: checkedAt, ...record }, ...insert }) => ({ ...insert, record })),
+      updates: report.changes.updates
+    });
+    assert.deepStrictEqual(comparable(second), comparable(first));
+  });
+
+  it('should update records without a source timestamp only when a tracked field changed', () => {
+    const service = createService(mockDb());
+    const { id, updated_at: updatedAt, source_ids: sourceIds, attachments_processed_at: processedAt, merged_into: mergedInto, ...fields } = STORED_ROW;
+    const unchanged = { ...fields, last_updated_source: null };
+
+    assert.strictEqual(service.shouldUpdateOpportunity(STORED_ROW, unchanged), false);
+    assert.strictEqual(service.shouldUpdateOpportunity(STORED_ROW, { ...unchanged, value_estimated: 250000 }), true);
+  });
+});
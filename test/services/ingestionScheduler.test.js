@@ -0,0 +1,194 @@
+/**
+ * Ingestion Scheduler Tests
+ * Advisory locking, run persistence and schedule management
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const IngestionScheduler = require('../../src/services/ingestionScheduler');
+
+const RUN_ID = '0b7f2a4e-5c1d-4e8f-9a3b-2d6c8e1f4a70';
+
+function createReport(overrides = {}) {
+  return {
+    summary: {
+      totalFetched: 12,
+      totalProcessed: 12,
+      totalStored: 7,
+      totalUpdated: 3,
+      totalSkipped: 1,
+      totalErrors: 0
+    },
+    searchCriteria: { postedFrom: '10/12/2026' },
+    errors: [{ opportunity: 'abc123', error: 'value too long' }],
+    ...overrides
+  };
+}
+
+describe('Ingestion Scheduler', () => {
+  let scheduler;
+  let mockDb;
+  let lockAvailable;
+
+  beforeEach(() => {
+    scheduler = new IngestionScheduler();
+    lockAvailable = true;
+    mockDb = {
+      query: mock.fn(async (query) => {
+        if (query.includes('INSERT INTO ingestion_runs')) {
+          return { rows: [{ id: RUN_ID }] };
+        }
+        if (query.includes('UPDATE ingestion_runs') && query.includes('RETURNING *')) {
+          return { rows: [{ id: RUN_ID, status: 'completed', fetched_count: 12 }] };
+        }
+        return { rows: [], rowCount: 0 };
+      }),
+      withAdvisoryLock: mock.fn(async (lockKey, callback) => {
+        if (!lockAvailable) return { acquired: false };
+        return { acquired: true, result: await callback() };
+      })
+    };
+    scheduler.db = mockDb;
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    mock.restoreAll();
+  });
+
+  function queriesMatching(text) {
+    return mockDb.query.mock.calls.filter(call => call.arguments[0].includes(text));
+  }
+
+  describe('runIngestion()', () => {
+    it('should record the run and store counts, criteria and duration', async () => {
+      const ingest = mock.method(scheduler.ingestionService, 'ingestOpportunities', async () => createReport());
+
+      const run = await scheduler.runIngestion({ trigger: 'scheduled', schedule: '0 */6 * * *', mode: 'incremental' });
+
+      assert.strictEqual(run.id, RUN_ID);
+      assert.strictEqual(ingest.mock.calls[0].arguments[0].mode, 'incremental');
+
+      const [insertQuery, insertParams] = queriesMatching('INSERT INTO ingestion_runs')[0].arguments;
+      assert.ok(insertQuery.includes("'running'"));
+      assert.deepStrictEqual(insertParams, ['scheduled', null, '0 */6 * * *', 'incremental', '{}', '["sam_gov"]']);
+
+      const [, updateParams] = queriesMatching('RETURNING *')[0].arguments;
+      assert.strictEqual(updateParams[1], 'completed');
+      assert.strictEqual(updateParams[2], JSON.stringify({ postedFrom: '10/12/2026' }));
+      assert.deepStrictEqual(updateParams.slice(3, 9), [12, 12, 7, 3, 1, 1]);
+      assert.strictEqual(updateParams[10], null);
+      assert.ok(Number.isInteger(updateParams[11]));
+      assert.strictEqual(scheduler.getStatus().activeRunId, null);
+    });
+
+    it('should ingest and record the requested sources with per-source counts', async () => {
+      const ingest = mock.method(scheduler.ingestionService, 'ingestOpportunities', async () => createReport({
+        sources: { georgia_procurement: { fetched: 12, stored: 7 } }
+      }));
+      scheduler.ingestionOptions = { sources: ['sam_gov'] };
+
+      await scheduler.runIngestion({ mode: 'full', sources: ['georgia_procurement'] });
+
+      assert.deepStrictEqual(ingest.mock.calls[0].arguments[0].sources, ['georgia_procurement']);
+      const [, insertParams] = queriesMatching('INSERT INTO ingestion_runs')[0].arguments;
+      assert.strictEqual(insertParams[5], '["georgia_procurement"]');
+      const [, updateParams] = queriesMatching('RETURNING *')[0].arguments;
+      assert.strictEqual(updateParams[12], JSON.stringify({ georgia_procurement: { fetched: 12, stored: 7 } }));
+    });
+
+    it('should record failed runs with the partial report', async () => {
+      mock.method(scheduler.ingestionService, 'ingestOpportunities', async () => {
+        throw new Error('SAM.gov API key not configured');
+      });
+      mock.method(scheduler.ingestionService, 'generateIngestionReport', () => createReport({
+        summary: { totalErrors: 1 },
+        errors: [{ type: 'INGESTION_FAILURE', message: 'SAM.gov API key not configured' }]
+      }));
+
+      await scheduler.runIngestion({ mode: 'full' });
+
+      const [, updateParams] = queriesMatching('RETURNING *')[0].arguments;
+      assert.strictEqual(updateParams[1], 'failed');
+      assert.strictEqual(updateParams[8], 1);
+      assert.strictEqual(updateParams[10], 'SAM.gov API key not configured');
+    });
+
+    it('should skip the run without recording it when another run holds the lock', async () => {
+      lockAvailable = false;
+      const ingest = mock.method(scheduler.ingestionService, 'ingestOpportunities', async () => createReport());
+
+      const run = await scheduler.runIngestion({ trigger: 'scheduled' });
+
+      assert.strictEqual(run, null);
+      assert.strictEqual(ingest.mock.callCount(), 0);
+      assert.strictEqual(mockDb.query.mock.callCount(), 0);
+    });
+
+    it('should mark runs interrupted by a crash as failed once the lock is held', async () => {
+      mock.method(scheduler.ingestionService, 'ingestOpportunities', async () => createReport());
+
+      await scheduler.runIngestion();
+
+      const calls = mockDb.query.mock.calls.map(call => call.arguments[0]);
+      const cleanupIndex = calls.findIndex(query => query.includes("WHERE status = 'running'"));
+      const insertIndex = calls.findIndex(query => query.includes('INSERT INTO ingestion_runs'));
+      assert.ok(cleanupIndex >= 0 && cleanupIndex < insertIndex);
+    });
+  });
+
+  describe('startRun()', () => {
+    it('should resolve with the run ID before ingestion finishes', async () => {
+      let finishIngestion;
+      mock.method(scheduler.ingestionService, 'ingestOpportunities', () => new Promise(resolve => {
+        finishIngestion = () => resolve(createReport());
+      }));
+
+      const result = await scheduler.startRun({ trigger: 'manual', triggeredBy: 42, mode: 'full' });
+
+      assert.strictEqual(result.started, true);
+      assert.strictEqual(result.runId, RUN_ID);
+      assert.strictEqual(scheduler.getStatus().activeRunId, RUN_ID);
+      assert.strictEqual(queriesMatching('RETURNING *').length, 0);
+
+      finishIngestion();
+      await result.completion;
+
+      assert.strictEqual(queriesMatching('RETURNING *').length, 1);
+    });
+  });
+
+  describe('start()', () => {
+    it('should compute the next run for each configured schedule', () => {
+      scheduler.start([{ cron: '0 */6 * * *' }, { cron: '0 3 * * 0', mode: 'full' }]);
+
+      const status = scheduler.getStatus();
+      assert.strictEqual(status.enabled, true);
+      assert.strictEqual(status.schedules.length, 2);
+      assert.strictEqual(status.schedules[0].mode, 'incremental');
+      assert.strictEqual(status.schedules[1].mode, 'full');
+      assert.ok(status.schedules.every(schedule => schedule.nextRunAt > new Date()));
+    });
+
+    it('should reject invalid cron expressions', () => {
+      assert.throws(() => scheduler.start([{ cron: 'every six hours' }]), /Invalid cron expression/);
+      assert.strictEqual(scheduler.getStatus().enabled, false);
+    });
+  });
+
+  describe('listRuns()', () => {
+    it('should filter, paginate and omit error lists', async () => {
+      mockDb.query.mock.mockImplementation(async () => ({
+        rows: [{ id: RUN_ID, status: 'failed', errors: [{ error: 'x' }], total_count: '3' }]
+      }));
+
+      const result = await scheduler.listRuns({ status: 'failed', limit: 1, offset: 0 });
+
+      assert.strictEqual(result.total, 3);
+      assert.strictEqual(result.runs[0].errors, undefined);
+      const [query, params] = mockDb.query.mock.calls[0].arguments;
+      assert.ok(query.includes('WHERE status = $1'));
+      assert.deepStrictEqual(params, ['failed', 1, 0]);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Opportunity Attachment Service Tests
+ * Downloads from a local fixture server, content-hash deduplication and derived requirement fields
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const OpportunityAttachmentService = require('../../src/services/opportunityAttachmentService');
+const GovernmentOpportunityIngestionService = require('../../src/services/governmentOpportunityIngestionService');
+
+const FIXTURES = path.join(__dirname, '../fixtures/attachments');
+const OPPORTUNITY_ID = '3f2b8c1e-5d4a-4e6f-9a7b-1c2d3e4f5a6b';
+
+const FILES = {
+  '/pws.pdf': { type: 'application/pdf', body: fs.readFileSync(path.join(FIXTURES, 'pws.pdf')) },
+  '/section-m.docx': {
+    type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    body: fs.readFileSync(path.join(FIXTURES, 'section-m.docx')),
+    disposition: 'attachment; filename="Section M.docx"'
+  }
+};
+
+/**
+ * In-memory stand-in for the three tables the service touches
+ */
+function createFakeDb(attachments) {
+  const documents = new Map();
+  const links = new Map();
+  let nextId = 1;
+
+  const query = mock.fn(async (sql, params = []) => {
+    if (sql.includes('SELECT id, attachments FROM gov_opportunities')) {
+      return { rows: [{ id: params[0], attachments }] };
+    }
+    if (sql.includes('SELECT url, status, attempts FROM gov_opportunity_attachments')) {
+      return { rows: [...links.values()] };
+    }
+    if (sql.includes('SELECT id FROM attachment_documents')) {
+      const document = [...documents.values()].find(doc => doc.content_hash === params[0]);
+      return { rows: document ? [{ id: document.id }] : [] };
+    }
+    if (sql.includes('INSERT INTO attachment_documents')) {
+      const id = `doc-${nextId++}`;
+      documents.set(id, { id, content_hash: params[0], format: params[1], extraction_status: params[5], text: params[7] });
+      return { rows: [{ id }] };
+    }
+    if (sql.includes('INSERT INTO gov_opportunity_attachments')) {
+      const previous = links.get(params[1]);
+      links.set(params[1], {
+        url: params[1], filename: params[2], document_id: params[3], status: params[4],
+        attempts: previous ? previous.attempts + 1 : 1, last_status: params[6]
+      });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('JOIN attachment_documents d ON d.id = ga.document_id')) {
+      return {
+        rows: [...links.values()]
+          .filter(link => link.status === 'processed' && documents.get(link.document_id)?.extraction_status === 'extracted')
+          .map(link => ({ title: 'Case Management Modernization', description: '', filename: link.filename, text: documents.get(link.document_id).text }))
+      };
+    }
+    return { rows: [], rowCount: 1 };
+  });
+
+  return { query, documents, links };
+}
+
+describe('Opportunity Attachment Service', () => {
+  let server;
+  let baseUrl;
+  let requests;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const file = FILES[new URL(req.url, 'http://localhost').pathname];
+      if (!file) {
+        res.writeHead(404);
+        res.end('not found');
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': file.type,
+        ...(file.disposition ? { 'Content-Disposition': file.disposition } : {})
+      });
+      res.end(file.body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let service;
+
+  beforeEach(() => {
+    requests = [];
+    service = new OpportunityAttachmentService({ timeoutMs: 5000, samApiKey: 'test-key' });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('processOpportunity()', () => {
+    it('should download, extract and merge attachment text into the requirement fields', async () => {
+      const db = createFakeDb([
+        { filename: 'PWS.pdf', url: `${baseUrl}/pws.pdf` },
+        { filename: null, url: `${baseUrl}/section-m.docx` }
+      ]);
+      service.db = db;
+
+      const outcome = await service.processOpportunity(OPPORTUNITY_ID);
+
+      assert.deepStrictEqual(outcome, { opportunityId: OPPORTUNITY_ID, downloaded: 2, reused: 0, failed: 0, skipped: 0, updated: true });
+      assert.deepStrictEqual([...db.documents.values()].map(doc => doc.format), ['pdf', 'docx']);
+      assert.strictEqual(db.links.get(`${baseUrl}/section-m.docx`).filename, 'Section M.docx');
+
+      const update = db.query.mock.calls.find(call => call.arguments[0].includes('UPDATE gov_opportunities'));
+      const [, [id, summary, tags, criteria]] = update.arguments;
+      assert.strictEqual(id, OPPORTUNITY_ID);
+      assert.ok(summary.startsWith('The contractor shall migrate legacy case management workloads'));
+      assert.ok(JSON.parse(tags).includes('cybersecurity'));
+      assert.deepStrictEqual(JSON.parse(criteria).map(factor => factor.criterion), ['Technical Approach', 'Past Performance', 'Price']);
+      assert.strictEqual(JSON.parse(criteria)[0].source, 'Section M.docx');
+
+      // Attachment text leaves updated_at alone, so the opportunity's scores are marked stale instead
+      const stale = db.query.mock.calls.find(call => call.arguments[0].includes('UPDATE gov_opportunity_scores'));
+      assert.match(stale.arguments[0], /stale_reason = 'enrichment:attachments'/);
+      assert.deepStrictEqual(stale.arguments[1], [OPPORTUNITY_ID]);
+    });
+
+    it('should not download processed attachments again and reuse documents with the same content', async () => {
+      const db = createFakeDb([
+        { filename: 'PWS.pdf', url: `${baseUrl}/pws.pdf` },
+        { filename: 'PWS copy.pdf', url: `${baseUrl}/pws.pdf?amendment=1` }
+      ]);
+      service.db = db;
+
+      const first = await service.processOpportunity(OPPORTUNITY_ID);
+      const second = await service.processOpportunity(OPPORTUNITY_ID);
+
+      assert.strictEqual(first.downloaded, 1);
+      assert.strictEqual(first.reused, 1);
+      assert.strictEqual(db.documents.size, 1);
+      assert.deepStrictEqual(second, { opportunityId: OPPORTUNITY_ID, downloaded: 0, reused: 0, failed: 0, skipped: 2, updated: false });
+      assert.strictEqual(requests.length, 2);
+    });
+
+    it('should record failed downloads and stop retrying after the maximum attempts', async () => {
+      const db = createFakeDb([{ filename: 'Missing.pdf', url: `${baseUrl}/missing.pdf` }]);
+      service.db = db;
+      mock.method(require('../../src/utils/logger').logger, 'warn', () => {});
+
+      for (let i = 0; i < OpportunityAttachmentService.MAX_ATTEMPTS + 1; i++) {
+        await service.processOpportunity(OPPORTUNITY_ID);
+      }
+
+      const link = db.links.get(`${baseUrl}/missing.pdf`);
+      assert.strictEqual(link.status, 'failed');
+      assert.strictEqual(link.last_status, 404);
+      assert.strictEqual(link.attempts, OpportunityAttachmentService.MAX_ATTEMPTS);
+      assert.strictEqual(requests.length, OpportunityAttachmentService.MAX_ATTEMPTS);
+    });
+  });
+
+  describe('processPendingOpportunities()', () => {
+    it('should only select opportunities with pending attachments among the ones it downloads', async () => {
+      const query = mock.fn(async () => ({ rows: [] }));
+      service.db = { query };
+
+      await service.processPendingOpportunities({ limit: 5 });
+
+      const [sql, params] = query.mock.calls[0].arguments;
+      assert.match(sql, /WITH ORDINALITY/);
+      assert.match(sql, /LIMIT \$3/);
+      assert.deepStrictEqual(params, [5, OpportunityAttachmentService.MAX_ATTEMPTS, OpportunityAttachmentService.MAX_ATTACHMENTS_PER_OPPORTUNITY]);
+    });
+  });
+
+  describe('downloadAttachment()', () => {
+    it('should download SAM.gov links through the SAM.gov request layer', async () => {
+      const downloadResource = mock.fn(async () => ({
+        data: FILES['/pws.pdf'].body,
+        headers: { 'content-type': 'application/pdf', 'content-disposition': 'attachment; filename="PWS.pdf"' }
+      }));
+      service.sam = { downloadResource };
+
+      const download = await service.downloadAttachment('https://sam.gov/api/prod/opps/v3/opportunities/resources/files/abc/download');
+
+      const [url, config, options] = downloadResource.mock.calls[0].arguments;
+      assert.strictEqual(url, 'https://sam.gov/api/prod/opps/v3/opportunities/resources/files/abc/download?api_key=test-key');
+      assert.strictEqual(config.responseType, 'arraybuffer');
+      assert.deepStrictEqual(options, { priority: 'background' });
+      assert.strictEqual(download.filename, 'PWS.pdf');
+      assert.strictEqual(download.mimeType, 'application/pdf');
+
+      await service.downloadAttachment(`${baseUrl}/pws.pdf`);
+      assert.strictEqual(downloadResource.mock.callCount(), 1);
+      assert.deepStrictEqual(requests, ['/pws.pdf']);
+    });
+  });
+
+  describe('helpers', () => {
+    it('should add the API key to SAM.gov resource links only', () => {
+      assert.strictEqual(
+        service.resolveDownloadUrl('https://sam.gov/api/prod/opps/v3/opportunities/resources/files/abc/download'),
+        'https://sam.gov/api/prod/opps/v3/opportunities/resources/files/abc/download?api_key=test-key'
+      );
+      assert.strictEqual(service.resolveDownloadUrl('https://agency.example.gov/sow.pdf'), 'https://agency.example.gov/sow.pdf');
+    });
+
+    it('should fall back to the description for the summary and read LPTA awards from Section M', () => {
+      const fields = service.deriveRequirementFields(
+        { title: 'Training Support', description: 'Provide instructor-led training courses.' },
+        [{ filename: 'rfp.txt', text: 'Section M\nAward goes to the lowest price technically acceptable offer.\nSection N\nOther' }]
+      );
+
+      assert.strictEqual(fields.requirementsSummary, 'Provide instructor-led training courses');
+      assert.strictEqual(fields.awardBasis, 'lpta');
+      assert.deepStrictEqual(fields.evaluationCriteria, [{
+        criterion: 'Price',
+        category: 'price',
+        weight: 100,
+        importance: 1,
+        evaluation: 'scored',
+        source: 'rfp.txt'
+      }]);
+    });
+  });
+
+  describe('ingestion integration', () => {
+    it('should merge attachment text again after an update of a processed opportunity', async () => {
+      const ingestionService = new GovernmentOpportunityIngestionService();
+      const applyAttachmentText = mock.method(ingestionService.attachmentService, 'applyAttachmentText', async () => true);
+      const client = {
+        query: mock.fn(async (query) => (
+          query.includes('FROM gov_opportunities')
+            ? { rows: [{ id: OPPORTUNITY_ID, updated_at: new Date('2030-01-01T00:00:00Z'), attachments_processed_at: new Date(), attachments: [] }] }
+            : { rows: [{ id: 'v-1', version_number: 2 }] }
+        ))
+      };
+
+      const result = await ingestionService.storeOpportunity(client, {
+        noticeId: 'abc123notice',
+        title: 'Case Management Modernization',
+        lastModified: '2030-01-05T12:00:00Z'
+      });
+
+      assert.strictEqual(result.action, 'updated');
+      assert.deepStrictEqual(applyAttachmentText.mock.calls[0].arguments, [client, OPPORTUNITY_ID]);
+    });
+  });
+});
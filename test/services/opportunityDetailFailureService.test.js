@@ -0,0 +1,158 @@
+/**
+ * Opportunity Detail Failure Service Tests
+ * Failure recording, retry scheduling and the ingestion retry loop
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const samService = require('../../src/integrations/sam');
+const OpportunityDetailFailureService = require('../../src/services/opportunityDetailFailureService');
+const GovernmentOpportunityIngestionService = require('../../src/services/governmentOpportunityIngestionService');
+const { SamSourceAdapter } = require('../../src/integrations/sources');
+
+describe('Opportunity Detail Failure Service', () => {
+  let service;
+  let mockDb;
+
+  beforeEach(() => {
+    service = new OpportunityDetailFailureService();
+    mockDb = {
+      query: mock.fn(async () => ({ rows: [], rowCount: 0 }))
+    };
+    service.db = mockDb;
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('recordFailures()', () => {
+    it('should upsert failures with their search records in one statement', async () => {
+      mockDb.query.mock.mockImplementation(async () => ({ rows: [], rowCount: 2 }));
+
+      const recorded = await service.recordFailures('sam_gov', [
+        { externalId: 'abc123', record: { noticeId: 'abc123', title: 'Cloud' }, error: 'timed out', code: 'TIMEOUT' },
+        { externalId: 'def456', error: 'SAM.gov API server error', status: 503 },
+        { externalId: null, error: 'no id' }
+      ]);
+
+      assert.strictEqual(recorded, 2);
+      const [query, params] = mockDb.query.mock.calls[0].arguments;
+      assert.ok(query.includes('ON CONFLICT (source, external_id) DO UPDATE'));
+      assert.ok(query.includes("THEN 'abandoned'"));
+      assert.strictEqual(params[0], 'sam_gov');
+      assert.deepStrictEqual(JSON.parse(params[1]), [
+        { external_id: 'abc123', record: { noticeId: 'abc123', title: 'Cloud' }, error: 'timed out', status: null, code: 'TIMEOUT' },
+        { external_id: 'def456', record: {}, error: 'SAM.gov API server error', status: 503, code: null }
+      ]);
+      assert.deepStrictEqual(params.slice(2), [30, OpportunityDetailFailureService.MAX_ATTEMPTS, 1440]);
+    });
+
+    it('should skip the query when there is nothing to record', async () => {
+      assert.strictEqual(await service.recordFailures('sam_gov', []), 0);
+      assert.strictEqual(mockDb.query.mock.callCount(), 0);
+    });
+  });
+
+  describe('getDueRetries() and resolveFailures()', () => {
+    it('should return due pending records and resolve fetched ones', async () => {
+      mockDb.query.mock.mockImplementation(async (query) => (
+        query.includes('SELECT external_id')
+          ? { rows: [{ external_id: 'abc123', record: { noticeId: 'abc123' }, attempts: 2 }] }
+          : { rows: [], rowCount: 1 }
+      ));
+
+      const retries = await service.getDueRetries('sam_gov', 10);
+      const resolved = await service.resolveFailures('sam_gov', ['abc123', null]);
+
+      assert.deepStrictEqual(retries, [{ externalId: 'abc123', record: { noticeId: 'abc123' }, attempts: 2 }]);
+      assert.deepStrictEqual(mockDb.query.mock.calls[0].arguments[1], ['sam_gov', 10]);
+      assert.strictEqual(resolved, 1);
+      assert.deepStrictEqual(mockDb.query.mock.calls[1].arguments[1], ['sam_gov', ['abc123']]);
+    });
+  });
+
+  describe('listFailures()', () => {
+    it('should filter by source and status and hide retry times of closed records', async () => {
+      mockDb.query.mock.mockImplementation(async () => ({
+        rows: [{
+          id: 'f1', source: 'sam_gov', external_id: 'abc123', status: 'abandoned', attempts: 5,
+          last_error: 'timed out', last_status: null, last_error_code: 'TIMEOUT',
+          next_retry_at: new Date(), total_count: '3'
+        }]
+      }));
+
+      const result = await service.listFailures({ source: 'sam_gov', status: 'abandoned', limit: 1, offset: 0 });
+
+      assert.strictEqual(result.total, 3);
+      assert.strictEqual(result.failures[0].externalId, 'abc123');
+      assert.strictEqual(result.failures[0].nextRetryAt, null);
+      assert.deepStrictEqual(mockDb.query.mock.calls[0].arguments[1], ['sam_gov', 'abandoned', 1, 0]);
+    });
+  });
+
+  describe('ingestion retry loop', () => {
+    it('should record failed detail fetches and retry due records in the next run', async () => {
+      const ingestionService = new GovernmentOpportunityIngestionService();
+      const adapter = new SamSourceAdapter({ detailDelayMs: 0 });
+      const failureService = {
+        getDueRetries: mock.fn(async () => [{ externalId: 'old789', record: { noticeId: 'old789', title: 'Retried' } }]),
+        recordFailures: mock.fn(async () => 1),
+        resolveFailures: mock.fn(async () => 1)
+      };
+      ingestionService.detailFailureService = failureService;
+
+      mock.method(samService, 'fetchOpportunities', async () => ({
+        totalRecords: 2,
+        opportunitiesData: [{ noticeId: 'new111', title: 'New' }, { noticeId: 'new222', title: 'Broken' }]
+      }));
+      const detailBatch = mock.method(samService, 'fetchOpportunityDetailsBatch', async (noticeIds) => ({
+        successful: noticeIds.filter(id => id !== 'new222').map(noticeId => ({ noticeId })),
+        failed: [{ noticeId: 'new222', success: false, error: 'SAM.gov API server error', status: 503 }]
+      }));
+      mock.method(ingestionService, 'storeOpportunities', async () => ({ stored: 2, updated: 0, skipped: 0, errors: [] }));
+      mock.method(ingestionService, 'delay', async () => {});
+
+      await ingestionService.ingestFromSource(adapter, {
+        searchCriteria: {},
+        maxOpportunities: 10,
+        batchSize: 25,
+        fetchDetails: true,
+        enableDeduplication: false
+      });
+
+      assert.deepStrictEqual(detailBatch.mock.calls[0].arguments[0], ['new111', 'new222', 'old789']);
+      assert.strictEqual(detailBatch.mock.calls[0].arguments[1].priority, 'background');
+
+      const [source, failures] = failureService.recordFailures.mock.calls[0].arguments;
+      assert.strictEqual(source, 'sam_gov');
+      assert.deepStrictEqual(failures[0].record, { noticeId: 'new222', title: 'Broken' });
+      assert.deepStrictEqual(failureService.resolveFailures.mock.calls[0].arguments, ['sam_gov', ['new111', 'old789']]);
+
+      const stats = ingestionService.ingestionStats.sources.sam_gov;
+      assert.strictEqual(stats.retried, 1);
+      assert.strictEqual(stats.processed, 2);
+      assert.ok(!('record' in ingestionService.ingestionStats.errors[0]));
+    });
+
+    it('should queue a whole batch for retry when the detail fetch throws', async () => {
+      const ingestionService = new GovernmentOpportunityIngestionService();
+      const adapter = new SamSourceAdapter();
+      const failureService = { recordFailures: mock.fn(async () => 2), resolveFailures: mock.fn(async () => 0) };
+      ingestionService.detailFailureService = failureService;
+      mock.method(adapter, 'fetchDetails', async () => {
+        const error = new Error('SAM.gov requests paused after repeated failures');
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      });
+
+      const processed = await ingestionService.processOpportunitiesBatches(
+        [{ noticeId: 'a1' }, { noticeId: 'b2' }], 25, true, adapter
+      );
+
+      assert.deepStrictEqual(processed, []);
+      const [, failures] = failureService.recordFailures.mock.calls[0].arguments;
+      assert.deepStrictEqual(failures.map(failure => [failure.externalId, failure.code]), [['a1', 'CIRCUIT_OPEN'], ['b2', 'CIRCUIT_OPEN']]);
+    });
+  });
+});
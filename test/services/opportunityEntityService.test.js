@@ -0,0 +1,261 @@
+/**
+ * Opportunity Entity Service Tests
+ * Normalizing the three opportunity stores, cross-source matching, stable entity IDs,
+ * canonical field survivorship and pinned links
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const OpportunityEntityService = require('../../src/services/opportunityEntityService');
+const { logger } = require('../../src/utils/logger');
+
+const NOTICE = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+const GOV_A = '00000000-0000-4000-8000-000000000001';
+const GOV_B = '00000000-0000-4000-8000-000000000002';
+const ENTITY = '00000000-0000-4000-8000-0000000000e1';
+
+function govRecord(service, overrides = {}) {
+  return service.normalizeRecord('gov_opportunities', {
+    id: GOV_A,
+    title: 'Network Modernization and Cloud Migration Services',
+    description: 'Modernize the agency network and migrate legacy workloads to a FedRAMP cloud',
+    agency: 'Department of Labor',
+    solicitation_number: '1605DC-25-R-0001',
+    notice_id: NOTICE,
+    due_date: new Date('2026-12-01T17:00:00Z'),
+    value_estimated: '2500000',
+    place_of_performance: { city: 'Washington', state: 'DC', country: 'USA' },
+    processing_status: 'active',
+    naics_codes: ['541512'],
+    ...overrides
+  });
+}
+
+function catalogRecord(service, overrides = {}) {
+  return service.normalizeRecord('opportunities', {
+    id: 7,
+    title: 'Network Modernization & Cloud Migration',
+    description: 'Network modernization and cloud migration for a federal agency',
+    buyer_organization: 'Department of Labor',
+    project_value_min: '2000000',
+    project_value_max: '3000000',
+    location: 'Washington, DC',
+    submission_deadline: new Date('2026-12-01T17:00:00Z'),
+    source_url: `https://sam.gov/opp/${NOTICE}/view`,
+    is_active: true,
+    ...overrides
+  });
+}
+
+function atlantaRecord(service, overrides = {}) {
+  return service.normalizeRecord('atlanta_opportunities', {
+    id: 3,
+    title: 'Network Modernization and Cloud Migration Services',
+    description: 'Modernize the agency network and migrate legacy workloads to a FedRAMP cloud',
+    organization_name: 'Department of Labor',
+    opportunity_type: 'rfp',
+    estimated_value_min: '2000000',
+    geographic_requirements: ['Atlanta Metro'],
+    submission_deadline: new Date('2026-12-03T17:00:00Z'),
+    current_status: 'open',
+    ...overrides
+  });
+}
+
+describe('Opportunity Entity Service', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new OpportunityEntityService();
+    mock.method(logger, 'info', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('normalizeRecord()', () => {
+    it('should map each store to one shape and read SAM.gov notice IDs from catalog URLs', () => {
+      const gov = govRecord(service);
+      const catalog = catalogRecord(service);
+
+      assert.strictEqual(gov.sourceRecordId, GOV_A);
+      assert.strictEqual(gov.location, 'Washington, DC');
+      assert.strictEqual(gov.sourceUrl, `https://sam.gov/opp/${NOTICE}/view`);
+      assert.strictEqual(gov.agency, 'department of labor');
+      assert.strictEqual(catalog.sourceRecordId, '7');
+      assert.strictEqual(catalog.noticeId, NOTICE);
+      assert.strictEqual(catalog.value_estimated, '3000000');
+      assert.strictEqual(atlantaRecord(service).location, 'Atlanta Metro');
+    });
+  });
+
+  describe('clusterRecords()', () => {
+    it('should link records of different stores and never two records of one store', async () => {
+      const records = [
+        govRecord(service),
+        govRecord(service, { id: GOV_B, solicitation_number: '1605DC-25-R-0001-A1', notice_id: null }),
+        catalogRecord(service),
+        atlantaRecord(service),
+        atlantaRecord(service, { id: 4, title: 'Janitorial Services for City Hall', description: 'Daily custodial services', organization_name: 'City of Atlanta' })
+      ];
+
+      const { components } = await service.clusterRecords(records, new Map(), 0.8);
+
+      const byRecord = new Map(components.flatMap(component => component.map(member => [service.recordKey(member.record), component])));
+      const linked = byRecord.get(`gov_opportunities:${GOV_A}`);
+      assert.deepStrictEqual(linked.map(member => [service.recordKey(member.record), member.matchMethod]), [
+        [`gov_opportunities:${GOV_A}`, 'origin'],
+        ['opportunities:7', 'identifier'],
+        ['atlanta_opportunities:3', 'similarity']
+      ]);
+      assert.ok(linked[2].confidence >= 0.8);
+      assert.strictEqual(byRecord.get(`gov_opportunities:${GOV_B}`).length, 1);
+      assert.strictEqual(byRecord.get('atlanta_opportunities:4').length, 1);
+    });
+
+    it('should leave pinned records out of automatic matching', async () => {
+      const records = [govRecord(service), catalogRecord(service)];
+      const links = new Map([['opportunities:7', { entityId: ENTITY, matchMethod: 'manual' }]]);
+
+      const { components } = await service.clusterRecords(records, links, 0.8);
+
+      assert.strictEqual(components.length, 2);
+      assert.deepStrictEqual(components.map(component => component[0].matchMethod).sort(), ['manual', 'origin']);
+    });
+  });
+
+  describe('assignEntities()', () => {
+    it('should keep existing entity IDs, create new ones and add pinned records to their entity', () => {
+      const gov = govRecord(service);
+      const catalog = catalogRecord(service);
+      const atlanta = atlantaRecord(service);
+      const other = govRecord(service, { id: GOV_B });
+      const links = new Map([
+        [`gov_opportunities:${GOV_A}`, { entityId: ENTITY, matchMethod: 'origin' }],
+        ['opportunities:7', { entityId: ENTITY, matchMethod: 'identifier' }],
+        [`gov_opportunities:${GOV_B}`, { entityId: ENTITY, matchMethod: 'similarity' }],
+        ['atlanta_opportunities:3', { entityId: ENTITY, matchMethod: 'manual' }]
+      ]);
+
+      const entities = service.assignEntities([
+        [{ record: gov, matchMethod: 'origin' }, { record: catalog, matchMethod: 'identifier', confidence: 0.95 }],
+        [{ record: other, matchMethod: 'origin' }],
+        [{ record: atlanta, matchMethod: 'manual' }]
+      ], links);
+
+      assert.strictEqual(entities.length, 2);
+      const [kept, split] = entities;
+      assert.strictEqual(kept.entityId, ENTITY);
+      assert.strictEqual(kept.isNew, false);
+      assert.deepStrictEqual(kept.members.map(member => member.record.sourceRecordId), [GOV_A, '7', '3']);
+      assert.notStrictEqual(split.entityId, ENTITY);
+      assert.strictEqual(split.isNew, true);
+    });
+  });
+
+  describe('buildCanonical()', () => {
+    it('should take each field from the highest-priority store that has it', () => {
+      const canonical = service.buildCanonical([
+        { record: atlantaRecord(service) },
+        { record: catalogRecord(service, { description: null }) },
+        { record: govRecord(service, { description: null, solicitation_number: null }) }
+      ]);
+
+      assert.strictEqual(canonical.title, 'Network Modernization and Cloud Migration Services');
+      assert.strictEqual(canonical.description, 'Modernize the agency network and migrate legacy workloads to a FedRAMP cloud');
+      assert.strictEqual(canonical.opportunity_type, 'rfp');
+      assert.strictEqual(canonical.source_count, 3);
+      assert.deepStrictEqual(canonical.field_sources, {
+        title: 'gov_opportunities',
+        description: 'atlanta_opportunities',
+        buyer: 'gov_opportunities',
+        notice_id: 'gov_opportunities',
+        opportunity_type: 'atlanta_opportunities',
+        due_date: 'gov_opportunities',
+        value_min: 'gov_opportunities',
+        value_max: 'gov_opportunities',
+        location: 'gov_opportunities',
+        source_url: 'gov_opportunities',
+        status: 'gov_opportunities'
+      });
+    });
+  });
+
+  describe('resolve()', () => {
+    it('should save entities, drop links of records that are gone and report locked runs', async () => {
+      const client = { query: mock.fn(async () => ({ rows: [] })) };
+      service.db = {
+        withAdvisoryLock: async (key, callback) => ({ acquired: true, result: await callback() }),
+        transaction: async (callback) => callback(client),
+        query: mock.fn(async (query) => {
+          if (query.includes('FROM gov_opportunities')) {
+            return { rows: [{ id: GOV_A, title: 'Network Modernization', agency: 'Department of Labor', notice_id: NOTICE }] };
+          }
+          if (query.includes('FROM opportunities')) {
+            return { rows: [{ id: 7, title: 'Network Modernization', source_url: `https://sam.gov/opp/${NOTICE}/view`, is_active: true }] };
+          }
+          if (query.includes('FROM opportunity_entity_links')) {
+            return { rows: [{ entity_id: ENTITY, source_table: 'gov_opportunities', source_record_id: GOV_A, match_method: 'origin' }] };
+          }
+          return { rows: [] };
+        })
+      };
+
+      const result = await service.resolve();
+
+      assert.strictEqual(result.status, 'completed');
+      assert.strictEqual(result.records, 2);
+      assert.strictEqual(result.crossSourceEntities, 1);
+      assert.strictEqual(result.createdEntities, 0);
+
+      const calls = client.query.mock.calls.map(call => call.arguments);
+      const [, [entityRows]] = calls.find(([query]) => query.includes('INSERT INTO opportunity_entities'));
+      assert.deepStrictEqual(JSON.parse(entityRows).map(row => [row.id, row.source_count]), [[ENTITY, 2]]);
+      const [, [linkRows]] = calls.find(([query]) => query.includes('INSERT INTO opportunity_entity_links'));
+      assert.deepStrictEqual(JSON.parse(linkRows).map(row => [row.source_table, row.match_method]), [
+        ['gov_opportunities', 'origin'],
+        ['opportunities', 'identifier']
+      ]);
+      const [, staleParams] = calls.find(([query]) => query.includes('DELETE FROM opportunity_entity_links'));
+      assert.deepStrictEqual(staleParams, [[`gov_opportunities:${GOV_A}`, 'opportunities:7']]);
+
+      service.db.withAdvisoryLock = async () => ({ acquired: false });
+      assert.deepStrictEqual(await service.resolve(), { status: 'locked' });
+    });
+  });
+
+  describe('pinRecord()', () => {
+    it('should split a record into a new pinned entity and refresh both entities', async () => {
+      const client = {
+        query: mock.fn(async (query) => {
+          if (query.includes('SELECT entity_id FROM opportunity_entity_links')) return { rows: [{ entity_id: ENTITY }] };
+          return { rows: [] };
+        })
+      };
+      service.db = { transaction: async (callback) => callback(client), query: async () => ({ rows: [] }) };
+
+      const result = await service.pinRecord({ sourceTable: 'opportunities', recordId: '7' }, 5);
+
+      assert.strictEqual(result.status, 'pinned');
+      assert.notStrictEqual(result.entityId, ENTITY);
+      const calls = client.query.mock.calls.map(call => call.arguments);
+      const [, pinParams] = calls.find(([query]) => query.includes("match_method = 'manual'"));
+      assert.deepStrictEqual(pinParams, ['opportunities', '7', result.entityId, 5]);
+      const [, emptyParams] = calls.find(([query]) => query.includes('DELETE FROM opportunity_entities'));
+      assert.deepStrictEqual(emptyParams, [[ENTITY, result.entityId]]);
+    });
+
+    it('should report unresolved records and unknown entities', async () => {
+      const client = { query: mock.fn(async () => ({ rows: [] })) };
+      service.db = { transaction: async (callback) => callback(client) };
+      assert.deepStrictEqual(await service.pinRecord({ sourceTable: 'opportunities', recordId: '7' }, 5), { status: 'record_not_found' });
+
+      client.query.mock.mockImplementation(async (query) => (query.includes('FROM opportunity_entity_links') ? { rows: [{ entity_id: ENTITY }] } : { rows: [] }));
+      assert.deepStrictEqual(
+        await service.pinRecord({ sourceTable: 'opportunities', recordId: '7', entityId: '00000000-0000-4000-8000-0000000000e2' }, 5),
+        { status: 'entity_not_found' }
+      );
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Opportunity Lifecycle Service Tests
+ * Deriving lifecycle states from due dates, source status and awards, rejecting invalid
+ * transitions, and the events, watchlist alerts and stale scores a transition produces
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const OpportunityLifecycleService = require('../../src/services/opportunityLifecycleService');
+const { logger } = require('../../src/utils/logger');
+
+const OPPORTUNITY = '00000000-0000-4000-8000-000000000001';
+const NOW = new Date('2026-06-01T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function opportunity(overrides = {}) {
+  return {
+    id: OPPORTUNITY,
+    title: 'Cloud Migration Support Services',
+    processing_status: 'active',
+    merged_into: null,
+    due_date: new Date('2026-07-01T17:00:00Z'),
+    archive_date: null,
+    source_status: 'active',
+    awardee_name: null,
+    awardee_uei: null,
+    award_amount: null,
+    award_date: null,
+    award_number: null,
+    last_updated_source: new Date('2026-05-01T00:00:00Z'),
+    status_changed_at: null,
+    ...overrides
+  };
+}
+
+function transactionClient(row) {
+  return {
+    query: mock.fn(async (query, params) => {
+      if (query.includes('FOR UPDATE')) return { rows: row ? [row] : [] };
+      if (query.includes('INSERT INTO opportunity_lifecycle_events')) {
+        const [opportunityId, fromStatus, toStatus, reason, , triggeredBy, userId] = params;
+        return {
+          rows: [{
+            id: 'event-1', opportunity_id: opportunityId, from_status: fromStatus, to_status: toStatus,
+            reason, triggered_by: triggeredBy, triggered_by_user_id: userId, created_at: NOW
+          }]
+        };
+      }
+      if (query.includes('RETURNING awardee_name')) {
+        return { rows: [{ awardee_name: 'Acme Federal LLC', awardee_uei: null, award_amount: '1250000.00', award_date: null, award_number: null }] };
+      }
+      return { rows: [] };
+    })
+  };
+}
+
+describe('Opportunity Lifecycle Service', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new OpportunityLifecycleService({ archiveAfterDays: 90 });
+    mock.method(logger, 'info', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    service.events.removeAllListeners();
+  });
+
+  describe('planTransitions()', () => {
+    it('should close past-due and inactive opportunities and leave current ones alone', () => {
+      assert.deepStrictEqual(service.planTransitions(opportunity(), NOW), []);
+      assert.deepStrictEqual(service.planTransitions(opportunity({ due_date: new Date('2026-05-30T00:00:00Z') }), NOW), [
+        { from: 'active', to: 'closed', reason: 'due_date_passed' }
+      ]);
+      assert.deepStrictEqual(service.planTransitions(opportunity({ source_status: 'inactive' }), NOW), [
+        { from: 'active', to: 'closed', reason: 'source_inactive' }
+      ]);
+      assert.deepStrictEqual(service.planTransitions(opportunity({ merged_into: 'survivor', due_date: null, source_status: 'cancelled' }), NOW), []);
+    });
+
+    it('should award, then archive, and never move a finished opportunity backwards', () => {
+      assert.deepStrictEqual(service.planTransitions(opportunity({
+        awardee_name: 'Acme Federal LLC',
+        due_date: new Date('2026-01-15T00:00:00Z')
+      }), NOW), [
+        { from: 'active', to: 'awarded', reason: 'award_notice' },
+        { from: 'awarded', to: 'archived', reason: 'retention_expired' }
+      ]);
+
+      // Awarded stays awarded once the due date passes; a cancellation is never turned into an award
+      assert.deepStrictEqual(service.planTransitions(opportunity({ processing_status: 'awarded', due_date: new Date('2026-05-30T00:00:00Z') }), NOW), []);
+      assert.deepStrictEqual(service.planTransitions(opportunity({ processing_status: 'cancelled', source_status: 'awarded' }), NOW), []);
+      assert.deepStrictEqual(service.planTransitions(opportunity({ processing_status: 'cancelled', source_status: 'cancelled', archive_date: new Date('2026-05-01') }), NOW), [
+        { from: 'cancelled', to: 'archived', reason: 'archive_date_passed' }
+      ]);
+    });
+
+    it('should reopen a closed opportunity only when the source changed after it was closed', () => {
+      const closedByHand = opportunity({ processing_status: 'closed', status_changed_at: new Date('2026-05-15T00:00:00Z') });
+      assert.deepStrictEqual(service.planTransitions(closedByHand, NOW), []);
+
+      const extended = { ...closedByHand, last_updated_source: new Date('2026-05-20T00:00:00Z') };
+      assert.deepStrictEqual(service.planTransitions(extended, NOW), [
+        { from: 'closed', to: 'active', reason: 'due_date_extended' }
+      ]);
+    });
+  });
+
+  describe('transition()', () => {
+    it('should reject transitions the lifecycle does not allow and unknown opportunities', async () => {
+      let client = transactionClient(opportunity({ processing_status: 'awarded' }));
+      service.db = { transaction: async (callback) => callback(client) };
+
+      assert.deepStrictEqual(await service.transition(OPPORTUNITY, 'active'), {
+        status: 'invalid_transition', from: 'awarded', to: 'active', allowed: ['archived']
+      });
+      assert.ok(!client.query.mock.calls.some(call => call.arguments[0].includes('UPDATE gov_opportunities')));
+
+      client = transactionClient(opportunity({ merged_into: 'survivor', processing_status: 'merged' }));
+      assert.strictEqual((await service.transition(OPPORTUNITY, 'closed')).status, 'invalid_transition');
+
+      client = transactionClient(null);
+      assert.deepStrictEqual(await service.transition(OPPORTUNITY, 'closed'), { status: 'not_found' });
+    });
+
+    it('should record the award, alert watchlists, mark scores stale and emit the event', async () => {
+      const client = transactionClient(opportunity());
+      service.db = { transaction: async (callback) => callback(client) };
+      const emitted = [];
+      service.events.on('transition', event => emitted.push(event));
+
+      const result = await service.transition(OPPORTUNITY, 'awarded', {
+        award: { awardeeName: 'Acme Federal LLC', amount: 1250000 },
+        userId: 5
+      });
+
+      assert.strictEqual(result.status, 'transitioned');
+      assert.deepStrictEqual(emitted, [result.event]);
+      assert.strictEqual(result.event.fromStatus, 'active');
+      assert.strictEqual(result.event.toStatus, 'awarded');
+      assert.deepStrictEqual(result.event.details.award, {
+        awardeeName: 'Acme Federal LLC', awardeeUei: null, amount: 1250000, date: null, number: null
+      });
+
+      const calls = client.query.mock.calls.map(call => call.arguments);
+      const [, eventParams] = calls.find(([query]) => query.includes('INSERT INTO opportunity_lifecycle_events'));
+      assert.deepStrictEqual(eventParams.slice(0, 4), [OPPORTUNITY, 'active', 'awarded', 'manual']);
+      assert.deepStrictEqual(eventParams.slice(5), ['admin', 5]);
+      const [, alertParams] = calls.find(([query]) => query.includes('INSERT INTO watchlist_alerts'));
+      assert.strictEqual(alertParams[1], 'high');
+      assert.strictEqual(alertParams[3], '"Cloud Migration Support Services" was awarded to Acme Federal LLC for $1,250,000.');
+      const [, scoreParams] = calls.find(([query]) => query.includes('UPDATE gov_opportunity_scores'));
+      assert.deepStrictEqual(scoreParams, [OPPORTUNITY, 'lifecycle:awarded']);
+    });
+  });
+
+  describe('sweep()', () => {
+    it('should apply every due step per opportunity and keep going after a failure', async () => {
+      const rows = {
+        a: opportunity({ id: 'a', due_date: new Date(Date.now() - 200 * DAY_MS) }),
+        b: opportunity({ id: 'b', source_status: 'cancelled', due_date: new Date(Date.now() + 30 * DAY_MS) })
+      };
+      mock.method(logger, 'error', () => {});
+      service.db = {
+        query: mock.fn(async (query) => {
+          if (query.includes('UPDATE gov_opportunities o')) return { rowCount: 2, rows: [] };
+          return { rows: [{ id: 'a' }, { id: 'broken' }, { id: 'b' }] };
+        }),
+        transaction: async (callback) => {
+          let locked;
+          return callback({
+            query: async (query, params) => {
+              if (query.includes('FOR UPDATE')) {
+                if (params[0] === 'broken') throw new Error('deadlock detected');
+                locked = rows[params[0]];
+                return { rows: [locked] };
+              }
+              if (query.includes('INSERT INTO opportunity_lifecycle_events')) {
+                return { rows: [{ id: `${locked.id}:${params[2]}`, opportunity_id: locked.id, from_status: params[1], to_status: params[2], reason: params[3], triggered_by: params[5] }] };
+              }
+              return { rows: [] };
+            }
+          });
+        }
+      };
+      const emitted = [];
+      service.events.on('transition', event => emitted.push(event.id));
+
+      const summary = await service.sweep({ triggeredBy: 'ingestion' });
+
+      assert.deepStrictEqual(summary, {
+        checked: 3,
+        transitioned: 2,
+        awardsCopied: 2,
+        transitions: { closed: 1, archived: 1, cancelled: 1 }
+      });
+      assert.deepStrictEqual(emitted, ['a:closed', 'a:archived', 'b:cancelled']);
+    });
+  });
+});
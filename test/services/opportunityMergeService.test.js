@@ -0,0 +1,231 @@
+/**
+ * Opportunity Merge Service Tests
+ * Folding duplicates into a survivor, the recorded audit action, undo, and dedup run persistence
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const OpportunityMergeService = require('../../src/services/opportunityMergeService');
+const OpportunityDeduplicationService = require('../../src/services/opportunityDeduplicationService');
+const { logger } = require('../../src/utils/logger');
+
+const SURVIVOR = '00000000-0000-4000-8000-000000000001';
+const LOSER = '00000000-0000-4000-8000-000000000002';
+
+function createClient(handler) {
+  return {
+    query: mock.fn(async (query, params) => handler(query, params) || { rows: [], rowCount: 0 })
+  };
+}
+
+describe('Opportunity Merge Service', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    service = new OpportunityMergeService();
+    service.db = { transaction: async (callback) => callback(client) };
+    mock.method(logger, 'info', () => {});
+    mock.method(logger, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('mergeGroup()', () => {
+    it('should fold source IDs, attachments and contacts into the survivor and record the action', async () => {
+      client = createClient((query) => {
+        if (query.includes('FROM gov_opportunities')) {
+          return {
+            rows: [
+              {
+                id: SURVIVOR,
+                source_ids: { sam_gov: 'N1' },
+                attachments: [{ url: 'https://sam.gov/a.pdf' }],
+                contacts: [{ email: 'co@agency.gov' }],
+                processing_status: 'active',
+                merged_into: null
+              },
+              {
+                id: LOSER,
+                source_ids: { sam_gov: 'N2', grants_gov: 'G9' },
+                attachments: [{ url: 'https://sam.gov/a.pdf' }, { url: 'https://sam.gov/b.pdf' }],
+                contacts: [{ email: 'CO@agency.gov' }, { name: 'Specialist' }],
+                processing_status: 'active',
+                merged_into: null
+              }
+            ]
+          };
+        }
+        if (query.includes('UPDATE watchlist_items')) return { rows: [{ id: 'w1' }] };
+        if (query.includes('UPDATE gov_opportunity_scores')) return { rows: [{ id: 's1' }, { id: 's2' }] };
+        if (query.includes('INSERT INTO dedup_actions')) return { rows: [{ id: 'action-1' }] };
+        return null;
+      });
+
+      const result = await service.mergeGroup({ runId: 'run-1', survivorId: SURVIVOR, loserIds: [LOSER], similarity: 0.93 });
+
+      assert.deepStrictEqual(result, { actionId: 'action-1', survivorId: SURVIVOR, mergedIds: [LOSER] });
+
+      const calls = client.query.mock.calls.map(call => call.arguments);
+      const [, survivorParams] = calls.find(([query, params]) => query.includes('SET source_ids = $2, attachments') && params[0] === SURVIVOR);
+      assert.deepStrictEqual(JSON.parse(survivorParams[1]), { sam_gov: 'N1', grants_gov: 'G9' });
+      assert.deepStrictEqual(JSON.parse(survivorParams[2]).map(item => item.url), ['https://sam.gov/a.pdf', 'https://sam.gov/b.pdf']);
+      assert.deepStrictEqual(JSON.parse(survivorParams[3]), [{ email: 'co@agency.gov' }, { name: 'Specialist' }]);
+
+      // The conflicting sam_gov ID stays on the loser, which is marked merged
+      const [loserQuery, loserParams] = calls.find(([query]) => query.includes("processing_status = 'merged'"));
+      assert.ok(loserQuery.includes('merged_into = $3'));
+      assert.deepStrictEqual(JSON.parse(loserParams[1]), { sam_gov: 'N2' });
+
+      // Unique-constrained tables only move rows that do not collide with the survivor's
+      const [scoresQuery] = calls.find(([query]) => query.includes('UPDATE gov_opportunity_scores'));
+      assert.ok(scoresQuery.includes('s.company_id IS NOT DISTINCT FROM t.company_id'));
+      assert.ok(scoresQuery.includes('s.scoring_version IS NOT DISTINCT FROM t.scoring_version'));
+      const [feedbackQuery] = calls.find(([query]) => query.includes('UPDATE gov_opportunity_feedback'));
+      assert.ok(!feedbackQuery.includes('NOT EXISTS'));
+
+      const [, actionParams] = calls.find(([query]) => query.includes('INSERT INTO dedup_actions'));
+      assert.deepStrictEqual(JSON.parse(actionParams[4]), {
+        addedAttachments: [{ url: 'https://sam.gov/b.pdf' }],
+        addedContacts: [{ name: 'Specialist' }],
+        losers: [{
+          id: LOSER,
+          previousStatus: 'active',
+          movedSourceIds: { grants_gov: 'G9' },
+          repointed: { gov_opportunity_scores: ['s1', 's2'], watchlist_items: ['w1'] }
+        }]
+      });
+    });
+
+    it('should skip groups whose survivor was already merged', async () => {
+      client = createClient((query) => (query.includes('FROM gov_opportunities')
+        ? { rows: [{ id: SURVIVOR, source_ids: {}, merged_into: LOSER }, { id: LOSER, source_ids: {}, merged_into: null }] }
+        : null));
+
+      assert.strictEqual(await service.mergeGroup({ runId: 'run-1', survivorId: SURVIVOR, loserIds: [LOSER] }), null);
+      assert.ok(!client.query.mock.calls.some(call => call.arguments[0].includes('INSERT INTO dedup_actions')));
+    });
+  });
+
+  describe('undoMerge()', () => {
+    const details = {
+      addedAttachments: [{ url: 'https://sam.gov/b.pdf' }],
+      addedContacts: [{ name: 'Specialist' }],
+      losers: [{
+        id: LOSER,
+        previousStatus: 'active',
+        movedSourceIds: { grants_gov: 'G9' },
+        repointed: { gov_opportunity_scores: ['s1'], not_a_table: ['x'] }
+      }]
+    };
+
+    it('should strip what the merge added from the survivor and restore the losers', async () => {
+      client = createClient((query) => {
+        if (query.includes('FROM dedup_actions')) {
+          return { rows: [{ id: 'action-1', status: 'applied', survivor_id: SURVIVOR, merged_ids: [LOSER], details }] };
+        }
+        if (query.includes('FROM gov_opportunities')) {
+          return {
+            rows: [{
+              id: SURVIVOR,
+              source_ids: { sam_gov: 'N1', grants_gov: 'G9' },
+              attachments: [{ url: 'https://sam.gov/a.pdf' }, { url: 'https://sam.gov/b.pdf' }],
+              contacts: [{ email: 'co@agency.gov' }, { name: 'Specialist' }],
+              merged_into: null
+            }]
+          };
+        }
+        if (query.includes("SET status = 'undone'")) return { rows: [{ id: 'action-1', status: 'undone' }] };
+        return null;
+      });
+
+      const result = await service.undoMerge('action-1', 7);
+
+      assert.deepStrictEqual(result, { status: 'undone', action: { id: 'action-1', status: 'undone' } });
+
+      const calls = client.query.mock.calls.map(call => call.arguments);
+      const survivorIndex = calls.findIndex(([query]) => query.includes('SET source_ids = $2, attachments'));
+      const loserIndex = calls.findIndex(([query]) => query.includes('merged_into = NULL'));
+      assert.ok(survivorIndex < loserIndex, 'survivor gives up source IDs before losers take them back');
+
+      const survivorParams = calls[survivorIndex][1];
+      assert.deepStrictEqual(JSON.parse(survivorParams[1]), { sam_gov: 'N1' });
+      assert.deepStrictEqual(JSON.parse(survivorParams[2]), [{ url: 'https://sam.gov/a.pdf' }]);
+      assert.deepStrictEqual(JSON.parse(survivorParams[3]), [{ email: 'co@agency.gov' }]);
+      assert.deepStrictEqual(calls[loserIndex][1], [LOSER, '{"grants_gov":"G9"}', 'active', SURVIVOR]);
+
+      const repointed = calls.filter(([query]) => query.includes('SET opportunity_id = $1 WHERE id = ANY'));
+      assert.strictEqual(repointed.length, 1);
+      assert.ok(repointed[0][0].startsWith('UPDATE gov_opportunity_scores'));
+      assert.deepStrictEqual(repointed[0][1], [LOSER, ['s1'], SURVIVOR]);
+    });
+
+    it('should report missing, already undone and blocked merges', async () => {
+      client = createClient(() => ({ rows: [] }));
+      assert.deepStrictEqual(await service.undoMerge('missing', 7), { status: 'not_found' });
+
+      client = createClient(() => ({ rows: [{ id: 'action-1', status: 'undone', survivor_id: SURVIVOR, details }] }));
+      assert.strictEqual((await service.undoMerge('action-1', 7)).status, 'not_applied');
+
+      client = createClient((query) => (query.includes('FROM dedup_actions')
+        ? { rows: [{ id: 'action-1', status: 'applied', survivor_id: SURVIVOR, details }] }
+        : { rows: [{ id: SURVIVOR, merged_into: 'other' }] }));
+      const blocked = await service.undoMerge('action-1', 7);
+      assert.strictEqual(blocked.status, 'blocked');
+      assert.ok(!client.query.mock.calls.some(call => /^\s*UPDATE/.test(call.arguments[0])));
+    });
+  });
+
+  describe('OpportunityDeduplicationService runs', () => {
+    let dedupService;
+    let mockDb;
+
+    beforeEach(() => {
+      dedupService = new OpportunityDeduplicationService();
+      mockDb = {
+        query: mock.fn(async (query) => (query.includes('INSERT INTO dedup_runs') ? { rows: [{ id: 'run-1' }] } : { rows: [] }))
+      };
+      dedupService.db = mockDb;
+      dedupService.reviewService.db = mockDb;
+      mock.method(dedupService, 'getOpportunitiesForDeduplication', async () => [{ id: SURVIVOR }, { id: LOSER }]);
+      mock.method(dedupService, 'findDuplicateGroups', async () => [{
+        groupId: 'group_1',
+        similarity: 0.91,
+        opportunities: [{ id: SURVIVOR }, { id: LOSER }],
+        recommendation: { keepOpportunity: SURVIVOR, removeOpportunities: [LOSER] }
+      }]);
+    });
+
+    it('should record proposed merges on dry runs without merging', async () => {
+      const mergeGroup = mock.method(dedupService.mergeService, 'mergeGroup', async () => null);
+
+      const results = await dedupService.deduplicateExistingOpportunities({ dryRun: true, triggeredBy: 7 });
+
+      assert.strictEqual(results.runId, 'run-1');
+      assert.strictEqual(mergeGroup.mock.callCount(), 0);
+      const [, actionParams] = mockDb.query.mock.calls.find(call => call.arguments[0].includes('INSERT INTO dedup_actions')).arguments;
+      assert.deepStrictEqual(actionParams, ['run-1', 'proposed', SURVIVOR, [LOSER], 0.91, null]);
+      const [, runParams] = mockDb.query.mock.calls.find(call => call.arguments[0].includes("SET status = 'completed'")).arguments;
+      assert.deepStrictEqual(runParams.slice(0, 4), ['run-1', 2, 1, 0]);
+    });
+
+    it('should merge groups on real runs and fail the run on errors', async () => {
+      mock.method(dedupService.mergeService, 'mergeGroup', async () => ({ actionId: 'action-1', survivorId: SURVIVOR, mergedIds: [LOSER] }));
+
+      const results = await dedupService.deduplicateExistingOpportunities({ dryRun: false, runId: 'run-2' });
+
+      assert.strictEqual(results.duplicatesMerged, 1);
+      assert.ok(!mockDb.query.mock.calls.some(call => call.arguments[0].includes('INSERT INTO dedup_runs')));
+
+      mock.method(logger, 'error', () => {});
+      dedupService.getOpportunitiesForDeduplication.mock.mockImplementation(async () => {
+        throw new Error('connection lost');
+      });
+      await assert.rejects(dedupService.deduplicateExistingOpportunities({ dryRun: false }), /connection lost/);
+      const [, failParams] = mockDb.query.mock.calls.find(call => call.arguments[0].includes("SET status = 'failed'")).arguments;
+      assert.deepStrictEqual(failParams, ['run-1', 'connection lost']);
+    });
+  });
+});
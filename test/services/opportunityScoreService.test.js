@@ -0,0 +1,352 @@
+/**
+ * Opportunity Score Service Tests
+ * Finding outdated scores, persisting Panel of Judges results with factor rows and score history,
+ * and reading persisted scores back in the scoring API shape
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const OpportunityScoreService = require('../../src/services/opportunityScoreService');
+const { ScoringVersions } = require('../../src/utils/scoringVersions');
+const { Judge, JudgeRegistry } = require('../../src/services/judges');
+
+const OPPORTUNITY = '00000000-0000-4000-8000-000000000001';
+const COMPANY = '00000000-0000-4000-8000-0000000000c1';
+
+function evaluation(score, confidence = 0.8) {
+  return {
+    score,
+    verdict: score >= 70 ? 'O' : 'X',
+    confidence,
+    reasoning: `Scored ${score}`,
+    evidence: [`Evidence for ${score}`],
+    recommendations: []
+  };
+}
+
+function scoring(overrides = {}) {
+  return {
+    overallScore: 72,
+    verdict: 'RECOMMENDED',
+    constraintCheck: { passed: true, failures: [] },
+    judgeScores: {
+      technical: evaluation(80, 0.9),
+      domain: evaluation(70),
+      value: evaluation(65.456),
+      innovation: evaluation(60, 0.7),
+      relationship: evaluation(90, 0.8)
+    },
+    explanation: 'Good potential fit.',
+    recommendations: ['Document past performance'],
+    nextSteps: ['⚠️ Address weaknesses before submitting'],
+    strengths: [{ area: 'Technical', score: 80 }],
+    weaknesses: [],
+    ...overrides
+  };
+}
+
+function transactionClient(previous) {
+  return {
+    query: mock.fn(async (query, params) => {
+      if (query.includes('FOR UPDATE')) return { rows: previous ? [previous] : [] };
+      if (query.includes('INSERT INTO gov_opportunity_scores')) {
+        return {
+          rows: [{
+            score_id: 'score-1',
+            overall_score: String(params[3]),
+            technical_judge_score: params[5],
+            domain_judge_score: params[6],
+            value_judge_score: params[7],
+            innovation_judge_score: params[8],
+            relationship_judge_score: params[9]
+          }]
+        };
+      }
+      return { rows: [] };
+    })
+  };
+}
+
+describe('Opportunity Score Service', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new OpportunityScoreService();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('findOutdated()', () => {
+    it('should select active opportunities whose score is missing, stale or older than a change', async () => {
+      const updatedAt = new Date('2026-06-01T12:00:00Z');
+      service.db = {
+        query: mock.fn(async () => ({
+          rows: [{ id: OPPORTUNITY, rescore_reason: 'profile_updated', outdated_count: '240' }]
+        }))
+      };
+
+      const result = await service.findOutdated({ id: COMPANY, updated_at: updatedAt }, { limit: 50, excludeIds: [OPPORTUNITY] });
+
+      assert.strictEqual(result.total, 240);
+      assert.strictEqual(result.opportunities[0].rescore_reason, 'profile_updated');
+
+      const [query, params] = service.db.query.mock.calls[0].arguments;
+      assert.deepStrictEqual(params, [COMPANY, '1.0', updatedAt, 50, [OPPORTUNITY]]);
+      assert.match(query, /processing_status = 'active'/);
+      assert.match(query, /merged_into IS NULL/);
+      assert.match(query, /s\.stale_at IS NOT NULL/);
+      assert.match(query, /s\.scored_at < o\.updated_at/);
+      assert.match(query, /s\.scored_at < \$3::timestamp/);
+      assert.match(query, /NOT \(o\.id = ANY\(\$5::uuid\[\]\)\)/);
+    });
+  });
+
+  describe('saveScore()', () => {
+    it('should upsert the score with fit category, recommendation and one factor row per judge', async () => {
+      const client = transactionClient(null);
+      service.db = { transaction: async (callback) => callback(client) };
+
+      const saved = await service.saveScore(COMPANY, { id: OPPORTUNITY, data_quality_score: '0.85' }, scoring());
+      assert.strictEqual(saved.score_id, 'score-1');
+
+      const upsert = client.query.mock.calls.find(call => call.arguments[0].includes('INSERT INTO gov_opportunity_scores'));
+      const params = upsert.arguments[1];
+      assert.match(upsert.arguments[0], /ON CONFLICT \(opportunity_id, company_id, scoring_version\) DO UPDATE/);
+      assert.match(upsert.arguments[0], /stale_at = NULL/);
+      assert.strictEqual(params[3], 72);
+      assert.strictEqual(params[4], 'good');
+      assert.deepStrictEqual(params.slice(5, 10), [80, 70, 65.46, 60, 90]);
+      assert.strictEqual(params[14], 'pursue_with_caution');
+      assert.strictEqual(params[16], 0.8); // Mean judge confidence
+      assert.strictEqual(params[17], '0.85');
+      assert.strictEqual(JSON.parse(params[10]).judges.technical.score, 80);
+      assert.strictEqual(params[18], null); // Scored now
+      assert.strictEqual(params[19], 'panel_of_judges');
+
+      const calls = client.query.mock.calls.map(call => call.arguments[0]);
+      assert.ok(calls.some(query => query.includes('DELETE FROM gov_opportunity_scoring_factors')));
+      const factorInsert = client.query.mock.calls.find(call => call.arguments[0].includes('INSERT INTO gov_opportunity_scoring_factors'));
+      const factors = JSON.parse(factorInsert.arguments[1][1]);
+      assert.strictEqual(factors.length, 5);
+      assert.deepStrictEqual(factors.map(factor => factor.judge), [
+        'technical_judge', 'domain_judge', 'value_judge', 'innovation_judge', 'relationship_judge'
+      ]);
+      assert.strictEqual(factors.find(factor => factor.judge === 'value_judge').category, 'financial');
+      assert.ok(Math.abs(factors.reduce((sum, factor) => sum + factor.weight, 0) - 1) < 0.001);
+
+      // First score for the pair: nothing to compare against
+      assert.ok(!calls.some(query => query.includes('gov_opportunity_scoring_history')));
+    });
+
+    it('should record score history with the changed judges when a re-score moves the score', async () => {
+      const client = transactionClient({
+        id: 'score-1',
+        overall_score: '64.00',
+        technical_judge_score: '70.00',
+        domain_judge_score: '70.00',
+        value_judge_score: '65.46',
+        innovation_judge_score: '60.00',
+        relationship_judge_score: '60.00'
+      });
+      service.db = { transaction: async (callback) => callback(client) };
+
+      await service.saveScore(COMPANY, { id: OPPORTUNITY }, scoring(), 'opportunity_updated');
+
+      const history = client.query.mock.calls.find(call => call.arguments[0].includes('INSERT INTO gov_opportunity_scoring_history'));
+      assert.ok(history, 'history row written');
+      const [, , previous, next, reason, changed] = history.arguments[1];
+      assert.strictEqual(previous, '64.00');
+      assert.strictEqual(next, '72');
+      assert.strictEqual(reason, 'opportunity_updated');
+      assert.deepStrictEqual(JSON.parse(changed), [
+        { judge: 'technical', previous: 70, score: 80 },
+        { judge: 'relationship', previous: 60, score: 90 }
+      ]);
+    });
+
+    it('should save replayed scores for the given version with their inputs and original time, without history', async () => {
+      const client = transactionClient({ id: 'score-1', overall_score: '50.00' });
+      service.db = { transaction: async (callback) => callback(client) };
+      const versions = new ScoringVersions();
+      versions.setVersions([
+        { version: '1.0', status: 'active' },
+        { version: '2.0', status: 'shadow', weights: { technical: 3, domain: 1 } }
+      ]);
+      const scoredAt = new Date('2026-05-01T08:00:00Z');
+      const inputs = { profile: { id: COMPANY }, opportunity: { id: OPPORTUNITY }, lookups: { semanticSimilarity: 0.42 } };
+
+      const judgeScores = { technical: evaluation(80, 0.9), domain: evaluation(70) };
+      await service.saveScore(COMPANY, { id: OPPORTUNITY }, scoring({ judgeScores }), 'replay', {
+        version: versions.get('2.0'), inputs, scoredAt, recordHistory: false
+      });
+
+      const params = client.query.mock.calls.find(call => call.arguments[0].includes('INSERT INTO gov_opportunity_scores')).arguments[1];
+      assert.strictEqual(params[2], '2.0');
+      assert.strictEqual(params[18], scoredAt);
+      assert.deepStrictEqual(JSON.parse(params[20]), inputs);
+      // Factor rows carry the version's weights
+      const factorInsert = client.query.mock.calls.find(call => call.arguments[0].includes('INSERT INTO gov_opportunity_scoring_factors'));
+      assert.deepStrictEqual(JSON.parse(factorInsert.arguments[1][1]).map(factor => factor.weight), [0.75, 0.25]);
+      assert.ok(!client.query.mock.calls.some(call => call.arguments[0].includes('gov_opportunity_scoring_history')));
+    });
+
+    it('should record the profile\'s judge weights with the score and weight factor rows by them', async () => {
+      const client = transactionClient(null);
+      service.db = { transaction: async (callback) => callback(client) };
+      const weights = { technical: 0.4688, domain: 0.2344, value: 0.0625, innovation: 0.1406, relationship: 0.0938 };
+      const weighting = { defaultScore: 68, scoreChange: 4, summary: 'Your priority weights raised the score from 68 to 72.' };
+
+      await service.saveScore(COMPANY, { id: OPPORTUNITY }, scoring({ weights, weighting }));
+
+      const params = client.query.mock.calls.find(call => call.arguments[0].includes('INSERT INTO gov_opportunity_scores')).arguments[1];
+      assert.deepStrictEqual(JSON.parse(params[21]), weights);
+      assert.deepStrictEqual(JSON.parse(params[10]).weighting, weighting);
+      const factorInsert = client.query.mock.calls.find(call => call.arguments[0].includes('INSERT INTO gov_opportunity_scoring_factors'));
+      assert.deepStrictEqual(JSON.parse(factorInsert.arguments[1][1]).map(factor => factor.weight), [0.47, 0.23, 0.06, 0.14, 0.09]);
+    });
+
+    it('should skip opportunities that fail hard constraints without writing factors', async () => {
+      const client = transactionClient(null);
+      service.db = { transaction: async (callback) => callback(client) };
+
+      await service.saveScore(COMPANY, { id: OPPORTUNITY }, {
+        overallScore: 0,
+        verdict: 'REJECTED',
+        constraintFailures: [{ type: 'certification', message: 'Missing required certifications: ISO 27001' }],
+        judgeScores: {},
+        explanation: 'Hard constraints not met.',
+        recommendations: ['Address constraint failures before applying'],
+        nextSteps: []
+      });
+
+      const params = client.query.mock.calls.find(call => call.arguments[0].includes('INSERT INTO gov_opportunity_scores')).arguments[1];
+      assert.strictEqual(params[4], 'poor');
+      assert.strictEqual(params[14], 'skip');
+      assert.strictEqual(params[16], null);
+      assert.strictEqual(JSON.parse(params[11]).constraintFailures[0].type, 'certification');
+      assert.ok(!client.query.mock.calls.some(call => call.arguments[0].includes('INSERT INTO gov_opportunity_scoring_factors')));
+    });
+  });
+
+  describe('classify()', () => {
+    it('should map overall scores to fit categories and recommendations', () => {
+      const cases = [[95, 'excellent', 'pursue_actively'], [80, 'excellent', 'pursue_actively'], [60, 'good', 'pursue_with_caution'],
+        [45, 'fair', 'monitor'], [12, 'poor', 'skip']];
+
+      for (const [overallScore, fit, recommendation] of cases) {
+        assert.deepStrictEqual(
+          { fit: service.classify({ overallScore }).fit, recommendation: service.classify({ overallScore }).recommendation },
+          { fit, recommendation },
+          String(overallScore)
+        );
+      }
+    });
+
+    it('should use the fit category thresholds of the given version', () => {
+      const versions = new ScoringVersions();
+      versions.setVersions([
+        { version: '1.0', status: 'active' },
+        { version: 'strict', status: 'candidate', weights: { technical: 1 }, thresholds: { fitCategories: { excellent: 90, good: 75 } } }
+      ]);
+
+      assert.strictEqual(service.classify({ overallScore: 85 }, versions.get('strict')).fit, 'good');
+      assert.strictEqual(service.classify({ overallScore: 70 }, versions.get('strict')).fit, 'fair');
+      assert.strictEqual(service.classify({ overallScore: 85 }).fit, 'excellent');
+    });
+  });
+
+  describe('scoringInput() and formatScore()', () => {
+    const row = {
+      id: OPPORTUNITY,
+      title: 'Cloud Migration Support Services',
+      description: 'Migrate legacy workloads',
+      agency: 'Department of Veterans Affairs',
+      naics_codes: ['541512', '541519'],
+      parsed_tags: ['cloud_migration', 'cloud'],
+      place_of_performance: JSON.stringify({ city: 'Dayton', state: 'OH', cbsa: '19430' }),
+      evaluation_criteria: [],
+      due_date: new Date('2026-07-01T17:00:00Z'),
+      value_estimated: '1500000.00',
+      processing_status: 'active',
+      score_id: 'score-1',
+      scoring_version: '1.0',
+      scored_at: new Date('2026-06-01T12:00:00Z'),
+      overall_score: '72.00',
+      fit_category: 'good',
+      recommendation: 'pursue_with_caution',
+      scoring_explanation: {
+        summary: 'Good potential fit.',
+        verdict: 'RECOMMENDED',
+        nextSteps: ['Team up'],
+        judges: { technical: evaluation(80) },
+        weighting: { defaultScore: 70, scoreChange: 2 }
+      },
+      judge_weights: JSON.stringify({ technical: 0.5, domain: 0.5 }),
+      evidence_summary: { constraintFailures: [] },
+      opportunity_factors: [{ area: 'Technical', score: 80 }],
+      risk_factors: [],
+      suggested_actions: ['Document past performance'],
+      confidence_score: '0.80'
+    };
+
+    it('should give the judges government opportunity fields in the shape they read', () => {
+      const input = service.scoringInput(row);
+
+      assert.strictEqual(input.naics_code, '541512');
+      assert.strictEqual(input.buyer_organization, 'Department of Veterans Affairs');
+      assert.strictEqual(input.buyer_type, 'government');
+      assert.strictEqual(input.location, 'Dayton, OH');
+      assert.strictEqual(input.place_of_performance.cbsa, '19430');
+      assert.strictEqual(input.estimated_value, 1500000);
+      assert.deepStrictEqual(input.required_capabilities, []);
+      assert.strictEqual(input.industry, 'Cloud Migration');
+    });
+
+    it('should read a persisted score back in the scoring API shape', () => {
+      const formatted = service.formatScore(row);
+
+      assert.strictEqual(formatted.opportunityId, OPPORTUNITY);
+      assert.strictEqual(formatted.overallScore, 72);
+      assert.strictEqual(formatted.verdict, 'RECOMMENDED');
+      assert.strictEqual(formatted.fitCategory, 'good');
+      assert.strictEqual(formatted.recommendation, 'pursue_with_caution');
+      assert.strictEqual(formatted.judgeScores.technical.score, 80);
+      assert.deepStrictEqual(formatted.recommendations, ['Document past performance']);
+      assert.deepStrictEqual(formatted.nextSteps, ['Team up']);
+      assert.strictEqual(formatted.confidence, 0.8);
+      assert.strictEqual(formatted.constraintFailures, undefined);
+      assert.deepStrictEqual(formatted.weights, { technical: 0.5, domain: 0.5 });
+      assert.deepStrictEqual(formatted.weighting, { defaultScore: 70, scoreChange: 2 });
+    });
+  });
+
+  describe('judge plugins', () => {
+    class CapacityJudge extends Judge {
+      constructor() {
+        super({ name: 'capacity', factor: { category: 'capacity', name: 'Delivery capacity' }, inputs: { subject: ['bonding_capacity'] } });
+      }
+    }
+
+    it('should record a registered judge under its factor with its breakdown', () => {
+      service.judges = new JudgeRegistry([new CapacityJudge()]);
+      const capacity = { score: 60, verdict: 'X', confidence: 0.7, reasoning: 'Thin bench', factors: [{ name: 'Staffing', score: 40 }] };
+
+      const [capacityFactor, otherFactor] = service.buildFactors({ capacity, staffing: { score: 50 } }, { capacity: 0.5, staffing: 0.5 });
+
+      assert.deepStrictEqual([capacityFactor.category, capacityFactor.name, capacityFactor.judge], ['capacity', 'Delivery capacity', 'capacity_judge']);
+      assert.deepStrictEqual(capacityFactor.evidence.factors, [{ name: 'Staffing', score: 40 }]);
+      assert.deepStrictEqual([otherFactor.category, otherFactor.name], ['other', 'Staffing']);
+    });
+
+    it('should store the fields registered judges declare with the scoring inputs', () => {
+      service.judges = new JudgeRegistry([new CapacityJudge()]);
+
+      const inputs = service.scoringInputs({ id: COMPANY, name: 'Acme', bonding_capacity: 5000000, password_hash: 'x' }, { id: OPPORTUNITY, title: 'Portal' });
+
+      assert.deepStrictEqual(inputs.profile, { id: COMPANY, name: 'Acme', bonding_capacity: 5000000 });
+      assert.deepStrictEqual(inputs.opportunity, { id: OPPORTUNITY, title: 'Portal' });
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Opportunity Version Service Tests
+ * Field-level diffs between opportunity versions, version storage and timelines
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const OpportunityVersionService = require('../../src/services/opportunityVersionService');
+const GovernmentOpportunityIngestionService = require('../../src/services/governmentOpportunityIngestionService');
+
+const OPPORTUNITY_UUID = '6f1c2f6e-1d2a-4a8e-9a59-3c0f3b1d2e4f';
+
+function createStoredRow(overrides = {}) {
+  return {
+    id: OPPORTUNITY_UUID,
+    updated_at: new Date('2030-01-01T00:00:00Z'),
+    source_ids: { sam_gov: 'abc123notice' },
+    title: 'Cloud Migration Support Services',
+    description: 'Migrate legacy workloads to FedRAMP cloud environments.',
+    due_date: new Date('2030-01-15T17:00:00Z'),
+    pop_start: null,
+    pop_end: null,
+    value_low: '250000.00',
+    value_high: '900000.00',
+    value_estimated: null,
+    set_aside: 'SDVOSB',
+    naics_codes: ['541512'],
+    psc_codes: ['D302'],
+    opportunity_type: 'Solicitation',
+    attachments: [{ filename: 'SOW.pdf', url: 'https://sam.gov/sow.pdf' }],
+    amendments: [],
+    ...overrides
+  };
+}
+
+// Incoming data as produced by normalizeOpportunityForDatabase (JSONB fields stringified)
+function createIncoming(overrides = {}) {
+  return {
+    title: 'Cloud Migration Support Services',
+    description: 'Migrate legacy workloads to FedRAMP cloud environments.',
+    due_date: '2030-01-15T17:00:00.000Z',
+    pop_start: null,
+    pop_end: null,
+    value_low: 250000,
+    value_high: 900000,
+    value_estimated: undefined,
+    set_aside: 'SDVOSB',
+    naics_codes: JSON.stringify(['541512']),
+    psc_codes: JSON.stringify(['D302']),
+    opportunity_type: 'Solicitation',
+    attachments: JSON.stringify([{ filename: 'SOW.pdf', url: 'https://sam.gov/sow.pdf' }]),
+    amendments: JSON.stringify([]),
+    last_updated_source: '2030-01-05T12:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('Opportunity Version Service', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new OpportunityVersionService();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('diffOpportunity()', () => {
+    it('should report no changes when nothing tracked changed', () => {
+      const changes = service.diffOpportunity(createStoredRow(), createIncoming());
+
+      assert.deepStrictEqual(changes, []);
+    });
+
+    it('should classify deadline extensions with the number of days moved', () => {
+      const changes = service.diffOpportunity(
+        createStoredRow(),
+        createIncoming({ due_date: '2030-01-29T17:00:00.000Z' })
+      );
+
+      assert.deepStrictEqual(changes, [{
+        field: 'due_date',
+        changeType: 'deadline_extended',
+        previous: '2030-01-15T17:00:00.000Z',
+        current: '2030-01-29T17:00:00.000Z',
+        deltaDays: 14
+      }]);
+    });
+
+    it('should classify shortened deadlines', () => {
+      const [change] = service.diffOpportunity(
+        createStoredRow(),
+        createIncoming({ due_date: '2030-01-10T17:00:00.000Z' })
+      );
+
+      assert.strictEqual(change.changeType, 'deadline_shortened');
+      assert.strictEqual(change.deltaDays, -5);
+    });
+
+    it('should detect value and set-aside changes', () => {
+      const changes = service.diffOpportunity(
+        createStoredRow(),
+        createIncoming({ value_high: 1200000, set_aside: 'Total_Small_Business' })
+      );
+
+      assert.deepStrictEqual(changes.map(change => change.changeType), ['value_changed', 'set_aside_changed']);
+      assert.strictEqual(changes[0].field, 'value_high');
+      assert.strictEqual(changes[0].delta, 300000);
+      assert.strictEqual(changes[1].previous, 'SDVOSB');
+      assert.strictEqual(changes[1].current, 'Total_Small_Business');
+    });
+
+    it('should list only newly added attachments and amendments', () => {
+      const changes = service.diffOpportunity(
+        createStoredRow(),
+        createIncoming({
+          attachments: JSON.stringify([
+            { filename: 'SOW.pdf', url: 'https://sam.gov/sow.pdf' },
+            { filename: 'QA_Responses.pdf', url: 'https://sam.gov/qa.pdf' }
+          ]),
+          amendments: JSON.stringify([{ amendmentNumber: '0001', description: 'Q&A posted' }])
+        })
+      );
+
+      assert.deepStrictEqual(changes.map(change => change.changeType), ['attachments_added', 'amendments_added']);
+      assert.deepStrictEqual(changes[0].current, [{ filename: 'QA_Responses.pdf', url: 'https://sam.gov/qa.pdf' }]);
+      assert.strictEqual(changes[1].current[0].amendmentNumber, '0001');
+    });
+
+    it('should flag description edits as scope changes with excerpts', () => {
+      const description = 'Revised scope: '.padEnd(800, 'x');
+      const [change] = service.diffOpportunity(createStoredRow(), createIncoming({ description }));
+
+      assert.strictEqual(change.changeType, 'scope_changed');
+      assert.strictEqual(change.current.length, 500);
+      assert.strictEqual(change.currentLength, 800);
+    });
+
+    it('should ignore classification order', () => {
+      const changes = service.diffOpportunity(
+        createStoredRow({ naics_codes: ['541512', '541519'] }),
+        createIncoming({ naics_codes: JSON.stringify(['541519', '541512']) })
+      );
+
+      assert.deepStrictEqual(changes, []);
+    });
+  });
+
+  describe('recordVersion()', () => {
+    it('should insert the next version number with distinct change types', async () => {
+      const client = { query: mock.fn(async () => ({ rows: [{ id: 'v-1', version_number: 2 }] })) };
+      const changes = [
+        { field: 'value_low', changeType: 'value_changed' },
+        { field: 'value_high', changeType: 'value_changed' }
+      ];
+
+      const version = await service.recordVersion(client, OPPORTUNITY_UUID, changes, {
+        sourceUpdatedAt: '2030-01-05T12:00:00.000Z'
+      });
+
+      assert.strictEqual(version.version_number, 2);
+      const [query, params] = client.query.mock.calls[0].arguments;
+      assert.ok(query.includes('COALESCE(MAX(version_number), 1) + 1'));
+      assert.deepStrictEqual(params, [
+        OPPORTUNITY_UUID,
+        JSON.stringify(changes),
+        JSON.stringify(['value_changed']),
+        '2030-01-05T12:00:00.000Z'
+      ]);
+    });
+
+    it('should not insert anything without changes', async () => {
+      const client = { query: mock.fn() };
+
+      const version = await service.recordVersion(client, OPPORTUNITY_UUID, []);
+
+      assert.strictEqual(version, null);
+      assert.strictEqual(client.query.mock.callCount(), 0);
+    });
+  });
+
+  describe('getTimeline()', () => {
+    it('should start with the created event and count change types', async () => {
+      service.db = {
+        query: mock.fn(async () => ({
+          rows: [
+            { version_number: 2, changes: [{ field: 'due_date' }], change_types: ['deadline_extended'] },
+            { version_number: 3, changes: [], change_types: ['deadline_extended', 'attachments_added'] }
+          ]
+        }))
+      };
+
+      const timeline = await service.getTimeline(createStoredRow({ created_at: new Date('2029-12-01T00:00:00Z') }));
+
+      assert.strictEqual(timeline.currentVersion, 3);
+      assert.deepStrictEqual(timeline.changeCounts, { deadline_extended: 2, attachments_added: 1 });
+      assert.deepStrictEqual(timeline.events.map(event => event.type), ['created', 'updated', 'updated']);
+      assert.strictEqual(timeline.events[0].version, 1);
+    });
+  });
+
+  describe('ingestion integration', () => {
+    it('should record a version when an existing opportunity is updated', async () => {
+      const ingestionService = new GovernmentOpportunityIngestionService();
+      const client = {
+        query: mock.fn(async (query) => {
+          if (query.includes('FROM gov_opportunities')) {
+            return { rows: [createStoredRow()] };
+          }
+          return { rows: [{ id: 'v-1', version_number: 2 }] };
+        })
+      };
+
+      const result = await ingestionService.storeOpportunity(client, {
+        noticeId: 'abc123notice',
+        title: 'Cloud Migration Support Services',
+        description: 'Migrate legacy workloads to FedRAMP cloud environments.',
+        type: 'Solicitation',
+        lastModified: '2030-01-05T12:00:00Z',
+        _parsed: {
+          dates: { due: '2030-01-29T17:00:00Z' },
+          financial: { minimumValue: 250000, maximumValue: 900000 },
+          setAside: 'SDVOSB',
+          naicsCodes: ['541512'],
+          pscCodes: ['D302'],
+          attachments: [{ filename: 'SOW.pdf', url: 'https://sam.gov/sow.pdf' }]
+        }
+      });
+
+      assert.strictEqual(result.action, 'updated');
+      assert.deepStrictEqual(result.changes.map(change => change.changeType), ['deadline_extended']);
+
+      const queries = client.query.mock.calls.map(call => call.arguments[0]);
+      assert.ok(queries[0].includes('due_date'));
+      assert.ok(queries.some(query => query.includes('UPDATE gov_opportunities')));
+      assert.ok(queries.some(query => query.includes('INSERT INTO gov_opportunity_versions')));
+    });
+
+    it('should not record a version when the update is skipped', async () => {
+      const ingestionService = new GovernmentOpportunityIngestionService();
+      const client = {
+        query: mock.fn(async () => ({ rows: [createStoredRow({ updated_at: new Date('2030-02-01T00:00:00Z') })] }))
+      };
+
+      const result = await ingestionService.storeOpportunity(client, {
+        noticeId: 'abc123notice',
+        lastModified: '2030-01-05T12:00:00Z',
+        _parsed: { dates: { due: '2030-01-29T17:00:00Z' } }
+      });
+
+      assert.strictEqual(result.action, 'skipped');
+      assert.strictEqual(client.query.mock.callCount(), 1);
+    });
+  });
+});
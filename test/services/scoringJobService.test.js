@@ -0,0 +1,166 @@
+/**
+ * Scoring Job Service Tests
+ * Queueing and merging scoring jobs, claiming them with SKIP LOCKED and leases, recording batch
+ * progress, retry backoff, and the job API shape
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const ScoringJobService = require('../../src/services/scoringJobService');
+
+const JOB = '00000000-0000-4000-8000-0000000000a1';
+const COMPANY = '00000000-0000-4000-8000-0000000000c1';
+
+describe('Scoring Job Service', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ScoringJobService();
+    service.db = { query: mock.fn(async () => ({ rows: [{ id: JOB, status: 'queued' }], rowCount: 1 })) };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('enqueue()', () => {
+    it('should merge into the profile\'s active job, keeping the higher priority', async () => {
+      await service.enqueue(COMPANY, { reason: 'profile_updated' });
+
+      const [query, params] = service.db.query.mock.calls[0].arguments;
+      assert.deepStrictEqual(params, [COMPANY, 'profile_updated', ScoringJobService.PRIORITIES.profile_updated, null, ScoringJobService.MAX_ATTEMPTS]);
+      assert.match(query, /ON CONFLICT \(company_id\) WHERE status IN \('queued', 'running'\) DO UPDATE/);
+      assert.match(query, /GREATEST\(scoring_jobs\.priority, EXCLUDED\.priority\)/);
+      // A running job takes one more pass so changes made during it are not lost
+      assert.match(query, /rerun = scoring_jobs\.rerun OR scoring_jobs\.status = 'running'/);
+    });
+
+    it('should rank ingestion below interactive work unless a priority is given', async () => {
+      await service.enqueueAllProfiles({ reason: 'ingestion' });
+      await service.enqueue(COMPANY, { reason: 'admin', priority: 50, enqueuedBy: 7 });
+
+      assert.strictEqual(service.db.query.mock.calls[0].arguments[1][1], 0);
+      assert.match(service.db.query.mock.calls[0].arguments[0], /SELECT id, \$1, \$2, \$3, \$4 FROM company_profiles/);
+      assert.deepStrictEqual(service.db.query.mock.calls[1].arguments[1].slice(1, 4), ['admin', 50, 7]);
+    });
+  });
+
+  describe('claim()', () => {
+    it('should claim the highest-priority due job or a job whose lease expired', async () => {
+      const job = await service.claim('worker-1', 600000);
+      assert.strictEqual(job.id, JOB);
+
+      const [query, params] = service.db.query.mock.calls[0].arguments;
+      assert.deepStrictEqual(params, ['worker-1', 600000]);
+      assert.match(query, /FOR UPDATE SKIP LOCKED/);
+      assert.match(query, /ORDER BY priority DESC, run_after, created_at/);
+      assert.match(query, /status = 'queued' AND run_after <= NOW\(\)/);
+      assert.match(query, /status = 'running' AND lease_expires_at < NOW\(\) AND attempts \+ 1 < max_attempts/);
+    });
+
+    it('should fail jobs whose lease expired on the last attempt instead of reclaiming them', async () => {
+      await service.claim('worker-1', 600000);
+
+      const [query] = service.db.query.mock.calls[0].arguments;
+      const exhausted = query.match(/WITH exhausted AS \(([\s\S]+?)\n {6}\)/)[1];
+      assert.match(exhausted, /SET status = 'failed'/);
+      assert.match(exhausted, /WHERE status = 'running' AND lease_expires_at < NOW\(\) AND attempts \+ 1 >= max_attempts/);
+    });
+
+    it('should return null when no job is due', async () => {
+      service.db.query = mock.fn(async () => ({ rows: [] }));
+      assert.strictEqual(await service.claim('worker-1', 600000), null);
+    });
+  });
+
+  describe('completeBatch() and failBatch()', () => {
+    it('should requeue the job while outdated scores remain, guarded by the worker\'s lease', async () => {
+      await service.completeBatch({ id: JOB }, 'worker-1', { scored: 48, failedIds: ['opp-1', 'opp-2'], remaining: 150 });
+
+      const [query, params] = service.db.query.mock.calls[0].arguments;
+      assert.deepStrictEqual(params.slice(0, 6), [JOB, 'worker-1', 48, 2, '["opp-1","opp-2"]', 150]);
+      // Scoring anything counts as progress
+      assert.strictEqual(params[7], false);
+      assert.match(query, /WHERE j\.id = outcome\.id AND j\.locked_by = \$2 AND j\.status = 'running'/);
+      assert.match(query, /WHEN \$6 > 0 OR rerun THEN 'queued'\s+ELSE 'completed'/);
+      assert.match(query, /attempts = CASE WHEN \$8 THEN j\.attempts \+ 1 ELSE 0 END/);
+    });
+
+    it('should count a batch in which nothing could be scored as a failed attempt', async () => {
+      await service.completeBatch({ id: JOB }, 'worker-1', { scored: 0, failedIds: ['opp-1', 'opp-2'], remaining: 3000 });
+
+      const [query, params] = service.db.query.mock.calls[0].arguments;
+      assert.deepStrictEqual(params.slice(7, 10), [true, 30, 3600]);
+      assert.strictEqual(params[11], 'None of the 2 opportunities in the batch could be scored');
+      assert.match(query, /WHEN \$8 AND attempts \+ 1 >= max_attempts THEN 'failed'/);
+      assert.match(query, /LEAST\(\$10, \$9 \* POWER\(2, j\.attempts\)\)/);
+    });
+
+    it('should fail the job once more opportunities failed than the failed list holds', async () => {
+      await service.completeBatch({ id: JOB }, 'worker-1', { scored: 10, failedIds: ['opp-1'], remaining: 500 });
+
+      const [query, params] = service.db.query.mock.calls[0].arguments;
+      assert.strictEqual(params[6], 1000);
+      assert.strictEqual(params[10], 'More than 1000 opportunities failed to score');
+      assert.match(query, /WHEN jsonb_array_length\(failed_opportunities \|\| \$5::jsonb\) > \$7 THEN 'failed'/);
+    });
+
+    it('should back off exponentially and fail the job once attempts run out', async () => {
+      await service.failBatch({ id: JOB }, 'worker-1', new Error('connection reset'));
+
+      const [query, params] = service.db.query.mock.calls[0].arguments;
+      assert.deepStrictEqual(params, [JOB, 'worker-1', 'connection reset', 30, 3600]);
+      assert.match(query, /CASE WHEN attempts \+ 1 >= max_attempts THEN 'failed' ELSE 'queued' END/);
+      assert.match(query, /LEAST\(\$5, \$4 \* POWER\(2, attempts\)\)/);
+    });
+
+    it('should return null when another worker reclaimed the job', async () => {
+      service.db.query = mock.fn(async () => ({ rows: [] }));
+      assert.strictEqual(await service.completeBatch({ id: JOB }, 'worker-1', { scored: 1, remaining: 0 }), null);
+    });
+  });
+
+  describe('getQueueStats()', () => {
+    it('should count jobs by status and sum outstanding work', async () => {
+      service.db.query = mock.fn(async () => ({
+        rows: [
+          { status: 'queued', count: 3, remaining: 400, oldest_due_seconds: 95 },
+          { status: 'running', count: 1, remaining: 50, oldest_due_seconds: null },
+          { status: 'completed', count: 12, remaining: 0, oldest_due_seconds: null }
+        ]
+      }));
+
+      assert.deepStrictEqual(await service.getQueueStats(), {
+        queued: 3, running: 1, completed: 12, failed: 0, remaining: 450, oldestQueuedSeconds: 95
+      });
+    });
+  });
+
+  describe('formatJob()', () => {
+    it('should report progress of the current pass', () => {
+      const formatted = service.formatJob({
+        id: JOB,
+        company_id: COMPANY,
+        status: 'queued',
+        priority: 20,
+        reason: 'profile_updated',
+        batch_count: 2,
+        scored_count: 95,
+        failed_count: 5,
+        remaining_count: 300,
+        attempts: 0,
+        max_attempts: 5
+      });
+
+      assert.deepStrictEqual(formatted.progress, { batches: 2, scored: 95, failed: 5, remaining: 300, percent: 25 });
+      assert.strictEqual(formatted.companyId, COMPANY);
+      assert.strictEqual(formatted.lastError, null);
+    });
+
+    it('should leave percent unknown before the first batch', () => {
+      const formatted = service.formatJob({ id: JOB, status: 'queued', remaining_count: null });
+      assert.strictEqual(formatted.progress.percent, null);
+      assert.strictEqual(service.formatJob({ id: JOB, status: 'completed', remaining_count: 0 }).progress.percent, 100);
+    });
+  });
+});
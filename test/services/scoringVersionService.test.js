@@ -0,0 +1,211 @@
+/**
+ * Scoring Version Service Tests
+ * Registering versions, shadowing and promoting them, replaying stored inputs, summarizing
+ * comparisons between versions, and the judges versions can seat
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const ScoringVersionService = require('../../src/services/scoringVersionService');
+const { logger } = require('../../src/utils/logger');
+
+const COMPANY = '00000000-0000-4000-8000-0000000000c1';
+const SCORE = '00000000-0000-4000-8000-0000000000f1';
+
+function versionRows(overrides = {}) {
+  return [
+    { version: '1.0', status: 'active' },
+    { version: '2.0', status: 'candidate', weights: { technical: 0.5, domain: 0.5 }, thresholds: null },
+    { version: '2.1', status: 'shadow', weights: { technical: 1 }, thresholds: null },
+    { version: '2.2', status: 'candidate', weights: { technical: 0.5, capacity: 0.5 }, thresholds: null }
+  ].map(row => ({ ...row, ...overrides[row.version] }));
+}
+
+describe('Scoring Version Service', () => {
+  let service;
+  let stored;
+
+  beforeEach(() => {
+    service = new ScoringVersionService();
+    stored = versionRows();
+    service.db = {
+      query: mock.fn(async (query) => {
+        if (query.includes('FROM scoring_versions')) return { rows: stored };
+        return { rowCount: 1, rows: [] };
+      })
+    };
+    service.jobService = { enqueueAllProfiles: mock.fn(async () => 12) };
+    mock.method(logger, 'info', () => {});
+    mock.method(logger, 'debug', () => {});
+    mock.method(logger, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    service.versions.setVersions([]);
+    mock.restoreAll();
+  });
+
+  describe('createVersion()', () => {
+    it('should reject invalid definitions and built-in version names without writing', async () => {
+      const invalid = await service.createVersion({ version: '3.0', weights: { pricing: 1 } }, 7);
+      assert.strictEqual(invalid.status, 'invalid');
+      assert.match(invalid.error, /Unknown judges/);
+
+      assert.deepStrictEqual(await service.createVersion({ version: '1.0', weights: { technical: 1 } }, 7), { status: 'exists' });
+      assert.strictEqual(service.db.query.mock.callCount(), 0);
+    });
+
+    it('should accept any registered profile judge', async () => {
+      const result = await service.createVersion({ version: '3.0', weights: { technical: 0.6, past_performance: 0.4 } }, 7);
+
+      assert.strictEqual(result.status, 'created');
+      assert.deepStrictEqual(JSON.parse(service.db.query.mock.calls[0].arguments[1][3]), { technical: 0.6, past_performance: 0.4 });
+    });
+
+    it('should store the definition with default thresholds filled in', async () => {
+      await service.createVersion({ version: '3.0', weights: { technical: 1 }, thresholds: { verdicts: { recommended: 80 } } }, 7);
+
+      const [query, params] = service.db.query.mock.calls[0].arguments;
+      assert.match(query, /ON CONFLICT \(version\) DO NOTHING/);
+      assert.deepStrictEqual(JSON.parse(params[4]).verdicts, { recommended: 80, possible: 50 });
+    });
+  });
+
+  describe('setStatus()', () => {
+    it('should queue every profile when a version starts shadowing', async () => {
+      const result = await service.setStatus('2.0', 'shadow', 7);
+
+      assert.strictEqual(result.status, 'updated');
+      assert.strictEqual(result.queued, 12);
+      assert.deepStrictEqual(service.jobService.enqueueAllProfiles.mock.calls[0].arguments, [{ reason: 'shadow', enqueuedBy: 7 }]);
+    });
+
+    it('should only change the active version through promotion', async () => {
+      assert.deepStrictEqual(await service.setStatus('1.0', 'retired', 7), { status: 'invalid_transition', from: 'active', to: 'retired' });
+      assert.deepStrictEqual(await service.setStatus('9.9', 'shadow', 7), { status: 'not_found' });
+      assert.strictEqual(service.jobService.enqueueAllProfiles.mock.callCount(), 0);
+    });
+  });
+
+  describe('promote()', () => {
+    it('should retire the active version and activate the target in one transaction, then queue re-scoring', async () => {
+      const client = { query: mock.fn(async (query) => ({ rows: query.includes('RETURNING version') ? [{ version: '1.0' }] : [] })) };
+      service.db.transaction = mock.fn(async (callback) => {
+        const result = await callback(client);
+        stored = versionRows({ '1.0': { status: 'retired' }, '2.1': { status: 'active' } });
+        return result;
+      });
+
+      const result = await service.promote('2.1', 7);
+
+      assert.strictEqual(result.status, 'promoted');
+      assert.strictEqual(result.previous, '1.0');
+      assert.strictEqual(result.version.status, 'active');
+      assert.strictEqual(service.versions.getActive().version, '2.1');
+      const [retire, activate] = client.query.mock.calls.map(call => call.arguments);
+      assert.match(retire[0], /SET status = 'retired'/);
+      assert.deepStrictEqual(activate[1], ['2.1', null, 7]);
+      assert.deepStrictEqual(service.jobService.enqueueAllProfiles.mock.calls[0].arguments, [{ reason: 'promotion', enqueuedBy: 7 }]);
+    });
+
+    it('should report unknown and already active versions', async () => {
+      assert.deepStrictEqual(await service.promote('9.9', 7), { status: 'not_found' });
+      assert.deepStrictEqual(await service.promote('1.0', 7), { status: 'already_active' });
+    });
+
+    it('should not shadow, promote or replay a version weighting judges that are not registered', async () => {
+      const expected = { status: 'invalid', error: 'Version 2.2 weights judges that are not registered: capacity' };
+
+      assert.deepStrictEqual(await service.setStatus('2.2', 'shadow', 7), expected);
+      assert.deepStrictEqual(await service.promote('2.2', 7), expected);
+      assert.deepStrictEqual(await service.replay('2.2'), expected);
+      assert.strictEqual((await service.setStatus('2.2', 'retired', 7)).status, 'updated');
+      assert.strictEqual(service.jobService.enqueueAllProfiles.mock.callCount(), 0);
+    });
+  });
+
+  describe('listJudges()', () => {
+    it('should list registered profile judges with the versions that weight them', async () => {
+      const judges = await service.listJudges();
+
+      const technical = judges.find(judge => judge.name === 'technical');
+      assert.deepStrictEqual(technical.versions.map(version => version.version), ['1.0', '2.0', '2.1', '2.2']);
+      assert.strictEqual(technical.category, 'technical');
+      const pastPerformance = judges.find(judge => judge.name === 'past_performance');
+      assert.deepStrictEqual(pastPerformance.versions, []);
+      assert.deepStrictEqual(pastPerformance.inputs.subject, ['past_performance']);
+    });
+  });
+
+  describe('replay()', () => {
+    it('should score stored baseline inputs with the version and keep the baseline\'s scoring time', async () => {
+      const scoredAt = new Date('2026-05-01T08:00:00Z');
+      const inputs = { profile: { id: COMPANY }, opportunity: { id: 'opp-1' }, lookups: { semanticSimilarity: 0.4 } };
+      service.db.query = mock.fn(async (query) => {
+        if (query.includes('FROM scoring_versions')) return { rows: stored };
+        return { rows: [{ id: SCORE, company_id: COMPANY, scored_at: scoredAt, scoring_inputs: JSON.stringify(inputs) }] };
+      });
+      service.scoringService = { replay: mock.fn(async () => ({ overallScore: 64 })) };
+      service.scoreService = { parseJsonField: JSON.parse, saveScore: mock.fn(async () => ({})) };
+
+      const result = await service.replay('2.0', { limit: 1 });
+
+      assert.deepStrictEqual(result, { status: 'replayed', baseline: '1.0', version: '2.0', replayed: 1, failed: 0, nextCursor: SCORE });
+      const params = service.db.query.mock.calls.at(-1).arguments[1];
+      assert.deepStrictEqual(params, ['1.0', null, null, 1]);
+      const [version] = service.scoringService.replay.mock.calls[0].arguments.slice(1);
+      assert.strictEqual(version.version, '2.0');
+      const [companyId, opportunity, scoring, reason, options] = service.scoreService.saveScore.mock.calls[0].arguments;
+      assert.deepStrictEqual([companyId, opportunity, scoring, reason], [COMPANY, inputs.opportunity, { overallScore: 64 }, 'replay']);
+      assert.strictEqual(options.version.version, '2.0');
+      assert.strictEqual(options.scoredAt, scoredAt);
+      assert.strictEqual(options.recordHistory, false);
+      assert.deepStrictEqual(options.inputs, inputs);
+    });
+
+    it('should not replay the active version or a version against itself', async () => {
+      assert.strictEqual((await service.replay('1.0')).status, 'invalid');
+      assert.strictEqual((await service.replay('2.0', { baseline: '2.0' })).status, 'invalid');
+      assert.deepStrictEqual(await service.replay('2.0', { baseline: '9.9' }), { status: 'not_found', version: '9.9' });
+    });
+  });
+
+  describe('compare()', () => {
+    it('should report per-profile agreement and averages weighted by scored opportunities', async () => {
+      service.db.query = mock.fn(async (query) => {
+        if (query.includes('FROM scoring_versions')) return { rows: stored };
+        if (query.includes('CORR(')) {
+          return {
+            rows: [
+              { company_id: 'c2', company_name: 'Beta', pairs: 10, spearman: '0.5', top_k_shared: 6, top_k_size: 10, mean_absolute_change: '8', fit_agreement: '0.6' },
+              { company_id: 'c1', company_name: 'Acme', pairs: 30, spearman: '0.9', top_k_shared: 9, top_k_size: 10, mean_absolute_change: '2', fit_agreement: '1' },
+              // Every opportunity scored the same: no rank correlation
+              { company_id: 'c3', company_name: 'Gamma', pairs: 2, spearman: null, top_k_shared: 2, top_k_size: 2, mean_absolute_change: '0', fit_agreement: '1' }
+            ]
+          };
+        }
+        return { rows: [{ scoring_version: '1.0', scores: 50 }, { scoring_version: '2.1', scores: '42' }] };
+      });
+
+      const { status, report } = await service.compare('1.0', '2.1', { k: 10 });
+
+      assert.strictEqual(status, 'compared');
+      assert.deepStrictEqual(report.coverage, { baselineScores: 50, candidateScores: 42, pairs: 42 });
+      assert.deepStrictEqual(report.profiles[0], {
+        companyId: 'c2', companyName: 'Beta', pairs: 10, spearman: 0.5, topKOverlap: 0.6, meanAbsoluteChange: 8, fitAgreement: 0.6
+      });
+      assert.deepStrictEqual(report.summary, {
+        profiles: 3,
+        spearman: 0.8, // (0.5 * 10 + 0.9 * 30) / 40
+        topKOverlap: 0.833,
+        meanAbsoluteChange: 3.333,
+        fitAgreement: 0.905
+      });
+      assert.deepStrictEqual(service.db.query.mock.calls.find(call => call.arguments[0].includes('CORR(')).arguments[1], ['1.0', '2.1', 10, null]);
+    });
+
+    it('should report unknown versions', async () => {
+      assert.deepStrictEqual(await service.compare('1.0', '9.9'), { status: 'not_found', version: '9.9' });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Scoring Worker Tests
+ * Processing claimed scoring jobs a batch at a time, recording failures for retry, and polling
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const ScoringWorker = require('../../src/services/scoringWorker');
+
+const COMPANY = '00000000-0000-4000-8000-0000000000c1';
+
+function claimedJob(overrides = {}) {
+  return { id: 'job-1', company_id: COMPANY, status: 'running', attempts: 0, failed_opportunities: ['opp-9'], ...overrides };
+}
+
+describe('Scoring Worker', () => {
+  let worker;
+  let jobService;
+  let scoringService;
+  let versionService;
+
+  beforeEach(() => {
+    jobService = {
+      claim: mock.fn(async () => claimedJob()),
+      completeBatch: mock.fn(async (job) => ({ ...job, status: 'queued' })),
+      failBatch: mock.fn(async (job) => ({ ...job, status: 'queued', attempts: job.attempts + 1 }))
+    };
+    scoringService = {
+      getProfile: mock.fn(async () => ({ id: COMPANY })),
+      scoreOutdated: mock.fn(async () => ({ scored: 24, failedIds: ['opp-3'], remaining: 76 }))
+    };
+    versionService = { refreshSafely: mock.fn(async () => {}) };
+    worker = new ScoringWorker({ jobService, scoringService, versionService, batchSize: 25, workerId: 'worker-1', pollIntervalMs: 10 });
+  });
+
+  afterEach(async () => {
+    await worker.stop();
+    mock.restoreAll();
+  });
+
+  describe('processNext()', () => {
+    it('should score one batch of the claimed job and record its progress', async () => {
+      const job = await worker.processNext();
+      assert.strictEqual(job.status, 'queued');
+
+      assert.deepStrictEqual(jobService.claim.mock.calls[0].arguments, ['worker-1', worker.leaseMs]);
+      // Versions shadowed or promoted by another process are scored from the next batch on
+      assert.strictEqual(versionService.refreshSafely.mock.callCount(), 1);
+      const [profile, options] = scoringService.scoreOutdated.mock.calls[0].arguments;
+      assert.strictEqual(profile.id, COMPANY);
+      // Opportunities that already failed in this job are skipped
+      assert.deepStrictEqual(options, { limit: 25, excludeIds: ['opp-9'] });
+      assert.deepStrictEqual(jobService.completeBatch.mock.calls[0].arguments.slice(1), [
+        'worker-1', { scored: 24, failedIds: ['opp-3'], remaining: 76 }
+      ]);
+      assert.deepStrictEqual(worker.getStatus(), {
+        workerId: 'worker-1', running: false, batchSize: 25, pollIntervalMs: 10, batches: 1, scored: 24, failed: 1, errors: 0
+      });
+    });
+
+    it('should return null without scoring when no job is due', async () => {
+      jobService.claim = mock.fn(async () => null);
+
+      assert.strictEqual(await worker.processNext(), null);
+      assert.strictEqual(scoringService.scoreOutdated.mock.callCount(), 0);
+    });
+
+    it('should record a failed batch for retry', async () => {
+      scoringService.scoreOutdated = mock.fn(async () => {
+        throw new Error('database connection lost');
+      });
+
+      const job = await worker.processNext();
+
+      assert.strictEqual(job.attempts, 1);
+      assert.strictEqual(jobService.completeBatch.mock.callCount(), 0);
+      const [, workerId, error] = jobService.failBatch.mock.calls[0].arguments;
+      assert.strictEqual(workerId, 'worker-1');
+      assert.strictEqual(error.message, 'database connection lost');
+    });
+
+    it('should fail jobs of deleted profiles', async () => {
+      scoringService.getProfile = mock.fn(async () => null);
+
+      await worker.processNext();
+
+      assert.match(jobService.failBatch.mock.calls[0].arguments[2].message, /Company profile .* not found/);
+    });
+  });
+
+  describe('start() and stop()', () => {
+    it('should keep processing while jobs are due, then wait for the batch in progress on stop', async () => {
+      let claims = 0;
+      jobService.claim = mock.fn(async () => (++claims <= 3 ? claimedJob({ id: `job-${claims}` }) : null));
+
+      worker.start();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await worker.stop();
+
+      assert.strictEqual(jobService.completeBatch.mock.callCount(), 3);
+      assert.strictEqual(worker.running, false);
+      assert.strictEqual(worker.current, null);
+    });
+  });
+});
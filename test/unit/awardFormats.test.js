@@ -0,0 +1,133 @@
+/**
+ * Contract Award Format Tests
+ * Streaming CSV parsing, USAspending and FPDS export detection and normalization of
+ * recorded export rows to contract_awards rows
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { CsvParser, readCsvRecords } = require('../../src/utils/csv');
+const {
+  createFieldReader,
+  detectAwardFormat,
+  normalizeAgencyName,
+  normalizePiid,
+  normalizeAwardRecord
+} = require('../../src/integrations/awards/awardFormats');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'awards');
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
+
+async function readFixture(name) {
+  const records = await collect(readCsvRecords(fs.createReadStream(path.join(FIXTURES, name))));
+  const columns = Object.keys(records[0]);
+  const format = detectAwardFormat(columns);
+  return { records, format, read: createFieldReader(columns, format) };
+}
+
+describe('Contract Award Formats', () => {
+  describe('CSV streaming', () => {
+    it('should parse quotes, escaped quotes and line breaks split across chunks', async () => {
+      const content = '\uFEFFpiid,name\r\n"A1","Acme ""Federal"", LLC"\r\nB2,"line one\nline two"\r\n';
+      // One character per chunk splits every quote pair and CRLF
+      const records = await collect(readCsvRecords(Readable.from(content.split(''))));
+
+      assert.deepStrictEqual(records, [
+        { piid: 'A1', name: 'Acme "Federal", LLC' },
+        { piid: 'B2', name: 'line one\nline two' }
+      ]);
+    });
+
+    it('should keep the last row when the input does not end with a newline', () => {
+      const parser = new CsvParser();
+      assert.deepStrictEqual(parser.push('a,b\n1,'), [['a', 'b']]);
+      assert.deepStrictEqual(parser.end(), [['1', '']]);
+    });
+  });
+
+  describe('detectAwardFormat()', () => {
+    it('should tell USAspending and FPDS exports apart and reject other files', () => {
+      assert.strictEqual(detectAwardFormat(['award_id_piid', 'recipient_name', 'naics_code']), 'usaspending');
+      assert.strictEqual(detectAwardFormat(['PIID', 'Legal Business Name', 'NAICS Code']), 'fpds');
+      assert.strictEqual(detectAwardFormat(['Notice ID', 'Title']), null);
+    });
+  });
+
+  describe('normalizeAwardRecord()', () => {
+    it('should normalize USAspending transactions and skip rows without a PIID', async () => {
+      const { records, format, read } = await readFixture('usaspending-contracts.csv');
+      const awards = records.map(record => normalizeAwardRecord(read, record, format));
+
+      assert.strictEqual(format, 'usaspending');
+      assert.strictEqual(awards.length, 3);
+      assert.strictEqual(awards[2], null);
+      assert.deepStrictEqual(awards[0], {
+        source: 'usaspending',
+        award_key: 'CONT_AWD_W91QUZ20C0001_9700_-NONE-_-NONE-',
+        piid: 'W91QUZ20C0001',
+        parent_piid: null,
+        solicitation_number: null,
+        agency_code: '097',
+        agency_name: 'Department of Defense',
+        agency_key: 'DEPT DEFENSE',
+        sub_agency_name: 'Department of the Army',
+        sub_agency_key: 'DEPT ARMY',
+        office_name: 'W6QK ACC-APG',
+        vendor_uei: 'ABCDEF123456',
+        vendor_name: 'ACME FEDERAL, LLC',
+        vendor_parent_uei: 'ABCDEF123456',
+        vendor_parent_name: 'ACME FEDERAL, LLC',
+        naics_code: '541512',
+        naics_description: 'COMPUTER SYSTEMS DESIGN SERVICES',
+        psc_code: 'D399',
+        set_aside: 'SBA',
+        award_type: null,
+        action_date: '2020-03-15',
+        last_action_date: '2020-03-15',
+        period_start: '2020-04-01',
+        period_end: '2025-03-31',
+        potential_end: '2026-03-31',
+        obligated_amount: 1200000,
+        current_value: 1200000,
+        potential_value: 6000000,
+        place_state: 'MD',
+        description: 'CLOUD MIGRATION SUPPORT, "PHASE 1"'
+      });
+      // De-obligations in accounting notation are negative
+      assert.strictEqual(awards[1].obligated_amount, -150000);
+      assert.strictEqual(awards[1].award_key, awards[0].award_key);
+    });
+
+    it('should build FPDS award keys and normalize codes, dates and amounts', async () => {
+      const { records, format, read } = await readFixture('fpds-export.csv');
+      const award = normalizeAwardRecord(read, records[0], format);
+
+      assert.strictEqual(format, 'fpds');
+      assert.strictEqual(award.award_key, 'CONT_AWD_47QTCA21F0042_4700_GS35F0001X');
+      assert.strictEqual(award.piid, '47QTCA21F0042');
+      assert.strictEqual(award.vendor_uei, 'ZYXWVU987654');
+      assert.strictEqual(award.naics_code, '541511');
+      assert.strictEqual(award.psc_code, 'DA01');
+      assert.strictEqual(award.action_date, '2021-09-30');
+      assert.strictEqual(award.period_end, '2026-09-29');
+      assert.strictEqual(award.current_value, 900000);
+      assert.strictEqual(award.potential_value, 2400000);
+      assert.strictEqual(award.agency_key, 'GENERAL SERVICES ADMINISTRATION');
+    });
+
+    it('should compare agency names and PIIDs however they are written', () => {
+      assert.strictEqual(normalizeAgencyName('DEPT OF DEFENSE'), normalizeAgencyName('Department of Defense'));
+      assert.strictEqual(normalizeAgencyName('U.S. Department of Health & Human Services'), 'DEPT HEALTH HUMAN SERVICES');
+      assert.strictEqual(normalizeAgencyName(''), null);
+      assert.strictEqual(normalizePiid('w91quz-20-c-0001'), 'W91QUZ20C0001');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Capability Taxonomy Tests
+ * Synonym matching, hierarchy, NAICS/PSC crosswalks and admin extensions
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { CapabilityTaxonomy } = require('../../src/utils/capabilityTaxonomy');
+const { extractTags } = require('../../src/integrations/sources/normalization');
+const { CapabilitiesExtractor } = require('../../src/services/supplierAnalysis/CapabilitiesExtractor');
+const CapabilityTaxonomyService = require('../../src/services/capabilityTaxonomyService');
+
+describe('Capability Taxonomy', () => {
+  let taxonomy;
+
+  beforeEach(() => {
+    taxonomy = new CapabilityTaxonomy();
+  });
+
+  describe('tagOpportunity()', () => {
+    it('should match synonyms as whole words and include ancestors', () => {
+      const tags = taxonomy.tagOpportunity({
+        title: 'Cloud Migration Support',
+        description: 'Move legacy case management workloads to AWS GovCloud and maintain the help desk.'
+      });
+
+      assert.deepStrictEqual(tags, ['information_technology', 'cloud', 'cloud_migration', 'modernization', 'migration', 'it_support']);
+    });
+
+    it('should not match terms inside other words', () => {
+      assert.deepStrictEqual(taxonomy.matchText('Maintain the campaign website'), ['web']);
+      assert.deepStrictEqual(taxonomy.matchText('Said the chair'), []);
+    });
+
+    it('should crosswalk NAICS and PSC codes by longest prefix', () => {
+      assert.deepStrictEqual(taxonomy.matchCodes(['541512'], 'naics'), ['integration']);
+      assert.deepStrictEqual(taxonomy.matchCodes(['541330'], 'naics'), ['engineering_services']);
+      assert.deepStrictEqual(taxonomy.matchCodes(['541990'], 'naics'), ['professional_services']);
+      assert.deepStrictEqual(taxonomy.matchCodes(['dj01'], 'psc'), ['cybersecurity']);
+      assert.deepStrictEqual(taxonomy.matchCodes(['Q201'], 'psc'), ['healthcare']);
+    });
+  });
+
+  describe('shared use', () => {
+    it('should give opportunities and companies the same canonical IDs', () => {
+      const opportunityTags = extractTags({
+        title: 'Security Operations Center',
+        description: 'Zero trust architecture and penetration testing.',
+        pscCodes: ['DJ01']
+      });
+      const extractor = new CapabilitiesExtractor();
+      const companyTags = extractor.extractCapabilityTags(
+        { capabilities: ['Cyber Security', 'Help Desk'] },
+        { description: 'We run 24x7 security operations.' }
+      );
+
+      assert.deepStrictEqual(opportunityTags, ['information_technology', 'cybersecurity']);
+      assert.deepStrictEqual(companyTags, ['information_technology', 'cybersecurity', 'it_support']);
+      assert.deepStrictEqual(extractor.extractCapabilitiesFromDescription('Machine learning for healthcare'),
+        ['Machine Learning', 'Healthcare']);
+    });
+  });
+
+  describe('setExtensions()', () => {
+    it('should add nodes and extend built-in ones', () => {
+      taxonomy.setExtensions([
+        { id: 'quantum_computing', label: 'Quantum Computing', parent: 'research_development', synonyms: ['qubit'] },
+        { id: 'cybersecurity', synonyms: ['cmmc'], naics: ['541519'] }
+      ]);
+
+      assert.deepStrictEqual(taxonomy.tagOpportunity({ description: 'Qubit error correction' }),
+        ['research_development', 'quantum_computing']);
+      assert.deepStrictEqual(taxonomy.matchText('CMMC Level 2 assessment'), ['cybersecurity']);
+      assert.deepStrictEqual(taxonomy.matchCodes(['541519'], 'naics'), ['cybersecurity']);
+      assert.strictEqual(taxonomy.getNode('cybersecurity').label, 'Cybersecurity');
+      assert.strictEqual(taxonomy.resolve('Quantum Computing'), 'quantum_computing');
+    });
+
+    it('should make nodes whose parent disappeared roots', () => {
+      taxonomy.setExtensions([{ id: 'quantum_computing', label: 'Quantum Computing', parent: 'photonics' }]);
+      assert.deepStrictEqual(taxonomy.ancestors('quantum_computing'), []);
+    });
+  });
+
+  describe('CapabilityTaxonomyService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new CapabilityTaxonomyService();
+      service.taxonomy = new CapabilityTaxonomy();
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('should load extensions from the database', async () => {
+      service.db = {
+        query: mock.fn(async () => ({
+          rows: [{ id: 'zero_trust', label: 'Zero Trust', parent_id: 'cybersecurity', synonyms: '["ztna"]', naics_prefixes: [], psc_prefixes: [] }]
+        }))
+      };
+
+      assert.strictEqual(await service.refresh(), 1);
+      assert.deepStrictEqual(service.taxonomy.matchText('ZTNA rollout'), ['zero_trust']);
+    });
+
+    it('should reject unlabeled new nodes, unknown parents and cycles', () => {
+      assert.strictEqual(service.validateNode({ id: 'zero_trust' }), 'New nodes require a label');
+      assert.strictEqual(service.validateNode({ id: 'zero_trust', label: 'Zero Trust', parent: 'nope' }), 'Unknown parent node: nope');
+      assert.strictEqual(
+        service.validateNode({ id: 'information_technology', parent: 'cloud_migration' }),
+        'Parent cloud_migration would make information_technology its own ancestor'
+      );
+      assert.strictEqual(service.validateNode({ id: 'cloud', synonyms: ['govcloud'] }), null);
+    });
+  });
+});
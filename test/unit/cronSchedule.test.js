@@ -0,0 +1,63 @@
+/**
+ * Cron Schedule Tests
+ * Parsing and next-run calculation for scheduler cron expressions
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseCronExpression, getNextCronTime } = require('../../src/utils/cronSchedule');
+
+const FROM = new Date('2026-10-19T10:17:30Z'); // Monday
+
+describe('Cron Schedule', () => {
+  describe('parseCronExpression()', () => {
+    it('should expand steps, ranges and lists', () => {
+      const schedule = parseCronExpression('*/20 8-10 1,15 * 1-5');
+
+      assert.deepStrictEqual([...schedule.minute], [0, 20, 40]);
+      assert.deepStrictEqual([...schedule.hour], [8, 9, 10]);
+      assert.deepStrictEqual([...schedule.dayOfMonth], [1, 15]);
+      assert.strictEqual(schedule.month.size, 12);
+      assert.deepStrictEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+    });
+
+    it('should treat day-of-week 7 as Sunday', () => {
+      const schedule = parseCronExpression('0 0 * * 7');
+
+      assert.deepStrictEqual([...schedule.dayOfWeek], [0]);
+    });
+
+    it('should reject malformed expressions', () => {
+      assert.throws(() => parseCronExpression('0 */6 * *'), /expected 5 fields/);
+      assert.throws(() => parseCronExpression('60 * * * *'), /Invalid cron minute field/);
+      assert.throws(() => parseCronExpression('0 0 * * mon'), /Invalid cron dayOfWeek field/);
+      assert.throws(() => parseCronExpression('*/0 * * * *'), /Invalid cron minute field/);
+    });
+  });
+
+  describe('getNextCronTime()', () => {
+    it('should return the next matching minute strictly after the reference time', () => {
+      assert.strictEqual(getNextCronTime('*/15 * * * *', FROM).toISOString(), '2026-10-19T10:30:00.000Z');
+      assert.strictEqual(getNextCronTime('0 */6 * * *', FROM).toISOString(), '2026-10-19T12:00:00.000Z');
+      assert.strictEqual(
+        getNextCronTime('30 10 * * *', new Date('2026-10-19T10:30:00Z')).toISOString(),
+        '2026-10-20T10:30:00.000Z'
+      );
+    });
+
+    it('should roll over days, months and years', () => {
+      assert.strictEqual(getNextCronTime('30 2 * * 1-5', FROM).toISOString(), '2026-10-20T02:30:00.000Z');
+      assert.strictEqual(getNextCronTime('0 0 1 * *', FROM).toISOString(), '2026-11-01T00:00:00.000Z');
+      assert.strictEqual(getNextCronTime('0 0 29 2 *', FROM).toISOString(), '2028-02-29T00:00:00.000Z');
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // 13th of the month or any Friday, whichever comes first
+      assert.strictEqual(getNextCronTime('0 9 13 * 5', FROM).toISOString(), '2026-10-23T09:00:00.000Z');
+    });
+
+    it('should fail for expressions that can never match', () => {
+      assert.throws(() => getNextCronTime('0 0 31 2 *', FROM), /never matches/);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Data Quality Rules Tests
+ * Presence, format, freshness and consistency rules, weighted scoring over applicable rules,
+ * and admin overrides of weights, parameters and enabled state
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { DataQualityRules } = require('../../src/utils/dataQualityRules');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+function opportunity(overrides = {}) {
+  return {
+    title: 'Cloud Migration Support Services',
+    description: 'The agency requires cloud migration, modernization and operations support for mission systems. '.repeat(2),
+    agency: 'DEPT OF DEFENSE',
+    due_date: '2026-07-01T17:00:00.000Z',
+    posted_date: '2026-05-01T00:00:00.000Z',
+    naics_codes: JSON.stringify(['541512']),
+    psc_codes: JSON.stringify(['D399']),
+    solicitation_number: 'W91QUZ-26-R-0001',
+    contacts: JSON.stringify([{ type: 'primary', name: 'Jane Doe', email: 'jane.doe@army.mil' }]),
+    place_of_performance: JSON.stringify({ state: 'MD' }),
+    value_low: 1000000,
+    value_high: 5000000,
+    value_estimated: 3000000,
+    pop_start: '2026-10-01',
+    pop_end: '2031-09-30',
+    last_updated_source: '2026-05-20T00:00:00.000Z',
+    source_status: 'active',
+    ...overrides
+  };
+}
+
+describe('Data Quality Rules', () => {
+  it('should score a complete, consistent opportunity 1 with nothing failed', () => {
+    const { score, details } = new DataQualityRules().evaluate(opportunity(), NOW);
+
+    assert.strictEqual(score, 1);
+    assert.deepStrictEqual(details.failed, []);
+    assert.deepStrictEqual(details.notApplicable, ['award_has_awardee']);
+    assert.match(details.ruleset, /^[0-9a-f]{12}$/);
+  });
+
+  it('should report failed rules with messages and weigh only applicable rules', () => {
+    const rules = new DataQualityRules();
+    const { score, details } = rules.evaluate(opportunity({
+      description: 'Cloud support.',
+      naics_codes: JSON.stringify(['5415']),
+      contacts: [{ email: 'not-an-address' }],
+      value_low: 6000000,
+      value_estimated: null,
+      posted_date: '2026-07-15T00:00:00.000Z',
+      last_updated_source: '2026-03-01T00:00:00.000Z'
+    }), NOW);
+
+    assert.deepStrictEqual(details.failed.map(failure => [failure.rule, failure.message]), [
+      ['description_present', 'Description has 14 characters, expected at least 100'],
+      ['naics_format', 'Invalid NAICS codes: 5415'],
+      ['contact_email_format', 'Invalid e-mail addresses: not-an-address'],
+      ['source_recently_updated', 'Last updated by the source 92 days ago'],
+      ['value_range_ordered', 'value_low 6000000 is above value_high 5000000'],
+      ['due_after_posted', 'Due date 2026-07-01 is before the posted date 2026-07-15']
+    ]);
+    assert.ok(details.notApplicable.includes('value_estimate_in_range'));
+
+    const failedWeight = details.failed.reduce((sum, failure) => sum + failure.weight, 0);
+    const applicableWeight = rules.listRules()
+      .filter(rule => !details.notApplicable.includes(rule.id))
+      .reduce((sum, rule) => sum + rule.weight, 0);
+    assert.strictEqual(score, Math.round((1 - failedWeight / applicableWeight) * 100) / 100);
+  });
+
+  it('should only hold open opportunities to freshness rules', () => {
+    const rules = new DataQualityRules();
+    const stale = {
+      posted_date: '2025-12-15T00:00:00.000Z',
+      due_date: '2026-04-01T00:00:00.000Z',
+      last_updated_source: '2026-01-01T00:00:00.000Z'
+    };
+
+    const open = rules.evaluate(opportunity(stale), NOW).details.failed.map(failure => failure.rule);
+    assert.deepStrictEqual(open, ['source_recently_updated', 'open_not_past_due']);
+
+    const closed = rules.evaluate(opportunity({ ...stale, processing_status: 'closed' }), NOW).details;
+    assert.deepStrictEqual(closed.failed, []);
+    assert.ok(closed.notApplicable.includes('open_not_past_due'));
+  });
+
+  it('should apply overrides and change the ruleset fingerprint', () => {
+    const rules = new DataQualityRules();
+    const defaults = rules.ruleset;
+    const stale = opportunity({ last_updated_source: '2026-03-01T00:00:00.000Z', title: '' });
+
+    rules.setOverrides([
+      { id: 'source_recently_updated', params: { maxAgeDays: 120, unknown: 5 } },
+      { id: 'title_present', enabled: false },
+      { id: 'naics_present', weight: 20 },
+      { id: 'no_such_rule', weight: 1 }
+    ]);
+
+    assert.notStrictEqual(rules.ruleset, defaults);
+    assert.deepStrictEqual(rules.getRule('source_recently_updated').params, { maxAgeDays: 120 });
+    assert.strictEqual(rules.getRule('naics_present').weight, 20);
+    assert.strictEqual(rules.evaluate(stale, NOW).score, 1);
+    assert.ok(!rules.evaluate(stale, NOW).details.passed.includes('title_present'));
+
+    rules.setOverrides([]);
+    assert.strictEqual(rules.ruleset, defaults);
+  });
+
+  it('should validate overrides against the built-in rules', () => {
+    const rules = new DataQualityRules();
+
+    assert.strictEqual(rules.validateOverride('open_not_past_due', { weight: 2, params: { graceDays: 14 } }), null);
+    assert.strictEqual(rules.validateOverride('no_such_rule', {}), 'Unknown data quality rule: no_such_rule');
+    assert.strictEqual(
+      rules.validateOverride('title_present', { params: { minLength: 5 } }),
+      'Rule title_present has no parameter minLength'
+    );
+    assert.strictEqual(
+      rules.validateOverride('description_present', { params: { maxLength: 5 } }),
+      'Rule description_present has no parameter maxLength (parameters: minLength)'
+    );
+  });
+});
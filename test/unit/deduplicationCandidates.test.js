@@ -0,0 +1,97 @@
+/**
+ * Deduplication Candidate Generation Tests
+ * Blocking keys, MinHash LSH buckets and candidate-only comparison in findDuplicateGroups
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const OpportunityDeduplicationService = require('../../src/services/opportunityDeduplicationService');
+const { MinHasher, shingle, estimateSimilarity, lshBuckets } = require('../../src/utils/minhash');
+const { logger } = require('../../src/utils/logger');
+
+const DESCRIPTION = 'Provide enterprise help desk, network operations and cybersecurity monitoring for regional offices ' +
+  'including tier two escalation, patch management and quarterly vulnerability reporting';
+
+describe('Deduplication Candidate Generation', () => {
+  describe('MinHash', () => {
+    it('should estimate Jaccard similarity of shingle sets', () => {
+      const hasher = new MinHasher({ permutations: 256 });
+      const a = shingle(DESCRIPTION);
+      const b = shingle(DESCRIPTION.replace('quarterly', 'monthly'));
+
+      const intersection = [...a].filter(item => b.has(item)).length;
+      const jaccard = intersection / (a.size + b.size - intersection);
+
+      assert.ok(Math.abs(estimateSimilarity(hasher.signature(a), hasher.signature(b)) - jaccard) < 0.1);
+      assert.deepStrictEqual([...shingle('The Help Desk')], ['help desk']);
+    });
+
+    it('should bucket identical bands together and skip missing signatures', () => {
+      const hasher = new MinHasher({ permutations: 8 });
+      const signature = hasher.signature(shingle(DESCRIPTION));
+      const other = hasher.signature(shingle('Construct a vehicle maintenance facility'));
+
+      const buckets = lshBuckets([signature, other, null, signature], 4);
+
+      assert.ok(buckets.length >= 4);
+      assert.ok(buckets.every(bucket => bucket.includes(0) && bucket.includes(3) && !bucket.includes(2)));
+    });
+  });
+
+  describe('generateCandidatePairs()', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new OpportunityDeduplicationService();
+      mock.method(logger, 'info', () => {});
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('should pair amended solicitation numbers and near-identical text but not unrelated records', () => {
+      const opportunities = [
+        { id: 'a', title: 'Regional IT Support', description: DESCRIPTION, solicitation_number: 'W912DY25R0012', agency: 'Army' },
+        { id: 'b', title: 'Engineering Study', description: 'Hydrology study of the river basin', solicitation_number: 'W912DY25R0012-0001', agency: 'Army' },
+        { id: 'c', title: 'Regional IT Support Services', description: `${DESCRIPTION} and training`, agency: 'GSA' },
+        { id: 'd', title: 'Janitorial Services', description: 'Custodial services for the federal building', agency: 'GSA' }
+      ];
+
+      const { candidates, stats } = service.generateCandidatePairs(opportunities);
+
+      assert.deepStrictEqual(candidates, [[1, 2], [], [], []]);
+      assert.strictEqual(stats.candidatePairs, 2);
+      assert.strictEqual(stats.exhaustivePairs, 6);
+    });
+
+    it('should window agency + NAICS blocks by title', () => {
+      service.deduplicationConfig.candidateGeneration.windowSize = 2;
+      const opportunities = ['Delta', 'Alpha', 'Charlie', 'Bravo'].map((title, index) => ({
+        id: `o${index}`, title: `${title} ${index}`, agency: 'Navy', naics_codes: '["541512"]'
+      }));
+
+      const { candidates } = service.generateCandidatePairs(opportunities);
+
+      // Title order: Alpha(1), Bravo(3), Charlie(2), Delta(0)
+      assert.deepStrictEqual(candidates, [[2], [3], [3], []]);
+    });
+
+    it('should only compare candidate pairs when grouping duplicates', async () => {
+      const calculateSimilarity = mock.method(service, 'calculateSimilarity', async () => 0.95);
+      const opportunities = [
+        { id: 'a', title: 'Regional IT Support', description: DESCRIPTION, posted_date: '2025-01-01' },
+        { id: 'b', title: 'Regional IT Support', description: DESCRIPTION, posted_date: '2025-01-02' },
+        { id: 'c', title: 'Janitorial Services', description: 'Custodial services for the federal building', posted_date: '2025-01-03' }
+      ];
+
+      const groups = await service.findDuplicateGroups(opportunities, 0.75);
+
+      assert.deepStrictEqual(groups.map(group => group.opportunities.map(opp => opp.id)), [['a', 'b']]);
+      assert.strictEqual(groups[0].similarity, 0.95);
+      assert.strictEqual(service.lastCandidateStats.comparisons, 1);
+      // One comparison while grouping, one for the group similarity
+      assert.strictEqual(calculateSimilarity.mock.callCount(), 2);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Document Text Extraction Tests
+ * PDF, DOCX, HTML and plain-text attachments
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { detectFormat, extractDocumentText, extractPdfText } = require('../../src/utils/documentText');
+
+const FIXTURES = path.join(__dirname, '../fixtures/attachments');
+
+function buildPdf(content, { compress = false } = {}) {
+  const data = compress ? zlib.deflateSync(Buffer.from(content, 'latin1')) : Buffer.from(content, 'latin1');
+  const filter = compress ? ' /Filter /FlateDecode' : '';
+  return Buffer.concat([
+    Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Page >>\nendobj\n'),
+    Buffer.from(`2 0 obj\n<< /Length ${data.length}${filter} >>\nstream\n`),
+    data,
+    Buffer.from('\nendstream\nendobj\n%%EOF\n')
+  ]);
+}
+
+describe('Document Text Extraction', () => {
+  describe('PDF', () => {
+    it('should extract text from compressed content streams of the fixture', () => {
+      const result = extractDocumentText(fs.readFileSync(path.join(FIXTURES, 'pws.pdf')));
+
+      assert.strictEqual(result.format, 'pdf');
+      assert.strictEqual(result.pageCount, 1);
+      assert.ok(result.text.startsWith('PERFORMANCE WORK STATEMENT\n1. Scope\n'));
+      assert.ok(result.text.includes('The contractor shall migrate legacy case management workloads'));
+    });
+
+    it('should decode escapes, hex strings, kerned arrays and line operators', () => {
+      const pdf = buildPdf([
+        'BT /F1 12 Tf 72 700 Td',
+        '(Section \\(L\\) Instructions) Tj',
+        '0 -14 Td [(Pro) 20 (posal) -300 (due)] TJ',
+        "(Caf\\351 <FEFF> ) '",
+        'T* <0053004f0057> Tj',
+        'ET'
+      ].join('\n'), { compress: true });
+
+      const { text } = extractPdfText(pdf);
+
+      assert.strictEqual(text, 'Section (L) Instructions\nProposal due\nCafé <FEFF>\nSOW');
+    });
+
+    it('should skip image streams', () => {
+      const pdf = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Subtype /Image /Length 10 >>\nstream\nBT (x) Tj ET\nendstream\nendobj\n');
+      assert.strictEqual(extractPdfText(pdf).text, '');
+    });
+  });
+
+  describe('DOCX', () => {
+    it('should extract paragraphs and decode entities', () => {
+      const result = extractDocumentText(fs.readFileSync(path.join(FIXTURES, 'section-m.docx')));
+
+      assert.strictEqual(result.format, 'docx');
+      const lines = result.text.split('\n');
+      assert.strictEqual(lines[0], 'SECTION M - EVALUATION FACTORS FOR AWARD');
+      assert.strictEqual(lines[2], 'Factor 1: Technical Approach');
+      assert.ok(lines[7].endsWith('option years & surge CLINs.'));
+    });
+  });
+
+  describe('HTML and text', () => {
+    it('should strip markup, scripts and collapse whitespace', () => {
+      const html = Buffer.from('<html><style>p{}</style><h1>Scope</h1><p>Provide   help&nbsp;desk &amp; training</p><script>x()</script></html>');
+      const result = extractDocumentText(html, { mimeType: 'text/html' });
+
+      assert.deepStrictEqual(result, { format: 'html', text: 'Scope\nProvide help desk & training', pageCount: null });
+    });
+
+    it('should detect formats from bytes before trusting the declared type', () => {
+      assert.strictEqual(detectFormat(fs.readFileSync(path.join(FIXTURES, 'pws.pdf')), { mimeType: 'text/plain' }), 'pdf');
+      assert.strictEqual(detectFormat(Buffer.from('Plain notice'), { filename: 'notice' }), 'text');
+      assert.strictEqual(detectFormat(Buffer.from([0x00, 0x01, 0x02]), { filename: 'drawing.dwg' }), 'unsupported');
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Embedding Provider Tests
+ * The offline hashing vectorizer, the HTTP model backend, the provider registry,
+ * and semantic matching in deduplication
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const {
+  EmbeddingProvider,
+  HashingEmbeddingProvider,
+  HttpEmbeddingProvider,
+  cosineSimilarity,
+  createEmbeddingProvider,
+  registerEmbeddingProviderType
+} = require('../../src/integrations/embeddings');
+const OpportunityDeduplicationService = require('../../src/services/opportunityDeduplicationService');
+const { logger } = require('../../src/utils/logger');
+
+describe('Embedding Providers', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('HashingEmbeddingProvider', () => {
+    const provider = new HashingEmbeddingProvider();
+
+    it('should produce deterministic unit vectors keyed by model and dimensions', async () => {
+      const [first] = await provider.embed(['Cloud migration support for legacy case management']);
+      const [again] = await new HashingEmbeddingProvider().embed(['Cloud migration support for legacy case management']);
+
+      assert.strictEqual(provider.model, 'hashing-v1:512');
+      assert.strictEqual(first.length, 512);
+      assert.deepStrictEqual(first, again);
+      assert.ok(Math.abs(first.reduce((sum, value) => sum + value * value, 0) - 1) < 1e-9);
+      assert.strictEqual(new HashingEmbeddingProvider({ dimensions: 64 }).model, 'hashing-v1:64');
+    });
+
+    it('should score reworded text above unrelated text', async () => {
+      const [original, reworded, unrelated] = await provider.embed([
+        'Migration of legacy case management systems to the AWS cloud',
+        'Migrating the legacy case management system to AWS cloud hosting',
+        'Janitorial and custodial services for the federal courthouse'
+      ]);
+
+      assert.ok(cosineSimilarity(original, reworded) > 0.5);
+      assert.ok(cosineSimilarity(original, unrelated) < 0.1);
+    });
+
+    it('should stem common inflections to one feature and return zero vectors for empty text', async () => {
+      assert.deepStrictEqual(['migration', 'migrating', 'migrate'].map(HashingEmbeddingProvider.stem), ['migrat', 'migrat', 'migrat']);
+      assert.ok((await provider.embedOne('')).every(value => value === 0));
+    });
+  });
+
+  describe('HttpEmbeddingProvider', () => {
+    it('should batch requests and normalize OpenAI-style and plain responses', async () => {
+      const post = mock.method(axios, 'post', async (url, body) => (body.input.length === 2
+        ? { data: { data: [{ embedding: [3, 4] }, { embedding: [0, 2] }] } }
+        : { data: { embeddings: [[1, 0]] } }));
+      const provider = new HttpEmbeddingProvider({ url: 'http://localhost:8080/v1/embeddings', model: 'nomic', batchSize: 2 });
+
+      const vectors = await provider.embed(['a', 'b', 'c']);
+
+      assert.deepStrictEqual(vectors, [[0.6, 0.8], [0, 1], [1, 0]]);
+      assert.strictEqual(post.mock.callCount(), 2);
+      assert.deepStrictEqual(post.mock.calls[0].arguments[1], { model: 'nomic', input: ['a', 'b'] });
+      assert.strictEqual(provider.model, 'http:nomic');
+      assert.strictEqual(provider.dimensions, 2);
+    });
+
+    it('should reject responses with the wrong number of vectors', async () => {
+      mock.method(axios, 'post', async () => ({ data: { data: [{ embedding: [1, 0] }] } }));
+      const provider = new HttpEmbeddingProvider({ url: 'http://localhost:8080/v1/embeddings' });
+
+      await assert.rejects(provider.embed(['a', 'b']), /returned 1 vectors for 2 texts/);
+      assert.throws(() => new HttpEmbeddingProvider({}), /requires a url/);
+    });
+  });
+
+  describe('registry', () => {
+    it('should create registered provider types and reject unknown ones', () => {
+      class FixedProvider extends EmbeddingProvider {
+        async embed(texts) {
+          return texts.map(() => [1, 0]);
+        }
+      }
+      registerEmbeddingProviderType('fixed_test', FixedProvider);
+
+      assert.ok(createEmbeddingProvider({ type: 'fixed_test', name: 'fixed', dimensions: 2 }) instanceof FixedProvider);
+      assert.ok(createEmbeddingProvider() instanceof HashingEmbeddingProvider);
+      assert.throws(() => createEmbeddingProvider({ type: 'missing' }), /Unknown embedding provider type: missing/);
+      assert.throws(() => registerEmbeddingProviderType('bad', class {}), /must extend EmbeddingProvider/);
+    });
+
+    it('should compute cosine similarity and refuse vectors of different lengths', () => {
+      assert.strictEqual(cosineSimilarity([1, 0], [0, 1]), 0);
+      assert.ok(Math.abs(cosineSimilarity([1, 1], [2, 2]) - 1) < 1e-12);
+      assert.strictEqual(cosineSimilarity([1, 0], [1, 0, 0]), null);
+      assert.strictEqual(cosineSimilarity(null, [1]), null);
+    });
+  });
+
+  describe('semantic deduplication', () => {
+    const original = {
+      id: 'a',
+      title: 'Cloud Migration Services',
+      agency: 'Department of Labor',
+      description: 'Migration of legacy case management systems to the AWS cloud with data conversion'
+    };
+    const reworded = {
+      id: 'b',
+      title: 'Legacy Case Management Cloud Hosting',
+      agency: 'Department of Labor',
+      description: 'Migrating the case management system and converting its data to AWS cloud hosting'
+    };
+
+    it('should add embedding similarity as a weighted field when enabled', async () => {
+      const service = new OpportunityDeduplicationService();
+      const before = await service.calculateSimilarityBreakdown(original, reworded);
+      assert.strictEqual(before.fields.semantic, null);
+
+      service.deduplicationConfig.enableSemanticMatching = true;
+      await service.prepareEmbeddings([original, reworded]);
+      const after = await service.calculateSimilarityBreakdown(original, reworded);
+
+      assert.ok(after.fields.semantic > 0.5);
+      assert.ok(after.similarity > before.similarity);
+    });
+
+    it('should reuse stored vectors whose text is unchanged and strip them from the rows', async () => {
+      const service = new OpportunityDeduplicationService();
+      const embed = mock.method(service.embeddingService.provider, 'embed', async texts => texts.map(() => [0, 1]));
+      const stored = {
+        ...original,
+        embedding_vector: [1, 0],
+        embedding_hash: service.embeddingService.contentHash(service.embeddingService.opportunityText(original))
+      };
+      const stale = { ...reworded, embedding_vector: [1, 0], embedding_hash: 'outdated' };
+
+      await service.prepareEmbeddings([stored, stale]);
+
+      assert.deepStrictEqual(embed.mock.calls[0].arguments[0], [service.embeddingService.opportunityText(reworded)]);
+      assert.strictEqual(service.compareSemantic(stored, stale), 0);
+      assert.ok(!('embedding_vector' in stored) && !('embedding_hash' in stale));
+    });
+
+    it('should fall back to the other fields when embedding fails', async () => {
+      const service = new OpportunityDeduplicationService();
+      mock.method(logger, 'warn', () => {});
+      mock.method(service.embeddingService.provider, 'embed', async () => {
+        throw new Error('model server unavailable');
+      });
+
+      await service.prepareEmbeddings([{ ...original }, { ...reworded }]);
+
+      assert.strictEqual(service.compareSemantic(original, reworded), null);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Evaluation Criteria Extraction Tests
+ * Section M factors, relative importance and basis of award
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { extractDocumentText } = require('../../src/utils/documentText');
+const { extractEvaluationCriteria, summarizeEvaluationCriteria, categorizeFactor } = require('../../src/integrations/sources/evaluationCriteria');
+
+const FIXTURES = path.join(__dirname, '../fixtures/attachments');
+
+describe('Evaluation Criteria Extraction', () => {
+  describe('extractEvaluationCriteria()', () => {
+    it('should read numbered factors and the best value basis from the Section M fixture', () => {
+      const { text } = extractDocumentText(fs.readFileSync(path.join(FIXTURES, 'section-m.docx')));
+
+      const result = extractEvaluationCriteria(text);
+
+      assert.strictEqual(result.basisOfAward, 'best_value');
+      assert.deepStrictEqual(result.factors.map(factor => [factor.criterion, factor.category]), [
+        ['Technical Approach', 'technical'],
+        ['Past Performance', 'past_performance'],
+        ['Price', 'price']
+      ]);
+      assert.strictEqual(Math.round(result.factors.reduce((sum, factor) => sum + factor.weight, 0)), 100);
+    });
+
+    it('should weight factors by stated order and their importance relative to price', () => {
+      const text = [
+        'SECTION M - EVALUATION FACTORS FOR AWARD',
+        'The Government will award on a best value tradeoff basis.',
+        'Factors are listed in descending order of importance.',
+        'All non-price factors, when combined, are significantly more important than cost or price.',
+        'Factor 1: Technical Approach',
+        'Subfactor 1.1: Migration Plan',
+        'Factor 2: Management Approach',
+        'Factor 3: Past Performance',
+        'Factor 4: Price',
+        'SECTION N - OTHER'
+      ].join('\n');
+
+      const result = extractEvaluationCriteria(text);
+
+      assert.strictEqual(result.weightMethod, 'stated_order');
+      assert.deepStrictEqual(result.factors.map(factor => factor.weight), [42.5, 28.3, 14.2, 15]);
+      assert.deepStrictEqual(result.factors.map(factor => factor.importance), [1, 2, 4, 3]);
+      assert.deepStrictEqual(result.factors[0].subfactors, ['Migration Plan']);
+    });
+
+    it('should make non-price factors pass/fail for LPTA awards', () => {
+      const text = [
+        'Basis for Award',
+        'Award will be made to the lowest price technically acceptable offeror.',
+        'Factor 1: Technical Capability',
+        'Factor 2: Price'
+      ].join('\n');
+
+      const result = extractEvaluationCriteria(text);
+
+      assert.strictEqual(result.basisOfAward, 'lpta');
+      assert.deepStrictEqual(result.factors.map(factor => [factor.weight, factor.evaluation]), [[0, 'pass_fail'], [100, 'scored']]);
+    });
+
+    it('should use explicit points and percentages', () => {
+      const text = [
+        'Evaluation Criteria',
+        'Factor A: Technical Solution (60 points)',
+        'Factor B: Key Personnel - 20 points',
+        'Factor C: Cost - 20 points'
+      ].join('\n');
+
+      const result = extractEvaluationCriteria(text);
+
+      assert.strictEqual(result.weightMethod, 'explicit');
+      assert.deepStrictEqual(result.factors.map(factor => [factor.criterion, factor.category, factor.weight]), [
+        ['Technical Solution', 'technical', 60],
+        ['Key Personnel', 'management', 20],
+        ['Cost', 'price', 20]
+      ]);
+      assert.deepStrictEqual(result.factors.map(factor => factor.importance), [1, 2, 2]);
+    });
+
+    it('should not find factors in descriptions that do not describe an evaluation', () => {
+      const result = extractEvaluationCriteria('Provide technical support at no cost to the program office.');
+
+      assert.deepStrictEqual(result, { basisOfAward: null, weightMethod: null, factors: [] });
+      assert.deepStrictEqual(extractEvaluationCriteria(null).factors, []);
+    });
+  });
+
+  describe('summarizeEvaluationCriteria()', () => {
+    it('should total weights per category from stored JSON', () => {
+      const summary = summarizeEvaluationCriteria(JSON.stringify([
+        { criterion: 'Technical Approach', category: 'technical', weight: 30 },
+        { criterion: 'Technical Risk', weight: 30 },
+        { criterion: 'Price', category: 'price', weight: 40 }
+      ]));
+
+      assert.deepStrictEqual(summary.weights, { technical: 60, price: 40 });
+      assert.strictEqual(summary.priceWeight, 40);
+      assert.strictEqual(summarizeEvaluationCriteria([{ criterion: 'Technical Approach' }]), null);
+      assert.strictEqual(summarizeEvaluationCriteria('not json'), null);
+    });
+
+    it('should categorize management factors before technical ones', () => {
+      assert.strictEqual(categorizeFactor('Management Approach'), 'management');
+      assert.strictEqual(categorizeFactor('Price Realism'), 'price');
+      assert.strictEqual(categorizeFactor('Oral Presentation'), 'other');
+    });
+  });
+});
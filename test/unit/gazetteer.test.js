@@ -0,0 +1,155 @@
+/**
+ * Gazetteer Tests
+ * Place-of-performance normalization and geocoding against the bundled gazetteer, service area
+ * resolution and distances used by radius search and relationship scoring
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Gazetteer, getGazetteer, distanceMiles } = require('../../src/utils/gazetteer');
+const { normalizePlaceOfPerformance } = require('../../src/integrations/sources/normalization');
+
+const gazetteer = getGazetteer();
+
+describe('Gazetteer', () => {
+  describe('normalizeLocation()', () => {
+    it('should normalize SAM.gov nested locations to state, county, ZIP and CBSA', () => {
+      const location = gazetteer.normalizeLocation({
+        streetAddress: '1 Rock Island Arsenal',
+        city: { code: '65000', name: 'Rock Island' },
+        state: { code: 'IL', name: 'Illinois' },
+        zip: '61299-5000',
+        country: { code: 'USA', name: 'UNITED STATES' }
+      });
+
+      assert.deepStrictEqual(location, {
+        address: '1 Rock Island Arsenal',
+        city: 'Rock Island',
+        county: 'Rock Island County',
+        countyFips: '17161',
+        state: 'IL',
+        zip: '61299',
+        cbsa: '19340',
+        cbsaTitle: 'Davenport-Moline-Rock Island, IA-IL',
+        country: 'USA',
+        latitude: 41.5095,
+        longitude: -90.5787,
+        // 61299 is not in the gazetteer, so the city is the most precise match
+        precision: 'place'
+      });
+    });
+
+    it('should parse free-text locations, most precise match first', () => {
+      const cases = [
+        ['Huntsville, AL 35801', { precision: 'zip', state: 'AL', countyFips: '01089', cbsa: '26620' }],
+        ['Washington DC', { precision: 'place', state: 'DC', cbsa: '47900' }],
+        ['Newport News Virginia', { precision: 'place', state: 'VA', countyFips: '51700' }],
+        ["St. Mary's County, MD", { precision: 'county', countyFips: '24037', cbsa: '15680' }],
+        ['Texas', { precision: 'state', state: 'TX' }],
+        // ZIPs outside the gazetteer still place the state through their prefix
+        ['75001', { precision: 'state', state: 'TX', zip: '75001' }]
+      ];
+
+      for (const [text, expected] of cases) {
+        const location = gazetteer.normalizeLocation(text);
+        for (const [field, value] of Object.entries(expected)) {
+          assert.strictEqual(location[field], value, `${text}: ${field}`);
+        }
+      }
+    });
+
+    it('should flag remote and nationwide work and leave foreign locations ungeocoded', () => {
+      assert.strictEqual(gazetteer.normalizeLocation('Remote/Multiple Locations').scope, 'remote');
+      assert.strictEqual(gazetteer.normalizeLocation({ city: 'Various Federal Facilities' }).scope, 'nationwide');
+
+      const foreign = gazetteer.normalizeLocation({ city: 'Stuttgart', country: { code: 'DEU', name: 'GERMANY' } });
+      assert.strictEqual(foreign.country, 'DEU');
+      assert.strictEqual(foreign.latitude, undefined);
+
+      assert.strictEqual(gazetteer.normalizeLocation({}), null);
+      assert.strictEqual(gazetteer.normalizeLocation({ country: 'USA' }), null);
+    });
+
+    it('should not let a ZIP from another state override the stated place', () => {
+      const location = gazetteer.normalizeLocation({ city: 'Arlington', state: 'VA', zip: '20001' });
+
+      assert.strictEqual(location.precision, 'place');
+      assert.strictEqual(location.countyFips, '51013');
+    });
+  });
+
+  describe('normalizePlaceOfPerformance()', () => {
+    it('should split the normalized location from its geocoded point', () => {
+      const columns = normalizePlaceOfPerformance({ city: 'Dayton', state: 'OH' });
+
+      assert.strictEqual(JSON.parse(columns.place_of_performance).cbsa, '19430');
+      assert.strictEqual(columns.pop_latitude, 39.7589);
+      assert.strictEqual(columns.pop_longitude, -84.1916);
+      assert.strictEqual(columns.pop_geocode_precision, 'place');
+
+      assert.deepStrictEqual(normalizePlaceOfPerformance(null), {
+        place_of_performance: '{}',
+        pop_latitude: null,
+        pop_longitude: null,
+        pop_geocode_precision: null
+      });
+    });
+  });
+
+  describe('resolveArea() and distanceToArea()', () => {
+    it('should resolve service areas to states, metros, places and remote coverage', () => {
+      assert.strictEqual(gazetteer.resolveArea('Virginia').type, 'state');
+      assert.strictEqual(gazetteer.resolveArea('Remote').type, 'remote');
+      assert.strictEqual(gazetteer.resolveArea('Nationwide').type, 'nationwide');
+      assert.strictEqual(gazetteer.resolveArea('Dayton, OH').type, 'place');
+      assert.strictEqual(gazetteer.resolveArea('20001').type, 'zip');
+      assert.strictEqual(gazetteer.resolveArea('Gotham'), null);
+
+      for (const metro of ['Huntsville, AL metro', 'CBSA 26620', 'Huntsville metropolitan area']) {
+        const area = gazetteer.resolveArea(metro);
+        assert.strictEqual(area.type, 'cbsa', metro);
+        assert.strictEqual(area.cbsa, '26620', metro);
+      }
+    });
+
+    it('should measure zero inside an area and to the nearest county outside it', () => {
+      const bethesda = gazetteer.normalizeLocation('Bethesda, MD');
+      const washington = gazetteer.normalizeLocation('Washington, DC');
+
+      assert.strictEqual(gazetteer.distanceToArea(bethesda, gazetteer.resolveArea('Washington DC metro')), 0);
+      assert.strictEqual(gazetteer.distanceToArea(bethesda, gazetteer.resolveArea('Maryland')), 0);
+      assert.strictEqual(gazetteer.distanceToArea(bethesda, gazetteer.resolveArea('Nationwide')), 0);
+      assert.strictEqual(gazetteer.distanceToArea(bethesda, gazetteer.resolveArea('Remote')), null);
+
+      // DC sits across the river from Arlington County, far from Virginia's centroid
+      const toVirginia = gazetteer.distanceToArea(washington, gazetteer.resolveArea('Virginia'));
+      assert.ok(toVirginia < 10, `${toVirginia} miles`);
+      assert.ok(distanceMiles(washington, gazetteer.resolveArea('Virginia')) > 100);
+    });
+  });
+
+  describe('distanceMiles()', () => {
+    it('should compute great-circle distances', () => {
+      const dayton = { latitude: 39.7589, longitude: -84.1916 };
+      const columbus = { latitude: 39.9612, longitude: -82.9988 };
+
+      assert.ok(Math.abs(distanceMiles(dayton, columbus) - 65) < 1);
+      assert.strictEqual(distanceMiles(dayton, dayton), 0);
+      assert.strictEqual(distanceMiles(dayton, { latitude: null, longitude: null }), null);
+    });
+  });
+
+  it('should load custom gazetteer data', () => {
+    const custom = new Gazetteer({
+      version: 'test',
+      states: [{ code: 'GU', fips: '66', name: 'Guam', latitude: 13.4443, longitude: 144.7937 }],
+      counties: [{ fips: '66010', name: 'Guam', state: 'GU', cbsa: null, latitude: 13.44, longitude: 144.79 }],
+      places: [{ name: 'Hagåtña', state: 'GU', countyFips: '66010', latitude: 13.4757, longitude: 144.7489 }]
+    });
+
+    const location = custom.normalizeLocation('Hagatna, Guam');
+    assert.strictEqual(location.precision, 'place');
+    assert.strictEqual(location.countyFips, '66010');
+    assert.strictEqual(custom.getState('66').code, 'GU');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Judge Registry Tests
+ * The judge contract, registering judge plugins on panels, and scoring versions seating the
+ * registered judges they weight
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Judge, JudgeRegistry, getJudgeRegistry } = require('../../src/services/judges');
+const { ProfilePastPerformanceJudge } = require('../../src/services/judges/profileJudges');
+const { GraphEnhancedTechnicalJudge } = require('../../src/services/judges/graphJudges');
+const ProfileBasedScoringService = require('../../src/services/profileScoringService');
+const { withDefaultThresholds } = require('../../src/utils/scoringVersions');
+
+class ComplianceJudge extends Judge {
+  constructor(score = 90) {
+    super({
+      name: 'compliance',
+      factor: { category: 'compliance', name: 'Compliance' },
+      inputs: { subject: ['certifications'] },
+      passScore: 75,
+      defaultRecommendation: 'Confirm compliance requirements'
+    });
+    this.fixedScore = score;
+  }
+
+  async evaluate() {
+    return this.buildEvaluation({
+      score: this.fixedScore,
+      confidence: 0.9,
+      reasoning: 'Compliance review',
+      factors: [{ name: 'Registrations', score: 130 }]
+    });
+  }
+}
+
+describe('Judge Registry', () => {
+  it('should seat the built-in judges on the profile, company and graph panels', () => {
+    const registry = getJudgeRegistry();
+
+    assert.deepStrictEqual(registry.names(), ['technical', 'domain', 'value', 'innovation', 'relationship', 'past_performance']);
+    assert.deepStrictEqual(registry.names('company'), ['technical', 'domain', 'value', 'innovation', 'relationship']);
+    assert.deepStrictEqual(registry.names('graph').sort(), ['domain', 'innovation', 'relationship', 'technical', 'value']);
+    // Domain, value and innovation sit on the graph panel unchanged
+    assert.strictEqual(registry.get('domain', 'graph'), registry.get('domain', 'company'));
+    assert.ok(registry.get('technical', 'graph') instanceof GraphEnhancedTechnicalJudge);
+    assert.deepStrictEqual(registry.get('value').factor, { category: 'financial', name: 'Value proposition' });
+    assert.deepStrictEqual(registry.get('value').inputs.lookups, ['valueRange']);
+  });
+
+  it('should register plugins on their panels and reject anything that is not a judge', () => {
+    const registry = new JudgeRegistry();
+    const judge = registry.register(new ComplianceJudge());
+
+    assert.strictEqual(registry.get('compliance'), judge);
+    assert.strictEqual(registry.has('compliance', 'company'), false);
+    assert.throws(() => registry.get('compliance', 'company'), /Unknown company judge: compliance/);
+    assert.deepStrictEqual(registry.describe(), [{
+      name: 'compliance',
+      category: 'compliance',
+      displayName: 'Compliance',
+      inputs: { subject: ['certifications'], opportunity: [], lookups: [] }
+    }]);
+
+    // A judge with the same name replaces the registered one
+    const replacement = registry.register(new ComplianceJudge(40));
+    assert.strictEqual(registry.get('compliance'), replacement);
+
+    assert.throws(() => registry.register({ name: 'compliance', evaluate: async () => ({}) }), /must extend Judge/);
+    assert.throws(() => registry.register(new Judge({ name: 'capacity', panels: ['review'] })), /must sit on one of the panels/);
+  });
+
+  it('should build evaluations in the contract shape', async () => {
+    const evaluation = await new ComplianceJudge(120).evaluate();
+    assert.strictEqual(evaluation.score, 100);
+    assert.strictEqual(evaluation.verdict, 'O');
+    assert.deepStrictEqual(evaluation.recommendations, ['Confirm compliance requirements']);
+    assert.deepStrictEqual(evaluation.factors, [{ name: 'Registrations', score: 100 }]);
+
+    assert.strictEqual((await new ComplianceJudge(70).evaluate()).verdict, 'X');
+    await assert.rejects(() => new Judge({ name: 'capacity' }).evaluate(), /must implement evaluate/);
+  });
+
+  it('should record lookups once and read them back on replay', async () => {
+    const judge = new ComplianceJudge();
+    const context = { lookups: {} };
+    let calls = 0;
+    const lookup = async () => { calls++; return 0.4; };
+
+    assert.strictEqual(await judge.lookup(context, 'similarity', lookup), 0.4);
+    assert.strictEqual(await judge.lookup(context, 'similarity', lookup), 0.4);
+    assert.strictEqual(calls, 1);
+    assert.deepStrictEqual(context.lookups, { similarity: 0.4 });
+    // A replay never looks up what the original score did not
+    assert.strictEqual(await judge.lookup({ lookups: {}, replay: true }, 'similarity', lookup), null);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('should score past performance by volume, recency, agency and size', async () => {
+    const judge = new ProfilePastPerformanceJudge();
+    const year = new Date().getFullYear();
+    const profile = {
+      past_performance: JSON.stringify([
+        { title: 'Portal modernization', client: 'Department of Energy', value: 900000, year: year - 1 },
+        { title: 'Help desk', client: 'City of Austin', value: 50000, year: year - 9 }
+      ])
+    };
+
+    const evaluation = await judge.evaluate(profile, { agency: 'DEPARTMENT OF ENERGY', estimated_value: 1000000 });
+    // 30 base, 20 for two entries, 15 recent, 15 same agency, 10 comparable size
+    assert.strictEqual(evaluation.score, 90);
+    assert.strictEqual(evaluation.verdict, 'O');
+    assert.ok(evaluation.evidence.some(line => line.includes('Portal modernization')));
+    assert.deepStrictEqual(evaluation.factors.map(factor => factor.score), [67, 100, 100, 100]);
+
+    const empty = await judge.evaluate({}, { agency: 'GSA' });
+    assert.strictEqual(empty.score, 30);
+    assert.deepStrictEqual(empty.recommendations, ['Document past performance: contracts with client, value and year']);
+  });
+
+  it('should seat the judges a scoring version weights, including registered plugins', async () => {
+    const registry = new JudgeRegistry([getJudgeRegistry().get('domain'), new ComplianceJudge(90)]);
+    const service = new ProfileBasedScoringService();
+    service.judges = registry;
+    const version = {
+      version: '3.0',
+      weights: { domain: 0.5, compliance: 0.5 },
+      thresholds: withDefaultThresholds()
+    };
+
+    const result = await service.scoreOpportunity({ naics: ['541511'] }, { industry: 'Software' }, version);
+
+    assert.deepStrictEqual(Object.keys(result.judgeScores), ['domain', 'compliance']);
+    // Domain: 40 base + 30 for the NAICS match; compliance 90
+    assert.strictEqual(result.overallScore, 80);
+    assert.deepStrictEqual(result.weights, { domain: 0.5, compliance: 0.5 });
+  });
+});
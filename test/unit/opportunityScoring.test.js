@@ -189,4 +189,49 @@ describe('Panel of Judges Algorithm (Algorithm 3)', () => {
     assert.ok(executionTime < 2000, `Scoring should complete within 2 seconds, took ${executionTime}ms`);
     assert.ok(result.overallScore, 'Should still return valid results for complex data');
   });
-});
\ No newline at end of file
+
+  test('should weigh judges by the company\'s priority ratings and explain the change', async () => {
+    opportunityScoring = new OpportunityScoringService();
+    const judge = (score) => ({
+      evaluate: async () => ({ score, verdict: 'O', confidence: 0.8, reasoning: `Scored ${score}`, evidence: [], recommendations: [] })
+    });
+    opportunityScoring.judges = {
+      technical: judge(100), domain: judge(20), value: judge(20), innovation: judge(20), relationship: judge(20)
+    };
+
+    const defaults = await opportunityScoring.scoreOpportunity({ capabilities: [] }, { title: 'Portal' });
+    const weighted = await opportunityScoring.scoreOpportunity({ capabilities: [], scoring_weights: { technical: 5 } }, { title: 'Portal' });
+
+    assert.strictEqual(defaults.overallScore, 4);
+    assert.strictEqual(defaults.weighting, null);
+    assert.strictEqual(weighted.overallScore, 5);
+    assert.strictEqual(weighted.weights.technical, 0.4167);
+    assert.strictEqual(weighted.weighting.defaultScore, 4);
+    assert.match(weighted.explanation, /Your priority weights raised the score from 4 to 5: technical 42% instead of 30%/);
+  });
+
+  test('should validate and store a company\'s priority ratings', async () => {
+    opportunityScoring = new OpportunityScoringService();
+    const queries = [];
+    opportunityScoring.db = {
+      query: async (sql, params) => {
+        queries.push(params);
+        return { rows: params[0] === 'missing' ? [] : [{ id: params[0] }] };
+      }
+    };
+
+    const invalid = await opportunityScoring.updateScoringWeights('company-1', { technical: 7 });
+    const unknown = await opportunityScoring.updateScoringWeights('company-1', { past_performance: 4 });
+    assert.strictEqual(invalid.status, 'invalid');
+    assert.match(unknown.error, /Unknown judges: past_performance/);
+    assert.strictEqual(queries.length, 0);
+
+    const updated = await opportunityScoring.updateScoringWeights('company-1', { technical: 5 });
+    assert.strictEqual(updated.status, 'updated');
+    assert.deepStrictEqual(queries[0], ['company-1', '{"technical":5}']);
+    assert.deepStrictEqual(updated.scoringWeights.importance, { technical: 5 });
+    assert.ok(updated.scoringWeights.weights.technical > updated.scoringWeights.defaultWeights.technical);
+
+    assert.deepStrictEqual(await opportunityScoring.updateScoringWeights('missing', {}), { status: 'not_found' });
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * Opportunity Source Adapter Tests
+ * SAM.gov and feed adapters against recorded fixtures, the source registry,
+ * and ingestion looping over several sources
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const samService = require('../../src/integrations/sam');
+const {
+  SamSourceAdapter,
+  FeedSourceAdapter,
+  createSourceAdapter,
+  registerSourceAdapter,
+  hasSourceAdapter,
+  getSourceAdapter,
+  listSourceAdapters
+} = require('../../src/integrations/sources');
+const GovernmentOpportunityIngestionService = require('../../src/services/governmentOpportunityIngestionService');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'sources');
+const samSearchPage = require('../fixtures/sources/sam-search-page.json');
+
+describe('Opportunity Source Adapters', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('SamSourceAdapter', () => {
+    it('should page through recorded SAM.gov search results', async () => {
+      const fetchOpportunities = mock.method(samService, 'fetchOpportunities', async () => samSearchPage);
+      const adapter = new SamSourceAdapter();
+
+      const page = await adapter.fetchPage({ criteria: { postedFrom: '01/01/2025' }, offset: 0, limit: 100 });
+
+      assert.strictEqual(page.opportunities.length, 2);
+      assert.strictEqual(page.total, 2);
+      assert.strictEqual(page.hasMore, false);
+      assert.deepStrictEqual(fetchOpportunities.mock.calls[0].arguments[0], {
+        postedFrom: '01/01/2025',
+        limit: 100,
+        offset: 0
+      });
+      assert.deepStrictEqual(fetchOpportunities.mock.calls[0].arguments[1], { priority: 'background' });
+    });
+
+    it('should normalize enhanced notices to the gov_opportunities shape', async () => {
+      const adapter = new SamSourceAdapter();
+      const enhanced = await adapter.enrich(samSearchPage.opportunitiesData[0]);
+
+      const row = adapter.normalize(enhanced);
+
+      assert.deepStrictEqual(row.source_ids, { sam_gov: 'a1b2c3d4e5f60718293a4b5c6d7e8f90' });
+      assert.strictEqual(row.title, 'Cloud Migration Support Services');
+      assert.strictEqual(row.solicitation_number, 'W91QUZ-25-R-0001');
+      assert.strictEqual(row.due_date, '2025-02-14T22:00:00.000Z');
+      assert.ok(JSON.parse(row.naics_codes).includes('541512'));
+      assert.ok(JSON.parse(row.parsed_tags).includes('cloud'));
+      assert.strictEqual(row.incumbent, 'acme federal llc');
+    });
+
+    it('should report lifecycle signals and award details without setting the lifecycle state', () => {
+      const adapter = new SamSourceAdapter();
+      const notice = samSearchPage.opportunitiesData[0];
+
+      const open = adapter.normalize({ ...notice, active: 'Yes', archiveDate: '2025-03-16' });
+      assert.strictEqual(open.source_status, 'active');
+      assert.strictEqual(open.archive_date, '2025-03-16T00:00:00.000Z');
+      assert.ok(!('processing_status' in open));
+      assert.ok(!('awardee_name' in open));
+
+      assert.strictEqual(adapter.normalize({ ...notice, active: 'No' }).source_status, 'inactive');
+      assert.strictEqual(adapter.normalize({ ...notice, title: 'CANCELLED - Cloud Migration Support Services' }).source_status, 'cancelled');
+
+      const award = adapter.normalize({
+        ...notice,
+        type: 'Award Notice',
+        award: { date: '2025-04-01', number: 'W91QUZ25C0007', amount: '1,250,000.00', awardee: { name: 'Acme Federal LLC', ueiSAM: 'ABCDEF123456' } }
+      });
+      assert.strictEqual(award.source_status, 'awarded');
+      assert.strictEqual(award.awardee_name, 'Acme Federal LLC');
+      assert.strictEqual(award.awardee_uei, 'ABCDEF123456');
+      assert.strictEqual(award.award_amount, 1250000);
+      assert.strictEqual(award.award_number, 'W91QUZ25C0007');
+    });
+
+    it('should produce the same row as the ingestion service normalizer', async () => {
+      const adapter = new SamSourceAdapter();
+      const ingestionService = new GovernmentOpportunityIngestionService();
+      const enhanced = await adapter.enrich(samSearchPage.opportunitiesData[1]);
+
+      assert.deepStrictEqual(
+        ingestionService.normalizeOpportunityForDatabase(enhanced),
+        adapter.normalize(enhanced)
+      );
+    });
+  });
+
+  describe('FeedSourceAdapter', () => {
+    it('should parse quoted CSV fields, embedded newlines and skip records without an ID', async () => {
+      const adapter = new FeedSourceAdapter({
+        name: 'georgia_procurement',
+        path: path.join(FIXTURES, 'georgia-feed.csv')
+      });
+
+      const page = await adapter.fetchPage({ offset: 0, limit: 10 });
+
+      assert.strictEqual(page.total, 2);
+      assert.strictEqual(page.hasMore, false);
+      assert.match(page.opportunities[0].description, /"as-is" data migration/);
+      assert.match(page.opportunities[1].description, /\nMulti-line scope\./);
+    });
+
+    it('should normalize CSV records with list, amount, location and attachment parsing', async () => {
+      const adapter = new FeedSourceAdapter({
+        name: 'georgia_procurement',
+        path: path.join(FIXTURES, 'georgia-feed.csv')
+      });
+      const { opportunities } = await adapter.fetchPage({ offset: 0, limit: 10 });
+
+      const row = adapter.normalize(opportunities[0]);
+
+      assert.deepStrictEqual(row.source_ids, { georgia_procurement: 'GA-2025-0101' });
+      assert.deepStrictEqual(JSON.parse(row.naics_codes), ['541511', '541512']);
+      assert.deepStrictEqual(JSON.parse(row.psc_codes), ['D302']);
+      assert.strictEqual(row.value_estimated, 1250000);
+      assert.deepStrictEqual(JSON.parse(row.place_of_performance), {
+        city: 'Atlanta',
+        county: 'Fulton County',
+        countyFips: '13121',
+        state: 'GA',
+        cbsa: '12060',
+        cbsaTitle: 'Atlanta-Sandy Springs-Alpharetta, GA',
+        country: 'USA'
+      });
+      assert.strictEqual(row.pop_geocode_precision, 'place');
+      assert.ok(Math.abs(row.pop_latitude - 33.749) < 0.01 && Math.abs(row.pop_longitude + 84.388) < 0.01);
+      assert.deepStrictEqual(JSON.parse(row.attachments), [{
+        filename: 'RFP-2025-0101 Scope.pdf',
+        url: 'https://ssl.doas.state.ga.us/docs/RFP-2025-0101%20Scope.pdf'
+      }]);
+      assert.deepStrictEqual(JSON.parse(row.contacts), [{
+        type: 'primary',
+        name: 'Jane Buyer',
+        email: 'jane.buyer@dor.ga.gov',
+        phone: null
+      }]);
+      assert.strictEqual(row.due_date, '2025-02-20T00:00:00.000Z');
+    });
+
+    it('should read nested JSON records and apply search criteria', async () => {
+      const adapter = new FeedSourceAdapter({
+        name: 'atlanta_bids',
+        path: path.join(FIXTURES, 'city-feed.json'),
+        recordsPath: 'data.bids'
+      });
+
+      const page = await adapter.fetchPage({ criteria: { q: 'cloud', naics: '5415', state: 'ga' }, offset: 0, limit: 10 });
+
+      assert.strictEqual(page.total, 1);
+      const row = adapter.normalize(page.opportunities[0]);
+      assert.deepStrictEqual(row.source_ids, { atlanta_bids: 'ATL-25-014' });
+      assert.strictEqual(row.title, 'Network Infrastructure Modernization');
+      assert.strictEqual(row.value_estimated, 480000);
+      assert.deepStrictEqual(JSON.parse(row.attachments), [{
+        filename: 'Specifications.pdf',
+        url: 'https://example.org/atl-25-014/specs.pdf'
+      }]);
+      assert.strictEqual(row.last_updated_source, '2025-01-09T12:00:00.000Z');
+    });
+
+    it('should leave the source timestamp empty when the feed has none', () => {
+      const adapter = new FeedSourceAdapter({ name: 'city_bids', path: 'bids.json' });
+
+      assert.strictEqual(adapter.normalize({ id: 'B-2', title: 'Snow Removal' }).last_updated_source, null);
+    });
+
+    it('should keep attachment filenames with malformed escapes as they are', () => {
+      const adapter = new FeedSourceAdapter({ name: 'city_bids', path: 'bids.json' });
+
+      assert.deepStrictEqual(adapter.parseAttachments('https://example.org/b-1/Scope%20of%20Work.pdf;https://example.org/b-1/%E0%A4%A.pdf'), [
+        { filename: 'Scope of Work.pdf', url: 'https://example.org/b-1/Scope%20of%20Work.pdf' },
+        { filename: '%E0%A4%A.pdf', url: 'https://example.org/b-1/%E0%A4%A.pdf' }
+      ]);
+    });
+
+    it('should map feed status and award columns to lifecycle signals', () => {
+      const adapter = new FeedSourceAdapter({ name: 'city_bids', path: 'bids.json' });
+
+      const awarded = adapter.normalize({ id: 'B-1', title: 'Street Resurfacing', status: 'Awarded', awardee: 'Peach Paving', awardAmount: '$480,000' });
+      assert.strictEqual(awarded.source_status, 'awarded');
+      assert.strictEqual(awarded.awardee_name, 'Peach Paving');
+      assert.strictEqual(awarded.award_amount, 480000);
+
+      const closed = adapter.normalize({ id: 'B-2', title: 'Park Mowing', status: 'Closed' });
+      assert.strictEqual(closed.source_status, 'inactive');
+      assert.ok(!('award_amount' in closed));
+      assert.strictEqual(adapter.normalize({ id: 'B-3', title: 'Fleet Fuel', status: 'Open' }).source_status, 'active');
+    });
+
+    it('should reject invalid names and unsupported formats', () => {
+      assert.throws(() => new FeedSourceAdapter({ name: 'Bad Name', path: 'feed.csv' }), /lowercase name/);
+      assert.throws(() => new FeedSourceAdapter({ name: 'xml_feed', path: 'feed.xml' }), /Unsupported feed format/);
+    });
+  });
+
+  describe('Source registry', () => {
+    it('should register SAM.gov by default and resolve feeds by name', () => {
+      assert.ok(getSourceAdapter('sam_gov') instanceof SamSourceAdapter);
+
+      registerSourceAdapter(createSourceAdapter({
+        type: 'feed',
+        name: 'registry_test_feed',
+        path: path.join(FIXTURES, 'georgia-feed.csv')
+      }));
+
+      assert.ok(hasSourceAdapter('registry_test_feed'));
+      assert.ok(listSourceAdapters().some(source => source.name === 'registry_test_feed' && source.type === 'feed'));
+      assert.throws(() => getSourceAdapter('missing_source'), /Unknown opportunity source/);
+      assert.throws(() => createSourceAdapter({ type: 'ftp', name: 'x' }), /Unknown opportunity source type/);
+    });
+  });
+
+  describe('Ingestion over multiple sources', () => {
+    it('should fetch, store and report each source separately', async () => {
+      mock.method(samService, 'isConfigured', () => true);
+      mock.method(samService, 'fetchOpportunities', async () => samSearchPage);
+
+      const storedSourceIds = [];
+      const client = {
+        query: mock.fn(async (query, params) => {
+          if (query.includes('source_ids @>')) {
+            return { rows: [] };
+          }
+          if (query.includes('INSERT INTO gov_opportunities')) {
+            storedSourceIds.push(params[0]);
+            return { rows: [{ id: `opp-${storedSourceIds.length}` }] };
+          }
+          return { rows: [] };
+        })
+      };
+
+      const ingestionService = new GovernmentOpportunityIngestionService();
+      ingestionService.db = {
+        pool: {},
+        query: mock.fn(async () => ({ rows: [{ exists: true }] })),
+        transaction: mock.fn(async (callback) => callback(client))
+      };
+
+      const feed = new FeedSourceAdapter({
+        name: 'georgia_procurement',
+        path: path.join(FIXTURES, 'georgia-feed.csv')
+      });
+
+      const report = await ingestionService.ingestOpportunities({
+        mode: 'targeted',
+        searchCriteria: { postedFrom: '01/01/2025' },
+        fetchDetails: false,
+        sources: ['sam_gov', feed]
+      });
+
+      assert.strictEqual(report.summary.totalFetched, 4);
+      assert.strictEqual(report.summary.totalStored, 4);
+      assert.strictEqual(report.sources.sam_gov.stored, 2);
+      assert.strictEqual(report.sources.georgia_procurement.stored, 2);
+      assert.deepStrictEqual(storedSourceIds.slice(2), [
+        { georgia_procurement: 'GA-2025-0101' },
+        { georgia_procurement: 'GA-2025-0102' }
+      ]);
+    });
+
+    it('should fail before fetching when a source is not configured', async () => {
+      const ingestionService = new GovernmentOpportunityIngestionService();
+      ingestionService.db = { pool: {}, query: mock.fn(async () => ({ rows: [{ exists: true }] })) };
+      const unconfigured = new FeedSourceAdapter({ name: 'empty_feed', format: 'csv' });
+      const fetchPage = mock.method(unconfigured, 'fetchPage');
+
+      await assert.rejects(
+        ingestionService.ingestOpportunities({ sources: [unconfigured] }),
+        /empty_feed source is not configured/
+      );
+      assert.strictEqual(fetchPage.mock.calls.length, 0);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * SAM.gov Cache and Quota Tests
+ * Cache backends, daily quota priority classes and their use by the SAM.gov integration
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { MemoryCacheBackend, PostgresCacheBackend, createCacheBackend } = require('../../src/integrations/samCache');
+const { SamQuotaManager, MemoryQuotaStore, PostgresQuotaStore } = require('../../src/integrations/samQuota');
+
+// sam.js reads the API key at load time
+process.env.SAM_GOV_API_KEY = process.env.SAM_GOV_API_KEY || 'test-sam-api-key';
+const samService = require('../../src/integrations/sam');
+
+const SEARCH_RESPONSE = { totalRecords: 1, opportunitiesData: [{ noticeId: 'abc123', title: 'Cloud Services' }] };
+
+describe('SAM.gov Cache and Quota', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('MemoryCacheBackend', () => {
+    it('should expire entries after the TTL and evict the oldest entry when full', async () => {
+      const cache = new MemoryCacheBackend({ ttlMs: 1000, maxEntries: 2 });
+      const now = mock.method(Date, 'now', () => 10000);
+
+      await cache.set('a', { value: 1 });
+      await cache.set('b', { value: 2 });
+      await cache.set('c', { value: 3 });
+
+      assert.strictEqual(await cache.get('a'), null);
+      assert.deepStrictEqual(await cache.get('c'), { value: 3 });
+
+      now.mock.mockImplementation(() => 11001);
+      assert.strictEqual(await cache.get('b'), null);
+      assert.strictEqual(cache.getStats().size, 1);
+      assert.strictEqual(cache.getStats().hits, 1);
+    });
+  });
+
+  describe('PostgresCacheBackend', () => {
+    it('should read unexpired rows and upsert responses with the TTL', async () => {
+      const db = {
+        query: mock.fn(async (query) => (
+          query.includes('SELECT response') ? { rows: [{ response: SEARCH_RESPONSE }] } : { rows: [], rowCount: 1 }
+        ))
+      };
+      const cache = new PostgresCacheBackend({ db, ttlMs: 60000 });
+
+      assert.deepStrictEqual(await cache.get('key'), SEARCH_RESPONSE);
+      await cache.set('key', SEARCH_RESPONSE);
+
+      const [selectQuery, selectParams] = db.query.mock.calls[0].arguments;
+      assert.ok(selectQuery.includes('expires_at > NOW()'));
+      assert.deepStrictEqual(selectParams, ['key']);
+
+      const [insertQuery, insertParams] = db.query.mock.calls[1].arguments;
+      assert.ok(insertQuery.includes('ON CONFLICT (cache_key) DO UPDATE'));
+      assert.deepStrictEqual(insertParams, ['key', JSON.stringify(SEARCH_RESPONSE), '60000']);
+    });
+
+    it('should treat database failures as cache misses', async () => {
+      const db = { query: mock.fn(async () => { throw new Error('Database not connected. Call connect() first.'); }) };
+      const cache = new PostgresCacheBackend({ db });
+
+      assert.strictEqual(await cache.get('key'), null);
+      await cache.set('key', SEARCH_RESPONSE);
+      assert.deepStrictEqual(cache.getStats(), { backend: 'postgres', ttlMs: 300000, hits: 0, misses: 1, errors: 2 });
+    });
+
+    it('should reject unknown backend names', () => {
+      assert.throws(() => createCacheBackend('redis'), /Unknown SAM.gov cache backend/);
+    });
+  });
+
+  describe('SamQuotaManager', () => {
+    it('should stop background requests at the interactive reserve', async () => {
+      const quota = new SamQuotaManager({ dailyQuota: 5, interactiveReserve: 2 });
+
+      for (let i = 0; i < 3; i++) {
+        await quota.acquire('background');
+      }
+
+      await assert.rejects(quota.acquire('background'), error => {
+        assert.strictEqual(error.code, 'QUOTA_EXHAUSTED');
+        assert.strictEqual(error.priority, 'background');
+        return true;
+      });
+
+      await quota.acquire('interactive');
+      const snapshot = await quota.acquire('interactive');
+
+      assert.strictEqual(snapshot.used, 5);
+      assert.strictEqual(snapshot.remaining, 0);
+      assert.deepStrictEqual(snapshot.priorities, {
+        interactive: { used: 2, remaining: 0 },
+        background: { used: 3, remaining: 0 }
+      });
+      await assert.rejects(quota.acquire('interactive'), /quota exhausted for interactive requests/);
+    });
+
+    it('should reserve 20% of the quota for interactive requests by default', () => {
+      const quota = new SamQuotaManager({ dailyQuota: 1000 });
+
+      assert.strictEqual(quota.interactiveReserve, 200);
+      assert.strictEqual(quota.getSnapshot().priorities.background.remaining, 800);
+    });
+
+    it('should start a new count each UTC day', async () => {
+      const store = new MemoryQuotaStore();
+
+      await store.consume('2026-10-19', 'interactive', 10);
+      const { usage } = await store.consume('2026-10-20', 'background', 10);
+
+      assert.deepStrictEqual(usage, { date: '2026-10-20', used: 1, interactive: 0, background: 1 });
+    });
+
+    it('should check and increment the shared Postgres counter in one statement', async () => {
+      const db = {
+        query: mock.fn(async (query) => (
+          query.includes('INSERT INTO sam_api_usage')
+            ? { rows: [] }
+            : { rows: [{ request_count: 800, interactive_count: 50, background_count: 750 }] }
+        ))
+      };
+      const quota = new SamQuotaManager({ dailyQuota: 1000, store: new PostgresQuotaStore({ db }) });
+
+      await assert.rejects(quota.acquire('background'), /quota exhausted for background requests \(800\/1000 used\)/);
+
+      const [, params] = db.query.mock.calls[0].arguments;
+      assert.deepStrictEqual(params.slice(1), [0, 1, 800]);
+      assert.strictEqual(quota.getSnapshot().priorities.interactive.remaining, 200);
+    });
+
+    it('should allow requests when the counter cannot be reached', async () => {
+      const store = { name: 'postgres', consume: mock.fn(async () => { throw new Error('connection refused'); }) };
+      const quota = new SamQuotaManager({ dailyQuota: 10, store });
+
+      const snapshot = await quota.acquire('background');
+      assert.strictEqual(snapshot.used, 0);
+    });
+
+    it('should reject unknown priority classes', async () => {
+      const quota = new SamQuotaManager();
+      await assert.rejects(quota.acquire('urgent'), /Unknown SAM.gov request priority/);
+    });
+  });
+
+  describe('SAM.gov integration', () => {
+    let get;
+
+    beforeEach(() => {
+      samService.setCacheBackend(new MemoryCacheBackend());
+      samService.setQuotaManager(new SamQuotaManager({ dailyQuota: 3, interactiveReserve: 1 }));
+      get = mock.method(axios, 'get', async () => ({ data: SEARCH_RESPONSE }));
+      mock.method(console, 'log', () => {});
+      mock.method(console, 'warn', () => {});
+      mock.method(console, 'error', () => {});
+    });
+
+    it('should count only requests that miss the cache', async () => {
+      await samService.fetchOpportunities({ q: 'cloud' });
+      await samService.fetchOpportunities({ q: 'cloud' });
+
+      assert.strictEqual(get.mock.callCount(), 1);
+      assert.strictEqual(samService.getStatus().quota.used, 1);
+      assert.strictEqual(samService.getCacheStats().hits, 1);
+    });
+
+    it('should refuse background requests without calling SAM.gov once their budget is spent', async () => {
+      await samService.fetchOpportunities({ q: 'one' }, { priority: 'background' });
+      await samService.fetchOpportunities({ q: 'two' }, { priority: 'background' });
+
+      await assert.rejects(
+        samService.fetchOpportunities({ q: 'three' }, { priority: 'background' }),
+        error => error.code === 'QUOTA_EXHAUSTED'
+      );
+      assert.strictEqual(get.mock.callCount(), 2);
+
+      await samService.fetchOpportunities({ q: 'three' });
+      const status = await samService.getQuotaStatus();
+      assert.strictEqual(status.remaining, 0);
+      assert.deepStrictEqual(status.priorities.interactive, { used: 1, remaining: 0 });
+    });
+
+    it('should pass the priority class through batch detail fetches', async () => {
+      get.mock.mockImplementation(async () => ({ data: { _embedded: { opportunities: [{ noticeId: 'abc123' }] } } }));
+
+      const result = await samService.fetchOpportunityDetailsBatch(['abc123', 'def456', 'ghi789'], {
+        delayBetweenBatches: 0,
+        priority: 'background'
+      });
+
+      assert.strictEqual(result.successful.length, 2);
+      assert.strictEqual(result.failed.length, 1);
+      assert.match(result.failed[0].error, /quota exhausted for background requests/);
+    });
+
+    it('should take quota for resource downloads', async () => {
+      const url = 'https://sam.gov/api/prod/opps/v3/opportunities/resources/files/abc/download?api_key=test-sam-api-key';
+
+      await samService.downloadResource(url, { responseType: 'arraybuffer' }, { priority: 'background' });
+      await samService.downloadResource(url, { responseType: 'arraybuffer' }, { priority: 'background' });
+
+      await assert.rejects(
+        samService.downloadResource(url, { responseType: 'arraybuffer' }, { priority: 'background' }),
+        error => error.code === 'QUOTA_EXHAUSTED'
+      );
+      assert.strictEqual(get.mock.callCount(), 2);
+      assert.strictEqual(get.mock.calls[0].arguments[0], url);
+    });
+  });
+});
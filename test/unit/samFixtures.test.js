@@ -0,0 +1,134 @@
+/**
+ * SAM.gov Response Fixture Tests
+ * Recording raw responses to disk, replaying them without network access or an API key,
+ * and fixture matching that ignores the API key and posted date range
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { SamFixtureClient, fixtureFileName } = require('../../src/integrations/samFixtures');
+const samService = require('../../src/integrations/sam');
+
+const SEARCH_URL = 'https://api.sam.gov/opportunities/v2/search';
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'sam');
+
+function liveClient(respond) {
+  return {
+    get: mock.fn(async (url, config) => respond(config.params)),
+    getStatus: () => ({ maxRetries: 3, circuitBreaker: { state: 'closed' } })
+  };
+}
+
+describe('SAM.gov Response Fixtures', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sam-fixtures-'));
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    samService.stopFixtures();
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  describe('SamFixtureClient', () => {
+    it('should record responses without the API key and replay them without calling SAM.gov', async () => {
+      const client = liveClient(() => ({ status: 200, data: { totalRecords: 1, opportunitiesData: [{ noticeId: 'abc' }] } }));
+      const recorder = new SamFixtureClient({ mode: 'record', dir, client });
+      const beforeAttempt = async () => {};
+
+      await recorder.get(SEARCH_URL, {
+        params: { api_key: 'secret', q: 'cloud', limit: 10, postedFrom: '09/01/2026', postedTo: '09/30/2026' }
+      }, { beforeAttempt });
+
+      assert.deepStrictEqual(client.get.mock.calls[0].arguments[2], { beforeAttempt });
+      const [file] = fs.readdirSync(dir);
+      assert.match(file, /^search-[0-9a-f]{16}\.json$/);
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      assert.deepStrictEqual(fixture.request.params, { limit: '10', q: 'cloud' });
+      assert.ok(!JSON.stringify(fixture).includes('secret'));
+
+      // Recorded on another day, with another key
+      const player = new SamFixtureClient({ mode: 'replay', dir, client });
+      const response = await player.get(SEARCH_URL, {
+        params: { api_key: undefined, limit: 10, q: 'cloud', postedFrom: '10/01/2026', postedTo: '10/19/2026' }
+      });
+
+      assert.deepStrictEqual(response.data, { totalRecords: 1, opportunitiesData: [{ noticeId: 'abc' }] });
+      assert.strictEqual(client.get.mock.callCount(), 1);
+      assert.deepStrictEqual(player.getStatus().fixtures, { mode: 'replay', dir, recorded: 0, replayed: 1 });
+    });
+
+    it('should replay recorded error statuses as request errors', async () => {
+      const client = liveClient(() => {
+        const error = new Error('Request failed with status code 404');
+        error.response = { status: 404, statusText: 'Not Found', data: { message: 'No opportunity found' } };
+        throw error;
+      });
+      const params = { noticeid: 'gone', limit: 1 };
+
+      await assert.rejects(new SamFixtureClient({ mode: 'record', dir, client }).get(SEARCH_URL, { params }));
+      assert.strictEqual(fs.readdirSync(dir)[0], fixtureFileName(SEARCH_URL, params));
+      assert.match(fixtureFileName(SEARCH_URL, params), /^detail-/);
+
+      await assert.rejects(
+        new SamFixtureClient({ mode: 'replay', dir, client }).get(SEARCH_URL, { params }),
+        error => error.response.status === 404 && error.response.data.message === 'No opportunity found'
+      );
+    });
+
+    it('should fail requests without a fixture and reject invalid modes', async () => {
+      const player = new SamFixtureClient({ mode: 'replay', dir, client: liveClient(() => ({})) });
+
+      await assert.rejects(
+        player.get(SEARCH_URL, { params: { q: 'unrecorded' } }),
+        error => error.code === 'FIXTURE_MISSING' && error.message.includes('"q":"unrecorded"')
+      );
+      assert.throws(() => new SamFixtureClient({ mode: 'playback', dir }), /Invalid SAM.gov fixture mode/);
+      assert.throws(() => new SamFixtureClient({ mode: 'replay' }), /fixture directory is required/);
+    });
+  });
+
+  describe('SAM.gov integration', () => {
+    it('should replay searches and details without an API key, network access or quota', async () => {
+      const get = mock.method(axios, 'get', async () => { throw new Error('network access during replay'); });
+      samService.useFixtures({ mode: 'replay', dir: FIXTURES });
+
+      assert.strictEqual(samService.isConfigured(), true);
+      assert.strictEqual(samService.isReplaying(), true);
+
+      const page = await samService.fetchOpportunities(
+        { q: 'cloud cybersecurity', naics: '541512,541519', limit: 10, offset: 0 },
+        { priority: 'background' }
+      );
+      assert.strictEqual(page.opportunitiesData.length, 3);
+
+      const detail = await samService.fetchOpportunityDetails('a1b2c3d4e5f60718293a4b5c6d7e8f90');
+      assert.strictEqual(detail._parsed.naicsCodes[0], '541512');
+      assert.strictEqual(detail._parsed.setAside, 'Total_Small_Business');
+
+      await assert.rejects(
+        samService.fetchOpportunityDetails('0badc0de0badc0de0badc0de0badc0de'),
+        error => error.status === 404 && error.message.startsWith('Opportunity not found')
+      );
+      await assert.rejects(
+        samService.fetchOpportunities({ q: 'never recorded' }),
+        error => error.code === 'FIXTURE_MISSING'
+      );
+
+      assert.strictEqual(get.mock.callCount(), 0);
+      assert.strictEqual(samService.getStatus().fixtures.replayed, 3);
+      assert.strictEqual(samService.getCacheStats().size, 0);
+
+      samService.stopFixtures();
+      assert.strictEqual(samService.getStatus().fixtures, null);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * SAM.gov HTTP Request Layer Tests
+ * Retries with backoff and Retry-After, circuit breaker transitions, status reporting
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const {
+  SamHttpClient,
+  CircuitBreaker,
+  parseRetryAfter,
+  computeBackoffDelay
+} = require('../../src/integrations/samHttp');
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, statusText: 'Error', headers, data: {} };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  error.request = {};
+  return error;
+}
+
+describe('SAM.gov HTTP Request Layer', () => {
+  let sleeps;
+  let client;
+
+  beforeEach(() => {
+    sleeps = [];
+    client = new SamHttpClient({
+      maxRetries: 3,
+      baseDelayMs: 100,
+      failureThreshold: 2,
+      cooldownMs: 1000,
+      random: () => 0.5,
+      sleep: async ms => { sleeps.push(ms); }
+    });
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('retries', () => {
+    it('should retry transient failures with jittered exponential backoff', async () => {
+      const responses = [httpError(503), networkError('ECONNRESET'), httpError(502)];
+      const get = mock.method(axios, 'get', async () => {
+        if (responses.length > 0) throw responses.shift();
+        return { data: { ok: true } };
+      });
+
+      const response = await client.get('https://api.sam.gov/test', { params: { q: 'x' } });
+
+      assert.deepStrictEqual(response.data, { ok: true });
+      assert.strictEqual(get.mock.callCount(), 4);
+      assert.deepStrictEqual(sleeps, [50, 100, 200]);
+      assert.strictEqual(client.breaker.getState().state, 'closed');
+    });
+
+    it('should wait for Retry-After on 429 responses', async () => {
+      let calls = 0;
+      mock.method(axios, 'get', async () => {
+        calls++;
+        if (calls === 1) throw httpError(429, { 'retry-after': '7' });
+        return { data: {} };
+      });
+
+      await client.get('https://api.sam.gov/test');
+
+      assert.deepStrictEqual(sleeps, [7000]);
+    });
+
+    it('should give up when Retry-After asks for a longer wait than allowed', async () => {
+      const get = mock.method(axios, 'get', async () => { throw httpError(429, { 'retry-after': '3600' }); });
+
+      await assert.rejects(client.get('https://api.sam.gov/test'), error => error.attempts === 1);
+      assert.strictEqual(get.mock.callCount(), 1);
+      assert.deepStrictEqual(sleeps, []);
+    });
+
+    it('should not retry client errors or count them as failures', async () => {
+      const get = mock.method(axios, 'get', async () => { throw httpError(404); });
+
+      await assert.rejects(client.get('https://api.sam.gov/test'), /404/);
+      await assert.rejects(client.get('https://api.sam.gov/test'), /404/);
+
+      assert.strictEqual(get.mock.callCount(), 2);
+      assert.strictEqual(client.breaker.getState().consecutiveFailures, 0);
+    });
+
+    it('should run beforeAttempt for every attempt and stop when it throws', async () => {
+      mock.method(axios, 'get', async () => { throw httpError(500); });
+      let attempts = 0;
+      const beforeAttempt = async () => {
+        attempts++;
+        if (attempts === 3) {
+          const quotaError = new Error('SAM.gov daily quota exhausted');
+          quotaError.code = 'QUOTA_EXHAUSTED';
+          throw quotaError;
+        }
+      };
+
+      await assert.rejects(client.get('https://api.sam.gov/test', {}, { beforeAttempt }), /quota exhausted/);
+      assert.strictEqual(attempts, 3);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('should open after repeated failed requests and reject calls without sending them', async () => {
+      const get = mock.method(axios, 'get', async () => { throw httpError(503); });
+
+      await assert.rejects(client.get('https://api.sam.gov/a'));
+      await assert.rejects(client.get('https://api.sam.gov/b'));
+      assert.strictEqual(get.mock.callCount(), 8);
+
+      await assert.rejects(client.get('https://api.sam.gov/c'), error => {
+        assert.strictEqual(error.code, 'CIRCUIT_OPEN');
+        assert.strictEqual(error.status, 503);
+        return true;
+      });
+      assert.strictEqual(get.mock.callCount(), 8);
+
+      const status = client.getStatus().circuitBreaker;
+      assert.strictEqual(status.state, 'open');
+      assert.strictEqual(status.timesOpened, 1);
+      assert.strictEqual(status.lastFailure.status, 503);
+    });
+
+    it('should let one trial request through after the cooldown and close on success', () => {
+      let now = 0;
+      const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+
+      breaker.recordFailure(httpError(500));
+      assert.strictEqual(breaker.allowRequest(), false);
+
+      now = 1000;
+      assert.strictEqual(breaker.allowRequest(), true);
+      assert.strictEqual(breaker.getState().state, 'half_open');
+      assert.strictEqual(breaker.allowRequest(), false);
+
+      breaker.recordSuccess();
+      assert.strictEqual(breaker.getState().state, 'closed');
+      assert.strictEqual(breaker.allowRequest(), true);
+    });
+
+    it('should reopen when the trial request fails', () => {
+      let now = 0;
+      const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now: () => now });
+      breaker.recordFailure(httpError(500));
+      breaker.recordFailure(httpError(500));
+      breaker.recordFailure(httpError(500));
+
+      now = 1500;
+      assert.strictEqual(breaker.allowRequest(), true);
+      breaker.recordFailure(httpError(503));
+
+      const state = breaker.getState();
+      assert.strictEqual(state.state, 'open');
+      assert.strictEqual(state.retryAt, new Date(2500).toISOString());
+    });
+  });
+
+  describe('helpers', () => {
+    it('should parse Retry-After seconds and HTTP dates', () => {
+      const now = Date.parse('2026-10-19T12:00:00Z');
+
+      assert.strictEqual(parseRetryAfter('120', now), 120000);
+      assert.strictEqual(parseRetryAfter('Mon, 19 Oct 2026 12:00:30 GMT', now), 30000);
+      assert.strictEqual(parseRetryAfter('soon', now), null);
+      assert.strictEqual(parseRetryAfter(undefined, now), null);
+    });
+
+    it('should cap backoff delays', () => {
+      const options = { baseDelayMs: 500, maxDelayMs: 4000 };
+
+      assert.strictEqual(computeBackoffDelay(0, options, () => 1), 500);
+      assert.strictEqual(computeBackoffDelay(2, options, () => 1), 2000);
+      assert.strictEqual(computeBackoffDelay(10, options, () => 1), 4000);
+      assert.strictEqual(computeBackoffDelay(10, options, () => 0), 0);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Scoring Versions Tests
+ * Built-in and registered versions, version states loaded from the database, and validation of
+ * version definitions
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ScoringVersions, DEFAULT_THRESHOLDS } = require('../../src/utils/scoringVersions');
+
+describe('Scoring Versions', () => {
+  it('should make the built-in version active until versions are loaded', () => {
+    const versions = new ScoringVersions();
+
+    assert.strictEqual(versions.getActive().version, '1.0');
+    assert.strictEqual(versions.getActive().builtIn, true);
+    assert.deepStrictEqual(versions.getLive().map(definition => definition.version), ['1.0']);
+  });
+
+  it('should load registered versions and take only the status of built-in versions from the database', () => {
+    const versions = new ScoringVersions();
+    versions.setVersions([
+      { version: '1.0', status: 'retired', weights: { technical: 1 } },
+      { version: '2.0', status: 'active', weights: '{"technical":0.5,"domain":0.5}', thresholds: '{"verdicts":{"recommended":75}}' },
+      { version: '2.1', status: 'shadow', weights: { technical: 0.6, value: 0.4 }, thresholds: null },
+      { version: '2.2', status: 'candidate', weights: { domain: 1 } }
+    ]);
+
+    assert.strictEqual(versions.get('1.0').status, 'retired');
+    assert.strictEqual(Object.keys(versions.get('1.0').weights).length, 5);
+    assert.deepStrictEqual(versions.get('2.0').weights, { technical: 0.5, domain: 0.5 });
+    assert.deepStrictEqual(versions.get('2.0').thresholds.verdicts, { recommended: 75, possible: 50 });
+    assert.deepStrictEqual(versions.get('2.1').thresholds, DEFAULT_THRESHOLDS);
+    // The active version first, then shadow versions; candidates are not scored
+    assert.deepStrictEqual(versions.getLive().map(definition => definition.version), ['2.0', '2.1']);
+    assert.strictEqual(versions.isBuiltIn('1.0'), true);
+    assert.strictEqual(versions.isBuiltIn('2.0'), false);
+  });
+
+  it('should keep the built-in version active when the database has no active version', () => {
+    const versions = new ScoringVersions();
+    versions.setVersions([{ version: '2.0', status: 'shadow', weights: { technical: 1 } }]);
+
+    assert.strictEqual(versions.getActive().version, '1.0');
+    assert.strictEqual(versions.get('nope'), null);
+  });
+
+  describe('validate()', () => {
+    const versions = new ScoringVersions();
+
+    it('should accept positive weights for known judges', () => {
+      assert.strictEqual(versions.validate({ weights: { technical: 2, relationship: 1 } }), null);
+    });
+
+    it('should reject unknown judges, missing judges and non-positive weights', () => {
+      assert.match(versions.validate({ weights: {} }), /at least one judge/);
+      assert.match(versions.validate({ weights: { technical: 1, pricing: 1 } }), /Unknown judges: pricing/);
+      assert.match(versions.validate({ weights: { technical: 0 } }), /positive numbers/);
+      assert.match(versions.validate({ weights: { technical: 1 }, scoringType: 'ml_model' }), /not supported/);
+    });
+
+    it('should require thresholds to descend', () => {
+      assert.match(versions.validate({ weights: { technical: 1 }, thresholds: { verdicts: { possible: 80 } } }), /recommended verdict/);
+      assert.match(
+        versions.validate({ weights: { technical: 1 }, thresholds: { fitCategories: { good: 85 } } }),
+        /excellent to good to fair/
+      );
+    });
+  });
+});
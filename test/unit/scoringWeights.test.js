@@ -0,0 +1,78 @@
+/**
+ * Scoring Weights Tests
+ * Turning a profile's priority ratings into judge weights, validating ratings, and explaining how
+ * the ratings changed a score
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { applyImportance, validateImportance, weighScore } = require('../../src/utils/scoringWeights');
+
+const VERSION_WEIGHTS = { technical: 0.30, domain: 0.25, value: 0.20, innovation: 0.15, relationship: 0.10 };
+
+function weightedAverage(scores) {
+  return (weights) => Math.round(Object.entries(weights).reduce((sum, [judge, weight]) => sum + scores[judge] * weight, 0));
+}
+
+describe('Scoring Weights', () => {
+  describe('applyImportance()', () => {
+    it('should keep the version\'s weights for neutral or missing ratings', () => {
+      assert.deepStrictEqual(applyImportance(VERSION_WEIGHTS, {}), VERSION_WEIGHTS);
+      assert.deepStrictEqual(applyImportance(VERSION_WEIGHTS, '{"technical":3,"value":3}'), VERSION_WEIGHTS);
+    });
+
+    it('should scale weights by rating / 3 and renormalize them into shares', () => {
+      const weights = applyImportance(VERSION_WEIGHTS, { technical: 5, relationship: 1 });
+
+      // technical 0.5, relationship 0.0333, the rest unchanged, then divided by their 1.1333 total
+      assert.strictEqual(weights.technical, 0.4412);
+      assert.strictEqual(weights.relationship, 0.0294);
+      assert.strictEqual(weights.domain, 0.2206);
+      assert.ok(Math.abs(Object.values(weights).reduce((sum, weight) => sum + weight, 0) - 1) < 0.001);
+    });
+
+    it('should ignore ratings of judges the version does not use', () => {
+      assert.deepStrictEqual(applyImportance({ technical: 3, domain: 1 }, { value: 5 }), { technical: 0.75, domain: 0.25 });
+    });
+  });
+
+  describe('validateImportance()', () => {
+    it('should accept whole ratings from 1 to 5 for known judges', () => {
+      assert.strictEqual(validateImportance({ technical: 1, relationship: 5 }), null);
+      assert.strictEqual(validateImportance({}), null);
+    });
+
+    it('should reject unknown judges and out-of-range ratings', () => {
+      assert.match(validateImportance({ capacity: 3 }), /Unknown judges: capacity/);
+      assert.match(validateImportance({ technical: 6, domain: 2.5 }), /whole numbers from 1 to 5: technical, domain/);
+    });
+  });
+
+  describe('weighScore()', () => {
+    const scores = { technical: 90, domain: 50, value: 40, innovation: 60, relationship: 70 };
+
+    it('should score with the profile\'s weights and explain the change from the defaults', () => {
+      const { overallScore, weights, weighting } = weighScore(VERSION_WEIGHTS, { technical: 5, value: 1 }, weightedAverage(scores));
+
+      assert.strictEqual(weights.technical, 0.4688);
+      assert.strictEqual(overallScore, 71);
+      assert.strictEqual(weighting.defaultScore, 64);
+      assert.strictEqual(weighting.scoreChange, 7);
+      assert.deepStrictEqual(weighting.importance, { technical: 5, value: 1 });
+      assert.deepStrictEqual(weighting.judges.map(change => change.judge), ['technical', 'value', 'domain', 'innovation', 'relationship']);
+      // Only the rated judges are named; the others shift because shares are renormalized
+      assert.strictEqual(
+        weighting.summary,
+        'Your priority weights raised the score from 64 to 71: technical 47% instead of 30%, value 6% instead of 20%.'
+      );
+    });
+
+    it('should not explain anything without custom ratings', () => {
+      const { overallScore, weights, weighting } = weighScore(VERSION_WEIGHTS, { technical: 3 }, weightedAverage(scores));
+
+      assert.strictEqual(overallScore, 64);
+      assert.deepStrictEqual(weights, VERSION_WEIGHTS);
+      assert.strictEqual(weighting, null);
+    });
+  });
+});